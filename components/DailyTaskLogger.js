@@ -241,6 +241,43 @@ const DailyTaskLogger = ({ currentUser = { username: 'demo' } }) => {
     setValidationIssues(issues);
   }, [tasks]);
 
+  // Unsaved rows for the day: completed work tasks (kept in localStorage until
+  // saved) plus time tracked on tasks that isn't in the log yet
+  const getPrefillTasks = (trackedTasks = [], loggedTasks = []) => {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    const storageKey = `pending_daily_tasks_${user.username}_${selectedDate}`;
+    const pendingTasks = JSON.parse(localStorage.getItem(storageKey) || '[]');
+
+    const knownTaskIds = new Set(
+      [...loggedTasks, ...pendingTasks].map(task => task.taskId).filter(Boolean)
+    );
+    const trackedRows = trackedTasks
+      .filter(task => !knownTaskIds.has(task.taskId))
+      .map(task => ({
+        ...task,
+        id: generateTaskId(),
+        startTime: null,
+        isRunning: false,
+        fromTimeTracking: true
+      }));
+
+    return [...pendingTasks, ...trackedRows];
+  };
+
+  const describePrefill = (pendingTasks) => {
+    const trackedCount = pendingTasks.filter(task => task.fromTimeTracking).length;
+    const completedCount = pendingTasks.length - trackedCount;
+    const parts = [];
+
+    if (completedCount > 0) {
+      parts.push(`✅ ${completedCount} completed task(s) added - please set time and save`);
+    }
+    if (trackedCount > 0) {
+      parts.push(`⏱️ ${trackedCount} task(s) added from tracked time - review and save`);
+    }
+    return parts.join(' · ');
+  };
+
   // API calls
   const loadDailyTasks = async () => {
     try {
@@ -268,19 +305,14 @@ const DailyTaskLogger = ({ currentUser = { username: 'demo' } }) => {
           setSavedTasks(entry.tasks || []);
           setNotes(entry.notes || '');
 
-          // Load pending tasks from completed work tasks
-          const user = JSON.parse(localStorage.getItem('user') || '{}');
-          const storageKey = `pending_daily_tasks_${user.username}_${selectedDate}`;
-          const pendingTasks = JSON.parse(localStorage.getItem(storageKey) || '[]');
+          // Load pending tasks from completed work tasks and tracked time
+          const pendingTasks = getPrefillTasks(data.trackedTasks, entry.tasks || []);
 
           if (pendingTasks.length > 0) {
             // Add pending tasks to unsaved tasks
             setTasks(pendingTasks);
             // DON'T clear localStorage yet - keep until saved!
-            setMessage({
-              type: 'info',
-              text: `✅ ${pendingTasks.length} completed task(s) added - please set time and save`
-            });
+            setMessage({ type: 'info', text: describePrefill(pendingTasks) });
           } else {
             // Reset current tasks to empty form
             setTasks([{
@@ -298,19 +330,14 @@ const DailyTaskLogger = ({ currentUser = { username: 'demo' } }) => {
           // No existing entry
           setExistingEntry(null);
 
-          // Load pending tasks from completed work tasks
-          const user = JSON.parse(localStorage.getItem('user') || '{}');
-          const storageKey = `pending_daily_tasks_${user.username}_${selectedDate}`;
-          const pendingTasks = JSON.parse(localStorage.getItem(storageKey) || '[]');
+          // Load pending tasks from completed work tasks and tracked time
+          const pendingTasks = getPrefillTasks(data.trackedTasks, []);
 
           if (pendingTasks.length > 0) {
             // Add pending tasks to unsaved tasks
             setTasks(pendingTasks);
             // DON'T clear localStorage yet - keep until saved!
-            setMessage({
-              type: 'info',
-              text: `✅ ${pendingTasks.length} completed task(s) added - please set time and save`
-            });
+            setMessage({ type: 'info', text: describePrefill(pendingTasks) });
           } else {
             // Only create empty task if we don't already have unsaved tasks
             setTasks(prevTasks => {
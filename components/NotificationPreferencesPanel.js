@@ -0,0 +1,230 @@
+// Per-event notification channels, quiet hours and daily digest (stored on the server)
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader } from 'lucide-react';
+import settingsApi from '../src/features/settings/api/settingsApi';
+
+const EVENT_LABELS = {
+  task_assigned: 'Task Assigned',
+  deadline_approaching: 'Deadline Approaching',
+  comment_mention: 'Comment Mention',
+  attendance_reminder: 'Attendance & Leave',
+  meeting_invite: 'Meeting Invite'
+};
+
+const CHANNEL_LABELS = {
+  in_app: 'In-app',
+  desktop: 'Desktop',
+  email: 'Email',
+  whatsapp: 'WhatsApp'
+};
+
+const NotificationPreferencesPanel = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Consent to the organization's WhatsApp messages, and the number for them
+  const [optIn, setOptIn] = useState(null);
+  const [phone, setPhone] = useState('');
+
+  useEffect(() => {
+    settingsApi.getNotificationSettings()
+      .then(response => setSettings(response.data))
+      .catch(err => setError(err.message));
+    settingsApi.getWhatsAppOptIn()
+      .then(current => {
+        setOptIn(current);
+        setPhone(current.phone || '');
+      })
+      .catch(() => setOptIn(null));
+  }, []);
+
+  // Apply a change straight away and keep the server's copy if it was rejected
+  const save = useCallback(async (changes) => {
+    const previous = settings;
+    setSettings(prev => ({ ...prev, ...changes }));
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await settingsApi.updateNotificationSettings(changes);
+      setSettings(prev => ({ ...prev, ...response.data }));
+    } catch (err) {
+      setSettings(previous);
+      setError(err.data?.errors?.[0]?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  }, [settings]);
+
+  const toggleWhatsApp = async () => {
+    setError(null);
+    try {
+      const updated = await settingsApi.updateWhatsAppOptIn(
+        optIn.optedIn ? { optedIn: false } : { optedIn: true, ...(phone && { phone }) }
+      );
+      setOptIn(updated);
+      setPhone(updated.phone || '');
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+    }
+  };
+
+  if (!settings) {
+    return error
+      ? <p className="text-sm text-red-600">{error}</p>
+      : <Loader className="w-4 h-4 animate-spin text-gray-400" />;
+  }
+
+  const events = settings.events || Object.keys(EVENT_LABELS);
+  const channels = settings.channelTypes || Object.keys(CHANNEL_LABELS);
+
+  return (
+    <div className="space-y-4">
+      {/* Channel matrix */}
+      <div>
+        <div className="flex items-center justify-between">
+          <h4 className="font-medium text-gray-900">Channels</h4>
+          {saving && <Loader className="w-3 h-3 animate-spin text-gray-400" />}
+        </div>
+        <table className="w-full mt-2 text-xs">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-normal pb-1" />
+              {channels.map(channel => (
+                <th key={channel} className="font-normal pb-1">{CHANNEL_LABELS[channel] || channel}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(event => (
+              <tr key={event}>
+                <td className="text-gray-700 py-1 pr-2">{EVENT_LABELS[event] || event}</td>
+                {channels.map(channel => (
+                  <td key={channel} className="text-center">
+                    <input
+                      type="checkbox"
+                      checked={!!settings.channels?.[event]?.[channel]}
+                      onChange={(e) => save({
+                        channels: { [event]: { ...settings.channels[event], [channel]: e.target.checked } }
+                      })}
+                      className="rounded text-blue-600"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Quiet hours */}
+      <div className="space-y-2">
+        <label className="flex items-center justify-between text-sm text-gray-700">
+          <span>Quiet Hours</span>
+          <input
+            type="checkbox"
+            checked={settings.quietHours.enabled}
+            onChange={(e) => save({ quietHours: { ...settings.quietHours, enabled: e.target.checked } })}
+            className="rounded text-blue-600"
+          />
+        </label>
+        {settings.quietHours.enabled && (
+          <div className="flex items-center space-x-2 text-sm">
+            <input
+              type="time"
+              value={settings.quietHours.start}
+              onChange={(e) => save({ quietHours: { ...settings.quietHours, start: e.target.value } })}
+              className="border border-gray-300 rounded px-2 py-1"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="time"
+              value={settings.quietHours.end}
+              onChange={(e) => save({ quietHours: { ...settings.quietHours, end: e.target.value } })}
+              className="border border-gray-300 rounded px-2 py-1"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Daily digest */}
+      <div className="space-y-2">
+        <label className="flex items-center justify-between text-sm text-gray-700">
+          <span>Daily Email Digest</span>
+          <input
+            type="checkbox"
+            checked={settings.digest.enabled}
+            onChange={(e) => save({ digest: { ...settings.digest, enabled: e.target.checked } })}
+            className="rounded text-blue-600"
+          />
+        </label>
+        {settings.digest.enabled && (
+          <input
+            type="time"
+            value={settings.digest.time}
+            onChange={(e) => save({ digest: { ...settings.digest, time: e.target.value } })}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+        )}
+      </div>
+
+      {/* WhatsApp opt-in */}
+      {optIn && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-gray-700">
+            <span>WhatsApp Messages</span>
+            <button onClick={toggleWhatsApp} className="text-xs text-blue-600 hover:text-blue-800">
+              {optIn.optedIn ? 'Opt out' : 'Opt in'}
+            </button>
+          </div>
+          {optIn.optedIn ? (
+            <>
+              <p className="text-xs text-gray-500">Sent to {optIn.phone}</p>
+              {!optIn.phoneVerifiedAt && (
+                <p className="text-xs text-amber-600">
+                  {optIn.verificationCode
+                    ? `To use WhatsApp commands, send VERIFY ${optIn.verificationCode} from this number to the organization's WhatsApp number within 30 minutes.`
+                    : 'This number is not verified for WhatsApp commands. Opt out and in again for a code.'}
+                </p>
+              )}
+            </>
+          ) : (
+            <input
+              type="tel"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              placeholder="+91xxxxxxxxxx"
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+          )}
+        </div>
+      )}
+
+      {/* Sound & timezone */}
+      <label className="flex items-center justify-between text-sm text-gray-700">
+        <span>Sound Effects</span>
+        <input
+          type="checkbox"
+          checked={settings.sound}
+          onChange={(e) => save({ sound: e.target.checked })}
+          className="rounded text-blue-600"
+        />
+      </label>
+      <p className="text-xs text-gray-500">
+        Times are in {settings.timezone}
+        {typeof Intl !== 'undefined' && Intl.DateTimeFormat().resolvedOptions().timeZone !== settings.timezone && (
+          <button
+            onClick={() => save({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })}
+            className="ml-2 text-blue-600 hover:text-blue-800"
+          >
+            Use {Intl.DateTimeFormat().resolvedOptions().timeZone}
+          </button>
+        )}
+      </p>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default NotificationPreferencesPanel;
@@ -2,6 +2,8 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNotifications } from '../hooks/useNotifications';
 import { useSessionTimeout, SessionTimeoutWarning, SessionStatusIndicator } from '../hooks/useSessionTimeout';
+import { authApi } from '../src/api/auth.api';
+import NotificationPreferencesPanel from './NotificationPreferencesPanel';
 import {
   Bell,
   BellOff,
@@ -15,7 +17,8 @@ import {
   MessageSquare,
   CheckCircle,
   XCircle,
-  Loader
+  Loader,
+  AtSign
 } from 'lucide-react';
 
 // Play notification sound using Web Audio API
@@ -182,6 +185,27 @@ const restoreTabTitle = () => {
   isFlashing = false;
 };
 
+// Notification types shown from the stream
+const STREAM_TYPES = [
+  'task_assigned',
+  'task_completed',
+  'task_updated',
+  'task_comment',
+  'task_mention',
+  'deadline_reminder',
+  'deadline_critical',
+  'attendance_submitted',
+  'attendance_approved',
+  'attendance_rejected',
+  'leave_requested',
+  'leave_approved',
+  'leave_rejected',
+  'regularization_requested',
+  'regularization_approved',
+  'regularization_rejected',
+  'meeting_invite'
+];
+
 const NotificationSystem = ({ currentUser }) => {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
@@ -189,18 +213,15 @@ const NotificationSystem = ({ currentUser }) => {
   const [showSettings, setShowSettings] = useState(false);
   const [loadingAction, setLoadingAction] = useState(null);
   const eventSourceRef = useRef(null);
+  const lastEventIdRef = useRef(null); // Last stored notification received, for replay on reconnect
   const notificationRef = useRef(null); // Reference for click-outside detection
+  // Channels per event live on the server (see NotificationPreferencesPanel);
+  // these only cover this browser
   const [preferences, setPreferences] = useState({
-    taskAssignments: true,
-    taskCompletions: true,
-    taskComments: true,
-    deadlineReminders: true,
-    attendanceAlerts: true,
     sessionWarnings: true,
     sound: true,
     desktop: true,
-    batching: true,
-    email: false
+    batching: true
   });
 
   const { 
@@ -245,7 +266,7 @@ const NotificationSystem = ({ currentUser }) => {
   useEffect(() => {
     const savedPreferences = localStorage.getItem('notificationPreferences');
     if (savedPreferences) {
-      setPreferences(JSON.parse(savedPreferences));
+      setPreferences(prev => ({ ...prev, ...JSON.parse(savedPreferences) }));
     }
   }, []);
 
@@ -280,8 +301,12 @@ const NotificationSystem = ({ currentUser }) => {
       return newCount;
     });
 
+    // Stream notifications carry the recipient's server-side choice (quiet hours,
+    // desktop channel, sound); local notifications use this browser's settings
+    const delivery = notification.delivery || { desktop: preferences.desktop, sound: preferences.sound };
+
     // Show browser notification if enabled
-    if (permissionGranted && preferences.desktop) {
+    if (permissionGranted && delivery.desktop) {
       let icon = '/icons/Logam Academy LOGO 512x512.png';
 
       switch (notification.type) {
@@ -306,7 +331,7 @@ const NotificationSystem = ({ currentUser }) => {
     }
 
     // Play sound if enabled (force play even if tab is not in focus)
-    if (preferences.sound) {
+    if (delivery.sound) {
       // Determine sound type based on notification type
       let soundType = 'default';
 
@@ -371,39 +396,33 @@ const NotificationSystem = ({ currentUser }) => {
     const token = localStorage.getItem('token');
     if (!token) return;
 
-    const eventSource = new EventSource(`/api/notifications/stream?user=${currentUser.username}&token=${encodeURIComponent(token)}`);
+    const replayFrom = lastEventIdRef.current ? `&lastEventId=${encodeURIComponent(lastEventIdRef.current)}` : '';
+    const eventSource = new EventSource(`/api/notifications/stream?user=${currentUser.username}&token=${encodeURIComponent(token)}${replayFrom}`);
     eventSourceRef.current = eventSource;
 
     eventSource.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
 
+        if (event.lastEventId) {
+          lastEventIdRef.current = event.lastEventId;
+        }
+
         // Skip heartbeat messages
         if (data.type === 'heartbeat' || data.type === 'connection') {
           return;
         }
 
-        // Filter based on preferences
-        const shouldShow = (
-          (data.type === 'task_assigned' && preferences.taskAssignments) ||
-          (data.type === 'task_completed' && preferences.taskCompletions) ||
-          (data.type === 'task_updated' && preferences.taskCompletions) ||
-          (data.type === 'task_comment' && preferences.taskComments) ||
-          (data.type === 'deadline_reminder' && preferences.deadlineReminders) ||
-          (data.type === 'deadline_critical' && preferences.deadlineReminders) ||
-          (data.type === 'attendance_submitted' && preferences.attendanceAlerts) ||
-          (data.type === 'attendance_approved' && preferences.attendanceAlerts) ||
-          (data.type === 'attendance_rejected' && preferences.attendanceAlerts)
-        );
-
-        if (shouldShow) {
+        // The server has already applied the user's preferences; only show known types
+        if (STREAM_TYPES.includes(data.type)) {
           addNotification(data);
 
           // Emit custom event for task-related notifications so dashboard can refresh
           if (data.type === 'task_assigned' ||
               data.type === 'task_completed' ||
               data.type === 'task_updated' ||
-              data.type === 'task_comment') {
+              data.type === 'task_comment' ||
+              data.type === 'task_mention') {
             window.dispatchEvent(new CustomEvent('taskUpdated', {
               detail: { notification: data }
             }));
@@ -484,7 +503,7 @@ const NotificationSystem = ({ currentUser }) => {
         });
       } else if (action === 'view-task' && data.taskId) {
         // Navigate to task
-        window.location.href = `/dashboard?tab=tasks&taskId=${data.taskId}`;
+        window.location.href = `/dashboard?tab=my-tasks&taskId=${data.taskId}`;
       } else if (action === 'view-attendance' && data.attendanceId) {
         // Navigate to attendance
         window.location.href = `/dashboard?tab=attendance&attendanceId=${data.attendanceId}`;
@@ -535,7 +554,15 @@ const NotificationSystem = ({ currentUser }) => {
       case 'task_assigned': return <User className="w-5 h-5 text-blue-500" />;
       case 'task_completed': return <Check className="w-5 h-5 text-green-500" />;
       case 'task_comment': return <MessageSquare className="w-5 h-5 text-purple-500" />;
+      case 'task_mention': return <AtSign className="w-5 h-5 text-purple-500" />;
       case 'deadline_reminder': return <Clock className="w-5 h-5 text-orange-500" />;
+      case 'meeting_invite': return <Calendar className="w-5 h-5 text-blue-500" />;
+      case 'leave_requested': return <Calendar className="w-5 h-5 text-orange-500" />;
+      case 'leave_approved': return <CheckCircle className="w-5 h-5 text-green-500" />;
+      case 'leave_rejected': return <XCircle className="w-5 h-5 text-red-500" />;
+      case 'regularization_requested': return <Clock className="w-5 h-5 text-orange-500" />;
+      case 'regularization_approved': return <CheckCircle className="w-5 h-5 text-green-500" />;
+      case 'regularization_rejected': return <XCircle className="w-5 h-5 text-red-500" />;
       default: return <Bell className="w-5 h-5 text-gray-500" />;
     }
   };
@@ -570,11 +597,7 @@ const NotificationSystem = ({ currentUser }) => {
         isVisible={showWarning}
         timeRemaining={timeRemainingFormatted}
         onExtend={extendSession}
-        onLogout={() => {
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-          window.location.href = '/login';
-        }}
+        onLogout={() => authApi.logout()}
       />
 
       {/* Notification Bell */}
@@ -650,7 +673,12 @@ const NotificationSystem = ({ currentUser }) => {
                     className={`p-4 border-b border-gray-100 cursor-pointer transition-colors hover:bg-gray-50 ${
                       !notification.read ? 'bg-blue-50' : ''
                     }`}
-                    onClick={() => markAsRead(notification.id)}
+                    onClick={() => {
+                      markAsRead(notification.id);
+                      if (notification.data?.url) {
+                        window.location.href = notification.data.url;
+                      }
+                    }}
                   >
                     <div className="flex items-start space-x-3">
                       {getNotificationIcon(notification.type)}
@@ -678,7 +706,7 @@ const NotificationSystem = ({ currentUser }) => {
 
         {/* Settings Panel */}
         {showSettings && (
-          <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-xl z-50">
+          <div className="absolute right-0 mt-2 w-96 bg-white border border-gray-200 rounded-lg shadow-xl z-50 max-h-[32rem] overflow-y-auto">
             <div className="p-4 border-b border-gray-200">
               <h3 className="font-semibold text-gray-900">Notification Settings</h3>
             </div>
@@ -704,42 +732,15 @@ const NotificationSystem = ({ currentUser }) => {
                 </div>
               </div>
 
-              {/* Notification Types */}
-              <div className="space-y-3">
-                <h4 className="font-medium text-gray-900">Notification Types</h4>
-
-                {[
-                  { key: 'taskAssignments', label: 'Task Assignments' },
-                  { key: 'taskCompletions', label: 'Task Completions' },
-                  { key: 'taskComments', label: 'Task Comments' },
-                  { key: 'deadlineReminders', label: 'Deadline Reminders' },
-                  { key: 'attendanceAlerts', label: 'Attendance Alerts' },
-                  { key: 'sessionWarnings', label: 'Session Warnings' }
-                ].map(({ key, label }) => (
-                  <div key={key} className="flex items-center justify-between">
-                    <span className="text-sm text-gray-700">{label}</span>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={preferences[key]}
-                        onChange={(e) => 
-                          savePreferences({ ...preferences, [key]: e.target.checked })
-                        }
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
-                  </div>
-                ))}
-              </div>
+              {/* Channels per event, quiet hours and digest */}
+              <NotificationPreferencesPanel />
 
-              {/* Sound & Desktop */}
+              {/* This browser */}
               <div className="space-y-3">
-                <h4 className="font-medium text-gray-900">Preferences</h4>
+                <h4 className="font-medium text-gray-900">This Browser</h4>
 
                 {[
-                  { key: 'sound', label: 'Sound Effects' },
-                  { key: 'desktop', label: 'Desktop Notifications' },
+                  { key: 'sessionWarnings', label: 'Session Warnings' },
                   { key: 'batching', label: 'Group Similar Notifications' }
                 ].map(({ key, label }) => (
                   <div key={key} className="flex items-center justify-between">
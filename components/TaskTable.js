@@ -1,9 +1,14 @@
 // Enhanced TaskTable component with FIXED search functionality
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
+import { useRouter } from 'next/router';
 import Button from './ui/Button';
 import EditTaskModal from './modals/EditTaskModal';
 import ConfirmationModal from './modals/ConfirmationModal';
 import TaskDetailModal from './modals/TaskDetailModal';
+import useTaskWorkflow from '../src/features/tasks/hooks/useTaskWorkflow';
+import useTaskQuery from '../src/features/tasks/hooks/useTaskQuery';
+import tasksApi from '../src/features/tasks/api/tasksApi';
+import { isClosedStatus } from '../src/utils/taskWorkflow.util';
 import {
   Search,
   Filter,
@@ -24,18 +29,35 @@ import {
   UserCheck,
   UserX,
   Users,
-  RotateCcw
+  RotateCcw,
+  Columns
 } from 'lucide-react';
 
+// Badge classes for the workflow status colors
+const STATUS_BADGE_CLASSES = {
+  gray: 'text-gray-600 bg-gray-50 border-gray-200',
+  amber: 'text-amber-600 bg-amber-50 border-amber-200',
+  blue: 'text-blue-600 bg-blue-50 border-blue-200',
+  purple: 'text-purple-600 bg-purple-50 border-purple-200',
+  orange: 'text-orange-600 bg-orange-50 border-orange-200',
+  red: 'text-red-600 bg-red-50 border-red-200',
+  green: 'text-green-600 bg-green-50 border-green-200'
+};
+
+// Shortest search the task query API accepts
+const MIN_SERVER_SEARCH_LENGTH = 2;
+
 const TaskTable = ({ 
-  tasks, 
+  tasks: providedTasks, 
   showFilters = true, 
   title = "Tasks",
   onTaskUpdate,
   onTaskDelete,
   currentUser,
   userRole,
-  clientList = []
+  clientList = [],
+  layout, // 'table' or 'board'; when not set, the header offers a toggle
+  query // When set, tasks come page by page from /api/tasks/query with these params (e.g. { assignee })
 }) => {
   // State for filtering and sorting
   const [searchTerm, setSearchTerm] = useState('');
@@ -43,6 +65,31 @@ const TaskTable = ({
   const [filterPriority, setFilterPriority] = useState('all');
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
   const [taskView, setTaskView] = useState('all'); // 'all', 'toMe', 'byMe', 'byClient', 'byUser'
+  const [selectedLayout, setSelectedLayout] = useState('table');
+  const activeLayout = layout || selectedLayout;
+
+  // Server mode: filters, search and sort run in the query API
+  const serverMode = !!query;
+  const trimmedSearch = searchTerm.trim();
+  const taskQuery = useTaskQuery({
+    ...query,
+    search: trimmedSearch.length >= MIN_SERVER_SEARCH_LENGTH ? trimmedSearch : '',
+    status: filterStatus === 'overdue' ? 'all' : filterStatus,
+    overdue: filterStatus === 'overdue',
+    priority: filterPriority,
+    assignee: taskView === 'toMe' ? currentUser : query?.assignee,
+    assigner: taskView === 'byMe' ? currentUser : query?.assigner,
+    ...(sortConfig.key && { sort: sortConfig.key, order: sortConfig.direction })
+  }, { enabled: serverMode });
+  const tasks = serverMode ? taskQuery.tasks : (providedTasks || []);
+
+  const refreshServerTasks = () => {
+    if (serverMode) taskQuery.reload();
+  };
+
+  // Organization's statuses (board columns) and allowed moves
+  const { statuses, getStatus, getNextStatuses } = useTaskWorkflow();
+  const actingUser = { username: currentUser, role: userRole };
   
   // State for modals
   const [editModalOpen, setEditModalOpen] = useState(false);
@@ -50,6 +97,30 @@ const TaskTable = ({
   const [detailModalOpen, setDetailModalOpen] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const [loading, setLoading] = useState(false);
+  const router = useRouter();
+
+  // Links to a task (e.g. from a mention) carry ?taskId=, which opens its details
+  useEffect(() => {
+    const linkedTaskId = router?.query?.taskId;
+    if (!linkedTaskId) return;
+
+    let cancelled = false;
+    tasksApi.getTaskById(linkedTaskId)
+      .then(result => {
+        const linkedTask = result?.task || result;
+        if (cancelled || !linkedTask?.id) return;
+        setSelectedTask(linkedTask);
+        setDetailModalOpen(true);
+      })
+      .catch(error => console.error('Error opening linked task:', error))
+      .finally(() => {
+        if (cancelled) return;
+        const { taskId, ...query } = router.query;
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+      });
+
+    return () => { cancelled = true; };
+  }, [router?.query?.taskId]);
   const [completingTasks, setCompletingTasks] = useState(new Set());
   
   // Permission check
@@ -130,7 +201,7 @@ const TaskTable = ({
     if (filterStatus !== 'all') {
       if (filterStatus === 'overdue') {
         filtered = filtered.filter(task => {
-          if (task.status === 'pending' && task.deadline) {
+          if (!isClosedStatus(task.status) && task.deadline) {
             return new Date(task.deadline) < new Date();
           }
           return false;
@@ -162,13 +233,16 @@ const TaskTable = ({
   };
 
   const getFilteredAndSortedTasks = (tasks) => {
+    // The query API already filtered and sorted the page
+    if (serverMode) return tasks;
+
     const filtered = filterTasks(tasks);
     return sortTasks(filtered);
   };
 
   // Utility functions
   const getStatusColor = (status) => {
-    return status === 'done' ? 'text-green-600 bg-green-50 border-green-200' : 'text-amber-600 bg-amber-50 border-amber-200';
+    return STATUS_BADGE_CLASSES[getStatus(status).color] || STATUS_BADGE_CLASSES.gray;
   };
 
   const getPriorityColor = (priority) => {
@@ -187,7 +261,7 @@ const TaskTable = ({
   };
 
   const isOverdue = (task) => {
-    if (task.status === 'pending' && task.deadline) {
+    if (!isClosedStatus(task.status) && task.deadline) {
       return new Date(task.deadline) < new Date();
     }
     return false;
@@ -217,6 +291,7 @@ const TaskTable = ({
       await onTaskUpdate(selectedTask.id, updateData);
       setEditModalOpen(false);
       setSelectedTask(null);
+      refreshServerTasks();
     } catch (error) {
       console.error('Failed to update task:', error);
     } finally {
@@ -238,6 +313,7 @@ const TaskTable = ({
       await onTaskDelete(selectedTask.id);
       setDeleteModalOpen(false);
       setSelectedTask(null);
+      refreshServerTasks();
     } catch (error) {
       console.error('Failed to delete task:', error);
     } finally {
@@ -245,8 +321,66 @@ const TaskTable = ({
     }
   };
 
+  // Ask for the values a workflow transition requires (e.g. a reason); null when cancelled
+  const collectTransitionFields = (task, toStatus) => {
+    const target = task && getNextStatuses(task, actingUser).find(status => status.key === toStatus);
+    const fields = {};
+
+    for (const field of target?.requiredFields || []) {
+      const value = window.prompt(`Moving to "${target.label}" requires a ${field}:`);
+      if (!value || !value.trim()) return null;
+      fields[field] = value.trim();
+    }
+
+    return fields;
+  };
+
+  // Handle a move to another workflow status
+  const handleStatusChange = async (task, toStatus) => {
+    const fields = collectTransitionFields(task, toStatus);
+    if (!fields) return;
+
+    setCompletingTasks(prev => new Set(prev).add(task.id));
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/tasks/${task.id}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status: toStatus, ...fields })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || 'Failed to change task status');
+      }
+
+      if (onTaskUpdate) {
+        onTaskUpdate(task.id, { status: toStatus }).catch(err =>
+          console.error('Background task update failed:', err)
+        );
+      }
+      refreshServerTasks();
+    } catch (error) {
+      console.error('Failed to change task status:', error);
+      alert(error.message);
+    } finally {
+      setCompletingTasks(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(task.id);
+        return newSet;
+      });
+    }
+  };
+
   // Handle undo task (mark as pending)
   const handleUndoTask = async (taskId) => {
+    const fields = collectTransitionFields(tasks.find(t => t.id === taskId), 'pending');
+    if (!fields) return;
+
     setCompletingTasks(prev => new Set(prev).add(taskId));
 
     try {
@@ -257,7 +391,7 @@ const TaskTable = ({
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ status: 'pending' })
+        body: JSON.stringify({ status: 'pending', ...fields })
       });
 
       if (!response.ok) {
@@ -272,8 +406,10 @@ const TaskTable = ({
           console.error('Background task update failed:', err)
         );
       }
+      refreshServerTasks();
     } catch (error) {
       console.error('Failed to undo task:', error);
+      alert(error.message);
     } finally {
       setCompletingTasks(prev => {
         const newSet = new Set(prev);
@@ -285,12 +421,15 @@ const TaskTable = ({
 
   // Handle complete task
   const handleCompleteTask = async (taskId) => {
-    setCompletingTasks(prev => new Set(prev).add(taskId));
-
     // Find the task BEFORE the API call (important!)
     const taskToComplete = tasks.find(t => t.id === taskId);
     console.log('🔍 DEBUG: Task to complete:', taskToComplete);
 
+    const fields = collectTransitionFields(taskToComplete, 'done');
+    if (!fields) return;
+
+    setCompletingTasks(prev => new Set(prev).add(taskId));
+
     try {
       const token = localStorage.getItem('token');
       const response = await fetch(`/api/tasks/${taskId}`, {
@@ -299,7 +438,7 @@ const TaskTable = ({
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ status: 'done' })
+        body: JSON.stringify({ status: 'done', ...fields })
       });
 
       if (!response.ok) {
@@ -367,9 +506,11 @@ const TaskTable = ({
           console.error('Background task update failed:', err)
         );
       }
+      refreshServerTasks();
     } catch (error) {
       console.error('Failed to complete task:', error);
-      // You might want to show an error message to the user here
+      // Workflow rules (e.g. only the assigner may approve) explain themselves
+      alert(error.message);
     } finally {
       setCompletingTasks(prev => {
         const newSet = new Set(prev);
@@ -379,6 +520,37 @@ const TaskTable = ({
     }
   };
 
+  const canMoveTo = (task, status) => {
+    return getNextStatuses(task, actingUser).some(next => next.key === status);
+  };
+
+  // Dropdown with the moves the workflow allows this user
+  const renderStatusMenu = (task) => {
+    const nextStatuses = getNextStatuses(task, actingUser);
+    if (nextStatuses.length === 0) return null;
+
+    return (
+      <select
+        value=""
+        onChange={(e) => {
+          if (e.target.value === 'done') {
+            handleCompleteTask(task.id);
+          } else if (e.target.value) {
+            handleStatusChange(task, e.target.value);
+          }
+        }}
+        disabled={completingTasks.has(task.id)}
+        className="px-2 py-1 border border-gray-300 rounded text-xs bg-white focus:ring-2 focus:ring-black focus:border-black disabled:opacity-50"
+        title="Change status"
+      >
+        <option value="">Move to…</option>
+        {nextStatuses.map(status => (
+          <option key={status.key} value={status.key}>{status.label}</option>
+        ))}
+      </select>
+    );
+  };
+
   // Clear all filters
   const clearAllFilters = useCallback(() => {
     setSearchTerm('');
@@ -390,6 +562,20 @@ const TaskTable = ({
   // Get filtered and sorted tasks
   const sortedTasks = getFilteredAndSortedTasks(tasks);
 
+  // Board columns follow the workflow order; unknown statuses go last
+  const boardColumns = [
+    ...statuses.map(status => ({
+      ...status,
+      tasks: sortedTasks.filter(task => task.status === status.key)
+    })),
+    {
+      key: '__other',
+      label: 'Other',
+      color: 'gray',
+      tasks: sortedTasks.filter(task => !statuses.some(status => status.key === task.status))
+    }
+  ].filter(column => column.key !== '__other' || column.tasks.length > 0);
+
   return (
     <>
       <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
@@ -399,7 +585,7 @@ const TaskTable = ({
               <div className="flex flex-col sm:flex-row sm:items-center space-y-2 sm:space-y-0 sm:space-x-4 w-full lg:w-auto">
                 <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
                   <List className="w-5 h-5" />
-                  <span>{title} ({sortedTasks.length})</span>
+                  <span>{title} ({serverMode ? taskQuery.total : sortedTasks.length})</span>
                 </h3>
                 
                 {/* Task View Toggles */}
@@ -428,30 +614,35 @@ const TaskTable = ({
                     <UserX className="w-3 h-3 flex-shrink-0" />
                     <span className="hidden sm:inline">By Me</span>
                   </button>
-                  <button
-                    type="button"
-                    onClick={() => setTaskView('byClient')}
-                    className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
-                      taskView === 'byClient' 
-                        ? 'bg-purple-600 text-white' 
-                        : 'text-gray-600 hover:bg-gray-100'
-                    }`}
-                  >
-                    <Building className="w-3 h-3 flex-shrink-0" />
-                    <span className="hidden sm:inline">Client</span>
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setTaskView('byUser')}
-                    className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
-                      taskView === 'byUser' 
-                        ? 'bg-orange-600 text-white' 
-                        : 'text-gray-600 hover:bg-gray-100'
-                    }`}
-                  >
-                    <Users className="w-3 h-3 flex-shrink-0" />
-                    <span className="hidden sm:inline">User</span>
-                  </button>
+                  {/* Client / User split has no server filter */}
+                  {!serverMode && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setTaskView('byClient')}
+                        className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
+                          taskView === 'byClient' 
+                            ? 'bg-purple-600 text-white' 
+                            : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                      >
+                        <Building className="w-3 h-3 flex-shrink-0" />
+                        <span className="hidden sm:inline">Client</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setTaskView('byUser')}
+                        className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
+                          taskView === 'byUser' 
+                            ? 'bg-orange-600 text-white' 
+                            : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                      >
+                        <Users className="w-3 h-3 flex-shrink-0" />
+                        <span className="hidden sm:inline">User</span>
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
               
@@ -497,8 +688,9 @@ const TaskTable = ({
                     className="pl-10 pr-8 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black appearance-none bg-white"
                   >
                     <option value="all">All Status</option>
-                    <option value="pending">Pending</option>
-                    <option value="done">Completed</option>
+                    {statuses.map(status => (
+                      <option key={status.key} value={status.key}>{status.label}</option>
+                    ))}
                     <option value="overdue">Overdue</option>
                   </select>
                 </div>
@@ -518,6 +710,32 @@ const TaskTable = ({
                   </select>
                 </div>
 
+                {/* Table / Board Toggle */}
+                {!layout && (
+                  <div className="flex items-center bg-white border border-gray-200 rounded-lg p-0.5">
+                    <button
+                      type="button"
+                      onClick={() => setSelectedLayout('table')}
+                      className={`p-1.5 rounded transition-colors ${
+                        activeLayout === 'table' ? 'bg-black text-white' : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                      title="Table"
+                    >
+                      <List className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedLayout('board')}
+                      className={`p-1.5 rounded transition-colors ${
+                        activeLayout === 'board' ? 'bg-black text-white' : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                      title="Board"
+                    >
+                      <Columns className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+
                 {/* Clear Filters */}
                 {(searchTerm || filterStatus !== 'all' || filterPriority !== 'all') && (
                   <Button
@@ -535,8 +753,76 @@ const TaskTable = ({
           </div>
         )}
         
+        {/* Board View - one column per workflow status */}
+        {activeLayout === 'board' && (
+          <div className="p-4 overflow-x-auto">
+            <div className="flex gap-4 min-w-max">
+              {boardColumns.map(column => (
+                <div key={column.key} className="w-72 flex-shrink-0 bg-gray-50 border border-gray-100 rounded-lg">
+                  <div className="px-3 py-2 border-b border-gray-100 flex items-center justify-between">
+                    <span className={`px-2 py-0.5 text-xs rounded-full border font-medium ${STATUS_BADGE_CLASSES[column.color] || STATUS_BADGE_CLASSES.gray}`}>
+                      {column.label}
+                    </span>
+                    <span className="text-xs text-gray-500">{column.tasks.length}</span>
+                  </div>
+
+                  <div className="p-2 space-y-2 max-h-[32rem] overflow-y-auto">
+                    {column.tasks.map(task => {
+                      const overdue = isOverdue(task);
+
+                      return (
+                        <div
+                          key={task.id}
+                          className={`bg-white border rounded-lg p-3 shadow-sm ${overdue ? 'border-red-200' : 'border-gray-200'}`}
+                        >
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setSelectedTask(task);
+                              setDetailModalOpen(true);
+                            }}
+                            className="text-left text-sm font-medium text-gray-900 hover:underline w-full"
+                          >
+                            {task.task}
+                          </button>
+                          <p className="text-xs text-gray-500 flex items-center mt-1">
+                            <Building className="w-3 h-3 mr-1" />
+                            {task.client_name}
+                          </p>
+
+                          <div className="flex items-center justify-between text-xs text-gray-500 mt-2">
+                            <span className="flex items-center truncate">
+                              <User className="w-3 h-3 mr-1" />
+                              {task.assigned_to}
+                            </span>
+                            <span className={`flex items-center ${overdue ? 'text-red-600 font-medium' : ''}`}>
+                              <Timer className="w-3 h-3 mr-1" />
+                              {new Date(task.deadline).toLocaleDateString()}
+                            </span>
+                          </div>
+
+                          <div className="flex items-center justify-between mt-2">
+                            <span className={`px-2 py-0.5 border rounded text-xs font-medium ${getPriorityColor(task.priority)}`}>
+                              {task.priority}
+                            </span>
+                            {renderStatusMenu(task)}
+                          </div>
+                        </div>
+                      );
+                    })}
+
+                    {column.tasks.length === 0 && (
+                      <p className="text-xs text-gray-400 text-center py-4">No tasks</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Mobile Card View */}
-        <div className="md:hidden">
+        <div className={activeLayout === 'board' ? 'hidden' : 'md:hidden'}>
           <div className="space-y-3">
             {sortedTasks.map((task) => {
               const canEdit = canEditTask(task);
@@ -552,12 +838,8 @@ const TaskTable = ({
                         {task.client_name}
                       </p>
                     </div>
-                    <span className={`px-2 py-1 text-xs rounded-full ${
-                      task.status === 'done' ? 'bg-green-100 text-green-800' :
-                      task.status === 'in_progress' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-gray-100 text-gray-600'
-                    }`}>
-                      {task.status === 'done' ? 'completed' : task.status.replace('_', ' ')}
+                    <span className={`px-2 py-1 text-xs rounded-full border ${getStatusColor(task.status)}`}>
+                      {getStatus(task.status).label}
                     </span>
                   </div>
 
@@ -592,23 +874,28 @@ const TaskTable = ({
                       >
                         <Eye className="w-4 h-4 text-gray-600" />
                       </button>
-                      {task.status === 'pending' ? (
-                        <button
-                          onClick={() => handleCompleteTask(task.id)}
-                          disabled={completingTasks.has(task.id)}
-                          className="p-1.5 hover:bg-green-100 rounded disabled:opacity-50"
-                        >
-                          <CheckCircle className="w-4 h-4 text-green-600" />
-                        </button>
+                      {task.status !== 'done' ? (
+                        canMoveTo(task, 'done') && (
+                          <button
+                            onClick={() => handleCompleteTask(task.id)}
+                            disabled={completingTasks.has(task.id)}
+                            className="p-1.5 hover:bg-green-100 rounded disabled:opacity-50"
+                          >
+                            <CheckCircle className="w-4 h-4 text-green-600" />
+                          </button>
+                        )
                       ) : (
-                        <button
-                          onClick={() => handleUndoTask(task.id)}
-                          disabled={completingTasks.has(task.id)}
-                          className="p-1.5 hover:bg-amber-100 rounded disabled:opacity-50"
-                        >
-                          <RotateCcw className="w-4 h-4 text-amber-600" />
-                        </button>
+                        canMoveTo(task, 'pending') && (
+                          <button
+                            onClick={() => handleUndoTask(task.id)}
+                            disabled={completingTasks.has(task.id)}
+                            className="p-1.5 hover:bg-amber-100 rounded disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-4 h-4 text-amber-600" />
+                          </button>
+                        )
                       )}
+                      {renderStatusMenu(task)}
                       {canEdit && (
                         <button
                           onClick={() => {
@@ -640,7 +927,7 @@ const TaskTable = ({
         </div>
 
         {/* Desktop Table View */}
-        <div className="hidden md:block overflow-x-auto">
+        <div className={activeLayout === 'board' ? 'hidden' : 'hidden md:block overflow-x-auto'}>
           <table className="w-full">
             <thead className="bg-gray-50 border-b border-gray-100">
               <tr>
@@ -742,7 +1029,7 @@ const TaskTable = ({
                       <span className={`px-2 py-1 border rounded text-xs font-medium ${
                         overdue ? 'text-red-600 bg-red-50 border-red-200' : getStatusColor(task.status)
                       }`}>
-                        {overdue ? 'Overdue' : task.status}
+                        {overdue ? 'Overdue' : getStatus(task.status).label}
                       </span>
                     </td>
                     <td className="px-6 py-4">
@@ -782,26 +1069,33 @@ const TaskTable = ({
                         </button>
 
                         {/* Complete / Undo */}
-                        {task.status === 'pending' ? (
-                          <button
-                            onClick={() => handleCompleteTask(task.id)}
-                            disabled={completingTasks.has(task.id)}
-                            className="p-1.5 hover:bg-green-100 rounded transition-colors disabled:opacity-50"
-                            title="Complete"
-                          >
-                            <CheckCircle className="w-4 h-4 text-green-600" />
-                          </button>
+                        {task.status !== 'done' ? (
+                          canMoveTo(task, 'done') && (
+                            <button
+                              onClick={() => handleCompleteTask(task.id)}
+                              disabled={completingTasks.has(task.id)}
+                              className="p-1.5 hover:bg-green-100 rounded transition-colors disabled:opacity-50"
+                              title="Complete"
+                            >
+                              <CheckCircle className="w-4 h-4 text-green-600" />
+                            </button>
+                          )
                         ) : (
-                          <button
-                            onClick={() => handleUndoTask(task.id)}
-                            disabled={completingTasks.has(task.id)}
-                            className="p-1.5 hover:bg-amber-100 rounded transition-colors disabled:opacity-50"
-                            title="Undo"
-                          >
-                            <RotateCcw className="w-4 h-4 text-amber-600" />
-                          </button>
+                          canMoveTo(task, 'pending') && (
+                            <button
+                              onClick={() => handleUndoTask(task.id)}
+                              disabled={completingTasks.has(task.id)}
+                              className="p-1.5 hover:bg-amber-100 rounded transition-colors disabled:opacity-50"
+                              title="Undo"
+                            >
+                              <RotateCcw className="w-4 h-4 text-amber-600" />
+                            </button>
+                          )
                         )}
 
+                        {/* Other workflow moves */}
+                        {renderStatusMenu(task)}
+
                         {/* Edit */}
                         {canEdit && (
                           <button
@@ -857,6 +1151,28 @@ const TaskTable = ({
             </tbody>
           </table>
         </div>
+
+        {/* Paging for server mode */}
+        {serverMode && (taskQuery.error || taskQuery.hasMore || taskQuery.loading) && (
+          <div className="p-3 border-t border-gray-100 flex items-center justify-between text-sm text-gray-600">
+            <span className={taskQuery.error ? 'text-red-600' : ''}>
+              {taskQuery.error || (taskQuery.loading
+                ? 'Loading tasks...'
+                : `Showing ${sortedTasks.length} of ${taskQuery.total}`)}
+            </span>
+            {taskQuery.hasMore && (
+              <Button
+                onClick={taskQuery.loadMore}
+                disabled={taskQuery.loadingMore}
+                variant="outline"
+                size="sm"
+                className="text-gray-600 border-gray-300 hover:bg-gray-50"
+              >
+                {taskQuery.loadingMore ? 'Loading...' : 'Load more'}
+              </Button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Edit Task Modal */}
@@ -903,7 +1219,7 @@ const TaskTable = ({
           setSelectedTask(null);
         }}
         task={selectedTask}
-        currentUser={currentUser}
+        currentUser={actingUser}
         onTaskUpdate={onTaskUpdate}
       />
 
@@ -1,6 +1,11 @@
 // components/UserProfile.js - User Profile Component
 import React, { useState, useEffect, useRef } from 'react';
-import { User, Mail, Shield, Calendar, Eye, EyeOff, Lock, Save, X, Camera, Trash2, Upload } from 'lucide-react';
+import { User, Mail, Shield, Calendar, Eye, EyeOff, Lock, Save, X, Camera, Trash2, Upload, LogOut } from 'lucide-react';
+import { authApi } from '../src/api/auth.api';
+import SessionList from './users/SessionList';
+import TwoFactorSettings from './users/TwoFactorSettings';
+import PasswordRequirements from './auth/PasswordRequirements';
+import { validatePasswordAgainstPolicy } from '../src/utils/passwordPolicy.util';
 
 const UserProfile = () => {
   const [user, setUser] = useState(null);
@@ -18,10 +23,8 @@ const UserProfile = () => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [passwordLoading, setPasswordLoading] = useState(false);
 
-  // Password viewing state
-  const [displayPassword, setDisplayPassword] = useState('');
-  const [showDisplayPassword, setShowDisplayPassword] = useState(false);
-  const [loadingPassword, setLoadingPassword] = useState(false);
+  // Organization password policy (null until loaded; defaults apply meanwhile)
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
 
   // Profile edit state
   const [isEditing, setIsEditing] = useState(false);
@@ -37,6 +40,10 @@ const UserProfile = () => {
   const [successAlertMessage, setSuccessAlertMessage] = useState('');
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
+  // Sign out all devices state
+  const [showSignOutAllConfirm, setShowSignOutAllConfirm] = useState(false);
+  const [signingOutAll, setSigningOutAll] = useState(false);
+
   useEffect(() => {
     loadUserProfile();
   }, []);
@@ -55,8 +62,7 @@ const UserProfile = () => {
       setEditedEmail(userData.email || '');
       setProfileImage(userData.profileImage || null);
 
-      // Load password display
-      await loadPasswordDisplay();
+      await loadPasswordPolicy();
     } catch (error) {
       setError('Failed to load profile');
     } finally {
@@ -64,12 +70,11 @@ const UserProfile = () => {
     }
   };
 
-  const loadPasswordDisplay = async () => {
+  const loadPasswordPolicy = async () => {
     try {
-      setLoadingPassword(true);
       const token = localStorage.getItem('token');
 
-      const response = await fetch('/api/users/get-password', {
+      const response = await fetch('/api/users/change-password', {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -79,13 +84,11 @@ const UserProfile = () => {
 
       const data = await response.json();
 
-      if (data.success && data.password) {
-        setDisplayPassword(data.password);
+      if (data.success) {
+        setPasswordPolicy(data.passwordPolicy);
       }
     } catch (error) {
-      console.error('Failed to load password display:', error);
-    } finally {
-      setLoadingPassword(false);
+      console.error('Failed to load password policy:', error);
     }
   };
 
@@ -100,8 +103,9 @@ const UserProfile = () => {
       return;
     }
 
-    if (newPassword.length < 6) {
-      setError('New password must be at least 6 characters');
+    const passwordErrors = validatePasswordAgainstPolicy(newPassword, passwordPolicy);
+    if (passwordErrors.length > 0) {
+      setError(passwordErrors[0].message);
       return;
     }
 
@@ -139,9 +143,6 @@ const UserProfile = () => {
         setNewPassword('');
         setConfirmPassword('');
 
-        // Reload password display
-        await loadPasswordDisplay();
-
         setTimeout(() => {
           setShowChangePassword(false);
           setSuccess('');
@@ -343,6 +344,14 @@ const UserProfile = () => {
     }
   };
 
+  const handleSignOutAllDevices = async () => {
+    setError('');
+    setSigningOutAll(true);
+
+    // Revokes every refresh token for this account, then logs out locally
+    await authApi.logout({ allDevices: true });
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-8">
@@ -578,60 +587,66 @@ const UserProfile = () => {
         <h3 className="text-lg lg:text-xl font-bold text-black mb-4 lg:mb-6">Security</h3>
 
         <div className="space-y-4">
-          {/* Password Display */}
-          <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-            <div className="flex items-center justify-between mb-3">
-              <div className="flex items-center space-x-3">
-                <Lock className="w-5 h-5 text-gray-600" />
-                <div>
-                  <p className="font-semibold text-black">Current Password</p>
-                  {loadingPassword ? (
-                    <p className="text-sm text-gray-600">Loading...</p>
-                  ) : (
-                    <div className="flex items-center space-x-2 mt-1">
-                      <p className="text-sm text-black font-mono">
-                        {showDisplayPassword && displayPassword ? displayPassword : '••••••••••••'}
-                      </p>
-                      {displayPassword && (
-                        <button
-                          onClick={() => setShowDisplayPassword(!showDisplayPassword)}
-                          className="text-gray-500 hover:text-black transition-colors"
-                          title={showDisplayPassword ? "Hide password" : "Show password"}
-                        >
-                          {showDisplayPassword ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                        </button>
-                      )}
-                    </div>
-                  )}
-                </div>
+          {/* Password */}
+          <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <Lock className="w-5 h-5 text-gray-600" />
+              <div>
+                <p className="font-semibold text-black">Password</p>
+                <p className="text-sm text-gray-600">
+                  Your password is stored securely and cannot be viewed by anyone.
+                </p>
               </div>
-              <button
-                onClick={() => setShowChangePassword(true)}
-                className="px-3 lg:px-4 py-1.5 lg:py-2 bg-black text-white rounded-lg hover:bg-gray-800 font-medium text-xs lg:text-sm transition-colors"
-              >
-                Change Password
-              </button>
             </div>
+            <button
+              onClick={() => setShowChangePassword(true)}
+              className="px-3 lg:px-4 py-1.5 lg:py-2 bg-black text-white rounded-lg hover:bg-gray-800 font-medium text-xs lg:text-sm transition-colors"
+            >
+              Change Password
+            </button>
           </div>
 
-          {/* Security Warning */}
-          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
-            <p className="text-sm text-red-800">
-              <strong>⚠️ Security Warning:</strong> Your password is displayed for convenience.
-              Do not share your password with anyone. Keep it confidential.
-            </p>
+          {/* Sign Out All Devices */}
+          <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <LogOut className="w-5 h-5 text-gray-600" />
+              <div>
+                <p className="font-semibold text-black">Sign Out All Devices</p>
+                <p className="text-sm text-gray-600">
+                  End every session for your account, including this one.
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => setShowSignOutAllConfirm(true)}
+              className="px-3 lg:px-4 py-1.5 lg:py-2 bg-white text-black border-2 border-black rounded-lg hover:bg-gray-100 font-medium text-xs lg:text-sm transition-colors"
+            >
+              Sign Out All
+            </button>
           </div>
 
           {/* Security Tip */}
           <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
             <p className="text-sm text-blue-800">
-              <strong>Security Tip:</strong> Use a strong password with at least 6 characters.
-              Consider using a mix of letters, numbers, and symbols.
+              <strong>Security Tip:</strong> Use a password you don&apos;t use anywhere else, and never share it.
+              Administrators can send you a link to set a new one if you forget it.
             </p>
           </div>
         </div>
       </div>
 
+      {/* Two-Factor Authentication Section */}
+      <div className="bg-white border border-gray-100 rounded-lg p-4 lg:p-6">
+        <h3 className="text-lg lg:text-xl font-bold text-black mb-4 lg:mb-6">Two-Factor Authentication</h3>
+        <TwoFactorSettings />
+      </div>
+
+      {/* Active Sessions Section */}
+      <div className="bg-white border border-gray-100 rounded-lg p-4 lg:p-6">
+        <h3 className="text-lg lg:text-xl font-bold text-black mb-4 lg:mb-6">Active Sessions</h3>
+        <SessionList showTerminateAll={false} />
+      </div>
+
       {/* Change Password Modal */}
       {showChangePassword && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -691,7 +706,7 @@ const UserProfile = () => {
                     value={newPassword}
                     onChange={(e) => setNewPassword(e.target.value)}
                     className="w-full px-4 py-3 pr-12 bg-gray-50 border-2 border-gray-300 rounded-xl focus:border-black focus:bg-white focus:outline-none"
-                    placeholder="Enter new password (min 6 chars)"
+                    placeholder="Enter new password"
                     disabled={passwordLoading}
                   />
                   <button
@@ -702,6 +717,9 @@ const UserProfile = () => {
                     {showNewPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                   </button>
                 </div>
+                <div className="mt-2">
+                  <PasswordRequirements password={newPassword} policy={passwordPolicy} />
+                </div>
               </div>
 
               {/* Confirm Password */}
@@ -848,6 +866,42 @@ const UserProfile = () => {
           </div>
         </div>
       )}
+
+      {/* Sign Out All Devices Confirmation Modal */}
+      {showSignOutAllConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full shadow-xl border border-gray-200">
+            <div className="flex flex-col items-center text-center">
+              <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
+                <LogOut className="w-8 h-8 text-black" />
+              </div>
+
+              <h3 className="text-lg font-bold text-black mb-2">Sign Out All Devices?</h3>
+
+              <p className="text-gray-600 mb-6">
+                You will be signed out everywhere, including this browser, and will need to log in again.
+              </p>
+
+              <div className="flex gap-3 w-full">
+                <button
+                  onClick={() => setShowSignOutAllConfirm(false)}
+                  disabled={signingOutAll}
+                  className="flex-1 px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSignOutAllDevices}
+                  disabled={signingOutAll}
+                  className="flex-1 px-4 py-2 bg-black hover:bg-gray-800 text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+                >
+                  {signingOutAll ? 'Signing Out...' : 'Sign Out'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
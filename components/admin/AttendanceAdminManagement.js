@@ -34,6 +34,8 @@ import {
   Briefcase
 } from 'lucide-react';
 import useAttendanceAdminManagementStore from '../../hooks/useAttendanceAdminManagement';
+import OfficeSitePanel from '../attendance/OfficeSitePanel';
+import PayrollExportPanel from '../attendance/PayrollExportPanel';
 
 const AttendanceAdminManagement = () => {
   // Controller layer - handles all business logic
@@ -641,6 +643,12 @@ const AttendanceAdminManagement = () => {
         </div>
       </div>
 
+      {/* Payroll Export */}
+      <PayrollExportPanel />
+
+      {/* Office Sites */}
+      <OfficeSitePanel />
+
       {/* Edit Record Modal */}
       {editingRecord && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,271 @@
+/**
+ * Audit Log Component
+ * Lists the organization's audit log with filters, export and chain verification
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { ScrollText, Download, ShieldCheck, ShieldAlert, RefreshCw, Search } from 'lucide-react';
+import { httpClient } from '../../src/shared/api/httpClient';
+
+const EMPTY_FILTERS = { actor: '', resourceType: '', from: '', to: '' };
+
+// Only send the filters that are set
+const toParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value)
+);
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const loadEntries = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await httpClient.get('/audit-logs', {
+        ...toParams(filters),
+        ...(cursor && { cursor })
+      });
+
+      setEntries(prev => cursor ? [...prev, ...response.data.entries] : response.data.entries);
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadEntries();
+    // Filters are applied with the Search button, not on every keystroke
+  }, []);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadEntries();
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setError('');
+
+    try {
+      // CSV comes back as text, JSON already parsed
+      const data = await httpClient.get('/audit-logs/export', { ...toParams(filters), format });
+      const content = format === 'json' ? JSON.stringify(data, null, 2) : data;
+
+      const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    setError('');
+
+    try {
+      const response = await httpClient.get('/audit-logs/verify');
+      setVerification(response.data);
+    } catch (err) {
+      setError(err.message || 'Failed to verify audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
+        <div className="p-4 border-b border-gray-100 bg-gray-50 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div className="flex items-center space-x-2">
+            <ScrollText className="w-4 h-4 text-gray-600" />
+            <h3 className="font-semibold text-black">Audit Log</h3>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleVerify}
+              disabled={verifying}
+              className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+            >
+              <ShieldCheck className="w-3 h-3" />
+              <span>{verifying ? 'Verifying...' : 'Verify Integrity'}</span>
+            </button>
+            <button
+              onClick={() => handleExport('csv')}
+              disabled={exporting}
+              className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+            >
+              <Download className="w-3 h-3" />
+              <span>CSV</span>
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              disabled={exporting}
+              className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+            >
+              <Download className="w-3 h-3" />
+              <span>JSON</span>
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSearch} className="p-4 border-b border-gray-100 grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="text"
+            value={filters.actor}
+            onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black"
+            placeholder="User (username)"
+          />
+          <input
+            type="text"
+            value={filters.resourceType}
+            onChange={(e) => setFilters({ ...filters, resourceType: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black"
+            placeholder="Resource (e.g. tasks, users)"
+          />
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black"
+            title="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black"
+            title="To date"
+          />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-black hover:bg-gray-800 text-white px-3 py-2 rounded-lg text-sm flex items-center justify-center space-x-1 disabled:opacity-50"
+            >
+              <Search className="w-3 h-3" />
+              <span>Search</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+              title="Clear filters"
+            >
+              <RefreshCw className="w-3 h-3" />
+            </button>
+          </div>
+        </form>
+
+        {verification && (
+          <div className={`p-4 border-b text-sm flex items-center space-x-2 ${
+            verification.valid ? 'bg-green-50 border-green-100 text-green-800' : 'bg-red-50 border-red-100 text-red-800'
+          }`}>
+            {verification.valid ? <ShieldCheck className="w-4 h-4" /> : <ShieldAlert className="w-4 h-4" />}
+            <span>
+              {verification.valid
+                ? `All ${verification.checked} entries are intact.`
+                : `${verification.reason} at entry #${verification.brokenAt} (${verification.checked} entries before it are intact).`}
+            </span>
+          </div>
+        )}
+
+        {error && (
+          <div className="p-4 border-b border-red-100 bg-red-50 text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2 text-left">#</th>
+                <th className="px-4 py-2 text-left">Time</th>
+                <th className="px-4 py-2 text-left">User</th>
+                <th className="px-4 py-2 text-left">Action</th>
+                <th className="px-4 py-2 text-left">Resource</th>
+                <th className="px-4 py-2 text-left">Changes</th>
+                <th className="px-4 py-2 text-left">IP Address</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-4 py-2 text-gray-500">{entry.sequence}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-700">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-2 text-black">{entry.actorUsername || '—'}</td>
+                  <td className="px-4 py-2">
+                    <span className="font-mono text-xs text-black">{entry.action}</span>
+                    <p className="text-xs text-gray-500">{entry.method} {entry.path}</p>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">
+                    {entry.resourceType}
+                    {entry.resourceId && <p className="text-xs text-gray-500 font-mono">{entry.resourceId}</p>}
+                  </td>
+                  <td className="px-4 py-2">
+                    {entry.diff.length === 0 ? (
+                      <span className="text-xs text-gray-400">No field changes</span>
+                    ) : (
+                      <ul className="space-y-1 max-w-md">
+                        {entry.diff.map(change => (
+                          <li key={change.field} className="text-xs break-all">
+                            <span className="font-medium text-black">{change.field}</span>
+                            {': '}
+                            <span className="text-red-600 line-through">{formatValue(change.before)}</span>
+                            {' → '}
+                            <span className="text-green-700">{formatValue(change.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-xs text-gray-500">{entry.ipAddress || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {!loading && entries.length === 0 && !error && (
+            <p className="p-6 text-center text-sm text-gray-500">No audit log entries match these filters.</p>
+          )}
+        </div>
+
+        {(nextCursor || loading) && (
+          <div className="p-4 border-t border-gray-100 text-center">
+            <button
+              onClick={() => loadEntries(nextCursor)}
+              disabled={loading}
+              className="text-gray-700 border border-gray-300 hover:bg-gray-50 px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Load More'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -41,6 +41,7 @@ const DailyTaskAdmin = ({ currentUser }) => {
     success,
     dailyEntries,
     users,
+    teams,
     dateRange,
     filters,
     bulkOperations,
@@ -52,6 +53,7 @@ const DailyTaskAdmin = ({ currentUser }) => {
     setFilters,
     clearMessages,
     loadUsers,
+    loadTeams,
     loadDailyEntries,
     getFilteredEntries,
     getStatistics,
@@ -70,9 +72,10 @@ const DailyTaskAdmin = ({ currentUser }) => {
   useEffect(() => {
     if (isAdmin) {
       loadUsers();
+      loadTeams();
       loadDailyEntries();
     }
-  }, [isAdmin, loadUsers, loadDailyEntries]);
+  }, [isAdmin, loadUsers, loadTeams, loadDailyEntries]);
 
   // Get filtered data and statistics
   const filteredEntries = getFilteredEntries();
@@ -247,7 +250,7 @@ const DailyTaskAdmin = ({ currentUser }) => {
 
       {/* Filters */}
       <div className="bg-white border border-gray-100 rounded-lg p-4">
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
           {/* Date Range */}
           <div>
             <label className="block text-sm font-medium text-black mb-1">Start Date</label>
@@ -283,6 +286,21 @@ const DailyTaskAdmin = ({ currentUser }) => {
             </div>
           </div>
 
+          {/* Team Filter */}
+          <div>
+            <label className="block text-sm font-medium text-black mb-1">Team</label>
+            <select
+              value={filters.selectedTeam || ''}
+              onChange={(e) => setFilters({ selectedTeam: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+            >
+              <option value="">All Teams</option>
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+
           {/* User Filter */}
           <div>
             <label className="block text-sm font-medium text-black mb-1">User</label>
@@ -0,0 +1,221 @@
+/**
+ * Role Management Component
+ * Lists the organization's roles and edits which permissions each one grants
+ */
+
+import React, { useState } from 'react';
+import { KeyRound, Plus, Edit3, Trash2, X, Lock } from 'lucide-react';
+import useUserManagementStore from '../../hooks/useUserManagement';
+
+// How widely a role grants a permission: not at all, own reports only, everyone
+const SCOPE_NONE = '';
+const SCOPE_TEAM = 'team';
+const SCOPE_ALL = 'all';
+
+const getScope = (permissions, key) => {
+  if (permissions.includes(key)) return SCOPE_ALL;
+  if (permissions.includes(`${key}:team`)) return SCOPE_TEAM;
+  return SCOPE_NONE;
+};
+
+const setScope = (permissions, key, scope) => {
+  const others = permissions.filter(grant => grant !== key && grant !== `${key}:team`);
+  if (scope === SCOPE_ALL) return [...others, key];
+  if (scope === SCOPE_TEAM) return [...others, `${key}:team`];
+  return others;
+};
+
+const RoleManagement = () => {
+  const { roles, permissionGroups, loading, saveRole, deleteRole } = useUserManagementStore();
+
+  // Role being edited ({ key, name, description, permissions }) and whether it is new
+  const [roleForm, setRoleForm] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+
+  const openCreate = () => {
+    setIsNew(true);
+    setRoleForm({ key: '', name: '', description: '', permissions: [] });
+  };
+
+  const openEdit = (role) => {
+    setIsNew(false);
+    setRoleForm({ ...role, permissions: [...role.permissions] });
+  };
+
+  const handleSave = async () => {
+    if (await saveRole(roleForm, isNew)) {
+      setRoleForm(null);
+    }
+  };
+
+  const handleDelete = (role) => {
+    if (confirm(`Delete the role "${role.name}"? This cannot be undone.`)) {
+      deleteRole(role);
+    }
+  };
+
+  if (roles.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
+      <div className="p-4 border-b border-gray-100 bg-gray-50 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <KeyRound className="w-4 h-4 text-gray-600" />
+          <h3 className="font-semibold text-black">Roles & Permissions ({roles.length})</h3>
+        </div>
+        <button
+          onClick={openCreate}
+          className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1"
+        >
+          <Plus className="w-3 h-3" />
+          <span>New Role</span>
+        </button>
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {roles.map(role => (
+          <div key={role.key} className="p-4 flex items-center justify-between">
+            <div>
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-medium text-black">{role.name}</span>
+                {role.builtIn && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600 border border-gray-200">Built-in</span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">
+                {role.description || 'No description'} · {role.userCount ?? 0} user(s) · {role.permissions.length} permission(s)
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              {role.editable ? (
+                <button
+                  className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs"
+                  onClick={() => openEdit(role)}
+                  title="Edit permissions"
+                >
+                  <Edit3 className="w-3 h-3" />
+                </button>
+              ) : (
+                <span className="text-gray-400 px-2 py-1" title="The administrator role always has every permission">
+                  <Lock className="w-3 h-3" />
+                </span>
+              )}
+              {!role.builtIn && (
+                <button
+                  className="text-red-600 border border-red-200 hover:bg-red-50 px-2 py-1 rounded text-xs disabled:opacity-50"
+                  onClick={() => handleDelete(role)}
+                  disabled={role.userCount > 0}
+                  title={role.userCount > 0 ? 'Move its users to another role first' : 'Delete role'}
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Role Editor Modal */}
+      {roleForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[85vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-black">{isNew ? 'Create Role' : `Edit ${roleForm.name}`}</h3>
+              <button
+                onClick={() => setRoleForm(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              {isNew && (
+                <div>
+                  <label className="block text-sm font-medium text-black mb-1">Key *</label>
+                  <input
+                    type="text"
+                    value={roleForm.key}
+                    onChange={(e) => setRoleForm({ ...roleForm, key: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                    placeholder="e.g. project_manager"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Lowercase letters, numbers and underscores. Cannot be changed later.</p>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Name *</label>
+                <input
+                  type="text"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                  placeholder="Enter role name"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Description</label>
+                <input
+                  type="text"
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                  placeholder="What this role is for (optional)"
+                />
+              </div>
+
+              {permissionGroups.map(group => (
+                <div key={group.label}>
+                  <p className="text-xs font-semibold text-gray-600 uppercase tracking-wider mb-2">{group.label}</p>
+                  <div className="space-y-2">
+                    {group.permissions.map(permission => (
+                      <div key={permission.key} className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700">{permission.label}</span>
+                        <select
+                          value={getScope(roleForm.permissions, permission.key)}
+                          onChange={(e) => setRoleForm({
+                            ...roleForm,
+                            permissions: setScope(roleForm.permissions, permission.key, e.target.value)
+                          })}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-black focus:border-black"
+                        >
+                          <option value={SCOPE_NONE}>Not allowed</option>
+                          {permission.teamScopable && (
+                            <option value={SCOPE_TEAM}>Own reports</option>
+                          )}
+                          <option value={SCOPE_ALL}>Everyone</option>
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setRoleForm(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={loading}
+                className="bg-black hover:bg-gray-800 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : isNew ? 'Create Role' : 'Save Role'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManagement;
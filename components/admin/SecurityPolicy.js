@@ -0,0 +1,82 @@
+/**
+ * Security Policy Component
+ * Organization-wide security settings for admins
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import httpClient from '../../src/shared/api/httpClient';
+
+const SecurityPolicy = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    httpClient.get('/organizations/settings')
+      .then(response => setSettings(response.data || {}))
+      .catch(err => setError(err.message || 'Failed to load security settings'));
+  }, []);
+
+  const handleToggleMfa = async () => {
+    const requireMfa = !settings.requireMfa;
+
+    if (requireMfa && !confirm('Require two-factor authentication for everyone? Users without it will have to set it up the next time they sign in.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await httpClient.put('/organizations/settings', { requireMfa });
+      setSettings(response.data || {});
+    } catch (err) {
+      setError(err.message || 'Failed to update security settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return error ? (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">{error}</div>
+    ) : null;
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <ShieldCheck className="w-5 h-5 text-gray-600" />
+          <div>
+            <p className="font-semibold text-black">Require Two-Factor Authentication</p>
+            <p className="text-sm text-gray-600">
+              Every user must sign in with an authenticator app code.
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleToggleMfa}
+          disabled={saving}
+          role="switch"
+          aria-checked={!!settings.requireMfa}
+          className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 ${
+            settings.requireMfa ? 'bg-black' : 'bg-gray-300'
+          }`}
+        >
+          <span
+            className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+              settings.requireMfa ? 'translate-x-6' : 'translate-x-1'
+            }`}
+          />
+        </button>
+      </div>
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default SecurityPolicy;
@@ -0,0 +1,276 @@
+/**
+ * Task Workflow Settings Component
+ * Lets admins define the organization's task statuses and transition rules
+ */
+
+import React, { useEffect, useState } from 'react';
+import { GitBranch, Plus, Trash2, ArrowUp, ArrowDown, Save, RotateCcw } from 'lucide-react';
+import tasksApi from '../../src/features/tasks/api/tasksApi';
+import { STATUS_COLORS, REQUIRED_STATUSES, ANY_STATUS } from '../../src/utils/taskWorkflow.util';
+
+// requiredFields and allowedActors are edited as comma-separated text
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const toDraft = (workflow) => ({
+  statuses: workflow.statuses.map(status => ({ ...status })),
+  transitions: workflow.transitions.map(transition => ({
+    ...transition,
+    requiredFields: (transition.requiredFields || []).join(', '),
+    allowedActors: (transition.allowedActors || []).join(', ')
+  }))
+});
+
+const TaskWorkflowSettings = () => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    tasksApi.getWorkflow()
+      .then(workflow => setDraft(toDraft(workflow)))
+      .catch(err => setError(err.message || 'Failed to load task workflow'));
+  }, []);
+
+  const updateStatus = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      statuses: prev.statuses.map((status, i) => i === index ? { ...status, ...changes } : status)
+    }));
+  };
+
+  const moveStatus = (index, offset) => {
+    setDraft(prev => {
+      const statuses = [...prev.statuses];
+      const target = index + offset;
+      if (target < 0 || target >= statuses.length) return prev;
+      [statuses[index], statuses[target]] = [statuses[target], statuses[index]];
+      return { ...prev, statuses };
+    });
+  };
+
+  const removeStatus = (index) => {
+    setDraft(prev => ({ ...prev, statuses: prev.statuses.filter((_, i) => i !== index) }));
+  };
+
+  const addStatus = () => {
+    setDraft(prev => ({
+      ...prev,
+      statuses: [...prev.statuses, { key: '', label: '', color: 'gray' }]
+    }));
+  };
+
+  const updateTransition = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      transitions: prev.transitions.map((transition, i) => i === index ? { ...transition, ...changes } : transition)
+    }));
+  };
+
+  const removeTransition = (index) => {
+    setDraft(prev => ({ ...prev, transitions: prev.transitions.filter((_, i) => i !== index) }));
+  };
+
+  const addTransition = () => {
+    setDraft(prev => ({
+      ...prev,
+      transitions: [...prev.transitions, { from: ANY_STATUS, to: 'done', requiredFields: '', allowedActors: '' }]
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const workflow = await tasksApi.updateWorkflow({
+        statuses: draft.statuses,
+        transitions: draft.transitions.map(transition => ({
+          from: transition.from,
+          to: transition.to,
+          requiredFields: toList(transition.requiredFields),
+          allowedActors: toList(transition.allowedActors)
+        }))
+      });
+      setDraft(toDraft(workflow));
+      setSuccess('Task workflow saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save task workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm('Go back to the default task workflow? Custom statuses must have no tasks in them.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const workflow = await tasksApi.resetWorkflow();
+      setDraft(toDraft(workflow));
+      setSuccess('Task workflow reset to the default');
+    } catch (err) {
+      setError(err.message || 'Failed to reset task workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!draft) {
+    return error ? (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">{error}</div>
+    ) : null;
+  }
+
+  const statusKeys = draft.statuses.map(status => status.key).filter(Boolean);
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
+      <div className="p-4 border-b border-gray-100 bg-gray-50 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <GitBranch className="w-4 h-4 text-gray-600" />
+          <h3 className="font-semibold text-black">Task Workflow</h3>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleReset}
+            disabled={saving}
+            className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+          >
+            <RotateCcw className="w-3 h-3" />
+            <span>Reset</span>
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-black hover:bg-gray-800 text-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+          >
+            <Save className="w-3 h-3" />
+            <span>{saving ? 'Saving...' : 'Save'}</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {success && <p className="text-sm text-green-600">{success}</p>}
+
+        {/* Statuses, in board column order */}
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-black">Statuses</p>
+          {draft.statuses.map((status, index) => {
+            const required = REQUIRED_STATUSES.includes(status.key);
+
+            return (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={status.key}
+                  onChange={(e) => updateStatus(index, { key: e.target.value })}
+                  disabled={required}
+                  className="w-40 px-2 py-1 border border-gray-300 rounded text-sm font-mono disabled:bg-gray-50"
+                  placeholder="key (e.g. in_review)"
+                />
+                <input
+                  type="text"
+                  value={status.label}
+                  onChange={(e) => updateStatus(index, { label: e.target.value })}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                  placeholder="Label"
+                />
+                <select
+                  value={status.color}
+                  onChange={(e) => updateStatus(index, { color: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                >
+                  {STATUS_COLORS.map(color => (
+                    <option key={color} value={color}>{color}</option>
+                  ))}
+                </select>
+                <button onClick={() => moveStatus(index, -1)} className="p-1 hover:bg-gray-100 rounded" title="Move up">
+                  <ArrowUp className="w-4 h-4 text-gray-600" />
+                </button>
+                <button onClick={() => moveStatus(index, 1)} className="p-1 hover:bg-gray-100 rounded" title="Move down">
+                  <ArrowDown className="w-4 h-4 text-gray-600" />
+                </button>
+                <button
+                  onClick={() => removeStatus(index)}
+                  disabled={required}
+                  className="p-1 hover:bg-red-100 rounded disabled:opacity-30"
+                  title={required ? 'This status is required' : 'Remove'}
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </button>
+              </div>
+            );
+          })}
+          <button onClick={addStatus} className="text-sm text-gray-700 flex items-center space-x-1 hover:text-black">
+            <Plus className="w-3 h-3" />
+            <span>Add status</span>
+          </button>
+        </div>
+
+        {/* Transitions */}
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-black">Transitions</p>
+          <p className="text-xs text-gray-500">
+            With no transitions any status can move to any other. Actors are &quot;assigner&quot;, &quot;assignee&quot; or role keys; leave empty for anyone who can edit the task.
+          </p>
+          {draft.transitions.map((transition, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <select
+                value={transition.from}
+                onChange={(e) => updateTransition(index, { from: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+              >
+                <option value={ANY_STATUS}>Any status</option>
+                {statusKeys.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+              <span className="text-gray-400">→</span>
+              <select
+                value={transition.to}
+                onChange={(e) => updateTransition(index, { to: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+              >
+                {statusKeys.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={transition.requiredFields}
+                onChange={(e) => updateTransition(index, { requiredFields: e.target.value })}
+                className="flex-1 min-w-[8rem] px-2 py-1 border border-gray-300 rounded text-sm"
+                placeholder="Required fields (e.g. reason)"
+              />
+              <input
+                type="text"
+                value={transition.allowedActors}
+                onChange={(e) => updateTransition(index, { allowedActors: e.target.value })}
+                className="flex-1 min-w-[8rem] px-2 py-1 border border-gray-300 rounded text-sm"
+                placeholder="Allowed actors (e.g. assigner)"
+              />
+              <button onClick={() => removeTransition(index)} className="p-1 hover:bg-red-100 rounded" title="Remove">
+                <Trash2 className="w-4 h-4 text-red-600" />
+              </button>
+            </div>
+          ))}
+          <button onClick={addTransition} className="text-sm text-gray-700 flex items-center space-x-1 hover:text-black">
+            <Plus className="w-3 h-3" />
+            <span>Add transition</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskWorkflowSettings;
@@ -0,0 +1,215 @@
+/**
+ * Team Management Component
+ * Lists the organization's teams and departments as a tree and edits them
+ */
+
+import React, { useState } from 'react';
+import { Network, Plus, Edit3, Trash2, X } from 'lucide-react';
+import useUserManagementStore from '../../hooks/useUserManagement';
+
+// Teams in tree order with their nesting depth, parents before their sub-teams
+const flattenTeams = (teams, parentId = null, depth = 0) => {
+  return teams
+    .filter(team => (team.parentId || null) === parentId)
+    .flatMap(team => [{ ...team, depth }, ...flattenTeams(teams, team.id, depth + 1)]);
+};
+
+// IDs of a team and all teams nested under it
+const getSubtreeIds = (teams, teamId) => {
+  const ids = [teamId];
+  for (let i = 0; i < ids.length; i++) {
+    teams.filter(team => team.parentId === ids[i]).forEach(team => ids.push(team.id));
+  }
+  return ids;
+};
+
+const TeamManagement = () => {
+  const { teams, users, loading, saveTeam, deleteTeam } = useUserManagementStore();
+
+  // Team being edited ({ id, name, description, parentId, managerId }); no id when new
+  const [teamForm, setTeamForm] = useState(null);
+
+  const tree = flattenTeams(teams);
+  const getUsername = (userId) => users.find(u => u.id === userId)?.username;
+  const getMemberCount = (teamId) => users.filter(u => u.teamId === teamId).length;
+  const hasSubTeams = (teamId) => teams.some(team => team.parentId === teamId);
+
+  // A team cannot be moved under itself or one of its sub-teams
+  const parentOptions = teamForm?.id
+    ? tree.filter(team => !getSubtreeIds(teams, teamForm.id).includes(team.id))
+    : tree;
+
+  const openCreate = () => {
+    setTeamForm({ name: '', description: '', parentId: '', managerId: '' });
+  };
+
+  const openEdit = (team) => {
+    setTeamForm({
+      id: team.id,
+      name: team.name,
+      description: team.description || '',
+      parentId: team.parentId || '',
+      managerId: team.managerId || ''
+    });
+  };
+
+  const handleSave = async () => {
+    if (await saveTeam(teamForm)) {
+      setTeamForm(null);
+    }
+  };
+
+  const handleDelete = (team) => {
+    if (confirm(`Delete the team "${team.name}"? This cannot be undone.`)) {
+      deleteTeam(team);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
+      <div className="p-4 border-b border-gray-100 bg-gray-50 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Network className="w-4 h-4 text-gray-600" />
+          <h3 className="font-semibold text-black">Teams & Departments ({teams.length})</h3>
+        </div>
+        <button
+          onClick={openCreate}
+          className="text-gray-700 border border-gray-300 hover:bg-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1"
+        >
+          <Plus className="w-3 h-3" />
+          <span>New Team</span>
+        </button>
+      </div>
+
+      {tree.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">
+          No teams yet. Group users into teams and departments to give their managers a scoped view.
+        </p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {tree.map(team => {
+            const memberCount = getMemberCount(team.id);
+            const blocked = memberCount > 0 || hasSubTeams(team.id);
+
+            return (
+              <div key={team.id} className="p-4 flex items-center justify-between">
+                <div style={{ paddingLeft: `${team.depth * 1.5}rem` }}>
+                  <span className="text-sm font-medium text-black">{team.name}</span>
+                  <p className="text-xs text-gray-500">
+                    {getUsername(team.managerId) ? `Managed by ${getUsername(team.managerId)}` : 'No manager'} · {memberCount} member(s)
+                    {team.description && ` · ${team.description}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs"
+                    onClick={() => openEdit(team)}
+                    title="Edit team"
+                  >
+                    <Edit3 className="w-3 h-3" />
+                  </button>
+                  <button
+                    className="text-red-600 border border-red-200 hover:bg-red-50 px-2 py-1 rounded text-xs disabled:opacity-50"
+                    onClick={() => handleDelete(team)}
+                    disabled={blocked}
+                    title={blocked ? 'Move its members and sub-teams elsewhere first' : 'Delete team'}
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Team Editor Modal */}
+      {teamForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-black">{teamForm.id ? `Edit ${teamForm.name}` : 'Create Team'}</h3>
+              <button
+                onClick={() => setTeamForm(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Name *</label>
+                <input
+                  type="text"
+                  value={teamForm.name}
+                  onChange={(e) => setTeamForm({ ...teamForm, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                  placeholder="e.g. Sales, Design"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Description</label>
+                <input
+                  type="text"
+                  value={teamForm.description}
+                  onChange={(e) => setTeamForm({ ...teamForm, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                  placeholder="What this team does (optional)"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Part Of</label>
+                <select
+                  value={teamForm.parentId}
+                  onChange={(e) => setTeamForm({ ...teamForm, parentId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">Top level</option>
+                  {parentOptions.map(team => (
+                    <option key={team.id} value={team.id}>{'— '.repeat(team.depth)}{team.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Manager</label>
+                <select
+                  value={teamForm.managerId}
+                  onChange={(e) => setTeamForm({ ...teamForm, managerId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">No manager</option>
+                  {users.map(user => (
+                    <option key={user.id} value={user.id}>{user.username}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Team-scoped permissions of the manager cover this team and its sub-teams</p>
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setTeamForm(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={loading}
+                className="bg-black hover:bg-gray-800 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : teamForm.id ? 'Save Team' : 'Create Team'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamManagement;
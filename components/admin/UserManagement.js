@@ -3,7 +3,7 @@
  * MVC Pattern implementation with consistent UI matching user dashboard
  */
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Users,
   UserPlus,
@@ -18,15 +18,26 @@ import {
   Eye,
   EyeOff,
   Lock,
-  RefreshCw
+  RefreshCw,
+  Monitor,
+  Unlock,
+  ShieldOff
 } from 'lucide-react';
 import useUserManagementStore from '../../hooks/useUserManagement';
+import SessionList from '../users/SessionList';
+import SecurityPolicy from './SecurityPolicy';
+import TaskWorkflowSettings from './TaskWorkflowSettings';
+import WhatsAppSettings from './WhatsAppSettings';
+import RoleManagement from './RoleManagement';
+import TeamManagement from './TeamManagement';
 
 const UserManagement = () => {
   // Controller layer - handles all business logic
   const {
     // State
     users,
+    roles,
+    teams,
     loading,
     error,
     success,
@@ -54,10 +65,15 @@ const UserManagement = () => {
 
     // Actions
     loadUsers,
+    loadRoles,
+    loadTeams,
     createUser,
     updateUser,
     deleteUser,
     resetUserPassword,
+    unlockUser,
+    resetUserMfa,
+    sendPasswordLink,
     refreshUsers,
     clearMessages,
 
@@ -82,11 +98,26 @@ const UserManagement = () => {
     toggleShowResetPassword
   } = useUserManagementStore();
 
-  // Load users on component mount
+  // User whose sessions are shown in the sessions modal
+  const [sessionsUser, setSessionsUser] = useState(null);
+
+  // Load users, roles and teams on component mount
   useEffect(() => {
     loadUsers();
-  }, [loadUsers]);
+    loadRoles();
+    loadTeams();
+  }, [loadUsers, loadRoles, loadTeams]);
+
+  // Roles to choose from; the built-in pair until the organization's roles load
+  const roleOptions = roles.length > 0
+    ? roles
+    : [{ key: 'user', name: 'User' }, { key: 'admin', name: 'Administrator' }];
+
+  const getRoleName = (role) => roles.find(r => r.key === (role || 'user'))?.name || role || 'user';
 
+  const getManagerName = (managerId) => users.find(u => u.id === managerId)?.username;
+
+  const getTeamName = (teamId) => teams.find(t => t.id === teamId)?.name;
 
   // Helper functions for role display
   const getRoleIcon = (role) => {
@@ -213,6 +244,21 @@ const UserManagement = () => {
         </div>
       )}
 
+      {/* Organization Security Policy */}
+      <SecurityPolicy />
+
+      {/* Roles and their permissions */}
+      <RoleManagement />
+
+      {/* Teams and departments */}
+      <TeamManagement />
+
+      {/* Task statuses and transition rules */}
+      <TaskWorkflowSettings />
+
+      {/* WhatsApp templates, recipients and delivery log */}
+      <WhatsAppSettings />
+
       {/* Users Table */}
       <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
         <div className="p-4 border-b border-gray-100 bg-gray-50">
@@ -250,13 +296,19 @@ const UserManagement = () => {
                       </div>
                       <div>
                         <div className="text-sm font-medium text-black">{user.username || 'Unknown'}</div>
+                        {getManagerName(user.managerId) && (
+                          <div className="text-xs text-gray-500">Reports to {getManagerName(user.managerId)}</div>
+                        )}
+                        {getTeamName(user.teamId) && (
+                          <div className="text-xs text-gray-500">{getTeamName(user.teamId)}</div>
+                        )}
                       </div>
                     </div>
                   </td>
                   <td className="px-6 py-4">
                     <span className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium border ${getRoleBadgeColor(user.role)}`}>
                       {getRoleIcon(user.role)}
-                      <span>{user.role || 'user'}</span>
+                      <span>{getRoleName(user.role)}</span>
                     </span>
                   </td>
                   <td className="px-6 py-4">
@@ -287,6 +339,31 @@ const UserManagement = () => {
                       >
                         <Lock className="w-3 h-3" />
                       </button>
+                      <button
+                        className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs"
+                        onClick={() => unlockUser(user)}
+                        title="Unlock account after failed logins"
+                      >
+                        <Unlock className="w-3 h-3" />
+                      </button>
+                      <button
+                        className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs"
+                        onClick={() => {
+                          if (confirm(`Reset two-factor authentication for ${user.username}? They will sign in with just their password, or set it up again if your organization requires it.`)) {
+                            resetUserMfa(user);
+                          }
+                        }}
+                        title="Reset two-factor authentication"
+                      >
+                        <ShieldOff className="w-3 h-3" />
+                      </button>
+                      <button
+                        className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs"
+                        onClick={() => setSessionsUser(user)}
+                        title="Active sessions"
+                      >
+                        <Monitor className="w-3 h-3" />
+                      </button>
                       <button
                         className="text-red-600 border border-red-200 hover:bg-red-50 px-2 py-1 rounded text-xs"
                         onClick={() => openDeleteModal(user)}
@@ -364,7 +441,7 @@ const UserManagement = () => {
                     value={newUser.password}
                     onChange={(e) => updateNewUser({ password: e.target.value })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black pr-10"
-                    placeholder="Enter password (min 6 chars)"
+                    placeholder="Enter a temporary password"
                   />
                   <button
                     type="button"
@@ -383,10 +460,51 @@ const UserManagement = () => {
                   onChange={(e) => updateNewUser({ role: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
                 >
-                  <option value="user">User</option>
-                  <option value="admin">Admin</option>
+                  {roleOptions.map(role => (
+                    <option key={role.key} value={role.key}>{role.name}</option>
+                  ))}
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Reports To</label>
+                <select
+                  value={newUser.managerId}
+                  onChange={(e) => updateNewUser({ managerId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">No manager</option>
+                  {users.map(user => (
+                    <option key={user.id} value={user.id}>{user.username}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Team</label>
+                <select
+                  value={newUser.teamId}
+                  onChange={(e) => updateNewUser({ teamId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">No team</option>
+                  {teams.map(team => (
+                    <option key={team.id} value={team.id}>{team.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Location</label>
+                <input
+                  type="text"
+                  value={newUser.location}
+                  onChange={(e) => updateNewUser({ location: e.target.value })}
+                  placeholder="e.g. Bengaluru"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                />
+                <p className="text-xs text-gray-500 mt-1">Regional holidays for this location apply to the user</p>
+              </div>
             </div>
             
             <div className="flex justify-end space-x-3 mt-6">
@@ -456,7 +574,7 @@ const UserManagement = () => {
                     value={editUser.password}
                     onChange={(e) => updateEditUser({ password: e.target.value })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black pr-10"
-                    placeholder="Enter new password (min 6 chars) or leave empty"
+                    placeholder="Enter a temporary password or leave empty"
                   />
                   <button
                     type="button"
@@ -476,13 +594,55 @@ const UserManagement = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
                   disabled={userToEdit?.username === JSON.parse(localStorage.getItem('user') || '{}').username}
                 >
-                  <option value="user">User</option>
-                  <option value="admin">Admin</option>
+                  {roleOptions.map(role => (
+                    <option key={role.key} value={role.key}>{role.name}</option>
+                  ))}
                 </select>
                 {userToEdit?.username === JSON.parse(localStorage.getItem('user') || '{}').username && (
                   <p className="text-xs text-gray-500 mt-1">You cannot change your own role</p>
                 )}
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Reports To</label>
+                <select
+                  value={editUser.managerId}
+                  onChange={(e) => updateEditUser({ managerId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">No manager</option>
+                  {users.filter(user => user.id !== editUser.id).map(user => (
+                    <option key={user.id} value={user.id}>{user.username}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Team-scoped permissions of the manager cover this user</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Team</label>
+                <select
+                  value={editUser.teamId}
+                  onChange={(e) => updateEditUser({ teamId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                >
+                  <option value="">No team</option>
+                  {teams.map(team => (
+                    <option key={team.id} value={team.id}>{team.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-black mb-1">Location</label>
+                <input
+                  type="text"
+                  value={editUser.location}
+                  onChange={(e) => updateEditUser({ location: e.target.value })}
+                  placeholder="e.g. Bengaluru"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                />
+                <p className="text-xs text-gray-500 mt-1">Regional holidays for this location apply to the user</p>
+              </div>
             </div>
             
             <div className="flex justify-end space-x-3 mt-6">
@@ -577,12 +737,31 @@ const UserManagement = () => {
 
             <div className="mb-6">
               <p className="text-sm text-gray-700 mb-4">
-                Set a new password for <strong>{userToResetPassword.username}</strong>
+                Reset the password for <strong>{userToResetPassword.username}</strong>
               </p>
 
+              {/* Preferred: the user chooses their own password, nobody else knows it */}
+              <div className="p-3 mb-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <p className="text-sm text-gray-700 mb-3">
+                  Email a one-time link to {userToResetPassword.email || 'the user'} so they can choose a new password.
+                </p>
+                <button
+                  onClick={async () => {
+                    if (await sendPasswordLink(userToResetPassword)) {
+                      closeResetPasswordModal();
+                    }
+                  }}
+                  disabled={loading || !userToResetPassword.email}
+                  className="w-full bg-black hover:bg-gray-800 text-white px-4 py-2 rounded-lg disabled:opacity-50 flex items-center justify-center space-x-2"
+                >
+                  <Mail className="w-4 h-4" />
+                  <span>{loading ? 'Sending...' : 'Send Set Password Link'}</span>
+                </button>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-black mb-1">
-                  New Password *
+                  Or set a temporary password
                 </label>
                 <div className="relative">
                   <input
@@ -590,7 +769,7 @@ const UserManagement = () => {
                     value={resetPassword}
                     onChange={(e) => updateResetPassword(e.target.value)}
                     className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
-                    placeholder="Enter new password (min 6 chars)"
+                    placeholder="Enter temporary password"
                   />
                   <button
                     type="button"
@@ -601,7 +780,7 @@ const UserManagement = () => {
                   </button>
                 </div>
                 <p className="text-xs text-gray-500 mt-1">
-                  The user will need to log in with this new password
+                  The user must replace it with their own password at next login
                 </p>
               </div>
             </div>
@@ -620,12 +799,34 @@ const UserManagement = () => {
                 className="bg-black hover:bg-gray-800 text-white px-4 py-2 rounded-lg disabled:opacity-50 flex items-center space-x-2"
               >
                 <Lock className="w-4 h-4" />
-                <span>{loading ? 'Resetting...' : 'Reset Password'}</span>
+                <span>{loading ? 'Resetting...' : 'Set Temporary Password'}</span>
               </button>
             </div>
           </div>
         </div>
       )}
+
+      {/* Sessions Modal */}
+      {sessionsUser && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
+                <Monitor className="w-5 h-5" />
+                <span>Sessions for {sessionsUser.username}</span>
+              </h3>
+              <button
+                onClick={() => setSessionsUser(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <SessionList username={sessionsUser.username} />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
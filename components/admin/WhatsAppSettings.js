@@ -0,0 +1,417 @@
+/**
+ * WhatsApp Settings Component
+ * Lets admins register the organization's approved WhatsApp templates, choose
+ * per event whether it is sent, with which template and to whom, send test
+ * messages and follow the delivery log and users' opt-ins
+ */
+
+import React, { useEffect, useState, useCallback } from 'react';
+import { MessageCircle, Plus, Trash2, Save, Send, RefreshCw } from 'lucide-react';
+import settingsApi from '../../src/features/settings/api/settingsApi';
+
+const EVENT_LABELS = {
+  task_assigned: 'Task assigned',
+  deadline_reminder: 'Deadline reminder',
+  leave_approval: 'Leave approved or rejected',
+  wfh_attendance: 'WFH clock-in and clock-out',
+  daily_wfh_summary: 'Daily WFH summary'
+};
+
+const SUBJECT_LABELS = {
+  task_assigned: 'the assignee',
+  deadline_reminder: 'the assignee',
+  leave_approval: 'the applicant'
+};
+
+const STATUS_STYLES = {
+  sent: 'text-green-700',
+  failed: 'text-red-700',
+  skipped: 'text-gray-500',
+  held: 'text-amber-600'
+};
+
+const DELIVERY_PAGE = 20;
+
+// Usernames and roles are edited as comma-separated text, numbers as "Name: +91..." lines
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const toPhones = (text) => text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+  const separator = line.lastIndexOf(':');
+  return separator === -1
+    ? { name: line, phone: '' }
+    : { name: line.slice(0, separator).trim(), phone: line.slice(separator + 1).trim() };
+});
+
+const toDraft = (settings) => ({
+  templates: settings.templates.map(template => ({ ...template })),
+  events: Object.fromEntries(Object.entries(settings.events).map(([event, config]) => [event, {
+    enabled: config.enabled,
+    template: config.template || '',
+    subject: config.recipients.subject,
+    usernames: config.recipients.usernames.join(', '),
+    roles: config.recipients.roles.join(', '),
+    phones: config.recipients.phones.map(({ name, phone }) => `${name}: ${phone}`).join('\n')
+  }])),
+  dailySummaryTime: settings.dailySummaryTime,
+  commandsEnabled: settings.commandsEnabled
+});
+
+const WhatsAppSettings = () => {
+  const [draft, setDraft] = useState(null);
+  const [eventInfo, setEventInfo] = useState({});
+  const [configured, setConfigured] = useState(true);
+  const [deliveries, setDeliveries] = useState([]);
+  const [optIns, setOptIns] = useState([]);
+  const [test, setTest] = useState({ phone: '', template: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadLog = useCallback(async () => {
+    try {
+      const [log, users] = await Promise.all([
+        settingsApi.getWhatsAppDeliveries({ limit: DELIVERY_PAGE }),
+        settingsApi.getWhatsAppOptIns()
+      ]);
+      setDeliveries(log);
+      setOptIns(users);
+    } catch (err) {
+      setError(err.message || 'Failed to load the WhatsApp delivery log');
+    }
+  }, []);
+
+  useEffect(() => {
+    settingsApi.getWhatsAppSettings()
+      .then(data => {
+        setDraft(toDraft(data.settings));
+        setEventInfo(data.events);
+        setConfigured(data.configured);
+      })
+      .catch(err => setError(err.message || 'Failed to load WhatsApp settings'));
+    loadLog();
+  }, [loadLog]);
+
+  const updateTemplate = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      templates: prev.templates.map((template, i) => i === index ? { ...template, ...changes } : template)
+    }));
+  };
+
+  const removeTemplate = (index) => {
+    setDraft(prev => ({ ...prev, templates: prev.templates.filter((_, i) => i !== index) }));
+  };
+
+  const addTemplate = () => {
+    setDraft(prev => ({
+      ...prev,
+      templates: [...prev.templates, { name: '', language: 'en', body: '', status: 'pending' }]
+    }));
+  };
+
+  const updateEvent = (event, changes) => {
+    setDraft(prev => ({ ...prev, events: { ...prev.events, [event]: { ...prev.events[event], ...changes } } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const settings = await settingsApi.updateWhatsAppSettings({
+        templates: draft.templates.map(({ name, language, body, status }) => ({ name, language, body, status })),
+        events: Object.fromEntries(Object.entries(draft.events).map(([event, config]) => [event, {
+          enabled: config.enabled,
+          template: config.template || null,
+          recipients: {
+            subject: config.subject,
+            usernames: toList(config.usernames),
+            roles: toList(config.roles),
+            phones: toPhones(config.phones)
+          }
+        }])),
+        dailySummaryTime: draft.dailySummaryTime,
+        commandsEnabled: draft.commandsEnabled
+      });
+      setDraft(toDraft(settings));
+      setSuccess('WhatsApp settings saved');
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message || 'Failed to save WhatsApp settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const delivery = await settingsApi.sendWhatsAppTest(test.phone, test.template);
+      if (delivery.status === 'sent') {
+        setSuccess(`Test message sent to ${delivery.phone}`);
+      } else {
+        setError(`Test message ${delivery.status}: ${delivery.error || delivery.reason}`);
+      }
+      loadLog();
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message || 'Failed to send the test message');
+    }
+  };
+
+  if (!draft) {
+    return error ? (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">{error}</div>
+    ) : null;
+  }
+
+  const templateNames = draft.templates.map(template => template.name).filter(Boolean);
+  const optedIn = optIns.filter(optIn => optIn.optedIn);
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg overflow-hidden">
+      <div className="p-4 border-b border-gray-100 bg-gray-50 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <MessageCircle className="w-4 h-4 text-gray-600" />
+          <h3 className="font-semibold text-black">WhatsApp Notifications</h3>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-black hover:bg-gray-800 text-white px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Save className="w-3 h-3" />
+          <span>{saving ? 'Saving...' : 'Save'}</span>
+        </button>
+      </div>
+
+      <div className="p-4 space-y-6">
+        {!configured && (
+          <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded p-2">
+            The WhatsApp Cloud API is not configured (WHATSAPP_API_TOKEN, WHATSAPP_PHONE_NUMBER_ID); messages are logged as skipped.
+          </p>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {success && <p className="text-sm text-green-600">{success}</p>}
+
+        {/* Templates */}
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-black">Templates</p>
+          <p className="text-xs text-gray-500">
+            Register each template with WhatsApp first, numbering its variables in the order they appear here
+            (e.g. &quot;Hi {'{{name}}'}, {'{{task}}'}&quot; is &quot;Hi {'{{1}}'}, {'{{2}}'}&quot;), and mark it approved once WhatsApp approves it.
+          </p>
+          {draft.templates.map((template, index) => (
+            <div key={index} className="border border-gray-100 rounded p-2 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={template.name}
+                  onChange={(e) => updateTemplate(index, { name: e.target.value })}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm font-mono"
+                  placeholder="name (e.g. task_assigned)"
+                />
+                <input
+                  type="text"
+                  value={template.language}
+                  onChange={(e) => updateTemplate(index, { language: e.target.value })}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded text-sm font-mono"
+                  placeholder="en"
+                />
+                <select
+                  value={template.status}
+                  onChange={(e) => updateTemplate(index, { status: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                >
+                  <option value="pending">Pending</option>
+                  <option value="approved">Approved</option>
+                  <option value="rejected">Rejected</option>
+                </select>
+                <button onClick={() => removeTemplate(index)} className="p-1 hover:bg-red-100 rounded" title="Remove">
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </button>
+              </div>
+              <textarea
+                value={template.body}
+                onChange={(e) => updateTemplate(index, { body: e.target.value })}
+                rows={2}
+                maxLength={1024}
+                className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                placeholder="Hi {{name}}, {{assignedBy}} assigned you {{task}}"
+              />
+            </div>
+          ))}
+          <button onClick={addTemplate} className="text-sm text-gray-700 flex items-center space-x-1 hover:text-black">
+            <Plus className="w-3 h-3" />
+            <span>Add template</span>
+          </button>
+        </div>
+
+        {/* Events */}
+        <div className="space-y-3">
+          <p className="text-sm font-medium text-black">Events</p>
+          {Object.entries(draft.events).map(([event, config]) => (
+            <div key={event} className="border border-gray-100 rounded p-2 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="flex items-center space-x-2 text-sm text-gray-900 flex-1">
+                  <input
+                    type="checkbox"
+                    checked={config.enabled}
+                    onChange={(e) => updateEvent(event, { enabled: e.target.checked })}
+                    className="rounded text-blue-600"
+                  />
+                  <span>{EVENT_LABELS[event] || event}</span>
+                </label>
+                <select
+                  value={config.template}
+                  onChange={(e) => updateEvent(event, { template: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                >
+                  <option value="">No template</option>
+                  {templateNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                {event === 'daily_wfh_summary' && (
+                  <input
+                    type="time"
+                    value={draft.dailySummaryTime}
+                    onChange={(e) => setDraft(prev => ({ ...prev, dailySummaryTime: e.target.value }))}
+                    className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    title="Sent at (India time)"
+                  />
+                )}
+              </div>
+              {eventInfo[event] && (
+                <p className="text-xs text-gray-500">
+                  Variables: {eventInfo[event].variables.map(name => `{{${name}}}`).join(' ')}
+                </p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                <input
+                  type="text"
+                  value={config.usernames}
+                  onChange={(e) => updateEvent(event, { usernames: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  placeholder="Usernames (comma-separated)"
+                />
+                <input
+                  type="text"
+                  value={config.roles}
+                  onChange={(e) => updateEvent(event, { roles: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  placeholder="Roles (e.g. admin, hr)"
+                />
+                <textarea
+                  value={config.phones}
+                  onChange={(e) => updateEvent(event, { phones: e.target.value })}
+                  rows={1}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  placeholder="Other numbers, one per line (Name: +91...)"
+                />
+              </div>
+              {eventInfo[event]?.subject && (
+                <label className="flex items-center space-x-2 text-xs text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.subject}
+                    onChange={(e) => updateEvent(event, { subject: e.target.checked })}
+                    className="rounded text-blue-600"
+                  />
+                  <span>Also send to {SUBJECT_LABELS[event]}</span>
+                </label>
+              )}
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            Users only get messages after opting in (Notification settings): {optedIn.length} of {optIns.length} have.
+          </p>
+        </div>
+
+        {/* Commands */}
+        <div className="space-y-1">
+          <label className="flex items-center space-x-2 text-sm text-black">
+            <input
+              type="checkbox"
+              checked={draft.commandsEnabled}
+              onChange={(e) => setDraft(prev => ({ ...prev, commandsEnabled: e.target.checked }))}
+              className="rounded text-blue-600"
+            />
+            <span className="font-medium">Accept commands</span>
+          </label>
+          <p className="text-xs text-gray-500">
+            Users can message IN wfh, IN office, OUT, TASKS and DONE 3 from the number they opted in with or the one on their profile.
+          </p>
+        </div>
+
+        {/* Test message */}
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-black">Test Message</p>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="tel"
+              value={test.phone}
+              onChange={(e) => setTest(prev => ({ ...prev, phone: e.target.value }))}
+              className="px-2 py-1 border border-gray-300 rounded text-sm"
+              placeholder="+91xxxxxxxxxx"
+            />
+            <select
+              value={test.template}
+              onChange={(e) => setTest(prev => ({ ...prev, template: e.target.value }))}
+              className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+            >
+              <option value="">Template</option>
+              {templateNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleTest}
+              disabled={!test.phone || !test.template}
+              className="text-gray-700 border border-gray-300 hover:bg-gray-50 px-3 py-1 rounded-lg text-sm flex items-center space-x-1 disabled:opacity-50"
+            >
+              <Send className="w-3 h-3" />
+              <span>Send</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Delivery log */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-black">Recent Messages</p>
+            <button onClick={loadLog} className="p-1 hover:bg-gray-100 rounded" title="Refresh">
+              <RefreshCw className="w-4 h-4 text-gray-600" />
+            </button>
+          </div>
+          {deliveries.length === 0 ? (
+            <p className="text-xs text-gray-500">No WhatsApp messages yet</p>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody className="divide-y divide-gray-100">
+                {deliveries.map(delivery => (
+                  <tr key={delivery.id}>
+                    <td className="py-1 pr-2 text-gray-500 whitespace-nowrap">
+                      {new Date(delivery.createdAt).toLocaleString()}
+                    </td>
+                    <td className="py-1 pr-2 text-gray-700">{EVENT_LABELS[delivery.event] || delivery.event}</td>
+                    <td className="py-1 pr-2 text-gray-900">{delivery.name || delivery.phone}</td>
+                    <td className={`py-1 ${STATUS_STYLES[delivery.status] || ''}`}>
+                      {delivery.status}
+                      {(delivery.reason || delivery.error) && (
+                        <span className="text-gray-500"> · {delivery.reason || delivery.error}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WhatsAppSettings;
@@ -0,0 +1,246 @@
+/**
+ * Holiday Calendar Panel Component - View Layer
+ * The organization's weekly offs and holidays: add, remove and import from .ics
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight, Trash2, Upload, Loader } from 'lucide-react';
+import Button from '../ui/Button';
+import attendanceApi from '../../src/features/attendance/api/attendanceApi';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weekly off patterns offered per day (weeks are occurrences of the day in the month)
+const WEEK_PATTERNS = {
+  working: { label: 'Working day', weeks: null },
+  every: { label: 'Every week', weeks: [] },
+  alternateEven: { label: '2nd & 4th', weeks: [2, 4] },
+  alternateOdd: { label: '1st, 3rd & 5th', weeks: [1, 3, 5] }
+};
+
+const HOLIDAY_TYPE_LABELS = {
+  national: 'National',
+  regional: 'Regional',
+  festival: 'Festival',
+  company: 'Company'
+};
+
+const EMPTY_FORM = { date: '', name: '', type: 'national', locations: '' };
+
+const patternOf = (weeklyOffs, day) => {
+  const rule = weeklyOffs.find(r => r.day === day);
+  if (!rule) return 'working';
+
+  const key = Object.keys(WEEK_PATTERNS).find(k =>
+    WEEK_PATTERNS[k].weeks && WEEK_PATTERNS[k].weeks.join(',') === (rule.weeks || []).join(',')
+  );
+  return key || 'custom';
+};
+
+const parseLocations = (value) => value.split(',').map(location => location.trim()).filter(Boolean);
+
+const HolidayCalendarPanel = () => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [calendar, setCalendar] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setCalendar(await attendanceApi.getHolidays(year));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a change, then reload the calendar
+  const run = async (change, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const result = await change();
+      setMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWeeklyOffChange = (day, pattern) => {
+    const others = calendar.weeklyOffs.filter(rule => rule.day !== day);
+    const weeks = WEEK_PATTERNS[pattern].weeks;
+    const weeklyOffs = weeks ? [...others, { day, weeks }].sort((a, b) => a.day - b.day) : others;
+
+    run(() => attendanceApi.updateWeeklyOffs(weeklyOffs), 'Weekly offs updated');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const added = await run(() => attendanceApi.addHoliday({
+      date: form.date,
+      name: form.name,
+      type: form.type,
+      locations: parseLocations(form.locations)
+    }), `${form.name} added`);
+
+    if (added) setForm(EMPTY_FORM);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const ics = await file.text();
+    run(
+      () => attendanceApi.importHolidays(ics, { type: form.type, locations: parseLocations(form.locations) }),
+      (result) => `Imported ${result.imported}, updated ${result.updated}, skipped ${result.skipped}`
+    );
+  };
+
+  if (!calendar) {
+    return (
+      <div className="bg-white border border-gray-100 rounded-lg p-6 flex justify-center">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader className="w-5 h-5 animate-spin text-gray-400" />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
+          <CalendarDays className="w-5 h-5" />
+          <span>Holiday Calendar</span>
+          {saving && <Loader className="w-4 h-4 animate-spin text-gray-400" />}
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setYear(year - 1)} className="p-1 rounded hover:bg-gray-100" title="Previous year">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span className="font-medium text-gray-900">{year}</span>
+          <button onClick={() => setYear(year + 1)} className="p-1 rounded hover:bg-gray-100" title="Next year">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {message && <p className="text-sm text-green-700">{message}</p>}
+
+      {/* Weekly offs */}
+      <div>
+        <h4 className="font-medium text-gray-900 mb-2">Weekly Offs</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+          {DAY_NAMES.map((name, day) => {
+            const pattern = patternOf(calendar.weeklyOffs, day);
+            return (
+              <label key={day} className="flex items-center justify-between text-sm border border-gray-100 rounded-lg px-3 py-2">
+                <span className="text-gray-700">{name}</span>
+                <select
+                  value={pattern}
+                  disabled={saving}
+                  onChange={(e) => handleWeeklyOffChange(day, e.target.value)}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {Object.entries(WEEK_PATTERNS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                  {pattern === 'custom' && <option value="custom" disabled>Custom</option>}
+                </select>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Add / import */}
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+        <input
+          type="date"
+          required
+          min={`${year}-01-01`}
+          max={`${year}-12-31`}
+          value={form.date}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+        <input
+          type="text"
+          required
+          maxLength={100}
+          placeholder="Holiday name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+        <select
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {Object.entries(HOLIDAY_TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Locations (blank: everyone)"
+          value={form.locations}
+          onChange={(e) => setForm({ ...form, locations: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+        <div className="flex items-center space-x-2">
+          <Button type="submit" size="sm" disabled={saving}>Add</Button>
+          <label className="inline-flex items-center space-x-1 text-sm text-gray-700 cursor-pointer hover:text-black" title="Import an .ics file with the type and locations above">
+            <Upload className="w-4 h-4" />
+            <span>.ics</span>
+            <input type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </form>
+
+      {/* Holidays */}
+      {calendar.holidays.length === 0 ? (
+        <p className="text-sm text-gray-500">No holidays in {year}</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {calendar.holidays.map(holiday => (
+            <div key={holiday.id} className="py-2 flex items-center justify-between text-sm">
+              <div className="flex items-center space-x-3">
+                <span className="text-gray-500 w-24">{holiday.date}</span>
+                <span className="text-gray-900">{holiday.name}</span>
+                <span className="text-xs text-gray-500">{HOLIDAY_TYPE_LABELS[holiday.type] || holiday.type}</span>
+                {holiday.locations.length > 0 && (
+                  <span className="text-xs text-blue-700 bg-blue-50 rounded px-2 py-0.5">{holiday.locations.join(', ')}</span>
+                )}
+              </div>
+              <button
+                onClick={() => run(() => attendanceApi.deleteHoliday(holiday.id), `${holiday.name} removed`)}
+                disabled={saving}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HolidayCalendarPanel;
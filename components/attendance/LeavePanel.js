@@ -0,0 +1,292 @@
+/**
+ * Leave Panel Component - View Layer
+ * Leave balances, applying for leave, own requests and (for reviewers) pending approvals
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarDays, Check, X, Loader } from 'lucide-react';
+import Button from '../ui/Button';
+import leaveApi from '../../src/features/leave/api/leaveApi';
+import { getIndiaDate } from '../../lib/timezoneClient';
+
+const TYPE_LABELS = {
+  casual: 'Casual',
+  sick: 'Sick',
+  earned: 'Earned',
+  unpaid: 'Unpaid'
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const EMPTY_FORM = { type: 'casual', startDate: '', endDate: '', halfDay: false, reason: '' };
+
+const formatPeriod = (request) => (
+  request.startDate === request.endDate
+    ? `${request.startDate}${request.halfDay ? ' (half day)' : ''}`
+    : `${request.startDate} to ${request.endDate}`
+);
+
+const LeavePanel = ({ currentUser }) => {
+  const [balances, setBalances] = useState(null);
+  const [requests, setRequests] = useState([]);
+  // null when the user does not review leave
+  const [approvals, setApprovals] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [comments, setComments] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [balanceData, ownRequests] = await Promise.all([
+        leaveApi.getBalances(),
+        leaveApi.getRequests()
+      ]);
+      setBalances(balanceData);
+      setRequests(ownRequests);
+    } catch (err) {
+      setError(err.message);
+    }
+
+    try {
+      const pending = await leaveApi.getRequests({ all: true, status: 'pending' });
+      setApprovals(pending.filter(request => request.username !== currentUser?.username));
+    } catch {
+      setApprovals(null);
+    }
+  }, [currentUser?.username]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await leaveApi.apply({
+        type: form.type,
+        startDate: form.startDate,
+        endDate: form.halfDay ? form.startDate : (form.endDate || form.startDate),
+        halfDay: form.halfDay,
+        reason: form.reason
+      });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await load();
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    setError(null);
+    try {
+      await leaveApi.cancel(requestId);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReview = async (requestId, action) => {
+    setError(null);
+    try {
+      await leaveApi.review(requestId, action, comments[requestId]);
+      setComments(prev => ({ ...prev, [requestId]: '' }));
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!balances && !error) {
+    return (
+      <div className="bg-white border border-gray-100 rounded-lg p-4 flex justify-center">
+        <Loader className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const today = getIndiaDate();
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <CalendarDays className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Leave</h3>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Close' : 'Apply for Leave'}
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Balances */}
+      {balances && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          {Object.entries(balances.types).map(([type, balance]) => (
+            <div key={type} className="border border-gray-100 rounded-lg p-3">
+              <p className="text-xs text-gray-500">{TYPE_LABELS[type] || type}</p>
+              <p className="text-xl font-semibold text-gray-900">
+                {balance.available === null ? '∞' : balance.available}
+              </p>
+              <p className="text-xs text-gray-500">
+                {balance.used} used{balance.pending ? `, ${balance.pending} pending` : ''}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Apply */}
+      {showForm && (
+        <form onSubmit={handleApply} className="border border-gray-100 rounded-lg p-3 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              required
+              min={today}
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <input
+              type="date"
+              disabled={form.halfDay}
+              min={form.startDate || today}
+              value={form.halfDay ? form.startDate : form.endDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm disabled:bg-gray-50"
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.halfDay}
+              onChange={(e) => setForm({ ...form, halfDay: e.target.checked })}
+              className="rounded text-blue-600"
+            />
+            <span>Half day</span>
+          </label>
+          <textarea
+            value={form.reason}
+            maxLength={500}
+            rows={2}
+            placeholder="Reason (optional)"
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <Button type="submit" size="sm" loading={submitting}>
+            Submit Request
+          </Button>
+        </form>
+      )}
+
+      {/* Pending approvals */}
+      {approvals && approvals.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">Awaiting Your Approval</h4>
+          <div className="space-y-2">
+            {approvals.map(request => (
+              <div key={request.id} className="border border-gray-100 rounded-lg p-3 space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900">{request.username}</span>
+                  <span className="text-gray-600">
+                    {TYPE_LABELS[request.type] || request.type} · {formatPeriod(request)} · {request.days}d
+                  </span>
+                </div>
+                {request.reason && <p className="text-sm text-gray-600">{request.reason}</p>}
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    placeholder="Comment"
+                    value={comments[request.id] || ''}
+                    onChange={(e) => setComments(prev => ({ ...prev, [request.id]: e.target.value }))}
+                    className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                  />
+                  <button
+                    onClick={() => handleReview(request.id, 'approve')}
+                    className="p-1.5 rounded bg-green-50 text-green-700 hover:bg-green-100"
+                    title="Approve"
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleReview(request.id, 'reject')}
+                    className="p-1.5 rounded bg-red-50 text-red-700 hover:bg-red-100"
+                    title="Reject"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Own requests */}
+      {requests.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">My Requests</h4>
+          <div className="divide-y divide-gray-100">
+            {requests.map(request => {
+              const cancellable = request.status === 'pending' ||
+                (request.status === 'approved' && request.startDate > today);
+
+              return (
+                <div key={request.id} className="py-2 flex items-center justify-between text-sm">
+                  <div>
+                    <span className="text-gray-900">
+                      {TYPE_LABELS[request.type] || request.type} · {formatPeriod(request)}
+                    </span>
+                    {request.reviewComment && (
+                      <p className="text-xs text-gray-500">{request.reviewedBy}: {request.reviewComment}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                    {cancellable && (
+                      <button
+                        onClick={() => handleCancel(request.id)}
+                        className="text-xs text-gray-500 hover:text-red-600"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeavePanel;
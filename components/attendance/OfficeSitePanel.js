@@ -0,0 +1,274 @@
+/**
+ * Office Site Panel Component - View Layer
+ * The organization's office sites (geofences) that office clock-ins are checked against
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { MapPin, Edit3, Trash2, Loader, Navigation } from 'lucide-react';
+import Button from '../ui/Button';
+import attendanceApi from '../../src/features/attendance/api/attendanceApi';
+
+const EMPTY_SITE = { name: '', latitude: '', longitude: '', radius: 100, timezone: 'Asia/Kolkata', allowedIpRanges: '' };
+
+// Form fields are strings; the API takes numbers and a list of ranges
+const toSiteData = (form) => ({
+  name: form.name,
+  latitude: Number(form.latitude),
+  longitude: Number(form.longitude),
+  radius: Number(form.radius),
+  timezone: form.timezone.trim(),
+  allowedIpRanges: form.allowedIpRanges.split(/[\s,]+/).filter(Boolean)
+});
+
+const toSiteForm = (site) => ({
+  name: site.name,
+  latitude: String(site.latitude),
+  longitude: String(site.longitude),
+  radius: site.radius,
+  timezone: site.timezone,
+  allowedIpRanges: site.allowedIpRanges.join(', ')
+});
+
+const OfficeSitePanel = () => {
+  const [sites, setSites] = useState(null);
+  const [requireOfficeSite, setRequireOfficeSite] = useState(false);
+  const [form, setForm] = useState(EMPTY_SITE);
+  const [editingId, setEditingId] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [siteData, settingsData] = await Promise.all([
+        attendanceApi.getOfficeSites(),
+        attendanceApi.getSettings()
+      ]);
+      setSites(siteData);
+      setRequireOfficeSite(!!settingsData.settings?.requireOfficeSite);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a change, then reload sites and settings
+  const run = async (change, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await change();
+      setMessage(successMessage);
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_SITE);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const saved = editingId
+      ? await run(() => attendanceApi.updateOfficeSite(editingId, toSiteData(form)), `${form.name} updated`)
+      : await run(() => attendanceApi.createOfficeSite(toSiteData(form)), `${form.name} added`);
+
+    if (saved) resetForm();
+  };
+
+  // Fill in the coordinates of where the admin is standing
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('This browser cannot share its location');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setForm(current => ({
+          ...current,
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6)
+        }));
+        setLocating(false);
+      },
+      (err) => {
+        setError(err.message || 'Unable to get your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  if (!sites) {
+    return (
+      <div className="bg-white border border-gray-100 rounded-lg p-6 flex justify-center">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader className="w-5 h-5 animate-spin text-gray-400" />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
+          <MapPin className="w-5 h-5" />
+          <span>Office Sites</span>
+          {saving && <Loader className="w-4 h-4 animate-spin text-gray-400" />}
+        </h3>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={requireOfficeSite}
+            disabled={saving || sites.length === 0}
+            onChange={(e) => run(
+              () => attendanceApi.setRequireOfficeSite(e.target.checked),
+              e.target.checked ? 'Office clock-ins away from every site are now refused' : 'Office clock-ins away from every site are now allowed'
+            )}
+            className="rounded text-blue-600"
+          />
+          <span>Refuse office clock-ins away from every site</span>
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {message && <p className="text-sm text-green-700">{message}</p>}
+
+      {sites.length === 0 ? (
+        <p className="text-sm text-gray-500">No office sites yet; office clock-ins are not checked for location</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {sites.map(site => (
+            <div key={site.id} className="py-2 flex items-center justify-between text-sm">
+              <div className="flex flex-wrap items-center gap-x-3">
+                <span className="font-medium text-gray-900">{site.name}</span>
+                <span className="text-gray-600">
+                  {site.latitude.toFixed(5)}, {site.longitude.toFixed(5)} · {site.radius}m
+                </span>
+                <span className="text-xs text-gray-500">{site.timezone}</span>
+                {site.allowedIpRanges.length > 0 && (
+                  <span className="text-xs text-gray-500">Networks: {site.allowedIpRanges.join(', ')}</span>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => {
+                    setEditingId(site.id);
+                    setForm(toSiteForm(site));
+                  }}
+                  disabled={saving}
+                  className="text-gray-400 hover:text-blue-600"
+                  title="Edit"
+                >
+                  <Edit3 className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => run(() => attendanceApi.deleteOfficeSite(site.id), `${site.name} deleted`)}
+                  disabled={saving}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="border border-gray-100 rounded-lg p-3 space-y-2 text-sm">
+        <div className="grid grid-cols-2 sm:grid-cols-6 gap-2">
+          <input
+            type="text"
+            required
+            maxLength={80}
+            placeholder="Site name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 sm:col-span-2"
+          />
+          <input
+            type="number"
+            required
+            step="any"
+            min={-90}
+            max={90}
+            placeholder="Latitude"
+            value={form.latitude}
+            onChange={(e) => setForm({ ...form, latitude: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="number"
+            required
+            step="any"
+            min={-180}
+            max={180}
+            placeholder="Longitude"
+            value={form.longitude}
+            onChange={(e) => setForm({ ...form, longitude: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="number"
+            required
+            min={10}
+            max={5000}
+            title="Radius (meters)"
+            value={form.radius}
+            onChange={(e) => setForm({ ...form, radius: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="text"
+            required
+            title="Timezone (e.g. Asia/Kolkata)"
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        </div>
+        <input
+          type="text"
+          placeholder="Office Wi-Fi / network IP ranges, comma separated (e.g. 203.0.113.0/24)"
+          value={form.allowedIpRanges}
+          onChange={(e) => setForm({ ...form, allowedIpRanges: e.target.value })}
+          className="w-full border border-gray-300 rounded px-2 py-1"
+        />
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={handleUseMyLocation}
+            disabled={locating}
+            className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {locating ? <Loader className="w-4 h-4 animate-spin" /> : <Navigation className="w-4 h-4" />}
+            <span>Use my location</span>
+          </button>
+          <div className="flex items-center space-x-2">
+            {editingId && (
+              <Button type="button" size="sm" variant="secondary" onClick={resetForm} disabled={saving}>Cancel</Button>
+            )}
+            <Button type="submit" size="sm" disabled={saving}>{editingId ? 'Save' : 'Add site'}</Button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OfficeSitePanel;
@@ -0,0 +1,112 @@
+/**
+ * Payroll Export Panel Component - View Layer
+ * Downloads the monthly payroll report (CSV or XLSX) for a date range and team
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FileSpreadsheet, Loader } from 'lucide-react';
+import Button from '../ui/Button';
+import attendanceApi from '../../src/features/attendance/api/attendanceApi';
+import httpClient from '../../src/shared/api/httpClient';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// First and last day of the current month (local time)
+const currentMonthRange = () => {
+  const now = new Date();
+  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+  return { startDate: `${month}-01`, endDate: `${month}-${pad(lastDay)}` };
+};
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const PayrollExportPanel = () => {
+  const [range, setRange] = useState(currentMonthRange);
+  const [teamId, setTeamId] = useState('');
+  const [teams, setTeams] = useState([]);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Team filter is optional; without access to teams it is just not offered
+  useEffect(() => {
+    httpClient.get('/teams')
+      .then(response => setTeams(response.data?.teams || []))
+      .catch(() => setTeams([]));
+  }, []);
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    setError(null);
+
+    try {
+      const params = { ...range, ...(teamId && { teamId }) };
+      const blob = await attendanceApi.downloadPayrollReport(params, format);
+      saveBlob(blob, `attendance-payroll-${range.startDate}-to-${range.endDate}.${format}`);
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-6 space-y-3">
+      <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
+        <FileSpreadsheet className="w-5 h-5" />
+        <span>Payroll Export</span>
+      </h3>
+      <p className="text-sm text-gray-500">
+        One row per employee per month: attendance counts, late arrivals, hours, overtime and a status code for each day
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <input
+          type="date"
+          value={range.startDate}
+          onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={range.endDate}
+          min={range.startDate}
+          onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+          className="border border-gray-300 rounded px-2 py-1"
+        />
+        {teams.length > 0 && (
+          <select
+            value={teamId}
+            onChange={(e) => setTeamId(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            <option value="">All employees</option>
+            {teams.map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </select>
+        )}
+        <Button size="sm" onClick={() => handleDownload('xlsx')} disabled={!!downloading}>
+          {downloading === 'xlsx' ? <Loader className="w-4 h-4 animate-spin" /> : 'Excel (XLSX)'}
+        </Button>
+        <Button size="sm" variant="secondary" onClick={() => handleDownload('csv')} disabled={!!downloading}>
+          {downloading === 'csv' ? <Loader className="w-4 h-4 animate-spin" /> : 'CSV'}
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PayrollExportPanel;
@@ -0,0 +1,294 @@
+/**
+ * Regularization Panel Component - View Layer
+ * Requesting attendance corrections, own requests and (for reviewers) pending approvals
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, Check, X, Loader } from 'lucide-react';
+import Button from '../ui/Button';
+import attendanceApi from '../../src/features/attendance/api/attendanceApi';
+import { getIndiaDate } from '../../lib/timezoneClient';
+
+const TYPE_LABELS = {
+  missed_clock_out: 'Missed clock-out',
+  work_type: 'Wrong work type',
+  time_change: 'Wrong clock-in/out time'
+};
+
+const WORK_TYPE_LABELS = {
+  office: 'Office',
+  wfh: 'Work from home',
+  remote: 'Remote'
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const EMPTY_FORM = { date: '', type: 'missed_clock_out', checkIn: '', checkOut: '', workType: 'office', reason: '' };
+
+// What the request changes, e.g. "Clock-out 18:30" or "Work type wfh → office"
+const describeChange = (request) => {
+  const labels = { checkIn: 'Clock-in', checkOut: 'Clock-out', workType: 'Work type' };
+  return Object.entries(request.requested)
+    .map(([field, value]) => {
+      const current = request.current?.[field];
+      return `${labels[field]} ${current ? `${current} → ` : ''}${value}`;
+    })
+    .join(', ');
+};
+
+const RegularizationPanel = ({ currentUser }) => {
+  const [requests, setRequests] = useState(null);
+  const [usage, setUsage] = useState(null);
+  // null when the user does not review corrections
+  const [approvals, setApprovals] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [comments, setComments] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await attendanceApi.getRegularizations();
+      setRequests(data.requests);
+      setUsage(data.usage);
+    } catch (err) {
+      setError(err.message);
+    }
+
+    try {
+      const pending = await attendanceApi.getRegularizations({ all: true, status: 'pending' });
+      setApprovals(pending.requests.filter(request => request.username !== currentUser?.username));
+    } catch {
+      setApprovals(null);
+    }
+  }, [currentUser?.username]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await attendanceApi.requestRegularization({
+        date: form.date,
+        type: form.type,
+        ...(form.type === 'work_type' && { workType: form.workType }),
+        ...(form.type !== 'work_type' && form.checkOut && { checkOut: form.checkOut }),
+        ...(form.type === 'time_change' && form.checkIn && { checkIn: form.checkIn }),
+        reason: form.reason
+      });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      await load();
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    setError(null);
+    try {
+      await attendanceApi.cancelRegularization(requestId);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReview = async (requestId, action) => {
+    setError(null);
+    try {
+      await attendanceApi.reviewRegularization(requestId, action, comments[requestId]);
+      setComments(prev => ({ ...prev, [requestId]: '' }));
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!requests && !error) {
+    return (
+      <div className="bg-white border border-gray-100 rounded-lg p-4 flex justify-center">
+        <Loader className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <History className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Attendance Corrections</h3>
+          {usage && (
+            <span className="text-xs text-gray-500">{usage.remaining} of {usage.limit} left this month</span>
+          )}
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setShowForm(!showForm)} disabled={usage?.remaining === 0 && !showForm}>
+          {showForm ? 'Close' : 'Request Correction'}
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Request */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-100 rounded-lg p-3 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+            <input
+              type="date"
+              required
+              max={getIndiaDate()}
+              value={form.date}
+              onChange={(e) => setForm({ ...form, date: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            {form.type === 'work_type' ? (
+              <select
+                value={form.workType}
+                onChange={(e) => setForm({ ...form, workType: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(WORK_TYPE_LABELS).map(([workType, label]) => (
+                  <option key={workType} value={workType}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <>
+                {form.type === 'time_change' && (
+                  <input
+                    type="time"
+                    title="Clock-in"
+                    value={form.checkIn}
+                    onChange={(e) => setForm({ ...form, checkIn: e.target.value })}
+                    className="border border-gray-300 rounded px-2 py-1 text-sm"
+                  />
+                )}
+                <input
+                  type="time"
+                  title="Clock-out"
+                  required={form.type === 'missed_clock_out'}
+                  value={form.checkOut}
+                  onChange={(e) => setForm({ ...form, checkOut: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </>
+            )}
+          </div>
+          <textarea
+            value={form.reason}
+            required
+            maxLength={500}
+            rows={2}
+            placeholder="Reason"
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <Button type="submit" size="sm" loading={submitting}>
+            Submit Request
+          </Button>
+        </form>
+      )}
+
+      {/* Pending approvals */}
+      {approvals && approvals.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">Awaiting Your Approval</h4>
+          <div className="space-y-2">
+            {approvals.map(request => (
+              <div key={request.id} className="border border-gray-100 rounded-lg p-3 space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900">{request.username}</span>
+                  <span className="text-gray-600">
+                    {request.date} · {describeChange(request)}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600">{request.reason}</p>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    placeholder="Comment"
+                    value={comments[request.id] || ''}
+                    onChange={(e) => setComments(prev => ({ ...prev, [request.id]: e.target.value }))}
+                    className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                  />
+                  <button
+                    onClick={() => handleReview(request.id, 'approve')}
+                    className="p-1.5 rounded bg-green-50 text-green-700 hover:bg-green-100"
+                    title="Approve"
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleReview(request.id, 'reject')}
+                    className="p-1.5 rounded bg-red-50 text-red-700 hover:bg-red-100"
+                    title="Reject"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Own requests */}
+      {requests && requests.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">My Requests</h4>
+          <div className="divide-y divide-gray-100">
+            {requests.map(request => (
+              <div key={request.id} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className="text-gray-900">
+                    {request.date} · {describeChange(request)}
+                  </span>
+                  {request.reviewComment && (
+                    <p className="text-xs text-gray-500">{request.reviewedBy}: {request.reviewComment}</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[request.status]}`}>
+                    {request.status}
+                  </span>
+                  {request.status === 'pending' && (
+                    <button
+                      onClick={() => handleCancel(request.id)}
+                      className="text-xs text-gray-500 hover:text-red-600"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegularizationPanel;
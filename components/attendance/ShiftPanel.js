@@ -0,0 +1,338 @@
+/**
+ * Shift Panel Component - View Layer
+ * The organization's shifts, the default shift, and who works which shift (rotations included)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, Star, Trash2, Loader } from 'lucide-react';
+import Button from '../ui/Button';
+import attendanceApi from '../../src/features/attendance/api/attendanceApi';
+import { getIndiaDate } from '../../lib/timezoneClient';
+
+const EMPTY_SHIFT = { name: '', startTime: '09:00', endTime: '18:00', graceMinutes: 15, breakMinutes: 60, minimumHours: 8 };
+
+const emptyAssignment = () => ({
+  assigneeType: 'user',
+  assigneeId: '',
+  shiftIds: [],
+  rotationDays: 7,
+  startDate: getIndiaDate(),
+  endDate: ''
+});
+
+const formatHours = (shift) => `${shift.startTime}–${shift.endTime}`;
+
+const ShiftPanel = ({ users = [], teams = [] }) => {
+  const [shifts, setShifts] = useState(null);
+  const [defaultShiftId, setDefaultShiftId] = useState(null);
+  const [assignments, setAssignments] = useState([]);
+  const [shiftForm, setShiftForm] = useState(EMPTY_SHIFT);
+  const [assignmentForm, setAssignmentForm] = useState(emptyAssignment);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [shiftData, assignmentData] = await Promise.all([
+        attendanceApi.getShifts(),
+        attendanceApi.getShiftAssignments()
+      ]);
+      setShifts(shiftData.shifts);
+      setDefaultShiftId(shiftData.defaultShiftId);
+      setAssignments(assignmentData);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a change, then reload shifts and assignments
+  const run = async (change, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await change();
+      setMessage(successMessage);
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.message || err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateShift = async (e) => {
+    e.preventDefault();
+    const created = await run(() => attendanceApi.createShift({
+      ...shiftForm,
+      graceMinutes: Number(shiftForm.graceMinutes),
+      breakMinutes: Number(shiftForm.breakMinutes),
+      minimumHours: Number(shiftForm.minimumHours)
+    }), `${shiftForm.name} shift added`);
+
+    if (created) setShiftForm(EMPTY_SHIFT);
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    const assigned = await run(() => attendanceApi.assignShift({
+      ...assignmentForm,
+      rotationDays: Number(assignmentForm.rotationDays),
+      endDate: assignmentForm.endDate || null
+    }), 'Shift assigned');
+
+    if (assigned) setAssignmentForm(emptyAssignment());
+  };
+
+  const toggleAssignmentShift = (shiftId) => {
+    const { shiftIds } = assignmentForm;
+    setAssignmentForm({
+      ...assignmentForm,
+      shiftIds: shiftIds.includes(shiftId) ? shiftIds.filter(id => id !== shiftId) : [...shiftIds, shiftId]
+    });
+  };
+
+  const shiftName = (shiftId) => shifts.find(shift => shift.id === shiftId)?.name || 'Deleted shift';
+  const assigneeName = (assignment) => assignment.assigneeType === 'team'
+    ? `Team: ${teams.find(team => team.id === assignment.assigneeId)?.name || assignment.assigneeId}`
+    : assignment.assigneeId;
+
+  if (!shifts) {
+    return (
+      <div className="bg-white border border-gray-100 rounded-lg p-6 flex justify-center">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader className="w-5 h-5 animate-spin text-gray-400" />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-lg p-6 space-y-6">
+      <h3 className="text-lg font-semibold text-black flex items-center space-x-2">
+        <Clock className="w-5 h-5" />
+        <span>Shifts</span>
+        {saving && <Loader className="w-4 h-4 animate-spin text-gray-400" />}
+      </h3>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {message && <p className="text-sm text-green-700">{message}</p>}
+
+      {/* Shifts */}
+      <div className="space-y-2">
+        {shifts.length === 0 ? (
+          <p className="text-sm text-gray-500">No shifts yet; everyone is judged against the clock-in deadline</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {shifts.map(shift => (
+              <div key={shift.id} className="py-2 flex items-center justify-between text-sm">
+                <div className="flex items-center space-x-3">
+                  <span className="font-medium text-gray-900">{shift.name}</span>
+                  <span className="text-gray-600">{formatHours(shift)}</span>
+                  <span className="text-xs text-gray-500">
+                    {shift.graceMinutes}m grace · {shift.breakMinutes}m break · {shift.minimumHours}h minimum
+                  </span>
+                  {shift.id === defaultShiftId && (
+                    <span className="text-xs text-blue-700 bg-blue-50 rounded px-2 py-0.5">Default</span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => run(
+                      () => attendanceApi.setDefaultShift(shift.id === defaultShiftId ? null : shift.id),
+                      shift.id === defaultShiftId ? 'Default shift cleared' : `${shift.name} is now the default shift`
+                    )}
+                    disabled={saving}
+                    className={shift.id === defaultShiftId ? 'text-blue-600 hover:text-gray-400' : 'text-gray-400 hover:text-blue-600'}
+                    title={shift.id === defaultShiftId ? 'Clear default' : 'Make default for users without an assignment'}
+                  >
+                    <Star className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => run(() => attendanceApi.deleteShift(shift.id), `${shift.name} shift deleted`)}
+                    disabled={saving}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleCreateShift} className="grid grid-cols-2 sm:grid-cols-7 gap-2 text-sm">
+          <input
+            type="text"
+            required
+            maxLength={60}
+            placeholder="Shift name"
+            value={shiftForm.name}
+            onChange={(e) => setShiftForm({ ...shiftForm, name: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 sm:col-span-2"
+          />
+          <input
+            type="time"
+            required
+            title="Start"
+            value={shiftForm.startTime}
+            onChange={(e) => setShiftForm({ ...shiftForm, startTime: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="time"
+            required
+            title="End (earlier than the start for overnight shifts)"
+            value={shiftForm.endTime}
+            onChange={(e) => setShiftForm({ ...shiftForm, endTime: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="number"
+            min={0}
+            max={240}
+            title="Grace period (minutes)"
+            value={shiftForm.graceMinutes}
+            onChange={(e) => setShiftForm({ ...shiftForm, graceMinutes: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="number"
+            min={0}
+            title="Break (minutes)"
+            value={shiftForm.breakMinutes}
+            onChange={(e) => setShiftForm({ ...shiftForm, breakMinutes: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              min={0}
+              step={0.5}
+              title="Minimum hours for a full day"
+              value={shiftForm.minimumHours}
+              onChange={(e) => setShiftForm({ ...shiftForm, minimumHours: e.target.value })}
+              className="w-full border border-gray-300 rounded px-2 py-1"
+            />
+            <Button type="submit" size="sm" disabled={saving}>Add</Button>
+          </div>
+        </form>
+      </div>
+
+      {/* Assignments */}
+      {shifts.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">Assignments</h4>
+
+          {assignments.length > 0 && (
+            <div className="divide-y divide-gray-100">
+              {assignments.map(assignment => (
+                <div key={assignment.id} className="py-2 flex items-center justify-between text-sm">
+                  <div className="flex items-center space-x-3">
+                    <span className="font-medium text-gray-900">{assigneeName(assignment)}</span>
+                    <span className="text-gray-600">
+                      {assignment.shiftIds.map(shiftName).join(' → ')}
+                      {assignment.shiftIds.length > 1 && ` (every ${assignment.rotationDays} days)`}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {assignment.endDate ? `${assignment.startDate} to ${assignment.endDate}` : `from ${assignment.startDate}`}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => run(() => attendanceApi.deleteShiftAssignment(assignment.id), 'Assignment removed')}
+                    disabled={saving}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <form onSubmit={handleAssign} className="border border-gray-100 rounded-lg p-3 space-y-3 text-sm">
+            <div className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+              <select
+                value={assignmentForm.assigneeType}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, assigneeType: e.target.value, assigneeId: '' })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="user">User</option>
+                <option value="team">Team</option>
+              </select>
+              <select
+                required
+                value={assignmentForm.assigneeId}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, assigneeId: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="">Choose…</option>
+                {assignmentForm.assigneeType === 'team'
+                  ? teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)
+                  : users.map(username => <option key={username} value={username}>{username}</option>)}
+              </select>
+              <input
+                type="date"
+                required
+                title="From"
+                value={assignmentForm.startDate}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, startDate: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+              <input
+                type="date"
+                title="Until (optional)"
+                min={assignmentForm.startDate}
+                value={assignmentForm.endDate}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, endDate: e.target.value })}
+                className="border border-gray-300 rounded px-2 py-1"
+              />
+              <label className="flex items-center space-x-2 text-gray-700">
+                <span>Rotate every</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={90}
+                  disabled={assignmentForm.shiftIds.length < 2}
+                  value={assignmentForm.rotationDays}
+                  onChange={(e) => setAssignmentForm({ ...assignmentForm, rotationDays: e.target.value })}
+                  className="w-16 border border-gray-300 rounded px-2 py-1 disabled:bg-gray-50"
+                />
+                <span>days</span>
+              </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              {shifts.map(shift => {
+                const position = assignmentForm.shiftIds.indexOf(shift.id);
+                return (
+                  <label key={shift.id} className="flex items-center space-x-1 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={position !== -1}
+                      onChange={() => toggleAssignmentShift(shift.id)}
+                      className="rounded text-blue-600"
+                    />
+                    <span>{shift.name}{position !== -1 && assignmentForm.shiftIds.length > 1 ? ` (${position + 1})` : ''}</span>
+                  </label>
+                );
+              })}
+              <Button type="submit" size="sm" disabled={saving || assignmentForm.shiftIds.length === 0}>
+                Assign
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftPanel;
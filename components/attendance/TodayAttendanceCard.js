@@ -129,6 +129,12 @@ const TodayAttendanceCard = ({
             <span>Today's Attendance</span>
           </h3>
           <p className="text-sm text-gray-600">{today}</p>
+          {todayRecord?.shift && (
+            <p className="text-xs text-gray-500">
+              {todayRecord.shift.name} shift · {todayRecord.shift.startTime}–{todayRecord.shift.endTime}
+              {todayRecord.markedLate && todayRecord.lateByMinutes ? ` · late by ${todayRecord.lateByMinutes} min` : ''}
+            </p>
+          )}
         </div>
 
         {/* Online/Offline Status */}
@@ -0,0 +1,154 @@
+// components/auth/MfaEnrollment.js - Authenticator app setup (QR code, first code, recovery codes)
+import React, { useEffect, useState } from 'react';
+import Image from 'next/image';
+import { ShieldCheck } from 'lucide-react';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * Used at login (organization requires MFA) and from the user profile; the
+ * caller supplies the API calls so each can authenticate its own way.
+ * @param {Function} startEnrollment - () => Promise<{ secret, qrCode }>; keep it stable
+ *   (useCallback), a new function starts a new enrollment
+ * @param {Function} activateEnrollment - (code) => Promise<{ recoveryCodes, ... }>
+ * @param {Function} onComplete - Called with the activation result once codes are saved
+ * @param {Function} onCancel - Optional cancel action
+ */
+const MfaEnrollment = ({ startEnrollment, activateEnrollment, onComplete, onCancel = null }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    startEnrollment()
+      .then(data => {
+        if (!cancelled) setEnrollment(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to start two-factor setup');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startEnrollment]);
+
+  const handleActivate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      setResult(await activateEnrollment(code.trim()));
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center space-x-2 text-green-700">
+          <ShieldCheck className="w-5 h-5" />
+          <span className="font-semibold">Two-factor authentication is on</span>
+        </div>
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full py-3 px-4 bg-black text-white border-2 border-black rounded-xl hover:bg-gray-800 font-medium transition-all"
+        >
+          I&apos;ve saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 border-2 border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm font-medium">{error}</p>
+        </div>
+      )}
+
+      {loading && !enrollment ? (
+        <div className="flex items-center justify-center p-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-2 border-black border-t-transparent"></div>
+          <span className="ml-2 text-sm text-gray-600">Preparing setup...</span>
+        </div>
+      ) : enrollment && (
+        <>
+          <ol className="text-sm text-gray-700 space-y-1 list-decimal list-inside">
+            <li>Install an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password...)</li>
+            <li>Scan this QR code, or enter the key by hand</li>
+            <li>Enter the 6-digit code the app shows</li>
+          </ol>
+
+          <div className="flex justify-center">
+            <Image
+              src={enrollment.qrCode}
+              alt="Authenticator QR code"
+              width={192}
+              height={192}
+              className="w-48 h-48 border-2 border-gray-200 rounded-lg"
+            />
+          </div>
+
+          <p className="text-xs text-gray-600 text-center break-all">
+            Setup key: <span className="font-mono text-black">{enrollment.secret.match(/.{1,4}/g).join(' ')}</span>
+          </p>
+
+          <form onSubmit={handleActivate} className="space-y-3">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={6}
+              className="w-full px-4 py-3 bg-gray-50 border-2 border-gray-300 rounded-xl text-black text-center tracking-widest placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
+              disabled={loading}
+            />
+            <div className="flex gap-3">
+              {onCancel && (
+                <button
+                  type="button"
+                  onClick={onCancel}
+                  className="flex-1 py-3 px-4 bg-gray-100 text-gray-700 border-2 border-gray-300 rounded-xl hover:bg-gray-200 hover:border-gray-400 font-medium transition-all"
+                  disabled={loading}
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                className="flex-1 py-3 px-4 bg-black text-white border-2 border-black rounded-xl hover:bg-gray-800 font-medium transition-all disabled:opacity-50"
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify & Enable'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MfaEnrollment;
@@ -0,0 +1,120 @@
+// components/auth/MfaLoginStep.js - Second login step: enter a code, or set up MFA when required
+import React, { useCallback, useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { authApi } from '../../src/api/auth.api';
+import MfaEnrollment from './MfaEnrollment';
+
+/**
+ * @param {Object} challenge - Login response with mfaToken and mfaRequired / mfaEnrollmentRequired
+ * @param {Function} onComplete - Called with the signed-in user (tokens are already stored)
+ * @param {Function} onCancel - Back to the password form
+ */
+const MfaLoginStep = ({ challenge, onComplete, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const startEnrollment = useCallback(
+    () => authApi.startMfaEnrollment(challenge.mfaToken),
+    [challenge.mfaToken]
+  );
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Enter a recovery code' : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const data = await authApi.verifyMfa(challenge.mfaToken, code.trim());
+
+      if (data.mfaMethod === 'recovery_code' && data.recoveryCodesRemaining <= 2) {
+        alert(`You have ${data.recoveryCodesRemaining} recovery code${data.recoveryCodesRemaining === 1 ? '' : 's'} left. Generate new ones from your profile.`);
+      }
+
+      onComplete(data.user);
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="text-center mb-6">
+        <div className="w-14 h-14 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-3">
+          <ShieldCheck className="w-7 h-7 text-gray-700" />
+        </div>
+        <h2 className="text-2xl font-bold text-black mb-2">Two-Factor Authentication</h2>
+        <p className="text-gray-700 text-sm">{challenge.message}</p>
+      </div>
+
+      {challenge.mfaEnrollmentRequired ? (
+        <MfaEnrollment
+          startEnrollment={startEnrollment}
+          activateEnrollment={(firstCode) => authApi.activateMfaEnrollment(challenge.mfaToken, firstCode)}
+          onComplete={(result) => onComplete(result.user)}
+          onCancel={onCancel}
+        />
+      ) : (
+        <form onSubmit={handleVerify} className="space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border-2 border-red-200 rounded-lg">
+              <p className="text-red-700 text-sm font-medium">{error}</p>
+            </div>
+          )}
+
+          <input
+            type="text"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            placeholder={useRecoveryCode ? 'Recovery code (xxxxx-xxxxx)' : '6-digit code'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full px-4 py-4 bg-gray-50 border-2 border-gray-300 rounded-xl text-black text-center tracking-widest placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
+            disabled={loading}
+          />
+
+          <button
+            type="submit"
+            className="w-full py-4 text-lg font-bold bg-black text-white hover:bg-gray-800 border-2 border-black rounded-xl transition-all disabled:opacity-50"
+            disabled={loading}
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <div className="flex justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+                setError('');
+              }}
+              className="text-gray-600 hover:text-black font-medium transition-colors"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={onCancel}
+              className="text-gray-600 hover:text-black font-medium transition-colors"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MfaLoginStep;
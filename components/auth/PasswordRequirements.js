@@ -0,0 +1,28 @@
+// components/auth/PasswordRequirements.js - Live checklist of the organization's password policy
+import React from 'react';
+import { Check, Circle } from 'lucide-react';
+import { checkPasswordRequirements } from '../../src/utils/passwordPolicy.util';
+
+/**
+ * @param {string} password - Password being typed
+ * @param {Object} policy - Password policy (defaults apply when omitted)
+ */
+const PasswordRequirements = ({ password, policy }) => {
+  const requirements = checkPasswordRequirements(password, policy);
+
+  return (
+    <ul className="space-y-1">
+      {requirements.map(({ label, met }) => (
+        <li
+          key={label}
+          className={`flex items-center gap-2 text-xs font-medium ${met ? 'text-green-700' : 'text-gray-500'}`}
+        >
+          {met ? <Check className="w-3.5 h-3.5" /> : <Circle className="w-3.5 h-3.5" />}
+          {label}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,64 @@
+// components/auth/RecoveryCodes.js - One-time display of MFA recovery codes
+import React, { useState } from 'react';
+import { Copy, Download, Check } from 'lucide-react';
+
+/**
+ * @param {Array<string>} codes - Recovery codes (shown once, never retrievable again)
+ */
+const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy recovery codes:', err);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([codes.join('\n') + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose access
+        to your authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border-2 border-gray-200 rounded-lg font-mono text-sm text-black">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex-1 py-2 px-3 bg-white text-gray-700 border-2 border-gray-300 rounded-lg hover:bg-gray-50 text-sm font-medium flex items-center justify-center space-x-2"
+        >
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex-1 py-2 px-3 bg-white text-gray-700 border-2 border-gray-300 rounded-lg hover:bg-gray-50 text-sm font-medium flex items-center justify-center space-x-2"
+        >
+          <Download className="w-4 h-4" />
+          <span>Download</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -31,15 +31,31 @@ import {
   Users
 } from 'lucide-react';
 import useAdminDashboardStore from '../../hooks/useAdminDashboard';
+import useTaskQuery from '../../src/features/tasks/hooks/useTaskQuery';
+import useTaskWorkflow from '../../src/features/tasks/hooks/useTaskWorkflow';
 import Button from '../ui/Button';
 
+// Shortest search the task query API accepts
+const MIN_SEARCH_LENGTH = 2;
+
+// Sort choices of the All Tasks view ("key:direction" of the query API)
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'deadline:asc', label: 'Deadline (soonest)' },
+  { value: 'deadline:desc', label: 'Deadline (latest)' },
+  { value: 'priority:desc', label: 'Priority (high to low)' },
+  { value: 'priority:asc', label: 'Priority (low to high)' },
+  { value: 'task:asc', label: 'Task name (A-Z)' }
+];
+
 const AdminTasksDashboard = ({ user, onTaskSelect }) => {
   const [viewMode, setViewMode] = useState('overview');
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterPriority, setFilterPriority] = useState('all');
   const [filterAssignee, setFilterAssignee] = useState('all');
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  const [sortConfig, setSortConfig] = useState({ key: 'createdAt', direction: 'desc' });
   const [selectedTasks, setSelectedTasks] = useState([]);
   const [editingTaskId, setEditingTaskId] = useState(null);
   const [editingTask, setEditingTask] = useState({});
@@ -66,22 +82,6 @@ const AdminTasksDashboard = ({ user, onTaskSelect }) => {
   const taskStats = dashboardData?.tasks || {};
   const users = dashboardData?.users?.all || [];
 
-  // Filter and sort tasks
-  const filteredTasks = allTasks.filter(task => {
-    const matchesSearch = !searchQuery ||
-      task.task?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      task.client_name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      task.assigned_to?.toLowerCase().includes(searchQuery.toLowerCase());
-
-    const matchesStatus = filterStatus === 'all' || task.status === filterStatus;
-    const matchesPriority = filterPriority === 'all' || task.priority === filterPriority;
-    const matchesAssignee = filterAssignee === 'all' || task.assigned_to === filterAssignee;
-
-    return matchesSearch && matchesStatus && matchesPriority && matchesAssignee;
-  });
-
-  const sortedTasks = sortTasks(filteredTasks, sortConfig);
-
   const todayDate = new Date().toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
@@ -205,7 +205,6 @@ const AdminTasksDashboard = ({ user, onTaskSelect }) => {
           {viewMode === 'overview' && <OverviewSection stats={taskStats} tasks={allTasks} />}
           {viewMode === 'tasks' && (
             <TasksSection
-              tasks={sortedTasks}
               users={users}
               searchQuery={searchQuery}
               setSearchQuery={setSearchQuery}
@@ -343,8 +342,8 @@ const OverviewSection = ({ stats, tasks }) => {
 };
 
 // Tasks Section with Filters
+// Filtering, search and sorting run on the server, a page at a time
 const TasksSection = ({
-  tasks,
   users,
   searchQuery,
   setSearchQuery,
@@ -357,80 +356,132 @@ const TasksSection = ({
   sortConfig,
   setSortConfig,
   onTaskSelect
-}) => (
-  <div className="space-y-4">
-    {/* Filters */}
-    <div className="flex flex-col lg:flex-row gap-4 items-start lg:items-center justify-between">
-      <div className="flex flex-col sm:flex-row gap-3 w-full lg:w-auto">
-        {/* Search */}
-        <div className="relative">
-          <Search className="w-4 h-4 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
-          <input
-            type="text"
-            placeholder="Search tasks..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full sm:w-64"
-          />
-        </div>
+}) => {
+  const { statuses } = useTaskWorkflow();
+  const search = searchQuery.trim();
 
-        {/* Status Filter */}
-        <select
-          value={filterStatus}
-          onChange={(e) => setFilterStatus(e.target.value)}
-          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-        >
-          <option value="all">All Status</option>
-          <option value="pending">Pending</option>
-          <option value="done">Completed</option>
-        </select>
-
-        {/* Priority Filter */}
-        <select
-          value={filterPriority}
-          onChange={(e) => setFilterPriority(e.target.value)}
-          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-        >
-          <option value="all">All Priorities</option>
-          <option value="High">High Priority</option>
-          <option value="Medium">Medium Priority</option>
-          <option value="Low">Low Priority</option>
-        </select>
-
-        {/* Assignee Filter */}
-        <select
-          value={filterAssignee}
-          onChange={(e) => setFilterAssignee(e.target.value)}
-          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-        >
-          <option value="all">All Assignees</option>
-          {users.map(user => (
-            <option key={user.username} value={user.username}>
-              {user.username}
-            </option>
-          ))}
-        </select>
-      </div>
-    </div>
+  const {
+    tasks,
+    total,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMore
+  } = useTaskQuery({
+    search: search.length >= MIN_SEARCH_LENGTH ? search : '',
+    status: filterStatus === 'overdue' ? 'all' : filterStatus,
+    overdue: filterStatus === 'overdue',
+    priority: filterPriority,
+    assignee: filterAssignee,
+    sort: sortConfig.key,
+    order: sortConfig.direction
+  });
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="flex flex-col lg:flex-row gap-4 items-start lg:items-center justify-between">
+        <div className="flex flex-col sm:flex-row gap-3 w-full lg:w-auto">
+          {/* Search */}
+          <div className="relative">
+            <Search className="w-4 h-4 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search tasks..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full sm:w-64"
+            />
+          </div>
 
-    {/* Task List */}
-    <div className="space-y-2">
-      <div className="text-sm text-gray-600 mb-2">
-        Showing {tasks.length} tasks
+          {/* Status Filter */}
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">All Status</option>
+            {statuses.map(status => (
+              <option key={status.key} value={status.key}>{status.label}</option>
+            ))}
+            <option value="overdue">Overdue</option>
+          </select>
+
+          {/* Priority Filter */}
+          <select
+            value={filterPriority}
+            onChange={(e) => setFilterPriority(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">All Priorities</option>
+            <option value="High">High Priority</option>
+            <option value="Medium">Medium Priority</option>
+            <option value="Low">Low Priority</option>
+          </select>
+
+          {/* Assignee Filter */}
+          <select
+            value={filterAssignee}
+            onChange={(e) => setFilterAssignee(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">All Assignees</option>
+            {users.map(user => (
+              <option key={user.username} value={user.username}>
+                {user.username}
+              </option>
+            ))}
+          </select>
+
+          {/* Sort */}
+          <select
+            value={`${sortConfig.key}:${sortConfig.direction}`}
+            onChange={(e) => {
+              const [key, direction] = e.target.value.split(':');
+              setSortConfig({ key, direction });
+            }}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
-      {tasks.length > 0 ? (
-        tasks.map((task, index) => (
-          <TaskRow key={task.id || index} task={task} onSelect={onTaskSelect} />
-        ))
-      ) : (
-        <div className="text-center py-12">
-          <ClipboardList className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-          <p className="text-gray-500">No tasks found matching your criteria</p>
+
+      {/* Task List */}
+      <div className="space-y-2">
+        <div className="text-sm text-gray-600 mb-2">
+          {error
+            ? <span className="text-red-600">{error}</span>
+            : loading ? 'Loading tasks...' : `Showing ${tasks.length} of ${total} tasks`}
         </div>
-      )}
+        {tasks.length > 0 ? (
+          tasks.map((task, index) => (
+            <TaskRow key={task.id || index} task={task} onSelect={onTaskSelect} />
+          ))
+        ) : !loading && (
+          <div className="text-center py-12">
+            <ClipboardList className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No tasks found matching your criteria</p>
+          </div>
+        )}
+        {hasMore && (
+          <div className="flex justify-center pt-2">
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load More'}
+            </button>
+          </div>
+        )}
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
 // Analytics Section
 const AnalyticsSection = ({ stats, tasks, users }) => {
@@ -597,26 +648,6 @@ const TaskRow = ({ task, onSelect, compact = false, urgent = false }) => {
 };
 
 // Helper Functions
-const sortTasks = (tasks, sortConfig) => {
-  if (!sortConfig.key) return tasks;
-
-  return [...tasks].sort((a, b) => {
-    const aValue = a[sortConfig.key];
-    const bValue = b[sortConfig.key];
-
-    if (sortConfig.key === 'priority') {
-      const priorityOrder = { High: 3, Medium: 2, Low: 1 };
-      return sortConfig.direction === 'asc'
-        ? (priorityOrder[aValue] || 0) - (priorityOrder[bValue] || 0)
-        : (priorityOrder[bValue] || 0) - (priorityOrder[aValue] || 0);
-    }
-
-    if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1;
-    if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
-};
-
 const isOverdue = (task) => {
   return task.status === 'pending' && task.deadline && new Date(task.deadline) < new Date();
 };
@@ -27,6 +27,8 @@ import Button from '../ui/Button';
 import { AttendanceReportService } from '../../lib/attendanceServices';
 import useAdvancedAttendance from '../../hooks/useAdvancedAttendance';
 import AttendanceTable from '../attendance/AttendanceTable';
+import HolidayCalendarPanel from '../attendance/HolidayCalendarPanel';
+import ShiftPanel from '../attendance/ShiftPanel';
 import { getIndiaLocaleDateString } from '../../lib/timezoneClient';
 
 const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
@@ -45,6 +47,7 @@ const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
     filterWorkType,
     searchTerm,
     selectedUser,
+    selectedTeam,
     dateRange,
     markAttendance,
     updateAttendanceRecord,
@@ -56,9 +59,11 @@ const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
     setFilterWorkType,
     setSearchTerm,
     setSelectedUser,
+    setSelectedTeam,
     setDateRange,
     allUsers,
-    setAllUsers
+    setAllUsers,
+    teams
   } = useAdvancedAttendance('admin', currentUser);
 
   // Don't show anything until user is available
@@ -358,6 +363,15 @@ const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
         </div>
       )}
 
+      {/* Holiday Calendar */}
+      <HolidayCalendarPanel />
+
+      {/* Shifts */}
+      <ShiftPanel
+        users={allUsers.filter(user => user.id !== 'all').map(user => user.id)}
+        teams={teams}
+      />
+
       {/* Filters */}
       <div className="bg-white border border-gray-100 rounded-lg p-6">
         <h3 className="text-lg font-semibold text-black mb-4 flex items-center space-x-2">
@@ -365,7 +379,7 @@ const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
           <span>Filters & Search</span>
         </h3>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
           {/* Date Range */}
           <div className="lg:col-span-2 grid grid-cols-2 gap-2">
             <div>
@@ -388,6 +402,22 @@ const AdvancedAdminAttendanceDashboard = ({ currentUser }) => {
             </div>
           </div>
 
+          {/* Team Filter */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Team</label>
+            <select
+              value={selectedTeam}
+              onChange={(e) => setSelectedTeam(e.target.value)}
+              disabled={selectedUser !== 'all'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50"
+            >
+              <option value="all">All Teams</option>
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+          </div>
+
           {/* User Filter */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">User</label>
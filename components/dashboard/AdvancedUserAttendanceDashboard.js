@@ -19,6 +19,8 @@ import Button from '../ui/Button';
 import CustomAlert from '../ui/CustomAlert';
 import TodayAttendanceCard from '../attendance/TodayAttendanceCard';
 import AttendanceTable from '../attendance/AttendanceTable';
+import LeavePanel from '../attendance/LeavePanel';
+import RegularizationPanel from '../attendance/RegularizationPanel';
 import useAdvancedAttendance from '../../hooks/useAdvancedAttendance';
 import { getIndiaLocaleDateString, getIndiaLocaleTimeString } from '../../lib/timezoneClient';
 
@@ -507,6 +509,12 @@ const AdvancedUserAttendanceDashboard = ({ user }) => {
         currentUser={user}
       />
 
+      {/* Leave */}
+      <LeavePanel currentUser={user} />
+
+      {/* Attendance corrections */}
+      <RegularizationPanel currentUser={user} />
+
       {/* Controls */}
       <div className="bg-white border border-gray-100 rounded-lg p-4">
         <div className="flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0">
@@ -18,11 +18,14 @@ import {
   TrendingUp,
   Calendar,
   Users,
-  Star
+  Star,
+  Columns
 } from 'lucide-react';
 import Button from '../ui/Button';
 import TaskTable from '../TaskTable';
 import useMyTasksController from '../../src/features/tasks/hooks/useMyTasksController';
+import useTaskWorkflow from '../../src/features/tasks/hooks/useTaskWorkflow';
+import { isClosedStatus } from '../../src/utils/taskWorkflow.util';
 
 const MyTasksDashboard = ({ user }) => {
   // Controller layer - handles all business logic
@@ -39,11 +42,13 @@ const MyTasksDashboard = ({ user }) => {
     exportTasks,
     clearError
   } = useMyTasksController(user);
+  const { statuses } = useTaskWorkflow();
 
   // Local UI state
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedView, setSelectedView] = useState('all'); // all, pending, completed, overdue
+  const [selectedView, setSelectedView] = useState('all'); // all, pending, completed, overdue or a workflow status
   const [showFilters, setShowFilters] = useState(false);
+  const [layout, setLayout] = useState('table'); // table, board
 
   if (loading && !tasks.length) {
     return <ModernLoadingSkeleton />;
@@ -62,7 +67,8 @@ const MyTasksDashboard = ({ user }) => {
     const matchesView = selectedView === 'all' ||
       (selectedView === 'pending' && task.status === 'pending') ||
       (selectedView === 'completed' && task.status === 'done') ||
-      (selectedView === 'overdue' && task.status === 'pending' && task.deadline && new Date(task.deadline) < new Date());
+      (selectedView === 'overdue' && !isClosedStatus(task.status) && task.deadline && new Date(task.deadline) < new Date()) ||
+      task.status === selectedView;
 
     return matchesSearch && matchesView;
   });
@@ -108,6 +114,9 @@ const MyTasksDashboard = ({ user }) => {
         onToggleFilters={() => setShowFilters(!showFilters)}
         selectedView={selectedView}
         onViewChange={setSelectedView}
+        statuses={statuses}
+        layout={layout}
+        onLayoutChange={setLayout}
         resultsCount={filteredTasks.length}
       />
 
@@ -120,6 +129,7 @@ const MyTasksDashboard = ({ user }) => {
           currentUser={user?.username}
           userRole={user?.role}
           clientList={clientList}
+          layout={layout}
         />
       ) : (
         <ModernEmptyState
@@ -228,6 +238,9 @@ const ModernSearchBar = ({
   onToggleFilters,
   selectedView,
   onViewChange,
+  statuses,
+  layout,
+  onLayoutChange,
   resultsCount
 }) => {
   return (
@@ -282,14 +295,37 @@ const ModernSearchBar = ({
             <option value="pending">Pending</option>
             <option value="completed">Completed</option>
             <option value="overdue">Overdue</option>
+            {/* Other statuses from the organization's workflow */}
+            {statuses
+              .filter(status => status.key !== 'pending' && status.key !== 'done')
+              .map(status => (
+                <option key={status.key} value={status.key}>{status.label}</option>
+              ))}
           </select>
+
+          <div className="flex items-center border border-gray-200 rounded-lg p-0.5 bg-white">
+            <button
+              onClick={() => onLayoutChange('table')}
+              className={`p-1 rounded ${layout === 'table' ? 'bg-gray-100 text-black' : 'text-gray-500 hover:text-gray-700'}`}
+              title="Table"
+            >
+              <List className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onLayoutChange('board')}
+              className={`p-1 rounded ${layout === 'board' ? 'bg-gray-100 text-black' : 'text-gray-500 hover:text-gray-700'}`}
+              title="Board"
+            >
+              <Columns className="h-4 w-4" />
+            </button>
+          </div>
         </div>
       </div>
     </div>
   );
 };
 
-const ModernTaskTable = ({ tasks, onTaskUpdate, onTaskDelete, currentUser, userRole, clientList }) => {
+const ModernTaskTable = ({ tasks, onTaskUpdate, onTaskDelete, currentUser, userRole, clientList, layout }) => {
   return (
     <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
       <div className="overflow-x-auto">
@@ -323,6 +359,7 @@ const ModernTaskTable = ({ tasks, onTaskUpdate, onTaskDelete, currentUser, userR
               currentUser={currentUser}
               userRole={userRole}
               clientList={clientList}
+              layout={layout}
             />
           </div>
         </div>
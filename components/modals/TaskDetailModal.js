@@ -1,7 +1,11 @@
-// components/modals/TaskDetailModal.js - Enhanced Task Detail Modal with Comments and Notes
+// components/modals/TaskDetailModal.js - Enhanced Task Detail Modal with Threaded Comments, Notes, Subtasks and Time
 import React, { useState, useEffect, useCallback } from 'react';
 import Button from '../ui/Button';
 import ConfirmationModal from './ConfirmationModal';
+import TaskStructurePanel from '../tasks/TaskStructurePanel';
+import TaskTimePanel from '../tasks/TaskTimePanel';
+import CommentMarkdown from '../tasks/CommentMarkdown';
+import { buildCommentThreads, COMMENT_REACTIONS, MAX_COMMENT_LENGTH } from '../../src/utils/taskComments.util';
 import { 
   X, 
   MessageSquare, 
@@ -18,7 +22,11 @@ import {
   EyeOff,
   Save,
   AlertCircle,
-  CheckCircle
+  CheckCircle,
+  GitBranch,
+  Timer,
+  Reply,
+  Smile
 } from 'lucide-react';
 
 const TaskDetailModal = ({ 
@@ -46,6 +54,9 @@ const TaskDetailModal = ({
   const [commentSaved, setCommentSaved] = useState(false);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [commentToDelete, setCommentToDelete] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyContent, setReplyContent] = useState('');
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
 
   const isAssigner = currentUser?.username === task?.given_by;
   const isAssignee = currentUser?.username === task?.assigned_to;
@@ -141,8 +152,10 @@ const TaskDetailModal = ({
     }
   };
 
-  const addComment = async () => {
-    if (!newComment.trim()) return;
+  // A reply when parentId is set, otherwise a new top-level comment
+  const addComment = async (parentId = null) => {
+    const content = parentId ? replyContent : newComment;
+    if (!content.trim()) return;
 
     try {
       setSubmitting(true);
@@ -153,13 +166,18 @@ const TaskDetailModal = ({
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ content: newComment })
+        body: JSON.stringify({ content, parentId })
       });
       
       if (response.ok) {
         const data = await response.json();
         setComments(prev => [...prev, data.comment]);
-        setNewComment('');
+        if (parentId) {
+          setReplyingTo(null);
+          setReplyContent('');
+        } else {
+          setNewComment('');
+        }
         setCommentSaved(true);
         setMessage({ type: 'success', text: 'Comment saved successfully' });
         setTimeout(() => {
@@ -233,7 +251,8 @@ const TaskDetailModal = ({
       });
       
       if (response.ok) {
-        setComments(prev => prev.filter(c => c.id !== commentToDelete.id));
+        // A comment with replies stays as a placeholder, so reload the thread
+        await loadComments();
         setMessage({ type: 'success', text: 'Comment deleted successfully' });
         setTimeout(() => setMessage({ type: '', text: '' }), 3000);
         setDeleteConfirmOpen(false);
@@ -250,6 +269,32 @@ const TaskDetailModal = ({
     }
   };
 
+  const toggleReaction = async (commentId, emoji) => {
+    setReactionPickerFor(null);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/tasks/${task.id}/comments`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ commentId, emoji })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setComments(prev => prev.map(c => c.id === commentId ? data.comment : c));
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to update reaction' });
+      }
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      setMessage({ type: 'error', text: 'Network error updating reaction' });
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return '';
     return new Date(dateString).toLocaleString();
@@ -274,6 +319,154 @@ const TaskDetailModal = ({
 
   if (!isOpen || !task) return null;
 
+  const threads = buildCommentThreads(comments);
+
+  // One comment or reply: header, body, reactions and actions
+  const renderComment = (comment) => {
+    const isReply = !!comment.parentId;
+
+    if (comment.deleted) {
+      return <p className="text-sm italic text-gray-400">This comment was deleted.</p>;
+    }
+
+    return (
+      <>
+        <div className="flex items-start justify-between">
+          <div className="flex items-center space-x-3 mb-2">
+            <div className={`${isReply ? 'w-6 h-6' : 'w-8 h-8'} bg-blue-100 rounded-full flex items-center justify-center`}>
+              <User className={`${isReply ? 'w-3 h-3' : 'w-4 h-4'} text-blue-600`} />
+            </div>
+            <div>
+              <p className="font-medium text-gray-900">{comment.author}</p>
+              <p className="text-xs text-gray-500">
+                {formatDate(comment.timestamp)}
+                {comment.isEdited && ' (edited)'}
+              </p>
+            </div>
+          </div>
+
+          {comment.author === currentUser?.username && (
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => {
+                  setEditingComment(comment.id);
+                  setEditCommentContent(comment.content);
+                }}
+                className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+              >
+                <Edit3 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleDeleteClick(comment)}
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {editingComment === comment.id ? (
+          <div className="space-y-2">
+            <textarea
+              value={editCommentContent}
+              onChange={(e) => setEditCommentContent(e.target.value)}
+              rows={2}
+              maxLength={MAX_COMMENT_LENGTH}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <div className="flex justify-end space-x-2">
+              <Button
+                onClick={() => {
+                  setEditingComment(null);
+                  setEditCommentContent('');
+                }}
+                variant="outline"
+                size="sm"
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={() => editComment(comment.id)}
+                size="sm"
+                disabled={!editCommentContent.trim() || submitting}
+              >
+                {submitting ? (
+                  <>
+                    <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white mr-1"></div>
+                    <span>Saving...</span>
+                  </>
+                ) : (
+                  <>
+                    <Save className="w-3 h-3 mr-1" />
+                    <span>Save</span>
+                  </>
+                )}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <CommentMarkdown
+            content={comment.content}
+            mentions={comment.mentions || []}
+            currentUsername={currentUser?.username}
+          />
+        )}
+
+        {/* Reactions and reply */}
+        <div className="relative flex flex-wrap items-center gap-1 mt-2">
+          {Object.entries(comment.reactions || {}).map(([emoji, users]) => {
+            const reacted = users.includes(currentUser?.username);
+            return (
+              <button
+                key={emoji}
+                onClick={() => toggleReaction(comment.id, emoji)}
+                title={users.join(', ')}
+                className={`px-2 py-0.5 rounded-full border text-xs ${
+                  reacted ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {emoji} {users.length}
+              </button>
+            );
+          })}
+          <button
+            onClick={() => setReactionPickerFor(reactionPickerFor === comment.id ? null : comment.id)}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title="Add reaction"
+          >
+            <Smile className="w-4 h-4" />
+          </button>
+          {!isReply && (
+            <button
+              onClick={() => {
+                setReplyingTo(comment.id);
+                setReplyContent('');
+              }}
+              className="flex items-center space-x-1 px-1 text-xs text-gray-500 hover:text-blue-600"
+            >
+              <Reply className="w-3 h-3" />
+              <span>Reply</span>
+            </button>
+          )}
+          {reactionPickerFor === comment.id && (
+            <div className="absolute left-0 top-full mt-1 z-10 flex space-x-1 p-1 bg-white border border-gray-200 rounded-lg shadow">
+              {COMMENT_REACTIONS.map(emoji => (
+                <button
+                  key={emoji}
+                  onClick={() => toggleReaction(comment.id, emoji)}
+                  className="w-8 h-8 rounded hover:bg-gray-100"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </>
+    );
+  };
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center">
       {/* Backdrop */}
@@ -300,7 +493,9 @@ const TaskDetailModal = ({
           <nav className="flex space-x-8 px-6">
             {[
               { id: 'details', label: 'Details', icon: FileText },
-              { id: 'comments', label: `Comments (${comments.length})`, icon: MessageSquare },
+              { id: 'structure', label: 'Subtasks & Dependencies', icon: GitBranch },
+              { id: 'time', label: 'Time', icon: Timer },
+              { id: 'comments', label: `Comments (${comments.filter(c => !c.deleted).length})`, icon: MessageSquare },
               { id: 'notes', label: 'Notes', icon: FileText }
             ].map((tab) => {
               const Icon = tab.icon;
@@ -453,6 +648,16 @@ const TaskDetailModal = ({
             </div>
           )}
 
+          {/* Subtasks, Checklist & Dependencies Tab */}
+          {activeTab === 'structure' && (
+            <TaskStructurePanel task={task} currentUser={currentUser} />
+          )}
+
+          {/* Timer & Time Entries Tab */}
+          {activeTab === 'time' && (
+            <TaskTimePanel task={task} currentUser={currentUser} />
+          )}
+
           {/* Comments Tab */}
           {activeTab === 'comments' && (
             <div className="space-y-6">
@@ -465,8 +670,12 @@ const TaskDetailModal = ({
                     onChange={(e) => setNewComment(e.target.value)}
                     placeholder="Write your comment..."
                     rows={3}
+                    maxLength={MAX_COMMENT_LENGTH}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
                   />
+                  <p className="text-xs text-gray-500">
+                    Supports **bold**, *italic*, `code`, lists and links. Type @username to notify someone.
+                  </p>
                   <div className="flex justify-between items-center">
                     <div className="flex items-center space-x-2">
                       {newComment.trim() && !commentSaved && (
@@ -495,7 +704,7 @@ const TaskDetailModal = ({
                         </Button>
                       )}
                       <Button
-                        onClick={addComment}
+                        onClick={() => addComment()}
                         disabled={!newComment.trim() || submitting}
                         className={`flex items-center space-x-2 ${newComment.trim() ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-400 cursor-not-allowed'}`}
                       >
@@ -516,64 +725,42 @@ const TaskDetailModal = ({
                 </div>
               </div>
 
-              {/* Comments List */}
+              {/* Comments List (threads with one level of replies) */}
               <div className="space-y-4">
-                {comments.length === 0 ? (
+                {threads.length === 0 ? (
                   <div className="text-center py-8 text-gray-500">
                     <MessageSquare className="w-12 h-12 mx-auto mb-4 text-gray-300" />
                     <p>No comments yet. Be the first to add one!</p>
                   </div>
                 ) : (
-                  comments.map((comment) => (
-                    <div key={comment.id} className="bg-white border border-gray-200 rounded-lg p-4">
-                      <div className="flex items-start justify-between">
-                        <div className="flex items-center space-x-3 mb-2">
-                          <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
-                            <User className="w-4 h-4 text-blue-600" />
-                          </div>
-                          <div>
-                            <p className="font-medium text-gray-900">{comment.author}</p>
-                            <p className="text-xs text-gray-500">
-                              {formatDate(comment.timestamp)}
-                              {comment.isEdited && ' (edited)'}
-                            </p>
-                          </div>
+                  threads.map((thread) => (
+                    <div key={thread.id} className="bg-white border border-gray-200 rounded-lg p-4">
+                      {renderComment(thread)}
+
+                      {thread.replies.length > 0 && (
+                        <div className="mt-3 ml-11 pl-4 border-l-2 border-gray-100 space-y-3">
+                          {thread.replies.map(reply => (
+                            <div key={reply.id}>{renderComment(reply)}</div>
+                          ))}
                         </div>
-                        
-                        {comment.author === currentUser?.username && (
-                          <div className="flex items-center space-x-1">
-                            <button
-                              onClick={() => {
-                                setEditingComment(comment.id);
-                                setEditCommentContent(comment.content);
-                              }}
-                              className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
-                            >
-                              <Edit3 className="w-4 h-4" />
-                            </button>
-                            <button
-                              onClick={() => handleDeleteClick(comment)}
-                              className="p-1 text-gray-400 hover:text-red-600 transition-colors"
-                            >
-                              <Trash2 className="w-4 h-4" />
-                            </button>
-                          </div>
-                        )}
-                      </div>
-                      
-                      {editingComment === comment.id ? (
-                        <div className="space-y-2">
+                      )}
+
+                      {replyingTo === thread.id && (
+                        <div className="mt-3 ml-11 space-y-2">
                           <textarea
-                            value={editCommentContent}
-                            onChange={(e) => setEditCommentContent(e.target.value)}
+                            value={replyContent}
+                            onChange={(e) => setReplyContent(e.target.value)}
+                            placeholder={`Reply to ${thread.deleted ? 'this thread' : thread.author}...`}
                             rows={2}
+                            maxLength={MAX_COMMENT_LENGTH}
+                            autoFocus
                             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
                           />
                           <div className="flex justify-end space-x-2">
                             <Button
                               onClick={() => {
-                                setEditingComment(null);
-                                setEditCommentContent('');
+                                setReplyingTo(null);
+                                setReplyContent('');
                               }}
                               variant="outline"
                               size="sm"
@@ -581,26 +768,15 @@ const TaskDetailModal = ({
                               Cancel
                             </Button>
                             <Button
-                              onClick={() => editComment(comment.id)}
+                              onClick={() => addComment(thread.id)}
                               size="sm"
-                              disabled={!editCommentContent.trim() || submitting}
+                              disabled={!replyContent.trim() || submitting}
                             >
-                              {submitting ? (
-                                <>
-                                  <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-white mr-1"></div>
-                                  <span>Saving...</span>
-                                </>
-                              ) : (
-                                <>
-                                  <Save className="w-3 h-3 mr-1" />
-                                  <span>Save</span>
-                                </>
-                              )}
+                              <Reply className="w-3 h-3 mr-1" />
+                              <span>Reply</span>
                             </Button>
                           </div>
                         </div>
-                      ) : (
-                        <p className="text-sm text-gray-700">{comment.content}</p>
                       )}
                     </div>
                   ))
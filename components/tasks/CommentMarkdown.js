@@ -0,0 +1,152 @@
+// components/tasks/CommentMarkdown.js - Renders task comments as a small, safe subset of markdown
+//
+// The text is turned into React elements (never HTML strings), so markup in a
+// comment shows as text. Supported: **bold**, *italic*, ~~strike~~, `code`,
+// fenced code blocks, > quotes, - / 1. lists, [links](https://…), bare URLs and
+// @mentions. Links only allow http(s) and mailto.
+import React from 'react';
+
+const INLINE_PATTERN = new RegExp([
+  '(`[^`\\n]+`)',                                   // 1 code
+  '(\\*\\*[^*\\n]+\\*\\*)',                         // 2 bold
+  '(~~[^~\\n]+~~)',                                 // 3 strike
+  '(\\*[^*\\s][^*\\n]*\\*|\\b_[^_\\s][^_\\n]*_\\b)', // 4 italic
+  '(\\[[^\\]\\n]+\\]\\([^)\\s]+\\))',               // 5 link
+  '(https?:\\/\\/[^\\s<]+[^\\s<.,;:!?)\\]])',       // 6 bare URL
+  '((?<![\\w.])@[a-zA-Z0-9._-]*[a-zA-Z0-9_-])'      // 7 mention
+].join('|'), 'g');
+
+const safeHref = (url) => (/^(https?:\/\/|mailto:)/i.test(url) ? url : null);
+
+const renderInline = (text, ctx, keyPrefix = 'i') => {
+  const nodes = [];
+  let last = 0;
+  let index = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [token, code, bold, strike, italic, link, url, mention] = match;
+    const key = `${keyPrefix}-${index++}`;
+
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    last = match.index + token.length;
+
+    if (code) {
+      nodes.push(<code key={key} className="px-1 py-0.5 rounded bg-gray-100 text-pink-700 text-xs font-mono">{code.slice(1, -1)}</code>);
+    } else if (bold) {
+      nodes.push(<strong key={key}>{renderInline(bold.slice(2, -2), ctx, key)}</strong>);
+    } else if (strike) {
+      nodes.push(<del key={key}>{renderInline(strike.slice(2, -2), ctx, key)}</del>);
+    } else if (italic) {
+      nodes.push(<em key={key}>{renderInline(italic.slice(1, -1), ctx, key)}</em>);
+    } else if (link) {
+      const [, label, href] = link.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
+      const safe = safeHref(href);
+      nodes.push(safe
+        ? <a key={key} href={safe} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 underline">{label}</a>
+        : link);
+    } else if (url) {
+      nodes.push(<a key={key} href={url} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 underline break-all">{url}</a>);
+    } else if (mention) {
+      const handle = mention.slice(1).toLowerCase();
+      const resolved = ctx.mentions.find(username => username.toLowerCase() === handle);
+      nodes.push(resolved
+        ? <span key={key} className={`px-1 rounded font-medium ${resolved === ctx.currentUsername ? 'bg-yellow-100 text-yellow-900' : 'bg-blue-50 text-blue-700'}`}>@{resolved}</span>
+        : mention);
+    }
+  }
+
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+// Split the text into blocks: code, quote, list and paragraph
+const parseBlocks = (content) => {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) body.push(lines[i++]);
+      i++; // closing fence (or end of text)
+      blocks.push({ type: 'code', text: body.join('\n') });
+    } else if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*>\s?/, ''));
+      blocks.push({ type: 'quote', lines: body });
+    } else if (/^\s*([-*]|\d+\.)\s+/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      while (i < lines.length && /^\s*([-*]|\d+\.)\s+/.test(lines[i])) {
+        items.push(lines[i++].replace(/^\s*([-*]|\d+\.)\s+/, ''));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const body = [];
+      while (
+        i < lines.length && lines[i].trim() &&
+        !lines[i].trim().startsWith('```') &&
+        !/^\s*>/.test(lines[i]) &&
+        !/^\s*([-*]|\d+\.)\s+/.test(lines[i])
+      ) {
+        body.push(lines[i++]);
+      }
+      blocks.push({ type: 'paragraph', lines: body });
+    }
+  }
+
+  return blocks;
+};
+
+const renderLines = (lines, ctx, keyPrefix) => lines.map((line, index) => (
+  <React.Fragment key={`${keyPrefix}-${index}`}>
+    {index > 0 && <br />}
+    {renderInline(line, ctx, `${keyPrefix}-${index}`)}
+  </React.Fragment>
+));
+
+const CommentMarkdown = ({ content = '', mentions = [], currentUsername = null, className = '' }) => {
+  const ctx = { mentions, currentUsername };
+
+  return (
+    <div className={`text-sm text-gray-700 space-y-2 break-words ${className}`}>
+      {parseBlocks(content).map((block, index) => {
+        const key = `b-${index}`;
+
+        if (block.type === 'code') {
+          return (
+            <pre key={key} className="p-3 rounded bg-gray-900 text-gray-100 text-xs font-mono overflow-x-auto whitespace-pre">
+              {block.text}
+            </pre>
+          );
+        }
+        if (block.type === 'quote') {
+          return (
+            <blockquote key={key} className="pl-3 border-l-4 border-gray-300 text-gray-500">
+              {renderLines(block.lines, ctx, key)}
+            </blockquote>
+          );
+        }
+        if (block.type === 'list') {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={key} className={`pl-5 space-y-0.5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.items.map((item, itemIndex) => (
+                <li key={`${key}-${itemIndex}`}>{renderInline(item, ctx, `${key}-${itemIndex}`)}</li>
+              ))}
+            </List>
+          );
+        }
+        return <p key={key}>{renderLines(block.lines, ctx, key)}</p>;
+      })}
+    </div>
+  );
+};
+
+export default CommentMarkdown;
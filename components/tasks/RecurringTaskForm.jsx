@@ -6,11 +6,13 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
   const [taskData, setTaskData] = useState({
     task: '',
     assigned_to: '',
+    client_name: '',
     priority: 'Medium',
-    time: '09:00',
+    deadlineOffsetDays: 0, // Days between each occurrence and its deadline
     recurring: {
-      type: 'daily', // daily, weekly, monthly
+      type: 'daily', // daily, weekly, monthly, custom
       interval: 1,
+      intervalUnit: 'day', // For custom: day, week, month
       startDate: new Date().toISOString().split('T')[0],
       endDate: '',
       daysOfWeek: [], // For weekly: [1,2,3,4,5] = Mon-Fri
@@ -50,7 +52,6 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
       // Create the recurring task schedule
       const recurringTask = {
         ...taskData,
-        deadline: `${taskData.recurring.startDate} ${taskData.time}`,
         isRecurring: true
       };
       
@@ -61,11 +62,13 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
       setTaskData({
         task: '',
         assigned_to: '',
+        client_name: '',
         priority: 'Medium',
-        time: '09:00',
+        deadlineOffsetDays: 0,
         recurring: {
           type: 'daily',
           interval: 1,
+          intervalUnit: 'day',
           startDate: new Date().toISOString().split('T')[0],
           endDate: '',
           daysOfWeek: [],
@@ -89,6 +92,13 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
 
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+  const intervalUnit = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month',
+    custom: taskData.recurring.intervalUnit
+  }[taskData.recurring.type];
+
   if (!isOpen) return null;
 
   return (
@@ -165,6 +175,21 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
             </div>
           </div>
 
+          {/* Client */}
+          <div>
+            <label className="block text-sm font-medium text-black mb-2">
+              Client (Optional)
+            </label>
+            <input
+              type="text"
+              value={taskData.client_name}
+              onChange={(e) => setTaskData({ ...taskData, client_name: e.target.value })}
+              maxLength={100}
+              className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+              placeholder="Client name..."
+            />
+          </div>
+
           {/* Recurring Schedule */}
           <div className="border border-gray-200 rounded-lg p-4">
             <h3 className="text-lg font-semibold text-black mb-4 flex items-center space-x-2">
@@ -173,8 +198,8 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
             </h3>
 
             {/* Recurrence Type */}
-            <div className="grid grid-cols-3 gap-4 mb-4">
-              {['daily', 'weekly', 'monthly'].map((type) => (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+              {['daily', 'weekly', 'monthly', 'custom'].map((type) => (
                 <button
                   key={type}
                   type="button"
@@ -211,10 +236,22 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
                     })}
                     className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
                   />
-                  <span className="text-sm text-gray-600">
-                    {taskData.recurring.type === 'daily' ? 'day(s)' : 
-                     taskData.recurring.type === 'weekly' ? 'week(s)' : 'month(s)'}
-                  </span>
+                  {taskData.recurring.type === 'custom' ? (
+                    <select
+                      value={taskData.recurring.intervalUnit}
+                      onChange={(e) => setTaskData({
+                        ...taskData,
+                        recurring: { ...taskData.recurring, intervalUnit: e.target.value }
+                      })}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
+                    >
+                      <option value="day">day(s)</option>
+                      <option value="week">week(s)</option>
+                      <option value="month">month(s)</option>
+                    </select>
+                  ) : (
+                    <span className="text-sm text-gray-600">{intervalUnit}(s)</span>
+                  )}
                 </div>
               </div>
 
@@ -240,12 +277,14 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
               <div>
                 <label className="block text-sm font-medium text-black mb-2">
                   <Clock className="w-4 h-4 inline mr-1" />
-                  Time
+                  Due After (days)
                 </label>
                 <input
-                  type="time"
-                  value={taskData.time}
-                  onChange={(e) => setTaskData({ ...taskData, time: e.target.value })}
+                  type="number"
+                  min="0"
+                  max="365"
+                  value={taskData.deadlineOffsetDays}
+                  onChange={(e) => setTaskData({ ...taskData, deadlineOffsetDays: parseInt(e.target.value) || 0 })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-black"
                 />
               </div>
@@ -321,14 +360,17 @@ const RecurringTaskForm = ({ isOpen, onClose, onSubmit, users = [] }) => {
           <div className="bg-gray-50 p-4 rounded-lg">
             <h4 className="font-medium text-black mb-2">Preview</h4>
             <p className="text-sm text-gray-600">
-              This task will be created {taskData.recurring.type} 
-              {taskData.recurring.interval > 1 ? ` every ${taskData.recurring.interval} ${taskData.recurring.type.slice(0, -2)}s` : ''}
+              This task will be created
+              {taskData.recurring.interval > 1 ? ` every ${taskData.recurring.interval} ${intervalUnit}s` : ` every ${intervalUnit}`}
               {taskData.recurring.type === 'weekly' && taskData.recurring.daysOfWeek.length > 0 && 
                 ` on ${taskData.recurring.daysOfWeek.map(d => dayNames[d]).join(', ')}`}
               {taskData.recurring.type === 'monthly' && 
                 ` on the ${taskData.recurring.dayOfMonth}${getOrdinalSuffix(taskData.recurring.dayOfMonth)} of each month`}
-              {' '}starting {taskData.recurring.startDate} at {taskData.time}
-              {taskData.recurring.endDate && ` until ${taskData.recurring.endDate}`}.
+              {' '}starting {taskData.recurring.startDate}
+              {taskData.recurring.endDate && ` until ${taskData.recurring.endDate}`}
+              {taskData.deadlineOffsetDays > 0
+                ? `, due ${taskData.deadlineOffsetDays} day(s) after each occurrence`
+                : ', due the same day'}.
             </p>
           </div>
 
@@ -0,0 +1,474 @@
+// components/tasks/TaskStructurePanel.js - Checklist, subtask tree and dependency graph of a task
+import React, { useState, useEffect } from 'react';
+import Button from '../ui/Button';
+import useTaskStructure from '../../src/features/tasks/hooks/useTaskStructure';
+import tasksApi from '../../src/features/tasks/api/tasksApi';
+import { MIN_SEARCH_LENGTH } from '../../src/utils/taskQuery.util';
+import {
+  ListChecks,
+  GitBranch,
+  Link2,
+  Lock,
+  Plus,
+  Trash2,
+  ChevronUp,
+  ChevronDown,
+  ChevronRight,
+  ArrowRight,
+  AlertCircle
+} from 'lucide-react';
+
+const STATUS_BADGES = {
+  done: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-500 line-through',
+  in_progress: 'bg-blue-100 text-blue-800',
+  pending: 'bg-yellow-100 text-yellow-800'
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status ? status.replace(/_/g, ' ') : 'pending'}
+  </span>
+);
+
+const ProgressBar = ({ value, small = false }) => (
+  <div className={`w-full bg-gray-200 rounded-full ${small ? 'h-1.5' : 'h-2.5'}`}>
+    <div
+      className={`rounded-full ${small ? 'h-1.5' : 'h-2.5'} ${value === 100 ? 'bg-green-500' : 'bg-blue-500'}`}
+      style={{ width: `${value}%` }}
+    />
+  </div>
+);
+
+// One subtask and, below it, its own subtasks
+const SubtaskNode = ({ node, depth }) => {
+  const [expanded, setExpanded] = useState(true);
+  const hasChildren = node.subtasks.length > 0;
+
+  return (
+    <li>
+      <div
+        className="flex items-center space-x-3 py-2 pr-2 rounded hover:bg-gray-50"
+        style={{ paddingLeft: `${depth * 1.25}rem` }}
+      >
+        <button
+          type="button"
+          onClick={() => setExpanded(prev => !prev)}
+          className={`text-gray-400 ${hasChildren ? 'hover:text-gray-600' : 'invisible'}`}
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        </button>
+        <span className="flex-1 min-w-0 text-sm text-gray-900 truncate">{node.task}</span>
+        <span className="text-xs text-gray-500 whitespace-nowrap">{node.assigned_to}</span>
+        {node.deadline && <span className="text-xs text-gray-500 whitespace-nowrap">{node.deadline}</span>}
+        {node.checklist.total > 0 && (
+          <span className="text-xs text-gray-500 whitespace-nowrap">{node.checklist.done}/{node.checklist.total}</span>
+        )}
+        <div className="w-20"><ProgressBar value={node.progress} small /></div>
+        <StatusBadge status={node.status} />
+      </div>
+      {expanded && hasChildren && (
+        <ul>
+          {node.subtasks.map(child => (
+            <SubtaskNode key={child.id} node={child} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Blockers on the left, the task in the middle, what it holds up on the right
+const DependencyGraph = ({ graph, taskId }) => {
+  const levels = [...new Set(graph.nodes.map(node => node.level))].sort((a, b) => a - b);
+  const names = Object.fromEntries(graph.nodes.map(node => [node.id, node.task]));
+
+  if (graph.nodes.length === 1) {
+    return <p className="text-sm text-gray-500">This task has no dependencies.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex items-stretch space-x-2 min-w-max">
+        {levels.map((level, index) => (
+          <React.Fragment key={level}>
+            {index > 0 && (
+              <div className="flex items-center text-gray-400">
+                <ArrowRight className="w-5 h-5" />
+              </div>
+            )}
+            <div className="flex flex-col justify-center space-y-2">
+              {graph.nodes.filter(node => node.level === level).map(node => {
+                const waitsOn = graph.edges.filter(edge => edge.to === node.id).map(edge => names[edge.from]);
+
+                return (
+                  <div
+                    key={node.id}
+                    className={`w-48 p-2 rounded-lg border text-xs ${
+                      node.id === taskId ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white'
+                    }`}
+                  >
+                    <div className="flex items-start justify-between space-x-2">
+                      <span className="font-medium text-gray-900 break-words">{node.task}</span>
+                      <StatusBadge status={node.status} />
+                    </div>
+                    <div className="mt-1 text-gray-500">{node.assigned_to}</div>
+                    {waitsOn.length > 0 && (
+                      <div className="mt-1 text-gray-400 truncate" title={waitsOn.join(', ')}>
+                        Waits on: {waitsOn.join(', ')}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+      {graph.truncated && (
+        <p className="mt-2 text-xs text-gray-500">Only the nearest {graph.nodes.length} tasks are shown.</p>
+      )}
+    </div>
+  );
+};
+
+const TaskStructurePanel = ({ task, currentUser }) => {
+  const {
+    structure,
+    loading,
+    saving,
+    error,
+    addChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    moveChecklistItem,
+    createSubtask,
+    addBlocker,
+    removeBlocker
+  } = useTaskStructure(task?.id);
+
+  const [newItem, setNewItem] = useState('');
+  const [subtaskForm, setSubtaskForm] = useState(null);
+  const [blockerSearch, setBlockerSearch] = useState('');
+  const [blockerResults, setBlockerResults] = useState([]);
+
+  // Candidate blockers come from the server-side task search
+  useEffect(() => {
+    if (blockerSearch.trim().length < MIN_SEARCH_LENGTH) {
+      setBlockerResults([]);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      try {
+        const page = await tasksApi.queryTasks({ search: blockerSearch.trim(), limit: 8 });
+        if (active) setBlockerResults(page.tasks || []);
+      } catch (err) {
+        console.error('Error searching tasks:', err);
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [blockerSearch]);
+
+  // Errors are shown by the panel; the catch only stops the form from resetting
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    try {
+      await addChecklistItem(newItem.trim());
+      setNewItem('');
+    } catch (err) {
+      // shown below
+    }
+  };
+
+  const handleCreateSubtask = async (e) => {
+    e.preventDefault();
+    if (!subtaskForm.task.trim()) return;
+
+    try {
+      await createSubtask(subtaskForm);
+      setSubtaskForm(null);
+    } catch (err) {
+      // shown below
+    }
+  };
+
+  const handleAddBlocker = async (blocker) => {
+    try {
+      await addBlocker(blocker.id);
+      setBlockerSearch('');
+      setBlockerResults([]);
+    } catch (err) {
+      // shown below
+    }
+  };
+
+  if (loading && !structure) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!structure) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const openBlockers = structure.blockedBy.filter(blocker => blocker.open);
+  const blockerIds = [task.id, ...structure.blockedBy.map(blocker => blocker.id)];
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 flex items-center space-x-2">
+          <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0" />
+          <span className="text-sm text-red-800">{error}</span>
+        </div>
+      )}
+
+      {/* Parents and overall progress */}
+      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+        {structure.ancestors.length > 0 && (
+          <div className="flex flex-wrap items-center text-xs text-gray-500">
+            {structure.ancestors.map(ancestor => (
+              <React.Fragment key={ancestor.id}>
+                <span>{ancestor.task}</span>
+                <ChevronRight className="w-3 h-3 mx-1" />
+              </React.Fragment>
+            ))}
+            <span className="text-gray-700">{task.task}</span>
+          </div>
+        )}
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium text-gray-900">Progress</span>
+          <span className="text-gray-600">{structure.progress}%</span>
+        </div>
+        <ProgressBar value={structure.progress} />
+        {openBlockers.length > 0 && (
+          <div className="flex items-center space-x-2 text-sm text-orange-700">
+            <Lock className="w-4 h-4" />
+            <span>Cannot be marked done until {openBlockers.length} blocking task{openBlockers.length === 1 ? '' : 's'} {openBlockers.length === 1 ? 'is' : 'are'} closed</span>
+          </div>
+        )}
+      </div>
+
+      {/* Checklist */}
+      <div>
+        <h4 className="font-medium text-gray-900 mb-3 flex items-center space-x-2">
+          <ListChecks className="w-4 h-4" />
+          <span>Checklist ({structure.checklist.filter(item => item.done).length}/{structure.checklist.length})</span>
+        </h4>
+        <ul className="space-y-1 mb-3">
+          {structure.checklist.map((item, index) => (
+            <li key={item.id} className="flex items-center space-x-2 group">
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={saving}
+                onChange={() => toggleChecklistItem(item).catch(() => {})}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <span
+                className={`flex-1 text-sm ${item.done ? 'line-through text-gray-400' : 'text-gray-800'}`}
+                title={item.done && item.doneBy ? `Checked by ${item.doneBy}` : undefined}
+              >
+                {item.text}
+              </span>
+              <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100">
+                <button
+                  type="button"
+                  disabled={saving || index === 0}
+                  onClick={() => moveChecklistItem(item.id, -1).catch(() => {})}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  disabled={saving || index === structure.checklist.length - 1}
+                  onClick={() => moveChecklistItem(item.id, 1).catch(() => {})}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  disabled={saving}
+                  onClick={() => removeChecklistItem(item.id).catch(() => {})}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddItem} className="flex space-x-2">
+          <input
+            type="text"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            placeholder="Add a checklist item..."
+            maxLength={500}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+          />
+          <Button type="submit" size="sm" disabled={saving || !newItem.trim()}>
+            <Plus className="w-4 h-4" />
+          </Button>
+        </form>
+      </div>
+
+      {/* Subtask tree */}
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+            <GitBranch className="w-4 h-4" />
+            <span>Subtasks ({structure.subtasks.length})</span>
+          </h4>
+          {!subtaskForm && (
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => setSubtaskForm({ task: '', assigned_to: currentUser?.username || '', deadline: task.deadline || '' })}
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add subtask
+            </Button>
+          )}
+        </div>
+
+        {subtaskForm && (
+          <form onSubmit={handleCreateSubtask} className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-3">
+            <input
+              type="text"
+              value={subtaskForm.task}
+              onChange={(e) => setSubtaskForm(prev => ({ ...prev, task: e.target.value }))}
+              placeholder="Subtask description"
+              className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={subtaskForm.assigned_to}
+              onChange={(e) => setSubtaskForm(prev => ({ ...prev, assigned_to: e.target.value }))}
+              placeholder="Assignee username"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <input
+              type="date"
+              value={subtaskForm.deadline}
+              onChange={(e) => setSubtaskForm(prev => ({ ...prev, deadline: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            <div className="md:col-span-4 flex justify-end space-x-2">
+              <Button type="button" size="sm" variant="ghost" onClick={() => setSubtaskForm(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" size="sm" disabled={saving || !subtaskForm.task.trim()}>
+                Create subtask
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {structure.subtasks.length === 0 ? (
+          <p className="text-sm text-gray-500">No subtasks yet.</p>
+        ) : (
+          <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+            {structure.subtasks.map(node => (
+              <SubtaskNode key={node.id} node={node} depth={0} />
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Dependencies */}
+      <div>
+        <h4 className="font-medium text-gray-900 mb-3 flex items-center space-x-2">
+          <Link2 className="w-4 h-4" />
+          <span>Dependencies</span>
+        </h4>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Blocked by</p>
+            {structure.blockedBy.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing.</p>
+            ) : (
+              <ul className="space-y-1">
+                {structure.blockedBy.map(blocker => (
+                  <li key={blocker.id} className="flex items-center space-x-2 text-sm">
+                    {blocker.open && <Lock className="w-3 h-3 text-orange-600" />}
+                    <span className="flex-1 truncate">{blocker.task}</span>
+                    <StatusBadge status={blocker.status} />
+                    <button
+                      type="button"
+                      disabled={saving}
+                      onClick={() => removeBlocker(blocker.id).catch(() => {})}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="relative mt-2">
+              <input
+                type="text"
+                value={blockerSearch}
+                onChange={(e) => setBlockerSearch(e.target.value)}
+                placeholder="Search a task this one waits on..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              {blockerResults.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-48 overflow-y-auto">
+                  {blockerResults.filter(result => !blockerIds.includes(result.id)).map(result => (
+                    <li key={result.id}>
+                      <button
+                        type="button"
+                        onClick={() => handleAddBlocker(result)}
+                        className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50 flex items-center justify-between space-x-2"
+                      >
+                        <span className="truncate">{result.task}</span>
+                        <span className="text-xs text-gray-500">{result.assigned_to}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Blocking</p>
+            {structure.blocking.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing.</p>
+            ) : (
+              <ul className="space-y-1">
+                {structure.blocking.map(blocked => (
+                  <li key={blocked.id} className="flex items-center space-x-2 text-sm">
+                    <span className="flex-1 truncate">{blocked.task}</span>
+                    <StatusBadge status={blocked.status} />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <DependencyGraph graph={structure.dependencies} taskId={task.id} />
+      </div>
+    </div>
+  );
+};
+
+export default TaskStructurePanel;
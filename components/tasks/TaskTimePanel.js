@@ -0,0 +1,272 @@
+// components/tasks/TaskTimePanel.js - Timer, estimate vs. actual and time entries of a task
+import React, { useState } from 'react';
+import Button from '../ui/Button';
+import useTaskTimer from '../../src/features/time-tracking/hooks/useTaskTimer';
+import tasksApi from '../../src/features/tasks/api/tasksApi';
+import { Play, Pause, Square, Timer, Plus, Trash2, Edit3, AlertCircle } from 'lucide-react';
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+const formatClock = (seconds) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+const todayString = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+const TaskTimePanel = ({ task, currentUser }) => {
+  const {
+    timer,
+    isThisTask,
+    elapsedSeconds,
+    timeLog,
+    loading,
+    saving,
+    error,
+    reload,
+    start,
+    pause,
+    resume,
+    stop,
+    addEntry,
+    deleteEntry
+  } = useTaskTimer(task?.id);
+
+  const [entryForm, setEntryForm] = useState({ hours: '', minutes: '', date: todayString(), note: '' });
+  const [estimateHours, setEstimateHours] = useState(null); // Set while editing the estimate
+  const [estimateError, setEstimateError] = useState(null);
+
+  const isAssignee = task?.assigned_to === currentUser?.username;
+  const canEditEstimate = isAssignee || task?.given_by === currentUser?.username;
+
+  const handleSaveEstimate = async (e) => {
+    e.preventDefault();
+    setEstimateError(null);
+
+    try {
+      const hours = estimateHours === '' ? null : Number(estimateHours);
+      await tasksApi.updateTask(task.id, { estimatedMinutes: hours === null ? null : Math.round(hours * 60) });
+      setEstimateHours(null);
+      await reload();
+    } catch (err) {
+      setEstimateError(err.message);
+    }
+  };
+
+  // Errors are shown through `error`; the catch only keeps them from bubbling
+  const handle = (action) => () => action().catch(() => {});
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault();
+    const minutes = (Number(entryForm.hours) || 0) * 60 + (Number(entryForm.minutes) || 0);
+    if (minutes <= 0) return;
+
+    try {
+      await addEntry({ minutes, date: entryForm.date, note: entryForm.note });
+      setEntryForm({ hours: '', minutes: '', date: entryForm.date, note: '' });
+    } catch (err) {
+      // Shown through `error`
+    }
+  };
+
+  if (loading && !timeLog) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!timeLog) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const estimate = timeLog.estimatedMinutes;
+  const tracked = timeLog.trackedMinutes;
+  const usedPercent = estimate ? Math.round((tracked / estimate) * 100) : null;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 flex items-center space-x-2">
+          <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0" />
+          <span className="text-sm text-red-800">{error}</span>
+        </div>
+      )}
+
+      {/* Estimate vs. actual */}
+      <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium text-gray-900">Tracked</span>
+          <span className="flex items-center space-x-2 text-gray-600">
+            <span>
+              {formatMinutes(tracked)}
+              {estimate ? ` of ${formatMinutes(estimate)} estimated` : ' (no estimate)'}
+            </span>
+            {canEditEstimate && estimateHours === null && (
+              <button
+                type="button"
+                onClick={() => setEstimateHours(estimate ? String(Math.round((estimate / 60) * 100) / 100) : '')}
+                className="text-gray-400 hover:text-gray-600"
+                title="Edit estimate"
+              >
+                <Edit3 className="w-4 h-4" />
+              </button>
+            )}
+          </span>
+        </div>
+        {estimateHours !== null && (
+          <form onSubmit={handleSaveEstimate} className="flex items-center space-x-2">
+            <input
+              type="number"
+              min="0"
+              step="0.25"
+              value={estimateHours}
+              onChange={(e) => setEstimateHours(e.target.value)}
+              placeholder="Hours (empty for none)"
+              className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <Button type="submit" size="sm">Save</Button>
+            <Button type="button" size="sm" variant="ghost" onClick={() => setEstimateHours(null)}>Cancel</Button>
+            {estimateError && <span className="text-sm text-red-600">{estimateError}</span>}
+          </form>
+        )}
+        {usedPercent !== null && (
+          <>
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+              <div
+                className={`rounded-full h-2.5 ${usedPercent > 100 ? 'bg-red-500' : 'bg-blue-500'}`}
+                style={{ width: `${Math.min(usedPercent, 100)}%` }}
+              />
+            </div>
+            {usedPercent > 100 && (
+              <p className="text-sm text-red-700">Over the estimate by {formatMinutes(tracked - estimate)}</p>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Timer */}
+      {isAssignee && (
+        <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+          <div className="flex items-center space-x-3">
+            <Timer className={`w-5 h-5 ${isThisTask && timer.status === 'running' ? 'text-green-600' : 'text-gray-400'}`} />
+            <div>
+              <div className="font-mono text-lg text-gray-900">{formatClock(isThisTask ? elapsedSeconds : 0)}</div>
+              {timer && !isThisTask && (
+                <div className="text-xs text-orange-700">
+                  Timer {timer.status} on &quot;{timer.taskName}&quot; - starting here stops it
+                </div>
+              )}
+              {isThisTask && timer.status === 'paused' && <div className="text-xs text-gray-500">Paused</div>}
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            {!isThisTask && (
+              <Button size="sm" onClick={handle(start)} disabled={saving}>
+                <Play className="w-4 h-4 mr-1" /> Start
+              </Button>
+            )}
+            {isThisTask && timer.status === 'running' && (
+              <Button size="sm" variant="secondary" onClick={handle(pause)} disabled={saving}>
+                <Pause className="w-4 h-4 mr-1" /> Pause
+              </Button>
+            )}
+            {isThisTask && timer.status === 'paused' && (
+              <Button size="sm" variant="secondary" onClick={handle(resume)} disabled={saving}>
+                <Play className="w-4 h-4 mr-1" /> Resume
+              </Button>
+            )}
+            {isThisTask && (
+              <Button size="sm" variant="danger" onClick={handle(stop)} disabled={saving}>
+                <Square className="w-4 h-4 mr-1" /> Stop
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div>
+        <h4 className="font-medium text-gray-900 mb-3">Time entries ({timeLog.entries.length})</h4>
+        {timeLog.entries.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-3">No time logged yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 mb-3">
+            {timeLog.entries.map(entry => (
+              <li key={entry.id} className="flex items-center space-x-3 py-2 text-sm">
+                <span className="w-24 text-gray-500">{entry.date}</span>
+                <span className="w-20 font-medium text-gray-900">{formatMinutes(entry.minutes)}</span>
+                <span className="w-24 text-gray-500">{entry.username}</span>
+                <span className="flex-1 min-w-0 text-gray-500 truncate">
+                  {entry.source === 'timer'
+                    ? (entry.stopReason === 'clock_out' ? 'Timer (stopped at clock-out)' : 'Timer')
+                    : entry.note || 'Manual'}
+                </span>
+                {entry.username === currentUser?.username && (
+                  <button
+                    type="button"
+                    onClick={handle(() => deleteEntry(entry.id))}
+                    disabled={saving}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete entry"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isAssignee && (
+          <form onSubmit={handleAddEntry} className="flex flex-wrap items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              max="12"
+              value={entryForm.hours}
+              onChange={(e) => setEntryForm(prev => ({ ...prev, hours: e.target.value }))}
+              placeholder="h"
+              className="w-16 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <input
+              type="number"
+              min="0"
+              max="59"
+              value={entryForm.minutes}
+              onChange={(e) => setEntryForm(prev => ({ ...prev, minutes: e.target.value }))}
+              placeholder="m"
+              className="w-16 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <input
+              type="date"
+              value={entryForm.date}
+              max={todayString()}
+              onChange={(e) => setEntryForm(prev => ({ ...prev, date: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <input
+              type="text"
+              value={entryForm.note}
+              onChange={(e) => setEntryForm(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="Note (optional)"
+              maxLength={500}
+              className="flex-1 min-w-[8rem] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <Button type="submit" size="sm" disabled={saving || !(Number(entryForm.hours) || Number(entryForm.minutes))}>
+              <Plus className="w-4 h-4 mr-1" /> Add time
+            </Button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskTimePanel;
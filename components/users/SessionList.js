@@ -0,0 +1,162 @@
+// components/users/SessionList.js - Signed-in sessions with remote termination
+import React, { useState } from 'react';
+import { Monitor, Globe, LogOut, RefreshCw, MapPin, Clock } from 'lucide-react';
+import { useSessions } from '../../src/features/users/hooks/useSessions';
+import { authApi } from '../../src/api/auth.api';
+
+const formatDateTime = (value) => {
+  if (!value) return 'N/A';
+  return new Date(value).toLocaleString();
+};
+
+/**
+ * @param {string|null} username - User whose sessions are shown (null = current user)
+ * @param {boolean} showTerminateAll - Show the "End all sessions" action
+ */
+const SessionList = ({ username = null, showTerminateAll = true }) => {
+  const {
+    sessions,
+    loading,
+    error,
+    loadSessions,
+    terminateSession,
+    terminateAllSessions
+  } = useSessions(username);
+
+  const [terminatingId, setTerminatingId] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const handleTerminate = async (session) => {
+    setActionError('');
+    setTerminatingId(session.id);
+
+    try {
+      await terminateSession(session.id);
+
+      // Ending the session this browser is using is a logout
+      if (session.current) {
+        await authApi.logout();
+      }
+    } catch (err) {
+      setActionError(err.message || 'Failed to terminate session');
+    } finally {
+      setTerminatingId(null);
+    }
+  };
+
+  const handleTerminateAll = async () => {
+    if (!confirm('End every session for this account? Signed-in devices will have to log in again.')) {
+      return;
+    }
+
+    setActionError('');
+    setTerminatingId('all');
+
+    try {
+      await terminateAllSessions();
+
+      if (sessions.some(session => session.current)) {
+        await authApi.logout();
+      }
+    } catch (err) {
+      setActionError(err.message || 'Failed to terminate sessions');
+    } finally {
+      setTerminatingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          {sessions.length} active session{sessions.length === 1 ? '' : 's'}
+        </p>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={loadSessions}
+            disabled={loading}
+            className="text-gray-600 border border-gray-300 hover:bg-gray-50 px-2 py-1 rounded text-xs disabled:opacity-50"
+            title="Refresh sessions"
+          >
+            <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          {showTerminateAll && sessions.length > 0 && (
+            <button
+              onClick={handleTerminateAll}
+              disabled={terminatingId !== null}
+              className="text-red-600 border border-red-200 hover:bg-red-50 px-2 py-1 rounded text-xs disabled:opacity-50"
+            >
+              {terminatingId === 'all' ? 'Ending...' : 'End All Sessions'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {(error || actionError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          {actionError || error}
+        </div>
+      )}
+
+      {loading && sessions.length === 0 ? (
+        <div className="flex items-center justify-center p-4">
+          <div className="animate-spin rounded-full h-5 w-5 border-2 border-black border-t-transparent"></div>
+          <span className="ml-2 text-sm text-gray-600">Loading sessions...</span>
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center p-4">No active sessions</p>
+      ) : (
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {sessions.map(session => (
+            <div key={session.id} className="p-3 flex items-start justify-between gap-3">
+              <div className="flex items-start space-x-3 min-w-0">
+                {session.client === 'electron' ? (
+                  <Monitor className="w-5 h-5 text-gray-600 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <Globe className="w-5 h-5 text-gray-600 mt-0.5 flex-shrink-0" />
+                )}
+                <div className="min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <p className="font-semibold text-black text-sm">{session.device}</p>
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium border bg-gray-100 text-gray-700 border-gray-200">
+                      {session.client === 'electron' ? 'Desktop' : 'Web'}
+                    </span>
+                    {session.current && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium border bg-black text-white border-black">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                    <MapPin className="w-3 h-3" />
+                    <span>
+                      {session.lastIpAddress || 'Unknown IP'}
+                      {session.ipAddress && session.ipAddress !== session.lastIpAddress && ` (signed in from ${session.ipAddress})`}
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-600 mt-0.5 flex items-center space-x-1">
+                    <Clock className="w-3 h-3" />
+                    <span>
+                      Signed in {formatDateTime(session.firstSeenAt)} · Last active {formatDateTime(session.lastSeenAt)}
+                    </span>
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleTerminate(session)}
+                disabled={terminatingId !== null}
+                className="text-red-600 border border-red-200 hover:bg-red-50 px-2 py-1 rounded text-xs flex items-center space-x-1 flex-shrink-0 disabled:opacity-50"
+                title="End this session"
+              >
+                <LogOut className="w-3 h-3" />
+                <span>{terminatingId === session.id ? 'Ending...' : 'End'}</span>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,201 @@
+// components/users/TwoFactorSettings.js - Two-factor authentication settings for the current user
+import React, { useState } from 'react';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import { useMfa } from '../../src/features/users/hooks/useMfa';
+import MfaEnrollment from '../auth/MfaEnrollment';
+import RecoveryCodes from '../auth/RecoveryCodes';
+
+const TwoFactorSettings = () => {
+  const {
+    status,
+    loading,
+    error,
+    startSetup,
+    activate,
+    disable,
+    regenerateRecoveryCodes
+  } = useMfa();
+
+  // null | 'setup' | 'disable' | 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [actionError, setActionError] = useState('');
+
+  const closeAction = () => {
+    setMode(null);
+    setCode('');
+    setNewCodes(null);
+    setActionError('');
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setActionError('');
+
+    if (!code.trim()) {
+      setActionError('Enter a code from your authenticator app or a recovery code');
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      if (mode === 'disable') {
+        await disable(code.trim());
+        closeAction();
+      } else {
+        const result = await regenerateRecoveryCodes(code.trim());
+        setNewCodes(result.recoveryCodes);
+        setCode('');
+      }
+    } catch (err) {
+      setActionError(err.message || 'Verification failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="flex items-center justify-center p-4">
+        <div className="animate-spin rounded-full h-5 w-5 border-2 border-black border-t-transparent"></div>
+        <span className="ml-2 text-sm text-gray-600">Loading...</span>
+      </div>
+    );
+  }
+
+  if (!status) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+    ) : null;
+  }
+
+  if (mode === 'setup') {
+    return (
+      <MfaEnrollment
+        startEnrollment={startSetup}
+        activateEnrollment={activate}
+        onComplete={closeAction}
+        onCancel={closeAction}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          {status.enabled ? (
+            <ShieldCheck className="w-5 h-5 text-green-600" />
+          ) : (
+            <ShieldOff className="w-5 h-5 text-gray-600" />
+          )}
+          <div>
+            <p className="font-semibold text-black">
+              Authenticator App {status.enabled ? 'On' : 'Off'}
+            </p>
+            <p className="text-sm text-gray-600">
+              {status.enabled
+                ? `${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left`
+                : 'Require a code from your phone in addition to your password.'}
+            </p>
+          </div>
+        </div>
+        {!status.enabled && (
+          <button
+            onClick={() => setMode('setup')}
+            className="px-3 lg:px-4 py-1.5 lg:py-2 bg-black text-white rounded-lg hover:bg-gray-800 font-medium text-xs lg:text-sm transition-colors"
+          >
+            Enable
+          </button>
+        )}
+      </div>
+
+      {status.required && (
+        <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-800">
+            Your organization requires two-factor authentication for every account.
+          </p>
+        </div>
+      )}
+
+      {status.enabled && !mode && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setMode('regenerate')}
+            className="px-3 py-1.5 bg-white text-black border-2 border-black rounded-lg hover:bg-gray-100 font-medium text-xs lg:text-sm transition-colors flex items-center space-x-2"
+          >
+            <KeyRound className="w-4 h-4" />
+            <span>New Recovery Codes</span>
+          </button>
+          {!status.required && (
+            <button
+              onClick={() => setMode('disable')}
+              className="px-3 py-1.5 text-red-600 border-2 border-red-200 rounded-lg hover:bg-red-50 font-medium text-xs lg:text-sm transition-colors flex items-center space-x-2"
+            >
+              <ShieldOff className="w-4 h-4" />
+              <span>Turn Off</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {newCodes && (
+        <div className="space-y-3">
+          <RecoveryCodes codes={newCodes} />
+          <button
+            onClick={closeAction}
+            className="w-full px-4 py-2 bg-black hover:bg-gray-800 text-white rounded-lg font-medium transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {(mode === 'disable' || mode === 'regenerate') && !newCodes && (
+        <form onSubmit={handleConfirm} className="p-4 border border-gray-200 rounded-lg space-y-3">
+          <p className="text-sm text-gray-700">
+            {mode === 'disable'
+              ? 'Enter a code to turn off two-factor authentication.'
+              : 'Enter a code to replace your recovery codes. Your current recovery codes will stop working.'}
+          </p>
+          {actionError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{actionError}</div>
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder="Authenticator or recovery code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-black focus:border-black focus:outline-none"
+            disabled={submitting}
+          />
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={closeAction}
+              disabled={submitting}
+              className="flex-1 px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`flex-1 px-4 py-2 text-white rounded-lg font-medium transition-colors disabled:opacity-50 ${
+                mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-black hover:bg-gray-800'
+              }`}
+            >
+              {submitting ? 'Verifying...' : mode === 'disable' ? 'Turn Off' : 'Generate'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,7 +1,8 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
-import { collection, query, orderBy, limit, getDocs, where } from 'firebase/firestore';
-import { db } from '../lib/firebase';
+import { collection, query, limit, getDocs, where } from 'firebase/firestore';
+import { db, ensureFirebaseAuth } from '../lib/firebase';
+import { usersApi } from '../src/api/users.api';
 
 const useAdminDashboardStore = create(
   persist(
@@ -11,6 +12,7 @@ const useAdminDashboardStore = create(
       loading: false,
       error: null,
       lastUpdated: null,
+      tenantId: null, // Organization the cached data belongs to
 
       // Cache duration: 5 minutes
       CACHE_DURATION: 5 * 60 * 1000,
@@ -30,31 +32,46 @@ const useAdminDashboardStore = create(
       fetchDashboardData: async (force = false) => {
         const { dashboardData, isDataStale, setLoading, setError } = get();
 
-        // Return cached data if it's fresh and not forced
-        if (!force && dashboardData && !isDataStale()) {
-          return dashboardData;
-        }
-
         setLoading(true);
         setError(null);
 
         try {
+          // Firestore rules only allow queries for the tenant in the Firebase token
+          const firebaseUser = await ensureFirebaseAuth();
+          if (!firebaseUser) {
+            throw new Error('Not signed in');
+          }
+          const { claims } = await firebaseUser.getIdTokenResult();
+          const tenantId = claims.tenantId;
+
+          // Return cached data if it's fresh, for this organization and not forced
+          if (!force && dashboardData && !isDataStale() && get().tenantId === tenantId) {
+            setLoading(false);
+            return dashboardData;
+          }
+
+          // User documents are closed to the client; the API strips passwords
           const [
-            usersSnapshot,
+            usersResponse,
             tasksSnapshot,
             attendanceSnapshot
           ] = await Promise.all([
-            getDocs(query(collection(db, 'users'), orderBy('createdAt', 'desc'))),
-            getDocs(collection(db, 'tasks')),
-            getDocs(query(collection(db, 'attendance'), where('date', '>=', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000))))
+            usersApi.getUsers(),
+            getDocs(query(collection(db, 'tasks'), where('tenantId', '==', tenantId))),
+            getDocs(query(
+              collection(db, 'attendance'),
+              where('tenantId', '==', tenantId),
+              where('date', '>=', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000))
+            ))
           ]);
 
           // Process data
-          const users = usersSnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            createdAt: doc.data().createdAt?.toDate?.()
-          }));
+          const users = (usersResponse.users || [])
+            .map(user => ({
+              ...user,
+              createdAt: user.createdAt ? new Date(user.createdAt) : undefined
+            }))
+            .sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
 
           const tasks = tasksSnapshot.docs.map(doc => ({
             id: doc.id,
@@ -162,7 +179,8 @@ const useAdminDashboardStore = create(
           set({
             dashboardData: newData,
             loading: false,
-            lastUpdated: Date.now()
+            lastUpdated: Date.now(),
+            tenantId
           });
 
           return newData;
@@ -180,7 +198,8 @@ const useAdminDashboardStore = create(
       // Clear cache
       clearCache: () => set({
         dashboardData: null,
-        lastUpdated: null
+        lastUpdated: null,
+        tenantId: null
       })
     }),
     {
@@ -188,7 +207,8 @@ const useAdminDashboardStore = create(
       storage: createJSONStorage(() => localStorage),
       partialize: (state) => ({
         dashboardData: state.dashboardData,
-        lastUpdated: state.lastUpdated
+        lastUpdated: state.lastUpdated,
+        tenantId: state.tenantId
       })
     }
   )
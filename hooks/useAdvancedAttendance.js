@@ -46,6 +46,8 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
   const [allUsers, setAllUsers] = useState([]);
   const [allUsersData, setAllUsersData] = useState([]);
   const [selectedUser, setSelectedUser] = useState('all');
+  const [teams, setTeams] = useState([]);
+  const [selectedTeam, setSelectedTeam] = useState('all');
 
   // Date range - default to last 7 days
   const getDefaultDateRange = () => {
@@ -98,7 +100,7 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
       return;
     }
 
-    const cacheKey = `${userRole}_${selectedUser}_${dateRange.start}_${dateRange.end}`;
+    const cacheKey = `${userRole}_${selectedUser}_${selectedTeam}_${dateRange.start}_${dateRange.end}`;
     const cached = cacheRef.current[cacheKey];
 
     // Disable cache temporarily to ensure we get fresh data
@@ -129,6 +131,10 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
           filters.user = selectedUser;
         } else {
           filters.all = true;
+
+          if (selectedTeam && selectedTeam !== 'all') {
+            filters.teamId = selectedTeam;
+          }
         }
       } else {
         filters.user = currentUser?.username;
@@ -198,7 +204,7 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
       setLoadingMore(false);
       loadingRef.current = false;
     }
-  }, [userRole, selectedUser, dateRange, pagination.limit, currentUser?.username, isOnline]);
+  }, [userRole, selectedUser, selectedTeam, dateRange, pagination.limit, currentUser?.username, isOnline]);
 
   // Mark attendance
   const markAttendance = useCallback(async (workType = 'office', location = null) => {
@@ -425,7 +431,16 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
     }, 100); // Small delay to ensure parent has passed user data
 
     return () => clearTimeout(timeoutId);
-  }, [loadAttendanceData, currentUser?.username, userRole, selectedUser, dateRange.start, dateRange.end]);
+  }, [loadAttendanceData, currentUser?.username, userRole, selectedUser, selectedTeam, dateRange.start, dateRange.end]);
+
+  // Teams for the admin team filter
+  useEffect(() => {
+    if (userRole !== 'admin' || !currentUser?.username) return;
+
+    AttendanceAPIService.loadTeams()
+      .then(setTeams)
+      .catch(() => setTeams([]));
+  }, [userRole, currentUser?.username]);
 
   // Auto-clear messages
   useEffect(() => {
@@ -460,6 +475,7 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
     filterWorkType,
     searchTerm,
     selectedUser,
+    selectedTeam,
     dateRange,
 
     // Actions
@@ -476,11 +492,13 @@ const useAdvancedAttendance = (userRole = 'user', currentUser) => {
     setFilterWorkType,
     setSearchTerm,
     setSelectedUser,
+    setSelectedTeam,
     setDateRange,
 
     // Admin data
     allUsers,
-    setAllUsers
+    setAllUsers,
+    teams
   };
 };
 
@@ -17,6 +17,7 @@ const useDailyTaskAdminStore = create(
       success: null,
       dailyEntries: [],
       users: [],
+      teams: [],
       dateRange: {
         startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
         endDate: new Date().toISOString().split('T')[0]
@@ -24,6 +25,7 @@ const useDailyTaskAdminStore = create(
       filters: {
         searchTerm: '',
         selectedUser: '',
+        selectedTeam: '',
         category: 'all',
         sortBy: 'date',
         sortOrder: 'desc'
@@ -53,16 +55,35 @@ const useDailyTaskAdminStore = create(
       },
 
       // Filters management
-      setFilters: (newFilters) => set({ filters: { ...get().filters, ...newFilters } }),
-      clearFilters: () => set({
-        filters: {
-          searchTerm: '',
-          selectedUser: '',
-          category: 'all',
-          sortBy: 'date',
-          sortOrder: 'desc'
+      // The team filter is applied by the server, so changing it reloads the entries
+      setFilters: (newFilters) => {
+        const teamChanged = newFilters.selectedTeam !== undefined &&
+          newFilters.selectedTeam !== (get().filters.selectedTeam || '');
+
+        set({ filters: { ...get().filters, ...newFilters } });
+
+        if (teamChanged) {
+          get().loadDailyEntries(true);
+        }
+      },
+      clearFilters: () => {
+        const teamChanged = !!get().filters.selectedTeam;
+
+        set({
+          filters: {
+            searchTerm: '',
+            selectedUser: '',
+            selectedTeam: '',
+            category: 'all',
+            sortBy: 'date',
+            sortOrder: 'desc'
+          }
+        });
+
+        if (teamChanged) {
+          get().loadDailyEntries(true);
         }
-      }),
+      },
 
       // Bulk operations
       setBulkOperations: (ops) => set({ bulkOperations: { ...get().bulkOperations, ...ops } }),
@@ -145,9 +166,26 @@ const useDailyTaskAdminStore = create(
         }
       },
 
+      // Load teams for the team filter
+      loadTeams: async () => {
+        try {
+          const response = await httpClient.get('/teams');
+
+          if (response.success) {
+            const teamsList = response.data?.teams || [];
+            set({ teams: teamsList });
+            return teamsList;
+          }
+        } catch (error) {
+          // The team filter is optional; entries still load without it
+        }
+
+        return [];
+      },
+
       // Load daily entries
       loadDailyEntries: async (force = false) => {
-        const { dateRange, isDataStale, setLoading, setError } = get();
+        const { dateRange, filters, isDataStale, setLoading, setError } = get();
 
         if (!force && !isDataStale()) {
           return get().dailyEntries;
@@ -159,7 +197,8 @@ const useDailyTaskAdminStore = create(
           const response = await httpClient.get('/daily-tasks', {
             startDate: dateRange.startDate,
             endDate: dateRange.endDate,
-            allUsers: 'true'
+            allUsers: 'true',
+            ...(filters.selectedTeam ? { teamId: filters.selectedTeam } : {})
           });
 
           if (response.success) {
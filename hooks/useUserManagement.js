@@ -12,6 +12,9 @@ const useUserManagementStore = create(
     (set, get) => ({
       // State
       users: [],
+      roles: [],
+      permissionGroups: [],
+      teams: [],
       loading: false,
       error: null,
       success: null,
@@ -33,13 +36,19 @@ const useUserManagementStore = create(
         username: '',
         email: '',
         password: '',
-        role: 'user'
+        role: 'user',
+        managerId: '',
+        teamId: '',
+        location: ''
       },
       editUser: {
         id: '',
         username: '',
         email: '',
         role: 'user',
+        managerId: '',
+        teamId: '',
+        location: '',
         password: ''
       },
       resetPassword: '',
@@ -65,7 +74,7 @@ const useUserManagementStore = create(
         showCreateModal: true,
         error: null,
         success: null,
-        newUser: { username: '', email: '', password: '', role: 'user' }
+        newUser: { username: '', email: '', password: '', role: 'user', managerId: '', teamId: '', location: '' }
       }),
       closeCreateModal: () => set({ showCreateModal: false, error: null }),
 
@@ -77,6 +86,9 @@ const useUserManagementStore = create(
           username: user.username,
           email: user.email || '',
           role: user.role,
+          managerId: user.managerId || '',
+          teamId: user.teamId || '',
+          location: user.location || '',
           password: ''
         },
         error: null,
@@ -85,7 +97,7 @@ const useUserManagementStore = create(
       closeEditModal: () => set({
         showEditModal: false,
         userToEdit: null,
-        editUser: { id: '', username: '', email: '', role: 'user', password: '' },
+        editUser: { id: '', username: '', email: '', role: 'user', managerId: '', teamId: '', location: '', password: '' },
         error: null
       }),
 
@@ -205,7 +217,10 @@ const useUserManagementStore = create(
             username: newUser.username.trim(),
             email: newUser.email?.trim() || '',
             password: newUser.password.trim(),
-            role: newUser.role
+            role: newUser.role,
+            managerId: newUser.managerId || null,
+            teamId: newUser.teamId || null,
+            location: newUser.location?.trim() || null
           };
 
           const response = await httpClient.post('/users', userPayload);
@@ -215,7 +230,7 @@ const useUserManagementStore = create(
 
             set({
               showCreateModal: false,
-              newUser: { username: '', email: '', password: '', role: 'user' }
+              newUser: { username: '', email: '', password: '', role: 'user', managerId: '', teamId: '', location: '' }
             });
 
             // Reload users list
@@ -264,7 +279,10 @@ const useUserManagementStore = create(
             userId: editUser.id,
             username: editUser.username.trim(),
             email: editUser.email?.trim() || '',
-            role: editUser.role
+            role: editUser.role,
+            managerId: editUser.managerId || null,
+            teamId: editUser.teamId || null,
+            location: editUser.location?.trim() || null
           };
 
           // Only include password if it's provided
@@ -280,7 +298,7 @@ const useUserManagementStore = create(
             set({
               showEditModal: false,
               userToEdit: null,
-              editUser: { id: '', username: '', email: '', role: 'user', password: '' }
+              editUser: { id: '', username: '', email: '', role: 'user', managerId: '', teamId: '', location: '', password: '' }
             });
 
             // Reload users list
@@ -356,11 +374,6 @@ const useUserManagementStore = create(
           return false;
         }
 
-        if (resetPassword.length < 6) {
-          setError('Password must be at least 6 characters');
-          return false;
-        }
-
         setLoading(true);
 
         try {
@@ -370,7 +383,7 @@ const useUserManagementStore = create(
           });
 
           if (response.success) {
-            setSuccess(`✅ Password for "${userToResetPassword.username}" has been reset successfully!`);
+            setSuccess(`✅ Password for "${userToResetPassword.username}" has been reset. They will be asked to change it at next login.`);
 
             set({
               showResetPasswordModal: false,
@@ -393,6 +406,282 @@ const useUserManagementStore = create(
         }
       },
 
+      // Email a one-time link so the user picks their own password
+      sendPasswordLink: async (user) => {
+        const { setLoading, setError, setSuccess } = get();
+
+        if (!user?.id) return false;
+
+        if (!user.email) {
+          setError(`"${user.username}" has no email address. Add one before sending a link.`);
+          return false;
+        }
+
+        setLoading(true);
+
+        try {
+          const response = await httpClient.post(`/users/${user.id}/password`);
+
+          if (response.success) {
+            setSuccess(`✅ Set password link sent to ${response.data?.email || user.email}!`);
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to send set password link');
+          }
+        } catch (error) {
+          setError('Failed to send set password link: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Clear a brute-force login lockout
+      unlockUser: async (user) => {
+        const { setLoading, setError, setSuccess } = get();
+
+        if (!user?.id) return false;
+
+        setLoading(true);
+
+        try {
+          const response = await httpClient.delete(`/users/${user.id}/lockout`);
+
+          if (response.success) {
+            setSuccess(`✅ Account "${user.username}" has been unlocked!`);
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to unlock account');
+          }
+        } catch (error) {
+          setError('Failed to unlock account: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Reset two-factor authentication (e.g. lost phone)
+      resetUserMfa: async (user) => {
+        const { setLoading, setError, setSuccess } = get();
+
+        if (!user?.id) return false;
+
+        setLoading(true);
+
+        try {
+          const response = await httpClient.delete(`/users/${user.id}/mfa`);
+
+          if (response.success) {
+            setSuccess(`✅ Two-factor authentication for "${user.username}" has been reset!`);
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to reset two-factor authentication');
+          }
+        } catch (error) {
+          setError('Failed to reset two-factor authentication: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Load the organization's roles and the permission catalog
+      loadRoles: async () => {
+        try {
+          const response = await httpClient.get('/roles');
+
+          if (response.success) {
+            set({
+              roles: response.data?.roles || [],
+              permissionGroups: response.data?.permissionGroups || []
+            });
+            return response.data?.roles || [];
+          } else {
+            throw new Error(response.message || 'Failed to load roles');
+          }
+        } catch (error) {
+          get().setError('Failed to load roles: ' + error.message);
+          return [];
+        }
+      },
+
+      // Create a custom role or update an existing one
+      saveRole: async (role, isNew = false) => {
+        const { setLoading, setError, setSuccess, loadRoles } = get();
+
+        if (!role.name?.trim()) {
+          setError('Role name is required');
+          return false;
+        }
+
+        setLoading(true);
+
+        try {
+          const payload = {
+            name: role.name.trim(),
+            description: role.description?.trim() || '',
+            permissions: role.permissions || []
+          };
+
+          const response = isNew
+            ? await httpClient.post('/roles', { ...payload, key: role.key?.trim().toLowerCase() })
+            : await httpClient.put(`/roles/${role.key}`, payload);
+
+          if (response.success) {
+            setSuccess(`✅ Role "${payload.name}" ${isNew ? 'created' : 'updated'} successfully!`);
+
+            await loadRoles();
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to save role');
+          }
+        } catch (error) {
+          setError('Failed to save role: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Delete a custom role (only when no user has it)
+      deleteRole: async (role) => {
+        const { setLoading, setError, setSuccess, loadRoles } = get();
+
+        if (!role?.key) return false;
+
+        setLoading(true);
+
+        try {
+          const response = await httpClient.delete(`/roles/${role.key}`);
+
+          if (response.success) {
+            setSuccess(`✅ Role "${role.name}" deleted successfully!`);
+
+            await loadRoles();
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to delete role');
+          }
+        } catch (error) {
+          setError('Failed to delete role: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Load the organization's teams and departments
+      loadTeams: async () => {
+        try {
+          const response = await httpClient.get('/teams');
+
+          if (response.success) {
+            set({ teams: response.data?.teams || [] });
+            return response.data?.teams || [];
+          } else {
+            throw new Error(response.message || 'Failed to load teams');
+          }
+        } catch (error) {
+          get().setError('Failed to load teams: ' + error.message);
+          return [];
+        }
+      },
+
+      // Create a team or update an existing one
+      saveTeam: async (team) => {
+        const { setLoading, setError, setSuccess, loadTeams } = get();
+
+        if (!team.name?.trim()) {
+          setError('Team name is required');
+          return false;
+        }
+
+        setLoading(true);
+
+        try {
+          const payload = {
+            name: team.name.trim(),
+            description: team.description?.trim() || '',
+            parentId: team.parentId || null,
+            managerId: team.managerId || null
+          };
+
+          const response = team.id
+            ? await httpClient.put(`/teams/${team.id}`, payload)
+            : await httpClient.post('/teams', payload);
+
+          if (response.success) {
+            setSuccess(`✅ Team "${payload.name}" ${team.id ? 'updated' : 'created'} successfully!`);
+
+            await loadTeams();
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to save team');
+          }
+        } catch (error) {
+          setError('Failed to save team: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
+      // Delete a team (only when it has no sub-teams or members)
+      deleteTeam: async (team) => {
+        const { setLoading, setError, setSuccess, loadTeams } = get();
+
+        if (!team?.id) return false;
+
+        setLoading(true);
+
+        try {
+          const response = await httpClient.delete(`/teams/${team.id}`);
+
+          if (response.success) {
+            setSuccess(`✅ Team "${team.name}" deleted successfully!`);
+
+            await loadTeams();
+
+            // Clear success message after delay
+            setTimeout(() => set({ success: null }), 5000);
+
+            return true;
+          } else {
+            throw new Error(response.message || 'Failed to delete team');
+          }
+        } catch (error) {
+          setError('Failed to delete team: ' + error.message);
+          return false;
+        } finally {
+          setLoading(false);
+        }
+      },
+
       // Refresh data
       refreshUsers: () => get().loadUsers(true),
 
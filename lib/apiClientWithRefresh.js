@@ -3,11 +3,11 @@
  * Handles automatic token refresh and request retry on 401 errors
  */
 
+import { authApi } from '../src/api/auth.api.js';
+
 class ApiClientWithRefresh {
   constructor(baseURL = '/api') {
     this.baseURL = baseURL;
-    this.isRefreshing = false;
-    this.failedQueue = [];
   }
 
   /**
@@ -73,41 +73,18 @@ class ApiClientWithRefresh {
 
   /**
    * Refresh access token using refresh token
+   * Shares authApi's single-flight refresh, so concurrent requests (and other
+   * tabs) never exchange the same refresh token twice
    */
   async refreshAccessToken() {
-    const refreshToken = this.getRefreshToken();
-
-    if (!refreshToken) {
-      throw new Error('No refresh token available');
-    }
-
     try {
-      const response = await fetch(`${this.baseURL}/auth/refresh`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ refreshToken }),
-      });
+      const data = await authApi.refreshTokens();
 
-      if (!response.ok) {
-        throw new Error('Token refresh failed');
-      }
-
-      const data = await response.json();
-
-      if (data.success && data.accessToken) {
-        this.setTokens(data.accessToken, data.refreshToken);
-
-        // Update user data if provided
-        if (data.user) {
-          localStorage.setItem('user', JSON.stringify(data.user));
-        }
-
-        return data.accessToken;
-      } else {
+      if (!data.accessToken) {
         throw new Error('Invalid refresh response');
       }
+
+      return data.accessToken;
     } catch (error) {
       console.error('Token refresh failed:', error);
       this.clearTokens();
@@ -145,56 +122,26 @@ class ApiClientWithRefresh {
     return headers;
   }
 
-  /**
-   * Process queued requests after token refresh
-   */
-  processQueue(error, token = null) {
-    this.failedQueue.forEach(({ resolve, reject }) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(token);
-      }
-    });
-
-    this.failedQueue = [];
-  }
-
   /**
    * Handle response with automatic retry on 401
    */
   async handleResponse(response, originalRequest) {
     if (response.status === 401 && !originalRequest._retry) {
-      if (this.isRefreshing) {
-        // If already refreshing, queue this request
-        return new Promise((resolve, reject) => {
-          this.failedQueue.push({ resolve, reject });
-        }).then(token => {
-          originalRequest.headers['Authorization'] = `Bearer ${token}`;
-          return fetch(originalRequest.url, originalRequest);
-        });
-      }
-
       originalRequest._retry = true;
-      this.isRefreshing = true;
 
       try {
         const newToken = await this.refreshAccessToken();
-        this.processQueue(null, newToken);
 
         // Retry original request with new token
         originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
         return fetch(originalRequest.url, originalRequest);
       } catch (error) {
-        this.processQueue(error, null);
         this.clearTokens();
 
         if (typeof window !== 'undefined') {
           window.location.href = '/login?reason=session-expired';
         }
         throw error;
-      } finally {
-        this.isRefreshing = false;
       }
     }
 
@@ -1,24 +1,7 @@
 // Enhanced Attendance System with Advanced Logic and Fraud Prevention
 import { adminDb } from './firebase-admin';
 import admin from 'firebase-admin';
-
-// Office location configuration (replace with your actual office coordinates)
-const OFFICE_LOCATIONS = [
-  {
-    name: 'Main Office',
-    latitude: 40.7128,
-    longitude: -74.0060,
-    radius: 100, // meters
-    timezone: 'America/New_York'
-  },
-  {
-    name: 'Branch Office',
-    latitude: 34.0522,
-    longitude: -118.2437,
-    radius: 150, // meters
-    timezone: 'America/Los_Angeles'
-  }
-];
+import { calculateDistance, matchOfficeSite, toOfficeSiteSnapshot } from '../src/utils/geofence.util.js';
 
 // Work hours configuration
 const WORK_HOURS = {
@@ -65,6 +48,7 @@ class EnhancedAttendanceService {
         if (!locationValidation.valid) {
           throw new Error(locationValidation.message);
         }
+        attendanceData.officeSite = locationValidation.officeSite;
       }
 
       // Fraud detection
@@ -190,43 +174,46 @@ class EnhancedAttendanceService {
     }
   }
 
-  // Validate location against office locations
+  // Validate location against the organization's office sites
+  // (organizations without sites don't check office attendance)
   static async validateLocation(attendanceData) {
-    const { location } = attendanceData;
-    
-    if (!location || !location.latitude || !location.longitude) {
-      return { valid: false, message: 'Location is required for office attendance' };
+    const { tenantId, location, ipAddress } = attendanceData;
+
+    const sites = await this.getOfficeSites(tenantId);
+    if (sites.length === 0) {
+      return { valid: true, officeSite: null };
     }
-    
-    // Check if location is within any office radius
-    const isInOffice = OFFICE_LOCATIONS.some(office => {
-      const distance = this.calculateDistance(
-        location.latitude,
-        location.longitude,
-        office.latitude,
-        office.longitude
-      );
-      return distance <= office.radius;
-    });
-    
-    if (!isInOffice) {
-      const distances = OFFICE_LOCATIONS.map(office => {
-        const distance = this.calculateDistance(
-          location.latitude,
-          location.longitude,
-          office.latitude,
-          office.longitude
-        );
-        return { office: office.name, distance: Math.round(distance) };
-      });
-      
-      return { 
-        valid: false, 
-        message: `Location not within office premises. Distances: ${distances.map(d => `${d.office}: ${d.distance}m`).join(', ')}` 
-      };
+
+    const match = matchOfficeSite(sites, { location, ipAddress });
+    if (match.site) {
+      return { valid: true, officeSite: toOfficeSiteSnapshot(match) };
     }
-    
-    return { valid: true };
+
+    if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+      return { valid: false, message: 'Location is required for office attendance' };
+    }
+
+    const distances = sites.map(site => ({
+      office: site.name,
+      distance: Math.round(calculateDistance(location.latitude, location.longitude, site.latitude, site.longitude))
+    }));
+
+    return {
+      valid: false,
+      message: `Location not within office premises. Distances: ${distances.map(d => `${d.office}: ${d.distance}m`).join(', ')}`
+    };
+  }
+
+  // Office sites managed by the organization's admins
+  static async getOfficeSites(tenantId) {
+    if (!tenantId) return [];
+
+    const snapshot = await adminDb
+      .collection('officeSites')
+      .where('tenantId', '==', tenantId)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
   }
 
   // Fraud detection system
@@ -295,12 +282,6 @@ class EnhancedAttendanceService {
       minute: '2-digit'
     });
     
-    // Determine office location if applicable
-    let detectedOffice = null;
-    if (workType === 'office' && location) {
-      detectedOffice = this.detectOfficeLocation(location);
-    }
-    
     // Calculate expected work hours
     const workHours = this.calculateExpectedWorkHours(now);
     
@@ -322,9 +303,11 @@ class EnhancedAttendanceService {
         longitude: location.longitude,
         accuracy: location.accuracy,
         timestamp: location.timestamp,
-        address: location.address || null,
-        detectedOffice: detectedOffice
+        address: location.address || null
       } : null,
+
+      // Office site matched by validateLocation, with the distance to it
+      officeSite: workType === 'office' ? attendanceData.officeSite || null : null,
       
       // Work schedule information
       workSchedule: {
@@ -388,18 +371,7 @@ class EnhancedAttendanceService {
 
   // Helper methods
   static calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-    return R * c;
+    return calculateDistance(lat1, lon1, lat2, lon2);
   }
 
   static isWithinWorkHours(date) {
@@ -444,26 +416,6 @@ class EnhancedAttendanceService {
     };
   }
 
-  static detectOfficeLocation(location) {
-    for (const office of OFFICE_LOCATIONS) {
-      const distance = this.calculateDistance(
-        location.latitude,
-        location.longitude,
-        office.latitude,
-        office.longitude
-      );
-      
-      if (distance <= office.radius) {
-        return {
-          name: office.name,
-          distance: Math.round(distance),
-          timezone: office.timezone
-        };
-      }
-    }
-    return null;
-  }
-
   static isWeekend(date) {
     const day = date.getDay();
     return day === 0 || day === 6; // Sunday or Saturday
@@ -505,7 +457,7 @@ class EnhancedAttendanceService {
           date: attendanceRecord.date,
           checkIn: attendanceRecord.checkIn,
           hasLocation: !!attendanceRecord.location,
-          officeDetected: attendanceRecord.location?.detectedOffice?.name || null
+          officeDetected: attendanceRecord.officeSite?.name || null
         },
         timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
@@ -150,6 +150,7 @@ export const AttendanceAPIService = {
     if (filters.startDate) params.append('startDate', filters.startDate);
     if (filters.endDate) params.append('endDate', filters.endDate);
     if (filters.all) params.append('all', filters.all);
+    if (filters.teamId) params.append('teamId', filters.teamId);
     if (filters.page) params.append('page', filters.page);
     if (filters.pageSize) params.append('pageSize', filters.pageSize);
 
@@ -180,6 +181,21 @@ export const AttendanceAPIService = {
     }
   },
 
+  async loadTeams() {
+    const token = localStorage.getItem('token');
+
+    const response = await fetch('/api/teams', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load teams (${response.status})`);
+    }
+
+    const data = await response.json();
+    return data.data?.teams || [];
+  },
+
   async markAttendance(workType = 'office', location = null) {
     const token = localStorage.getItem('token');
 
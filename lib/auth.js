@@ -1,8 +1,12 @@
 // lib/auth.js - Updated to use Firebase instead of Google Sheets
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { loadUsers } from './firebaseService.js';
+import { adminDb } from './firebase-admin.js';
+import admin from 'firebase-admin';
 import dotenv from 'dotenv';
+import { auditRequest } from '../src/middleware/audit.middleware.js';
 
 // Always load environment variables first
 if (!process.env.JWT_SECRET) {
@@ -15,6 +19,66 @@ if (!JWT_SECRET) {
   throw new Error('JWT_SECRET environment variable is required');
 }
 
+export const REFRESH_TOKEN_TTL = '7d';
+
+// ==================== REVOKED SESSIONS ====================
+// Access tokens are stateless, so terminated sessions are tracked in a per-instance
+// cache that verifyToken checks once it has synced. The cache is rebuilt from the
+// `sessions` collection at most every REVOKED_SESSION_SYNC_MS; only revocations
+// younger than the access token lifetime matter, older tokens have expired anyway.
+const ACCESS_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+const REVOKED_SESSION_SYNC_MS = 15 * 1000;
+
+const revokedSessions = new Map(); // sessionId -> revokedAt (ms)
+let revokedSessionsSyncedAt = 0;
+let revokedSessionsSync = null;
+
+// Record a revocation made by this instance so it applies immediately
+export const markSessionRevoked = (sessionId) => {
+  if (sessionId) {
+    revokedSessions.set(sessionId, Date.now());
+  }
+};
+
+// Reload revoked session IDs from Firestore (throttled, never throws)
+export const syncRevokedSessions = async ({ force = false } = {}) => {
+  if (!force && Date.now() - revokedSessionsSyncedAt < REVOKED_SESSION_SYNC_MS) {
+    return;
+  }
+
+  if (!revokedSessionsSync) {
+    revokedSessionsSync = (async () => {
+      try {
+        const cutoff = Date.now() - ACCESS_TOKEN_LIFETIME_MS;
+        const snapshot = await adminDb
+          .collection('sessions')
+          .where('revokedAt', '>=', admin.firestore.Timestamp.fromMillis(cutoff))
+          .get();
+
+        snapshot.docs.forEach(doc => {
+          revokedSessions.set(doc.id, doc.data().revokedAt.toMillis());
+        });
+
+        for (const [sessionId, revokedAt] of revokedSessions) {
+          if (revokedAt < cutoff) revokedSessions.delete(sessionId);
+        }
+
+        revokedSessionsSyncedAt = Date.now();
+      } catch (error) {
+        console.error('Failed to sync revoked sessions:', error.message);
+      } finally {
+        revokedSessionsSync = null;
+      }
+    })();
+  }
+
+  await revokedSessionsSync;
+};
+
+export const isSessionRevoked = (sessionId) => {
+  return !!sessionId && revokedSessions.has(sessionId);
+};
+
 // Generate JWT token
 export const generateToken = (user, options = {}) => {
   const payload = {
@@ -26,27 +90,106 @@ export const generateToken = (user, options = {}) => {
     tokenType: options.tokenType || 'access'
   };
 
+  // Token family (one per login) - lets logout revoke every token issued from it
+  if (options.familyId) {
+    payload.fid = options.familyId;
+  }
+
+  // Signing again with the original iat (and so exp) reproduces an issued token
+  if (options.issuedAt) {
+    payload.iat = options.issuedAt;
+  }
+
   // Different expiration times for different token types
-  const expiresIn = options.tokenType === 'refresh' ? '7d' : '1h'; // 7 days for refresh, 1 hour for access
-  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+  const expiresIn = options.tokenType === 'refresh' ? REFRESH_TOKEN_TTL : '1h'; // 7 days for refresh, 1 hour for access
+  const signOptions = { expiresIn };
+
+  // Refresh tokens carry a jti so the server-side record can be looked up and revoked
+  if (options.jti) {
+    signOptions.jwtid = options.jti;
+  }
+
+  return jwt.sign(payload, JWT_SECRET, signOptions);
 };
 
 // Verify JWT token (original function for token string only)
-export const verifyToken = (token) => {
+// Only access tokens are accepted unless another type is asked for: refresh
+// tokens may only be exchanged at /api/auth/refresh (see refreshToken.service.js)
+// Async because the revoked session cache is synced before it is consulted
+export const verifyToken = async (token, { tokenType = 'access' } = {}) => {
   try {
     if (!token || typeof token !== 'string') {
       return { valid: false, error: 'Invalid token format' };
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (decoded.tokenType !== tokenType) {
+      return { valid: false, error: 'Invalid token type' };
+    }
+
+    // A cold instance has an empty cache, so wait for the first sync
+    await syncRevokedSessions();
+
+    if (isSessionRevoked(decoded.fid)) {
+      return { valid: false, error: 'Session has been terminated' };
+    }
+
     return { valid: true, user: decoded };
   } catch (error) {
     return { valid: false, error: error.message };
   }
 };
 
+// ==================== MFA CHALLENGES ====================
+// After the password step of a login that still needs a second factor, the
+// client gets a short-lived challenge token instead of an access token. It is
+// signed with a key derived from JWT_SECRET, so routes that call jwt.verify
+// with JWT_SECRET directly can never mistake it for an access token.
+export const MFA_CHALLENGE_TTL = '5m';
+
+export const MFA_CHALLENGE_PURPOSE = {
+  VERIFY: 'verify', // user has MFA, enter a code
+  ENROLL: 'enroll'  // organization requires MFA, set it up first
+};
+
+const MFA_CHALLENGE_SECRET = crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update('mfa-challenge')
+  .digest('hex');
+
+// Issue a challenge token for the second login step
+export const generateMfaChallengeToken = (user, purpose) => {
+  return jwt.sign({
+    id: user.id || user.username,
+    username: user.username,
+    tenantId: user.tenantId,
+    tokenType: 'mfa_challenge',
+    purpose
+  }, MFA_CHALLENGE_SECRET, { expiresIn: MFA_CHALLENGE_TTL });
+};
+
+// Verify a challenge token, optionally for a specific purpose
+export const verifyMfaChallengeToken = (token, purpose = null) => {
+  try {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    const decoded = jwt.verify(token, MFA_CHALLENGE_SECRET);
+
+    if (decoded.tokenType !== 'mfa_challenge' || (purpose && decoded.purpose !== purpose)) {
+      return { valid: false, error: 'Invalid token type' };
+    }
+
+    return { valid: true, user: decoded };
+  } catch (error) {
+    return { valid: false, error: error.name === 'TokenExpiredError' ? 'Verification expired, please sign in again' : error.message };
+  }
+};
+
 // NEW: Verify token from request object (for API routes)
-export const verifyTokenFromRequest = (req) => {
+export const verifyTokenFromRequest = async (req) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -72,7 +215,7 @@ export const verifyTokenFromRequest = (req) => {
     }
 
     // Verify the token using the existing function
-    const result = verifyToken(tokenString);
+    const result = await verifyToken(tokenString);
 
     if (!result.valid) {
       return { valid: false, message: result.error };
@@ -89,7 +232,8 @@ export const verifyTokenFromRequest = (req) => {
         role: result.user.role || 'user',
         email: result.user.email || '',
         id: result.user.id || result.user.username,
-        tenantId: result.user.tenantId  // Multi-tenancy support
+        tenantId: result.user.tenantId,  // Multi-tenancy support
+        familyId: result.user.fid || null
       }
     };
 
@@ -104,24 +248,38 @@ export const verifyTokenFromRequest = (req) => {
   }
 };
 
+// User data returned to the client after login (no password)
+export const toSafeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role || 'user',
+  email: user.email || '',
+  tenantId: user.tenantId,  // Multi-tenancy support
+  profileImage: user.profileImage || null,  // Include profile image
+  mustChangePassword: user.mustChangePassword === true  // Client sends the user to /change-password
+});
+
+// Find the account a login attempt targets (case-insensitive username, across tenants)
+export const findUserForLogin = async (username) => {
+  const users = await loadUsers();
+
+  if (!users || users.length === 0) {
+    return null;
+  }
+
+  return users.find(u =>
+    u.username && u.username.toLowerCase().trim() === username.toLowerCase().trim()
+  ) || null;
+};
+
 // Authenticate user using Firebase
-export const authenticateUser = async (username, password) => {
+// Pass the result of findUserForLogin as `user` to skip the lookup
+export const authenticateUser = async (username, password, user = undefined) => {
   try {
-    // Load users from Firebase
-    const users = await loadUsers();
-
-    if (!users || users.length === 0) {
-      return {
-        success: false,
-        message: 'No users found in system'
-      };
+    if (user === undefined) {
+      user = await findUserForLogin(username);
     }
 
-    // Find user by username (case-insensitive)
-    const user = users.find(u =>
-      u.username && u.username.toLowerCase().trim() === username.toLowerCase().trim()
-    );
-
     if (!user) {
       return {
         success: false,
@@ -139,27 +297,16 @@ export const authenticateUser = async (username, password) => {
       };
     }
 
-    // Generate access and refresh tokens
+    // Generate access token
+    // Refresh tokens are issued by RefreshTokenService so they are recorded server-side
     const accessToken = generateToken(user, { tokenType: 'access' });
-    const refreshToken = generateToken(user, { tokenType: 'refresh' });
-
-    // Return user data without password
-    const safeUser = {
-      id: user.id,
-      username: user.username,
-      role: user.role || 'user',
-      email: user.email || '',
-      tenantId: user.tenantId,  // Multi-tenancy support
-      profileImage: user.profileImage || null  // Include profile image
-    };
 
     return {
       success: true,
       message: 'Authentication successful',
-      user: safeUser,
+      user: toSafeUser(user),
       token: accessToken, // For backward compatibility
-      accessToken,
-      refreshToken
+      accessToken
     };
 
   } catch (error) {
@@ -175,7 +322,7 @@ export const requireAuth = (handler) => {
   return async (req, res) => {
     try {
       // Use the new function that handles request objects
-      const verification = verifyTokenFromRequest(req);
+      const verification = await verifyTokenFromRequest(req);
       
       if (!verification.valid) {
         return res.status(401).json({
@@ -188,6 +335,9 @@ export const requireAuth = (handler) => {
       req.user = verification.user;
       req.tenantId = verification.user.tenantId;  // Multi-tenancy support
 
+      // Successful POST/PUT/PATCH/DELETE calls go to the audit log
+      auditRequest(req, res);
+
       // Call the actual handler
       return handler(req, res);
       
@@ -200,28 +350,6 @@ export const requireAuth = (handler) => {
   };
 };
 
-// Check if user has required role
-export const requireRole = (requiredRole) => {
-  return (handler) => {
-    return requireAuth(async (req, res) => {
-      const userRole = req.user.role?.toLowerCase();
-      const required = requiredRole.toLowerCase();
-      
-      if (userRole !== required) {
-        return res.status(403).json({ 
-          success: false, 
-          message: `${required} role required` 
-        });
-      }
-      
-      return handler(req, res);
-    });
-  };
-};
-
-// Check if user is admin
-export const requireAdmin = requireRole('admin');
-
 // Middleware to ensure tenantId is present (Multi-tenancy validation)
 export const requireTenantId = (handler) => {
   return requireAuth(async (req, res) => {
@@ -245,11 +373,16 @@ export const getUserFromRequest = (req) => {
 export default {
   generateToken,
   verifyToken,
+  markSessionRevoked,
+  syncRevokedSessions,
+  isSessionRevoked,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
   verifyTokenFromRequest,
+  toSafeUser,
+  findUserForLogin,
   authenticateUser,
   requireAuth,
-  requireRole,
-  requireAdmin,
   requireTenantId,
   getUserFromRequest
 };
\ No newline at end of file
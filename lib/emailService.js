@@ -206,6 +206,391 @@ export const sendWelcomeEmail = async (to, username) => {
   }
 };
 
+// Notify the account owner that their account was locked after repeated failed logins
+export const sendAccountLockedEmail = async (to, username, { lockedUntil, attempts, ipAddress } = {}) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('Email credentials not configured');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+    const resetUrl = `${process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'}/login`;
+    const unlockTime = lockedUntil ? new Date(lockedUntil).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : 'shortly';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Account Locked - Logam Task Manager</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background-color: #000000; padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0;">Logam Task Manager</h1>
+            </div>
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #000000;">Your account has been temporarily locked</h2>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                Hello <strong>${username}</strong>,
+              </p>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                We locked your account after ${attempts || 'several'} failed sign-in attempts${ipAddress ? ` from IP address <strong>${ipAddress}</strong>` : ''}.
+                You can try again after <strong>${unlockTime}</strong> (IST), or ask your administrator to unlock it.
+              </p>
+              <div style="background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; border-radius: 4px;">
+                <p style="color: #856404; font-size: 14px; margin: 0; line-height: 1.5;">
+                  <strong>Wasn't you?</strong> Someone may be trying to guess your password. Once you can sign in, change your password and sign out of all devices from your profile.
+                </p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${resetUrl}" style="display: inline-block; background-color: #000000; color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-weight: bold;">
+                  Go to Login
+                </a>
+              </div>
+            </div>
+            <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+              <p style="color: #999999; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} Logam Academy. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    await transporter.sendMail({
+      from: `"Logam Task Manager" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: 'Your account has been temporarily locked',
+      html: htmlContent,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to send account locked email:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+// Send an admin-issued one-time link for the user to choose their own password
+export const sendSetPasswordEmail = async (to, setPasswordToken, username, { issuedBy, expiresInHours } = {}) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.error('Email credentials not configured. Check EMAIL_USER and EMAIL_PASS in .env.local');
+      throw new Error('Email service not configured');
+    }
+
+    const transporter = createTransporter();
+    const setPasswordUrl = `${process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'}/reset-password?token=${setPasswordToken}&mode=set`;
+    const validFor = expiresInHours ? `${expiresInHours} hour${expiresInHours === 1 ? '' : 's'}` : 'a limited time';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Set Your Password - Logam Task Manager</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background-color: #000000; padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0;">Logam Task Manager</h1>
+            </div>
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #000000;">Set your password</h2>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                Hello <strong>${username}</strong>,
+              </p>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                ${issuedBy ? `Your administrator <strong>${issuedBy}</strong> has` : 'Your administrator has'} sent you a link to choose a new password for your Logam Task Manager account.
+              </p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${setPasswordUrl}" style="display: inline-block; background-color: #000000; color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-weight: bold;">
+                  Set Password
+                </a>
+              </div>
+              <div style="background-color: #f5f5f5; padding: 15px; border-radius: 6px; margin: 10px 0 20px 0; word-break: break-all;">
+                <code style="color: #333333; font-size: 13px;">${setPasswordUrl}</code>
+              </div>
+              <p style="color: #666666; font-size: 14px; line-height: 1.6;">
+                <strong>Important:</strong> This link works once and expires in ${validFor}. If you weren't expecting it, contact your administrator.
+              </p>
+            </div>
+            <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+              <p style="color: #999999; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} Logam Academy. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+Set Your Password
+
+Hello ${username},
+
+${issuedBy ? `Your administrator ${issuedBy} has` : 'Your administrator has'} sent you a link to choose a new password for your Logam Task Manager account:
+${setPasswordUrl}
+
+This link works once and expires in ${validFor}. If you weren't expecting it, contact your administrator.
+
+---
+© ${new Date().getFullYear()} Logam Academy. All rights reserved.
+    `;
+
+    const info = await transporter.sendMail({
+      from: `"Logam Task Manager" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: 'Set your password - Logam Task Manager',
+      text: textContent,
+      html: htmlContent,
+    });
+
+    console.log('Set password email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+
+  } catch (error) {
+    console.error('Failed to send set password email:', error);
+    throw new Error('Failed to send email: ' + error.message);
+  }
+};
+
+// Comment text goes into the HTML body, so it is escaped first
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Tell a user they were @mentioned in a task comment
+export const sendTaskMentionEmail = async (to, username, { mentionedBy, taskName, excerpt, taskUrl } = {}) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('Email credentials not configured');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>You were mentioned - Logam Task Manager</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background-color: #000000; padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0;">Logam Task Manager</h1>
+            </div>
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #000000;">${escapeHtml(mentionedBy)} mentioned you</h2>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                Hello <strong>${escapeHtml(username)}</strong>,
+              </p>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                <strong>${escapeHtml(mentionedBy)}</strong> mentioned you in a comment on <strong>${escapeHtml(taskName)}</strong>:
+              </p>
+              <div style="background-color: #f5f5f5; border-left: 4px solid #000000; padding: 15px; margin: 20px 0; border-radius: 4px;">
+                <p style="color: #333333; font-size: 14px; margin: 0; line-height: 1.5; white-space: pre-wrap;">${escapeHtml(excerpt)}</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${taskUrl}" style="display: inline-block; background-color: #000000; color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-weight: bold;">
+                  View Task
+                </a>
+              </div>
+            </div>
+            <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+              <p style="color: #999999; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} Logam Academy. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+${mentionedBy} mentioned you
+
+Hello ${username},
+
+${mentionedBy} mentioned you in a comment on "${taskName}":
+
+${excerpt}
+
+View the task: ${taskUrl}
+
+---
+© ${new Date().getFullYear()} Logam Academy. All rights reserved.
+    `;
+
+    await transporter.sendMail({
+      from: `"Logam Task Manager" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: `${mentionedBy} mentioned you on "${taskName}"`,
+      text: textContent,
+      html: htmlContent,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to send mention email:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+// Email version of an in-app notification (used when the user turned on email for its event)
+export const sendNotificationEmail = async (to, username, { title, message, url } = {}) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('Email credentials not configured');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>${escapeHtml(title)} - Logam Task Manager</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background-color: #000000; padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0;">Logam Task Manager</h1>
+            </div>
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #000000;">${escapeHtml(title)}</h2>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                Hello <strong>${escapeHtml(username)}</strong>,
+              </p>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">${escapeHtml(message)}</p>
+              ${url ? `
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${url}" style="display: inline-block; background-color: #000000; color: #ffffff; text-decoration: none; padding: 16px 40px; border-radius: 8px; font-weight: bold;">
+                  Open Task Manager
+                </a>
+              </div>` : ''}
+              <p style="color: #666666; font-size: 13px; line-height: 1.6;">
+                You can choose which notifications you get by email in your notification settings.
+              </p>
+            </div>
+            <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+              <p style="color: #999999; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} Logam Academy. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+${title}
+
+Hello ${username},
+
+${message}
+${url ? `\nOpen: ${url}\n` : ''}
+---
+© ${new Date().getFullYear()} Logam Academy. All rights reserved.
+    `;
+
+    await transporter.sendMail({
+      from: `"Logam Task Manager" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: title,
+      text: textContent,
+      html: htmlContent,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to send notification email:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+// One email listing the notifications held for a user's daily digest or quiet hours
+export const sendNotificationDigestEmail = async (to, username, items = []) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.warn('Email credentials not configured');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const transporter = createTransporter();
+
+    const htmlItems = items.map(item => `
+                <li style="margin-bottom: 16px;">
+                  <strong style="color: #000000;">${escapeHtml(item.title)}</strong><br>
+                  <span style="color: #333333;">${escapeHtml(item.message)}</span>
+                  ${item.url ? `<br><a href="${item.url}" style="color: #2563eb; font-size: 13px;">Open</a>` : ''}
+                </li>`).join('');
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Your notifications - Logam Task Manager</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 0;">
+          <div style="max-width: 600px; margin: 40px auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <div style="background-color: #000000; padding: 40px 30px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0;">Logam Task Manager</h1>
+            </div>
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #000000;">${items.length} notification${items.length === 1 ? '' : 's'} for you</h2>
+              <p style="color: #333333; font-size: 16px; line-height: 1.6;">
+                Hello <strong>${escapeHtml(username)}</strong>, here is what happened:
+              </p>
+              <ul style="padding-left: 20px; font-size: 14px; line-height: 1.5;">${htmlItems}
+              </ul>
+            </div>
+            <div style="background-color: #f5f5f5; padding: 20px; text-align: center;">
+              <p style="color: #999999; font-size: 12px; margin: 0;">
+                © ${new Date().getFullYear()} Logam Academy. All rights reserved.
+              </p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const textContent = `
+Hello ${username}, here is what happened:
+
+${items.map(item => `- ${item.title}: ${item.message}${item.url ? ` (${item.url})` : ''}`).join('\n')}
+
+---
+© ${new Date().getFullYear()} Logam Academy. All rights reserved.
+    `;
+
+    await transporter.sendMail({
+      from: `"Logam Task Manager" <${process.env.EMAIL_USER}>`,
+      to: to,
+      subject: `Your notifications (${items.length})`,
+      text: textContent,
+      html: htmlContent,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to send notification digest email:', error);
+    return { success: false, message: error.message };
+  }
+};
+
 // Verify email configuration
 export const verifyEmailConfig = async () => {
   try {
@@ -225,5 +610,10 @@ export const verifyEmailConfig = async () => {
 export default {
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendAccountLockedEmail,
+  sendSetPasswordEmail,
+  sendTaskMentionEmail,
+  sendNotificationEmail,
+  sendNotificationDigestEmail,
   verifyEmailConfig
 };
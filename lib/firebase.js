@@ -1,7 +1,7 @@
 // lib/firebase.js - Client-side Firebase configuration
 import { initializeApp } from 'firebase/app';
 import { getFirestore } from 'firebase/firestore';
-import { getAuth } from 'firebase/auth';
+import { getAuth, signInWithCustomToken, signOut } from 'firebase/auth';
 import { getAnalytics, isSupported } from 'firebase/analytics';
 
 
@@ -36,6 +36,89 @@ if (typeof window !== 'undefined') {
 
 export default app;
 
+// Custom token from the login response, used once by ensureFirebaseAuth
+export const FIREBASE_TOKEN_KEY = 'firebaseToken';
+
+let pendingSignIn = null;
+
+const readStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user') || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+const signInAsStoredUser = async () => {
+  await auth.authStateReady();
+
+  const appUser = readStoredUser();
+  if (!appUser?.id) return null;
+
+  // Reuse the Firebase session while it belongs to the same user, tenant and role
+  if (auth.currentUser?.uid === appUser.id) {
+    const { claims } = await auth.currentUser.getIdTokenResult();
+    if (claims.tenantId === appUser.tenantId && claims.role === appUser.role) {
+      return auth.currentUser;
+    }
+  }
+
+  const storedToken = localStorage.getItem(FIREBASE_TOKEN_KEY);
+  localStorage.removeItem(FIREBASE_TOKEN_KEY);
+
+  if (storedToken) {
+    try {
+      const credential = await signInWithCustomToken(auth, storedToken);
+      return credential.user;
+    } catch (error) {
+      // Custom tokens expire after an hour; ask for a new one below
+    }
+  }
+
+  const accessToken = localStorage.getItem('accessToken') || localStorage.getItem('token');
+  const response = await fetch('/api/auth/firebase-token', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
+    }
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to sign in to Firebase');
+  }
+
+  const credential = await signInWithCustomToken(auth, data.data.firebaseToken);
+  return credential.user;
+};
+
+/**
+ * Sign the browser in to Firebase as the app's signed-in user
+ * Firestore rules only allow reads carrying the user's tenantId and role
+ * claims, so call this before querying Firestore directly.
+ * @returns {Promise<Object|null>} Firebase user, or null when nobody is signed in
+ */
+export const ensureFirebaseAuth = () => {
+  if (typeof window === 'undefined') return Promise.resolve(null);
+
+  if (!pendingSignIn) {
+    pendingSignIn = signInAsStoredUser().finally(() => {
+      pendingSignIn = null;
+    });
+  }
+
+  return pendingSignIn;
+};
+
+/**
+ * End the browser's Firebase session (on logout)
+ */
+export const signOutOfFirebase = async () => {
+  localStorage.removeItem(FIREBASE_TOKEN_KEY);
+  await signOut(auth).catch(() => {});
+};
+
 // Test connection function
 export const testFirebaseConnection = async () => {
   try {
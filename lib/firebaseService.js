@@ -2,8 +2,22 @@
 import { adminDb } from './firebase-admin.js';
 import admin from 'firebase-admin';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { getIndiaDate, getIndiaTime, getIndiaDateTime } from './timezone.js';
+import { buildTaskIndexFields } from '../src/utils/taskQuery.util.js';
+import { countVisibleComments } from '../src/utils/taskComments.util.js';
+import { DEFAULT_WEEKLY_OFFS, getDayOff, getWorkingDays } from '../src/utils/holidayCalendar.util.js';
+import {
+  resolveShift,
+  toShiftSnapshot,
+  evaluateCheckIn,
+  getWorkedMinutes,
+  meetsMinimumHours,
+  hasShiftEnded,
+  getClockOutDate
+} from '../src/utils/shift.util.js';
+import { addDays } from '../src/utils/recurrence.util.js';
 
 // Always load environment variables first
 if (!process.env.FIREBASE_PROJECT_ID) {
@@ -52,6 +66,9 @@ const convertFirestoreDoc = (doc) => {
   
   Object.keys(data).forEach(key => {
     const value = data[key];
+
+    // Task search tokens only serve Firestore queries and are large
+    if (key === 'searchTokens') return;
     
     // Convert Firestore Timestamps to date strings
     if (value && typeof value.toDate === 'function') {
@@ -140,16 +157,18 @@ export const addUser = async (userData, tenantId) => {
     // Hash password before storing
     const hashedPassword = await bcrypt.hash(userData.password, 10);
 
-    // Store encrypted copy for display (WITH WARNING: NOT FULLY SECURE)
-    const encryptedPassword = encryptPassword(userData.password);
-
     const userDoc = await adminDb.collection('users').add({
       tenantId: tenantId,  // Multi-tenancy: Assign user to tenant
       username: userData.username.trim(),
       email: userData.email?.trim() || '',
       password: hashedPassword,
-      displayPassword: encryptedPassword, // Encrypted password for display (NOT SECURE)
+      passwordChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // Set when someone other than the user chose the password (e.g. an admin)
+      mustChangePassword: userData.mustChangePassword === true,
       role: userData.role || 'user',
+      managerId: userData.managerId || null,
+      teamId: userData.teamId || null,
+      location: userData.location?.trim() || null,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
@@ -265,11 +284,26 @@ export const updateUser = async (userId, userData, tenantId = null) => {
       updateData.role = userData.role.toLowerCase();
     }
 
+    if (userData.managerId !== undefined) {
+      updateData.managerId = userData.managerId || null;
+    }
+
+    if (userData.teamId !== undefined) {
+      updateData.teamId = userData.teamId || null;
+    }
+
+    if (userData.location !== undefined) {
+      updateData.location = userData.location?.trim() || null;
+    }
+
     if (userData.password !== undefined && userData.password.trim()) {
       // Hash password before storing
       updateData.password = await bcrypt.hash(userData.password.trim(), 10);
-      // Store encrypted copy for display (WITH WARNING: NOT FULLY SECURE)
-      updateData.displayPassword = encryptPassword(userData.password.trim());
+      updateData.passwordChangedAt = admin.firestore.FieldValue.serverTimestamp();
+      // A new password clears the forced change unless the caller sets it again
+      updateData.mustChangePassword = userData.mustChangePassword === true;
+    } else if (userData.mustChangePassword !== undefined) {
+      updateData.mustChangePassword = userData.mustChangePassword === true;
     }
 
     // Handle profile image update
@@ -301,7 +335,11 @@ export const updateUser = async (userId, userData, tenantId = null) => {
 
       const tasksAssignedToSnapshot = await tasksAssignedToQuery.get();
       const tasksAssignedToUpdatePromises = tasksAssignedToSnapshot.docs.map(doc =>
-        doc.ref.update({ assigned_to: newUsername, updatedAt: admin.firestore.FieldValue.serverTimestamp() })
+        doc.ref.update({
+          assigned_to: newUsername,
+          ...buildTaskIndexFields({ ...doc.data(), assigned_to: newUsername }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        })
       );
       await Promise.all(tasksAssignedToUpdatePromises);
 
@@ -312,7 +350,11 @@ export const updateUser = async (userId, userData, tenantId = null) => {
 
       const tasksGivenBySnapshot = await tasksGivenByQuery.get();
       const tasksGivenByUpdatePromises = tasksGivenBySnapshot.docs.map(doc =>
-        doc.ref.update({ given_by: newUsername, updatedAt: admin.firestore.FieldValue.serverTimestamp() })
+        doc.ref.update({
+          given_by: newUsername,
+          ...buildTaskIndexFields({ ...doc.data(), given_by: newUsername }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        })
       );
       await Promise.all(tasksGivenByUpdatePromises);
 
@@ -835,11 +877,25 @@ export const addTask = async (taskData, tenantId) => {
       lastCommentAt: null,
       commentCount: 0,
       taskHash: taskHash, // Add unique hash for better duplicate detection
+      // Recurring task linkage (set when generated from a recurring template)
+      recurringTaskId: taskData.recurringTaskId || null,
+      occurrenceDate: taskData.occurrenceDate || null,
+      // Subtasks, dependencies and checklist (checked by TaskStructureService)
+      parentTaskId: taskData.parentTaskId || null,
+      blockedBy: taskData.blockedBy || [],
+      checklist: taskData.checklist || [],
+      // Time tracking: estimate vs. minutes logged through time entries
+      estimatedMinutes: taskData.estimatedMinutes ?? null,
+      trackedMinutes: 0,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    const taskDoc = await adminDb.collection('tasks').add(taskToSave);
+    // Search tokens, priority rank and open flag for the task query API
+    const taskDoc = await adminDb.collection('tasks').add({
+      ...taskToSave,
+      ...buildTaskIndexFields(taskToSave)
+    });
 
     // Log activity
     await logActivity({
@@ -1091,7 +1147,10 @@ export const updateTaskByName = async (taskName, username, updateData, tenantId
     if (taskDocs.length === 1) {
       // Single task - update normally
       const taskDoc = taskDocs[0];
-      await taskDoc.ref.update(dataWithTimestamp);
+      await taskDoc.ref.update({
+        ...dataWithTimestamp,
+        ...buildTaskIndexFields({ ...taskDoc.data(), ...updateData })
+      });
       updatedTasks.push({ id: taskDoc.id, ...taskDoc.data(), ...dataWithTimestamp });
     } else {
       // Multiple duplicate tasks found
@@ -1110,7 +1169,10 @@ export const updateTaskByName = async (taskName, username, updateData, tenantId
         
         // Update the most recent pending task
         const taskToUpdate = pendingTasks[0];
-        await taskToUpdate.ref.update(dataWithTimestamp);
+        await taskToUpdate.ref.update({
+          ...dataWithTimestamp,
+          ...buildTaskIndexFields({ ...taskToUpdate.data(), ...updateData })
+        });
         updatedTasks.push({ id: taskToUpdate.id, ...taskToUpdate.data(), ...dataWithTimestamp });
         
         // Delete other pending duplicates
@@ -1177,6 +1239,7 @@ export const updateTaskStatus = async (username, taskName, newStatus = 'done', t
     if (currentTask.status !== newStatus) {
       const updateData = {
         status: newStatus,
+        isOpen: buildTaskIndexFields({ ...currentTask, status: newStatus }).isOpen,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
       
@@ -1409,15 +1472,41 @@ export const updateTask = async (taskId, updateData, tenantId = null) => {
           }
         }
         dataWithTimestamp.time_spent = timeSpent;
-      } else if (updateData.status === 'pending' && currentTask.status === 'done') {
-        // If changing from done back to pending, clear completion data
+      } else if (updateData.status !== 'done' && currentTask.status === 'done') {
+        // If reopening a done task, clear completion data
         dataWithTimestamp.completed_date = null;
         dataWithTimestamp.time_spent = '';
       }
+
+      // Workflow transitions are kept as a history (from, to, by, at, fields)
+      if (updateData.statusChange) {
+        dataWithTimestamp.statusHistory = admin.firestore.FieldValue.arrayUnion(updateData.statusChange);
+      }
+    }
+
+    // Handle structure updates (validated by TaskStructureService)
+    if (updateData.parentTaskId !== undefined) {
+      dataWithTimestamp.parentTaskId = updateData.parentTaskId || null;
+    }
+
+    if (updateData.blockedBy !== undefined) {
+      dataWithTimestamp.blockedBy = updateData.blockedBy;
+    }
+
+    if (updateData.checklist !== undefined) {
+      dataWithTimestamp.checklist = updateData.checklist;
+    }
+
+    // trackedMinutes is only changed by time entries
+    if (updateData.estimatedMinutes !== undefined) {
+      dataWithTimestamp.estimatedMinutes = updateData.estimatedMinutes;
     }
     
-    // Update the task document
-    await adminDb.collection('tasks').doc(taskId).update(dataWithTimestamp);
+    // Update the task document, keeping its query fields in step
+    await adminDb.collection('tasks').doc(taskId).update({
+      ...dataWithTimestamp,
+      ...buildTaskIndexFields({ ...currentTask, ...dataWithTimestamp })
+    });
     
     // Log the activity
     await logActivity({
@@ -1431,7 +1520,16 @@ export const updateTask = async (taskId, updateData, tenantId = null) => {
       }
     });
     
-    return { success: true, task: { ...currentTask, ...dataWithTimestamp } };
+    return {
+      success: true,
+      task: {
+        ...currentTask,
+        ...dataWithTimestamp,
+        ...(dataWithTimestamp.statusHistory && {
+          statusHistory: [...(currentTask.statusHistory || []), updateData.statusChange]
+        })
+      }
+    };
   } catch (error) {
     throw error;
   }
@@ -1503,7 +1601,11 @@ export const addTaskComment = async (taskId, commentData, tenantId = null) => {
       content: commentData.content,
       timestamp: new Date().toISOString(),
       isEdited: false,
-      editedAt: null
+      editedAt: null,
+      // Threads, mentions and reactions (checked by TaskCommentService)
+      parentId: commentData.parentId || null,
+      mentions: commentData.mentions || [],
+      reactions: {}
     };
 
     const taskData = taskDoc.data();
@@ -1511,7 +1613,7 @@ export const addTaskComment = async (taskId, commentData, tenantId = null) => {
 
     await taskRef.update({
       comments: updatedComments,
-      commentCount: updatedComments.length,
+      commentCount: countVisibleComments(updatedComments),
       lastCommentAt: comment.timestamp,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
@@ -1622,7 +1724,8 @@ export const getTaskComments = async (taskId, tenantId = null) => {
 
 // Edit task comment
 // Multi-tenancy: Verify tenantId if provided
-export const editTaskComment = async (taskId, commentId, newContent, userId, tenantId = null) => {
+// `extra` holds fields resolved from the new content (mentions)
+export const editTaskComment = async (taskId, commentId, newContent, userId, tenantId = null, extra = {}) => {
   try {
     if (!taskId || !commentId || !newContent) {
       throw new Error('Task ID, comment ID, and new content are required');
@@ -1654,8 +1757,13 @@ export const editTaskComment = async (taskId, commentId, newContent, userId, ten
       throw new Error('You can only edit your own comments');
     }
 
+    if (comment.deleted) {
+      throw new Error('Comment not found');
+    }
+
     comments[commentIndex] = {
       ...comment,
+      ...(extra.mentions && { mentions: extra.mentions }),
       content: newContent,
       isEdited: true,
       editedAt: new Date().toISOString()
@@ -1713,16 +1821,29 @@ export const deleteTaskComment = async (taskId, commentId, userId, tenantId = nu
     }
 
     const comment = comments[commentIndex];
-    if (comment.author !== userId) {
+    if (comment.author !== userId || comment.deleted) {
       throw new Error('You can only delete your own comments');
     }
 
-    comments.splice(commentIndex, 1);
+    // A comment with replies is blanked so the thread stays readable; the
+    // blanked parent goes once its last reply is deleted
+    if (comments.some(c => c.parentId === commentId)) {
+      comments[commentIndex] = { ...comment, content: '', mentions: [], reactions: {}, deleted: true };
+    } else {
+      comments.splice(commentIndex, 1);
+
+      const parentIndex = comment.parentId ? comments.findIndex(c => c.id === comment.parentId) : -1;
+      if (parentIndex !== -1 && comments[parentIndex].deleted && !comments.some(c => c.parentId === comment.parentId)) {
+        comments.splice(parentIndex, 1);
+      }
+    }
+
+    const visibleComments = comments.filter(c => !c.deleted);
 
     await taskRef.update({
       comments: comments,
-      commentCount: comments.length,
-      lastCommentAt: comments.length > 0 ? comments[comments.length - 1].timestamp : null,
+      commentCount: visibleComments.length,
+      lastCommentAt: visibleComments.length > 0 ? visibleComments[visibleComments.length - 1].timestamp : null,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
@@ -1742,6 +1863,54 @@ export const deleteTaskComment = async (taskId, commentId, userId, tenantId = nu
   }
 };
 
+// Add or remove a user's reaction on a task comment
+// Runs in a transaction so reactions added at the same time are all kept
+// Multi-tenancy: Verify tenantId if provided
+export const toggleTaskCommentReaction = async (taskId, commentId, emoji, userId, tenantId = null) => {
+  if (!taskId || !commentId || !emoji || !userId) {
+    throw new Error('Task ID, comment ID, reaction and user are required');
+  }
+
+  const taskRef = adminDb.collection('tasks').doc(taskId);
+
+  return await adminDb.runTransaction(async (transaction) => {
+    const taskDoc = await transaction.get(taskRef);
+
+    if (!taskDoc.exists) {
+      throw new Error('Task not found');
+    }
+
+    const taskData = taskDoc.data();
+
+    // Multi-tenancy: Verify task belongs to tenant
+    if (tenantId && taskData.tenantId !== tenantId) {
+      throw new Error('Unauthorized: Task belongs to different organization');
+    }
+
+    const comments = taskData.comments || [];
+    const commentIndex = comments.findIndex(c => c.id === commentId);
+
+    if (commentIndex === -1 || comments[commentIndex].deleted) {
+      throw new Error('Comment not found');
+    }
+
+    const reactions = { ...(comments[commentIndex].reactions || {}) };
+    const users = reactions[emoji] || [];
+
+    if (users.includes(userId)) {
+      reactions[emoji] = users.filter(user => user !== userId);
+      if (reactions[emoji].length === 0) delete reactions[emoji];
+    } else {
+      reactions[emoji] = [...users, userId];
+    }
+
+    comments[commentIndex] = { ...comments[commentIndex], reactions };
+    transaction.update(taskRef, { comments });
+
+    return { success: true, comment: comments[commentIndex] };
+  });
+};
+
 // Save multiple tasks (batch operation)
 // Multi-tenancy: Requires tenantId to assign all tasks to organization
 export const saveTasks = async (tasks, tenantId) => {
@@ -1757,6 +1926,7 @@ export const saveTasks = async (tasks, tenantId) => {
       batch.set(taskRef, {
         tenantId: tenantId, // Multi-tenancy: Assign all tasks to tenant
         ...taskData,
+        ...buildTaskIndexFields(taskData),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
@@ -1931,9 +2101,14 @@ export const getAllUsersDailyTasks = async (filters = {}) => {
     // Get all daily tasks (don't filter by username for admin)
     const allFilters = { ...filters };
     delete allFilters.username; // Remove username filter to get all users
+    delete allFilters.usernames;
     
-    const dailyTasks = await getDailyTasks(allFilters);
-    
+    let dailyTasks = await getDailyTasks(allFilters);
+
+    // Optionally limit to a set of users (a team, or a team lead's reports)
+    if (Array.isArray(filters.usernames)) {
+      dailyTasks = dailyTasks.filter(task => filters.usernames.includes(task.username));
+    }
     
     const summary = {
       totalEntries: dailyTasks.length,
@@ -3063,6 +3238,27 @@ export const loadAttendanceRecordsPaginated = async (filters = {}, pageSize = 30
 // Get today's attendance record for a user
 // Multi-tenancy: Filter by tenantId if provided
 export const getTodayAttendance = async (username, tenantId = null) => {
+  // Use India timezone for consistency with markAttendance
+  return getAttendanceOnDate(username, getIndiaDate(), tenantId);
+};
+
+// Get the attendance record a clock-out now closes: the day before's while
+// its overnight shift is still open, otherwise today's
+// Multi-tenancy: Filter by tenantId if provided
+export const getClockOutAttendance = async (username, tenantId = null) => {
+  const now = { date: getIndiaDate(), time: getIndiaTime() };
+  const previousDate = addDays(now.date, -1);
+  const previous = await getAttendanceOnDate(username, previousDate, tenantId);
+
+  if (previous?.checkIn && !previous.checkOut && getClockOutDate(previous.shift, now) === previousDate) {
+    return previous;
+  }
+
+  return getTodayAttendance(username, tenantId);
+};
+
+// Get a user's attendance record for a date (YYYY-MM-DD)
+const getAttendanceOnDate = async (username, date, tenantId = null) => {
   try {
     // Validate username parameter
     if (!username || typeof username !== 'string' || username.trim() === '') {
@@ -3070,13 +3266,11 @@ export const getTodayAttendance = async (username, tenantId = null) => {
     }
 
     const trimmedUsername = username.trim();
-    // Use India timezone for consistency with markAttendance
-    const today = getIndiaDate();
 
     let attendanceQuery = adminDb
       .collection('attendance')
       .where('username', '==', trimmedUsername)
-      .where('date', '==', today);
+      .where('date', '==', date);
 
     // Multi-tenancy: Filter by tenantId if provided
     if (tenantId) {
@@ -3122,7 +3316,12 @@ export const markAttendance = async (attendanceData, tenantId) => {
     // Check if attendance already exists for today within tenant
     const existingAttendance = await getTodayAttendance(trimmedUsername, tenantId);
 
-    if (existingAttendance) {
+    // Half-day leave leaves the other half to work, so clocking in fills in its record
+    const halfDayLeave = existingAttendance?.leaveRequestId &&
+      existingAttendance.status === 'half-day' &&
+      !existingAttendance.checkIn;
+
+    if (existingAttendance && !halfDayLeave) {
       throw new Error('Attendance already marked for today');
     }
 
@@ -3132,21 +3331,37 @@ export const markAttendance = async (attendanceData, tenantId) => {
     const deadlineMinute = settings.deadlineMinute || 0;
     const halfDayEnabled = settings.halfDayEnabled !== false;
 
-    // Check if marking attendance after deadline
-    const currentHour = currentDateTime.getHours();
-    const currentMinute = currentDateTime.getMinutes();
-    const currentTimeInMinutes = currentHour * 60 + currentMinute;
-    const deadlineInMinutes = deadlineHour * 60 + deadlineMinute;
-    const isAfterDeadline = currentTimeInMinutes >= deadlineInMinutes;
-
-    // Determine status based on time and settings
-    // After deadline = half-day (if enabled), Before deadline = present
-    const attendanceStatus = (isAfterDeadline && halfDayEnabled) ? 'half-day' : 'present';
-
     // Get user ID for permanent reference
     const user = await getUserByUsername(trimmedUsername, tenantId);
     const user_id = user?.id || null;
 
+    // Users on a shift are judged against it; everyone else against the deadline
+    const roster = await loadShiftRoster(tenantId, settings);
+    const shift = resolveShift(roster, user || { username: trimmedUsername }, today);
+
+    let isAfterDeadline;
+    let halfDayByTime;
+    let lateByMinutes = null;
+
+    if (shift) {
+      const checkInResult = evaluateCheckIn(shift, currentTime);
+      isAfterDeadline = checkInResult.markedLate;
+      halfDayByTime = checkInResult.halfDay;
+      lateByMinutes = checkInResult.lateByMinutes;
+    } else {
+      // Check if marking attendance after deadline
+      const currentHour = currentDateTime.getHours();
+      const currentMinute = currentDateTime.getMinutes();
+      const currentTimeInMinutes = currentHour * 60 + currentMinute;
+      const deadlineInMinutes = deadlineHour * 60 + deadlineMinute;
+      isAfterDeadline = currentTimeInMinutes >= deadlineInMinutes;
+      halfDayByTime = isAfterDeadline;
+    }
+
+    // Determine status based on time and settings
+    // After deadline (or half the shift) = half-day (if enabled), otherwise present
+    const attendanceStatus = (halfDayByTime && halfDayEnabled) ? 'half-day' : 'present';
+
     // Prepare attendance record
     const attendanceRecord = {
       tenantId: tenantId, // Multi-tenancy: Assign attendance to tenant
@@ -3154,18 +3369,29 @@ export const markAttendance = async (attendanceData, tenantId) => {
       user_id: user_id, // User ID (permanent reference)
       date: today,
       workType: attendanceData.workType || 'office', // 'office' or 'wfh'
-      status: attendanceStatus,
+      status: halfDayLeave ? 'half-day' : attendanceStatus,
       checkIn: currentTime,
       checkOut: null,
       totalHours: null,
       notes: attendanceData.notes || '',
       location: attendanceData.location || '',
+      officeSite: attendanceData.officeSite || null, // Office site matched at clock-in, with the distance to it
       markedLate: isAfterDeadline, // Flag to indicate late marking
+      shift: shift ? toShiftSnapshot(shift) : null, // Shift as it was at clock-in
+      lateByMinutes,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
-    
-    const attendanceDoc = await adminDb.collection('attendance').add(attendanceRecord);
+
+    let attendanceDoc;
+    if (halfDayLeave) {
+      // Keep the leave fields and when the leave record was created
+      const { createdAt, ...checkInData } = attendanceRecord;
+      attendanceDoc = adminDb.collection('attendance').doc(existingAttendance.id);
+      await attendanceDoc.update(checkInData);
+    } else {
+      attendanceDoc = await adminDb.collection('attendance').add(attendanceRecord);
+    }
     
     // Log activity
     await logActivity({
@@ -3177,18 +3403,26 @@ export const markAttendance = async (attendanceData, tenantId) => {
         workType: attendanceData.workType,
         checkIn: currentTime,
         status: attendanceStatus,
-        markedLate: isAfterDeadline
+        markedLate: isAfterDeadline,
+        officeSite: attendanceData.officeSite?.name || null
       }
     });
 
     const deadlineTime = `${String(deadlineHour).padStart(2, '0')}:${String(deadlineMinute).padStart(2, '0')}`;
 
+    let message = 'Attendance marked successfully';
+    if (shift && attendanceStatus === 'half-day') {
+      message = `Marked as half-day (clocked in after half of the ${shift.name} shift)`;
+    } else if (shift && isAfterDeadline) {
+      message = `Marked late (${lateByMinutes} minutes after the ${shift.name} shift started)`;
+    } else if (isAfterDeadline) {
+      message = `Marked as half-day (attendance after ${deadlineTime} deadline)`;
+    }
+
     return {
       id: attendanceDoc.id,
       ...attendanceRecord,
-      message: isAfterDeadline
-        ? `Marked as half-day (attendance after ${deadlineTime} deadline)`
-        : 'Attendance marked successfully'
+      message
     };
   } catch (error) {
     throw error;
@@ -3222,24 +3456,27 @@ export const updateAttendanceRecord = async (attendanceId, updateData, tenantId
     if (updateData.checkOut) {
       dataToUpdate.checkOut = updateData.checkOut;
 
-      // Calculate total hours if check-in exists
+      // Calculate total hours if check-in exists (check-out on the next day wraps around)
       if (currentRecord.checkIn) {
-        const checkInTime = new Date(`1970-01-01T${currentRecord.checkIn}:00`);
-        const checkOutTime = new Date(`1970-01-01T${updateData.checkOut}:00`);
-
-        let totalMinutes = (checkOutTime - checkInTime) / (1000 * 60);
-
-        // Handle case where check-out is next day
-        if (totalMinutes < 0) {
-          totalMinutes += 24 * 60; // Add 24 hours
-        }
+        const totalMinutes = getWorkedMinutes({ breakMinutes: 0 }, currentRecord.checkIn, updateData.checkOut);
 
         const hours = Math.floor(totalMinutes / 60);
         const minutes = Math.round(totalMinutes % 60);
 
         dataToUpdate.totalHours = `${hours}:${minutes.toString().padStart(2, '0')}`;
 
-      } else {
+        // On a shift, the hours worked less the break decide between a full and a half day
+        // (leave records and explicit status changes keep their status)
+        if (currentRecord.shift && !currentRecord.leaveRequestId && updateData.status === undefined &&
+            ['present', 'half-day'].includes(currentRecord.status)) {
+          const workedMinutes = getWorkedMinutes(currentRecord.shift, currentRecord.checkIn, updateData.checkOut);
+          const settings = currentRecord.tenantId ? await getAttendanceSettings(currentRecord.tenantId) : {};
+
+          dataToUpdate.workedMinutes = workedMinutes;
+          if (settings.halfDayEnabled !== false) {
+            dataToUpdate.status = meetsMinimumHours(currentRecord.shift, workedMinutes) ? 'present' : 'half-day';
+          }
+        }
       }
     }
     
@@ -3270,33 +3507,90 @@ export const updateAttendanceRecord = async (attendanceId, updateData, tenantId
   }
 };
 
+// Load what decides each user's shift: the organization's shifts, shift
+// assignments, teams and default shift (from the attendance settings)
+const loadShiftRoster = async (tenantId, settings = null) => {
+  if (!tenantId) {
+    return { shifts: [], assignments: [], teams: [], defaultShiftId: null };
+  }
+
+  const [shiftSnapshot, assignmentSnapshot, teamSnapshot, attendanceSettings] = await Promise.all([
+    adminDb.collection('shifts').where('tenantId', '==', tenantId).get(),
+    adminDb.collection('shiftAssignments').where('tenantId', '==', tenantId).get(),
+    adminDb.collection('teams').where('tenantId', '==', tenantId).get(),
+    settings || getAttendanceSettings(tenantId)
+  ]);
+
+  const toObjects = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+  return {
+    shifts: toObjects(shiftSnapshot),
+    assignments: toObjects(assignmentSnapshot),
+    teams: toObjects(teamSnapshot),
+    defaultShiftId: attendanceSettings.defaultShiftId || null
+  };
+};
+
+// Load an organization's weekly offs and its holidays in a date range
+// (without a stored calendar, Sundays are off)
+const loadHolidayCalendar = async (tenantId, startDate, endDate) => {
+  if (!tenantId) {
+    return { weeklyOffs: DEFAULT_WEEKLY_OFFS, holidays: [] };
+  }
+
+  const [calendarDoc, holidaySnapshot] = await Promise.all([
+    adminDb.collection('holidayCalendars').doc(tenantId).get(),
+    adminDb
+      .collection('holidays')
+      .where('tenantId', '==', tenantId)
+      .where('date', '>=', startDate)
+      .where('date', '<=', endDate)
+      .get()
+  ]);
+
+  return {
+    weeklyOffs: calendarDoc.exists ? calendarDoc.data().weeklyOffs : DEFAULT_WEEKLY_OFFS,
+    holidays: holidaySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+  };
+};
+
 // Get attendance statistics for a user or all users
 export const getAttendanceStats = async (filters = {}) => {
   try {
     // Validate filters
     const validatedFilters = {};
+    if (filters.tenantId) validatedFilters.tenantId = filters.tenantId;
     if (filters.username && typeof filters.username === 'string' && filters.username.trim()) {
       validatedFilters.username = filters.username.trim();
     }
     if (filters.startDate) validatedFilters.startDate = filters.startDate;
     if (filters.endDate) validatedFilters.endDate = filters.endDate;
 
-    const records = await loadAttendanceRecords(validatedFilters);
+    let records = await loadAttendanceRecords(validatedFilters);
 
-    // Calculate total days in date range (only up to today, excluding future dates)
+    // Calculate total days in date range: the working days on the organization's
+    // holiday calendar, only up to today (excluding future dates)
     let totalDays = 0;
     if (filters.startDate && filters.endDate) {
-      const start = new Date(filters.startDate);
-      const end = new Date(filters.endDate);
-      const today = new Date(getIndiaDate()); // Get today's date in India timezone
+      const start = filters.startDate.slice(0, 10);
+      const today = getIndiaDate(); // Get today's date in India timezone
 
       // Use the earlier of endDate or today to avoid counting future days
-      const effectiveEnd = end < today ? end : today;
+      const effectiveEnd = filters.endDate.slice(0, 10) < today ? filters.endDate.slice(0, 10) : today;
 
       // Only calculate if start date is not in the future
-      if (start <= today) {
-        const diffTime = Math.abs(effectiveEnd - start);
-        totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1; // +1 to include both start and end dates
+      if (start <= effectiveEnd) {
+        const calendar = await loadHolidayCalendar(filters.tenantId, start, effectiveEnd);
+        const user = validatedFilters.username
+          ? await getUserByUsername(validatedFilters.username, filters.tenantId)
+          : null;
+        const workingDays = new Set(getWorkingDays(calendar, start, effectiveEnd, user?.location || null));
+
+        totalDays = workingDays.size;
+        // Days off (e.g. a Sunday marked present) don't count towards the rate
+        records = records.filter(r => workingDays.has(r.date));
+      } else {
+        records = [];
       }
     } else {
       // If no date range specified, use records count (backward compatibility)
@@ -3306,10 +3600,11 @@ export const getAttendanceStats = async (filters = {}) => {
     const presentDays = records.filter(r => r.status === 'present').length;
     const halfDays = records.filter(r => r.status === 'half-day').length;
     const markedAbsentDays = records.filter(r => r.status === 'absent').length;
+    const leaveDays = records.filter(r => r.status === 'leave').length;
 
-    // Calculate actual absent days: total days (up to today) - present days - half days
+    // Calculate actual absent days: total days (up to today) - present days - half days - leave
     // This includes both marked absent and days with no record, but ONLY for past dates
-    const actualAbsentDays = totalDays - presentDays - halfDays;
+    const actualAbsentDays = Math.max(totalDays - presentDays - halfDays - leaveDays, 0);
 
     const stats = {
       totalDays: totalDays,
@@ -3317,6 +3612,8 @@ export const getAttendanceStats = async (filters = {}) => {
       halfDays: halfDays,
       absentDays: actualAbsentDays, // Total absent including unmarked days
       markedAbsentDays: markedAbsentDays, // Only explicitly marked absent
+      leaveDays: leaveDays,
+      lateDays: records.filter(r => r.markedLate).length, // Clocked in after the deadline or shift grace
       wfhDays: records.filter(r => r.workType === 'wfh' && (r.status === 'present' || r.status === 'half-day')).length,
       officeDays: records.filter(r => r.workType === 'office' && (r.status === 'present' || r.status === 'half-day')).length,
       attendanceRate: 0
@@ -3406,18 +3703,63 @@ export const getAllUsersAttendanceSummary = async (filters = {}) => {
 
 // Mark absent for users who haven't marked attendance
 // Multi-tenancy: Pass tenantId to scope to organization
-export const markAbsentForMissingAttendance = async (targetDate = null, tenantId = null) => {
+// Users on a shift are only marked once their shift has ended. Scheduled runs
+// also wait for the organization's auto-absent time for users without a shift,
+// and do nothing when the organization turned auto-absent off.
+export const markAbsentForMissingAttendance = async (targetDate = null, tenantId = null, { scheduled = false } = {}) => {
   try {
     const date = targetDate || new Date().toISOString().split('T')[0];
+    const now = { date: getIndiaDate(), time: getIndiaTime() };
+
+    const settings = tenantId ? await getAttendanceSettings(tenantId) : {};
+    if (scheduled && settings.autoMarkAbsent === false) {
+      return [];
+    }
+
     const users = await getUsers(tenantId);
     const absentRecords = [];
 
+    // Nobody is absent on a weekly off or a holiday at their location
+    const calendar = await loadHolidayCalendar(tenantId, date, date);
+    const roster = await loadShiftRoster(tenantId, settings);
+    const autoMarkAbsentTime = settings.autoMarkAbsentTime || '23:59';
+
+    // Users on approved leave that day are never marked absent
+    const onLeave = new Set();
+    if (tenantId) {
+      const leaveSnapshot = await adminDb
+        .collection('leaveRequests')
+        .where('tenantId', '==', tenantId)
+        .where('status', '==', 'approved')
+        .where('startDate', '<=', date)
+        .orderBy('startDate', 'desc')
+        .get();
+
+      leaveSnapshot.docs
+        .map(doc => doc.data())
+        .filter(request => request.endDate >= date && (request.dates || []).includes(date))
+        .forEach(request => onLeave.add(request.username));
+    }
+
     for (const user of users) {
       // Validate user has proper username
       if (!user.username || typeof user.username !== 'string' || !user.username.trim()) {
         continue;
       }
 
+      if (onLeave.has(user.username.trim()) || getDayOff(calendar, date, user.location || null)) {
+        continue;
+      }
+
+      // Too early to tell while the user's shift is still on
+      const shift = resolveShift(roster, user, date);
+      const cutoffPassed = shift
+        ? hasShiftEnded(shift, date, now)
+        : !scheduled || `${now.date} ${now.time}` >= `${date} ${autoMarkAbsentTime}`;
+      if (!cutoffPassed) {
+        continue;
+      }
+
       // Check if user has attendance for the date
       let attendanceQuery = adminDb
         .collection('attendance')
@@ -3533,7 +3875,10 @@ export const getAttendanceSettings = async (tenantId) => {
         deadlineMinute: 0,
         autoMarkAbsent: true,
         autoMarkAbsentTime: '23:59', // End of day
-        halfDayEnabled: true
+        halfDayEnabled: true,
+        defaultShiftId: null, // Shift for users without one assigned (null: the deadline applies)
+        requireOfficeSite: false, // Refuse office clock-ins at none of the organization's office sites
+        regularizationMonthlyLimit: 3 // Attendance corrections each user may request per month
       };
     }
 
@@ -3727,7 +4072,12 @@ export const exportAttendanceData = async (filters = {}) => {
     if (filters.endDate) validatedFilters.endDate = filters.endDate;
     if (filters.tenantId) validatedFilters.tenantId = filters.tenantId; // Multi-tenancy: Include tenantId
 
-    const records = await loadAttendanceRecords(validatedFilters);
+    let records = await loadAttendanceRecords(validatedFilters);
+
+    // Limit to a set of users (e.g. a team lead's reports)
+    if (Array.isArray(filters.usernames)) {
+      records = records.filter(record => filters.usernames.includes(record.username));
+    }
     
     // Convert to CSV format
     const csvHeaders = [
@@ -3755,6 +4105,7 @@ export const exportAttendanceData = async (filters = {}) => {
     return {
       headers: csvHeaders,
       rows: csvRows,
+      records,
       totalRecords: records.length
     };
   } catch (error) {
@@ -4046,66 +4397,39 @@ export const getUserByEmail = async (email, tenantId = null) => {
   }
 };
 
-// Simple encryption for password display (NOT SECURE - FOR DISPLAY ONLY)
-// WARNING: This is not cryptographically secure, it's just for obfuscation
-const encryptPassword = (password) => {
-  try {
-    const crypto = require('crypto');
-    const algorithm = 'aes-256-cbc';
-    const key = Buffer.from(process.env.JWT_SECRET || 'default-key-32-characters-long!!', 'utf-8').slice(0, 32);
-    const iv = Buffer.alloc(16, 0); // Fixed IV for simplicity (NOT SECURE)
-
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(password, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
-  } catch (error) {
-    return null;
-  }
-};
-
-const decryptPassword = (encrypted) => {
-  try {
-    if (!encrypted) return null;
-    const crypto = require('crypto');
-    const algorithm = 'aes-256-cbc';
-    const key = Buffer.from(process.env.JWT_SECRET || 'default-key-32-characters-long!!', 'utf-8').slice(0, 32);
-    const iv = Buffer.alloc(16, 0); // Fixed IV for simplicity (NOT SECURE)
-
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  } catch (error) {
-    return null;
-  }
-};
-
 // Generate password reset token
 export const generatePasswordResetToken = () => {
   // Generate a random token
-  const crypto = require('crypto');
   return crypto.randomBytes(32).toString('hex');
 };
 
+// Reset tokens are stored as a SHA-256 hash, so the stored value cannot be
+// used as a link; the tokens are random enough that no salt is needed
+const hashPasswordResetToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 // Save password reset token to user document
-export const savePasswordResetToken = async (userId, token, tenantId = null) => {
+// Admin-issued set-password links pass a longer expiresInMs and issuedBy
+export const savePasswordResetToken = async (userId, token, tenantId = null, options = {}) => {
   try {
-    // Token expires in 1 hour
-    const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour from now
+    const { expiresInMs = 60 * 60 * 1000, issuedBy = null } = options; // 1 hour by default
+    const expiresAt = new Date(Date.now() + expiresInMs);
 
     await adminDb.collection('users').doc(userId).update({
-      resetPasswordToken: token,
+      resetPasswordToken: hashPasswordResetToken(token),
       resetPasswordExpires: admin.firestore.Timestamp.fromDate(expiresAt),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
     // Log activity
     await logActivity({
-      action: 'password_reset_requested',
+      action: issuedBy ? 'password_link_issued' : 'password_reset_requested',
       userId: userId,
       tenantId: tenantId,
       details: {
+        issuedBy,
+        expiresAt: expiresAt.toISOString(),
         timestamp: new Date().toISOString()
       }
     });
@@ -4121,7 +4445,7 @@ export const verifyPasswordResetToken = async (token) => {
   try {
     const snapshot = await adminDb
       .collection('users')
-      .where('resetPasswordToken', '==', token)
+      .where('resetPasswordToken', '==', hashPasswordResetToken(token))
       .limit(1)
       .get();
 
@@ -4156,7 +4480,8 @@ export const verifyPasswordResetToken = async (token) => {
       valid: true,
       userId: userDoc.id,
       username: userData.username,
-      email: userData.email
+      email: userData.email,
+      tenantId: userData.tenantId || null
     };
   } catch (error) {
     throw error;
@@ -4176,9 +4501,11 @@ export const resetPasswordWithToken = async (token, newPassword) => {
     // Hash the new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-    // Update user's password and clear reset token
+    // Update user's password and clear reset token (links are single use)
     await adminDb.collection('users').doc(verification.userId).update({
       password: hashedPassword,
+      passwordChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      mustChangePassword: false,
       resetPasswordToken: admin.firestore.FieldValue.delete(),
       resetPasswordExpires: admin.firestore.FieldValue.delete(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -4188,6 +4515,7 @@ export const resetPasswordWithToken = async (token, newPassword) => {
     await logActivity({
       action: 'password_reset_completed',
       userId: verification.username,
+      tenantId: verification.tenantId || null,
       details: {
         timestamp: new Date().toISOString()
       }
@@ -4324,6 +4652,3 @@ export default {
   logActivity,
   testFirebaseService
 };
-
-// Export decrypt function for password display
-export { decryptPassword };
\ No newline at end of file
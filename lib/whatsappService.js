@@ -1,94 +1,36 @@
 /**
  * WhatsApp Notification Service
- * Sends WFH attendance notifications to Anas bhai
+ * Sends messages through the WhatsApp Cloud API and reads the messages its
+ * webhook receives
+ *
+ * Which events send which template to whom is set per organization (see
+ * src/services/whatsapp.service.js); commands users send are handled in
+ * src/services/whatsappCommand.service.js. WHATSAPP_API_URL points the client
+ * at another server, such as the local mock (npm run whatsapp-mock).
  */
 
-/**
- * Send WhatsApp message for WFH attendance
- * Uses WhatsApp Business API or web.whatsapp.com link
- */
-export const sendWFHAttendanceNotification = async (employeeData) => {
-  try {
-    const { username, workType, clockIn, clockOut, date, status } = employeeData;
-
-    // Only send for WFH attendance
-    if (workType !== 'wfh') {
-      return { success: false, reason: 'Not a WFH attendance' };
-    }
-
-    // Anas bhai's WhatsApp number (replace with actual number)
-    const ANAS_WHATSAPP_NUMBER = process.env.ANAS_WHATSAPP_NUMBER || '+919876543210';
-
-    // Create message content
-    const messageType = clockOut ? 'Clock Out' : 'Clock In';
-    const time = clockOut || clockIn;
-    const dateFormatted = new Date(date).toLocaleDateString('en-IN');
-
-    const message = formatWFHMessage({
-      employee: username,
-      messageType,
-      time,
-      date: dateFormatted,
-      status
-    });
-
-    // Method 1: Try WhatsApp Business API (if configured)
-    if (process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID) {
-      const apiResult = await sendViaWhatsAppAPI(ANAS_WHATSAPP_NUMBER, message);
-      if (apiResult.success) {
-        return apiResult;
-      }
-    }
-
-    // Method 2: Fallback to web.whatsapp.com link (opens in browser)
-    const webWhatsAppResult = await generateWhatsAppWebLink(ANAS_WHATSAPP_NUMBER, message);
+import crypto from 'crypto';
 
-    return {
-      success: true,
-      method: 'web_link',
-      url: webWhatsAppResult.url,
-      message: 'WhatsApp web link generated successfully',
-      data: {
-        employee: username,
-        messageType,
-        time,
-        date: dateFormatted
-      }
-    };
+const DEFAULT_API_URL = 'https://graph.facebook.com/v17.0';
 
-  } catch (error) {
-    console.error('Error sending WhatsApp notification:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
+const getApiUrl = () => (process.env.WHATSAPP_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
 
 /**
- * Format WFH attendance message for WhatsApp
+ * Whether the Cloud API credentials are set
  */
-const formatWFHMessage = ({ employee, messageType, time, date, status }) => {
-  const emoji = messageType === 'Clock In' ? '🟢' : '🔴';
-  const statusEmoji = status === 'present' ? '✅' : status === 'half-day' ? '🟡' : '❌';
-
-  return `${emoji} *WFH ${messageType} Alert*
-
-👤 *Employee:* ${employee}
-🕒 *Time:* ${time}
-📅 *Date:* ${date}
-🏠 *Work Mode:* Work From Home
-${statusEmoji} *Status:* ${status}
-
-_Automated notification from Logam Task Manager_`;
-};
+export const isWhatsAppConfigured = () => (
+  !!(process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID)
+);
 
 /**
- * Send via WhatsApp Business API
+ * Post a message to the Cloud API
+ * @param {string} phoneNumber - Recipient (international format)
+ * @param {Object} content - { type, text } or { type, template }
+ * @returns {Promise<Object>} { success, method: 'api', messageId } or { success: false, error }
  */
-const sendViaWhatsAppAPI = async (phoneNumber, message) => {
+const postMessage = async (phoneNumber, content) => {
   try {
-    const response = await fetch(`https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+    const response = await fetch(`${getApiUrl()}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${process.env.WHATSAPP_API_TOKEN}`,
@@ -96,25 +38,25 @@ const sendViaWhatsAppAPI = async (phoneNumber, message) => {
       },
       body: JSON.stringify({
         messaging_product: 'whatsapp',
-        to: phoneNumber.replace('+', ''),
-        type: 'text',
-        text: {
-          body: message
-        }
+        to: phoneNumber.replace(/[^0-9]/g, ''),
+        ...content
       })
     });
 
-    if (response.ok) {
-      const result = await response.json();
-      return {
-        success: true,
-        method: 'api',
-        messageId: result.messages[0].id,
-        message: 'WhatsApp message sent successfully via API'
-      };
-    } else {
-      throw new Error(`WhatsApp API error: ${response.status}`);
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // The Cloud API explains refusals (e.g. a template that isn't approved)
+      const detail = result.error?.message ? ` - ${result.error.message}` : '';
+      throw new Error(`WhatsApp API error: ${response.status}${detail}`);
     }
+
+    return {
+      success: true,
+      method: 'api',
+      messageId: result.messages?.[0]?.id || null,
+      message: 'WhatsApp message sent successfully via API'
+    };
   } catch (error) {
     console.warn('WhatsApp API failed:', error);
     return { success: false, error: error.message };
@@ -122,153 +64,122 @@ const sendViaWhatsAppAPI = async (phoneNumber, message) => {
 };
 
 /**
- * Generate WhatsApp web link as fallback
+ * Send a text message to a user's phone through the WhatsApp Business API
+ * Used for the notifications users turned WhatsApp on for and for replies to
+ * their commands; without the API there is no one to open a web link, so
+ * nothing is sent.
  */
-const generateWhatsAppWebLink = async (phoneNumber, message) => {
-  const encodedMessage = encodeURIComponent(message);
-  const cleanNumber = phoneNumber.replace(/[^0-9]/g, '');
-
-  const url = `https://wa.me/${cleanNumber}?text=${encodedMessage}`;
-
-  // Optional: Auto-open the link if in browser environment
-  if (typeof window !== 'undefined' && process.env.NODE_ENV !== 'production') {
-    // Only in development mode for testing
-    console.log('WhatsApp link generated:', url);
+export const sendWhatsAppMessage = async (phoneNumber, message) => {
+  if (!isWhatsAppConfigured()) {
+    return { success: false, reason: 'WhatsApp API not configured' };
+  }
+  if (!phoneNumber) {
+    return { success: false, reason: 'No phone number' };
   }
 
-  return { url, success: true };
+  return await postMessage(phoneNumber, {
+    type: 'text',
+    text: {
+      body: message
+    }
+  });
 };
 
 /**
- * Send bulk WFH notifications (for multiple employees)
+ * Send an approved message template
+ * WhatsApp only delivers free text within 24 hours of the recipient's last
+ * message; messages the app starts have to use an approved template.
+ * @param {string} phoneNumber - Recipient (international format)
+ * @param {Object} template - { name, language, parameters } with the
+ *   parameters in the template's {{1}}, {{2}}, ... order
+ * @returns {Promise<Object>} As sendWhatsAppMessage
  */
-export const sendBulkWFHNotifications = async (employeeDataList) => {
-  const results = [];
-
-  for (const employeeData of employeeDataList) {
-    if (employeeData.workType === 'wfh') {
-      const result = await sendWFHAttendanceNotification(employeeData);
-      results.push({
-        employee: employeeData.username,
-        ...result
-      });
-
-      // Add small delay between messages to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+export const sendTemplateMessage = async (phoneNumber, { name, language, parameters = [] }) => {
+  if (!isWhatsAppConfigured()) {
+    return { success: false, reason: 'WhatsApp API not configured' };
+  }
+  if (!phoneNumber) {
+    return { success: false, reason: 'No phone number' };
   }
 
-  return {
-    success: true,
-    totalProcessed: results.length,
-    results
-  };
+  return await postMessage(phoneNumber, {
+    type: 'template',
+    template: {
+      name,
+      language: { code: language },
+      ...(parameters.length > 0 && {
+        components: [{
+          type: 'body',
+          parameters: parameters.map(text => ({ type: 'text', text }))
+        }]
+      })
+    }
+  });
 };
 
 /**
- * Send daily WFH summary to Anas bhai
+ * Check the X-Hub-Signature-256 header of a webhook call
+ * The Cloud API signs the raw request body with the app secret
+ * (WHATSAPP_APP_SECRET); without a secret nothing is accepted.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Header value ("sha256=<hex>")
+ * @returns {boolean} Whether the body was signed with the app secret
  */
-export const sendDailyWFHSummary = async (date, wfhEmployees) => {
-  try {
-    const ANAS_WHATSAPP_NUMBER = process.env.ANAS_WHATSAPP_NUMBER || '+919876543210';
-
-    const dateFormatted = new Date(date).toLocaleDateString('en-IN');
-    const totalWFH = wfhEmployees.length;
-
-    let message = `📊 *Daily WFH Summary*\n📅 *Date:* ${dateFormatted}\n👥 *Total WFH Employees:* ${totalWFH}\n\n`;
-
-    if (totalWFH > 0) {
-      message += '*WFH Employees Today:*\n';
-      wfhEmployees.forEach((employee, index) => {
-        const status = employee.status === 'present' ? '✅' : employee.status === 'half-day' ? '🟡' : '❌';
-        const clockInfo = employee.clockIn ?
-          (employee.clockOut ? `${employee.clockIn} - ${employee.clockOut}` : `${employee.clockIn} (In Progress)`) :
-          'Not clocked in';
-
-        message += `${index + 1}. ${status} *${employee.username}*\n   ⏰ ${clockInfo}\n`;
-      });
-    } else {
-      message += '🏢 *No WFH employees today*\n';
-    }
-
-    message += '\n_Daily summary from Logam Task Manager_';
-
-    // Send the summary
-    if (process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID) {
-      const apiResult = await sendViaWhatsAppAPI(ANAS_WHATSAPP_NUMBER, message);
-      if (apiResult.success) {
-        return apiResult;
-      }
-    }
+export const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
 
-    // Fallback to web link
-    const webResult = await generateWhatsAppWebLink(ANAS_WHATSAPP_NUMBER, message);
-    return {
-      success: true,
-      method: 'web_link',
-      url: webResult.url,
-      message: 'Daily WFH summary link generated'
-    };
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(signature.slice('sha256='.length), 'hex');
 
-  } catch (error) {
-    console.error('Error sending daily WFH summary:', error);
-    return { success: false, error: error.message };
-  }
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
 };
 
 /**
- * Configure WhatsApp settings
+ * Answer the Cloud API's subscription check (GET with hub.* parameters)
+ * @param {Object} query - Request query
+ * @returns {string|null} The challenge to echo back, or null when the verify
+ *   token doesn't match WHATSAPP_VERIFY_TOKEN
  */
-export const configureWhatsAppSettings = (settings) => {
-  // Store settings in environment or database
-  const config = {
-    anasWhatsAppNumber: settings.anasWhatsAppNumber || process.env.ANAS_WHATSAPP_NUMBER,
-    enableWFHNotifications: settings.enableWFHNotifications !== false,
-    enableDailySummary: settings.enableDailySummary !== false,
-    summaryTime: settings.summaryTime || '18:00', // 6 PM
-    apiToken: settings.apiToken || process.env.WHATSAPP_API_TOKEN,
-    phoneNumberId: settings.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID
-  };
+export const getWebhookChallenge = (query) => {
+  const token = process.env.WHATSAPP_VERIFY_TOKEN;
+  if (!token || query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== token) {
+    return null;
+  }
 
-  return config;
+  return query['hub.challenge'] || '';
 };
 
 /**
- * Test WhatsApp connection
+ * Get the text messages out of a webhook payload
+ * Delivery statuses and other message types (images, locations, ...) are left out.
+ * @param {Object} payload - Webhook body
+ * @returns {Array<Object>} { id, from (international format), name, text, timestamp }
  */
-export const testWhatsAppConnection = async () => {
-  try {
-    const testMessage = '🧪 *Test Message*\nWhatsApp integration is working correctly!\n\n_Test from Logam Task Manager_';
-    const ANAS_WHATSAPP_NUMBER = process.env.ANAS_WHATSAPP_NUMBER || '+919876543210';
-
-    if (process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID) {
-      const result = await sendViaWhatsAppAPI(ANAS_WHATSAPP_NUMBER, testMessage);
-      return {
-        success: result.success,
-        method: 'api',
-        message: result.success ? 'WhatsApp API test successful' : 'WhatsApp API test failed'
-      };
-    } else {
-      const webResult = await generateWhatsAppWebLink(ANAS_WHATSAPP_NUMBER, testMessage);
-      return {
-        success: true,
-        method: 'web_link',
-        url: webResult.url,
-        message: 'WhatsApp web link generated for testing'
-      };
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+export const getInboundMessages = (payload) => {
+  const values = (payload?.entry || [])
+    .flatMap(entry => entry.changes || [])
+    .filter(change => change.field === 'messages')
+    .map(change => change.value || {});
+
+  return values.flatMap(value => (value.messages || [])
+    .filter(message => message.type === 'text' && message.text?.body)
+    .map(message => ({
+      id: message.id,
+      from: `+${message.from}`,
+      name: value.contacts?.find(contact => contact.wa_id === message.from)?.profile?.name || null,
+      text: message.text.body,
+      timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : null
+    })));
 };
 
 export default {
-  sendWFHAttendanceNotification,
-  sendBulkWFHNotifications,
-  sendDailyWFHSummary,
-  configureWhatsAppSettings,
-  testWhatsAppConnection
-};
\ No newline at end of file
+  isWhatsAppConfigured,
+  sendWhatsAppMessage,
+  sendTemplateMessage,
+  verifyWebhookSignature,
+  getWebhookChallenge,
+  getInboundMessages
+};
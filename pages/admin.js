@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import UserManagement from '../components/admin/UserManagement';
+import AuditLog from '../components/admin/AuditLog';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Button from '../components/ui/Button';
 import Calendar from '../components/calendar/Calendar';
 import RecurringTaskForm from '../components/tasks/RecurringTaskForm';
+import useRecurringTasks from '../src/features/recurring-tasks/hooks/useRecurringTasks';
+import { authApi } from '../src/api/auth.api';
 import UserPerformanceDetail from '../components/admin/UserPerformanceDetail';
 import TaskTable from '../components/TaskTable';
 // New Modern Admin Dashboard Components
@@ -63,7 +66,8 @@ import {
   ExternalLink,
   ChevronLeft,
   ChevronRight,
-  HelpCircle
+  HelpCircle,
+  ScrollText
 } from 'lucide-react';
 import AdvancedAdminAttendanceDashboard from '@/components/dashboard/AdvancedAdminAttendanceDashboard';
 import DailyTaskAdmin from '@/components/admin/DailyTaskAdmin';
@@ -98,7 +102,15 @@ export default function AdminDashboard() {
   const [users, setUsers] = useState([]);
   const [showRecurringModal, setShowRecurringModal] = useState(false);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
-  const [recurringSchedules, setRecurringSchedules] = useState([]);
+  const {
+    recurringTasks,
+    loading: recurringTasksLoading,
+    loadRecurringTasks,
+    createRecurringTask,
+    deleteRecurringTask,
+    pauseRecurringTask,
+    resumeRecurringTask
+  } = useRecurringTasks({}, { autoLoad: false });
   const [expandedUsers, setExpandedUsers] = useState({});
   
   // Enhanced filtering and sorting states
@@ -210,6 +222,13 @@ export default function AdminDashboard() {
     return new Notification(title, defaultOptions);
   };
 
+  // Load recurring task templates when the tab is opened
+  useEffect(() => {
+    if (activeTab === 'recurring' && user) {
+      loadRecurringTasks();
+    }
+  }, [activeTab, user]);
+
   useEffect(() => {
     const token = localStorage.getItem('token');
     const userData = localStorage.getItem('user');
@@ -225,6 +244,11 @@ export default function AdminDashboard() {
       return;
     }
 
+    if (parsedUser.mustChangePassword) {
+      router.push('/change-password');
+      return;
+    }
+
     setUser(parsedUser);
     loadDashboardData(token);
     loadUsers(token);
@@ -468,8 +492,11 @@ const loadDashboardData = async (token) => {
   }
 };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await authApi.revokeSession();
     localStorage.removeItem('token');
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     router.push('/');
   };
@@ -634,57 +661,17 @@ const handleCreateRecurringTask = async (recurringTaskData) => {
     setError('');
     setSuccessMessage('');
 
-    const token = localStorage.getItem('token');
-
-    // For now, create a single task instance - can be extended to create recurring API endpoint
-    const taskPayload = {
+    const result = await createRecurringTask({
       task: recurringTaskData.task.trim(),
       assigned_to: recurringTaskData.assigned_to,
-      client_name: '', // Recurring tasks might not have clients initially
-      deadline: recurringTaskData.deadline,
+      client_name: recurringTaskData.client_name?.trim() || '',
       priority: recurringTaskData.priority,
-      assignerNotes: `Recurring Task - ${recurringTaskData.recurring.type} schedule`,
-      assignerPrivateNotes: `Created from recurring task template. Start: ${recurringTaskData.recurring.startDate}, End: ${recurringTaskData.recurring.endDate || 'No end date'}`
-    };
-
-    const response = await fetch('/api/tasks', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(taskPayload)
+      deadlineOffsetDays: recurringTaskData.deadlineOffsetDays,
+      schedule: recurringTaskData.recurring
     });
 
-    const data = await response.json();
-    if (data.success) {
-      // Update task lists
-      const newTaskData = data.task;
-      setAllTasks(prev => [...prev, newTaskData]);
-
-      if (newTaskData.assigned_to === user?.username) {
-        setMyTasks(prev => [...prev, newTaskData]);
-      }
-
-      setSummary(prev => ({
-        ...prev,
-        total: prev.total + 1,
-        pending: prev.pending + 1
-      }));
-
-      setPerformance(prev => {
-        const updated = { ...prev };
-        const assignee = newTaskData.assigned_to;
-        if (updated[assignee]) {
-          updated[assignee].total += 1;
-          updated[assignee].pending += 1;
-        } else {
-          updated[assignee] = { total: 1, completed: 0, pending: 1 };
-        }
-        return updated;
-      });
-
-      setSuccessMessage(`Recurring task "${recurringTaskData.task}" has been successfully created and assigned to ${recurringTaskData.assigned_to}!`);
+    if (result.success) {
+      setSuccessMessage(`Recurring task "${recurringTaskData.task}" scheduled for ${recurringTaskData.assigned_to}. First occurrence: ${result.data?.nextRunDate}`);
       setTimeout(() => setSuccessMessage(''), 5000);
 
       if (notificationsEnabled) {
@@ -694,12 +681,42 @@ const handleCreateRecurringTask = async (recurringTaskData) => {
         });
       }
     } else {
-      const errorMessage = data.errors ? data.errors.join('. ') : (data.message || 'Failed to create recurring task');
-      setError(errorMessage);
+      setError(result.message || 'Failed to create recurring task');
     }
   } catch (error) {
     console.error('Error creating recurring task:', error);
-    setError('Failed to create recurring task');
+    const details = error.data?.errors?.map(e => e.message).join('. ');
+    setError(details || error.message || 'Failed to create recurring task');
+  }
+};
+
+const handleToggleRecurringTask = async (recurringTask) => {
+  try {
+    setError('');
+    if (recurringTask.status === 'active') {
+      await pauseRecurringTask(recurringTask.id);
+    } else {
+      await resumeRecurringTask(recurringTask.id);
+    }
+    // Reload to pick up the recalculated next run date
+    await loadRecurringTasks();
+  } catch (error) {
+    console.error('Error updating recurring task:', error);
+    setError(error.message || 'Failed to update recurring task');
+  }
+};
+
+const handleDeleteRecurringTask = async (recurringTask) => {
+  if (!window.confirm(`Delete recurring task "${recurringTask.task}"? Tasks already created from it will be kept.`)) {
+    return;
+  }
+
+  try {
+    setError('');
+    await deleteRecurringTask(recurringTask.id);
+  } catch (error) {
+    console.error('Error deleting recurring task:', error);
+    setError(error.message || 'Failed to delete recurring task');
   }
 };
 
@@ -1314,7 +1331,8 @@ const AttendanceBadge = () => {
     { id: 'user-management', label: 'User Management', icon: Shield },
     { id: 'tasks-by-user', label: 'Tasks by User', icon: Users },
     { id: 'performance', label: 'Performance', icon: TrendingUp },
-    { id: 'reports', label: 'Reports', icon: FileText }
+    { id: 'reports', label: 'Reports', icon: FileText },
+    { id: 'audit-log', label: 'Audit Log', icon: ScrollText }
   ];
 
 
@@ -2340,6 +2358,10 @@ const AttendanceBadge = () => {
             {activeTab === 'user-management' && (
               <UserManagement />
             )}
+            {/* Audit Log Tab */}
+            {activeTab === 'audit-log' && (
+              <AuditLog />
+            )}
 
             
 
@@ -2536,7 +2558,7 @@ const AttendanceBadge = () => {
                   <h2 className="text-xl lg:text-2xl font-bold text-black">Recurring Tasks</h2>
                   <div className="flex space-x-2">
                     <Button
-                      onClick={() => loadDashboardData(localStorage.getItem('token'), user)}
+                      onClick={() => loadRecurringTasks()}
                       variant="outline"
                       size="sm"
                       className="flex items-center space-x-2 w-fit"
@@ -2557,41 +2579,62 @@ const AttendanceBadge = () => {
                 <div className="bg-white border border-gray-100 rounded-lg">
                   <div className="p-6">
                     <div className="space-y-4">
-                      {recurringSchedules.map((schedule) => (
-                        <div key={schedule.id} className="flex items-center justify-between p-4 border border-gray-100 rounded-lg">
+                      {recurringTasks.map((recurringTask) => (
+                        <div key={recurringTask.id} className="flex items-center justify-between p-4 border border-gray-100 rounded-lg">
                           <div className="flex-1">
-                            <h4 className="font-medium text-black">{schedule.taskTemplate.task}</h4>
+                            <div className="flex items-center space-x-2">
+                              <h4 className="font-medium text-black">{recurringTask.task}</h4>
+                              <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${
+                                recurringTask.status === 'active'
+                                  ? 'bg-green-100 text-green-700'
+                                  : 'bg-gray-100 text-gray-600'
+                              }`}>
+                                {recurringTask.status}
+                              </span>
+                            </div>
                             <div className="flex items-center space-x-4 text-sm text-gray-500 mt-1">
-                              <span>Assigned to: {schedule.taskTemplate.assigned_to}</span>
-                              {schedule.taskTemplate.client_name && (
+                              <span>Assigned to: {recurringTask.assigned_to}</span>
+                              {recurringTask.client_name && (
                                 <span className="flex items-center space-x-1">
                                   <Building className="w-3 h-3" />
-                                  <span>Client: {schedule.taskTemplate.client_name}</span>
+                                  <span>Client: {recurringTask.client_name}</span>
                                 </span>
                               )}
                             </div>
                             <p className="text-sm text-gray-500">
-                              {schedule.schedule.type} every {schedule.schedule.interval} 
-                              {schedule.schedule.type === 'daily' ? 'day(s)' : 
-                               schedule.schedule.type === 'weekly' ? 'week(s)' : 'month(s)'}
+                              {recurringTask.schedule?.frequency} every {recurringTask.schedule?.interval}{' '}
+                              {recurringTask.schedule?.frequency === 'custom'
+                                ? `${recurringTask.schedule.intervalUnit}(s)`
+                                : recurringTask.schedule?.frequency === 'daily' ? 'day(s)'
+                                : recurringTask.schedule?.frequency === 'weekly' ? 'week(s)' : 'month(s)'}
+                              <span className="text-xs text-gray-400 ml-2">{recurringTask.rrule}</span>
                             </p>
                             <p className="text-xs text-gray-400">
-                              Next: {schedule.nextExecution.toLocaleDateString()}
+                              Next: {recurringTask.nextRunDate || '—'} · Created so far: {recurringTask.occurrenceCount || 0}
                             </p>
                           </div>
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            onClick={() => {
-                              setRecurringSchedules(prev => prev.filter(s => s.id !== schedule.id));
-                            }}
-                            className="text-red-600 border-red-200 hover:bg-red-50"
-                          >
-                            Remove
-                          </Button>
+                          <div className="flex space-x-2">
+                            {recurringTask.status !== 'completed' && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => handleToggleRecurringTask(recurringTask)}
+                              >
+                                {recurringTask.status === 'active' ? 'Pause' : 'Resume'}
+                              </Button>
+                            )}
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleDeleteRecurringTask(recurringTask)}
+                              className="text-red-600 border-red-200 hover:bg-red-50"
+                            >
+                              Remove
+                            </Button>
+                          </div>
                         </div>
                       ))}
-                      {recurringSchedules.length === 0 && (
+                      {!recurringTasksLoading && recurringTasks.length === 0 && (
                         <div className="text-center py-8">
                           <Repeat className="w-12 h-12 text-gray-300 mx-auto mb-2" />
                           <p className="text-gray-500">No recurring tasks configured</p>
@@ -1,5 +1,7 @@
 import { requireAuth } from '../../../../lib/auth.js';
 import { getGraphicDesignerAnalytics } from '../../../../lib/firebaseService.js';
+import { hasPermission, isInPermissionScope } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 async function handler(req, res) {
   const { username } = req.query;
@@ -9,8 +11,9 @@ async function handler(req, res) {
 
   if (req.method === 'GET') {
     try {
-      // Check if user can access this data (own data or admin)
-      if (req.user.username !== username && req.user.role?.toLowerCase() !== 'admin') {
+      // Check if user can access this data (own data or reports:view covering the user)
+      const canViewReports = await hasPermission(req, PERMISSIONS.REPORTS_VIEW);
+      if (req.user.username !== username && !(canViewReports && isInPermissionScope(req, username))) {
         return res.status(403).json({
           success: false,
           message: 'You can only access your own analytics'
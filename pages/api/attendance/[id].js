@@ -6,6 +6,8 @@ import {
   getAttendanceById
 } from '../../../lib/firebaseService';
 import { broadcastNotification } from '../notifications/stream';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   try {
@@ -15,16 +17,20 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
+    auditRequest(req, res, decoded.user);
+
     // Multi-tenancy: Extract tenantId from authenticated request
-    const { tenantId } = decoded;
+    const { tenantId } = decoded.user;
     const { method } = req;
     const { id } = req.query;
 
+    req.user = decoded.user;
+
     switch (method) {
       case 'GET':
         return await handleGetAttendanceById(req, res, decoded.user, id, tenantId);
@@ -57,8 +63,11 @@ async function handleGetAttendanceById(req, res, decoded, attendanceId, tenantId
       });
     }
 
-    // Check permissions
-    if (decoded.role !== 'admin' && record.username !== decoded.username) {
+    // Check permissions (own record, or attendance:read covering its owner)
+    const canRead = record.username === decoded.username ||
+      (await hasPermission(req, PERMISSIONS.ATTENDANCE_READ) && isInPermissionScope(req, record.username));
+
+    if (!canRead) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -80,11 +89,21 @@ async function handleGetAttendanceById(req, res, decoded, attendanceId, tenantId
 
 async function handleUpdateAttendance(req, res, decoded, attendanceId, tenantId) {
   try {
-    // Only admins can update attendance records
-    if (decoded.role !== 'admin') {
+    // Only roles with attendance:edit can update attendance records
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users with attendance:edit permission can update attendance records'
+      });
+    }
+
+    // Get the record before updating to check scope and approval/rejection
+    const record = await getAttendanceById(attendanceId, tenantId);
+
+    if (record && !isInPermissionScope(req, record.username)) {
       return res.status(403).json({
         success: false,
-        message: 'Only administrators can update attendance records'
+        message: 'You can only update attendance of your own reports'
       });
     }
 
@@ -105,8 +124,6 @@ async function handleUpdateAttendance(req, res, decoded, attendanceId, tenantId)
       });
     }
 
-    // Get the record before updating to check for approval/rejection
-    const record = await getAttendanceById(attendanceId, tenantId);
     const oldApproval = record?.approved;
 
     await updateAttendanceRecord(attendanceId, updates, tenantId);
@@ -115,7 +132,7 @@ async function handleUpdateAttendance(req, res, decoded, attendanceId, tenantId)
     if (updates.approved !== undefined && updates.approved !== oldApproval && record) {
       try {
         const approved = updates.approved === true || updates.approved === 'true';
-        broadcastNotification({
+        await broadcastNotification({
           type: approved ? 'attendance_approved' : 'attendance_rejected',
           title: approved ? '✅ Attendance Approved' : '❌ Attendance Rejected',
           message: approved
@@ -129,7 +146,7 @@ async function handleUpdateAttendance(req, res, decoded, attendanceId, tenantId)
             approved: approved,
             rejectionReason: updates.rejectionReason || null
           }
-        }, { username: record.username });
+        }, { tenantId, username: record.username });
         console.log(`✅ Attendance ${approved ? 'approval' : 'rejection'} notification sent to ${record.username}`);
       } catch (notifError) {
         console.warn('📢 Attendance status notification failed:', notifError.message);
@@ -159,11 +176,20 @@ async function handleUpdateAttendance(req, res, decoded, attendanceId, tenantId)
 
 async function handleDeleteAttendance(req, res, decoded, attendanceId, tenantId) {
   try {
-    // Only admins can delete attendance records
-    if (decoded.role !== 'admin') {
+    // Only roles with attendance:edit can delete attendance records
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users with attendance:edit permission can delete attendance records'
+      });
+    }
+
+    const record = await getAttendanceById(attendanceId, tenantId);
+
+    if (record && !isInPermissionScope(req, record.username)) {
       return res.status(403).json({
         success: false,
-        message: 'Only administrators can delete attendance records'
+        message: 'You can only delete attendance of your own reports'
       });
     }
 
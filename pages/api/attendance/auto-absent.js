@@ -1,28 +1,46 @@
 // pages/api/attendance/auto-absent.js
+// Also called every 30 minutes by Vercel Cron (CRON_SECRET): marks yesterday's
+// and today's absentees in every organization as their shifts end.
 import { verifyToken } from '../../../lib/auth';
 import { markAbsentForMissingAttendance } from '../../../lib/firebaseService';
+import { getIndiaDate } from '../../../lib/timezone';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { addDays } from '../../../src/utils/recurrence.util.js';
+import { ORGANIZATION_STATUS } from '../../../src/utils/constants.js';
+import { organizationService } from '../../../src/services/index.js';
 
 export default async function handler(req, res) {
   try {
+    const cronSecret = process.env.CRON_SECRET;
+    const cronHeader = req.headers['x-vercel-cron-secret'] || req.headers.authorization;
+
+    if (cronSecret && (cronHeader === cronSecret || cronHeader === `Bearer ${cronSecret}`)) {
+      return await handleScheduledRun(req, res);
+    }
+
     // Verify authentication
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
+    auditRequest(req, res, decoded.user);
+
     // Multi-tenancy: Extract tenantId from authenticated request
-    const { tenantId } = decoded;
+    const { tenantId } = decoded.user;
 
-    // Only admins can run auto-absent
-    if (decoded.user.role !== 'admin') {
+    // Auto-absent covers everyone, so a team-scoped attendance:edit is not enough
+    req.user = decoded.user;
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT)) || req.permissionScope !== PERMISSION_SCOPE.ALL) {
       return res.status(403).json({
         success: false,
-        message: 'Only administrators can mark auto-absent'
+        message: 'Organization-wide attendance:edit permission required to mark auto-absent'
       });
     }
 
@@ -51,4 +69,36 @@ export default async function handler(req, res) {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+// Scheduled run: yesterday covers shifts that ended after midnight
+async function handleScheduledRun(req, res) {
+  const today = getIndiaDate();
+  const dates = [addDays(today, -1), today];
+
+  const organizations = (await organizationService.getAllOrganizations())
+    .filter(organization => [ORGANIZATION_STATUS.ACTIVE, ORGANIZATION_STATUS.TRIAL].includes(organization.status));
+
+  let marked = 0;
+  const failed = [];
+
+  for (const organization of organizations) {
+    for (const date of dates) {
+      try {
+        const absentRecords = await markAbsentForMissingAttendance(date, organization.tenantId, { scheduled: true });
+        marked += absentRecords.length;
+      } catch (error) {
+        console.error(`Auto-absent failed for ${organization.tenantId} on ${date}:`, error);
+        failed.push({ tenantId: organization.tenantId, date });
+      }
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: `Marked ${marked} users as absent`,
+    organizations: organizations.length,
+    marked,
+    failed
+  });
+}
@@ -2,9 +2,10 @@
  * Bulk Date Update API Controller
  * Handles marking attendance for multiple dates for a single user
  */
-import { asyncHandler, authenticate } from '../../../src/middleware/index.js';
+import { asyncHandler, authenticate, requirePermission, isInPermissionScope } from '../../../src/middleware/index.js';
 import { attendanceService } from '../../../src/services/index.js';
 import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default asyncHandler(async (req, res) => {
   // Authenticate user
@@ -33,9 +34,11 @@ async function handleBulkDateUpdate(req, res) {
     return errorResponse(res, 'Username, start date, end date, and status are required', 400);
   }
 
-  // Only admins can perform bulk updates
-  if (currentUser.role !== 'admin') {
-    return errorResponse(res, 'Only administrators can perform bulk attendance updates', 403);
+  // Requires attendance:edit; team leads can only update their own reports
+  await requirePermission(PERMISSIONS.ATTENDANCE_EDIT)(req, res);
+
+  if (!isInPermissionScope(req, username)) {
+    return errorResponse(res, 'You can only update attendance of your own reports', 403);
   }
 
   // Validate date range
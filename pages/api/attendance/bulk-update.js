@@ -1,9 +1,11 @@
 /**
- * Bulk Attendance Update API (Admin Only)
+ * Bulk Attendance Update API (attendance:edit)
  * Handles bulk attendance operations for multiple users
  */
 import { verifyToken } from '../../../lib/auth';
 import { updateAttendanceByUserDate } from '../../../lib/firebaseService';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Only allow POST method
@@ -19,14 +21,17 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
-    // Require admin role
-    if (decoded.user?.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Access denied: Admin role required' });
+    auditRequest(req, res, decoded.user);
+
+    // Require permission to edit attendance (team leads: own reports only)
+    req.user = decoded.user;
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT))) {
+      return res.status(403).json({ success: false, message: 'Access denied: attendance:edit permission required' });
     }
 
     const { operations, date } = req.body;
@@ -60,6 +65,16 @@ export default async function handler(req, res) {
           continue;
         }
 
+        if (!isInPermissionScope(req, username)) {
+          results.push({
+            username,
+            success: false,
+            error: 'You can only update attendance of your own reports'
+          });
+          errorCount++;
+          continue;
+        }
+
         // Determine attendance data based on action
         let attendanceData = {
           username,
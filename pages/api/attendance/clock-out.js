@@ -1,7 +1,9 @@
 // pages/api/attendance/clock-out.js
 import { verifyToken } from '../../../lib/auth';
-import { getTodayAttendance, updateAttendanceRecord, addDailyTask } from '../../../lib/firebaseService';
-import { getIndiaTime, getIndiaDate } from '../../../lib/timezone';
+import { getClockOutAttendance, getAttendanceById, updateAttendanceRecord, addDailyTask } from '../../../lib/firebaseService';
+import { getIndiaTime } from '../../../lib/timezone';
+import { auditRequest } from '../../../src/middleware/index.js';
+import { timeTrackingService } from '../../../src/services/index.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -22,7 +24,7 @@ export default async function handler(req, res) {
       });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({
         success: false,
@@ -30,6 +32,8 @@ export default async function handler(req, res) {
       });
     }
 
+    auditRequest(req, res, decoded.user);
+
     // Extract tenantId from authenticated request
     const tenantId = decoded.user?.tenantId || decoded.tenantId;
     const username = decoded.user?.username;
@@ -41,8 +45,8 @@ export default async function handler(req, res) {
       });
     }
 
-    // Get today's attendance record
-    const todayRecord = await getTodayAttendance(username, tenantId);
+    // Get today's attendance record (or last night's, for an overnight shift)
+    const todayRecord = await getClockOutAttendance(username, tenantId);
 
     if (!todayRecord) {
       return res.status(404).json({
@@ -61,7 +65,8 @@ export default async function handler(req, res) {
 
     // Get pending tasks from request body (if any)
     const { pendingTasks } = req.body || {};
-    const today = getIndiaDate();
+    // The day the shift started, which is yesterday after an overnight shift
+    const today = todayRecord.date;
 
     // If there are pending tasks, auto-save them
     let autoSavedTaskCount = 0;
@@ -91,14 +96,29 @@ export default async function handler(req, res) {
       checkOut: checkOutTime
     }, tenantId);
 
+    // Stop the user's task timer so its time lands in today's entries
+    let stoppedTimer = null;
+    try {
+      const { stoppedTimer: timer, stoppedEntry } = await timeTrackingService.stopTimer(username, tenantId, 'clock_out');
+      if (timer) {
+        stoppedTimer = { taskId: timer.taskId, taskName: timer.taskName, entry: stoppedEntry };
+      }
+    } catch (timerError) {
+      // Continue with clock out even if the timer can't be stopped
+      console.error('Failed to stop task timer at clock out:', timerError);
+    }
+
     // Fetch the updated record
-    const updatedRecord = await getTodayAttendance(username, tenantId);
+    const updatedRecord = await getAttendanceById(todayRecord.id, tenantId);
 
     // Build success message
     let message = 'Clocked out successfully';
     if (autoSavedTaskCount > 0) {
       message += `\n${autoSavedTaskCount} task${autoSavedTaskCount !== 1 ? 's' : ''} auto-saved to daily log`;
     }
+    if (stoppedTimer) {
+      message += `\nTimer on "${stoppedTimer.taskName}" stopped`;
+    }
     if (updatedRecord.totalHours) {
       message += `\nTotal hours worked: ${updatedRecord.totalHours}`;
     }
@@ -109,7 +129,8 @@ export default async function handler(req, res) {
       record: updatedRecord,
       autoSavedTasks: autoSavedTaskCount > 0 ? {
         count: autoSavedTaskCount
-      } : null
+      } : null,
+      stoppedTimer
     });
 
   } catch (error) {
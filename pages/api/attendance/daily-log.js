@@ -4,6 +4,7 @@
 import { verifyToken } from '../../../lib/auth';
 import { getTodayAttendance, updateAttendanceRecord } from '../../../lib/firebaseService';
 import { getIndiaTime, getIndiaDate } from '../../../lib/timezone';
+import { auditRequest } from '../../../src/middleware/index.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST' && req.method !== 'PUT') {
@@ -24,7 +25,7 @@ export default async function handler(req, res) {
       });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({
         success: false,
@@ -32,6 +33,8 @@ export default async function handler(req, res) {
       });
     }
 
+    auditRequest(req, res, decoded.user);
+
     const tenantId = decoded.user?.tenantId || decoded.tenantId;
     const username = decoded.user?.username;
 
@@ -1,6 +1,11 @@
 // pages/api/attendance/export.js
 import { verifyToken } from '../../../lib/auth';
 import { exportAttendanceData } from '../../../lib/firebaseService';
+import { hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { attendanceService, teamService } from '../../../src/services/index.js';
+import { buildPayrollTable, toCsv, DAY_CODE_LEGEND } from '../../../src/utils/attendanceReport.util.js';
+import { buildXlsx, XLSX_CONTENT_TYPE } from '../../../src/utils/xlsx.util.js';
 
 export default async function handler(req, res) {
   try {
@@ -10,13 +15,13 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
     // Multi-tenancy: Extract tenantId from authenticated request
-    const { tenantId } = decoded;
+    const { tenantId } = decoded.user;
 
     const { method } = req;
 
@@ -25,17 +30,27 @@ export default async function handler(req, res) {
       return res.status(405).json({ success: false, message: `Method ${method} Not Allowed` });
     }
 
-    const { user, startDate, endDate, format = 'json' } = req.query;
+    const { user, startDate, endDate, format = 'json', report, teamId } = req.query;
 
     // Build filters
     const filters = { tenantId };
 
-    // If user is requesting their own data or admin requesting specific user
-    if (user && (user === decoded.user.username || decoded.user.role === 'admin')) {
+    // Users with attendance:export can export others (team leads: own reports)
+    req.user = decoded.user;
+    const canExportOthers = await hasPermission(req, PERMISSIONS.ATTENDANCE_EXPORT);
+
+    if (user && (user === decoded.user.username || (canExportOthers && isInPermissionScope(req, user)))) {
       filters.username = user;
-    } else if (decoded.user.role !== 'admin') {
-      // Regular users can only see their own data
+    } else if (user || !canExportOthers) {
+      // Everyone else can only export their own data
       filters.username = decoded.user.username;
+    } else if (req.permissionScope === PERMISSION_SCOPE.TEAM) {
+      filters.usernames = req.teamUsernames;
+    }
+
+    // Payroll report: each employee's month summed up, a column per day
+    if (report === 'payroll') {
+      return await sendPayrollReport(res, { tenantId, filters, teamId, startDate, endDate, format });
     }
 
     // Date range filters
@@ -63,6 +78,10 @@ export default async function handler(req, res) {
       data: exportData
     });
   } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+
     console.error('Export API error:', error);
     return res.status(500).json({
       success: false,
@@ -70,4 +89,43 @@ export default async function handler(req, res) {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+// filters carries the users the requester may export (username or usernames)
+async function sendPayrollReport(res, { tenantId, filters, teamId, startDate, endDate, format }) {
+  let usernames = filters.username ? [filters.username] : filters.usernames;
+
+  // Optional team filter: members of the team and its sub-teams
+  if (teamId) {
+    const teamUsernames = await teamService.getTeamUsernames(teamId, tenantId);
+    if (!teamUsernames) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+    usernames = usernames ? usernames.filter(username => teamUsernames.includes(username)) : teamUsernames;
+  }
+
+  const report = await attendanceService.exportPayroll(tenantId, { startDate, endDate, usernames });
+  const { headers, rows } = buildPayrollTable(report.employees);
+  const filename = `attendance-payroll-${report.startDate}-to-${report.endDate}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+    return res.status(200).send(toCsv([headers, ...rows]));
+  }
+
+  if (format === 'xlsx') {
+    const workbook = buildXlsx([
+      { name: 'Payroll', rows: [headers, ...rows] },
+      { name: 'Legend', rows: [['Code', 'Meaning'], ...DAY_CODE_LEGEND] }
+    ]);
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+    return res.status(200).send(workbook);
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: { ...report, headers, rows, legend: DAY_CODE_LEGEND }
+  });
+}
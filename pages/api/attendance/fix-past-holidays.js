@@ -2,9 +2,10 @@
  * Fix Past Holidays API Controller
  * Checks and fixes attendance records for past holidays and Sundays
  */
-import { asyncHandler, authenticate, requireAdmin } from '../../../src/middleware/index.js';
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
 import { attendanceService } from '../../../src/services/index.js';
 import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default asyncHandler(async (req, res) => {
   // Only allow POST method
@@ -13,15 +14,15 @@ export default asyncHandler(async (req, res) => {
     return errorResponse(res, 'Method not allowed', 405);
   }
 
-  // Authenticate user and require admin role
+  // Authenticate user and require permission to manage holidays
   await authenticate(req, res);
-  await requireAdmin(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
 
   const currentUser = req.user;
   const tenantId = currentUser.tenantId;
 
   try {
-    console.log(`Admin ${currentUser.username} initiated past holiday attendance fix`);
+    console.log(`${currentUser.username} initiated past holiday attendance fix`);
 
     // Call attendance service to fix past holidays
     const result = await attendanceService.fixPastHolidayAttendance(tenantId);
@@ -0,0 +1,40 @@
+/**
+ * Holiday API Controller (MVC Pattern)
+ * Changes or removes one holiday on the organization's calendar
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { holidayService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage holidays
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const holiday = await holidayService.getHoliday(req.query.id, req.user.tenantId);
+
+  switch (req.method) {
+    case 'PUT': {
+      // Body: { date?, name?, type?, locations? }
+      const updated = await holidayService.updateHoliday(holiday, req.body || {});
+      setAuditContext(req, { before: holiday, after: updated });
+      return successResponse(res, { holiday: updated }, 'Holiday updated successfully');
+    }
+
+    case 'DELETE': {
+      await holidayService.deleteHoliday(holiday);
+      setAuditContext(req, { before: holiday });
+      return successResponse(res, null, 'Holiday removed successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * Holiday Import API Controller (MVC Pattern)
+ * Adds the all-day events of an iCalendar (.ics) file as holidays
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { holidayService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user and require permission to manage holidays
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  // Body: { ics: file contents, type?, locations? }
+  const { ics, type, locations } = req.body || {};
+  const result = await holidayService.importIcs(ics, { type, locations }, req.user.tenantId, req.user.username);
+
+  setAuditContext(req, {
+    after: { imported: result.imported, updated: result.updated, skipped: result.skipped }
+  });
+
+  return successResponse(
+    res,
+    result,
+    `Imported ${result.imported} holiday(s), updated ${result.updated}, skipped ${result.skipped}`
+  );
+});
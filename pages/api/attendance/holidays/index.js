@@ -0,0 +1,62 @@
+/**
+ * Holidays API Controller (MVC Pattern)
+ * Lists the organization's holiday calendar and adds holidays to it
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { holidayService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ValidationError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+import { getIndiaDate } from '../../../../lib/timezone.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      // ?year= (this year), or ?startDate=&endDate=
+      let { startDate, endDate } = req.query;
+      if (!startDate && !endDate) {
+        const year = req.query.year ? Number(req.query.year) : Number(getIndiaDate().slice(0, 4));
+        if (!Number.isInteger(year)) {
+          throw new ValidationError('Year must be a number');
+        }
+        startDate = `${year}-01-01`;
+        endDate = `${year}-12-31`;
+      }
+
+      const [calendar, holidays] = await Promise.all([
+        holidayService.getCalendar(tenantId),
+        holidayService.listHolidays(tenantId, startDate, endDate)
+      ]);
+
+      return successResponse(
+        res,
+        { startDate, endDate, weeklyOffs: calendar.weeklyOffs, holidays },
+        'Holidays retrieved successfully'
+      );
+    }
+
+    case 'POST': {
+      // Body: { date, name, type?, locations? }
+      await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+      const holiday = await holidayService.addHoliday(req.body || {}, tenantId, username);
+      setAuditContext(req, { resourceId: holiday.id, after: holiday });
+
+      return successResponse(res, { holiday }, 'Holiday added successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
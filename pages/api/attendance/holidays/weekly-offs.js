@@ -0,0 +1,43 @@
+/**
+ * Weekly Offs API Controller (MVC Pattern)
+ * The days of the week the organization doesn't work, e.g. Sundays and
+ * alternate Saturdays
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { holidayService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const calendar = await holidayService.getCalendar(tenantId);
+      return successResponse(res, calendar, 'Weekly offs retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { weeklyOffs: [{ day: 0-6, weeks?: [1-5] }] }
+      await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+      const before = await holidayService.getCalendar(tenantId);
+      const calendar = await holidayService.updateWeeklyOffs(tenantId, req.body?.weeklyOffs, username);
+      setAuditContext(req, { resourceId: tenantId, before, after: calendar });
+
+      return successResponse(res, calendar, 'Weekly offs updated successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
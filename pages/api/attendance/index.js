@@ -5,10 +5,15 @@ import {
   markAttendance,
   getTodayAttendance,
   getAttendanceStats,
-  getAllUsersAttendanceSummary
+  getAllUsersAttendanceSummary,
+  getAttendanceSettings
 } from '../../../lib/firebaseService';
 import EnhancedAttendanceService from '../../../lib/attendanceEnhanced';
 import { broadcastNotification } from '../notifications/stream';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { teamService } from '../../../src/services/index.js';
+import { SessionModel } from '../../../src/models/session.model.js';
 
 export default async function handler(req, res) {
   console.log('Attendance API called:', {
@@ -25,12 +30,14 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       console.error('Invalid token');
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
+    auditRequest(req, res, decoded.user);
+
     // Multi-tenancy: Extract tenantId from authenticated request
     const tenantId = decoded.user?.tenantId || decoded.tenantId;
 
@@ -65,21 +72,26 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
       decodedUser: decoded
     });
 
-    const { user, startDate, endDate, all, page, pageSize } = req.query;
+    const { user, startDate, endDate, all, teamId, page, pageSize } = req.query;
 
     // Build filters with proper validation
     const filters = { tenantId };
 
+    // attendance:read lets a role see others' attendance (team leads: own reports only)
+    req.user = decoded;
+    const canReadOthers = await hasPermission(req, PERMISSIONS.ATTENDANCE_READ);
+    const teamOnly = req.permissionScope === PERMISSION_SCOPE.TEAM;
+
     // CRITICAL FIX: Handle admin "all=true" request properly
     let targetUsername = null;
 
-    if (all === 'true' && decoded.role === 'admin') {
-      // Admin requesting all users - don't set username filter
-      console.log('Admin requesting ALL users attendance data');
+    if (all === 'true' && canReadOthers) {
+      // Requesting all users - don't set username filter
+      console.log('Requesting ALL users attendance data');
       targetUsername = null; // This will get all users
     } else if (user && typeof user === 'string' && user.trim()) {
       // Check if user is allowed to view this data
-      if (user === decoded.username || decoded.role === 'admin') {
+      if (user === decoded.username || (canReadOthers && isInPermissionScope(req, user.trim()))) {
         targetUsername = user.trim();
         console.log('Requesting specific user attendance:', targetUsername);
       } else {
@@ -100,6 +112,19 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
       filters.username = targetUsername;
     }
 
+    // Optional team filter for all-users requests: members of the team and its sub-teams
+    let teamUsernames = null;
+    if (!targetUsername && teamId) {
+      teamUsernames = await teamService.getTeamUsernames(teamId, tenantId);
+
+      if (!teamUsernames) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+    }
+
     // Date range filters
     if (startDate) {
       if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
@@ -150,6 +175,16 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
       // Add a reasonable limit to prevent memory issues
       const maxLimit = parseInt(pageSize) || 100; // Default to 100 records max
       records = await loadAttendanceRecords({ ...filters, limit: maxLimit });
+
+      // Team-scoped readers only see their reports
+      if (!targetUsername && teamOnly) {
+        records = records.filter(record => req.teamUsernames.includes(record.username));
+      }
+
+      if (teamUsernames) {
+        records = records.filter(record => teamUsernames.includes(record.username));
+      }
+
       totalRecords = records.length;
 
       // For historical data, we don't paginate - we get everything
@@ -174,9 +209,9 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
       }
     }
 
-    // Get statistics
+    // Get statistics (organization totals are not shown to team-scoped readers or for one team)
     try {
-      stats = await getAttendanceStats(filters);
+      stats = !targetUsername && (teamOnly || teamUsernames) ? null : await getAttendanceStats(filters);
       console.log('Attendance stats:', stats);
     } catch (statsError) {
       console.error('Error getting attendance stats:', statsError);
@@ -190,8 +225,8 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
       };
     }
 
-    // If admin requesting all users summary
-    if (decoded.role === 'admin' && all === 'true') {
+    // If requesting all users summary
+    if (canReadOthers && all === 'true') {
       try {
         // For admin all=true, get summary for all users
         const summaryFilters = {
@@ -201,6 +236,14 @@ async function handleGetAttendance(req, res, decoded, tenantId) {
           // Don't include username filter for summary
         };
         usersSummary = await getAllUsersAttendanceSummary(summaryFilters);
+
+        if (teamOnly) {
+          usersSummary = (usersSummary || []).filter(summary => req.teamUsernames.includes(summary.username));
+        }
+
+        if (teamUsernames) {
+          usersSummary = (usersSummary || []).filter(summary => teamUsernames.includes(summary.username));
+        }
         console.log('Users summary loaded:', usersSummary?.length || 0, 'users');
       } catch (summaryError) {
         console.error('Error getting users summary:', summaryError);
@@ -289,12 +332,33 @@ async function handleMarkAttendance(req, res, decoded, tenantId) {
       locationData = location;
     }
 
+    // Office clock-ins are checked against the organization's office sites; a fallback
+    // location is no position fix, so only the network can place it at a site
+    let officeSite = null;
+    if (workType === 'office') {
+      const siteCheck = await EnhancedAttendanceService.validateLocation({
+        tenantId,
+        location: location && typeof location === 'object' && !location.isFallback ? location : null,
+        ipAddress: SessionModel.fromRequest(req).ipAddress
+      });
+
+      if (siteCheck.valid) {
+        officeSite = siteCheck.officeSite;
+      } else if ((await getAttendanceSettings(tenantId)).requireOfficeSite) {
+        return res.status(400).json({
+          success: false,
+          message: siteCheck.message
+        });
+      }
+    }
+
     // Mark attendance with validated data
     const attendanceData = {
       username: decoded.username.trim(),
       workType,
       notes: [notes, locationNote, locationInfo].filter(Boolean).join(' | '),
-      location: locationData
+      location: locationData,
+      officeSite
     };
 
     console.log('Marking attendance with data:', attendanceData);
@@ -305,7 +369,7 @@ async function handleMarkAttendance(req, res, decoded, tenantId) {
 
     // Send notification to admins about attendance submission
     try {
-      broadcastNotification({
+      await broadcastNotification({
         type: 'attendance_submitted',
         title: 'Attendance Submitted',
         message: `${decoded.username} marked attendance as ${workType.toUpperCase()}`,
@@ -317,7 +381,7 @@ async function handleMarkAttendance(req, res, decoded, tenantId) {
           workType: workType,
           date: attendanceRecord.date
         }
-      }, { role: 'admin' });
+      }, { tenantId, role: 'admin' });
       console.log('✅ Attendance notification sent to admins');
     } catch (notifError) {
       console.warn('📢 Attendance notification failed:', notifError.message);
@@ -2,6 +2,8 @@
 import { verifyToken } from '../../../lib/auth';
 import { markAbsentForMissingAttendance } from '../../../lib/firebaseService';
 import { getIndiaDate } from '../../../lib/timezone';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,16 +21,19 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
-    // Only admins can trigger auto-absent marking
-    if (decoded.user?.role !== 'admin') {
+    auditRequest(req, res, decoded.user);
+
+    // Marking absences covers everyone, so a team-scoped attendance:edit is not enough
+    req.user = decoded.user;
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT)) || req.permissionScope !== PERMISSION_SCOPE.ALL) {
       return res.status(403).json({
         success: false,
-        message: 'Forbidden: Only admins can mark absences'
+        message: 'Forbidden: organization-wide attendance:edit permission required'
       });
     }
 
@@ -2,9 +2,10 @@
  * Mark Holiday API Controller (MVC Pattern)
  * Handles holiday marking and auto-present functionality
  */
-import { asyncHandler, authenticate, requireAdmin } from '../../../src/middleware/index.js';
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
 import { attendanceService } from '../../../src/services/index.js';
 import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default asyncHandler(async (req, res) => {
   // Only allow POST method
@@ -13,9 +14,9 @@ export default asyncHandler(async (req, res) => {
     return errorResponse(res, 'Method not allowed', 405);
   }
 
-  // Authenticate user and require admin role
+  // Authenticate user and require permission to manage holidays
   await authenticate(req, res);
-  await requireAdmin(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
 
   const { date, holidayName, markAllPresent = true } = req.body;
   const currentUser = req.user;
@@ -46,6 +47,6 @@ export default asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('Mark holiday error:', error);
-    return errorResponse(res, error.message || 'Failed to mark holiday', 500);
+    return errorResponse(res, error.message || 'Failed to mark holiday', error.statusCode || 500, error.errors);
   }
 });
\ No newline at end of file
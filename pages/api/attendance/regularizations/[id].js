@@ -0,0 +1,92 @@
+/**
+ * Attendance Regularization API Controller (MVC Pattern)
+ * Gets one attendance correction request; approves, rejects or cancels it
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { regularizationService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+import { broadcastNotification } from '../../notifications/stream';
+
+/**
+ * Whether the user reviews this user's attendance corrections
+ */
+const canReview = async (req, username) => (
+  await hasPermission(req, PERMISSIONS.ATTENDANCE_APPROVE) && isInPermissionScope(req, username)
+);
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+  const request = await regularizationService.getRequest(req.query.id, tenantId);
+  const isOwn = request.username === username;
+
+  switch (req.method) {
+    case 'GET': {
+      if (!isOwn &&
+          !((await hasPermission(req, PERMISSIONS.ATTENDANCE_APPROVE, PERMISSIONS.ATTENDANCE_READ)) &&
+            isInPermissionScope(req, request.username))) {
+        throw new ForbiddenError('You do not have permission to view this regularization request');
+      }
+
+      return successResponse(res, { request }, 'Regularization request retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { action: 'approve' | 'reject' | 'cancel', comment? }
+      const { action, comment } = req.body || {};
+
+      if (action === 'cancel') {
+        // Only the requester withdraws a request; reviewers reject it
+        if (!isOwn) {
+          throw new ForbiddenError('Only the requester can cancel a regularization request');
+        }
+
+        const updated = await regularizationService.cancelRequest(request);
+        setAuditContext(req, { action: 'attendance.regularize.cancel', before: request, after: updated });
+        return successResponse(res, { request: updated }, 'Regularization request cancelled successfully');
+      }
+
+      if (!(await canReview(req, request.username))) {
+        throw new ForbiddenError('You do not have permission to review this regularization request');
+      }
+
+      const updated = await regularizationService.reviewRequest(request, action, comment, username);
+      setAuditContext(req, { action: `attendance.regularize.${action}`, before: request, after: updated });
+
+      const approved = action === 'approve';
+      await broadcastNotification({
+        type: approved ? 'regularization_approved' : 'regularization_rejected',
+        title: approved ? 'Attendance Correction Approved' : 'Attendance Correction Rejected',
+        message: `${username} ${approved ? 'approved' : 'rejected'} your attendance correction for ${request.date}${updated.reviewComment ? `: "${updated.reviewComment}"` : ''}`,
+        timestamp: new Date().toISOString(),
+        priority: 'medium',
+        data: {
+          regularizationRequestId: request.id,
+          date: request.date,
+          reviewedBy: username,
+          status: updated.status
+        }
+      }, { tenantId, username: request.username });
+
+      return successResponse(
+        res,
+        { request: updated },
+        `Regularization request ${approved ? 'approved' : 'rejected'} successfully`
+      );
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
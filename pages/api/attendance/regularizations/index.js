@@ -0,0 +1,92 @@
+/**
+ * Attendance Regularizations API Controller (MVC Pattern)
+ * Lists attendance correction requests and submits new ones
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { regularizationService, leaveService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../../src/utils/permissions.util.js';
+import { getIndiaDate } from '../../../../lib/timezone.js';
+import { broadcastNotification } from '../../notifications/stream';
+
+const TYPE_LABELS = {
+  missed_clock_out: 'a missed clock-out',
+  work_type: 'the work type',
+  time_change: 'the clock-in/out time'
+};
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      // Own requests by default; ?user= for one user, ?all=true for everyone whose corrections the user reviews
+      const { user, all, status, month } = req.query;
+
+      if (all === 'true') {
+        if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_APPROVE))) {
+          throw new ForbiddenError('You do not have permission to review attendance corrections');
+        }
+
+        const requests = await regularizationService.listRequests(tenantId, { status, month });
+        const visible = req.permissionScope === PERMISSION_SCOPE.ALL
+          ? requests
+          : requests.filter(request => isInPermissionScope(req, request.username));
+
+        return successResponse(res, { requests: visible }, 'Regularization requests retrieved successfully');
+      }
+
+      const targetUser = user || username;
+      if (targetUser !== username &&
+          !((await hasPermission(req, PERMISSIONS.ATTENDANCE_APPROVE, PERMISSIONS.ATTENDANCE_READ)) &&
+            isInPermissionScope(req, targetUser))) {
+        throw new ForbiddenError("You do not have permission to view this user's attendance corrections");
+      }
+
+      const [requests, usage] = await Promise.all([
+        regularizationService.listRequests(tenantId, { username: targetUser, status, month }),
+        regularizationService.getUsage(targetUser, tenantId, month || getIndiaDate().slice(0, 7))
+      ]);
+      return successResponse(res, { requests, usage }, 'Regularization requests retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { date, type, checkIn?, checkOut?, workType?, reason }; always for the signed-in user
+      const request = await regularizationService.submitRequest(req.body || {}, username, tenantId);
+      setAuditContext(req, { resourceId: request.id, action: 'attendance.regularize', after: request });
+
+      // Corrections go to the same manager as leave
+      const approver = await leaveService.getApprover(username, tenantId);
+
+      await broadcastNotification({
+        type: 'regularization_requested',
+        title: 'Attendance Correction Request',
+        message: `${username} asked to correct ${TYPE_LABELS[request.type]} on ${request.date}: "${request.reason}"`,
+        timestamp: new Date().toISOString(),
+        priority: 'medium',
+        data: {
+          regularizationRequestId: request.id,
+          username,
+          type: request.type,
+          date: request.date
+        }
+      }, approver ? { tenantId, username: approver } : { tenantId, role: 'admin' });
+
+      return successResponse(res, { request }, 'Regularization request submitted successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
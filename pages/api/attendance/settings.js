@@ -1,6 +1,9 @@
 // pages/api/attendance/settings.js
 import { verifyToken } from '../../../lib/auth';
 import { getAttendanceSettings, updateAttendanceSettings } from '../../../lib/firebaseService';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { shiftService } from '../../../src/services/index.js';
 
 export default async function handler(req, res) {
   try {
@@ -10,16 +13,19 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
-    // Only admins can manage attendance settings
-    if (decoded.user?.role !== 'admin') {
+    auditRequest(req, res, decoded.user);
+
+    // Only roles with attendance:settings can manage attendance settings
+    req.user = decoded.user;
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_SETTINGS))) {
       return res.status(403).json({
         success: false,
-        message: 'Forbidden: Only admins can manage attendance settings'
+        message: 'Forbidden: attendance:settings permission required'
       });
     }
 
@@ -76,7 +82,7 @@ async function handleGetSettings(req, res, tenantId) {
 
 async function handleUpdateSettings(req, res, tenantId) {
   try {
-    const { deadlineHour, deadlineMinute, autoMarkAbsent, autoMarkAbsentTime, halfDayEnabled } = req.body;
+    const { deadlineHour, deadlineMinute, autoMarkAbsent, autoMarkAbsentTime, halfDayEnabled, defaultShiftId, requireOfficeSite, regularizationMonthlyLimit } = req.body;
 
     // Validate deadline hour
     if (deadlineHour !== undefined && (deadlineHour < 0 || deadlineHour > 23)) {
@@ -94,12 +100,42 @@ async function handleUpdateSettings(req, res, tenantId) {
       });
     }
 
+    // Default shift: worked by users without a shift assignment (null: the deadline applies)
+    if (defaultShiftId !== undefined && defaultShiftId !== null) {
+      const shift = typeof defaultShiftId === 'string' && await shiftService.getShift(defaultShiftId, tenantId).catch(() => null);
+      if (!shift) {
+        return res.status(400).json({
+          success: false,
+          message: 'Default shift not found'
+        });
+      }
+    }
+
+    if (requireOfficeSite !== undefined && typeof requireOfficeSite !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireOfficeSite must be true or false'
+      });
+    }
+
+    // Attendance corrections each user may request per month (0: none)
+    if (regularizationMonthlyLimit !== undefined &&
+        !(Number.isInteger(regularizationMonthlyLimit) && regularizationMonthlyLimit >= 0 && regularizationMonthlyLimit <= 31)) {
+      return res.status(400).json({
+        success: false,
+        message: 'regularizationMonthlyLimit must be a whole number from 0 to 31'
+      });
+    }
+
     const settings = {
       ...(deadlineHour !== undefined && { deadlineHour }),
       ...(deadlineMinute !== undefined && { deadlineMinute }),
       ...(autoMarkAbsent !== undefined && { autoMarkAbsent }),
       ...(autoMarkAbsentTime !== undefined && { autoMarkAbsentTime }),
-      ...(halfDayEnabled !== undefined && { halfDayEnabled })
+      ...(halfDayEnabled !== undefined && { halfDayEnabled }),
+      ...(defaultShiftId !== undefined && { defaultShiftId }),
+      ...(requireOfficeSite !== undefined && { requireOfficeSite }),
+      ...(regularizationMonthlyLimit !== undefined && { regularizationMonthlyLimit })
     };
 
     const updatedSettings = await updateAttendanceSettings(tenantId, settings);
@@ -0,0 +1,40 @@
+/**
+ * Shift API Controller (MVC Pattern)
+ * Changes or deletes one shift
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { shiftService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage shifts
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const shift = await shiftService.getShift(req.query.id, req.user.tenantId);
+
+  switch (req.method) {
+    case 'PUT': {
+      // Body: any of { name, startTime, endTime, graceMinutes, breakMinutes, minimumHours }
+      const updated = await shiftService.updateShift(shift, req.body || {});
+      setAuditContext(req, { before: shift, after: updated });
+      return successResponse(res, { shift: updated }, 'Shift updated successfully');
+    }
+
+    case 'DELETE': {
+      await shiftService.deleteShift(shift);
+      setAuditContext(req, { before: shift });
+      return successResponse(res, null, 'Shift deleted successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Shift Assignment API Controller (MVC Pattern)
+ * Changes or removes one shift assignment
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../../src/middleware/index.js';
+import { shiftService } from '../../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage shifts
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const assignment = await shiftService.getAssignment(req.query.id, req.user.tenantId);
+
+  switch (req.method) {
+    case 'PUT': {
+      // Body: any of { shiftIds, rotationDays, startDate, endDate }
+      const updated = await shiftService.updateAssignment(assignment, req.body || {});
+      setAuditContext(req, { before: assignment, after: updated });
+      return successResponse(res, { assignment: updated }, 'Shift assignment updated successfully');
+    }
+
+    case 'DELETE': {
+      await shiftService.deleteAssignment(assignment);
+      setAuditContext(req, { before: assignment });
+      return successResponse(res, null, 'Shift assignment removed successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
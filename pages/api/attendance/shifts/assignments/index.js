@@ -0,0 +1,40 @@
+/**
+ * Shift Assignments API Controller (MVC Pattern)
+ * Lists who works which shifts and puts users or teams on a shift or rotation
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../../src/middleware/index.js';
+import { shiftService } from '../../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage shifts
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const assignments = await shiftService.getAssignments(tenantId);
+      return successResponse(res, { assignments }, 'Shift assignments retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { assigneeType: 'user' | 'team', assigneeId, shiftIds, rotationDays?, startDate, endDate? }
+      const assignment = await shiftService.createAssignment(req.body || {}, tenantId, username);
+      setAuditContext(req, { resourceId: assignment.id, after: assignment });
+
+      return successResponse(res, { assignment }, 'Shift assigned successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
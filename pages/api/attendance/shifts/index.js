@@ -0,0 +1,45 @@
+/**
+ * Shifts API Controller (MVC Pattern)
+ * Lists the organization's shifts and defines new ones
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { shiftService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const [shifts, defaultShiftId] = await Promise.all([
+        shiftService.getShifts(tenantId),
+        shiftService.getDefaultShiftId(tenantId)
+      ]);
+
+      return successResponse(res, { shifts, defaultShiftId }, 'Shifts retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { name, startTime, endTime, graceMinutes?, breakMinutes?, minimumHours? }
+      await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+      const shift = await shiftService.createShift(req.body || {}, tenantId, username);
+      setAuditContext(req, { resourceId: shift.id, after: shift });
+
+      return successResponse(res, { shift }, 'Shift created successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Shift Schedule API Controller (MVC Pattern)
+ * The shift a user works on each day of a range (own by default)
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope
+} from '../../../../src/middleware/index.js';
+import { shiftService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+import { getIndiaDate } from '../../../../lib/timezone.js';
+import { addDays } from '../../../../src/utils/recurrence.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  // ?startDate=&endDate= (default: the next 7 days), ?user= for someone else
+  const startDate = req.query.startDate || getIndiaDate();
+  const endDate = req.query.endDate || addDays(startDate, 6);
+  const targetUser = req.query.user || username;
+
+  if (targetUser !== username &&
+      !((await hasPermission(req, PERMISSIONS.ATTENDANCE_READ)) && isInPermissionScope(req, targetUser))) {
+    throw new ForbiddenError("You do not have permission to view this user's shifts");
+  }
+
+  const schedule = await shiftService.getUserSchedule(targetUser, tenantId, startDate, endDate);
+  return successResponse(res, { username: targetUser, schedule }, 'Shift schedule retrieved successfully');
+});
@@ -0,0 +1,40 @@
+/**
+ * Office Site API Controller (MVC Pattern)
+ * Changes or deletes one office site
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { officeSiteService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage office sites
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const site = await officeSiteService.getSite(req.query.id, req.user.tenantId);
+
+  switch (req.method) {
+    case 'PUT': {
+      // Body: any of { name, latitude, longitude, radius, timezone, allowedIpRanges }
+      const updated = await officeSiteService.updateSite(site, req.body || {});
+      setAuditContext(req, { before: site, after: updated });
+      return successResponse(res, { site: updated }, 'Office site updated successfully');
+    }
+
+    case 'DELETE': {
+      await officeSiteService.deleteSite(site);
+      setAuditContext(req, { before: site });
+      return successResponse(res, null, 'Office site deleted successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Office Sites API Controller (MVC Pattern)
+ * Lists the organization's office sites and adds new ones
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { officeSiteService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage office sites
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const sites = await officeSiteService.getSites(tenantId);
+      return successResponse(res, { sites }, 'Office sites retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { name, latitude, longitude, radius?, timezone?, allowedIpRanges? }
+      const site = await officeSiteService.createSite(req.body || {}, tenantId, username);
+      setAuditContext(req, { resourceId: site.id, after: site });
+
+      return successResponse(res, { site }, 'Office site created successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
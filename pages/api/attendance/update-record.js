@@ -1,9 +1,11 @@
 /**
- * Update Individual Attendance Record API (Admin Only)
+ * Update Individual Attendance Record API (attendance:edit)
  * Handles detailed attendance record updates
  */
 import { verifyToken } from '../../../lib/auth';
 import { updateAttendanceByUserDate } from '../../../lib/firebaseService';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Only allow POST method
@@ -19,14 +21,17 @@ export default async function handler(req, res) {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded || !decoded.valid) {
       return res.status(401).json({ success: false, message: 'Invalid token' });
     }
 
-    // Require admin role
-    if (decoded.user?.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Access denied: Admin role required' });
+    auditRequest(req, res, decoded.user);
+
+    // Require permission to edit attendance (team leads: own reports only)
+    req.user = decoded.user;
+    if (!(await hasPermission(req, PERMISSIONS.ATTENDANCE_EDIT))) {
+      return res.status(403).json({ success: false, message: 'Access denied: attendance:edit permission required' });
     }
 
     const {
@@ -49,6 +54,10 @@ export default async function handler(req, res) {
       return res.status(400).json({ success: false, message: 'Username, date, and status are required' });
     }
 
+    if (!isInPermissionScope(req, username)) {
+      return res.status(403).json({ success: false, message: 'You can only update attendance of your own reports' });
+    }
+
     // Validate status
     const validStatuses = ['present', 'absent', 'leave', 'half_day', 'late', 'early_out'];
     if (!validStatuses.includes(status)) {
@@ -0,0 +1,28 @@
+/**
+ * Audit Log Export API Controller (MVC Pattern)
+ * Downloads matching audit log entries as CSV or JSON
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { auditService } from '../../../src/services/index.js';
+import { errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.AUDIT_VIEW)(req, res);
+
+  const { format = 'csv', ...filters } = req.query;
+  const exported = await auditService.exportLogs(req.user.tenantId, filters, format);
+
+  console.log(`Audit log exported by ${req.user.username}: ${exported.count} entries (${format})`);
+
+  res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+  return res.status(200).send(exported.content);
+});
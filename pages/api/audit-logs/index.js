@@ -0,0 +1,24 @@
+/**
+ * Audit Log API Controller (MVC Pattern)
+ * Lists the organization's audit log entries, newest first
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { auditService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.AUDIT_VIEW)(req, res);
+
+  // Query: actor, resourceType, resourceId, from, to (YYYY-MM-DD), limit, cursor
+  const { entries, nextCursor } = await auditService.getLogs(req.user.tenantId, req.query);
+
+  return successResponse(res, { entries, nextCursor }, 'Audit log retrieved successfully');
+});
@@ -0,0 +1,27 @@
+/**
+ * Audit Log Verification API Controller (MVC Pattern)
+ * Recomputes the hash chain to check that no entry was changed or removed
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { auditService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.AUDIT_VIEW)(req, res);
+
+  const result = await auditService.verifyChain(req.user.tenantId);
+
+  if (!result.valid) {
+    console.warn(`Audit log of ${req.user.tenantId} failed verification at entry ${result.brokenAt}: ${result.reason}`);
+  }
+
+  return successResponse(res, result, result.valid ? 'Audit log is intact' : 'Audit log has been tampered with');
+});
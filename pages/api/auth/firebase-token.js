@@ -0,0 +1,22 @@
+/**
+ * Firebase Token API Controller (MVC Pattern)
+ * Mints a new Firebase custom token for a signed-in user, e.g. when the
+ * browser's Firebase session was lost or belongs to another account
+ */
+import { asyncHandler, authenticate } from '../../../src/middleware/index.js';
+import { firebaseTokenService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const firebaseToken = await firebaseTokenService.createCustomToken(req.user);
+
+  return successResponse(res, { firebaseToken }, 'Firebase token created');
+});
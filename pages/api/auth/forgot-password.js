@@ -1,6 +1,9 @@
 // pages/api/auth/forgot-password.js
 import { getUserByEmail, generatePasswordResetToken, savePasswordResetToken } from '../../../lib/firebaseService.js';
 import { sendPasswordResetEmail } from '../../../lib/emailService.js';
+import { loginAttemptService } from '../../../src/services/index.js';
+import { ATTEMPT_SCOPE } from '../../../src/services/loginAttempt.service.js';
+import { SessionModel } from '../../../src/models/session.model.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -21,6 +24,24 @@ export default async function handler(req, res) {
       });
     }
 
+    // Limit reset requests per email address and per IP
+    const attemptSubject = {
+      identifier: email.trim(),
+      ipAddress: SessionModel.fromRequest(req).ipAddress
+    };
+
+    const gate = await loginAttemptService.check(ATTEMPT_SCOPE.PASSWORD_RESET, attemptSubject);
+    if (!gate.allowed) {
+      res.setHeader('Retry-After', String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: gate.message
+      });
+    }
+
+    // Every request counts, whether or not the email exists
+    await loginAttemptService.recordFailure(ATTEMPT_SCOPE.PASSWORD_RESET, attemptSubject);
+
     // Find user by email
     const user = await getUserByEmail(email);
 
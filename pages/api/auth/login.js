@@ -1,5 +1,32 @@
 // pages/api/auth/login.js - Updated to use Firebase instead of Google Sheets
-import { authenticateUser } from '../../../lib/auth.js';
+import {
+  authenticateUser,
+  findUserForLogin,
+  generateMfaChallengeToken,
+  MFA_CHALLENGE_PURPOSE
+} from '../../../lib/auth.js';
+import {
+  refreshTokenService,
+  loginAttemptService,
+  mfaService,
+  passwordPolicyService,
+  roleService,
+  firebaseTokenService
+} from '../../../src/services/index.js';
+import { ATTEMPT_SCOPE, LOCKOUT_REASON } from '../../../src/services/loginAttempt.service.js';
+import { SessionModel } from '../../../src/models/session.model.js';
+
+// Reject an attempt blocked by brute-force protection
+const sendLockedOut = (res, { message, reason, retryAfterMs }) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    reason,
+    retryAfter
+  });
+};
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -17,17 +44,82 @@ export default async function handler(req, res) {
       });
     }
 
+    const sessionContext = SessionModel.fromRequest(req);
+    const account = await findUserForLogin(username.trim());
+
+    // Unknown usernames are counted too, so lockouts don't reveal which accounts exist
+    const attemptSubject = {
+      tenantId: account?.tenantId || null,
+      identifier: username.trim(),
+      ipAddress: sessionContext.ipAddress
+    };
+
+    const gate = await loginAttemptService.check(ATTEMPT_SCOPE.LOGIN, attemptSubject);
+    if (!gate.allowed) {
+      return sendLockedOut(res, gate);
+    }
+
     // Authenticate user (auth.js will now use Firebase through firebaseService.js)
-    const result = await authenticateUser(username.trim(), password);
+    const result = await authenticateUser(username.trim(), password, account);
 
     if (result.success) {
+      // Second step: users with MFA enter a code; users whose organization
+      // requires MFA but who have not set it up must enroll first.
+      // Failure counters are only cleared once the second step succeeds.
+      const mfaEnabled = await mfaService.isEnabled(result.user.id, result.user.tenantId);
+      const mfaPurpose = mfaEnabled
+        ? MFA_CHALLENGE_PURPOSE.VERIFY
+        : (await mfaService.isRequiredForTenant(result.user.tenantId) ? MFA_CHALLENGE_PURPOSE.ENROLL : null);
+
+      if (mfaPurpose) {
+        return res.status(200).json({
+          success: true,
+          message: mfaEnabled
+            ? 'Enter the code from your authenticator app'
+            : 'Your organization requires two-factor authentication. Set it up to continue.',
+          mfaRequired: mfaEnabled,
+          mfaEnrollmentRequired: !mfaEnabled,
+          mfaToken: generateMfaChallengeToken(result.user, mfaPurpose)
+        });
+      }
+
+      await loginAttemptService.recordSuccess(ATTEMPT_SCOPE.LOGIN, attemptSubject);
+
+      // Flagged by an admin or past the organization's password expiry
+      result.user.mustChangePassword = await passwordPolicyService.requiresChange(account);
+
+      // The client shows or hides features by the role's permissions
+      result.user.permissions = await roleService.getPermissionsForUser(result.user);
+
+      // Start a new session (refresh token family) for this login
+      const { accessToken, refreshToken } = await refreshTokenService.issueTokens(
+        result.user,
+        sessionContext
+      );
+
       return res.status(200).json({
         success: true,
         message: 'Login successful',
-        token: result.token,
+        token: accessToken, // For backward compatibility
+        accessToken,
+        refreshToken,
+        firebaseToken: await firebaseTokenService.createLoginToken(result.user),
         user: result.user
       });
     } else {
+      const failure = await loginAttemptService.recordFailure(ATTEMPT_SCOPE.LOGIN, {
+        ...attemptSubject,
+        user: account
+      });
+
+      if (failure.locked) {
+        return sendLockedOut(res, {
+          message: failure.message,
+          reason: LOCKOUT_REASON.ACCOUNT_LOCKED,
+          retryAfterMs: failure.lockedUntil - Date.now()
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: result.message
@@ -1,21 +1,62 @@
+// pages/api/auth/logout.js - Revokes refresh tokens on logout
+import { verifyTokenFromRequest } from '../../../lib/auth.js';
+import { refreshTokenService } from '../../../src/services/index.js';
+import { auditRequest } from '../../../src/middleware/index.js';
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
   try {
-    // For JWT tokens, logout is typically handled client-side by removing the token
-    // But we can add server-side token blacklisting if needed in the future
-    
+    const { refreshToken, allDevices } = req.body || {};
+    const verification = await verifyTokenFromRequest(req);
+
+    if (verification.valid) {
+      auditRequest(req, res, verification.user);
+    }
+
+    // Sign out everywhere: revoke every refresh token the user holds
+    if (allDevices) {
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          message: verification.message || 'Authentication required'
+        });
+      }
+
+      const revoked = await refreshTokenService.revokeAllForUser(
+        verification.user.username,
+        verification.user.tenantId
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Signed out of all devices',
+        revoked
+      });
+    }
+
+    // Sign out this device: revoke the family of the presented refresh token,
+    // falling back to the family of the access token
+    let revoked = 0;
+    if (refreshToken) {
+      revoked = await refreshTokenService.revokeToken(refreshToken);
+    }
+    if (!revoked && verification.valid) {
+      revoked = await refreshTokenService.revokeFamily(verification.user.familyId);
+    }
+
     return res.status(200).json({
       success: true,
-      message: 'Logout successful'
+      message: 'Logout successful',
+      revoked
     });
   } catch (error) {
     console.error('Logout API error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error' 
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+/**
+ * MFA Activation API Controller (MVC Pattern)
+ * Confirms TOTP enrollment with a first code and returns recovery codes
+ */
+import { asyncHandler, authenticateOrMfaEnrollment } from '../../../../src/middleware/index.js';
+import {
+  mfaService,
+  refreshTokenService,
+  loginAttemptService,
+  userService,
+  passwordPolicyService,
+  roleService,
+  firebaseTokenService
+} from '../../../../src/services/index.js';
+import { ATTEMPT_SCOPE } from '../../../../src/services/loginAttempt.service.js';
+import { SessionModel } from '../../../../src/models/session.model.js';
+import { toSafeUser } from '../../../../lib/auth.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Signed-in users, or users enrolling during login (body.mfaToken)
+  await authenticateOrMfaEnrollment(req, res);
+
+  return await handleActivate(req, res);
+});
+
+/**
+ * POST Handler - Activate MFA
+ * When enrolling during login, also completes the login and returns tokens
+ */
+async function handleActivate(req, res) {
+  const { code } = req.body;
+
+  if (!code) {
+    return errorResponse(res, 'Verification code is required', 400);
+  }
+
+  const { recoveryCodes } = await mfaService.activateEnrollment(req.user, code);
+
+  console.log(`MFA enabled by ${req.user.username}`);
+
+  if (!req.mfaChallenge) {
+    return successResponse(res, { recoveryCodes }, 'Two-factor authentication enabled');
+  }
+
+  const user = await userService.getUserById(req.user.id, req.user.tenantId);
+
+  if (!user || user.isActive === false) {
+    return errorResponse(res, 'User not found', 401);
+  }
+
+  const sessionContext = SessionModel.fromRequest(req);
+
+  await loginAttemptService.recordSuccess(ATTEMPT_SCOPE.LOGIN, {
+    tenantId: user.tenantId,
+    identifier: user.username
+  });
+
+  const { accessToken, refreshToken } = await refreshTokenService.issueTokens(user, sessionContext);
+
+  return successResponse(res, {
+    recoveryCodes,
+    token: accessToken, // For backward compatibility
+    accessToken,
+    refreshToken,
+    firebaseToken: await firebaseTokenService.createLoginToken(user),
+    user: {
+      ...toSafeUser(user),
+      mustChangePassword: await passwordPolicyService.requiresChange(user),
+      permissions: await roleService.getPermissionsForUser(user)
+    }
+  }, 'Two-factor authentication enabled');
+}
@@ -0,0 +1,32 @@
+/**
+ * MFA Disable API Controller (MVC Pattern)
+ * Turns two-factor authentication off for the current user
+ */
+import { asyncHandler, authenticate } from '../../../../src/middleware/index.js';
+import { mfaService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'POST':
+      return await handleDisable(req, res);
+    default:
+      res.setHeader('Allow', ['POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * POST Handler - Turn MFA off
+ * Requires a current code; refused while the organization requires MFA
+ */
+async function handleDisable(req, res) {
+  await mfaService.disable(req.user, req.body?.code);
+
+  console.log(`MFA disabled by ${req.user.username}`);
+
+  return successResponse(res, null, 'Two-factor authentication disabled');
+}
@@ -0,0 +1,30 @@
+/**
+ * MFA API Controller (MVC Pattern)
+ * Two-factor authentication status of the current user
+ */
+import { asyncHandler, authenticate } from '../../../../src/middleware/index.js';
+import { mfaService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetStatus(req, res);
+    default:
+      res.setHeader('Allow', ['GET']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get MFA status
+ */
+async function handleGetStatus(req, res) {
+  const status = await mfaService.getStatus(req.user.id, req.user.tenantId);
+
+  return successResponse(res, status, 'MFA status retrieved successfully');
+}
+
@@ -0,0 +1,30 @@
+/**
+ * MFA Recovery Codes API Controller (MVC Pattern)
+ * Replaces the current user's recovery codes
+ */
+import { asyncHandler, authenticate } from '../../../../src/middleware/index.js';
+import { mfaService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'POST':
+      return await handleRegenerate(req, res);
+    default:
+      res.setHeader('Allow', ['POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * POST Handler - Generate new recovery codes
+ * Requires a current code; earlier recovery codes stop working
+ */
+async function handleRegenerate(req, res) {
+  const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(req.user, req.body?.code);
+
+  return successResponse(res, { recoveryCodes }, 'New recovery codes generated');
+}
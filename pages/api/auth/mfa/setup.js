@@ -0,0 +1,29 @@
+/**
+ * MFA Setup API Controller (MVC Pattern)
+ * Starts TOTP enrollment and returns the QR code for the authenticator app
+ */
+import { asyncHandler, authenticateOrMfaEnrollment } from '../../../../src/middleware/index.js';
+import { mfaService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Signed-in users, or users enrolling during login (body.mfaToken)
+  await authenticateOrMfaEnrollment(req, res);
+
+  return await handleStartSetup(req, res);
+});
+
+/**
+ * POST Handler - Create a new secret
+ * Returns { secret, otpauthUrl, qrCode }; confirm it at /api/auth/mfa/activate
+ */
+async function handleStartSetup(req, res) {
+  const enrollment = await mfaService.startEnrollment(req.user);
+
+  return successResponse(res, enrollment, 'Scan the QR code with your authenticator app');
+}
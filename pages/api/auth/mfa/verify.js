@@ -0,0 +1,110 @@
+// pages/api/auth/mfa/verify.js - Second login step for users with two-factor authentication
+// Exchanges the challenge from /api/auth/login plus a TOTP or recovery code for tokens
+import { verifyMfaChallengeToken, toSafeUser, MFA_CHALLENGE_PURPOSE } from '../../../../lib/auth.js';
+import {
+  refreshTokenService,
+  loginAttemptService,
+  mfaService,
+  userService,
+  passwordPolicyService,
+  roleService,
+  firebaseTokenService
+} from '../../../../src/services/index.js';
+import { ATTEMPT_SCOPE } from '../../../../src/services/loginAttempt.service.js';
+import { SessionModel } from '../../../../src/models/session.model.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, message: 'Method not allowed' });
+  }
+
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token and code are required'
+      });
+    }
+
+    const challenge = verifyMfaChallengeToken(mfaToken, MFA_CHALLENGE_PURPOSE.VERIFY);
+
+    if (!challenge.valid) {
+      return res.status(401).json({
+        success: false,
+        message: challenge.error || 'Invalid or expired verification'
+      });
+    }
+
+    const { id, username, tenantId } = challenge.user;
+    const sessionContext = SessionModel.fromRequest(req);
+
+    // Code guesses count towards the same lockout as password guesses
+    const attemptSubject = { tenantId, identifier: username, ipAddress: sessionContext.ipAddress };
+
+    const gate = await loginAttemptService.check(ATTEMPT_SCOPE.LOGIN, attemptSubject);
+    if (!gate.allowed) {
+      res.setHeader('Retry-After', String(Math.ceil(gate.retryAfterMs / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: gate.message,
+        reason: gate.reason,
+        retryAfter: Math.ceil(gate.retryAfterMs / 1000)
+      });
+    }
+
+    const user = await userService.getUserById(id, tenantId);
+
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const verification = await mfaService.verifyLoginCode(user, code);
+
+    if (!verification.valid) {
+      const failure = await loginAttemptService.recordFailure(ATTEMPT_SCOPE.LOGIN, { ...attemptSubject, user });
+
+      if (failure.locked) {
+        res.setHeader('Retry-After', String(Math.ceil((failure.lockedUntil - Date.now()) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: failure.message
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await loginAttemptService.recordSuccess(ATTEMPT_SCOPE.LOGIN, attemptSubject);
+
+    const { accessToken, refreshToken } = await refreshTokenService.issueTokens(user, sessionContext);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token: accessToken, // For backward compatibility
+      accessToken,
+      refreshToken,
+      firebaseToken: await firebaseTokenService.createLoginToken(user),
+      user: {
+        ...toSafeUser(user),
+        mustChangePassword: await passwordPolicyService.requiresChange(user),
+        permissions: await roleService.getPermissionsForUser(user)
+      },
+      mfaMethod: verification.method,
+      recoveryCodesRemaining: verification.recoveryCodesRemaining
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error: ' + error.message
+    });
+  }
+}
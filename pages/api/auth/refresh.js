@@ -1,6 +1,7 @@
 // pages/api/auth/refresh.js - Token refresh endpoint
-import { verifyToken, generateToken } from '../../../lib/auth.js';
-import { loadUsers } from '../../../lib/firebaseService.js';
+// Rotates the refresh token on every call; reusing an old one revokes its whole family
+import { refreshTokenService, passwordPolicyService, roleService } from '../../../src/services/index.js';
+import { SessionModel } from '../../../src/models/session.model.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -17,59 +18,42 @@ export default async function handler(req, res) {
       });
     }
 
-    // Verify the refresh token
-    const verification = verifyToken(refreshToken);
-
-    if (!verification.valid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired refresh token'
-      });
-    }
-
-    // Get current user data from database
-    const users = await loadUsers();
-    const user = users.find(u =>
-      u.username && u.username.toLowerCase() === verification.user.username.toLowerCase()
-    );
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Generate new access token with current user data
-    const newAccessToken = generateToken(user);
-
-    // Generate new refresh token (longer expiration)
-    const newRefreshToken = generateToken({
-      ...user,
-      tokenType: 'refresh'
+    const result = await refreshTokenService.rotate(refreshToken, {
+      ipAddress: SessionModel.fromRequest(req).ipAddress
     });
+    const user = result.user;
 
     // Return new tokens
     return res.status(200).json({
       success: true,
       message: 'Tokens refreshed successfully',
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
+      token: result.accessToken, // For backward compatibility
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
       user: {
         id: user.id,
         username: user.username,
         role: user.role || 'user',
         email: user.email || '',
         tenantId: user.tenantId,
-        profileImage: user.profileImage || null
+        profileImage: user.profileImage || null,
+        mustChangePassword: await passwordPolicyService.requiresChange(user),
+        permissions: await roleService.getPermissionsForUser(user)
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Token refresh error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
   }
-}
\ No newline at end of file
+}
@@ -1,7 +1,49 @@
 // pages/api/auth/reset-password.js
-import { resetPasswordWithToken } from '../../../lib/firebaseService.js';
+// Handles both self-service reset links and admin-issued set-password links
+import { resetPasswordWithToken, verifyPasswordResetToken } from '../../../lib/firebaseService.js';
+import { passwordPolicyService } from '../../../src/services/index.js';
+import { validatePasswordAgainstPolicy } from '../../../src/utils/passwordPolicy.util.js';
+
+// GET ?token= - check a link before showing the form, and return the policy to meet
+async function handleCheckToken(req, res) {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token is required'
+    });
+  }
+
+  const verification = await verifyPasswordResetToken(token);
+
+  if (!verification.valid) {
+    return res.status(400).json({
+      success: false,
+      message: verification.message
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    username: verification.username,
+    passwordPolicy: await passwordPolicyService.getPolicy(verification.tenantId)
+  });
+}
 
 export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      return await handleCheckToken(req, res);
+    } catch (error) {
+      console.error('Reset token check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while checking your link. Please try again.'
+      });
+    }
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({
       success: false,
@@ -20,11 +62,26 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate password strength
-    if (password.length < 6) {
+    const verification = await verifyPasswordResetToken(token);
+
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: verification.message
+      });
+    }
+
+    // Validate password against the policy of the user's organization
+    const policyErrors = validatePasswordAgainstPolicy(
+      password,
+      await passwordPolicyService.getPolicy(verification.tenantId)
+    );
+
+    if (policyErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: policyErrors[0].message,
+        errors: policyErrors
       });
     }
 
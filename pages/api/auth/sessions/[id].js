@@ -0,0 +1,39 @@
+/**
+ * Individual Session API Controller (MVC Pattern)
+ * Terminates a single signed-in session
+ */
+import { asyncHandler, authenticate } from '../../../../src/middleware/index.js';
+import { sessionService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const sessionId = query.id;
+
+  if (!sessionId) {
+    return errorResponse(res, 'Session ID is required', 400);
+  }
+
+  switch (method) {
+    case 'DELETE':
+      return await handleTerminateSession(req, res, sessionId);
+    default:
+      res.setHeader('Allow', ['DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * DELETE Handler - Terminate a session
+ * Users may terminate their own sessions, user managers any session in the tenant
+ */
+async function handleTerminateSession(req, res, sessionId) {
+  const session = await sessionService.terminateSession(sessionId, req.user);
+
+  console.log(`Session ${sessionId} of ${session.username} terminated by ${req.user.username}`);
+
+  return successResponse(res, session, 'Session terminated successfully');
+}
@@ -0,0 +1,77 @@
+/**
+ * Sessions API Controller (MVC Pattern)
+ * Lists a user's signed-in sessions and terminates all of them
+ */
+import { asyncHandler, authenticate, hasPermission } from '../../../../src/middleware/index.js';
+import { sessionService, refreshTokenService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetSessions(req, res);
+    case 'DELETE':
+      return await handleTerminateAllSessions(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * Resolve whose sessions are requested
+ * Users may only act on their own sessions, user managers on any user in the tenant
+ */
+async function resolveUsername(req) {
+  const currentUser = req.user;
+  const username = req.query.username || currentUser.username;
+
+  if (username !== currentUser.username && !(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+    return null;
+  }
+
+  return username;
+}
+
+/**
+ * GET Handler - List sessions
+ * Query: username (user managers only for other users), includeInactive=true
+ */
+async function handleGetSessions(req, res) {
+  const username = await resolveUsername(req);
+  if (!username) {
+    return errorResponse(res, 'Access denied', 403);
+  }
+
+  const sessions = await sessionService.getUserSessions(username, req.user.tenantId, {
+    currentSessionId: req.user.familyId,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  return successResponse(res, sessions, 'Sessions retrieved successfully');
+}
+
+/**
+ * DELETE Handler - Terminate every session of a user
+ * Query: username (user managers only for other users)
+ */
+async function handleTerminateAllSessions(req, res) {
+  const username = await resolveUsername(req);
+  if (!username) {
+    return errorResponse(res, 'Access denied', 403);
+  }
+
+  const revoked = await refreshTokenService.revokeAllForUser(
+    username,
+    req.user.tenantId,
+    req.user.username
+  );
+
+  console.log(`All sessions of ${username} terminated by ${req.user.username}`);
+
+  return successResponse(res, { revoked }, 'All sessions terminated successfully');
+}
@@ -5,7 +5,7 @@ export default async function handler(req, res) {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
-  const verification = verifyTokenFromRequest(req);
+  const verification = await verifyTokenFromRequest(req);
 
   if (verification.valid) {
     return res.status(200).json({ success: true, user: verification.user });
@@ -1,27 +1,8 @@
 // pages/api/clients.js - Client List Management API
 
 import { getClients, addClient, updateClient, deleteClient } from '../../lib/firebaseService.js';
-import jwt from 'jsonwebtoken';
-
-// Helper function to verify JWT token
-const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
-};
-
-// Helper function to extract username from token
-const getUsernameFromToken = (authHeader) => {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-
-  const token = authHeader.split(' ')[1];
-  const decoded = verifyToken(token);
-  return decoded ? decoded.username : null;
-};
+import { asyncHandler, authenticate, requirePermission } from '../../src/middleware/index.js';
+import { PERMISSIONS } from '../../src/utils/permissions.util.js';
 
 // Default client list
 const getDefaultClients = () => [
@@ -122,7 +103,7 @@ const validateClientName = (name) => {
   return errors;
 };
 
-export default async function handler(req, res) {
+export default asyncHandler(async (req, res) => {
   // Set CORS headers for all requests
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
@@ -134,20 +115,20 @@ export default async function handler(req, res) {
   }
 
   // Verify authentication for all requests
-  const authHeader = req.headers.authorization;
-  const username = getUsernameFromToken(authHeader);
-
-  if (!username) {
-    console.log('❌ Authentication failed:', authHeader ? 'Invalid token' : 'Missing token');
-    return res.status(401).json({
-      success: false,
-      message: 'Unauthorized: Invalid or missing token'
-    });
+  await authenticate(req, res);
+
+  // Task assigners pick a client from this list, so they may read and extend it;
+  // migrating the default clients is client management only
+  if (req.method === 'GET') {
+    await requirePermission(PERMISSIONS.CLIENTS_READ, PERMISSIONS.TASKS_ASSIGN)(req, res);
+  } else if (req.method === 'POST') {
+    const permissions = req.body?.action === 'migrate_defaults'
+      ? [PERMISSIONS.CLIENTS_WRITE]
+      : [PERMISSIONS.CLIENTS_WRITE, PERMISSIONS.TASKS_ASSIGN];
+    await requirePermission(...permissions)(req, res);
   }
 
-  // Get user info from token
-  const decoded = verifyToken(authHeader.split(' ')[1]);
-  const tenantId = decoded?.tenantId;
+  const { username, tenantId } = req.user;
 
   console.log(`🔍 Clients API - ${req.method} request from ${username}`);
 
@@ -403,4 +384,4 @@ export default async function handler(req, res) {
       })
     });
   }
-}
\ No newline at end of file
+});
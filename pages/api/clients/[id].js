@@ -6,18 +6,24 @@ import {
   getClientTasks,
   getClientActivities 
 } from '../../../lib/firebaseService';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id } = req.query;
 
+  req.user = user;
+
   if (!id) {
     return res.status(400).json({ success: false, message: 'Client ID is required' });
   }
@@ -148,10 +154,10 @@ async function handleUpdateClient(req, res, user, clientId, tenantId) {
 async function handleDeleteClient(req, res, user, clientId, tenantId) {
   try {
     // Check if user has permission to delete clients
-    if (user.role?.toLowerCase() !== 'admin') {
+    if (!(await hasPermission(req, PERMISSIONS.CLIENTS_DELETE))) {
       return res.status(403).json({
         success: false,
-        message: 'Only administrators can delete clients'
+        message: 'clients:delete permission required to delete clients'
       });
     }
 
@@ -2,14 +2,17 @@ import { verifyTokenFromRequest } from '../../../../lib/auth';
 import { getClientById, logActivity, getTasks } from '../../../../lib/firebaseService';
 import { adminDb } from '../../../../lib/firebase-admin';
 import admin from 'firebase-admin';
+import { auditRequest } from '../../../../src/middleware/index.js';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id: clientId } = req.query;
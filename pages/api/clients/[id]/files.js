@@ -7,6 +7,8 @@ import fs from 'fs';
 import path from 'path';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
+import { hasPermission, auditRequest } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 // Helper function to format file size
 const formatFileSize = (bytes) => {
@@ -74,15 +76,19 @@ export const config = {
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id: clientId } = req.query;
 
+  req.user = user;
+
   if (!clientId) {
     return res.status(400).json({ success: false, message: 'Client ID is required' });
   }
@@ -429,6 +435,14 @@ async function handleDeleteClientFile(req, res, clientId, user, tenantId) {
       return res.status(403).json({ success: false, message: 'File does not belong to this client' });
     }
 
+    // Check permissions - only the uploader or a role with files:delete can delete
+    if (user.username !== fileData.uploadedBy && !(await hasPermission(req, PERMISSIONS.FILES_DELETE))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this file'
+      });
+    }
+
     // Delete physical file
     try {
       if (fileData.uploadPath && fs.existsSync(fileData.uploadPath)) {
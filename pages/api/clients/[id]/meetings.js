@@ -3,18 +3,24 @@ import { verifyTokenFromRequest } from '../../../../lib/auth';
 import { getClientById, logActivity } from '../../../../lib/firebaseService';
 import { adminDb } from '../../../../lib/firebase-admin';
 import admin from 'firebase-admin';
+import { hasPermission, auditRequest } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id: clientId } = req.query;
 
+  req.user = user;
+
   if (!clientId) {
     return res.status(400).json({ success: false, message: 'Client ID is required' });
   }
@@ -302,7 +308,7 @@ async function handleUpdateMeeting(req, res, clientId, user, tenantId) {
     const meetingData = meetingSnapshot.data();
 
     // Check permissions
-    if (meetingData.createdBy !== user.username && user.role !== 'admin') {
+    if (meetingData.createdBy !== user.username && !(await hasPermission(req, PERMISSIONS.CLIENTS_WRITE))) {
       return res.status(403).json({ success: false, message: 'Not authorized to update this meeting' });
     }
 
@@ -368,7 +374,7 @@ async function handleDeleteMeeting(req, res, clientId, user, tenantId) {
     const meetingData = meetingSnapshot.data();
 
     // Check permissions
-    if (meetingData.createdBy !== user.username && user.role !== 'admin') {
+    if (meetingData.createdBy !== user.username && !(await hasPermission(req, PERMISSIONS.CLIENTS_WRITE))) {
       return res.status(403).json({ success: false, message: 'Not authorized to cancel this meeting' });
     }
 
@@ -2,17 +2,23 @@ import { verifyTokenFromRequest } from '../../../../lib/auth';
 import { getClientById } from '../../../../lib/firebaseService';
 import { adminDb } from '../../../../lib/firebase-admin';
 import admin from 'firebase-admin';
+import { hasPermission, auditRequest } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   const { user } = authResult;
   const tenantId = user.tenantId;
   const { id: clientId } = req.query;
 
+  req.user = user;
+
   if (!clientId) {
     return res.status(400).json({ success: false, message: 'Client ID is required' });
   }
@@ -121,9 +127,9 @@ async function handleGetNotes(req, res, clientId, user, tenantId) {
 }
 
 async function handleCreateNote(req, res, clientId, user, tenantId) {
-  // Only admins can create notes
-  if (user.role !== 'admin') {
-    return res.status(403).json({ success: false, message: 'Only admins can add notes' });
+  // Only roles with clients:write can create notes
+  if (!(await hasPermission(req, PERMISSIONS.CLIENTS_WRITE))) {
+    return res.status(403).json({ success: false, message: 'clients:write permission required to add notes' });
   }
 
   // Handle default clients - they're allowed to have notes
@@ -218,21 +224,21 @@ async function handleUpdateNote(req, res, clientId, user, tenantId) {
     return res.status(403).json({ success: false, message: 'Not authorized' });
   }
 
-  const isAdmin = user.role === 'admin';
+  const canWrite = await hasPermission(req, PERMISSIONS.CLIENTS_WRITE);
   const isAssignee = existing.pocName === user.username;
 
-  // Only admin or assigned user can edit
-  if (!isAdmin && !isAssignee) {
+  // Only clients:write or assigned user can edit
+  if (!canWrite && !isAssignee) {
     return res.status(403).json({ success: false, message: 'Not authorized to edit this note' });
   }
 
-  // Admin can only edit within 2 hours of note creation
-  if (isAdmin && !isAssignee) {
+  // clients:write can only edit others' notes within 2 hours of note creation
+  if (canWrite && !isAssignee) {
     const createdAt = existing.createdAt?.toDate?.() || new Date(existing.createdAt);
     const now = new Date();
     const twoHoursMs = 2 * 60 * 60 * 1000;
     if (now - createdAt > twoHoursMs) {
-      return res.status(403).json({ success: false, message: 'Edit window expired. Admins can only edit notes within 2 hours of creation.' });
+      return res.status(403).json({ success: false, message: 'Edit window expired. Notes of other users can only be edited within 2 hours of creation.' });
     }
   }
 
@@ -274,7 +280,7 @@ async function handleUpdateNote(req, res, clientId, user, tenantId) {
   } : {};
 
   // Assignee can only update status, outcome, and blockers
-  const updateData = isAssignee && !isAdmin ? {
+  const updateData = isAssignee && !canWrite ? {
     ...(status !== undefined && { status }),
     ...(outcome !== undefined && { outcome: outcome.trim() }),
     ...(blockers !== undefined && { blockers: blockers.trim() }),
@@ -344,8 +350,8 @@ async function handleDeleteNote(req, res, clientId, user, tenantId) {
     return res.status(403).json({ success: false, message: 'Not authorized' });
   }
 
-  if (user.role !== 'admin') {
-    return res.status(403).json({ success: false, message: 'Only admins can delete notes' });
+  if (!(await hasPermission(req, PERMISSIONS.CLIENTS_WRITE))) {
+    return res.status(403).json({ success: false, message: 'clients:write permission required to delete notes' });
   }
 
   await docRef.delete();
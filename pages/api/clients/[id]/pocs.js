@@ -2,17 +2,23 @@ import { verifyTokenFromRequest } from '../../../../lib/auth';
 import { getClientById } from '../../../../lib/firebaseService';
 import { adminDb } from '../../../../lib/firebase-admin';
 import admin from 'firebase-admin';
+import { hasPermission, auditRequest } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   const { user } = authResult;
   const tenantId = user.tenantId;
   const { id: clientId } = req.query;
 
+  req.user = user;
+
   if (!clientId) {
     return res.status(400).json({ success: false, message: 'Client ID is required' });
   }
@@ -168,7 +174,7 @@ async function handleDeletePOC(req, res, clientId, user, tenantId) {
     return res.status(403).json({ success: false, message: 'Not authorized' });
   }
 
-  if (existing.createdBy !== user.username && user.role !== 'admin') {
+  if (existing.createdBy !== user.username && !(await hasPermission(req, PERMISSIONS.CLIENTS_WRITE))) {
     return res.status(403).json({ success: false, message: 'Not authorized to delete this POC' });
   }
 
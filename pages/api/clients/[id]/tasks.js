@@ -8,7 +8,7 @@ export default async function handler(req, res) {
   }
 
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
@@ -5,17 +5,23 @@ import {
   searchClients,
   getClientAnalytics 
 } from '../../../lib/firebaseService';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
 
+  req.user = user;
+
   try {
     switch (req.method) {
       case 'GET':
@@ -65,10 +71,10 @@ async function handleGetClients(req, res, user, tenantId) {
       clients = await getClientsWithData(tenantId);
     }
 
-    // Show all clients for admin users, or only assigned clients for regular users
+    // Show all clients with clients:read, or only assigned clients otherwise
     let filteredClients = clients;
     
-    if (user.role?.toLowerCase() !== 'admin') {
+    if (!(await hasPermission(req, PERMISSIONS.CLIENTS_READ))) {
       const assignedClients = [];
       
       for (const client of clients) {
@@ -1,30 +1,30 @@
 // pages/api/daily-tasks.js (FIXED VERSION with Debug Logging)
 
 import { addDailyTask, getDailyTasks, getAllUsersDailyTasks, getDailyTaskAnalytics, deleteDailyTask, getTodayAttendance, updateAttendanceRecord } from '../../lib/firebaseService.js';
-import jwt from 'jsonwebtoken';
+import { verifyToken as verifyAuthToken } from '../../lib/auth.js';
 import { getIndiaTime, getIndiaDate } from '../../lib/timezone.js';
 import { broadcastNotification } from './notifications/stream.js';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../src/utils/permissions.util.js';
+import { teamService, timeTrackingService } from '../../src/services/index.js';
 
 // Helper function to generate unique task IDs
 const generateTaskId = () => `task_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
 
-// Helper function to verify JWT token
-const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
+// Helper function to verify JWT token (access tokens only)
+const verifyToken = async (token) => {
+  const result = await verifyAuthToken(token);
+  return result.valid ? result.user : null;
 };
 
 // Helper function to extract username from token
-const getUsernameFromToken = (authHeader) => {
+const getUsernameFromToken = async (authHeader) => {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return null;
   }
   
   const token = authHeader.split(' ')[1];
-  const decoded = verifyToken(token);
+  const decoded = await verifyToken(token);
   return decoded ? decoded.username : null;
 };
 
@@ -119,7 +119,9 @@ const processTaskData = (tasks) => {
     description: task.description.trim(),
     category: task.category,
     timeSpent: Math.round(task.timeSpent * 100) / 100,
-    priority: task.priority || 'medium'
+    priority: task.priority || 'medium',
+    // Set when the row came from tracked time, so it isn't offered again
+    ...(task.taskId && { taskId: task.taskId })
   }));
 };
 
@@ -136,7 +138,7 @@ export default async function handler(req, res) {
 
   // Verify authentication for all requests
   const authHeader = req.headers.authorization;
-  const username = getUsernameFromToken(authHeader);
+  const username = await getUsernameFromToken(authHeader);
 
   if (!username) {
     console.log('❌ Authentication failed:', authHeader ? 'Invalid token' : 'Missing token');
@@ -146,14 +148,15 @@ export default async function handler(req, res) {
     });
   }
 
-  // Get user role and tenantId for admin-only operations
-  const decoded = verifyToken(authHeader.split(' ')[1]);
-  const isAdmin = decoded && decoded.role && decoded.role.toLowerCase() === 'admin';
+  // Get user role and tenantId for permission checks
+  const decoded = await verifyToken(authHeader.split(' ')[1]);
+  req.user = decoded;
+  auditRequest(req, res);
 
   // Multi-tenancy: Extract tenantId from authenticated request
   const tenantId = decoded?.tenantId;
 
-  console.log(`🔍 Daily Tasks API - ${req.method} request from ${username} (${isAdmin ? 'admin' : 'user'})`);
+  console.log(`🔍 Daily Tasks API - ${req.method} request from ${username} (${decoded?.role || 'user'})`);
 
   try {
     if (req.method === 'POST') {
@@ -242,37 +245,71 @@ export default async function handler(req, res) {
 
     } else if (req.method === 'GET') {
       // Handle daily task retrieval
-      const { date, startDate, endDate, allUsers, analytics, user: targetUser } = req.query;
+      const { date, startDate, endDate, allUsers, analytics, teamId, user: targetUser } = req.query;
 
       console.log('📖 Fetching daily tasks:', {
-        date, startDate, endDate, allUsers, analytics, targetUser,
-        requestedBy: username, isAdmin
+        date, startDate, endDate, allUsers, analytics, teamId, targetUser,
+        requestedBy: username
       });
 
       let filters = { tenantId };
 
-      // Check permissions for viewing other users' data
-      if (allUsers === 'true' || targetUser) {
-        if (!isAdmin) {
-          console.log('❌ Non-admin trying to access all users data');
+      // Viewing other users' data needs tasks:read covering the requested user;
+      // for all users, team-scoped readers only get their org subtree
+      const viewsOthers = allUsers === 'true' || (targetUser && targetUser !== username);
+      let canViewOthers = false;
+      let visibleUsernames = null;
+
+      if (viewsOthers) {
+        canViewOthers = await hasPermission(req, PERMISSIONS.TASKS_READ) &&
+          (!targetUser || isInPermissionScope(req, targetUser));
+
+        if (canViewOthers && req.permissionScope === PERMISSION_SCOPE.TEAM) {
+          visibleUsernames = req.teamUsernames;
+        }
+
+        if (!canViewOthers) {
+          console.log('❌ User without tasks:read trying to access other users data');
           return res.status(403).json({
             success: false,
-            message: 'Forbidden: Admin access required to view all users data'
+            message: 'Forbidden: Permission to view other users\' data required'
           });
         }
-        console.log('✅ Admin accessing all users data');
+        console.log('✅ Accessing other users data');
       } else {
-        // Regular user can only see their own data
+        // Own data only
         filters.username = username;
         console.log('👤 User accessing own data only');
       }
 
-      // Apply specific user filter for admin requests
-      if (targetUser && isAdmin) {
+      // Apply specific user filter
+      if (targetUser && (canViewOthers || targetUser === username)) {
         filters.username = targetUser;
-        console.log('🎯 Admin viewing specific user:', targetUser);
+        console.log('🎯 Viewing specific user:', targetUser);
       }
 
+      // Optional team filter for all users: members of the team and its sub-teams
+      if (allUsers === 'true' && canViewOthers && teamId) {
+        const teamUsernames = await teamService.getTeamUsernames(teamId, tenantId);
+
+        if (!teamUsernames) {
+          return res.status(404).json({
+            success: false,
+            message: 'Team not found'
+          });
+        }
+
+        visibleUsernames = visibleUsernames
+          ? visibleUsernames.filter(member => teamUsernames.includes(member))
+          : teamUsernames;
+        console.log('👥 Filtering by team:', teamId);
+      }
+
+      // Analytics need reports:view covering the users in the result
+      const canViewAnalytics = analytics === 'true' &&
+        await hasPermission(req, PERMISSIONS.REPORTS_VIEW) &&
+        (filters.username ? isInPermissionScope(req, filters.username) : req.permissionScope === PERMISSION_SCOPE.ALL);
+
       // Apply date filters
       if (date) {
         filters.date = date;
@@ -298,7 +335,7 @@ export default async function handler(req, res) {
 
       console.log('🔍 Applied filters:', filters);
 
-      if (analytics === 'true' && isAdmin) {
+      if (canViewAnalytics) {
         console.log('📊 Fetching analytics data...');
         const analyticsData = await getDailyTaskAnalytics(filters);
         console.log('📊 Analytics data retrieved:', {
@@ -310,9 +347,12 @@ export default async function handler(req, res) {
           success: true,
           analytics: analyticsData
         });
-      } else if (allUsers === 'true' && isAdmin) {
+      } else if (allUsers === 'true' && canViewOthers) {
         console.log('👥 Fetching all users data...');
-        const allUsersData = await getAllUsersDailyTasks(filters);
+        const allUsersData = await getAllUsersDailyTasks({
+          ...filters,
+          ...(visibleUsernames ? { usernames: visibleUsernames } : {})
+        });
         console.log('👥 All users data retrieved:', {
           entryCount: allUsersData.dailyTasks?.length || 0,
           uniqueUsers: allUsersData.summary?.uniqueUsers || 0
@@ -369,6 +409,16 @@ export default async function handler(req, res) {
           console.log('📊 Stats calculated:', response.stats);
         }
 
+        // Time tracked on tasks that day, for pre-filling the user's own log
+        if (date && filters.username === username) {
+          try {
+            response.trackedTasks = await timeTrackingService.getDailyLogTasks(username, tenantId, date);
+          } catch (trackingError) {
+            console.error('Failed to load tracked time:', trackingError);
+            response.trackedTasks = [];
+          }
+        }
+
         return res.status(200).json(response);
       }
 
@@ -442,8 +492,11 @@ export default async function handler(req, res) {
       }
 
       // Check permissions for deletion
-      if (targetUsername && targetUsername !== username && !isAdmin) {
-        console.log('❌ Non-admin trying to delete other user entry');
+      const canDeleteTarget = targetUsername && targetUsername !== username &&
+        await hasPermission(req, PERMISSIONS.TASKS_DELETE) && isInPermissionScope(req, targetUsername);
+
+      if (targetUsername && targetUsername !== username && !canDeleteTarget) {
+        console.log('❌ User without tasks:delete trying to delete other user entry');
         return res.status(403).json({
           success: false,
           message: 'Forbidden: Cannot delete other users\' entries'
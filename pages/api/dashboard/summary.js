@@ -1,6 +1,8 @@
 // pages/api/dashboard.js - Clean version without debug statements
 import { requireAuth } from '../../../lib/auth.js';
 import { getDashboardSummary, getUserPerformanceSummary } from '../../../lib/firebaseService.js';
+import { hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 
 async function handler(req, res) {
@@ -12,10 +14,13 @@ async function handler(req, res) {
       // Get basic dashboard summary
       const summary = await getDashboardSummary(null, tenantId);
 
-      // Get user performance data if admin
+      // Get user performance data for report viewers, limited to their scope
       let performance = {};
-      if (req.user.role?.toLowerCase() === 'admin') {
-        performance = await getUserPerformanceSummary(tenantId);
+      if (await hasPermission(req, PERMISSIONS.REPORTS_VIEW)) {
+        const allPerformance = await getUserPerformanceSummary(tenantId);
+        performance = Object.fromEntries(
+          Object.entries(allPerformance).filter(([username]) => isInPermissionScope(req, username))
+        );
       }
       
       return res.status(200).json({ 
@@ -1,19 +1,25 @@
 import { verifyTokenFromRequest } from '../../../lib/auth';
 import { getFileById, deleteFile } from '../../../lib/firebaseService';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 import fs from 'fs';
 import path from 'path';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id } = req.query;
 
+  req.user = user;
+
   if (!id) {
     return res.status(400).json({ success: false, message: 'File ID is required' });
   }
@@ -76,8 +82,8 @@ async function handleDeleteFile(req, res, user, fileId, tenantId) {
       });
     }
 
-    // Check permissions - only admin or file uploader can delete
-    if (user.role?.toLowerCase() !== 'admin' && user.username !== file.uploadedBy) {
+    // Check permissions - only the uploader or a role with files:delete can delete
+    if (user.username !== file.uploadedBy && !(await hasPermission(req, PERMISSIONS.FILES_DELETE))) {
       return res.status(403).json({ 
         success: false, 
         message: 'You do not have permission to delete this file' 
@@ -1,6 +1,8 @@
 // pages/api/files/recent.js - API endpoint for getting recent files
 import { requireAuth } from '../../../lib/auth.js';
 import { getFiles } from '../../../lib/firebaseService.js';
+import { hasPermission } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 async function handler(req, res) {
   console.log('🔐 Incoming request to /api/files/recent');
@@ -21,8 +23,8 @@ async function handler(req, res) {
         filters.type = type;
       }
 
-      // For non-admin users, only show files they uploaded
-      if (req.user.role?.toLowerCase() !== 'admin') {
+      // Without files:read, only show files they uploaded
+      if (!(await hasPermission(req, PERMISSIONS.FILES_READ))) {
         filters.uploadedBy = req.user.username;
       }
 
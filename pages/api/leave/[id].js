@@ -0,0 +1,92 @@
+/**
+ * Leave Request API Controller (MVC Pattern)
+ * Gets one leave request; approves, rejects or cancels it
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { leaveService, whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { broadcastNotification } from '../notifications/stream';
+
+/**
+ * Whether the user reviews this user's leave
+ */
+const canReview = async (req, username) => (
+  await hasPermission(req, PERMISSIONS.LEAVE_APPROVE) && isInPermissionScope(req, username)
+);
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+  const request = await leaveService.getRequest(req.query.id, tenantId);
+  const isOwn = request.username === username;
+
+  switch (req.method) {
+    case 'GET': {
+      if (!isOwn &&
+          !((await hasPermission(req, PERMISSIONS.LEAVE_APPROVE, PERMISSIONS.ATTENDANCE_READ)) &&
+            isInPermissionScope(req, request.username))) {
+        throw new ForbiddenError('You do not have permission to view this leave request');
+      }
+
+      return successResponse(res, { request }, 'Leave request retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { action: 'approve' | 'reject' | 'cancel', comment? }
+      const { action, comment } = req.body || {};
+
+      if (action === 'cancel') {
+        // The applicant withdraws it, or a reviewer revokes it
+        if (!isOwn && !(await canReview(req, request.username))) {
+          throw new ForbiddenError('You do not have permission to cancel this leave request');
+        }
+
+        const updated = await leaveService.cancelRequest(request);
+        setAuditContext(req, { action: 'leave.cancel', before: request, after: updated });
+        return successResponse(res, { request: updated }, 'Leave request cancelled successfully');
+      }
+
+      if (!(await canReview(req, request.username))) {
+        throw new ForbiddenError('You do not have permission to review this leave request');
+      }
+
+      const updated = await leaveService.reviewRequest(request, action, comment, username);
+      setAuditContext(req, { action: `leave.${action}`, before: request, after: updated });
+
+      const approved = action === 'approve';
+      await broadcastNotification({
+        type: approved ? 'leave_approved' : 'leave_rejected',
+        title: approved ? 'Leave Approved' : 'Leave Rejected',
+        message: `${username} ${approved ? 'approved' : 'rejected'} your ${request.type} leave from ${request.startDate} to ${request.endDate}${updated.reviewComment ? `: "${updated.reviewComment}"` : ''}`,
+        timestamp: new Date().toISOString(),
+        priority: 'medium',
+        data: {
+          leaveRequestId: request.id,
+          reviewedBy: username,
+          status: updated.status
+        }
+      }, { tenantId, username: request.username });
+      await whatsappService.notifyLeaveDecision(tenantId, updated);
+
+      return successResponse(
+        res,
+        { request: updated },
+        `Leave request ${approved ? 'approved' : 'rejected'} successfully`
+      );
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
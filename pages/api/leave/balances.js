@@ -0,0 +1,61 @@
+/**
+ * Leave Balances API Controller (MVC Pattern)
+ * A user's leave balances for a year, and manual adjustments to them
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope,
+  requirePermission,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { leaveService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ForbiddenError, ValidationError } from '../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { getIndiaDate } from '../../../lib/timezone.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      // ?user= (self) and ?year= (this year)
+      const targetUser = req.query.user || username;
+      if (targetUser !== username &&
+          !((await hasPermission(req, PERMISSIONS.LEAVE_APPROVE, PERMISSIONS.ATTENDANCE_READ)) &&
+            isInPermissionScope(req, targetUser))) {
+        throw new ForbiddenError("You do not have permission to view this user's leave");
+      }
+
+      const year = req.query.year ? Number(req.query.year) : Number(getIndiaDate().slice(0, 4));
+      if (!Number.isInteger(year)) {
+        throw new ValidationError('Year must be a number');
+      }
+
+      const balances = await leaveService.getBalances(targetUser, tenantId, year);
+      return successResponse(res, { username: targetUser, ...balances }, 'Leave balances retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { username, year, type, adjustment }; sets the year's manual adjustment for the type
+      await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+      const balances = await leaveService.adjustBalance(req.body || {}, tenantId);
+      setAuditContext(req, {
+        resourceId: `${req.body.username}_${req.body.year}`,
+        after: { type: req.body.type, adjustment: req.body.adjustment }
+      });
+
+      return successResponse(res, { username: req.body.username, ...balances }, 'Leave balance adjusted successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * Leave Requests API Controller (MVC Pattern)
+ * Lists leave requests and applies for leave
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { leaveService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../src/utils/errors.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { broadcastNotification } from '../notifications/stream';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      // Own requests by default; ?user= for one user, ?all=true for everyone whose leave the user reviews
+      const { user, all, status, year } = req.query;
+
+      if (all === 'true') {
+        if (!(await hasPermission(req, PERMISSIONS.LEAVE_APPROVE))) {
+          throw new ForbiddenError('You do not have permission to review leave');
+        }
+
+        const requests = await leaveService.listRequests(tenantId, { status, year });
+        const visible = req.permissionScope === PERMISSION_SCOPE.ALL
+          ? requests
+          : requests.filter(request => isInPermissionScope(req, request.username));
+
+        return successResponse(res, { requests: visible }, 'Leave requests retrieved successfully');
+      }
+
+      const targetUser = user || username;
+      if (targetUser !== username &&
+          !((await hasPermission(req, PERMISSIONS.LEAVE_APPROVE, PERMISSIONS.ATTENDANCE_READ)) &&
+            isInPermissionScope(req, targetUser))) {
+        throw new ForbiddenError("You do not have permission to view this user's leave");
+      }
+
+      const requests = await leaveService.listRequests(tenantId, { username: targetUser, status, year });
+      return successResponse(res, { requests }, 'Leave requests retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { type, startDate, endDate?, halfDay?, reason? }; always for the signed-in user
+      const request = await leaveService.applyLeave(req.body || {}, username, tenantId);
+      setAuditContext(req, { resourceId: request.id, action: 'leave.apply', after: request });
+
+      const approver = await leaveService.getApprover(username, tenantId);
+      const period = request.startDate === request.endDate
+        ? request.startDate
+        : `${request.startDate} to ${request.endDate}`;
+
+      await broadcastNotification({
+        type: 'leave_requested',
+        title: 'Leave Request',
+        message: `${username} applied for ${request.halfDay ? 'a half day of ' : ''}${request.type} leave on ${period} (${request.days} day${request.days === 1 ? '' : 's'})`,
+        timestamp: new Date().toISOString(),
+        priority: 'medium',
+        data: {
+          leaveRequestId: request.id,
+          username,
+          type: request.type,
+          startDate: request.startDate,
+          endDate: request.endDate
+        }
+      }, approver ? { tenantId, username: approver } : { tenantId, role: 'admin' });
+
+      return successResponse(res, { request }, 'Leave request submitted successfully', 201);
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
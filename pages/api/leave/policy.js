@@ -0,0 +1,42 @@
+/**
+ * Leave Policy API Controller (MVC Pattern)
+ * The organization's allowance, accrual and carry-forward per leave type
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { leaveService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const policy = await leaveService.getPolicy(tenantId);
+      return successResponse(res, policy, 'Leave policy retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { types: { casual: { annualAllowance?, accrual?, carryForwardLimit? }, ... } }
+      await requirePermission(PERMISSIONS.ATTENDANCE_SETTINGS)(req, res);
+
+      const before = await leaveService.getPolicy(tenantId);
+      const policy = await leaveService.updatePolicy(tenantId, req.body || {}, username);
+      setAuditContext(req, { resourceId: tenantId, before, after: policy });
+
+      return successResponse(res, policy, 'Leave policy updated successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -1,13 +1,17 @@
 import { verifyTokenFromRequest } from '../../../lib/auth';
 import { getMeetings, addMeeting } from '../../../lib/firebaseService';
+import { auditRequest } from '../../../src/middleware/index.js';
+import { broadcastNotification } from '../notifications/stream';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
 
@@ -111,7 +115,30 @@ async function handleCreateMeeting(req, res, user, tenantId) {
     };
 
     const newMeeting = await addMeeting(meetingData, tenantId);
-    
+
+    // Invite attendees (usernames, or { username } entries) on their chosen channels
+    const invitees = [...new Set(
+      meetingData.attendees
+        .map(attendee => (typeof attendee === 'string' ? attendee : attendee?.username))
+        .filter(username => username && username !== user.username)
+    )];
+
+    await Promise.all(invitees.map(username => broadcastNotification({
+      type: 'meeting_invite',
+      title: 'Meeting Invite',
+      message: `${user.username} invited you to "${meetingData.title}" on ${meetingData.date} at ${meetingData.startTime}`,
+      timestamp: new Date().toISOString(),
+      priority: 'medium',
+      data: {
+        meetingId: newMeeting?.id,
+        title: meetingData.title,
+        date: meetingData.date,
+        startTime: meetingData.startTime,
+        invitedBy: user.username,
+        meetingLink: meetingData.meetingLink
+      }
+    }, { tenantId, username })));
+
     res.status(201).json({ 
       success: true, 
       meeting: newMeeting,
@@ -0,0 +1,40 @@
+/**
+ * Notification API Controller (MVC Pattern)
+ * One notification of the signed-in user's inbox
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { id } = req.query;
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const notification = await notificationService.getNotification(id, username, tenantId);
+      return successResponse(res, notification, 'Notification retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { read } (defaults to true)
+      const read = req.body?.read ?? true;
+      const notification = await notificationService.setRead(id, read, username, tenantId);
+      setAuditContext(req, { after: { read: notification.read, readAt: notification.readAt } });
+      return successResponse(res, notification, 'Notification updated successfully');
+    }
+
+    case 'DELETE': {
+      const notification = await notificationService.deleteNotification(id, username, tenantId);
+      setAuditContext(req, { before: notification });
+      return successResponse(res, null, 'Notification deleted successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
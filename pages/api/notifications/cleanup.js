@@ -0,0 +1,32 @@
+/**
+ * Notification Retention API (Cron)
+ * Deletes notifications older than the retention period, for all organizations.
+ * Called daily by Vercel Cron (CRON_SECRET).
+ */
+import { asyncHandler } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { NOTIFICATION_RETENTION_DAYS } from '../../../src/models/notification.model.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  // Verify Vercel Cron secret
+  const authHeader = req.headers['x-vercel-cron-secret'] || req.headers['authorization'];
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (!cronSecret || (authHeader !== cronSecret && authHeader !== `Bearer ${cronSecret}`)) {
+    return errorResponse(res, 'Unauthorized. Only Vercel Cron can clean up notifications', 403);
+  }
+
+  const deleted = await notificationService.deleteExpired();
+  console.log(`🧹 Notification cleanup complete. Deleted: ${deleted}`);
+
+  return successResponse(res, {
+    deleted,
+    retentionDays: NOTIFICATION_RETENTION_DAYS
+  }, `Deleted ${deleted} expired notifications`);
+});
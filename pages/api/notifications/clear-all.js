@@ -0,0 +1,22 @@
+/**
+ * Clear Notifications API Controller (MVC Pattern)
+ * Deletes every notification in the signed-in user's inbox
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', ['DELETE']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const deleted = await notificationService.clearAll(req.user.username, req.user.tenantId);
+  setAuditContext(req, { resourceType: 'notifications', action: 'clear_all', before: { deleted } });
+
+  return successResponse(res, { deleted }, 'Notifications cleared successfully');
+});
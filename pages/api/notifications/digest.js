@@ -0,0 +1,37 @@
+/**
+ * Held Notifications API (Cron)
+ * Delivers the email and WhatsApp messages held for quiet hours or the daily
+ * digest once they are due, for all organizations. Held WhatsApp messages go
+ * out through the organization's templates (WhatsAppService.flushHeld).
+ * Called every 15 minutes by Vercel Cron (CRON_SECRET).
+ */
+import { asyncHandler } from '../../../src/middleware/index.js';
+import { notificationPreferencesService, whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  // Verify Vercel Cron secret
+  const authHeader = req.headers['x-vercel-cron-secret'] || req.headers['authorization'];
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (!cronSecret || (authHeader !== cronSecret && authHeader !== `Bearer ${cronSecret}`)) {
+    return errorResponse(res, 'Unauthorized. Only Vercel Cron can deliver held notifications', 403);
+  }
+
+  const emails = await notificationPreferencesService.flushQueue();
+  const whatsapp = await whatsappService.flushHeld();
+  const summary = {
+    users: emails.users + whatsapp.users,
+    emails: emails.emails,
+    whatsappMessages: whatsapp.whatsappMessages,
+    delivered: emails.delivered + whatsapp.delivered
+  };
+  console.log(`📬 Held notifications delivered: ${summary.delivered} to ${summary.users} users`);
+
+  return successResponse(res, summary, `Delivered ${summary.delivered} held notifications`);
+});
@@ -0,0 +1,24 @@
+/**
+ * Notifications API Controller (MVC Pattern)
+ * The signed-in user's stored notification inbox
+ */
+import { asyncHandler, authenticate } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  // Query: type (comma-separated), unread, limit, cursor
+  const result = await notificationService.listNotifications(username, tenantId, req.query);
+
+  return successResponse(res, result, 'Notifications retrieved successfully');
+});
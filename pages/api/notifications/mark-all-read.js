@@ -0,0 +1,21 @@
+/**
+ * Mark All Notifications Read API Controller (MVC Pattern)
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', ['PUT']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const updated = await notificationService.markAllRead(req.user.username, req.user.tenantId);
+  setAuditContext(req, { resourceType: 'notifications', action: 'mark_all_read', after: { updated } });
+
+  return successResponse(res, { updated }, 'All notifications marked as read');
+});
@@ -1,6 +1,9 @@
 // Real-time notification stream using Server-Sent Events
-import { verifyTokenFromRequest } from '../../../lib/auth';
+import { verifyToken, verifyTokenFromRequest } from '../../../lib/auth';
 import { adminDb } from '../../../lib/firebase-admin';
+import { hasPermission } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { notificationService } from '../../../src/services/index.js';
 
 // Keep track of active connections
 const connections = new Map();
@@ -17,16 +20,14 @@ export default async function handler(req, res) {
   let authResult;
   if (token) {
     // Verify token from query param
-    const jwt = require('jsonwebtoken');
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      authResult = { valid: true, user: decoded, tenantId: decoded.tenantId };
-    } catch (error) {
+    const result = await verifyToken(token);
+    if (!result.valid) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
+    authResult = { valid: true, user: result.user, tenantId: result.user.tenantId };
   } else {
     // Fallback to header-based auth
-    authResult = verifyTokenFromRequest(req);
+    authResult = await verifyTokenFromRequest(req);
     if (!authResult.valid) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
@@ -34,9 +35,12 @@ export default async function handler(req, res) {
 
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
+  req.user = user;
+
+  const canSendNotifications = await hasPermission(req, PERMISSIONS.NOTIFICATIONS_SEND);
 
-  // Check if user is requesting their own notifications or if they're admin
-  if (user.username !== targetUser && user.role?.toLowerCase() !== 'admin') {
+  // Users get their own notifications; other users' streams need notifications:send
+  if (user.username !== targetUser && !canSendNotifications) {
     return res.status(403).json({ error: 'Forbidden' });
   }
 
@@ -56,6 +60,7 @@ export default async function handler(req, res) {
     res,
     username: targetUser,
     role: user.role,
+    tenantId,
     lastHeartbeat: Date.now()
   });
 
@@ -67,6 +72,22 @@ export default async function handler(req, res) {
     timestamp: new Date().toISOString()
   })}\n\n`);
 
+  // Replay what was stored while the stream was down. EventSource sends
+  // Last-Event-ID when it reconnects by itself; a new EventSource passes
+  // ?lastEventId= instead.
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId) {
+    try {
+      const missed = await notificationService.getMissedNotifications(targetUser, tenantId, String(lastEventId));
+      missed.forEach(notification => sendNotification(clientId, {
+        ...toStreamEvent(notification),
+        delivery: { desktop: false, sound: false } // Catching up: into the list, no pop-ups
+      }));
+    } catch (error) {
+      console.error('Notification replay failed:', error);
+    }
+  }
+
   // Set up heartbeat to keep connection alive
   const heartbeatInterval = setInterval(() => {
     try {
@@ -168,9 +189,9 @@ export default async function handler(req, res) {
       });
     });
 
-  // 3. System notifications (admin only)
+  // 3. System notifications (notification senders only)
   let systemNotificationUnsubscribe = null;
-  if (user.role?.toLowerCase() === 'admin') {
+  if (canSendNotifications) {
     systemNotificationUnsubscribe = adminDb
       .collection('system_notifications')
       .where('active', '==', true)
@@ -228,31 +249,74 @@ export default async function handler(req, res) {
   });
 }
 
+// Stored notification as sent on the stream; its ID is the SSE event ID
+function toStreamEvent(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    timestamp: notification.createdAt,
+    priority: notification.priority,
+    data: notification.data,
+    read: notification.read
+  };
+}
+
 // Function to send notification to a specific client
 function sendNotification(clientId, notification) {
   const connection = connections.get(clientId);
   if (connection) {
     try {
-      connection.res.write(`data: ${JSON.stringify(notification)}\n\n`);
+      const eventId = notification.id ? `id: ${notification.id}\n` : '';
+      connection.res.write(`${eventId}data: ${JSON.stringify(notification)}\n\n`);
     } catch (error) {
       connections.delete(clientId);
     }
   }
 }
 
-// Function to broadcast notification to all connected clients
-export function broadcastNotification(notification, filter = {}) {
-  const { username, role } = filter;
-  
+// Push a notification to the matching open streams
+function pushNotification(notification, { tenantId, username, role }) {
   connections.forEach((connection, clientId) => {
     // Apply filters
+    if (tenantId && connection.tenantId !== tenantId) return;
     if (username && connection.username !== username) return;
     if (role && connection.role !== role) return;
-    
+
     sendNotification(clientId, notification);
   });
 }
 
+/**
+ * Send a notification to a user ({ username }) or to everyone with a role ({ role })
+ * With a tenantId each recipient's notification preferences apply: it is
+ * stored in their inbox (kept for users who are offline and replayed when
+ * their stream reconnects), and emailed or sent by WhatsApp if they chose so.
+ * Never throws: failures are logged here.
+ * @returns {Promise<Array>} Stored notifications ([] when not stored)
+ */
+export async function broadcastNotification(notification, filter = {}) {
+  const { tenantId } = filter;
+
+  if (!tenantId) {
+    pushNotification(notification, filter);
+    return [];
+  }
+
+  try {
+    const deliveries = await notificationService.send(notification, filter);
+    deliveries.forEach(({ username, notification: record, delivery }) => {
+      pushNotification({ ...toStreamEvent(record), delivery }, { tenantId, username });
+    });
+    return deliveries.map(({ notification: record }) => record).filter(record => record.id);
+  } catch (error) {
+    console.error('Failed to store notification:', error);
+    pushNotification(notification, filter);
+    return [];
+  }
+}
+
 // Function to get active connections count
 export function getActiveConnections() {
   return {
@@ -0,0 +1,20 @@
+/**
+ * Unread Notifications Count API Controller (MVC Pattern)
+ */
+import { asyncHandler, authenticate } from '../../../src/middleware/index.js';
+import { notificationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const count = await notificationService.getUnreadCount(req.user.username, req.user.tenantId);
+
+  return successResponse(res, { count }, 'Unread count retrieved successfully');
+});
@@ -9,6 +9,10 @@ import {
   PLAN_CONFIGS,
   getPlanConfig
 } from '../../../lib/models/organization';
+import {
+  DEFAULT_PASSWORD_POLICY,
+  validatePasswordAgainstPolicy
+} from '../../../src/utils/passwordPolicy.util.js';
 
 /**
  * Organization Registration API
@@ -57,11 +61,13 @@ export default async function handler(req, res) {
       });
     }
 
-    // Validate password strength
-    if (adminPassword.length < 8) {
+    // Validate password strength against the policy the new organization starts with
+    const passwordErrors = validatePasswordAgainstPolicy(adminPassword, DEFAULT_PASSWORD_POLICY);
+    if (passwordErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 8 characters long'
+        message: passwordErrors[0].message,
+        errors: passwordErrors
       });
     }
 
@@ -204,14 +210,7 @@ export default async function handler(req, res) {
         allowedDomains: [],
         requireMfa: false,
         sessionTimeout: 1440,  // 24 hours
-        passwordPolicy: {
-          minLength: 8,
-          requireUppercase: true,
-          requireLowercase: true,
-          requireNumbers: true,
-          requireSpecialChars: false,
-          expiryDays: null,
-        },
+        passwordPolicy: { ...DEFAULT_PASSWORD_POLICY },
 
         // Integrations
         integrations: {
@@ -262,6 +261,8 @@ export default async function handler(req, res) {
       email: adminEmail.trim().toLowerCase(),
       fullName: adminFullName?.trim() || adminUsername.trim(),
       password: hashedPassword,
+      passwordChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      mustChangePassword: false,
       role: 'admin',  // First user is always admin
 
       // User metadata
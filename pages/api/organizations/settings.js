@@ -0,0 +1,88 @@
+/**
+ * Organization Settings API Controller (MVC Pattern)
+ * Reads and updates the current organization's settings
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { organizationService } from '../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../src/utils/response.util.js';
+import { normalizePasswordPolicy } from '../../../src/utils/passwordPolicy.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+// Settings users with settings:manage may change through this endpoint
+const EDITABLE_SETTINGS = ['requireMfa', 'passwordPolicy'];
+
+// Always report a complete password policy, filling in defaults
+const withPasswordPolicy = (settings = {}) => ({
+  ...settings,
+  passwordPolicy: normalizePasswordPolicy(settings.passwordPolicy)
+});
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  await requirePermission(PERMISSIONS.SETTINGS_MANAGE)(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetSettings(req, res);
+    case 'PUT':
+      return await handleUpdateSettings(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get organization settings
+ */
+async function handleGetSettings(req, res) {
+  const organization = await organizationService.getOrganizationById(req.user.tenantId);
+
+  if (!organization) {
+    return notFoundResponse(res, 'Organization');
+  }
+
+  return successResponse(res, withPasswordPolicy(organization.settings), 'Settings retrieved successfully');
+}
+
+/**
+ * PUT Handler - Update organization settings
+ */
+async function handleUpdateSettings(req, res) {
+  const updates = {};
+
+  EDITABLE_SETTINGS.forEach(key => {
+    if (req.body?.[key] !== undefined) {
+      updates[key] = req.body[key];
+    }
+  });
+
+  if (Object.keys(updates).length === 0) {
+    return errorResponse(res, `Nothing to update. Editable settings: ${EDITABLE_SETTINGS.join(', ')}`, 400);
+  }
+
+  if (updates.requireMfa !== undefined && typeof updates.requireMfa !== 'boolean') {
+    return errorResponse(res, 'requireMfa must be true or false', 400);
+  }
+
+  if (updates.passwordPolicy !== undefined) {
+    if (!updates.passwordPolicy || typeof updates.passwordPolicy !== 'object' || Array.isArray(updates.passwordPolicy)) {
+      return errorResponse(res, 'passwordPolicy must be an object', 400);
+    }
+
+    // Partial updates keep the fields that were not sent
+    const current = await organizationService.getOrganizationById(req.user.tenantId);
+    updates.passwordPolicy = normalizePasswordPolicy({
+      ...current?.settings?.passwordPolicy,
+      ...updates.passwordPolicy
+    });
+  }
+
+  const organization = await organizationService.updateSettings(req.user.tenantId, updates);
+
+  console.log(`Organization settings ${Object.keys(updates).join(', ')} updated by ${req.user.username}`);
+
+  return successResponse(res, withPasswordPolicy(organization.settings), 'Settings updated successfully');
+}
@@ -0,0 +1,106 @@
+/**
+ * Individual Recurring Task API Controller (MVC Pattern)
+ * Get, update (including pause/resume) and delete a recurring task template
+ */
+import { asyncHandler, authenticate, requirePermission, hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { recurringTaskService } from '../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const recurringTaskId = query.id;
+
+  if (!recurringTaskId) {
+    return errorResponse(res, 'Recurring task ID is required', 400);
+  }
+
+  switch (method) {
+    case 'GET':
+      return await handleGetRecurringTask(req, res, recurringTaskId);
+    case 'PUT':
+      return await handleUpdateRecurringTask(req, res, recurringTaskId);
+    case 'DELETE':
+      return await handleDeleteRecurringTask(req, res, recurringTaskId);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get recurring task by ID
+ */
+async function handleGetRecurringTask(req, res, recurringTaskId) {
+  const currentUser = req.user;
+
+  const recurringTask = await recurringTaskService.getRecurringTaskById(
+    recurringTaskId,
+    currentUser.tenantId
+  );
+
+  if (!recurringTask) {
+    return notFoundResponse(res, 'Recurring task');
+  }
+
+  const canView = recurringTask.assigned_to === currentUser.username ||
+    (await hasPermission(req, PERMISSIONS.TASKS_READ) && isInPermissionScope(req, recurringTask.assigned_to));
+
+  if (!canView) {
+    return errorResponse(res, 'Access denied', 403);
+  }
+
+  return successResponse(res, recurringTask, 'Recurring task retrieved successfully');
+}
+
+/**
+ * PUT Handler - Update recurring task (tasks:edit)
+ * Pause/resume is a status update: { status: 'paused' | 'active' }
+ */
+async function handleUpdateRecurringTask(req, res, recurringTaskId) {
+  await requirePermission(PERMISSIONS.TASKS_EDIT)(req, res);
+
+  const existing = await recurringTaskService.getRecurringTaskById(recurringTaskId, req.user.tenantId);
+
+  if (!existing) {
+    return notFoundResponse(res, 'Recurring task');
+  }
+
+  const assignees = [existing.assigned_to, req.body?.assigned_to].filter(Boolean);
+  if (!assignees.every(username => isInPermissionScope(req, username))) {
+    return errorResponse(res, 'You can only manage recurring tasks of your own reports', 403);
+  }
+
+  const recurringTask = await recurringTaskService.updateRecurringTask(
+    recurringTaskId,
+    req.body,
+    req.user.tenantId
+  );
+
+  return successResponse(res, recurringTask, 'Recurring task updated successfully');
+}
+
+/**
+ * DELETE Handler - Delete recurring task (tasks:delete)
+ * Tasks already generated from the template are kept
+ */
+async function handleDeleteRecurringTask(req, res, recurringTaskId) {
+  await requirePermission(PERMISSIONS.TASKS_DELETE)(req, res);
+
+  const existing = await recurringTaskService.getRecurringTaskById(recurringTaskId, req.user.tenantId);
+
+  if (!existing) {
+    return notFoundResponse(res, 'Recurring task');
+  }
+
+  if (!isInPermissionScope(req, existing.assigned_to)) {
+    return errorResponse(res, 'You can only manage recurring tasks of your own reports', 403);
+  }
+
+  await recurringTaskService.deleteRecurringTask(recurringTaskId, req.user.tenantId);
+
+  return successResponse(res, null, 'Recurring task deleted successfully');
+}
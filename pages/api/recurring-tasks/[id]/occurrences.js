@@ -0,0 +1,46 @@
+/**
+ * Recurring Task Occurrences API Controller (MVC Pattern)
+ * Returns the occurrence history of a recurring task template
+ */
+import { asyncHandler, authenticate, hasPermission, isInPermissionScope } from '../../../../src/middleware/index.js';
+import { recurringTaskService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Only allow GET method
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const currentUser = req.user;
+  const { id: recurringTaskId, limit = 50 } = req.query;
+
+  const recurringTask = await recurringTaskService.getRecurringTaskById(
+    recurringTaskId,
+    currentUser.tenantId
+  );
+
+  if (!recurringTask) {
+    return notFoundResponse(res, 'Recurring task');
+  }
+
+  const canView = recurringTask.assigned_to === currentUser.username ||
+    (await hasPermission(req, PERMISSIONS.TASKS_READ) && isInPermissionScope(req, recurringTask.assigned_to));
+
+  if (!canView) {
+    return errorResponse(res, 'Access denied', 403);
+  }
+
+  const occurrences = await recurringTaskService.getOccurrences(
+    recurringTaskId,
+    currentUser.tenantId,
+    Math.min(parseInt(limit) || 50, 100)
+  );
+
+  return successResponse(res, occurrences, 'Occurrences retrieved successfully');
+});
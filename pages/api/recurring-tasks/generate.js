@@ -0,0 +1,92 @@
+/**
+ * Recurring Tasks Generation API (Cron)
+ * Materializes due recurring task occurrences as regular tasks.
+ * Called daily by Vercel Cron (CRON_SECRET) or manually, for their own tenant, by a user
+ * who can assign tasks to everyone.
+ */
+import { asyncHandler, hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { verifyToken } from '../../../lib/auth.js';
+import { recurringTaskService, whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { broadcastNotification } from '../notifications/stream.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  // Verify Vercel Cron secret or user auth
+  const authHeader = req.headers['x-vercel-cron-secret'] || req.headers['authorization'];
+  const cronSecret = process.env.CRON_SECRET;
+
+  let tenantId = null;
+  let isAuthorized = false;
+
+  if (cronSecret && (authHeader === cronSecret || authHeader === `Bearer ${cronSecret}`)) {
+    // Vercel Cron authenticated - process all tenants
+    isAuthorized = true;
+  } else if (authHeader?.startsWith('Bearer ')) {
+    // Manual trigger - limited to the user's tenant
+    const decoded = await verifyToken(authHeader.replace('Bearer ', ''));
+
+    if (decoded.valid) {
+      req.user = decoded.user;
+
+      if (await hasPermission(req, PERMISSIONS.TASKS_ASSIGN) && req.permissionScope === PERMISSION_SCOPE.ALL) {
+        isAuthorized = true;
+        tenantId = decoded.user.tenantId;
+        auditRequest(req, res);
+      }
+    }
+  }
+
+  if (!isAuthorized) {
+    return errorResponse(res, 'Unauthorized. Only users with tasks:assign or Vercel Cron can generate recurring tasks', 403);
+  }
+
+  const summary = await recurringTaskService.materializeDueOccurrences({ tenantId });
+
+  // Notify assignees of newly generated tasks
+  await Promise.all(summary.created.map(async ({ task }) => {
+    try {
+      await broadcastNotification({
+        type: 'task_assigned',
+        title: 'New Recurring Task',
+        message: `Recurring task assigned: "${task.task}"`,
+        timestamp: new Date().toISOString(),
+        priority: 'medium',
+        data: {
+          taskId: task.id,
+          assignedBy: task.assigned_by,
+          deadline: task.deadline,
+          priority: task.priority,
+          clientName: task.client_name,
+          recurringTaskId: task.recurringTaskId
+        }
+      }, { tenantId: task.tenantId, username: task.assigned_to });
+    } catch (notifError) {
+      console.warn('📢 Recurring task notification failed:', notifError.message);
+    }
+
+    try {
+      await whatsappService.notifyTaskAssigned(task.tenantId, task, task.assigned_by);
+    } catch (notifError) {
+      console.warn('📢 Recurring task WhatsApp notification failed:', notifError.message);
+    }
+  }));
+
+  console.log(`🔁 Recurring task run complete. Templates: ${summary.processed}, created: ${summary.created.length}, failed: ${summary.failed.length}`);
+
+  return successResponse(res, {
+    processed: summary.processed,
+    created: summary.created.map(({ recurringTaskId, occurrenceDate, task }) => ({
+      recurringTaskId,
+      occurrenceDate,
+      taskId: task.id,
+      assigned_to: task.assigned_to
+    })),
+    failed: summary.failed
+  }, `Generated ${summary.created.length} recurring task occurrences`);
+});
@@ -0,0 +1,73 @@
+/**
+ * Recurring Tasks API Controller (MVC Pattern)
+ * Lists and creates recurring task templates
+ */
+import { asyncHandler, authenticate, requirePermission, hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { recurringTaskService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetRecurringTasks(req, res);
+    case 'POST':
+      return await handleCreateRecurringTask(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - List recurring task templates
+ * Users with tasks:read see every template in their scope, others only the ones assigned to them
+ */
+async function handleGetRecurringTasks(req, res) {
+  const currentUser = req.user;
+  const { status, assigned_to, client_name } = req.query;
+
+  const filters = { status, client_name };
+
+  if (await hasPermission(req, PERMISSIONS.TASKS_READ)) {
+    if (assigned_to) {
+      filters.assigned_to = isInPermissionScope(req, assigned_to) ? assigned_to : currentUser.username;
+    }
+  } else {
+    filters.assigned_to = currentUser.username;
+  }
+
+  let recurringTasks = await recurringTaskService.getRecurringTasks(currentUser.tenantId, filters);
+
+  if (!filters.assigned_to && req.permissionScope === PERMISSION_SCOPE.TEAM) {
+    recurringTasks = recurringTasks.filter(task => isInPermissionScope(req, task.assigned_to));
+  }
+
+  return successResponse(res, recurringTasks, 'Recurring tasks retrieved successfully');
+}
+
+/**
+ * POST Handler - Create a recurring task template (tasks:assign)
+ */
+async function handleCreateRecurringTask(req, res) {
+  await requirePermission(PERMISSIONS.TASKS_ASSIGN)(req, res);
+
+  const currentUser = req.user;
+
+  if (req.body?.assigned_to && !isInPermissionScope(req, req.body.assigned_to)) {
+    return errorResponse(res, 'You can only assign tasks to your own reports', 403);
+  }
+
+  const recurringTask = await recurringTaskService.createRecurringTask(
+    req.body,
+    currentUser.tenantId,
+    currentUser.username
+  );
+
+  console.log(`Recurring task "${recurringTask.task}" created by ${currentUser.username} (${recurringTask.rrule})`);
+
+  return successResponse(res, recurringTask, 'Recurring task created successfully', 201);
+}
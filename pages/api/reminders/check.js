@@ -3,17 +3,19 @@
 import { verifyToken } from '../../../lib/auth';
 import { loadTasks } from '../../../lib/firebaseService';
 import { broadcastNotification } from '../notifications/stream';
-import { sendEmail } from '../../../lib/email';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { whatsappService } from '../../../src/services/index.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST' && req.method !== 'GET') {
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   }
 
-  // Verify Vercel Cron secret or admin auth
+  // Verify Vercel Cron secret or a user with notifications:send
   const cronSecret = req.headers['x-vercel-cron-secret'] || req.headers['authorization'];
 
-  // Allow Vercel Cron (using secret) or authenticated admin
+  // Allow Vercel Cron (using secret) or an authenticated user with notifications:send
   let tenantId = null;
   let isAuthorized = false;
 
@@ -23,21 +25,26 @@ export default async function handler(req, res) {
     tenantId = null; // Will process all tenants
     console.log('✅ Vercel Cron authenticated');
   } else if (cronSecret?.startsWith('Bearer ')) {
-    // Manual admin trigger
+    // Manual trigger
     const token = cronSecret.replace('Bearer ', '');
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
 
-    if (decoded && decoded.valid && decoded.user?.role?.toLowerCase() === 'admin') {
-      isAuthorized = true;
-      tenantId = decoded.user.tenantId || decoded.tenantId;
-      console.log('✅ Admin authenticated:', decoded.user.username);
+    if (decoded && decoded.valid) {
+      req.user = decoded.user;
+
+      if (await hasPermission(req, PERMISSIONS.NOTIFICATIONS_SEND)) {
+        isAuthorized = true;
+        tenantId = decoded.user.tenantId || decoded.tenantId;
+        auditRequest(req, res);
+        console.log('✅ User authenticated:', decoded.user.username);
+      }
     }
   }
 
   if (!isAuthorized) {
     return res.status(403).json({
       success: false,
-      message: 'Unauthorized. Only admins or Vercel Cron can trigger reminder checks'
+      message: 'Unauthorized. Only users with notifications:send or Vercel Cron can trigger reminder checks'
     });
   }
 
@@ -91,7 +98,7 @@ export default async function handler(req, res) {
 
         // Send real-time notification
         try {
-          broadcastNotification({
+          await broadcastNotification({
             type: reminderType,
             title: isCritical ? '🚨 URGENT: Deadline Approaching' : '⏰ Deadline Reminder',
             message: `"${task.task}" is due ${formatTimeRemaining(hoursUntilDeadline)}`,
@@ -104,7 +111,9 @@ export default async function handler(req, res) {
               hoursRemaining: hoursUntilDeadline,
               task: task.task
             }
-          }, { username: task.assigned_to });
+          }, { tenantId: task.tenantId, username: task.assigned_to });
+
+          await whatsappService.notifyDeadlineReminder(task.tenantId, task, formatTimeRemaining(hoursUntilDeadline));
 
           remindersSent.push({
             task: task.task,
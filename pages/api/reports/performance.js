@@ -1,15 +1,47 @@
 // pages/api/performance.js - Clean version without debug statements
 import { requireAuth } from '../../../lib/auth.js';
 import { getUserPerformanceSummary, loadTasks, loadUsers } from '../../../lib/firebaseService.js';
+import { hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { teamService } from '../../../src/services/index.js';
 
+// Keep only the performance entries of users the report covers
+const filterPerformance = (isCovered, performance) => Object.fromEntries(
+  Object.entries(performance).filter(([username]) => isCovered(username))
+);
 
 async function handler(req, res) {
   // Multi-tenancy: Extract tenantId from authenticated request
   const { tenantId } = req;
 
+  if (!(await hasPermission(req, PERMISSIONS.REPORTS_VIEW))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to view reports'
+    });
+  }
+
+  // The report covers users the viewer's reports:view reaches, optionally narrowed to one team
+  const teamId = req.query.teamId || req.body?.teamId;
+  let teamUsernames = null;
+
+  if (teamId) {
+    teamUsernames = await teamService.getTeamUsernames(teamId, tenantId);
+
+    if (!teamUsernames) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+  }
+
+  const isCovered = (username) => isInPermissionScope(req, username) &&
+    (!teamUsernames || teamUsernames.includes(username));
+
   if (req.method === 'GET') {
     try {
-      const performance = await getUserPerformanceSummary({ tenantId });
+      const performance = filterPerformance(isCovered, await getUserPerformanceSummary({ tenantId }));
       
       return res.status(200).json({ 
         success: true, 
@@ -27,11 +59,16 @@ async function handler(req, res) {
   if (req.method === 'POST') {
     try {
       // Generate comprehensive report
-      const [tasks, users, performance] = await Promise.all([
+      const [allTasks, allUsers, allPerformance] = await Promise.all([
         loadTasks({ tenantId }),
         loadUsers({ tenantId }),
         getUserPerformanceSummary({ tenantId })
       ]);
+
+      // Team-scoped viewers get a report of their own reports only
+      const tasks = allTasks.filter(t => isCovered(t.assigned_to));
+      const users = allUsers.filter(user => isCovered(user.username));
+      const performance = filterPerformance(isCovered, allPerformance);
       
       // Calculate additional metrics
       const totalTasks = tasks.length;
@@ -66,6 +103,7 @@ async function handler(req, res) {
       const reportData = {
         generated_on: new Date().toISOString(),
         generated_by: req.user.username,
+        teamId: teamId || null,
         summary: {
           totalTasks,
           completedTasks,
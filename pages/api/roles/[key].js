@@ -0,0 +1,58 @@
+/**
+ * Individual Role API Controller (MVC Pattern)
+ * Updates a role's permissions and deletes custom roles
+ */
+import { asyncHandler, authenticate, requirePermission, setAuditContext } from '../../../src/middleware/index.js';
+import { roleService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(req, res);
+
+  const { method, query } = req;
+  const key = query.key;
+
+  if (!key) {
+    return errorResponse(res, 'Role key is required', 400);
+  }
+
+  switch (method) {
+    case 'PUT':
+      return await handleUpdateRole(req, res, key);
+    case 'DELETE':
+      return await handleDeleteRole(req, res, key);
+    default:
+      res.setHeader('Allow', ['PUT', 'DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * PUT Handler - Update a role
+ * Body: { name, description, permissions } (omitted fields are kept)
+ */
+async function handleUpdateRole(req, res, key) {
+  const before = await roleService.getRole(key, req.user.tenantId);
+  const role = await roleService.updateRole(key, req.body || {}, req.user.tenantId, req.user.username);
+  setAuditContext(req, { before, after: role });
+
+  console.log(`Role ${key} updated by ${req.user.username}`);
+
+  return successResponse(res, role, 'Role updated successfully');
+}
+
+/**
+ * DELETE Handler - Delete a custom role
+ */
+async function handleDeleteRole(req, res, key) {
+  const before = await roleService.getRole(key, req.user.tenantId);
+  await roleService.deleteRole(key, req.user.tenantId);
+  setAuditContext(req, { before });
+
+  console.log(`Role ${key} deleted by ${req.user.username}`);
+
+  return successResponse(res, null, 'Role deleted successfully');
+}
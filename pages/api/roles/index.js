@@ -0,0 +1,52 @@
+/**
+ * Roles API Controller (MVC Pattern)
+ * Lists the organization's roles and creates custom roles
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { roleService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS, PERMISSION_GROUPS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetRoles(req, res);
+    case 'POST':
+      return await handleCreateRole(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - List roles with their user counts and the permission catalog
+ * Needed both to edit roles and to pick a role for a user
+ */
+async function handleGetRoles(req, res) {
+  await requirePermission(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_MANAGE)(req, res);
+
+  const roles = await roleService.getRolesWithUsage(req.user.tenantId);
+
+  return successResponse(res, {
+    roles,
+    permissionGroups: PERMISSION_GROUPS
+  }, 'Roles retrieved successfully');
+}
+
+/**
+ * POST Handler - Create a custom role
+ * Body: { key, name, description, permissions }
+ */
+async function handleCreateRole(req, res) {
+  await requirePermission(PERMISSIONS.ROLES_MANAGE)(req, res);
+
+  const role = await roleService.createRole(req.body || {}, req.user.tenantId, req.user.username);
+
+  console.log(`Role ${role.key} created by ${req.user.username}`);
+
+  return successResponse(res, role, 'Role created successfully', 201);
+}
@@ -0,0 +1,38 @@
+/**
+ * Notification Settings API Controller (MVC Pattern)
+ * The signed-in user's channels per event, quiet hours and daily digest
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { notificationPreferencesService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } from '../../../src/models/notificationPreferences.model.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const preferences = await notificationPreferencesService.getPreferences(username, tenantId);
+      return successResponse(res, {
+        ...preferences,
+        events: Object.values(NOTIFICATION_EVENTS),
+        channelTypes: Object.values(NOTIFICATION_CHANNELS)
+      }, 'Notification settings retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: any of { channels: { event: { channel: bool } }, quietHours, digest, sound, timezone }
+      const before = await notificationPreferencesService.getPreferences(username, tenantId);
+      const preferences = await notificationPreferencesService.updatePreferences(username, tenantId, req.body || {});
+      setAuditContext(req, { resourceType: 'notification-settings', resourceId: username, before, after: preferences });
+      return successResponse(res, preferences, 'Notification settings updated successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -1,7 +1,10 @@
 // pages/api/tasks/[id].js - Individual task management API
 import { requireAuth } from '../../../lib/auth.js';
-import { updateTask, deleteTask, getTaskById } from '../../../lib/firebaseService.js';
+import { getTaskById } from '../../../lib/firebaseService.js';
+import { taskService, taskStructureService } from '../../../src/services/index.js';
 import { broadcastNotification } from '../notifications/stream.js';
+import { hasPermission, isInPermissionScope, canActOnTask, setAuditContext } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 // import { sendTaskCompletionEmail } from '../../../lib/email.js'; // Disabled - using in-app notifications only
 // import { loadUsers } from '../../../lib/firebaseService.js';
 
@@ -25,9 +28,9 @@ async function handler(req, res) {
       }
 
       // Check if user can view this task
-      const canView = req.user.role?.toLowerCase() === 'admin' || 
-                      task.assigned_to === req.user.username || 
-                      task.given_by === req.user.username;
+      const canView = task.assigned_to === req.user.username || 
+                      task.given_by === req.user.username ||
+                      (await hasPermission(req, PERMISSIONS.TASKS_READ) && isInPermissionScope(req, task.assigned_to));
       
       if (!canView) {
         return res.status(403).json({ 
@@ -63,9 +66,9 @@ async function handler(req, res) {
       }
 
       // Check if user can update this task
-      const canUpdate = req.user.role?.toLowerCase() === 'admin' || 
-                        task.assigned_to === req.user.username || 
-                        task.given_by === req.user.username;
+      const canUpdate = task.assigned_to === req.user.username || 
+                        task.given_by === req.user.username ||
+                        (await hasPermission(req, PERMISSIONS.TASKS_EDIT) && isInPermissionScope(req, task.assigned_to));
       
       if (!canUpdate) {
         return res.status(403).json({ 
@@ -76,12 +79,43 @@ async function handler(req, res) {
 
       const updateData = req.body;
 
-      // Validate status if provided
-      if (updateData.status && !['pending', 'done'].includes(updateData.status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid status. Must be "pending" or "done"'
-        });
+      // Reassigning to someone else requires tasks:assign for the new assignee
+      if (updateData.assigned_to && updateData.assigned_to !== task.assigned_to && updateData.assigned_to !== req.user.username) {
+        const canAssign = await hasPermission(req, PERMISSIONS.TASKS_ASSIGN) && isInPermissionScope(req, updateData.assigned_to);
+
+        if (!canAssign) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to assign tasks to this user'
+          });
+        }
+      }
+
+      // Moving the task under another task requires edit rights on that task
+      if (updateData.parentTaskId && updateData.parentTaskId !== task.parentTaskId) {
+        const [parent] = await taskStructureService.getTasks([updateData.parentTaskId], tenantId);
+
+        if (parent && !(await canActOnTask(req, parent, PERMISSIONS.TASKS_EDIT))) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to add subtasks to the parent task'
+          });
+        }
+      }
+
+      // New blockers must be tasks the user can see
+      if (Array.isArray(updateData.blockedBy)) {
+        const added = updateData.blockedBy.filter(blockerId => !(task.blockedBy || []).includes(blockerId));
+        const blockers = await taskStructureService.getTasks(added, tenantId);
+
+        for (const blocker of blockers) {
+          if (!(await canActOnTask(req, blocker, PERMISSIONS.TASKS_READ))) {
+            return res.status(403).json({
+              success: false,
+              message: 'You do not have permission to view a blocking task'
+            });
+          }
+        }
       }
 
       // Validate priority if provided
@@ -97,8 +131,10 @@ async function handler(req, res) {
       const statusChanged = updateData.status && updateData.status !== oldStatus;
       const taskCompleted = statusChanged && updateData.status === 'done';
 
-      // Update the task
-      const updatedTask = await updateTask(id, updateData, tenantId);
+      // Update the task; a status change must be allowed by the organization's
+      // workflow and carry the transition's required fields (e.g. reason)
+      const updatedTask = await taskService.updateTask(id, updateData, tenantId, { actor: req.user });
+      setAuditContext(req, { before: task, after: updatedTask });
 
       console.log('✅ Task updated successfully:', id);
 
@@ -108,7 +144,7 @@ async function handler(req, res) {
           console.log('🎉 Task completed, sending notifications...');
 
           // Notify task assigner (given_by)
-          broadcastNotification({
+          await broadcastNotification({
             type: 'task_completed',
             title: 'Task Completed',
             message: `${req.user.username} completed: "${task.task}"`,
@@ -122,7 +158,7 @@ async function handler(req, res) {
               // Add flag for daily task logger integration
               addToDailyLog: true
             }
-          }, { username: task.given_by });
+          }, { tenantId, username: task.given_by });
 
           // Email notifications disabled - using in-app notifications only
           // try {
@@ -148,7 +184,7 @@ async function handler(req, res) {
       } else if (statusChanged) {
         // Send general status change notification
         try {
-          broadcastNotification({
+          await broadcastNotification({
             type: 'task_updated',
             title: 'Task Status Changed',
             message: `"${task.task}" status changed from ${oldStatus} to ${updateData.status}`,
@@ -160,7 +196,7 @@ async function handler(req, res) {
               oldStatus: oldStatus,
               newStatus: updateData.status
             }
-          }, { username: task.given_by });
+          }, { tenantId, username: task.given_by });
         } catch (notifError) {
           console.warn('📢 Status change notification failed:', notifError.message);
         }
@@ -174,6 +210,16 @@ async function handler(req, res) {
       
     } catch (error) {
       console.error('❌ Error updating task:', error);
+
+      // Workflow rejections (400/403) are shown to the user as they are
+      if (error.statusCode && error.statusCode < 500) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+      }
+
       return res.status(500).json({ 
         success: false, 
         message: 'Failed to update task',
@@ -194,8 +240,8 @@ async function handler(req, res) {
       }
 
       // Check if user can delete this task
-      const canDelete = req.user.role?.toLowerCase() === 'admin' ||
-                        task.given_by === req.user.username;
+      const canDelete = task.given_by === req.user.username ||
+                        (await hasPermission(req, PERMISSIONS.TASKS_DELETE) && isInPermissionScope(req, task.assigned_to));
 
       if (!canDelete) {
         return res.status(403).json({
@@ -204,7 +250,9 @@ async function handler(req, res) {
         });
       }
 
-      await deleteTask(id, tenantId);
+      // Also frees the tasks it blocked and turns its subtasks into top-level tasks
+      await taskService.deleteTask(id, tenantId);
+      setAuditContext(req, { before: task });
 
       console.log('✅ Task deleted successfully:', id);
       return res.status(200).json({ 
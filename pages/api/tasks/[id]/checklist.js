@@ -0,0 +1,92 @@
+/**
+ * Task Checklist API Controller (MVC Pattern)
+ * Adds, changes, reorders and removes the checklist items of a task
+ */
+import { asyncHandler, authenticate, canActOnTask, setAuditContext } from '../../../../src/middleware/index.js';
+import { taskStructureService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError, ValidationError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  if (!['POST', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['POST', 'PUT', 'DELETE']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  const { tenantId } = req.user;
+  const task = await taskStructureService.getTask(req.query.id, tenantId);
+
+  // The assignee ticks items off, so the checklist follows the task's edit rights
+  if (!(await canActOnTask(req, task, PERMISSIONS.TASKS_EDIT))) {
+    throw new ForbiddenError('You do not have permission to update this task');
+  }
+
+  let checklist;
+  switch (req.method) {
+    case 'POST':
+      checklist = await handleAddItem(req, task);
+      break;
+    case 'PUT':
+      checklist = await handleUpdateItems(req, task);
+      break;
+    default:
+      checklist = await handleRemoveItem(req, task);
+  }
+
+  setAuditContext(req, { before: { checklist: task.checklist || [] }, after: { checklist } });
+
+  return successResponse(res, { checklist }, 'Checklist updated successfully');
+});
+
+/**
+ * POST Handler - Add an item
+ * Body: { text }
+ */
+async function handleAddItem(req, task) {
+  const { text } = req.body || {};
+
+  if (!text || !String(text).trim()) {
+    throw new ValidationError('Checklist item text is required');
+  }
+
+  return await taskStructureService.addChecklistItem(task.id, text, req.user.tenantId, req.user);
+}
+
+/**
+ * PUT Handler - Change an item or the order
+ * Body: { itemId, text?, done? } or { order: [itemId, ...] }
+ */
+async function handleUpdateItems(req, task) {
+  const { itemId, text, done, order } = req.body || {};
+
+  if (order) {
+    return await taskStructureService.reorderChecklist(task.id, order, req.user.tenantId, req.user);
+  }
+
+  if (!itemId) {
+    throw new ValidationError('Checklist item ID or a new order is required');
+  }
+
+  return await taskStructureService.updateChecklistItem(task.id, itemId, {
+    ...(text !== undefined && { text }),
+    ...(done !== undefined && { done: !!done })
+  }, req.user.tenantId, req.user);
+}
+
+/**
+ * DELETE Handler - Remove an item
+ * Query: itemId
+ */
+async function handleRemoveItem(req, task) {
+  const { itemId } = req.query;
+
+  if (!itemId) {
+    throw new ValidationError('Checklist item ID is required');
+  }
+
+  return await taskStructureService.removeChecklistItem(task.id, itemId, req.user.tenantId, req.user);
+}
@@ -1,11 +1,39 @@
-// pages/api/tasks/[id]/comments.js - Task comments API
+// pages/api/tasks/[id]/comments.js - Task comments API (threads, @mentions, reactions)
 import { requireAuth } from '../../../../lib/auth.js';
-import { addTaskComment, getTaskComments, editTaskComment, deleteTaskComment } from '../../../../lib/firebaseService.js';
+import { taskCommentService } from '../../../../src/services/index.js';
+import { getTaskLink } from '../../../../src/services/taskComment.service.js';
+import { broadcastNotification } from '../../notifications/stream.js';
+
+// Tell mentioned users; their notification preferences pick the channels
+const notifyMentions = async (task, comment, users) => {
+  if (users.length === 0) return;
+
+  const isReply = !!comment.parentId;
+
+  await Promise.all(users.map(user => (
+    broadcastNotification({
+      type: 'task_mention',
+      title: 'You were mentioned',
+      message: `${comment.author} mentioned you ${isReply ? 'in a reply' : 'in a comment'} on "${task.task}"`,
+      timestamp: new Date().toISOString(),
+      priority: 'medium',
+      data: {
+        taskId: task.id,
+        commentId: comment.id,
+        task: task.task,
+        mentionedBy: comment.author,
+        excerpt: taskCommentService.getExcerpt(comment),
+        url: getTaskLink(task.id)
+      }
+    }, { tenantId: task.tenantId, username: user.username })
+  )));
+};
 
 async function handler(req, res) {
   // Multi-tenancy: Extract tenantId from authenticated request
   const { tenantId } = req;
   const { id: taskId } = req.query;
+  const actor = { username: req.user.username, role: req.user.role };
 
   if (!taskId) {
     return res.status(400).json({ success: false, message: 'Task ID is required' });
@@ -13,61 +41,69 @@ async function handler(req, res) {
 
   try {
     if (req.method === 'GET') {
-      // Get task comments
-      const result = await getTaskComments(taskId, tenantId);
-      return res.status(200).json(result);
+      // Get task comments, flat and grouped into threads
+      const result = await taskCommentService.getComments(taskId, tenantId);
+      return res.status(200).json({ success: true, ...result });
     }
 
     if (req.method === 'POST') {
-      // Add new comment
-      const { content } = req.body;
+      // Add new comment, or a reply when parentId is set
+      const { content, parentId } = req.body || {};
+
+      const { task, comment, mentioned } = await taskCommentService.addComment(taskId, { content, parentId }, actor, tenantId);
+      await notifyMentions(task, comment, mentioned);
+
+      return res.status(201).json({ success: true, comment });
+    }
+
+    if (req.method === 'PUT') {
+      // Edit comment; only people newly mentioned are notified
+      const { commentId, content } = req.body || {};
 
-      if (!content || !content.trim()) {
-        return res.status(400).json({ success: false, message: 'Comment content is required' });
+      if (!commentId) {
+        return res.status(400).json({ success: false, message: 'Comment ID is required' });
       }
 
-      const commentData = {
-        author: req.user.username,
-        authorRole: req.user.role,
-        content: content.trim()
-      };
+      const { task, comment, mentioned } = await taskCommentService.editComment(taskId, commentId, content, actor, tenantId);
+      await notifyMentions(task, comment, mentioned);
 
-      const result = await addTaskComment(taskId, commentData, tenantId);
-      return res.status(201).json(result);
+      return res.status(200).json({ success: true, comment });
     }
 
-    if (req.method === 'PUT') {
-      // Edit comment
-      const { commentId, content } = req.body;
+    if (req.method === 'PATCH') {
+      // Toggle the user's reaction: { commentId, emoji }
+      const { commentId, emoji } = req.body || {};
 
-      if (!commentId || !content || !content.trim()) {
-        return res.status(400).json({ success: false, message: 'Comment ID and content are required' });
+      if (!commentId || !emoji) {
+        return res.status(400).json({ success: false, message: 'Comment ID and reaction are required' });
       }
 
-      const result = await editTaskComment(taskId, commentId, content.trim(), req.user.username, tenantId);
-      return res.status(200).json(result);
+      const comment = await taskCommentService.toggleReaction(taskId, commentId, emoji, actor, tenantId);
+      return res.status(200).json({ success: true, comment });
     }
 
     if (req.method === 'DELETE') {
       // Delete comment
-      const { commentId } = req.body;
+      const { commentId } = req.body || {};
 
       if (!commentId) {
         return res.status(400).json({ success: false, message: 'Comment ID is required' });
       }
 
-      const result = await deleteTaskComment(taskId, commentId, req.user.username, tenantId);
-      return res.status(200).json(result);
+      await taskCommentService.deleteComment(taskId, commentId, actor, tenantId);
+      return res.status(200).json({ success: true, message: 'Comment deleted successfully' });
     }
 
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
     return res.status(405).json({ success: false, message: 'Method not allowed' });
   } catch (error) {
     console.error('Task comments API error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Internal server error' 
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+      ...(error.errors && { errors: error.errors })
     });
   }
 }
 
-export default requireAuth(handler);
\ No newline at end of file
+export default requireAuth(handler);
@@ -0,0 +1,49 @@
+/**
+ * Task Dependencies API Controller (MVC Pattern)
+ * Adds and removes the tasks a task is blocked by
+ */
+import { asyncHandler, authenticate, canActOnTask, setAuditContext } from '../../../../src/middleware/index.js';
+import { taskStructureService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError, ValidationError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  const { tenantId } = req.user;
+  const task = await taskStructureService.getTask(req.query.id, tenantId);
+
+  if (!(await canActOnTask(req, task, PERMISSIONS.TASKS_EDIT))) {
+    throw new ForbiddenError('You do not have permission to update this task');
+  }
+
+  // Body (POST) or query (DELETE): blockerId
+  const blockerId = req.method === 'POST' ? req.body?.blockerId : req.query.blockerId;
+  if (!blockerId) {
+    throw new ValidationError('Blocking task ID is required');
+  }
+
+  let blockedBy;
+  if (req.method === 'POST') {
+    // Depending on a task reveals its status, so the user must be able to see it
+    const blocker = await taskStructureService.getTask(blockerId, tenantId);
+    if (!(await canActOnTask(req, blocker, PERMISSIONS.TASKS_READ))) {
+      throw new ForbiddenError('You do not have permission to view the blocking task');
+    }
+
+    blockedBy = await taskStructureService.addBlocker(task.id, blocker.id, tenantId);
+  } else {
+    blockedBy = await taskStructureService.removeBlocker(task.id, blockerId, tenantId);
+  }
+
+  setAuditContext(req, { before: { blockedBy: task.blockedBy || [] }, after: { blockedBy } });
+
+  return successResponse(res, { blockedBy }, 'Dependencies updated successfully');
+});
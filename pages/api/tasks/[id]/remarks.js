@@ -2,18 +2,24 @@
 import { verifyTokenFromRequest } from '../../../../lib/auth';
 import { adminDb } from '../../../../lib/firebase-admin';
 import admin from 'firebase-admin';
+import { hasPermission, isInPermissionScope, auditRequest } from '../../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
 
 export default async function handler(req, res) {
   // Verify authentication
-  const authResult = verifyTokenFromRequest(req);
+  const authResult = await verifyTokenFromRequest(req);
   if (!authResult.valid) {
     return res.status(401).json({ success: false, message: authResult.message || 'Unauthorized' });
   }
 
+  auditRequest(req, res, authResult.user);
+
   // Multi-tenancy: Extract tenantId from authenticated request
   const { user, tenantId } = authResult;
   const { id: taskId } = req.query;
 
+  req.user = user;
+
   if (!taskId) {
     return res.status(400).json({ success: false, message: 'Task ID is required' });
   }
@@ -46,6 +52,18 @@ export default async function handler(req, res) {
   }
 }
 
+// Load a task's data, or null when it does not exist
+async function loadTaskData(taskId) {
+  const taskDoc = await adminDb.collection('tasks').doc(taskId).get();
+  return taskDoc.exists ? taskDoc.data() : null;
+}
+
+// Whether the user's role grants a task permission covering the task's assignee
+async function canActOnTask(req, permission, taskData) {
+  if (!taskData) return false;
+  return await hasPermission(req, permission) && isInPermissionScope(req, taskData.assigned_to);
+}
+
 // Get all remarks for a task
 async function handleGetTaskRemarks(req, res, taskId, user, tenantId) {
   try {
@@ -65,9 +83,9 @@ async function handleGetTaskRemarks(req, res, taskId, user, tenantId) {
     // Check if user has permission to view remarks
     const isAssignee = taskData.assigned_to === user.username;
     const isAssigner = taskData.given_by === user.username;
-    const isAdmin = user.role?.toLowerCase() === 'admin';
+    const canRead = await canActOnTask(req, PERMISSIONS.TASKS_READ, taskData);
     
-    if (!isAssignee && !isAssigner && !isAdmin) {
+    if (!isAssignee && !isAssigner && !canRead) {
       return res.status(403).json({ success: false, message: 'Not authorized to view task remarks' });
     }
 
@@ -146,9 +164,9 @@ async function handleAddTaskRemark(req, res, taskId, user, tenantId) {
     // Check if user has permission to add remarks
     const isAssignee = taskData.assigned_to === user.username;
     const isAssigner = taskData.given_by === user.username;
-    const isAdmin = user.role?.toLowerCase() === 'admin';
+    const canEdit = await canActOnTask(req, PERMISSIONS.TASKS_EDIT, taskData);
     
-    if (!isAssignee && !isAssigner && !isAdmin) {
+    if (!isAssignee && !isAssigner && !canEdit) {
       return res.status(403).json({ success: false, message: 'Not authorized to add remarks to this task' });
     }
 
@@ -220,8 +238,8 @@ async function handleUpdateTaskRemark(req, res, taskId, user, tenantId) {
 
     const remarkData = remarkSnapshot.data();
 
-    // Check if user owns this remark or is admin
-    if (remarkData.author !== user.username && user.role?.toLowerCase() !== 'admin') {
+    // Check if user owns this remark or can edit the task
+    if (remarkData.author !== user.username && !(await canActOnTask(req, PERMISSIONS.TASKS_EDIT, await loadTaskData(taskId)))) {
       return res.status(403).json({ success: false, message: 'Not authorized to edit this remark' });
     }
 
@@ -265,8 +283,8 @@ async function handleDeleteTaskRemark(req, res, taskId, user, tenantId) {
 
     const remarkData = remarkSnapshot.data();
 
-    // Check if user owns this remark or is admin
-    if (remarkData.author !== user.username && user.role?.toLowerCase() !== 'admin') {
+    // Check if user owns this remark or can edit the task
+    if (remarkData.author !== user.username && !(await canActOnTask(req, PERMISSIONS.TASKS_EDIT, await loadTaskData(taskId)))) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this remark' });
     }
 
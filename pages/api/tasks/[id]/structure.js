@@ -0,0 +1,30 @@
+/**
+ * Task Structure API Controller (MVC Pattern)
+ * The subtask tree, checklist, progress and dependency graph of a task
+ */
+import { asyncHandler, authenticate, canActOnTask } from '../../../../src/middleware/index.js';
+import { taskStructureService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { tenantId } = req.user;
+  const task = await taskStructureService.getTask(req.query.id, tenantId);
+
+  if (!(await canActOnTask(req, task, PERMISSIONS.TASKS_READ))) {
+    throw new ForbiddenError('You do not have permission to view this task');
+  }
+
+  const structure = await taskStructureService.getStructure(task.id, tenantId);
+
+  return successResponse(res, structure, 'Task structure retrieved successfully');
+});
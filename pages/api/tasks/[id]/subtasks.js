@@ -0,0 +1,65 @@
+/**
+ * Subtasks API Controller (MVC Pattern)
+ * Creates a subtask under a task; it is a full task with its own assignee
+ * and deadline
+ */
+import {
+  asyncHandler,
+  authenticate,
+  canActOnTask,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../../src/middleware/index.js';
+import { taskService, taskStructureService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { tenantId, username } = req.user;
+  const parent = await taskStructureService.getTask(req.query.id, tenantId);
+
+  if (!(await canActOnTask(req, parent, PERMISSIONS.TASKS_EDIT))) {
+    throw new ForbiddenError('You do not have permission to add subtasks to this task');
+  }
+
+  // Body: { task, assigned_to, deadline, priority, client_name, assignerNotes, checklist, blockedBy }
+  const body = req.body || {};
+  const assignee = (body.assigned_to || username).trim();
+
+  // Assigning to someone else requires tasks:assign (team-scoped: own reports only)
+  if (assignee !== username) {
+    const canAssign = await hasPermission(req, PERMISSIONS.TASKS_ASSIGN) && isInPermissionScope(req, assignee);
+
+    if (!canAssign) {
+      throw new ForbiddenError('You do not have permission to assign tasks to this user');
+    }
+  }
+
+  const subtask = await taskService.createTask({
+    task: body.task?.trim(),
+    assigned_to: assignee,
+    assigned_by: username,
+    deadline: body.deadline || parent.deadline,
+    priority: body.priority,
+    client_name: body.client_name ?? parent.client_name ?? '',
+    assignerNotes: body.assignerNotes?.trim() || '',
+    checklist: body.checklist,
+    blockedBy: body.blockedBy,
+    parentTaskId: parent.id,
+    tenantId
+  }, tenantId, { actor: req.user });
+
+  setAuditContext(req, { after: subtask });
+
+  return successResponse(res, subtask, 'Subtask created successfully', 201);
+});
@@ -5,6 +5,8 @@ import {
   getDuplicateTaskStats, 
   checkForDuplicateTasks 
 } from '../../../lib/firebaseService.js';
+import { hasPermission } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
 
 async function handler(req, res) {
   // Multi-tenancy: Extract tenantId from authenticated request
@@ -13,11 +15,11 @@ async function handler(req, res) {
   console.log('🔐 Incoming request to /api/tasks/duplicates:', req.method);
   console.log('🔐 Authenticated user:', req.user);
 
-  // Only allow admins to access this endpoint
-  if (req.user.role?.toLowerCase() !== 'admin') {
+  // Cleanup spans every user's tasks, so tasks:delete must be organization-wide
+  if (!(await hasPermission(req, PERMISSIONS.TASKS_DELETE)) || req.permissionScope !== PERMISSION_SCOPE.ALL) {
     return res.status(403).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Organization-wide tasks:delete permission required'
     });
   }
 
@@ -4,6 +4,9 @@ import { loadTasks, addTask, getUserTasks } from '../../../lib/firebaseService.j
 // import { sendTaskAssignmentEmail } from '../../../lib/email.js'; // Disabled - using in-app notifications only
 import { loadUsers } from '../../../lib/firebaseService';
 import { broadcastNotification } from '../notifications/stream.js';
+import { hasPermission, isInPermissionScope } from '../../../src/middleware/index.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../../../src/utils/permissions.util.js';
+import { teamService, whatsappService } from '../../../src/services/index.js';
 
 async function handler(req, res) {
   // Multi-tenancy: Extract tenantId from authenticated request
@@ -14,13 +17,31 @@ async function handler(req, res) {
 
   if (req.method === 'GET') {
     try {
-      const { user: username, all } = req.query;
+      const { user: username, all, teamId } = req.query;
 
-      // If admin requests all tasks
-      if (all && req.user.role?.toLowerCase() === 'admin') {
-        console.log('📋 Admin requesting all tasks');
-        const allTasks = await loadTasks(tenantId);
-        return res.status(200).json({ success: true, tasks: allTasks || [] });
+      // tasks:read lets a role see others' tasks (team leads: own reports only)
+      const canReadOthers = await hasPermission(req, PERMISSIONS.TASKS_READ);
+
+      if (all && canReadOthers) {
+        console.log('📋 Requesting all tasks');
+        let allTasks = await loadTasks(tenantId) || [];
+
+        if (req.permissionScope === PERMISSION_SCOPE.TEAM) {
+          allTasks = allTasks.filter(task => isInPermissionScope(req, task.assigned_to));
+        }
+
+        // Optional team filter: tasks of the team's members, including sub-teams
+        if (teamId) {
+          const teamUsernames = await teamService.getTeamUsernames(teamId, tenantId);
+
+          if (!teamUsernames) {
+            return res.status(404).json({ success: false, message: 'Team not found' });
+          }
+
+          allTasks = allTasks.filter(task => teamUsernames.includes(task.assigned_to));
+        }
+
+        return res.status(200).json({ success: true, tasks: allTasks });
       }
 
       // If specific user is requested
@@ -28,7 +49,7 @@ async function handler(req, res) {
         console.log("🔁 /api/tasks called with user:", username);
         console.log("🔁 Authenticated user from token:", req.user);
 
-        if (req.user.role?.toLowerCase() === 'admin' || req.user.username === username) {
+        if (req.user.username === username || (canReadOthers && isInPermissionScope(req, username))) {
           console.log('✅ Authorized to fetch tasks for:', username);
           const tasks = await getUserTasks(username, tenantId);
           return res.status(200).json({ success: true, tasks: tasks || [] });
@@ -58,7 +79,7 @@ async function handler(req, res) {
 
   if (req.method === 'POST') {
     try {
-      const { task, assigned_to, client_name, deadline, priority, assignerNotes, assignerPrivateNotes } = req.body;
+      const { task, assigned_to, client_name, deadline, priority, assignerNotes, assignerPrivateNotes, estimatedMinutes } = req.body;
 
       console.log('📝 Creating new task:', { task, assigned_to, client_name, deadline, priority });
 
@@ -112,6 +133,12 @@ async function handler(req, res) {
         errors.push('Client name cannot exceed 100 characters');
       }
 
+      // Estimate validation (minutes, compared with tracked time)
+      if (estimatedMinutes !== undefined && estimatedMinutes !== null &&
+          (!Number.isInteger(estimatedMinutes) || estimatedMinutes < 0)) {
+        errors.push('Estimate must be a whole number of minutes');
+      }
+
       // Return validation errors
       if (errors.length > 0) {
         return res.status(400).json({
@@ -121,6 +148,18 @@ async function handler(req, res) {
         });
       }
 
+      // Assigning to someone else requires tasks:assign (team-scoped: own reports only)
+      if (assigned_to.trim() !== req.user.username) {
+        const canAssign = await hasPermission(req, PERMISSIONS.TASKS_ASSIGN) && isInPermissionScope(req, assigned_to.trim());
+
+        if (!canAssign) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to assign tasks to this user'
+          });
+        }
+      }
+
       // Prepare task data
       const taskData = {
         task: task.trim(),
@@ -130,7 +169,8 @@ async function handler(req, res) {
         priority: priority || 'Medium',
         given_by: req.user.username,
         assignerNotes: assignerNotes?.trim() || '',
-        assignerPrivateNotes: assignerPrivateNotes?.trim() || ''
+        assignerPrivateNotes: assignerPrivateNotes?.trim() || '',
+        estimatedMinutes: estimatedMinutes ?? null
       };
 
       // Add task to Firebase
@@ -170,7 +210,7 @@ async function handler(req, res) {
           'Low': 'low'
         };
 
-        broadcastNotification({
+        await broadcastNotification({
           type: 'task_assigned',
           title: 'New Task Assigned',
           message: `${req.user.username} assigned you: "${task}"`,
@@ -183,13 +223,21 @@ async function handler(req, res) {
             priority: priority,
             clientName: client_name
           }
-        }, { username: assigned_to });
+        }, { tenantId, username: assigned_to });
         console.log('✅ Real-time notification broadcasted to:', assigned_to);
       } catch (notifError) {
         console.warn('📢 Real-time notification failed:', notifError.message);
         // Don't fail the request if notification fails
       }
 
+      await whatsappService.notifyTaskAssigned(tenantId, {
+        id: newTask.id,
+        task,
+        assigned_to,
+        deadline,
+        priority
+      }, req.user.username);
+
       return res.status(201).json({ 
         success: true, 
         message: 'Task created successfully',
@@ -0,0 +1,31 @@
+/**
+ * Task Query API Controller (MVC Pattern)
+ * One page of tasks, filtered, searched and sorted on the server
+ */
+import { asyncHandler, authenticate, hasPermission } from '../../../src/middleware/index.js';
+import { taskService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Authenticate user
+  await authenticate(req, res);
+
+  // Without tasks:read the user sees the tasks assigned to or by them
+  await hasPermission(req, PERMISSIONS.TASKS_READ);
+
+  // Query: status, priority, assignee, assigner, client, search, overdue,
+  // deadlineFrom, deadlineTo (YYYY-MM-DD), sort, order, limit, cursor
+  const result = await taskService.queryTasks(req.user.tenantId, req.query, {
+    username: req.user.username,
+    scope: req.permissionScope || null,
+    teamUsernames: req.teamUsernames
+  });
+
+  return successResponse(res, result, 'Tasks retrieved successfully');
+});
@@ -0,0 +1,66 @@
+/**
+ * Task Workflow API Controller (MVC Pattern)
+ * Reads and changes the organization's task statuses and transition rules
+ */
+import { asyncHandler, authenticate, requirePermission, setAuditContext } from '../../../src/middleware/index.js';
+import { taskWorkflowService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetWorkflow(req, res);
+    case 'PUT':
+      return await handleUpdateWorkflow(req, res);
+    case 'DELETE':
+      return await handleResetWorkflow(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get the workflow
+ * Open to every user so task lists can show the statuses and allowed moves
+ */
+async function handleGetWorkflow(req, res) {
+  const workflow = await taskWorkflowService.getWorkflow(req.user.tenantId);
+
+  return successResponse(res, workflow, 'Task workflow retrieved successfully');
+}
+
+/**
+ * PUT Handler - Replace the workflow
+ * Body: { statuses: [{ key, label, color }], transitions: [{ from, to, requiredFields, allowedActors }] }
+ */
+async function handleUpdateWorkflow(req, res) {
+  await requirePermission(PERMISSIONS.SETTINGS_MANAGE)(req, res);
+
+  const before = await taskWorkflowService.getWorkflow(req.user.tenantId);
+  const workflow = await taskWorkflowService.updateWorkflow(req.user.tenantId, req.body || {});
+  setAuditContext(req, { before, after: workflow });
+
+  console.log(`Task workflow updated by ${req.user.username}`);
+
+  return successResponse(res, workflow, 'Task workflow updated successfully');
+}
+
+/**
+ * DELETE Handler - Go back to the default workflow
+ */
+async function handleResetWorkflow(req, res) {
+  await requirePermission(PERMISSIONS.SETTINGS_MANAGE)(req, res);
+
+  const before = await taskWorkflowService.getWorkflow(req.user.tenantId);
+  const workflow = await taskWorkflowService.updateWorkflow(req.user.tenantId, null);
+  setAuditContext(req, { before, after: workflow });
+
+  console.log(`Task workflow reset by ${req.user.username}`);
+
+  return successResponse(res, workflow, 'Task workflow reset to the default');
+}
@@ -0,0 +1,74 @@
+/**
+ * Individual Team API Controller (MVC Pattern)
+ * Gets, updates and deletes a team
+ */
+import { asyncHandler, authenticate, requirePermission, setAuditContext } from '../../../src/middleware/index.js';
+import { teamService } from '../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const teamId = query.id;
+
+  if (!teamId) {
+    return errorResponse(res, 'Team ID is required', 400);
+  }
+
+  switch (method) {
+    case 'GET':
+      return await handleGetTeam(req, res, teamId);
+    case 'PUT':
+      await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+      return await handleUpdateTeam(req, res, teamId);
+    case 'DELETE':
+      await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+      return await handleDeleteTeam(req, res, teamId);
+    default:
+      res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get a team
+ */
+async function handleGetTeam(req, res, teamId) {
+  const team = await teamService.getTeamById(teamId, req.user.tenantId);
+
+  if (!team) {
+    return notFoundResponse(res, 'Team');
+  }
+
+  return successResponse(res, team, 'Team retrieved successfully');
+}
+
+/**
+ * PUT Handler - Update a team
+ * Body: { name, description, parentId, managerId } (omitted fields are kept)
+ */
+async function handleUpdateTeam(req, res, teamId) {
+  const before = await teamService.getTeamById(teamId, req.user.tenantId);
+  const team = await teamService.updateTeam(teamId, req.body || {}, req.user.tenantId);
+  setAuditContext(req, { before, after: team });
+
+  console.log(`Team ${teamId} updated by ${req.user.username}`);
+
+  return successResponse(res, team, 'Team updated successfully');
+}
+
+/**
+ * DELETE Handler - Delete a team without sub-teams or members
+ */
+async function handleDeleteTeam(req, res, teamId) {
+  const before = await teamService.getTeamById(teamId, req.user.tenantId);
+  await teamService.deleteTeam(teamId, req.user.tenantId);
+  setAuditContext(req, { before });
+
+  console.log(`Team ${teamId} deleted by ${req.user.username}`);
+
+  return successResponse(res, null, 'Team deleted successfully');
+}
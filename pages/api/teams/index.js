@@ -0,0 +1,47 @@
+/**
+ * Teams API Controller (MVC Pattern)
+ * Lists the organization's teams and departments and creates new ones
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../src/middleware/index.js';
+import { teamService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  switch (req.method) {
+    case 'GET':
+      return await handleGetTeams(req, res);
+    case 'POST':
+      return await handleCreateTeam(req, res);
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - List teams with their member counts
+ * Open to every user so dashboards can offer a team filter
+ */
+async function handleGetTeams(req, res) {
+  const teams = await teamService.getTeams(req.user.tenantId);
+
+  return successResponse(res, { teams }, 'Teams retrieved successfully');
+}
+
+/**
+ * POST Handler - Create a team
+ * Body: { name, description, parentId, managerId }
+ */
+async function handleCreateTeam(req, res) {
+  await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+
+  const team = await teamService.createTeam(req.body || {}, req.user.tenantId, req.user.username);
+
+  console.log(`Team ${team.name} created by ${req.user.username}`);
+
+  return successResponse(res, team, 'Team created successfully', 201);
+}
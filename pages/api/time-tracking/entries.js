@@ -0,0 +1,90 @@
+/**
+ * Time Entries API Controller (MVC Pattern)
+ * Lists, adds and deletes time logged on tasks
+ */
+import {
+  asyncHandler,
+  authenticate,
+  canActOnTask,
+  hasPermission,
+  isInPermissionScope,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { timeTrackingService, taskStructureService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ForbiddenError, ValidationError } from '../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { getIndiaDate } from '../../../lib/timezone.js';
+
+/**
+ * Whether the user may see or change another user's entries
+ */
+const canManageUser = async (req, username, permission) => (
+  username === req.user.username ||
+  (await hasPermission(req, permission) && isInPermissionScope(req, username))
+);
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      // ?taskId= lists a task's entries; otherwise ?date= (today) and ?user= (self)
+      if (req.query.taskId) {
+        const task = await taskStructureService.getTask(req.query.taskId, tenantId);
+        if (!(await canActOnTask(req, task, PERMISSIONS.TASKS_READ))) {
+          throw new ForbiddenError('You do not have permission to view this task');
+        }
+
+        const result = await timeTrackingService.getTaskEntries(task.id, tenantId);
+        return successResponse(res, {
+          ...result,
+          estimatedMinutes: task.estimatedMinutes ?? null,
+          trackedMinutes: task.trackedMinutes || 0
+        }, 'Time entries retrieved successfully');
+      }
+
+      const date = req.query.date || getIndiaDate();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new ValidationError('Invalid date format (YYYY-MM-DD)');
+      }
+
+      const targetUser = req.query.user || username;
+      if (!(await canManageUser(req, targetUser, PERMISSIONS.TASKS_READ))) {
+        throw new ForbiddenError("You do not have permission to view this user's time");
+      }
+
+      const result = await timeTrackingService.getDayEntries(targetUser, tenantId, date);
+      return successResponse(res, { ...result, date, username: targetUser }, 'Time entries retrieved successfully');
+    }
+
+    case 'POST': {
+      // Body: { taskId, minutes, date?, note? }; always logged for the signed-in user
+      const entry = await timeTrackingService.addManualEntry(req.body || {}, username, tenantId);
+      setAuditContext(req, { resourceId: entry.id, after: entry });
+      return successResponse(res, { entry }, 'Time entry added successfully', 201);
+    }
+
+    case 'DELETE': {
+      if (!req.query.id) {
+        throw new ValidationError('Time entry ID is required');
+      }
+
+      const entry = await timeTrackingService.getEntry(req.query.id, tenantId);
+      if (!(await canManageUser(req, entry.username, PERMISSIONS.TASKS_EDIT))) {
+        throw new ForbiddenError('You do not have permission to delete this time entry');
+      }
+
+      await timeTrackingService.deleteEntry(entry);
+      setAuditContext(req, { before: entry });
+      return successResponse(res, null, 'Time entry deleted successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * Task Timer API Controller (MVC Pattern)
+ * The signed-in user's timer: one at a time, on tasks assigned to them
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { timeTrackingService } from '../../../src/services/index.js';
+import { TIMER_ACTIONS } from '../../../src/services/timeTracking.service.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const ACTION_DONE = { start: 'started', pause: 'paused', resume: 'resumed', stop: 'stopped' };
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  if (req.method === 'GET') {
+    const timer = await timeTrackingService.getTimer(username, tenantId);
+    return successResponse(res, { timer }, 'Timer retrieved successfully');
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Body: { action: start | pause | resume | stop, taskId (start only) }
+  const { action, taskId } = req.body || {};
+  if (!TIMER_ACTIONS.includes(action)) {
+    throw new ValidationError(`Action must be one of: ${TIMER_ACTIONS.join(', ')}`);
+  }
+
+  let result;
+  if (action === 'start') {
+    result = await timeTrackingService.startTimer(taskId, username, tenantId);
+  } else if (action === 'pause') {
+    result = await timeTrackingService.pauseTimer(username, tenantId);
+  } else if (action === 'resume') {
+    result = await timeTrackingService.resumeTimer(username, tenantId);
+  } else {
+    const { stoppedTimer, stoppedEntry } = await timeTrackingService.stopTimer(username, tenantId);
+    result = { timer: null, stoppedTimer, stoppedEntry };
+  }
+
+  setAuditContext(req, { resourceId: result.timer?.taskId || result.stoppedTimer?.taskId || null, action: `time-tracking.timer.${action}`, after: result });
+
+  return successResponse(res, result, `Timer ${ACTION_DONE[action]} successfully`);
+});
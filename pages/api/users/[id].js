@@ -2,9 +2,10 @@
  * Individual User API Controller (MVC Pattern)
  * Handles specific user operations - get, update, delete by ID
  */
-import { asyncHandler, authenticate, requireAdmin } from '../../../src/middleware/index.js';
+import { asyncHandler, authenticate, hasPermission, setAuditContext } from '../../../src/middleware/index.js';
 import { userService } from '../../../src/services/index.js';
 import { successResponse, errorResponse, notFoundResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
 
 export default asyncHandler(async (req, res) => {
   // Authenticate user
@@ -37,8 +38,8 @@ async function handleGetUser(req, res, userId) {
   const currentUser = req.user;
   const tenantId = currentUser.tenantId;
 
-  // Only admins can view other users, users can view their own profile
-  if (currentUser.role !== 'admin' && currentUser.id !== userId) {
+  // Users can view their own profile; viewing others needs users:manage
+  if (currentUser.id !== userId && !(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
     return errorResponse(res, 'Access denied', 403);
   }
 
@@ -63,8 +64,10 @@ async function handleUpdateUser(req, res, userId) {
   const currentUser = req.user;
   const tenantId = currentUser.tenantId;
 
-  // Only admins can update other users, users can update their own profile
-  if (currentUser.role !== 'admin' && currentUser.id !== userId) {
+  const canManageUsers = await hasPermission(req, PERMISSIONS.USERS_MANAGE);
+
+  // Users can update their own profile; updating others needs users:manage
+  if (!canManageUsers && currentUser.id !== userId) {
     return errorResponse(res, 'Access denied', 403);
   }
 
@@ -75,16 +78,31 @@ async function handleUpdateUser(req, res, userId) {
       return notFoundResponse(res, 'User');
     }
 
-    // Prevent non-admin users from updating role
-    if (currentUser.role !== 'admin' && req.body.role) {
-      return errorResponse(res, 'Only administrators can modify user roles', 403);
+    // Role, reporting line, team and location are set by user managers only
+    if (!canManageUsers && (req.body.role || req.body.managerId !== undefined ||
+        req.body.teamId !== undefined || req.body.location !== undefined)) {
+      return errorResponse(res, 'Only user managers can modify roles, managers, teams and locations', 403);
+    }
+
+    // Users change their own password through /api/users/change-password,
+    // which checks the current password
+    if (!canManageUsers && (req.body.password || req.body.mustChangePassword !== undefined)) {
+      return errorResponse(res, 'Use change password to update your password', 403);
+    }
+
+    const updateData = { ...req.body };
+
+    // A password chosen by an admin for someone else must be replaced at next login
+    if (updateData.password && currentUser.id !== userId && updateData.mustChangePassword === undefined) {
+      updateData.mustChangePassword = true;
     }
 
-    const updatedUser = await userService.updateUser(userId, req.body, tenantId);
+    const updatedUser = await userService.updateUser(userId, updateData, tenantId);
+    setAuditContext(req, { before: existingUser, after: updatedUser });
     return successResponse(res, { user: updatedUser }, 'User updated successfully');
   } catch (error) {
     console.error('Error updating user:', error);
-    return errorResponse(res, error.message || 'Failed to update user', 500);
+    return errorResponse(res, error.message || 'Failed to update user', error.statusCode || 500, error.errors);
   }
 }
 
@@ -95,12 +113,11 @@ async function handleDeleteUser(req, res, userId) {
   const currentUser = req.user;
   const tenantId = currentUser.tenantId;
 
-  // Only admins can delete users
-  if (currentUser.role !== 'admin') {
-    return errorResponse(res, 'Only administrators can delete users', 403);
+  if (!(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+    return errorResponse(res, 'You do not have permission to delete users', 403);
   }
 
-  // Prevent admin from deleting themselves
+  // Prevent user managers from deleting themselves
   if (currentUser.id === userId) {
     return errorResponse(res, 'You cannot delete your own account', 400);
   }
@@ -113,6 +130,7 @@ async function handleDeleteUser(req, res, userId) {
     }
 
     await userService.deleteUser(userId, existingUser.username, tenantId);
+    setAuditContext(req, { before: existingUser });
     return successResponse(res, null, 'User deleted successfully');
   } catch (error) {
     console.error('Error deleting user:', error);
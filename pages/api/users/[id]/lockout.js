@@ -0,0 +1,58 @@
+/**
+ * User Lockout API Controller (MVC Pattern)
+ * Shows and clears brute-force login lockouts for a user (user managers only)
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../../src/middleware/index.js';
+import { userService, loginAttemptService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const userId = query.id;
+
+  if (!userId) {
+    return errorResponse(res, 'User ID is required', 400);
+  }
+
+  await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+
+  const user = await userService.getUserById(userId, req.user.tenantId);
+
+  if (!user) {
+    return notFoundResponse(res, 'User');
+  }
+
+  switch (method) {
+    case 'GET':
+      return await handleGetLockout(req, res, user);
+    case 'DELETE':
+      return await handleUnlock(req, res, user);
+    default:
+      res.setHeader('Allow', ['GET', 'DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get the login lockout status of a user
+ */
+async function handleGetLockout(req, res, user) {
+  const status = await loginAttemptService.getAccountStatus(user.username, req.user.tenantId);
+
+  return successResponse(res, { username: user.username, ...status }, 'Lockout status retrieved successfully');
+}
+
+/**
+ * DELETE Handler - Unlock a user account
+ */
+async function handleUnlock(req, res, user) {
+  await loginAttemptService.unlockAccount(user.username, req.user.tenantId);
+
+  console.log(`Account ${user.username} unlocked by ${req.user.username}`);
+
+  return successResponse(res, { username: user.username }, 'Account unlocked successfully');
+}
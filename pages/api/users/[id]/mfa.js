@@ -0,0 +1,63 @@
+/**
+ * User MFA API Controller (MVC Pattern)
+ * Shows and resets a user's two-factor authentication (user managers only)
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../../src/middleware/index.js';
+import { userService, mfaService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const userId = query.id;
+
+  if (!userId) {
+    return errorResponse(res, 'User ID is required', 400);
+  }
+
+  await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+
+  const user = await userService.getUserById(userId, req.user.tenantId);
+
+  if (!user) {
+    return notFoundResponse(res, 'User');
+  }
+
+  switch (method) {
+    case 'GET':
+      return await handleGetMfa(req, res, user);
+    case 'DELETE':
+      return await handleResetMfa(req, res, user);
+    default:
+      res.setHeader('Allow', ['GET', 'DELETE']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * GET Handler - Get a user's MFA status
+ */
+async function handleGetMfa(req, res, user) {
+  const status = await mfaService.getStatus(user.id, req.user.tenantId);
+
+  return successResponse(res, { username: user.username, ...status }, 'MFA status retrieved successfully');
+}
+
+/**
+ * DELETE Handler - Reset a user's MFA (e.g. lost device)
+ * If the organization requires MFA, the user enrolls again on next login
+ */
+async function handleResetMfa(req, res, user) {
+  const removed = await mfaService.resetForUser(user.id, req.user.tenantId);
+
+  if (!removed) {
+    return errorResponse(res, 'Two-factor authentication is not set up for this user', 400);
+  }
+
+  console.log(`MFA of ${user.username} reset by ${req.user.username}`);
+
+  return successResponse(res, { username: user.username }, 'Two-factor authentication reset successfully');
+}
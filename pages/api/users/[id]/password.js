@@ -0,0 +1,80 @@
+/**
+ * User Password API Controller (MVC Pattern)
+ * Admin password actions that never reveal or choose a password for the user:
+ * emailing a one-time set-password link and forcing a change on next login
+ */
+import { asyncHandler, authenticate, requirePermission } from '../../../../src/middleware/index.js';
+import { userService } from '../../../../src/services/index.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { method, query } = req;
+  const userId = query.id;
+
+  if (!userId) {
+    return errorResponse(res, 'User ID is required', 400);
+  }
+
+  await requirePermission(PERMISSIONS.USERS_MANAGE)(req, res);
+
+  const user = await userService.getUserById(userId, req.user.tenantId);
+
+  if (!user) {
+    return notFoundResponse(res, 'User');
+  }
+
+  switch (method) {
+    case 'POST':
+      return await handleSendSetPasswordLink(req, res, user);
+    case 'PUT':
+      return await handleSetMustChangePassword(req, res, user);
+    default:
+      res.setHeader('Allow', ['POST', 'PUT']);
+      return errorResponse(res, `Method ${method} Not Allowed`, 405);
+  }
+});
+
+/**
+ * POST Handler - Email the user a one-time link to set a new password
+ */
+async function handleSendSetPasswordLink(req, res, user) {
+  let result;
+
+  try {
+    result = await userService.sendSetPasswordLink(user.id, req.user.tenantId, req.user.username);
+  } catch (error) {
+    if (error.statusCode) throw error;
+
+    console.error('Failed to send set password link:', error);
+    return errorResponse(res, 'Failed to send set password email', 500);
+  }
+
+  console.log(`Set password link sent to ${user.username} by ${req.user.username}`);
+
+  return successResponse(res, { username: user.username, ...result }, `Set password link sent to ${result.email}`);
+}
+
+/**
+ * PUT Handler - Require (or stop requiring) a password change on next login
+ */
+async function handleSetMustChangePassword(req, res, user) {
+  const { mustChangePassword } = req.body || {};
+
+  if (typeof mustChangePassword !== 'boolean') {
+    return errorResponse(res, 'mustChangePassword must be true or false', 400);
+  }
+
+  const updatedUser = await userService.updateUser(user.id, { mustChangePassword }, req.user.tenantId);
+
+  console.log(`Password change ${mustChangePassword ? 'required' : 'no longer required'} for ${user.username} by ${req.user.username}`);
+
+  return successResponse(
+    res,
+    { username: user.username, mustChangePassword: updatedUser.mustChangePassword },
+    mustChangePassword ? 'User must change their password on next login' : 'Password change requirement removed'
+  );
+}
@@ -1,9 +1,26 @@
 // pages/api/users/change-password.js - Change own password
 import { requireAuth } from '../../../lib/auth.js';
 import { getUserByUsername, updateUser } from '../../../lib/firebaseService.js';
+import { passwordPolicyService } from '../../../src/services/index.js';
+import { validatePasswordAgainstPolicy } from '../../../src/utils/passwordPolicy.util.js';
 import bcrypt from 'bcryptjs';
 
 async function handler(req, res) {
+  // GET - the password policy the new password has to meet
+  if (req.method === 'GET') {
+    try {
+      return res.status(200).json({
+        success: true,
+        passwordPolicy: await passwordPolicyService.getPolicy(req.tenantId)
+      });
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load password policy'
+      });
+    }
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({
       success: false,
@@ -24,13 +41,6 @@ async function handler(req, res) {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters'
-      });
-    }
-
     // Get user from database
     const user = await getUserByUsername(username, tenantId);
 
@@ -51,6 +61,17 @@ async function handler(req, res) {
       });
     }
 
+    // Enforce the organization's password policy
+    const policyErrors = validatePasswordAgainstPolicy(newPassword, await passwordPolicyService.getPolicy(tenantId));
+
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: policyErrors[0].message,
+        errors: policyErrors
+      });
+    }
+
     // Check if new password is different
     const isSamePassword = await bcrypt.compare(newPassword, user.password);
 
@@ -61,7 +82,7 @@ async function handler(req, res) {
       });
     }
 
-    // Update password
+    // Update password (also clears a forced change or an expired password)
     await updateUser(user.id, { password: newPassword }, tenantId);
 
     console.log(`Password changed for user: ${username}`);
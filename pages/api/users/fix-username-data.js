@@ -1,7 +1,10 @@
 // API endpoint to fix username references in all collections
 // This is needed to manually update data when username changes didn't propagate correctly
 import { adminDb } from '../../../lib/firebase-admin';
-import { verifyToken } from '../../../lib/auth';
+import { verifyTokenFromRequest } from '../../../lib/auth';
+import { hasPermission, auditRequest } from '../../../src/middleware/index.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { buildTaskIndexFields } from '../../../src/utils/taskQuery.util.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -9,15 +12,18 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify authentication and admin role
-    const user = await verifyToken(req);
+    // Verify authentication and the users:manage permission
+    const verification = await verifyTokenFromRequest(req);
 
-    if (!user) {
+    if (!verification.valid) {
       return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
 
-    if (user.role?.toLowerCase() !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admin access required' });
+    req.user = verification.user;
+    auditRequest(req, res);
+
+    if (!(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+      return res.status(403).json({ success: false, message: 'Permission to manage users required' });
     }
 
     const { oldUsername, newUsername } = req.body;
@@ -39,7 +45,7 @@ export default async function handler(req, res) {
       activity_log: 0
     };
 
-    const tenantId = user.tenantId; // Get tenant from authenticated user
+    const tenantId = req.user.tenantId; // Get tenant from authenticated user
 
     // Fix attendance records
     const attendanceQuery = tenantId
@@ -61,7 +67,7 @@ export default async function handler(req, res) {
 
     const tasksAssignedSnapshot = await tasksAssignedQuery.get();
     const tasksAssignedPromises = tasksAssignedSnapshot.docs.map(doc =>
-      doc.ref.update({ assigned_to: newUsername })
+      doc.ref.update({ assigned_to: newUsername, ...buildTaskIndexFields({ ...doc.data(), assigned_to: newUsername }) })
     );
     await Promise.all(tasksAssignedPromises);
     results.tasks_assigned = tasksAssignedSnapshot.size;
@@ -74,7 +80,7 @@ export default async function handler(req, res) {
 
     const tasksGivenSnapshot = await tasksGivenQuery.get();
     const tasksGivenPromises = tasksGivenSnapshot.docs.map(doc =>
-      doc.ref.update({ given_by: newUsername })
+      doc.ref.update({ given_by: newUsername, ...buildTaskIndexFields({ ...doc.data(), given_by: newUsername }) })
     );
     await Promise.all(tasksGivenPromises);
     results.tasks_given = tasksGivenSnapshot.size;
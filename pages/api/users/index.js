@@ -1,6 +1,44 @@
 // pages/api/users.js (or pages/api/users/index.js) - Corrected with debug logging
 import { requireAuth } from '../../../lib/auth.js'; // Use ../../ if file is at pages/api/users.js
 import { loadUsers, addUser, deleteUser, updateUser, getUserByUsername, getUserById } from '../../../lib/firebaseService.js'; // Use ../../ if file is at pages/api/users.js
+import { passwordPolicyService, userService } from '../../../src/services/index.js';
+import { hasPermission } from '../../../src/middleware/index.js';
+import { validatePasswordAgainstPolicy } from '../../../src/utils/passwordPolicy.util.js';
+import { PERMISSIONS, DEFAULT_ROLE } from '../../../src/utils/permissions.util.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+// Reject a password that does not meet the organization's policy
+const sendPolicyErrors = async (res, password, tenantId) => {
+  const errors = validatePasswordAgainstPolicy(password, await passwordPolicyService.getPolicy(tenantId));
+
+  if (errors.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: errors[0].message,
+    errors
+  });
+  return true;
+};
+
+// Reject a role or team the organization does not have, or a manager the user cannot report to
+const sendAssignmentErrors = async (res, userId, assignments, tenantId) => {
+  try {
+    await userService.validateAssignments(userId, assignments, tenantId);
+    return false;
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors
+    });
+    return true;
+  }
+};
 
 async function handler(req, res) {
   // Multi-tenancy: Extract tenantId from authenticated request
@@ -27,8 +65,13 @@ async function handler(req, res) {
         .map(user => ({
           id: user.id,
           username: user.username,
-          role: user.role || 'user',
+          role: user.role || DEFAULT_ROLE,
+          managerId: user.managerId || null,
+          teamId: user.teamId || null,
+          location: user.location || null,
           email: user.email || '',
+          profileImage: user.profileImage || null,
+          mustChangePassword: user.mustChangePassword === true,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }));
@@ -52,16 +95,15 @@ async function handler(req, res) {
     try {
       console.log('👤 POST request received - creating user');
       
-      // Only admins can create users
-      if (req.user.role?.toLowerCase() !== 'admin') {
-        console.log('❌ Access denied - user is not admin');
+      if (!(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+        console.log('❌ Access denied - missing users:manage');
         return res.status(403).json({ 
           success: false, 
-          message: 'Only administrators can create users' 
+          message: 'You do not have permission to create users' 
         });
       }
 
-      const { username, email, password, role } = req.body;
+      const { username, email, password, role, managerId, teamId, location } = req.body;
       console.log('📦 Request data:', { username, email, role, password: password ? '***' : 'missing' });
 
       // Validate required fields
@@ -73,24 +115,28 @@ async function handler(req, res) {
         });
       }
 
-      // Validate role
-      const validRoles = ['admin', 'user'];
-      if (role && !validRoles.includes(role.toLowerCase())) {
-        console.log('❌ Invalid role:', role);
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Role must be either "admin" or "user"' 
-        });
+      if (await sendAssignmentErrors(res, null, { role, managerId, teamId }, tenantId)) {
+        console.log('❌ Invalid role, manager or team:', { role, managerId, teamId });
+        return;
+      }
+
+      if (await sendPolicyErrors(res, password, tenantId)) {
+        console.log('❌ Password does not meet policy');
+        return;
       }
 
       console.log('👤 Creating new user:', username);
 
-      // Create user
+      // Create user - the admin chose this password, so the user replaces it at first login
       const newUser = await addUser({
         username: username.trim(),
         email: email?.trim() || '',
         password: password,
-        role: role?.toLowerCase() || 'user'
+        role: role?.toLowerCase() || DEFAULT_ROLE,
+        managerId: managerId || null,
+        teamId: teamId || null,
+        location: location || null,
+        mustChangePassword: true
       }, tenantId);
 
       console.log('✅ User created successfully:', newUser.id);
@@ -102,7 +148,10 @@ async function handler(req, res) {
           id: newUser.id,
           username: newUser.username,
           email: newUser.email,
-          role: newUser.role
+          role: newUser.role,
+          managerId: newUser.managerId || null,
+          teamId: newUser.teamId || null,
+          location: newUser.location || null
         }
       });
       
@@ -129,12 +178,11 @@ async function handler(req, res) {
     try {
       console.log('🗑️ DELETE request received - deleting user');
       
-      // Only admins can delete users
-      if (req.user.role?.toLowerCase() !== 'admin') {
-        console.log('❌ Access denied - user is not admin');
+      if (!(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+        console.log('❌ Access denied - missing users:manage');
         return res.status(403).json({ 
           success: false, 
-          message: 'Only administrators can delete users' 
+          message: 'You do not have permission to delete users' 
         });
       }
 
@@ -150,7 +198,7 @@ async function handler(req, res) {
         });
       }
 
-      // Prevent admin from deleting themselves
+      // Prevent user managers from deleting themselves
       if (username === req.user.username) {
         console.log('❌ User trying to delete themselves');
         return res.status(400).json({ 
@@ -220,16 +268,15 @@ async function handler(req, res) {
     try {
       console.log('✏️ PUT request received - updating user');
       
-      // Only admins can update users
-      if (req.user.role?.toLowerCase() !== 'admin') {
-        console.log('❌ Access denied - user is not admin');
+      if (!(await hasPermission(req, PERMISSIONS.USERS_MANAGE))) {
+        console.log('❌ Access denied - missing users:manage');
         return res.status(403).json({ 
           success: false, 
-          message: 'Only administrators can update users' 
+          message: 'You do not have permission to update users' 
         });
       }
 
-      const { userId, username, email, role, password } = req.body;
+      const { userId, username, email, role, managerId, teamId, location, password, mustChangePassword } = req.body;
       console.log('📦 Update data:', { userId, username, email, role, password: password ? '***' : 'not provided' });
 
       // Validate required fields
@@ -251,7 +298,7 @@ async function handler(req, res) {
         });
       }
 
-      // Prevent admin from changing their own role
+      // Prevent user managers from changing their own role
       if (userDoc.username === req.user.username && role && role !== userDoc.role) {
         console.log('❌ User trying to change their own role');
         return res.status(400).json({ 
@@ -260,26 +307,34 @@ async function handler(req, res) {
         });
       }
 
-      // Validate role if provided
-      if (role) {
-        const validRoles = ['admin', 'user'];
-        if (!validRoles.includes(role.toLowerCase())) {
-          console.log('❌ Invalid role:', role);
-          return res.status(400).json({ 
-            success: false, 
-            message: 'Role must be either "admin" or "user"' 
-          });
-        }
+      if (await sendAssignmentErrors(res, userId, { role, managerId, teamId }, tenantId)) {
+        console.log('❌ Invalid role, manager or team:', { role, managerId, teamId });
+        return;
       }
 
       console.log('✏️ Updating user:', userId);
 
+      if (password !== undefined && password.trim() && await sendPolicyErrors(res, password.trim(), tenantId)) {
+        console.log('❌ Password does not meet policy');
+        return;
+      }
+
       // Prepare update data (only include provided fields)
       const updateData = {};
       if (username !== undefined) updateData.username = username;
       if (email !== undefined) updateData.email = email;
-      if (role !== undefined) updateData.role = role;
-      if (password !== undefined && password.trim()) updateData.password = password;
+      if (role !== undefined) updateData.role = role.toLowerCase();
+      if (managerId !== undefined) updateData.managerId = managerId || null;
+      if (teamId !== undefined) updateData.teamId = teamId || null;
+      if (location !== undefined) updateData.location = location || null;
+      if (password !== undefined && password.trim()) {
+        updateData.password = password;
+        // A password an admin sets for someone else is temporary unless the admin says otherwise
+        const isOwnAccount = userDoc.username === req.user.username;
+        updateData.mustChangePassword = mustChangePassword !== undefined ? mustChangePassword === true : !isOwnAccount;
+      } else if (mustChangePassword !== undefined) {
+        updateData.mustChangePassword = mustChangePassword === true;
+      }
 
       // Update user
       await updateUser(userId, updateData, tenantId);
@@ -0,0 +1,45 @@
+/**
+ * User Preferences API Controller (MVC Pattern)
+ * The signed-in user's timezone and notification sound
+ * (channels per event are under /api/settings/notifications)
+ */
+import { asyncHandler, authenticate, setAuditContext } from '../../../src/middleware/index.js';
+import { notificationPreferencesService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+
+const pickUserPreferences = ({ timezone, sound }) => ({ timezone, sound });
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+
+  switch (req.method) {
+    case 'GET': {
+      const preferences = await notificationPreferencesService.getPreferences(username, tenantId);
+      return successResponse(res, pickUserPreferences(preferences), 'Preferences retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { timezone?, sound? }
+      const before = await notificationPreferencesService.getPreferences(username, tenantId);
+      const preferences = await notificationPreferencesService.updatePreferences(
+        username,
+        tenantId,
+        pickUserPreferences(req.body || {})
+      );
+      setAuditContext(req, {
+        resourceType: 'user-preferences',
+        resourceId: username,
+        before: pickUserPreferences(before),
+        after: pickUserPreferences(preferences)
+      });
+      return successResponse(res, pickUserPreferences(preferences), 'Preferences updated successfully');
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
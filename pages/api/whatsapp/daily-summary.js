@@ -0,0 +1,45 @@
+/**
+ * Daily WFH Summary API (Cron)
+ * Sends each organization's daily WFH summary on WhatsApp once its summary
+ * time (India time) has passed, once a day.
+ * Called every 15 minutes by Vercel Cron (CRON_SECRET).
+ */
+import { asyncHandler } from '../../../src/middleware/index.js';
+import { organizationService, whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ORGANIZATION_STATUS } from '../../../src/utils/constants.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  // Verify Vercel Cron secret
+  const authHeader = req.headers['x-vercel-cron-secret'] || req.headers['authorization'];
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (!cronSecret || (authHeader !== cronSecret && authHeader !== `Bearer ${cronSecret}`)) {
+    return errorResponse(res, 'Unauthorized. Only Vercel Cron can send daily WhatsApp summaries', 403);
+  }
+
+  const organizations = (await organizationService.getAllOrganizations())
+    .filter(organization => [ORGANIZATION_STATUS.ACTIVE, ORGANIZATION_STATUS.TRIAL].includes(organization.status));
+
+  const summary = { organizations: 0, messages: 0, failed: [] };
+
+  for (const organization of organizations) {
+    try {
+      const deliveries = await whatsappService.sendDueDailySummary(organization.tenantId);
+      if (deliveries) {
+        summary.organizations++;
+        summary.messages += deliveries.length;
+      }
+    } catch (error) {
+      console.error(`Daily WhatsApp summary failed for ${organization.tenantId}:`, error);
+      summary.failed.push(organization.tenantId);
+    }
+  }
+
+  return successResponse(res, summary, `Sent the daily WFH summary for ${summary.organizations} organizations`);
+});
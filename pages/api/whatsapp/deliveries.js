@@ -0,0 +1,35 @@
+/**
+ * WhatsApp Delivery Log API Controller (MVC Pattern)
+ * The organization's WhatsApp messages, newest first: sent, failed, or
+ * skipped and why
+ */
+import {
+  asyncHandler,
+  authenticate,
+  requirePermission
+} from '../../../src/middleware/index.js';
+import { whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user and require permission to manage organization settings
+  await authenticate(req, res);
+  await requirePermission(PERMISSIONS.SETTINGS_MANAGE)(req, res);
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+
+  // Query: event?, status?, user?, limit?
+  const { event, status, user, limit } = req.query;
+  const deliveries = await whatsappService.listDeliveries(req.user.tenantId, {
+    event,
+    status,
+    username: user,
+    limit
+  });
+
+  return successResponse(res, { deliveries }, 'WhatsApp deliveries retrieved successfully');
+});
@@ -0,0 +1,69 @@
+/**
+ * WhatsApp Opt-in API Controller (MVC Pattern)
+ * Users opt in to WhatsApp messages (with their number) or out; admins see
+ * everyone's opt-in and can record one given outside the app
+ */
+import {
+  asyncHandler,
+  authenticate,
+  hasPermission,
+  setAuditContext
+} from '../../../src/middleware/index.js';
+import { whatsappService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { ForbiddenError } from '../../../src/utils/errors.js';
+import { PERMISSIONS } from '../../../src/utils/permissions.util.js';
+import { OPT_IN_SOURCE } from '../../../src/models/whatsappOptIn.model.js';
+
+export default asyncHandler(async (req, res) => {
+  // Authenticate user
+  await authenticate(req, res);
+
+  const { username, tenantId } = req.user;
+  const { user, all } = req.query;
+  const target = user || username;
+  const isOwn = target === username;
+
+  // Other users' opt-ins are for those who manage the organization's settings
+  if ((all === 'true' || !isOwn) && !(await hasPermission(req, PERMISSIONS.SETTINGS_MANAGE))) {
+    throw new ForbiddenError('Permission to manage organization settings required');
+  }
+
+  switch (req.method) {
+    case 'GET': {
+      if (all === 'true') {
+        const optIns = await whatsappService.listOptIns(tenantId);
+        return successResponse(res, { optIns }, 'WhatsApp opt-ins retrieved successfully');
+      }
+
+      const optIn = await whatsappService.getOptIn(target, tenantId);
+      return successResponse(res, { optIn }, 'WhatsApp opt-in retrieved successfully');
+    }
+
+    case 'PUT': {
+      // Body: { optedIn, phone? }
+      const before = await whatsappService.getOptIn(target, tenantId);
+      // The code is shown once and kept out of the audit log
+      const { verificationCode, ...optIn } = await whatsappService.setOptIn(target, tenantId, req.body || {}, {
+        updatedBy: username,
+        source: isOwn ? OPT_IN_SOURCE.APP : OPT_IN_SOURCE.ADMIN
+      });
+      setAuditContext(req, {
+        action: optIn.optedIn ? 'whatsapp.opt_in' : 'whatsapp.opt_out',
+        resourceId: target,
+        before,
+        after: optIn
+      });
+
+      return successResponse(
+        res,
+        { optIn, ...(verificationCode && { verificationCode }) },
+        optIn.optedIn ? 'Opted in to WhatsApp messages' : 'Opted out of WhatsApp messages'
+      );
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'PUT']);
+      return errorResponse(res, `Method ${req.method} Not Allowed`, 405);
+  }
+});
@@ -0,0 +1,125 @@
+/**
+ * WhatsApp Webhook API
+ * Receives what users message the WhatsApp Business number and carries out
+ * their commands (IN wfh, OUT, TASKS, DONE 3; see whatsappCommand.service.js).
+ * GET answers the Cloud API's subscription check (WHATSAPP_VERIFY_TOKEN);
+ * POSTs must be signed with the app secret (WHATSAPP_APP_SECRET).
+ */
+import { asyncHandler } from '../../../src/middleware/index.js';
+import { whatsappCommandService } from '../../../src/services/index.js';
+import { successResponse, errorResponse } from '../../../src/utils/response.util.js';
+import { WHATSAPP_COMMANDS } from '../../../src/utils/whatsappCommand.util.js';
+import {
+  verifyWebhookSignature,
+  getWebhookChallenge,
+  getInboundMessages
+} from '../../../lib/whatsappService.js';
+import { broadcastNotification } from '../notifications/stream';
+
+// The signature is over the body exactly as sent
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const readRawBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Tell the app what happened, as the attendance and task routes do
+const notifyCommand = async (result) => {
+  const { tenantId, username, attendance, task } = result;
+
+  if (result.command === WHATSAPP_COMMANDS.CLOCK_IN && attendance) {
+    await broadcastNotification({
+      type: 'attendance_submitted',
+      title: 'Attendance Submitted',
+      message: `${username} marked attendance as ${attendance.workType.toUpperCase()} on WhatsApp`,
+      timestamp: new Date().toISOString(),
+      priority: 'low',
+      data: {
+        attendanceId: attendance.id,
+        username,
+        workType: attendance.workType,
+        date: attendance.date
+      }
+    }, { tenantId, role: 'admin' });
+  }
+
+  if (result.command === WHATSAPP_COMMANDS.DONE && task) {
+    await broadcastNotification({
+      type: 'task_completed',
+      title: 'Task Completed',
+      message: `${username} completed: "${task.task}"`,
+      timestamp: new Date().toISOString(),
+      priority: 'medium',
+      data: {
+        taskId: task.id,
+        completedBy: username,
+        completedDate: new Date().toISOString(),
+        task: task.task,
+        addToDailyLog: true
+      }
+    }, { tenantId, username: task.given_by });
+  }
+};
+
+export default asyncHandler(async (req, res) => {
+  if (req.method === 'GET') {
+    const challenge = getWebhookChallenge(req.query);
+    if (challenge === null) {
+      return errorResponse(res, 'Webhook verification failed', 403);
+    }
+
+    res.setHeader('Content-Type', 'text/plain');
+    return res.status(200).send(challenge);
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return errorResponse(res, 'Method not allowed', 405);
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!verifyWebhookSignature(rawBody, req.headers['x-hub-signature-256'])) {
+    return errorResponse(res, 'Invalid signature', 401);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return errorResponse(res, 'Invalid JSON', 400);
+  }
+
+  // The Cloud API sends a webhook again until it gets a 200, which would run
+  // its commands twice, so failures are only logged. It may also resend one
+  // that got its 200; messages handled before are skipped.
+  let handled = 0;
+  let skipped = 0;
+  for (const message of getInboundMessages(payload)) {
+    try {
+      const result = await whatsappCommandService.handleMessage(message);
+      if (result.duplicate) {
+        console.log(`WhatsApp message ${message.id} was handled before, skipping`);
+        skipped++;
+        continue;
+      }
+      handled++;
+
+      try {
+        await notifyCommand(result);
+      } catch (notifError) {
+        console.warn('📢 WhatsApp command notification failed:', notifError.message);
+      }
+    } catch (error) {
+      console.error(`WhatsApp message ${message.id} could not be handled:`, error);
+    }
+  }
+
+  return successResponse(res, { handled, skipped }, 'Webhook received');
+});
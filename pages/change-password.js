@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Button from '../components/ui/Button';
+import PasswordRequirements from '../components/auth/PasswordRequirements';
+import { authApi } from '../src/api/auth.api';
+import { validatePasswordAgainstPolicy } from '../src/utils/passwordPolicy.util';
+import { Eye, EyeOff, KeyRound, AlertTriangle } from 'lucide-react';
+
+// Shown after login when an admin set the password or it has expired;
+// the dashboards send flagged users here until they pick a new password
+export default function ChangePasswordPage() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      router.push('/');
+      return;
+    }
+
+    loadPasswordPolicy(token);
+  }, []);
+
+  const loadPasswordPolicy = async (token) => {
+    try {
+      const response = await fetch('/api/users/change-password', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPasswordPolicy(data.passwordPolicy);
+      }
+    } catch (error) {
+      // The server validates on submit; defaults are shown meanwhile
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!currentPassword || !password || !confirmPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+
+    const passwordErrors = validatePasswordAgainstPolicy(password, passwordPolicy);
+    if (passwordErrors.length > 0) {
+      setError(passwordErrors[0].message);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/users/change-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ currentPassword, newPassword: password }),
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        const user = { ...JSON.parse(localStorage.getItem('user') || '{}'), mustChangePassword: false };
+        localStorage.setItem('user', JSON.stringify(user));
+
+        router.push(user.role?.toLowerCase() === 'admin' ? '/admin' : '/dashboard');
+      } else {
+        setError(data.message || 'Failed to change password');
+      }
+    } catch (error) {
+      setError('Connection error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = "w-full px-4 py-4 pr-12 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium";
+
+  return (
+    <>
+      <Head>
+        <title>Change Password - Logam Task Manager</title>
+        <meta name="description" content="Choose a new password" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <div className="min-h-screen bg-white flex items-center justify-center p-6">
+        <div className="w-full max-w-md">
+
+          {/* Logo */}
+          <div className="text-center mb-8">
+            <div className="w-20 h-20 bg-gray-50 border-2 border-gray-200 rounded-xl flex items-center justify-center mx-auto mb-4">
+              <KeyRound className="w-10 h-10 text-gray-700" />
+            </div>
+            <h1 className="text-2xl font-bold text-black">Logam Task Manager</h1>
+            <p className="text-gray-600">Professional Edition</p>
+          </div>
+
+          <div className="bg-white border-2 border-gray-200 rounded-2xl p-8 shadow-lg">
+            <div className="text-center mb-6">
+              <h2 className="text-2xl font-bold text-black mb-2">Change Your Password</h2>
+              <p className="text-gray-600 text-sm">
+                Your password was set by an administrator or has expired. Choose a new one to continue.
+              </p>
+            </div>
+
+            {/* Error Message */}
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border-2 border-red-200 rounded-lg flex items-start space-x-3">
+                <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                <p className="text-red-700 text-sm font-medium flex-1">{error}</p>
+              </div>
+            )}
+
+            <form onSubmit={handleChangePassword} className="space-y-6">
+              {/* Current Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Current Password
+                </label>
+                <input
+                  type={showPassword ? "text" : "password"}
+                  placeholder="Enter your current password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  className={inputClassName}
+                  disabled={loading}
+                />
+              </div>
+
+              {/* New Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  New Password
+                </label>
+                <div className="relative">
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    placeholder="Enter new password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputClassName}
+                    disabled={loading}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-black transition-colors"
+                    disabled={loading}
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+                <div className="mt-2">
+                  <PasswordRequirements password={password} policy={passwordPolicy} />
+                </div>
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <input
+                  type={showPassword ? "text" : "password"}
+                  placeholder="Re-enter your new password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className={inputClassName}
+                  disabled={loading}
+                />
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full py-4 text-lg font-bold bg-black text-white hover:bg-gray-800 border-2 border-black"
+                loading={loading}
+                disabled={loading}
+              >
+                {loading ? 'Changing Password...' : 'Change Password'}
+              </Button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <button
+                type="button"
+                onClick={() => authApi.logout()}
+                className="text-gray-600 hover:text-black font-medium text-sm transition-colors"
+                disabled={loading}
+              >
+                Sign out
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -6,6 +6,7 @@ import Calendar from '../components/calendar/Calendar';
 import TaskTable from '../components/TaskTable';
 import { getIndiaDate } from '../lib/timezoneClient';
 import { AttendanceAPIService } from '../lib/attendanceServices';
+import { authApi } from '../src/api/auth.api';
 // New Modern Dashboard Components
 import MyTasksDashboard from '../components/dashboard/MyTasksDashboard';
 // import UserAttendanceDashboard from '../components/dashboard/UserAttendanceDashboard'; // Replaced with old AttendanceManagement
@@ -217,6 +218,13 @@ export default function UserDashboard() {
 
   const router = useRouter();
 
+  // Open the tab named in the link (?tab=), e.g. from a notification
+  useEffect(() => {
+    const { tab } = router.query;
+    if (!tab) return;
+    setActiveTab(tab === 'tasks' ? 'my-tasks' : tab);
+  }, [router.query.tab]);
+
   // Simple notification service
   const requestNotificationPermission = async () => {
     if (!('Notification' in window)) {
@@ -273,6 +281,12 @@ export default function UserDashboard() {
 
     try {
       const parsedUser = JSON.parse(userData);
+
+      if (parsedUser.mustChangePassword) {
+        router.push('/change-password');
+        return;
+      }
+
       setUser(parsedUser);
 
       // Verify token validity on load
@@ -533,8 +547,11 @@ export default function UserDashboard() {
     }
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await authApi.revokeSession();
     localStorage.removeItem('token');
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     router.push('/');
   };
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Button from '../components/ui/Button';
+import MfaLoginStep from '../components/auth/MfaLoginStep';
+import { FIREBASE_TOKEN_KEY } from '../lib/firebase';
 import { Eye, EyeOff, Mail } from 'lucide-react';
 
 export default function LoginPage() {
@@ -14,6 +16,7 @@ export default function LoginPage() {
   const [resetEmail, setResetEmail] = useState('');
   const [resetLoading, setResetLoading] = useState(false);
   const [resetMessage, setResetMessage] = useState('');
+  const [mfaChallenge, setMfaChallenge] = useState(null);
   const router = useRouter();
 
   // Check if user is already logged in
@@ -76,11 +79,23 @@ export default function LoginPage() {
 
       const data = await response.json();
       
-      if (data.success) {
+      if (data.success && (data.mfaRequired || data.mfaEnrollmentRequired)) {
+        // Password accepted, a second factor is still needed
+        setMfaChallenge(data);
+      } else if (data.success) {
         localStorage.setItem('token', data.token);
+        localStorage.setItem('accessToken', data.accessToken || data.token);
+        if (data.refreshToken) {
+          localStorage.setItem('refreshToken', data.refreshToken);
+        }
         localStorage.setItem('user', JSON.stringify(data.user));
+        if (data.firebaseToken) {
+          localStorage.setItem(FIREBASE_TOKEN_KEY, data.firebaseToken);
+        }
         
-        if (data.user.role.toLowerCase() === 'admin') {
+        if (data.user.mustChangePassword) {
+          router.push('/change-password');
+        } else if (data.user.role.toLowerCase() === 'admin') {
           router.push('/admin');
         } else {
           router.push('/dashboard');
@@ -208,74 +223,91 @@ export default function LoginPage() {
             {/* Login Card */}
             <div className="bg-white border-2 border-gray-200 rounded-2xl p-8 shadow-lg">
               
-              {/* Header */}
-              <div className="text-center mb-8">
-                <h2 className="text-3xl font-bold text-black mb-2">Welcome Back</h2>
-                <p className="text-gray-700">Sign in to your account</p>
-              </div>
+              {mfaChallenge ? (
+                <MfaLoginStep
+                  challenge={mfaChallenge}
+                  onComplete={(user) => router.push(
+                    user.mustChangePassword
+                      ? '/change-password'
+                      : (user.role?.toLowerCase() === 'admin' ? '/admin' : '/dashboard')
+                  )}
+                  onCancel={() => {
+                    setMfaChallenge(null);
+                    setPassword('');
+                  }}
+                />
+              ) : (
+                <>
+                  {/* Header */}
+                  <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-black mb-2">Welcome Back</h2>
+                    <p className="text-gray-700">Sign in to your account</p>
+                  </div>
 
-              {/* Error Message */}
-              {error && (
-                <div className="mb-6 p-4 bg-red-50 border-2 border-red-200 rounded-lg">
-                  <p className="text-red-700 text-sm font-medium">{error}</p>
-                </div>
-              )}
+                  {/* Error Message */}
+                  {error && (
+                    <div className="mb-6 p-4 bg-red-50 border-2 border-red-200 rounded-lg">
+                      <p className="text-red-700 text-sm font-medium">{error}</p>
+                    </div>
+                  )}
 
-              {/* Login Form */}
-              <form onSubmit={handleLogin} className="space-y-6">
-                <div>
-                  <input
-                    type="text"
-                    placeholder="Username"
-                    value={username}
-                    onChange={(e) => setUsername(e.target.value)}
-                    className="w-full px-4 py-4 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
-                    disabled={loading}
-                  />
-                </div>
+                  {/* Login Form */}
+                  <form onSubmit={handleLogin} className="space-y-6">
+                    <div>
+                      <input
+                        type="text"
+                        placeholder="Username"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        className="w-full px-4 py-4 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
+                        disabled={loading}
+                      />
+                    </div>
 
-                <div className="relative">
-                  <input
-                    type={showPassword ? "text" : "password"}
-                    placeholder="Password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    className="w-full px-4 py-4 pr-12 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
-                    disabled={loading}
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-black transition-colors"
-                    disabled={loading}
-                  >
-                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-                  </button>
-                </div>
+                    <div className="relative">
+                      <input
+                        type={showPassword ? "text" : "password"}
+                        placeholder="Password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="w-full px-4 py-4 pr-12 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
+                        disabled={loading}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-black transition-colors"
+                        disabled={loading}
+                      >
+                        {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                      </button>
+                    </div>
 
-                <Button
-                  type="submit"
-                  className="w-full py-4 text-lg font-bold bg-black text-white hover:bg-gray-800 border-2 border-black"
-                  loading={loading}
-                  disabled={loading}
-                >
-                  {loading ? 'Signing in...' : 'Sign In'}
-                </Button>
-              </form>
+                    <Button
+                      type="submit"
+                      className="w-full py-4 text-lg font-bold bg-black text-white hover:bg-gray-800 border-2 border-black"
+                      loading={loading}
+                      disabled={loading}
+                    >
+                      {loading ? 'Signing in...' : 'Sign In'}
+                    </Button>
+                  </form>
 
-              {/* Forgot Password Link */}
-              <div className="mt-6 text-center">
-                <button
-                  type="button"
-                  onClick={() => {
-                    setShowForgotPassword(true);
-                    setError('');
-                  }}
-                  className="text-gray-600 hover:text-black font-medium text-sm transition-colors"
-                >
-                  Forgot your password?
-                </button>
-              </div>
+                  {/* Forgot Password Link */}
+                  <div className="mt-6 text-center">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowForgotPassword(true);
+                        setError('');
+                      }}
+                      className="text-gray-600 hover:text-black font-medium text-sm transition-colors"
+                    >
+                      Forgot your password?
+                    </button>
+                  </div>
+                </>
+              )}
 
             </div>
 
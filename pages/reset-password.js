@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Button from '../components/ui/Button';
+import PasswordRequirements from '../components/auth/PasswordRequirements';
+import { validatePasswordAgainstPolicy } from '../src/utils/passwordPolicy.util';
 import { Eye, EyeOff, Lock, CheckCircle, AlertTriangle } from 'lucide-react';
 
 export default function ResetPasswordPage() {
@@ -13,16 +15,37 @@ export default function ResetPasswordPage() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
   const [token, setToken] = useState('');
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
   const router = useRouter();
 
+  // Admin-issued set-password links use the same flow with different wording
+  const isSetMode = router.query.mode === 'set';
+
   useEffect(() => {
     // Get token from URL query parameter
     const { token: urlToken } = router.query;
     if (urlToken) {
       setToken(urlToken);
+      checkToken(urlToken);
     }
   }, [router.query]);
 
+  // Fail early on used or expired links and load the organization's password policy
+  const checkToken = async (urlToken) => {
+    try {
+      const response = await fetch(`/api/auth/reset-password?token=${encodeURIComponent(urlToken)}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setPasswordPolicy(data.passwordPolicy);
+      } else {
+        setError(data.message || 'This link is invalid or has expired. Please request a new one.');
+      }
+    } catch (error) {
+      // The form still works; the server validates on submit
+    }
+  };
+
   const handleResetPassword = async (e) => {
     e.preventDefault();
     setError('');
@@ -33,8 +56,9 @@ export default function ResetPasswordPage() {
       return;
     }
 
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters long');
+    const passwordErrors = validatePasswordAgainstPolicy(password, passwordPolicy);
+    if (passwordErrors.length > 0) {
+      setError(passwordErrors[0].message);
       return;
     }
 
@@ -78,7 +102,7 @@ export default function ResetPasswordPage() {
   return (
     <>
       <Head>
-        <title>Reset Password - Logam Task Manager</title>
+        <title>{isSetMode ? 'Set Password' : 'Reset Password'} - Logam Task Manager</title>
         <meta name="description" content="Reset your password" />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
       </Head>
@@ -104,7 +128,9 @@ export default function ResetPasswordPage() {
                 <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
                   <CheckCircle className="w-10 h-10 text-green-600" />
                 </div>
-                <h2 className="text-2xl font-bold text-black mb-2">Password Reset Successful!</h2>
+                <h2 className="text-2xl font-bold text-black mb-2">
+                  {isSetMode ? 'Password Set Successfully!' : 'Password Reset Successful!'}
+                </h2>
                 <p className="text-gray-600 mb-6">
                   Your password has been updated successfully.
                 </p>
@@ -116,9 +142,9 @@ export default function ResetPasswordPage() {
               // Reset Password Form
               <>
                 <div className="text-center mb-6">
-                  <h2 className="text-2xl font-bold text-black mb-2">Reset Password</h2>
+                  <h2 className="text-2xl font-bold text-black mb-2">{isSetMode ? 'Set Your Password' : 'Reset Password'}</h2>
                   <p className="text-gray-600 text-sm">
-                    Enter your new password below
+                    {isSetMode ? 'Choose a password for your account' : 'Enter your new password below'}
                   </p>
                 </div>
 
@@ -139,7 +165,7 @@ export default function ResetPasswordPage() {
                     <div className="relative">
                       <input
                         type={showPassword ? "text" : "password"}
-                        placeholder="Enter new password (min 6 characters)"
+                        placeholder="Enter new password"
                         value={password}
                         onChange={(e) => setPassword(e.target.value)}
                         className="w-full px-4 py-4 pr-12 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
@@ -154,6 +180,9 @@ export default function ResetPasswordPage() {
                         {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                       </button>
                     </div>
+                    <div className="mt-2">
+                      <PasswordRequirements password={password} policy={passwordPolicy} />
+                    </div>
                   </div>
 
                   {/* Confirm Password */}
@@ -188,7 +217,9 @@ export default function ResetPasswordPage() {
                     loading={loading}
                     disabled={loading}
                   >
-                    {loading ? 'Resetting Password...' : 'Reset Password'}
+                    {loading
+                      ? (isSetMode ? 'Setting Password...' : 'Resetting Password...')
+                      : (isSetMode ? 'Set Password' : 'Reset Password')}
                   </Button>
                 </form>
 
@@ -3,6 +3,8 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import Button from '../components/ui/Button';
+import PasswordRequirements from '../components/auth/PasswordRequirements';
+import { DEFAULT_PASSWORD_POLICY, validatePasswordAgainstPolicy } from '../src/utils/passwordPolicy.util';
 import { Eye, EyeOff, Building2, User, Mail, Lock, CheckCircle, ArrowRight } from 'lucide-react';
 
 export default function SignupPage() {
@@ -80,8 +82,9 @@ export default function SignupPage() {
       return;
     }
 
-    if (adminPassword.length < 8) {
-      setError('Password must be at least 8 characters long');
+    const passwordErrors = validatePasswordAgainstPolicy(adminPassword, DEFAULT_PASSWORD_POLICY);
+    if (passwordErrors.length > 0) {
+      setError(passwordErrors[0].message);
       return;
     }
 
@@ -415,7 +418,7 @@ export default function SignupPage() {
                         <Lock className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
                         <input
                           type={showPassword ? "text" : "password"}
-                          placeholder="Minimum 8 characters"
+                          placeholder="Create a strong password"
                           value={adminPassword}
                           onChange={(e) => setAdminPassword(e.target.value)}
                           className="w-full pl-12 pr-12 py-4 bg-gray-50 border-2 border-gray-300 rounded-xl text-black placeholder-gray-500 focus:border-black focus:bg-white focus:outline-none transition-all font-medium"
@@ -431,6 +434,9 @@ export default function SignupPage() {
                           {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                         </button>
                       </div>
+                      <div className="mt-2">
+                        <PasswordRequirements password={adminPassword} policy={DEFAULT_PASSWORD_POLICY} />
+                      </div>
                     </div>
 
                     {/* Confirm Password */}
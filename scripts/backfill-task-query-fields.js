@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Task Migration Script: Backfill Task Query Fields
+ *
+ * The task query API (GET /api/tasks/query) filters, searches and sorts on
+ * fields derived from each task: searchTokens, priorityRank and isOpen (see
+ * src/utils/taskQuery.util.js). New and updated tasks get them on write;
+ * tasks saved before they existed have none and would be missing from
+ * searches and priority-sorted results until this script runs.
+ * It is safe to run multiple times (idempotent).
+ *
+ * Usage:
+ *   node scripts/backfill-task-query-fields.js            # backfill
+ *   node scripts/backfill-task-query-fields.js --dry-run  # report only
+ *
+ * What it does:
+ * 1. Loads all tasks from Firestore
+ * 2. Computes the derived fields from each task's current data
+ * 3. Writes them, in batches, where they are missing or out of date
+ * 4. Shows progress and summary
+ */
+
+import { adminDb } from '../lib/firebase-admin.js';
+import { buildTaskIndexFields } from '../src/utils/taskQuery.util.js';
+
+// Use the already initialized Firebase Admin from firebase-admin.js
+const db = adminDb;
+
+// Firestore commits at most 500 writes per batch
+const BATCH_SIZE = 400;
+
+const dryRun = process.argv.includes('--dry-run');
+
+const isUpToDate = (taskData, fields) => {
+  return Object.entries(fields).every(([field, value]) =>
+    JSON.stringify(taskData[field]) === JSON.stringify(value)
+  );
+};
+
+/**
+ * Main backfill function
+ */
+async function backfillTaskQueryFields() {
+  console.log('\n🔎 Task Migration: Backfill Task Query Fields');
+  console.log('='.repeat(50));
+  console.log('');
+
+  console.log('📥 Loading tasks from Firestore...');
+  const tasksSnapshot = await db.collection('tasks').get();
+
+  if (tasksSnapshot.empty) {
+    console.log('⚠️  No tasks found in database');
+    return;
+  }
+
+  const totalTasks = tasksSnapshot.size;
+  console.log(`✅ Found ${totalTasks} task(s)\n`);
+
+  let updated = 0;
+  let current = 0;
+  let failed = 0;
+  let batch = db.batch();
+  let batchDocs = 0;
+
+  const commitBatch = async () => {
+    if (batchDocs === 0) return;
+
+    try {
+      await batch.commit();
+      updated += batchDocs;
+      console.log(`✅ Updated ${updated} task(s)`);
+    } catch (error) {
+      console.error(`❌ Batch of ${batchDocs} task(s) failed - ${error.message}`);
+      failed += batchDocs;
+    }
+
+    batch = db.batch();
+    batchDocs = 0;
+  };
+
+  for (const doc of tasksSnapshot.docs) {
+    const taskData = doc.data();
+    const fields = buildTaskIndexFields(taskData);
+
+    if (isUpToDate(taskData, fields)) {
+      current++;
+      continue;
+    }
+
+    if (dryRun) {
+      updated++;
+      continue;
+    }
+
+    batch.update(doc.ref, fields);
+    batchDocs++;
+
+    if (batchDocs >= BATCH_SIZE) {
+      await commitBatch();
+    }
+  }
+
+  await commitBatch();
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 ${dryRun ? 'Dry Run' : 'Backfill'} Summary:`);
+  console.log('='.repeat(50));
+  console.log(`Total tasks:          ${totalTasks}`);
+  console.log(`✅ Already current:    ${current}`);
+  console.log(`🔧 ${dryRun ? 'Would update' : 'Updated     '}:      ${updated}`);
+  console.log(`❌ Failed:             ${failed}`);
+  console.log('='.repeat(50));
+  console.log('');
+
+  if (failed > 0) {
+    throw new Error(`${failed} task(s) could not be updated`);
+  }
+}
+
+// Run the backfill
+(async () => {
+  try {
+    console.log('\n' + '='.repeat(50));
+    console.log('🚀 Starting Task Query Field Backfill');
+    console.log('='.repeat(50));
+    console.log(`📅 Date: ${new Date().toLocaleString()}`);
+    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🧪 Mode: ${dryRun ? 'dry run (no changes)' : 'backfill'}`);
+    console.log('');
+
+    await backfillTaskQueryFields();
+
+    console.log('✅ Script completed successfully!\n');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ Script failed:', error);
+    process.exit(1);
+  }
+})();
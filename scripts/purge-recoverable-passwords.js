@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Password Migration Script: Purge Recoverable Passwords
+ *
+ * Older versions kept a reversible copy of every password next to the bcrypt
+ * hash (`displayPassword`, AES with a fixed IV) and stored admin-set temporary
+ * passwords in plaintext (`tempPassword`, `tempPasswordSetAt`). This script
+ * deletes those fields so passwords can no longer be read back.
+ * It is safe to run multiple times (idempotent).
+ *
+ * Usage:
+ *   node scripts/purge-recoverable-passwords.js            # purge
+ *   node scripts/purge-recoverable-passwords.js --dry-run  # report only
+ *
+ * What it does:
+ * 1. Loads all users from Firestore
+ * 2. Deletes displayPassword, tempPassword and tempPasswordSetAt where present
+ * 3. Flags users who still had a temporary password with mustChangePassword,
+ *    since an admin (and possibly others) knows that password
+ * 4. Shows progress and summary
+ */
+
+import { adminDb } from '../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+// Use the already initialized Firebase Admin from firebase-admin.js
+const db = adminDb;
+
+const RECOVERABLE_FIELDS = ['displayPassword', 'tempPassword', 'tempPasswordSetAt'];
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Main purge function
+ */
+async function purgeRecoverablePasswords() {
+  console.log('\n🔐 Password Migration: Purge Recoverable Passwords');
+  console.log('='.repeat(50));
+  console.log('');
+
+  console.log('📥 Loading users from Firestore...');
+  const usersSnapshot = await db.collection('users').get();
+
+  if (usersSnapshot.empty) {
+    console.log('⚠️  No users found in database');
+    return;
+  }
+
+  const totalUsers = usersSnapshot.size;
+  console.log(`✅ Found ${totalUsers} user(s)\n`);
+
+  let purged = 0;
+  let flagged = 0;
+  let clean = 0;
+  let failed = 0;
+
+  for (const doc of usersSnapshot.docs) {
+    const userData = doc.data();
+    const username = userData.username || doc.id;
+    const presentFields = RECOVERABLE_FIELDS.filter(field => userData[field] !== undefined);
+
+    if (presentFields.length === 0) {
+      clean++;
+      continue;
+    }
+
+    const update = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    presentFields.forEach(field => {
+      update[field] = admin.firestore.FieldValue.delete();
+    });
+
+    const hadTempPassword = !!userData.tempPassword;
+    if (hadTempPassword) {
+      update.mustChangePassword = true;
+    }
+
+    if (dryRun) {
+      console.log(`🔎 ${username}: would remove ${presentFields.join(', ')}${hadTempPassword ? ' and require a password change' : ''}`);
+      purged++;
+      if (hadTempPassword) flagged++;
+      continue;
+    }
+
+    try {
+      await db.collection('users').doc(doc.id).update(update);
+      console.log(`✅ ${username}: removed ${presentFields.join(', ')}${hadTempPassword ? ' (must change password)' : ''}`);
+      purged++;
+      if (hadTempPassword) flagged++;
+    } catch (error) {
+      console.error(`❌ ${username}: Failed - ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`📊 ${dryRun ? 'Dry Run' : 'Purge'} Summary:`);
+  console.log('='.repeat(50));
+  console.log(`Total users:              ${totalUsers}`);
+  console.log(`✅ Already clean:          ${clean}`);
+  console.log(`🧹 ${dryRun ? 'Would purge' : 'Purged     '}:            ${purged}`);
+  console.log(`🔑 Must change password:   ${flagged}`);
+  console.log(`❌ Failed:                 ${failed}`);
+  console.log('='.repeat(50));
+  console.log('');
+
+  if (failed > 0) {
+    throw new Error(`${failed} user(s) could not be updated`);
+  }
+}
+
+// Run the purge
+(async () => {
+  try {
+    console.log('\n' + '='.repeat(50));
+    console.log('🚀 Starting Recoverable Password Purge');
+    console.log('='.repeat(50));
+    console.log(`📅 Date: ${new Date().toLocaleString()}`);
+    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🧪 Mode: ${dryRun ? 'dry run (no changes)' : 'purge'}`);
+    console.log('');
+
+    if (!dryRun) {
+      console.log('⚠️  WARNING: This permanently deletes stored password copies.');
+      console.log('✅ Bcrypt hashes are not touched; users keep their current passwords.\n');
+
+      // Wait 3 seconds for user to cancel if needed
+      console.log('⏳ Starting in 3 seconds... (Ctrl+C to cancel)');
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+
+    await purgeRecoverablePasswords();
+
+    console.log('✅ Script completed successfully!\n');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ Script failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,214 @@
+/**
+ * Firestore Rules Tests
+ * Runs firestore.rules in the Firestore emulator: users only read documents of
+ * their own organization, within their role's scope, and never write.
+ *
+ * Usage: npm run test-rules
+ * Starts the emulator through the Firebase CLI, which is not a dependency of
+ * this project: install it once with `npm install -g firebase-tools` (the
+ * emulator also needs Java 11+).
+ */
+
+import { readFileSync } from 'fs';
+import { describe, it, before, after } from 'node:test';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  where,
+  getDocs
+} from 'firebase/firestore';
+
+const TENANT_A = 'tenant-a';
+const TENANT_B = 'tenant-b';
+
+// Claims as minted by FirebaseTokenService.buildClaims
+const USERS = {
+  adminA: { id: 'admin-a', username: 'alice', role: 'admin', tenantId: TENANT_A, tasksRead: 'all', attendanceRead: 'all' },
+  userA: { id: 'user-a', username: 'bob', role: 'user', tenantId: TENANT_A, tasksRead: null, attendanceRead: null },
+  leadA: { id: 'lead-a', username: 'carol', role: 'team_lead', tenantId: TENANT_A, tasksRead: 'team', attendanceRead: 'team' },
+  adminB: { id: 'admin-b', username: 'mallory', role: 'admin', tenantId: TENANT_B, tasksRead: 'all', attendanceRead: 'all' }
+};
+
+let testEnv;
+
+const dbAs = (user) => testEnv.authenticatedContext(user.id, {
+  tenantId: user.tenantId,
+  role: user.role,
+  username: user.username,
+  tasksRead: user.tasksRead,
+  attendanceRead: user.attendanceRead
+}).firestore();
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-logam-rules',
+    firestore: {
+      rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8')
+    }
+  });
+
+  await testEnv.clearFirestore();
+
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+
+    await Promise.all([
+      setDoc(doc(db, 'tasks', 'task-a1'), { tenantId: TENANT_A, task: 'Homepage', assigned_to: 'bob', given_by: 'alice', status: 'pending' }),
+      setDoc(doc(db, 'tasks', 'task-a2'), { tenantId: TENANT_A, task: 'Logo', assigned_to: 'carol', given_by: 'alice', status: 'pending' }),
+      setDoc(doc(db, 'tasks', 'task-a3'), { tenantId: TENANT_A, task: 'Brief', assigned_to: 'carol', given_by: 'bob', status: 'done' }),
+      setDoc(doc(db, 'tasks', 'task-b1'), { tenantId: TENANT_B, task: 'Secret', assigned_to: 'bob', given_by: 'mallory', status: 'pending' }),
+
+      setDoc(doc(db, 'users', 'admin-a'), { tenantId: TENANT_A, username: 'alice', password: 'hash', resetPasswordToken: 'token-hash' }),
+      setDoc(doc(db, 'users', 'user-a'), { tenantId: TENANT_A, username: 'bob', password: 'hash', resetPasswordToken: 'token-hash' }),
+      setDoc(doc(db, 'users', 'lead-a'), { tenantId: TENANT_A, username: 'carol', password: 'hash', resetPasswordToken: 'token-hash' }),
+      setDoc(doc(db, 'users', 'admin-b'), { tenantId: TENANT_B, username: 'mallory', password: 'hash', resetPasswordToken: 'token-hash' }),
+
+      setDoc(doc(db, 'attendance', 'att-a1'), { tenantId: TENANT_A, username: 'bob', date: '2025-01-20' }),
+      setDoc(doc(db, 'attendance', 'att-a2'), { tenantId: TENANT_A, username: 'carol', date: '2025-01-20' }),
+      setDoc(doc(db, 'attendance', 'att-b1'), { tenantId: TENANT_B, username: 'mallory', date: '2025-01-20' }),
+
+      setDoc(doc(db, 'organizations', TENANT_A), { name: 'Org A' }),
+      setDoc(doc(db, 'organizations', TENANT_B), { name: 'Org B' })
+    ]);
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+describe('unauthenticated access', () => {
+  it('cannot read tasks', async () => {
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'tasks', 'task-a1')));
+  });
+
+  it('cannot read with a Firebase session that has no tenant claim', async () => {
+    const db = testEnv.authenticatedContext('user-a').firestore();
+    await assertFails(getDoc(doc(db, 'tasks', 'task-a1')));
+  });
+});
+
+describe('tasks', () => {
+  it('lets an admin read every task of their organization', async () => {
+    const db = dbAs(USERS.adminA);
+    await assertSucceeds(getDoc(doc(db, 'tasks', 'task-a2')));
+    await assertSucceeds(getDocs(query(collection(db, 'tasks'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it("denies an admin another organization's tasks", async () => {
+    const db = dbAs(USERS.adminB);
+    await assertFails(getDoc(doc(db, 'tasks', 'task-a1')));
+    await assertFails(getDocs(query(collection(db, 'tasks'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it('denies queries that are not scoped to the tenant', async () => {
+    await assertFails(getDocs(collection(dbAs(USERS.adminA), 'tasks')));
+  });
+
+  it('lets a user read tasks assigned to or by them', async () => {
+    const db = dbAs(USERS.userA);
+    await assertSucceeds(getDoc(doc(db, 'tasks', 'task-a1')));
+    await assertSucceeds(getDoc(doc(db, 'tasks', 'task-a3')));
+    await assertSucceeds(getDocs(query(
+      collection(db, 'tasks'),
+      where('tenantId', '==', TENANT_A),
+      where('assigned_to', '==', 'bob')
+    )));
+  });
+
+  it("denies a user other users' tasks and the whole tenant", async () => {
+    const db = dbAs(USERS.userA);
+    await assertFails(getDoc(doc(db, 'tasks', 'task-a2')));
+    await assertFails(getDocs(query(collection(db, 'tasks'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it('denies a user a task assigned to their username in another organization', async () => {
+    const db = dbAs(USERS.userA);
+    await assertFails(getDoc(doc(db, 'tasks', 'task-b1')));
+    await assertFails(getDocs(query(
+      collection(db, 'tasks'),
+      where('tenantId', '==', TENANT_B),
+      where('assigned_to', '==', 'bob')
+    )));
+  });
+
+  it('limits team-scoped readers to their own tasks', async () => {
+    const db = dbAs(USERS.leadA);
+    await assertSucceeds(getDoc(doc(db, 'tasks', 'task-a2')));
+    await assertFails(getDoc(doc(db, 'tasks', 'task-a1')));
+  });
+
+  it('denies writes, even to own tasks', async () => {
+    await assertFails(updateDoc(doc(dbAs(USERS.userA), 'tasks', 'task-a1'), { status: 'done' }));
+    await assertFails(setDoc(doc(dbAs(USERS.adminA), 'tasks', 'task-new'), { tenantId: TENANT_A, task: 'New' }));
+    await assertFails(deleteDoc(doc(dbAs(USERS.adminA), 'tasks', 'task-a1')));
+  });
+
+  it("denies writes to another organization's tasks", async () => {
+    const db = dbAs(USERS.adminB);
+    await assertFails(updateDoc(doc(db, 'tasks', 'task-a1'), { status: 'done' }));
+    await assertFails(setDoc(doc(db, 'tasks', 'task-b2'), { tenantId: TENANT_A, task: 'Planted' }));
+    await assertFails(deleteDoc(doc(db, 'tasks', 'task-a1')));
+  });
+});
+
+describe('users', () => {
+  it("denies a user other users' documents, and their own", async () => {
+    const db = dbAs(USERS.userA);
+    await assertFails(getDoc(doc(db, 'users', 'lead-a')));
+    await assertFails(getDoc(doc(db, 'users', 'user-a')));
+  });
+
+  it('denies admins and team leads the user list of their organization', async () => {
+    await assertFails(getDocs(query(collection(dbAs(USERS.adminA), 'users'), where('tenantId', '==', TENANT_A))));
+    await assertFails(getDocs(query(collection(dbAs(USERS.leadA), 'users'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it("denies another organization's users", async () => {
+    const db = dbAs(USERS.adminB);
+    await assertFails(getDoc(doc(db, 'users', 'user-a')));
+    await assertFails(getDocs(query(collection(db, 'users'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it('denies writes', async () => {
+    await assertFails(updateDoc(doc(dbAs(USERS.userA), 'users', 'user-a'), { role: 'admin' }));
+    await assertFails(updateDoc(doc(dbAs(USERS.adminB), 'users', 'user-a'), { tenantId: TENANT_B }));
+  });
+});
+
+describe('attendance', () => {
+  it('lets a user read their own records', async () => {
+    const db = dbAs(USERS.userA);
+    await assertSucceeds(getDoc(doc(db, 'attendance', 'att-a1')));
+    await assertFails(getDoc(doc(db, 'attendance', 'att-a2')));
+  });
+
+  it('lets attendance readers query their organization', async () => {
+    const db = dbAs(USERS.adminA);
+    await assertSucceeds(getDocs(query(collection(db, 'attendance'), where('tenantId', '==', TENANT_A))));
+  });
+
+  it("denies another organization's attendance", async () => {
+    const db = dbAs(USERS.adminB);
+    await assertFails(getDoc(doc(db, 'attendance', 'att-a1')));
+    await assertFails(getDocs(query(collection(db, 'attendance'), where('tenantId', '==', TENANT_A))));
+    await assertFails(setDoc(doc(db, 'attendance', 'att-a3'), { tenantId: TENANT_A, username: 'bob' }));
+  });
+});
+
+describe('other collections', () => {
+  it('are closed to the client', async () => {
+    await assertFails(getDoc(doc(dbAs(USERS.adminA), 'organizations', TENANT_A)));
+    await assertFails(setDoc(doc(dbAs(USERS.adminA), 'organizations', TENANT_A), { name: 'Renamed' }));
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Session Revocation Tests
+ * A session terminated on another server instance must be refused by a fresh
+ * instance, whose revoked session cache is still empty, on its first request.
+ *
+ * Usage: npm test
+ * Runs without Firebase: lib/firebase-admin.js is swapped for an in-memory
+ * `sessions` collection through a module resolve hook.
+ */
+
+import { register } from 'node:module';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// In-memory stand-in for lib/firebase-admin.js, shared with the test through globalThis
+const FAKE_FIREBASE_ADMIN = `
+const collections = globalThis.__testFirestore;
+
+const snapshotOf = (docs) => ({
+  docs: docs.map(([id, data]) => ({ id, exists: true, data: () => data })),
+  empty: docs.length === 0
+});
+
+const query = (name, filters = []) => ({
+  where: (field, op, value) => query(name, [...filters, { field, op, value }]),
+  get: async () => {
+    const docs = [...(collections[name] || new Map())].filter(([, data]) =>
+      filters.every(({ field, op, value }) => {
+        const actual = data[field];
+        if (op === '==') return actual === value;
+        if (op === '>=') return actual != null && actual.toMillis() >= value.toMillis();
+        throw new Error('Unsupported operator ' + op);
+      })
+    );
+    return snapshotOf(docs);
+  }
+});
+
+export const adminDb = { collection: (name) => query(name) };
+export const adminAuth = {};
+export const testAdminConnection = async () => true;
+export default {};
+`;
+
+const HOOKS = `
+const FAKE_URL = 'data:text/javascript,' + encodeURIComponent(${JSON.stringify(FAKE_FIREBASE_ADMIN)});
+
+export async function resolve(specifier, context, nextResolve) {
+  let resolved;
+  try {
+    resolved = await nextResolve(specifier, context);
+  } catch (error) {
+    // Next.js resolves extensionless relative imports, Node does not
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw error;
+    resolved = await nextResolve(specifier + '.js', context);
+  }
+
+  if (resolved.url.endsWith('/lib/firebase-admin.js')) {
+    return { url: FAKE_URL, shortCircuit: true };
+  }
+  return resolved;
+}
+`;
+
+const TENANT = 'tenant-a';
+
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(name, value) { res.headers[name] = value; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    end() { return res; },
+    on() { return res; }
+  };
+  return res;
+};
+
+const requestWith = (token) => ({
+  method: 'GET',
+  headers: { authorization: `Bearer ${token}` },
+  query: {},
+  socket: { remoteAddress: '127.0.0.1' }
+});
+
+let admin;
+let generateToken;
+let settingsHandler;
+
+before(async () => {
+  process.env.JWT_SECRET = 'test-session-revocation-secret';
+  globalThis.__testFirestore = { sessions: new Map() };
+  register('data:text/javascript,' + encodeURIComponent(HOOKS));
+
+  ({ default: admin } = await import('firebase-admin'));
+
+  // Terminated on another instance: only Firestore knows about it
+  globalThis.__testFirestore.sessions.set('revoked-session', {
+    username: 'bob',
+    tenantId: TENANT,
+    revokedAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+    revokedReason: 'terminated'
+  });
+  globalThis.__testFirestore.sessions.set('live-session', {
+    username: 'bob',
+    tenantId: TENANT,
+    revokedAt: null
+  });
+
+  // First import in this process, so the revoked session cache starts empty
+  ({ generateToken } = await import('../lib/auth.js'));
+  ({ default: settingsHandler } = await import('../pages/api/attendance/settings.js'));
+});
+
+describe('revoked sessions on a fresh instance', () => {
+  const user = { id: 'user-a', username: 'bob', role: 'admin', tenantId: TENANT };
+
+  it('refuses an access token whose session was terminated elsewhere', async () => {
+    const token = generateToken(user, { tokenType: 'access', familyId: 'revoked-session' });
+    const res = mockResponse();
+
+    await settingsHandler(requestWith(token), res);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('still accepts an access token whose session is live', async () => {
+    const token = generateToken(user, { tokenType: 'access', familyId: 'live-session' });
+    const res = mockResponse();
+
+    await settingsHandler(requestWith(token), res);
+
+    assert.notEqual(res.statusCode, 401);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Shift Tests
+ * Clock-outs after midnight on an overnight shift belong to the day the
+ * shift started, and its hours count across midnight.
+ *
+ * Usage: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getClockOutDate,
+  getWorkedMinutes,
+  meetsMinimumHours,
+  evaluateCheckIn,
+  hasShiftEnded
+} from '../src/utils/shift.util.js';
+
+const NIGHT_SHIFT = {
+  name: 'Night',
+  startTime: '22:00',
+  endTime: '06:00',
+  graceMinutes: 10,
+  breakMinutes: 30,
+  minimumHours: 7
+};
+
+const DAY_SHIFT = {
+  name: 'Day',
+  startTime: '09:00',
+  endTime: '18:00',
+  graceMinutes: 10,
+  breakMinutes: 60,
+  minimumHours: 8
+};
+
+describe('a 22:00-06:00 shift', () => {
+  it('gives a clock-out after midnight the date the shift started', () => {
+    assert.equal(getClockOutDate(NIGHT_SHIFT, { date: '2025-03-11', time: '06:05:12' }), '2025-03-10');
+  });
+
+  it('carries over into the next month and year', () => {
+    assert.equal(getClockOutDate(NIGHT_SHIFT, { date: '2025-03-01', time: '05:45' }), '2025-02-28');
+    assert.equal(getClockOutDate(NIGHT_SHIFT, { date: '2026-01-01', time: '06:00' }), '2025-12-31');
+  });
+
+  it('keeps a clock-out before midnight on that day', () => {
+    assert.equal(getClockOutDate(NIGHT_SHIFT, { date: '2025-03-10', time: '23:40' }), '2025-03-10');
+  });
+
+  it('counts the hours worked across midnight, less the break', () => {
+    const worked = getWorkedMinutes(NIGHT_SHIFT, '22:00:00', '06:00:00');
+
+    assert.equal(worked, 450);
+    assert.equal(meetsMinimumHours(NIGHT_SHIFT, worked), true);
+    assert.equal(meetsMinimumHours(NIGHT_SHIFT, getWorkedMinutes(NIGHT_SHIFT, '22:00', '04:00')), false);
+  });
+
+  it('judges a clock-in after midnight against the start the day before', () => {
+    assert.deepEqual(evaluateCheckIn(NIGHT_SHIFT, '00:30'), { lateByMinutes: 150, markedLate: true, halfDay: false });
+    assert.equal(evaluateCheckIn(NIGHT_SHIFT, '21:55').markedLate, false);
+  });
+
+  it('ends on the next morning', () => {
+    assert.equal(hasShiftEnded(NIGHT_SHIFT, '2025-03-10', { date: '2025-03-11', time: '05:59' }), false);
+    assert.equal(hasShiftEnded(NIGHT_SHIFT, '2025-03-10', { date: '2025-03-11', time: '06:00' }), true);
+  });
+});
+
+describe('clock-outs without an overnight shift', () => {
+  it('stay on the calendar date', () => {
+    assert.equal(getClockOutDate(DAY_SHIFT, { date: '2025-03-11', time: '01:00' }), '2025-03-11');
+    assert.equal(getClockOutDate(null, { date: '2025-03-11', time: '01:00' }), '2025-03-11');
+  });
+});
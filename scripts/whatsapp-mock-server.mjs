@@ -0,0 +1,212 @@
+/**
+ * WhatsApp Cloud API Mock
+ * A local stand-in for the Cloud API's messages endpoint, so WhatsApp
+ * notifications can be tried without a Meta account or real phones.
+ *
+ * Usage: npm run whatsapp-mock
+ * then run the app with
+ *   WHATSAPP_API_URL=http://localhost:4010/v17.0
+ *   WHATSAPP_API_TOKEN=mock-token
+ *   WHATSAPP_PHONE_NUMBER_ID=mock-phone
+ *
+ * POST /{version}/{phone-number-id}/messages  accepts text and template messages
+ *   as the Cloud API does and answers with a message ID; refusals use the
+ *   Cloud API's error format
+ * GET /messages     every message received, oldest first
+ * DELETE /messages  forget them
+ * POST /inbound      { from, text } - a user messages the business number:
+ *   posted to the app's webhook as the Cloud API does, signed with
+ *   WHATSAPP_APP_SECRET; the reply shows up in GET /messages
+ *
+ * Environment:
+ *   WHATSAPP_MOCK_PORT         port (default 4010)
+ *   WHATSAPP_MOCK_TEMPLATES    comma-separated approved template names; other
+ *                              templates are refused (default: all accepted)
+ *   WHATSAPP_MOCK_FAIL         comma-separated numbers (digits only) that can't
+ *                              be reached; numbers ending in 0000 can't either
+ *   WHATSAPP_MOCK_WEBHOOK_URL  the app's webhook (default
+ *                              http://localhost:3000/api/whatsapp/webhook)
+ *   WHATSAPP_APP_SECRET        secret to sign inbound messages with (the app's)
+ */
+
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+
+const PORT = Number(process.env.WHATSAPP_MOCK_PORT) || 4010;
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const approvedTemplates = list(process.env.WHATSAPP_MOCK_TEMPLATES);
+const unreachable = list(process.env.WHATSAPP_MOCK_FAIL);
+const webhookUrl = process.env.WHATSAPP_MOCK_WEBHOOK_URL || 'http://localhost:3000/api/whatsapp/webhook';
+
+const MESSAGES_PATH = /^\/v\d+\.\d+\/([^/]+)\/messages$/;
+
+let received = [];
+let nextId = 1;
+let nextInboundId = 1;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// As the Cloud API reports errors
+const apiError = (res, status, code, message) => send(res, status, {
+  error: { message, type: 'OAuthException', code, fbtrace_id: 'mock' }
+});
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+// Why a message would be refused, or null
+const checkMessage = (message) => {
+  if (message.messaging_product !== 'whatsapp') {
+    return [400, 100, '(#100) The parameter messaging_product is required.'];
+  }
+  if (!/^\d{8,15}$/.test(message.to || '')) {
+    return [400, 100, '(#100) Invalid parameter: to'];
+  }
+
+  if (message.type === 'text') {
+    if (!message.text?.body) return [400, 100, '(#100) The parameter text[\'body\'] is required.'];
+  } else if (message.type === 'template') {
+    const { name, language } = message.template || {};
+    if (!name || !language?.code) {
+      return [400, 100, '(#100) The parameters template[\'name\'] and template[\'language\'] are required.'];
+    }
+    if (approvedTemplates.length > 0 && !approvedTemplates.includes(name)) {
+      return [404, 132001, `(#132001) Template name does not exist in the translation (${name}, ${language.code})`];
+    }
+    const parameters = message.template.components?.flatMap(component => component.parameters || []) || [];
+    if (parameters.some(parameter => /[\n\t]| {5,}/.test(parameter.text || ''))) {
+      return [400, 132018, '(#132018) Param text cannot have new-line/tab characters or more than 4 consecutive spaces'];
+    }
+  } else {
+    return [400, 100, `(#100) Unsupported message type: ${message.type}`];
+  }
+
+  if (unreachable.includes(message.to) || message.to.endsWith('0000')) {
+    return [400, 131026, '(#131026) Message undeliverable'];
+  }
+
+  return null;
+};
+
+// A text message from a user, as the Cloud API posts it to the webhook
+const inboundPayload = (from, text) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: 'mock-account',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550000000', phone_number_id: 'mock-phone' },
+        contacts: [{ profile: { name: 'Mock User' }, wa_id: from }],
+        messages: [{
+          from,
+          id: `wamid.inbound${String(nextInboundId++).padStart(6, '0')}`,
+          timestamp: String(Math.floor(Date.now() / 1000)),
+          type: 'text',
+          text: { body: text }
+        }]
+      }
+    }]
+  }]
+});
+
+const postInbound = async (req, res) => {
+  let message;
+  try {
+    message = JSON.parse(await readBody(req));
+  } catch (error) {
+    return send(res, 400, { error: { message: 'Invalid JSON' } });
+  }
+
+  const from = String(message.from || '').replace(/[^0-9]/g, '');
+  if (!from || !message.text) {
+    return send(res, 400, { error: { message: 'Send { from, text }' } });
+  }
+  if (!process.env.WHATSAPP_APP_SECRET) {
+    return send(res, 500, { error: { message: 'Set WHATSAPP_APP_SECRET to the app\'s secret' } });
+  }
+
+  const body = JSON.stringify(inboundPayload(from, message.text));
+  const signature = createHmac('sha256', process.env.WHATSAPP_APP_SECRET).update(body).digest('hex');
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': `sha256=${signature}` },
+      body
+    });
+    console.log(`→ ${from}: ${JSON.stringify(message.text)} (webhook ${response.status})`);
+    return send(res, 200, { status: response.status, response: await response.json().catch(() => null) });
+  } catch (error) {
+    return send(res, 502, { error: { message: `Webhook not reachable at ${webhookUrl}: ${error.message}` } });
+  }
+};
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (pathname === '/messages') {
+    if (req.method === 'GET') return send(res, 200, { messages: received });
+    if (req.method === 'DELETE') {
+      received = [];
+      return send(res, 200, { success: true });
+    }
+    return send(res, 405, { error: { message: 'Method not allowed' } });
+  }
+
+  if (pathname === '/inbound') {
+    if (req.method === 'POST') return postInbound(req, res);
+    return send(res, 405, { error: { message: 'Method not allowed' } });
+  }
+
+  const match = pathname.match(MESSAGES_PATH);
+  if (!match || req.method !== 'POST') {
+    return apiError(res, 404, 100, `Unknown path: ${req.method} ${pathname}`);
+  }
+
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    return apiError(res, 401, 190, '(#190) Invalid OAuth access token');
+  }
+
+  let message;
+  try {
+    message = JSON.parse(await readBody(req));
+  } catch (error) {
+    return apiError(res, 400, 100, '(#100) Invalid JSON');
+  }
+
+  const refusal = checkMessage(message);
+  if (refusal) {
+    const [status, code, text] = refusal;
+    console.log(`✗ ${message.to}: ${text}`);
+    return apiError(res, status, code, text);
+  }
+
+  const id = `wamid.mock${String(nextId++).padStart(6, '0')}`;
+  received.push({ id, phoneNumberId: match[1], receivedAt: new Date().toISOString(), ...message });
+
+  const summary = message.type === 'template'
+    ? `template ${message.template.name} ${JSON.stringify(message.template.components?.[0]?.parameters?.map(parameter => parameter.text) || [])}`
+    : `text ${JSON.stringify(message.text.body)}`;
+  console.log(`✓ ${id} to ${message.to}: ${summary}`);
+
+  return send(res, 200, {
+    messaging_product: 'whatsapp',
+    contacts: [{ input: message.to, wa_id: message.to }],
+    messages: [{ id }]
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`WhatsApp Cloud API mock on http://localhost:${PORT}`);
+  console.log(`Set WHATSAPP_API_URL=http://localhost:${PORT}/v17.0`);
+});
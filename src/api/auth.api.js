@@ -5,6 +5,13 @@
  */
 
 import apiClient from './client.js';
+import { FIREBASE_TOKEN_KEY, signOutOfFirebase } from '../../lib/firebase.js';
+
+// Each refresh token can be exchanged only once, so refreshes are single-flight:
+// callers in this tab share the pending request, and tabs (which share the
+// refresh token through localStorage) take turns under a Web Lock
+const REFRESH_LOCK = 'auth-token-refresh';
+let pendingRefresh = null;
 
 export class AuthApi {
   /**
@@ -16,7 +23,7 @@ export class AuthApi {
    */
   async login(credentials) {
     // Login endpoint doesn't need auth token
-    const response = await fetch('/api/login', {
+    const response = await fetch('/api/auth/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(credentials),
@@ -28,7 +35,18 @@ export class AuthApi {
       throw new Error(data.message || 'Login failed');
     }
 
-    // Store tokens and user in localStorage
+    // With two-factor authentication there are no tokens yet: the response has
+    // mfaRequired or mfaEnrollmentRequired and an mfaToken for the second step
+    this.storeSession(data);
+
+    return data;
+  }
+
+  /**
+   * Store tokens and user from a completed login in localStorage
+   * @param {Object} data - Login response ({ token, accessToken, refreshToken, firebaseToken, user })
+   */
+  storeSession(data) {
     if (data.accessToken || data.token) {
       const accessToken = data.accessToken || data.token;
       localStorage.setItem('token', accessToken); // For backward compatibility
@@ -41,16 +59,106 @@ export class AuthApi {
       if (data.user) {
         localStorage.setItem('user', JSON.stringify(data.user));
       }
+
+      if (data.firebaseToken) {
+        localStorage.setItem(FIREBASE_TOKEN_KEY, data.firebaseToken);
+      }
+    }
+  }
+
+  /**
+   * Post to an MFA login step (no access token yet)
+   * @private
+   */
+  async postMfaStep(url, body, fallbackMessage) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || fallbackMessage);
     }
 
     return data;
   }
 
+  /**
+   * Complete a login with a two-factor code
+   * @param {string} mfaToken - Challenge from login
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<Object>} Login response with tokens and user data
+   */
+  async verifyMfa(mfaToken, code) {
+    const data = await this.postMfaStep('/api/auth/mfa/verify', { mfaToken, code }, 'Verification failed');
+    this.storeSession(data);
+    return data;
+  }
+
+  /**
+   * Start two-factor setup during login (organization requires MFA)
+   * @param {string} mfaToken - Challenge from login
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async startMfaEnrollment(mfaToken) {
+    const data = await this.postMfaStep('/api/auth/mfa/setup', { mfaToken }, 'Failed to start two-factor setup');
+    return data.data;
+  }
+
+  /**
+   * Finish two-factor setup during login and sign in
+   * @param {string} mfaToken - Challenge from login
+   * @param {string} code - First code from the authenticator app
+   * @returns {Promise<Object>} { recoveryCodes, accessToken, refreshToken, user }
+   */
+  async activateMfaEnrollment(mfaToken, code) {
+    const data = await this.postMfaStep('/api/auth/mfa/activate', { mfaToken, code }, 'Verification failed');
+    this.storeSession(data.data);
+    return data.data;
+  }
+
+  /**
+   * Revoke refresh tokens on the server
+   * Never throws - local logout must still succeed when the server is unreachable
+   * @param {Object} options
+   * @param {boolean} options.allDevices - Revoke every session of the user, not just this one
+   * @returns {Promise<Object|null>} Response or null on failure
+   */
+  async revokeSession({ allDevices = false } = {}) {
+    try {
+      const accessToken = localStorage.getItem('accessToken') || localStorage.getItem('token');
+      const response = await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
+        },
+        body: JSON.stringify({
+          refreshToken: localStorage.getItem('refreshToken'),
+          allDevices
+        }),
+      });
+
+      const data = await response.json();
+      return response.ok ? data : null;
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      return null;
+    }
+  }
+
   /**
    * Logout user
-   * Clears local storage and redirects to login
+   * Revokes the session on the server, clears local storage and redirects to login
+   * @param {Object} options
+   * @param {boolean} options.allDevices - Sign out of every device
    */
-  logout() {
+  async logout({ allDevices = false } = {}) {
+    await this.revokeSession({ allDevices });
+    await signOutOfFirebase();
     localStorage.removeItem('token');
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
@@ -161,15 +269,58 @@ export class AuthApi {
 
   /**
    * Refresh access token using refresh token
+   * Every client (apiClient, apiClientWithRefresh, useTokenRefresh) goes
+   * through here, so concurrent calls resolve with the same refresh.
+   * @returns {Promise<Object>} New tokens
+   */
+  refreshTokens() {
+    if (!pendingRefresh) {
+      pendingRefresh = this.refreshTokensOnce().finally(() => {
+        pendingRefresh = null;
+      });
+    }
+
+    return pendingRefresh;
+  }
+
+  /**
+   * Exchange the stored refresh token while holding the cross-tab lock
    * @returns {Promise<Object>} New tokens
    */
-  async refreshTokens() {
+  async refreshTokensOnce() {
     const refreshToken = localStorage.getItem('refreshToken');
 
     if (!refreshToken) {
       throw new Error('No refresh token available');
     }
 
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return this.exchangeRefreshToken(refreshToken);
+    }
+
+    return navigator.locks.request(REFRESH_LOCK, () => {
+      const current = localStorage.getItem('refreshToken');
+
+      if (!current) {
+        throw new Error('No refresh token available');
+      }
+
+      // Another tab refreshed while this one waited; use its tokens
+      if (current !== refreshToken) {
+        const accessToken = localStorage.getItem('accessToken') || localStorage.getItem('token');
+        return { success: true, accessToken, refreshToken: current, user: this.getCurrentUser() };
+      }
+
+      return this.exchangeRefreshToken(refreshToken);
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair and store it
+   * @param {string} refreshToken - Refresh token to exchange
+   * @returns {Promise<Object>} New tokens
+   */
+  async exchangeRefreshToken(refreshToken) {
     const response = await fetch('/api/auth/refresh', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -103,22 +103,23 @@ export class UsersApi {
   }
 
   /**
-   * View password (admin only)
-   * @param {string} username - Username
-   * @returns {Promise<Object>} Password data
+   * Email a user a one-time link to set a new password (admin only)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { email, expiresInHours }
    */
-  async viewPassword(username) {
-    const response = await apiClient.post('/users/view-password', { username });
+  async sendSetPasswordLink(userId) {
+    const response = await apiClient.post(`/users/${userId}/password`);
     return response;
   }
 
   /**
-   * Get decrypted password (admin only)
-   * @param {string} username - Username
-   * @returns {Promise<Object>} Decrypted password
+   * Require or stop requiring a password change on next login (admin only)
+   * @param {string} userId - User ID
+   * @param {boolean} mustChangePassword - Whether the user must change their password
+   * @returns {Promise<Object>} Update result
    */
-  async getPassword(username) {
-    const response = await apiClient.post('/users/get-password', { username });
+  async setMustChangePassword(userId, mustChangePassword) {
+    const response = await apiClient.put(`/users/${userId}/password`, { mustChangePassword });
     return response;
   }
 }
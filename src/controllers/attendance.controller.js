@@ -5,6 +5,9 @@
 
 import { AttendanceService } from '../services/attendance.service.js';
 import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { SessionModel } from '../models/session.model.js';
+import { hasPermission, isInPermissionScope } from '../middleware/auth.middleware.js';
+import { PERMISSIONS, PERMISSION_SCOPE } from '../utils/permissions.util.js';
 
 export class AttendanceController {
   constructor() {
@@ -28,19 +31,33 @@ export class AttendanceController {
         });
       }
 
-      // Build filters based on user role and query parameters
+      // Build filters based on the user's permissions and query parameters
       const filters = { tenantId };
 
-      // Add user-specific filtering if not admin requesting all users
-      if (req.query.all !== 'true' || currentUser?.role !== 'admin') {
+      // attendance:read lets a role see others' attendance (team leads: own reports only)
+      const canReadOthers = await hasPermission(req, PERMISSIONS.ATTENDANCE_READ);
+
+      if (req.query.all !== 'true' || !canReadOthers) {
         filters.username = req.query.user || currentUser?.username;
+
+        if (!(await this.canReadAttendanceOf(req, filters.username))) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized to view this user\'s attendance'
+          });
+        }
       }
 
       // Add date filters if provided
       if (req.query.startDate) filters.startDate = req.query.startDate;
       if (req.query.endDate) filters.endDate = req.query.endDate;
 
-      const records = await this.attendanceService.getAttendanceRecords(filters);
+      let records = await this.attendanceService.getAttendanceRecords(filters);
+
+      // Team-scoped readers only see their reports
+      if (!filters.username && req.permissionScope === PERMISSION_SCOPE.TEAM) {
+        records = records.filter(record => req.teamUsernames.includes(record.username));
+      }
 
       res.json({
         success: true,
@@ -67,6 +84,13 @@ export class AttendanceController {
         });
       }
 
+      if (!(await this.canReadAttendanceOf(req, username))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this user\'s attendance'
+        });
+      }
+
       const filters = {
         ...(startDate && { startDate }),
         ...(endDate && { endDate }),
@@ -135,6 +159,9 @@ export class AttendanceController {
         attendanceData.username = currentUser.username;
       }
 
+      // Office clock-ins can match a site by network; take the address from the request, not the body
+      attendanceData.ipAddress = SessionModel.fromRequest(req).ipAddress;
+
       const record = await this.attendanceService.markAttendance(attendanceData, tenantId);
 
       res.status(201).json({
@@ -586,6 +613,15 @@ export class AttendanceController {
     }
   }
 
+  /**
+   * Whether the current user may see a user's attendance: their own, or
+   * anyone's within the scope of their attendance:read permission
+   */
+  async canReadAttendanceOf(req, username) {
+    if (username === req.user?.username) return true;
+    return (await hasPermission(req, PERMISSIONS.ATTENDANCE_READ)) && isInPermissionScope(req, username);
+  }
+
   /**
    * Handle errors and send appropriate response
    */
@@ -85,6 +85,193 @@ class AttendanceApi {
     return await httpClient.put('/attendance/settings', settings);
   }
 
+  /**
+   * Get the holiday calendar for a year: { startDate, endDate, weeklyOffs, holidays }
+   */
+  async getHolidays(year) {
+    const response = await httpClient.get('/attendance/holidays', year ? { year } : {});
+    return response.data;
+  }
+
+  /**
+   * Add a holiday: { date, name, type?, locations? }
+   */
+  async addHoliday(holiday) {
+    const response = await httpClient.post('/attendance/holidays', holiday);
+    return response.data.holiday;
+  }
+
+  async updateHoliday(holidayId, changes) {
+    const response = await httpClient.put(`/attendance/holidays/${encodeURIComponent(holidayId)}`, changes);
+    return response.data.holiday;
+  }
+
+  async deleteHoliday(holidayId) {
+    return await httpClient.delete(`/attendance/holidays/${encodeURIComponent(holidayId)}`);
+  }
+
+  /**
+   * Import holidays from the text of an .ics file: { imported, updated, skipped, holidays }
+   */
+  async importHolidays(ics, options = {}) {
+    const response = await httpClient.post('/attendance/holidays/import', { ics, ...options });
+    return response.data;
+  }
+
+  /**
+   * Replace the weekly offs: [{ day: 0-6, weeks?: [1-5] }]
+   */
+  async updateWeeklyOffs(weeklyOffs) {
+    const response = await httpClient.put('/attendance/holidays/weekly-offs', { weeklyOffs });
+    return response.data;
+  }
+
+  /**
+   * Get the organization's shifts: { shifts, defaultShiftId }
+   */
+  async getShifts() {
+    const response = await httpClient.get('/attendance/shifts');
+    return response.data;
+  }
+
+  /**
+   * Define a shift: { name, startTime, endTime, graceMinutes?, breakMinutes?, minimumHours? }
+   */
+  async createShift(shift) {
+    const response = await httpClient.post('/attendance/shifts', shift);
+    return response.data.shift;
+  }
+
+  async updateShift(shiftId, changes) {
+    const response = await httpClient.put(`/attendance/shifts/${encodeURIComponent(shiftId)}`, changes);
+    return response.data.shift;
+  }
+
+  async deleteShift(shiftId) {
+    return await httpClient.delete(`/attendance/shifts/${encodeURIComponent(shiftId)}`);
+  }
+
+  /**
+   * Make a shift the default for users without an assignment (null: none)
+   */
+  async setDefaultShift(shiftId) {
+    return await httpClient.put('/attendance/settings', { defaultShiftId: shiftId });
+  }
+
+  async getShiftAssignments() {
+    const response = await httpClient.get('/attendance/shifts/assignments');
+    return response.data.assignments;
+  }
+
+  /**
+   * Put a user or team on shifts: { assigneeType, assigneeId, shiftIds, rotationDays?, startDate, endDate? }
+   */
+  async assignShift(assignment) {
+    const response = await httpClient.post('/attendance/shifts/assignments', assignment);
+    return response.data.assignment;
+  }
+
+  async updateShiftAssignment(assignmentId, changes) {
+    const response = await httpClient.put(`/attendance/shifts/assignments/${encodeURIComponent(assignmentId)}`, changes);
+    return response.data.assignment;
+  }
+
+  async deleteShiftAssignment(assignmentId) {
+    return await httpClient.delete(`/attendance/shifts/assignments/${encodeURIComponent(assignmentId)}`);
+  }
+
+  /**
+   * Get the shift worked each day: [{ date, shift }] (own unless params.user is given)
+   */
+  async getShiftSchedule(params = {}) {
+    const response = await httpClient.get('/attendance/shifts/schedule', params);
+    return response.data.schedule;
+  }
+
+  async getOfficeSites() {
+    const response = await httpClient.get('/attendance/sites');
+    return response.data.sites;
+  }
+
+  /**
+   * Add an office site: { name, latitude, longitude, radius?, timezone?, allowedIpRanges? }
+   */
+  async createOfficeSite(site) {
+    const response = await httpClient.post('/attendance/sites', site);
+    return response.data.site;
+  }
+
+  async updateOfficeSite(siteId, changes) {
+    const response = await httpClient.put(`/attendance/sites/${encodeURIComponent(siteId)}`, changes);
+    return response.data.site;
+  }
+
+  async deleteOfficeSite(siteId) {
+    return await httpClient.delete(`/attendance/sites/${encodeURIComponent(siteId)}`);
+  }
+
+  /**
+   * Refuse (true) or just record (false) office clock-ins at none of the sites
+   */
+  async setRequireOfficeSite(requireOfficeSite) {
+    return await httpClient.put('/attendance/settings', { requireOfficeSite });
+  }
+
+  /**
+   * Get attendance correction requests: { requests, usage? } (usage: own or ?user=, not with all)
+   * params: { user?, all?, status?, month? (YYYY-MM) }
+   */
+  async getRegularizations(params = {}) {
+    const response = await httpClient.get('/attendance/regularizations', params);
+    return response.data;
+  }
+
+  /**
+   * Ask for an attendance correction: { date, type, checkIn?, checkOut?, workType?, reason }
+   */
+  async requestRegularization(request) {
+    const response = await httpClient.post('/attendance/regularizations', request);
+    return response.data.request;
+  }
+
+  // action: approve or reject
+  async reviewRegularization(requestId, action, comment) {
+    const response = await httpClient.put(`/attendance/regularizations/${encodeURIComponent(requestId)}`, { action, comment });
+    return response.data.request;
+  }
+
+  async cancelRegularization(requestId) {
+    const response = await httpClient.put(`/attendance/regularizations/${encodeURIComponent(requestId)}`, { action: 'cancel' });
+    return response.data.request;
+  }
+
+  /**
+   * Get the payroll report: { startDate, endDate, employees, headers, rows, legend }
+   * params: { startDate?, endDate?, teamId?, user? }
+   */
+  async getPayrollReport(params = {}) {
+    const response = await httpClient.get('/attendance/export', { ...params, report: 'payroll' });
+    return response.data;
+  }
+
+  /**
+   * Download the payroll report as a file (format: 'csv' or 'xlsx')
+   * @returns {Promise<Blob>}
+   */
+  async downloadPayrollReport(params = {}, format = 'xlsx') {
+    const query = new URLSearchParams({ ...params, report: 'payroll', format });
+    const response = await fetch(`${httpClient.baseURL}/attendance/export?${query}`, {
+      headers: httpClient.getHeaders()
+    });
+
+    // Errors come back as JSON
+    if (!response.ok) {
+      await httpClient.handleResponse(response);
+    }
+
+    return await response.blob();
+  }
+
   /**
    * Get daily log entries
    */
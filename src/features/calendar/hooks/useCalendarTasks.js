@@ -1,53 +1,34 @@
 /**
  * useCalendarTasks Hook (MVC)
- * Combines task data with locally-generated calendar events (holidays) for CalendarDashboard.
+ * Combines task data with the organization's holidays for CalendarDashboard.
  * Replaces the legacy `hooks/useCalendarTasks.js`.
  *
  * NOTE: There is no /api/calendar general route in the backend — the calendar repository
  * is client-specific. This hook uses:
- *  - tasksApi  (src/features/tasks/api/tasksApi.js)  → live server data
- *  - Indian holiday data generated locally (same source as CalendarEventRepository)
+ *  - tasksApi       (src/features/tasks/api/tasksApi.js)           → live server data
+ *  - attendanceApi  (src/features/attendance/api/attendanceApi.js) → the holiday calendar
  */
 
 import { useState, useCallback, useMemo, useEffect } from 'react';
 import tasksApi from '../../tasks/api/tasksApi.js';
-
-// ─── Static Indian holidays (mirrors CalendarEventRepository.INDIAN_HOLIDAYS_2025) ──
-const INDIAN_HOLIDAYS = {
-  REPUBLIC_DAY:       { date: '01-26', name: 'Republic Day',         type: 'national' },
-  INDEPENDENCE_DAY:   { date: '08-15', name: 'Independence Day',      type: 'national' },
-  GANDHI_JAYANTI:     { date: '10-02', name: 'Gandhi Jayanti',        type: 'national' },
-  HOLI:               { date: '03-14', name: 'Holi',                  type: 'festival' },
-  MAHAVIR_JAYANTI:    { date: '04-10', name: 'Mahavir Jayanti',       type: 'festival' },
-  GOOD_FRIDAY:        { date: '04-18', name: 'Good Friday',           type: 'festival' },
-  EID_UL_FITR:        { date: '04-01', name: 'Eid ul-Fitr',           type: 'festival' },
-  BUDDHA_PURNIMA:     { date: '05-12', name: 'Buddha Purnima',        type: 'festival' },
-  EID_UL_ADHA:        { date: '06-07', name: 'Eid ul-Adha (Bakrid)',  type: 'festival' },
-  MUHARRAM:           { date: '07-06', name: 'Muharram',              type: 'festival' },
-  RAKSHA_BANDHAN:     { date: '08-09', name: 'Raksha Bandhan',        type: 'festival' },
-  JANMASHTAMI:        { date: '08-16', name: 'Janmashtami',           type: 'festival' },
-  GANESH_CHATURTHI:   { date: '08-27', name: 'Ganesh Chaturthi',      type: 'festival' },
-  DUSSEHRA:           { date: '10-02', name: 'Dussehra',              type: 'festival' },
-  DIWALI:             { date: '10-20', name: 'Diwali',                type: 'festival' },
-  GURU_NANAK_JAYANTI: { date: '11-15', name: 'Guru Nanak Jayanti',    type: 'festival' },
-  CHRISTMAS:          { date: '12-25', name: 'Christmas',             type: 'festival' },
-};
+import attendanceApi from '../../attendance/api/attendanceApi.js';
 
 /**
- * Build holiday event objects for a given year — no API call needed.
+ * Build holiday event objects from the organization's holidays.
  * Shape matches the task objects so ModernCalendar can render them uniformly.
  */
-function buildHolidayEvents(year) {
-  return Object.entries(INDIAN_HOLIDAYS).map(([key, h]) => {
-    const [month, day] = h.date.split('-');
-    const date = new Date(year, parseInt(month) - 1, parseInt(day));
+function buildHolidayEvents(holidays) {
+  return holidays.map((h) => {
+    const [year, month, day] = h.date.split('-');
+    const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    const label = h.locations?.length ? `${h.name} (${h.locations.join(', ')})` : h.name;
     return {
-      id: `holiday-${key}-${year}`,
+      id: `holiday-${h.id}`,
       type: 'holiday',
       eventType: 'holiday',
-      title: h.name,
-      summary: h.name,
-      task: h.name,           // ModernCalendar uses `task` field as label
+      title: label,
+      summary: label,
+      task: label,            // ModernCalendar uses `task` field as label
       deadline: date.toISOString(),
       colorId: h.type === 'national' ? '11' : '6',
       transparency: 'transparent',
@@ -65,11 +46,22 @@ export function useCalendarTasks(user) {
   const [viewMode, setViewMode] = useState('month'); // month | week | day
   const [currentMonth, setCurrentMonth] = useState(new Date());
 
-  // Holiday events are generated locally — no API call needed
-  const calendarEvents = useMemo(
-    () => buildHolidayEvents(currentMonth.getFullYear()),
-    [currentMonth]
-  );
+  // Holiday events for the year on screen, from the organization's holiday calendar
+  const [holidays, setHolidays] = useState([]);
+  const holidayYear = currentMonth.getFullYear();
+
+  useEffect(() => {
+    if (!user?.username) return;
+    let cancelled = false;
+
+    attendanceApi.getHolidays(holidayYear)
+      .then((data) => { if (!cancelled) setHolidays(data?.holidays || []); })
+      .catch((err) => console.error('[useCalendarTasks] Failed to fetch holidays:', err));
+
+    return () => { cancelled = true; };
+  }, [user?.username, holidayYear]);
+
+  const calendarEvents = useMemo(() => buildHolidayEvents(holidays), [holidays]);
 
   // Task state (from tasksApi)
   const [userTasks, setUserTasks] = useState([]);
@@ -104,7 +96,7 @@ export function useCalendarTasks(user) {
     }
   }, [user?.username, user?.role]);
 
-  // ─── Combined view: tasks + locally-generated holidays ───────────────────
+  // ─── Combined view: tasks + holidays ─────────────────────────────────────
   const tasks = useMemo(
     () => [...calendarEvents, ...userTasks],
     [calendarEvents, userTasks]
@@ -0,0 +1,54 @@
+/**
+ * Leave API Client
+ */
+
+import httpClient from '../../../shared/api/httpClient.js';
+
+class LeaveApi {
+  // filters: { user?, all?, status?, year? }
+  async getRequests(filters = {}) {
+    const response = await httpClient.get('/leave', filters);
+    return response.data.requests;
+  }
+
+  // { type, startDate, endDate?, halfDay?, reason? }
+  async apply(leaveData) {
+    const response = await httpClient.post('/leave', leaveData);
+    return response.data.request;
+  }
+
+  // action: approve or reject
+  async review(requestId, action, comment) {
+    const response = await httpClient.put(`/leave/${encodeURIComponent(requestId)}`, { action, comment });
+    return response.data.request;
+  }
+
+  async cancel(requestId) {
+    const response = await httpClient.put(`/leave/${encodeURIComponent(requestId)}`, { action: 'cancel' });
+    return response.data.request;
+  }
+
+  // { username, year, asOf, types: { casual: { available, used, pending, ... } } }
+  async getBalances(user, year) {
+    const response = await httpClient.get('/leave/balances', { ...(user && { user }), ...(year && { year }) });
+    return response.data;
+  }
+
+  async adjustBalance(adjustmentData) {
+    const response = await httpClient.put('/leave/balances', adjustmentData);
+    return response.data;
+  }
+
+  async getPolicy() {
+    const response = await httpClient.get('/leave/policy');
+    return response.data;
+  }
+
+  async updatePolicy(types) {
+    const response = await httpClient.put('/leave/policy', { types });
+    return response.data;
+  }
+}
+
+export const leaveApi = new LeaveApi();
+export default leaveApi;
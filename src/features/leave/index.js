@@ -0,0 +1,6 @@
+/**
+ * Leave Feature - Public API
+ */
+
+export { leaveApi } from './api/leaveApi.js';
+export { leaveApi as default } from './api/leaveApi.js';
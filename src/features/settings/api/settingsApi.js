@@ -37,6 +37,59 @@ class SettingsApi {
     return await httpClient.put('/settings/notifications', notificationSettings);
   }
 
+  /**
+   * Get the WhatsApp settings: { settings, events (variables per event), configured }
+   */
+  async getWhatsAppSettings() {
+    const response = await httpClient.get('/whatsapp/settings');
+    return response.data;
+  }
+
+  /**
+   * Change the WhatsApp settings: { templates?, events?, dailySummaryTime? }
+   */
+  async updateWhatsAppSettings(changes) {
+    const response = await httpClient.put('/whatsapp/settings', changes);
+    return response.data.settings;
+  }
+
+  /**
+   * Send a template to a number with placeholder values; resolves to its delivery log entry
+   */
+  async sendWhatsAppTest(phone, template) {
+    const response = await httpClient.post('/whatsapp/settings', { phone, template });
+    return response.data.delivery;
+  }
+
+  // Own opt-in, or a user's (admins)
+  async getWhatsAppOptIn(username) {
+    const response = await httpClient.get('/whatsapp/opt-in', username ? { user: username } : {});
+    return response.data.optIn;
+  }
+
+  /**
+   * Opt in ({ optedIn: true, phone? }) or out ({ optedIn: false }); admins pass a username
+   * The opt-in comes with the VERIFY code for a number that needs verifying.
+   */
+  async updateWhatsAppOptIn(changes, username) {
+    const path = username ? `/whatsapp/opt-in?user=${encodeURIComponent(username)}` : '/whatsapp/opt-in';
+    const response = await httpClient.put(path, changes);
+    return { ...response.data.optIn, verificationCode: response.data.verificationCode || null };
+  }
+
+  async getWhatsAppOptIns() {
+    const response = await httpClient.get('/whatsapp/opt-in', { all: true });
+    return response.data.optIns;
+  }
+
+  /**
+   * Get the WhatsApp delivery log, newest first (params: { event?, status?, user?, limit? })
+   */
+  async getWhatsAppDeliveries(params = {}) {
+    const response = await httpClient.get('/whatsapp/deliveries', params);
+    return response.data.deliveries;
+  }
+
   async getOrganizationSettings() {
     return await httpClient.get('/organizations/settings');
   }
@@ -9,6 +9,12 @@ class TasksApi {
     return await httpClient.get('/tasks', params);
   }
 
+  // One page of server-filtered tasks: { tasks, total, nextCursor, sort, order }
+  async queryTasks(params = {}) {
+    const response = await httpClient.get('/tasks/query', params);
+    return response.data;
+  }
+
   async getTaskById(taskId) {
     const response = await httpClient.get(`/tasks/${taskId}`);
     return response.data || response;
@@ -50,9 +56,65 @@ class TasksApi {
     return await httpClient.post(`/tasks/${taskId}/remarks`, remarkData);
   }
 
+  // Subtask tree, checklist, progress and dependency graph of a task
+  async getTaskStructure(taskId) {
+    const response = await httpClient.get(`/tasks/${taskId}/structure`);
+    return response.data;
+  }
+
+  async createSubtask(taskId, subtaskData) {
+    const response = await httpClient.post(`/tasks/${taskId}/subtasks`, subtaskData);
+    return response.data;
+  }
+
+  async addChecklistItem(taskId, text) {
+    const response = await httpClient.post(`/tasks/${taskId}/checklist`, { text });
+    return response.data.checklist;
+  }
+
+  async updateChecklistItem(taskId, itemId, changes) {
+    const response = await httpClient.put(`/tasks/${taskId}/checklist`, { itemId, ...changes });
+    return response.data.checklist;
+  }
+
+  async reorderChecklist(taskId, order) {
+    const response = await httpClient.put(`/tasks/${taskId}/checklist`, { order });
+    return response.data.checklist;
+  }
+
+  async removeChecklistItem(taskId, itemId) {
+    const response = await httpClient.delete(`/tasks/${taskId}/checklist?itemId=${encodeURIComponent(itemId)}`);
+    return response.data.checklist;
+  }
+
+  async addBlocker(taskId, blockerId) {
+    const response = await httpClient.post(`/tasks/${taskId}/dependencies`, { blockerId });
+    return response.data.blockedBy;
+  }
+
+  async removeBlocker(taskId, blockerId) {
+    const response = await httpClient.delete(`/tasks/${taskId}/dependencies?blockerId=${encodeURIComponent(blockerId)}`);
+    return response.data.blockedBy;
+  }
+
   async findDuplicates(params) {
     return await httpClient.post('/tasks/duplicates', params);
   }
+
+  async getWorkflow() {
+    const response = await httpClient.get('/tasks/workflow');
+    return response.data;
+  }
+
+  async updateWorkflow(workflow) {
+    const response = await httpClient.put('/tasks/workflow', workflow);
+    return response.data;
+  }
+
+  async resetWorkflow() {
+    const response = await httpClient.delete('/tasks/workflow');
+    return response.data;
+  }
 }
 
 export const tasksApi = new TasksApi();
@@ -0,0 +1,98 @@
+/**
+ * useTaskQuery Hook
+ * Server-filtered, cursor-paginated task list (GET /api/tasks/query)
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import tasksApi from '../api/tasksApi.js';
+
+// Typing in a search box should not send a request per keystroke
+const QUERY_DEBOUNCE_MS = 300;
+
+// Empty values and 'all' mean "no filter" and are left out of the request
+const toParams = (query) => {
+  const params = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '' && value !== 'all' && value !== false) {
+      params[key] = value;
+    }
+  });
+  return params;
+};
+
+export function useTaskQuery(query = {}, options = {}) {
+  const { enabled = true } = options;
+
+  const [tasks, setTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const paramsKey = JSON.stringify(toParams(query));
+  // Answers to superseded requests are dropped
+  const requestRef = useRef(0);
+
+  const load = useCallback(async () => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const page = await tasksApi.queryTasks(JSON.parse(paramsKey));
+      if (requestId !== requestRef.current) return;
+
+      setTasks(page.tasks || []);
+      setTotal(page.total || 0);
+      setNextCursor(page.nextCursor || null);
+    } catch (err) {
+      if (requestId !== requestRef.current) return;
+      console.error('Error querying tasks:', err);
+      setError(err.message);
+    } finally {
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  }, [paramsKey]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const requestId = requestRef.current;
+    setLoadingMore(true);
+
+    try {
+      const page = await tasksApi.queryTasks({ ...JSON.parse(paramsKey), cursor: nextCursor });
+      if (requestId !== requestRef.current) return;
+
+      setTasks(prev => [...prev, ...(page.tasks || [])]);
+      setTotal(page.total || 0);
+      setNextCursor(page.nextCursor || null);
+    } catch (err) {
+      console.error('Error loading more tasks:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [paramsKey, nextCursor, loadingMore]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const timer = setTimeout(load, QUERY_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [enabled, load]);
+
+  return {
+    tasks,
+    total,
+    hasMore: !!nextCursor,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    reload: load
+  };
+}
+
+export default useTaskQuery;
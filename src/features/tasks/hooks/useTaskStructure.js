@@ -0,0 +1,99 @@
+/**
+ * useTaskStructure Hook
+ * Subtasks, checklist and dependencies of one task (GET /api/tasks/[id]/structure)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import tasksApi from '../api/tasksApi.js';
+
+export function useTaskStructure(taskId, options = {}) {
+  const { enabled = true } = options;
+
+  const [structure, setStructure] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!taskId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setStructure(await tasksApi.getTaskStructure(taskId));
+    } catch (err) {
+      console.error('Error loading task structure:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    if (enabled) load();
+  }, [enabled, load]);
+
+  // Every change reloads the structure, since progress and the graph depend on it
+  const run = useCallback(async (change) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const result = await change();
+      await load();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [load]);
+
+  const addChecklistItem = useCallback((text) => run(() => tasksApi.addChecklistItem(taskId, text)), [run, taskId]);
+
+  const toggleChecklistItem = useCallback((item) => run(() => (
+    tasksApi.updateChecklistItem(taskId, item.id, { done: !item.done })
+  )), [run, taskId]);
+
+  const renameChecklistItem = useCallback((itemId, text) => run(() => (
+    tasksApi.updateChecklistItem(taskId, itemId, { text })
+  )), [run, taskId]);
+
+  const removeChecklistItem = useCallback((itemId) => run(() => tasksApi.removeChecklistItem(taskId, itemId)), [run, taskId]);
+
+  const moveChecklistItem = useCallback((itemId, offset) => {
+    const ids = (structure?.checklist || []).map(item => item.id);
+    const from = ids.indexOf(itemId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= ids.length) return Promise.resolve(null);
+
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    return run(() => tasksApi.reorderChecklist(taskId, ids));
+  }, [run, taskId, structure]);
+
+  const createSubtask = useCallback((subtaskData) => run(() => tasksApi.createSubtask(taskId, subtaskData)), [run, taskId]);
+
+  const addBlocker = useCallback((blockerId) => run(() => tasksApi.addBlocker(taskId, blockerId)), [run, taskId]);
+
+  const removeBlocker = useCallback((blockerId) => run(() => tasksApi.removeBlocker(taskId, blockerId)), [run, taskId]);
+
+  return {
+    structure,
+    loading,
+    saving,
+    error,
+    reload: load,
+    addChecklistItem,
+    toggleChecklistItem,
+    renameChecklistItem,
+    removeChecklistItem,
+    moveChecklistItem,
+    createSubtask,
+    addBlocker,
+    removeBlocker
+  };
+}
+
+export default useTaskStructure;
@@ -0,0 +1,67 @@
+/**
+ * useTaskWorkflow Hook
+ * The organization's task statuses and the moves a user may make
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import tasksApi from '../api/tasksApi.js';
+import {
+  DEFAULT_TASK_WORKFLOW,
+  getWorkflowStatus,
+  getAvailableTransitions
+} from '../../../utils/taskWorkflow.util.js';
+
+// Every task list on a page shares one request
+let workflowRequest = null;
+
+const loadWorkflow = (force = false) => {
+  if (!workflowRequest || force) {
+    workflowRequest = tasksApi.getWorkflow().catch(error => {
+      console.error('Failed to load task workflow:', error);
+      workflowRequest = null;
+      return DEFAULT_TASK_WORKFLOW;
+    });
+  }
+
+  return workflowRequest;
+};
+
+export function useTaskWorkflow() {
+  const [workflow, setWorkflow] = useState(DEFAULT_TASK_WORKFLOW);
+
+  useEffect(() => {
+    let active = true;
+
+    loadWorkflow().then(loaded => {
+      if (active && loaded) setWorkflow(loaded);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const reload = useCallback(async () => {
+    const loaded = await loadWorkflow(true);
+    setWorkflow(loaded);
+    return loaded;
+  }, []);
+
+  const getStatus = useCallback((key) => {
+    return getWorkflowStatus(workflow, key) || { key, label: key ? key.replace(/_/g, ' ') : '', color: 'gray' };
+  }, [workflow]);
+
+  const getNextStatuses = useCallback((task, user) => {
+    return getAvailableTransitions(workflow, task, user);
+  }, [workflow]);
+
+  return {
+    workflow,
+    statuses: workflow.statuses,
+    getStatus,
+    getNextStatuses,
+    reload
+  };
+}
+
+export default useTaskWorkflow;
@@ -5,4 +5,7 @@
 export { tasksApi } from './api/tasksApi.js';
 export { default as useTasksStore } from './store/tasksStore.js';
 export { useTasks } from './hooks/useTasks.js';
+export { useTaskWorkflow } from './hooks/useTaskWorkflow.js';
+export { useTaskQuery } from './hooks/useTaskQuery.js';
+export { useTaskStructure } from './hooks/useTaskStructure.js';
 export { tasksApi as default } from './api/tasksApi.js';
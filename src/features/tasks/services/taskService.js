@@ -3,6 +3,8 @@
  * Handles all task data operations and business logic
  */
 
+import { isClosedStatus } from '../../../utils/taskWorkflow.util.js';
+
 class TaskService {
   constructor() {
     this.baseUrl = '/api/tasks';
@@ -47,7 +49,7 @@ class TaskService {
 
       const data = await response.json();
       if (!data.success) {
-        throw new Error(data.error || 'Failed to update task');
+        throw new Error(data.message || data.error || 'Failed to update task');
       }
 
       return data.task;
@@ -157,7 +159,7 @@ class TaskService {
       completed: userTasks.filter(t => t.status === 'done').length,
       pending: userTasks.filter(t => t.status === 'pending').length,
       overdue: userTasks.filter(t => {
-        if (t.status === 'pending' && t.deadline) {
+        if (!isClosedStatus(t.status) && t.deadline) {
           return new Date(t.deadline) < new Date();
         }
         return false;
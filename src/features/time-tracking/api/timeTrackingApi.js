@@ -0,0 +1,43 @@
+/**
+ * Time Tracking API Client
+ */
+
+import httpClient from '../../../shared/api/httpClient.js';
+
+class TimeTrackingApi {
+  // The signed-in user's timer (null when none), with elapsedSeconds
+  async getTimer() {
+    const response = await httpClient.get('/time-tracking/timer');
+    return response.data.timer;
+  }
+
+  // action: start (needs taskId), pause, resume or stop
+  async timerAction(action, taskId) {
+    const response = await httpClient.post('/time-tracking/timer', { action, ...(taskId && { taskId }) });
+    return response.data;
+  }
+
+  // { entries, totalMinutes, byUser, estimatedMinutes, trackedMinutes }
+  async getTaskEntries(taskId) {
+    const response = await httpClient.get('/time-tracking/entries', { taskId });
+    return response.data;
+  }
+
+  // { entries, totalMinutes, date, username }
+  async getDayEntries(date, user) {
+    const response = await httpClient.get('/time-tracking/entries', { date, ...(user && { user }) });
+    return response.data;
+  }
+
+  async addEntry(entryData) {
+    const response = await httpClient.post('/time-tracking/entries', entryData);
+    return response.data.entry;
+  }
+
+  async deleteEntry(entryId) {
+    return await httpClient.delete(`/time-tracking/entries?id=${encodeURIComponent(entryId)}`);
+  }
+}
+
+export const timeTrackingApi = new TimeTrackingApi();
+export default timeTrackingApi;
@@ -0,0 +1,96 @@
+/**
+ * useTaskTimer Hook
+ * The user's timer and the time logged on one task
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import timeTrackingApi from '../api/timeTrackingApi.js';
+
+export function useTaskTimer(taskId, options = {}) {
+  const { enabled = true } = options;
+
+  const [timer, setTimer] = useState(null);
+  const [timeLog, setTimeLog] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Seconds since the timer was last loaded, so a running timer ticks locally
+  const [tick, setTick] = useState(0);
+
+  const load = useCallback(async () => {
+    if (!taskId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [currentTimer, log] = await Promise.all([
+        timeTrackingApi.getTimer(),
+        timeTrackingApi.getTaskEntries(taskId)
+      ]);
+      setTimer(currentTimer);
+      setTimeLog(log);
+      setTick(0);
+    } catch (err) {
+      console.error('Error loading time tracking:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    if (enabled) load();
+  }, [enabled, load]);
+
+  useEffect(() => {
+    if (timer?.status !== 'running') return undefined;
+    const interval = setInterval(() => setTick(seconds => seconds + 1), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  // Every change reloads, since stopping a timer adds an entry
+  const run = useCallback(async (change) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const result = await change();
+      await load();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [load]);
+
+  const start = useCallback(() => run(() => timeTrackingApi.timerAction('start', taskId)), [run, taskId]);
+  const pause = useCallback(() => run(() => timeTrackingApi.timerAction('pause')), [run]);
+  const resume = useCallback(() => run(() => timeTrackingApi.timerAction('resume')), [run]);
+  const stop = useCallback(() => run(() => timeTrackingApi.timerAction('stop')), [run]);
+
+  const addEntry = useCallback((entryData) => run(() => timeTrackingApi.addEntry({ ...entryData, taskId })), [run, taskId]);
+  const deleteEntry = useCallback((entryId) => run(() => timeTrackingApi.deleteEntry(entryId)), [run]);
+
+  return {
+    timer,
+    // Whether the user's timer is on this task (it may be running on another)
+    isThisTask: timer?.taskId === taskId,
+    elapsedSeconds: timer ? timer.elapsedSeconds + (timer.status === 'running' ? tick : 0) : 0,
+    timeLog,
+    loading,
+    saving,
+    error,
+    reload: load,
+    start,
+    pause,
+    resume,
+    stop,
+    addEntry,
+    deleteEntry
+  };
+}
+
+export default useTaskTimer;
@@ -0,0 +1,7 @@
+/**
+ * Time Tracking Feature - Public API
+ */
+
+export { timeTrackingApi } from './api/timeTrackingApi.js';
+export { useTaskTimer } from './hooks/useTaskTimer.js';
+export { timeTrackingApi as default } from './api/timeTrackingApi.js';
@@ -43,6 +43,39 @@ class UsersApi {
   async changePassword(passwordData) {
     return await httpClient.post('/users/change-password', passwordData);
   }
+
+  async getSessions(params = {}) {
+    return await httpClient.get('/auth/sessions', params);
+  }
+
+  async terminateSession(sessionId) {
+    return await httpClient.delete(`/auth/sessions/${sessionId}`);
+  }
+
+  async terminateAllSessions(username) {
+    const query = username ? `?username=${encodeURIComponent(username)}` : '';
+    return await httpClient.delete(`/auth/sessions${query}`);
+  }
+
+  async getMfaStatus() {
+    return await httpClient.get('/auth/mfa');
+  }
+
+  async startMfaSetup() {
+    return await httpClient.post('/auth/mfa/setup');
+  }
+
+  async activateMfa(code) {
+    return await httpClient.post('/auth/mfa/activate', { code });
+  }
+
+  async disableMfa(code) {
+    return await httpClient.post('/auth/mfa/disable', { code });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return await httpClient.post('/auth/mfa/recovery-codes', { code });
+  }
 }
 
 export const usersApi = new UsersApi();
@@ -0,0 +1,74 @@
+/**
+ * useMfa Hook
+ * Two-factor authentication status and settings for the current user
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import usersApi from '../api/usersApi.js';
+
+export function useMfa(options = {}) {
+  const { autoLoad = true } = options;
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await usersApi.getMfaStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (err) {
+      console.error('Error loading MFA status:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const startSetup = useCallback(async () => {
+    const response = await usersApi.startMfaSetup();
+    return response.data;
+  }, []);
+
+  const activate = useCallback(async (code) => {
+    const response = await usersApi.activateMfa(code);
+    await loadStatus();
+    return response.data;
+  }, [loadStatus]);
+
+  const disable = useCallback(async (code) => {
+    const result = await usersApi.disableMfa(code);
+    await loadStatus();
+    return result;
+  }, [loadStatus]);
+
+  const regenerateRecoveryCodes = useCallback(async (code) => {
+    const response = await usersApi.regenerateRecoveryCodes(code);
+    await loadStatus();
+    return response.data;
+  }, [loadStatus]);
+
+  useEffect(() => {
+    if (autoLoad) {
+      loadStatus();
+    }
+  }, [autoLoad, loadStatus]);
+
+  return {
+    status,
+    loading,
+    error,
+    loadStatus,
+    startSetup,
+    activate,
+    disable,
+    regenerateRecoveryCodes
+  };
+}
+
+export default useMfa;
@@ -0,0 +1,79 @@
+/**
+ * useSessions Hook
+ * Lists and terminates signed-in sessions for a user
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import usersApi from '../api/usersApi.js';
+
+export function useSessions(username = null, options = {}) {
+  const { autoLoad = true, includeInactive = false } = options;
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = {};
+      if (username) params.username = username;
+      if (includeInactive) params.includeInactive = 'true';
+
+      const response = await usersApi.getSessions(params);
+      if (response.success) {
+        setSessions(response.data || []);
+      }
+    } catch (err) {
+      console.error('Error loading sessions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [username, includeInactive]);
+
+  const terminateSession = useCallback(async (sessionId) => {
+    try {
+      const result = await usersApi.terminateSession(sessionId);
+      if (result.success) {
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const terminateAllSessions = useCallback(async () => {
+    try {
+      const result = await usersApi.terminateAllSessions(username);
+      if (result.success) {
+        setSessions([]);
+      }
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [username]);
+
+  useEffect(() => {
+    if (autoLoad) {
+      loadSessions();
+    }
+  }, [autoLoad, loadSessions]);
+
+  return {
+    sessions,
+    loading,
+    error,
+    loadSessions,
+    terminateSession,
+    terminateAllSessions
+  };
+}
+
+export default useSessions;
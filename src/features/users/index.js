@@ -5,4 +5,6 @@
 export { usersApi } from './api/usersApi.js';
 export { default as useUsersStore } from './store/usersStore.js';
 export { useUsers } from './hooks/useUsers.js';
+export { useSessions } from './hooks/useSessions.js';
+export { useMfa } from './hooks/useMfa.js';
 export { usersApi as default } from './api/usersApi.js';
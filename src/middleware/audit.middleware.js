@@ -0,0 +1,79 @@
+/**
+ * Audit Middleware
+ * Writes an audit log entry for every successful mutating API call
+ *
+ * Authentication (authenticate, requireAuth) registers each POST, PUT, PATCH
+ * and DELETE request; routes that verify tokens themselves call auditRequest
+ * directly. When the route ends a response with a status below 400, the
+ * entry is written first and the response sent once the write has settled:
+ * a serverless function may be frozen as soon as its response is out, which
+ * would lose a write still in flight. Routes that know the record before and
+ * after the change pass it with setAuditContext; otherwise the request body
+ * is the "after".
+ */
+
+import { auditService } from '../services/index.js';
+import { AuditLogModel, AUDITED_METHODS } from '../models/auditLog.model.js';
+
+/**
+ * Register a request for auditing
+ * @param {Object} req - Next.js API request
+ * @param {Object} res - Next.js API response
+ * @param {Object} user - Authenticated user (defaults to req.user)
+ */
+export const auditRequest = (req, res, user = req.user) => {
+  if (!AUDITED_METHODS.includes(req.method) || !user?.tenantId || typeof res?.end !== 'function' || req.auditRegistered) {
+    return;
+  }
+
+  req.auditRegistered = true;
+
+  // res.json, res.send and res.redirect all finish with res.end
+  const end = res.end;
+  res.end = (...args) => {
+    res.end = end;
+    if (res.statusCode >= 400) {
+      return res.end(...args);
+    }
+
+    writeEntry(req, res, user).finally(() => res.end(...args));
+    return res;
+  };
+};
+
+// Never rejects: a failed audit write is logged and the response still sent
+const writeEntry = async (req, res, user) => {
+  try {
+    const described = AuditLogModel.describeRequest(req);
+    const context = req.auditContext || {};
+
+    await auditService.record({
+      ...AuditLogModel.fromRequest(req),
+      tenantId: user.tenantId,
+      actorId: user.id || null,
+      actorUsername: user.username || null,
+      statusCode: res.statusCode,
+      resourceType: context.resourceType || described.resourceType,
+      resourceId: context.resourceId ?? described.resourceId,
+      action: context.action || described.action,
+      before: context.before ?? null,
+      after: context.after !== undefined ? context.after : (req.method === 'DELETE' ? null : req.body)
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+};
+
+/**
+ * Describe the change a route made, for its audit log entry
+ * @param {Object} req - Next.js API request
+ * @param {Object} context - { resourceType, resourceId, action, before, after }
+ */
+export const setAuditContext = (req, context) => {
+  req.auditContext = { ...req.auditContext, ...context };
+};
+
+export default {
+  auditRequest,
+  setAuditContext
+};
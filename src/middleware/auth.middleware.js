@@ -3,9 +3,12 @@
  * Handles JWT verification and authorization
  */
 
-import { verifyToken } from '../../lib/auth.js';
+import { verifyToken, verifyMfaChallengeToken, MFA_CHALLENGE_PURPOSE } from '../../lib/auth.js';
 import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
 import { USER_ROLES } from '../utils/constants.js';
+import { PERMISSION_SCOPE, getPermissionScope } from '../utils/permissions.util.js';
+import { roleService } from '../services/index.js';
+import { auditRequest } from './audit.middleware.js';
 
 /**
  * Verify JWT token and attach user to request
@@ -22,7 +25,7 @@ export const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     // Verify token - returns { valid, user, error }
-    const result = verifyToken(token);
+    const result = await verifyToken(token);
 
     if (!result.valid || !result.user) {
       throw new UnauthorizedError(result.error || 'Invalid or expired token');
@@ -36,9 +39,12 @@ export const authenticate = async (req, res, next) => {
       username: decoded.username,
       email: decoded.email,
       role: decoded.role,
-      tenantId: decoded.tenantId
+      tenantId: decoded.tenantId,
+      familyId: decoded.fid || null
     };
 
+    auditRequest(req, res);
+
     if (next) next();
   } catch (error) {
     if (error instanceof UnauthorizedError) {
@@ -49,18 +55,85 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Require specific role(s)
- * @param  {...string} allowedRoles - Allowed roles
+ * Authenticate with an access token, or with an MFA enrollment challenge
+ * Users of organizations that require MFA set it up during login, before they
+ * have an access token; they send the challenge as `mfaToken` in the body.
+ * Sets req.mfaChallenge when the challenge was used.
+ */
+export const authenticateOrMfaEnrollment = async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+
+  if (!mfaToken) {
+    return await authenticate(req, res, next);
+  }
+
+  const result = verifyMfaChallengeToken(mfaToken, MFA_CHALLENGE_PURPOSE.ENROLL);
+
+  if (!result.valid) {
+    throw new UnauthorizedError(result.error || 'Invalid or expired verification');
+  }
+
+  req.user = {
+    id: result.user.id,
+    username: result.user.username,
+    tenantId: result.user.tenantId
+  };
+  req.mfaChallenge = result.user;
+
+  auditRequest(req, res);
+
+  if (next) next();
+};
+
+/**
+ * Find how widely the authenticated user holds any of the given permissions
+ * Loads the role's grants once per request (req.permissions). Sets
+ * req.permissionScope and, for team scope, req.teamUsernames.
+ * @param {Object} req - Request with req.user
+ * @param {Array<string>} permissions - `resource:action` permissions
+ * @returns {Promise<string|null>} PERMISSION_SCOPE value, or null when none is granted
  */
-export const requireRole = (...allowedRoles) => {
-  return (req, res, next) => {
+const resolvePermissionScope = async (req, permissions) => {
+  // Platform super admins are not bound to an organization's roles
+  if (req.user.role === USER_ROLES.SUPER_ADMIN) {
+    req.permissionScope = PERMISSION_SCOPE.ALL;
+    return req.permissionScope;
+  }
+
+  if (!req.permissions) {
+    req.permissions = await roleService.getPermissionsForUser(req.user);
+  }
+
+  const scopes = permissions.map(permission => getPermissionScope(req.permissions, permission));
+  const scope = scopes.includes(PERMISSION_SCOPE.ALL)
+    ? PERMISSION_SCOPE.ALL
+    : scopes.includes(PERMISSION_SCOPE.TEAM) ? PERMISSION_SCOPE.TEAM : null;
+
+  req.permissionScope = scope;
+
+  if (scope === PERMISSION_SCOPE.TEAM && !req.teamUsernames) {
+    req.teamUsernames = await roleService.getTeamUsernames(req.user);
+  }
+
+  return scope;
+};
+
+/**
+ * Require permission(s) from the user's role
+ * Passes when the role grants any of the permissions, org-wide or for the
+ * user's team. Routes acting on another user's data must then check
+ * isInPermissionScope, since a team-scoped grant only covers the org subtree.
+ * @param  {...string} permissions - `resource:action` permissions (see PERMISSIONS)
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       throw new UnauthorizedError('Authentication required');
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!(await resolvePermissionScope(req, permissions))) {
       throw new ForbiddenError(
-        `Access denied. Required role: ${allowedRoles.join(' or ')}`
+        `Access denied. Required permission: ${permissions.join(' or ')}`
       );
     }
 
@@ -69,17 +142,60 @@ export const requireRole = (...allowedRoles) => {
 };
 
 /**
- * Require admin role
+ * Check permission(s) without rejecting the request
+ * For routes that show more (e.g. everyone's records) to users who hold a permission.
+ * @param {Object} req - Request with req.user
+ * @param  {...string} permissions - `resource:action` permissions
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (req, ...permissions) => {
+  if (!req.user) return false;
+  return !!(await resolvePermissionScope(req, permissions));
+};
+
+/**
+ * Check that a user's data is covered by the last permission check
+ * Org-wide grants cover everyone; team grants cover the user and their reports.
+ * @param {Object} req - Request after requirePermission or hasPermission
+ * @param {string} username - Owner of the data
+ * @returns {boolean}
+ */
+export const isInPermissionScope = (req, username) => {
+  if (req.permissionScope === PERMISSION_SCOPE.ALL) return true;
+  if (req.permissionScope === PERMISSION_SCOPE.TEAM) {
+    return (req.teamUsernames || []).includes(username);
+  }
+  return false;
+};
+
+/**
+ * Check that the user may act on a task
+ * The assignee and the assigner always can; anyone else needs the permission
+ * for the task's assignee.
+ * @param {Object} req - Request with req.user
+ * @param {Object} task - Task ({ assigned_to, given_by })
+ * @param {string} permission - e.g. PERMISSIONS.TASKS_READ or TASKS_EDIT
+ * @returns {Promise<boolean>}
  */
-export const requireAdmin = (req, res, next) => {
-  return requireRole(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN)(req, res, next);
+export const canActOnTask = async (req, task, permission) => {
+  if (!req.user || !task) return false;
+  if (task.assigned_to === req.user.username || task.given_by === req.user.username) return true;
+  return await hasPermission(req, permission) && isInPermissionScope(req, task.assigned_to);
 };
 
 /**
  * Require super admin role
  */
 export const requireSuperAdmin = (req, res, next) => {
-  return requireRole(USER_ROLES.SUPER_ADMIN)(req, res, next);
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required');
+  }
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    throw new ForbiddenError(`Access denied. Required role: ${USER_ROLES.SUPER_ADMIN}`);
+  }
+
+  if (next) next();
 };
 
 /**
@@ -121,7 +237,7 @@ export const optionalAuth = async (req, res, next) => {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const result = verifyToken(token);
+      const result = await verifyToken(token);
 
       if (result.valid && result.user) {
         const decoded = result.user;
@@ -130,7 +246,8 @@ export const optionalAuth = async (req, res, next) => {
           username: decoded.username,
           email: decoded.email,
           role: decoded.role,
-          tenantId: decoded.tenantId
+          tenantId: decoded.tenantId,
+          familyId: decoded.fid || null
         };
       }
     }
@@ -142,40 +259,14 @@ export const optionalAuth = async (req, res, next) => {
   if (next) next();
 };
 
-/**
- * Verify user owns resource or is admin
- * @param {Function} getUsernameFromRequest - Function to extract username from request
- */
-export const requireOwnerOrAdmin = (getUsernameFromRequest) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      throw new UnauthorizedError('Authentication required');
-    }
-
-    const resourceUsername = getUsernameFromRequest(req);
-
-    // Allow if user is admin or super admin
-    if ([USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN].includes(req.user.role)) {
-      if (next) next();
-      return;
-    }
-
-    // Allow if user owns the resource
-    if (req.user.username === resourceUsername) {
-      if (next) next();
-      return;
-    }
-
-    throw new ForbiddenError('Access denied');
-  };
-};
-
 export default {
   authenticate,
-  requireRole,
-  requireAdmin,
+  authenticateOrMfaEnrollment,
+  requirePermission,
+  hasPermission,
+  isInPermissionScope,
+  canActOnTask,
   requireSuperAdmin,
   verifyTenantAccess,
-  optionalAuth,
-  requireOwnerOrAdmin
+  optionalAuth
 };
@@ -27,12 +27,14 @@ export {
 // Authentication & Authorization
 export {
   authenticate,
-  requireRole,
-  requireAdmin,
+  authenticateOrMfaEnrollment,
+  requirePermission,
+  hasPermission,
+  isInPermissionScope,
+  canActOnTask,
   requireSuperAdmin,
   verifyTenantAccess,
-  optionalAuth,
-  requireOwnerOrAdmin
+  optionalAuth
 } from './auth.middleware.js';
 
 // Logging
@@ -42,15 +44,23 @@ export {
   logError
 } from './logging.middleware.js';
 
+// Audit log
+export {
+  auditRequest,
+  setAuditContext
+} from './audit.middleware.js';
+
 // Default export with all middleware
 import errorMiddleware from './error.middleware.js';
 import validationMiddleware from './validation.middleware.js';
 import authMiddleware from './auth.middleware.js';
 import loggingMiddleware from './logging.middleware.js';
+import auditMiddleware from './audit.middleware.js';
 
 export default {
   ...errorMiddleware,
   ...validationMiddleware,
   ...authMiddleware,
-  ...loggingMiddleware
+  ...loggingMiddleware,
+  ...auditMiddleware
 };
@@ -20,7 +20,15 @@ export class AttendanceModel {
     this.status = data.status || ATTENDANCE_STATUS.PRESENT;
     this.totalHours = data.totalHours || null;
     this.location = data.location || null;
+    this.officeSite = data.officeSite || null; // Office site clocked in at, with the distance to it (see OfficeSiteService)
     this.notes = data.notes || null;
+    this.leaveType = data.leaveType || null; // Set by approved leave (see LeaveService)
+    this.leaveRequestId = data.leaveRequestId || null;
+    this.shift = data.shift || null; // Shift worked, as it was at clock-in (see ShiftService)
+    this.markedLate = data.markedLate || false;
+    this.lateByMinutes = data.lateByMinutes ?? null;
+    this.workedMinutes = data.workedMinutes ?? null; // Set at clock-out for shift workers, less the break
+    this.revisions = data.revisions || []; // Values replaced by approved regularization requests (see RegularizationService)
     // Biometric authentication fields - HIDDEN
     // this.biometricAuth = data.biometricAuth || false;
     // this.biometricType = data.biometricType || null;
@@ -44,7 +52,15 @@ export class AttendanceModel {
       status: this.status,
       totalHours: this.totalHours,
       location: this.location,
+      officeSite: this.officeSite,
       notes: this.notes,
+      leaveType: this.leaveType,
+      leaveRequestId: this.leaveRequestId,
+      shift: this.shift,
+      markedLate: this.markedLate,
+      lateByMinutes: this.lateByMinutes,
+      workedMinutes: this.workedMinutes,
+      revisions: this.revisions,
       // biometricAuth: this.biometricAuth, // HIDDEN
       // biometricType: this.biometricType, // HIDDEN
       // authTimestamp: this.authTimestamp, // HIDDEN
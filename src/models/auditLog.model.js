@@ -0,0 +1,106 @@
+/**
+ * Audit Log Model
+ * One entry of an organization's append-only, hash-chained audit log
+ */
+
+import { SessionModel } from './session.model.js';
+
+// What a mutating HTTP method does to a resource, unless the route says otherwise
+export const AUDIT_VERB = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+export const AUDITED_METHODS = Object.keys(AUDIT_VERB);
+
+export class AuditLogModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.sequence = data.sequence ?? null;   // Position in the organization's chain, from 1
+    this.actorId = data.actorId || null;
+    this.actorUsername = data.actorUsername || null;
+    this.ipAddress = data.ipAddress || null;
+    this.userAgent = data.userAgent || null;
+    this.method = data.method;
+    this.path = data.path;
+    this.statusCode = data.statusCode ?? null;
+    this.resourceType = data.resourceType;
+    this.resourceId = data.resourceId || null;
+    this.action = data.action;
+    this.diff = data.diff || [];             // [{ field, before, after }]
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.prevHash = data.prevHash || null;
+    this.hash = data.hash || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      sequence: this.sequence,
+      actorId: this.actorId,
+      actorUsername: this.actorUsername,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      method: this.method,
+      path: this.path,
+      statusCode: this.statusCode,
+      resourceType: this.resourceType,
+      resourceId: this.resourceId,
+      action: this.action,
+      diff: this.diff,
+      createdAt: this.createdAt,
+      prevHash: this.prevHash,
+      hash: this.hash
+    };
+  }
+
+  /**
+   * Work out which resource a request changed from its path and route params
+   * e.g. PUT /api/clients/abc/notes -> { resourceType: 'clients.notes', resourceId: 'abc' }
+   * @param {Object} req - Next.js API request
+   * @returns {Object} { resourceType, resourceId, action }
+   */
+  static describeRequest(req) {
+    const pathname = (req.url || '').split('?')[0];
+    const params = Object.values(req.query || {}).flat().map(String);
+
+    const segments = pathname
+      .split('/')
+      .filter(segment => segment && segment !== 'api' && !params.includes(decodeURIComponent(segment)));
+
+    const resourceType = segments.join('.') || 'unknown';
+    const resourceId = req.query?.id || req.query?.key ||
+      req.body?.id || req.body?.userId || req.body?.taskId || null;
+
+    return {
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : null,
+      action: `${resourceType}.${AUDIT_VERB[req.method] || req.method.toLowerCase()}`
+    };
+  }
+
+  /**
+   * Request details recorded with every entry
+   * @param {Object} req - Next.js API request
+   * @returns {Object} { method, path, ipAddress, userAgent }
+   */
+  static fromRequest(req) {
+    const { ipAddress, userAgent } = SessionModel.fromRequest(req);
+
+    return {
+      method: req.method,
+      path: (req.url || '').split('?')[0],
+      ipAddress,
+      userAgent
+    };
+  }
+}
+
+export default AuditLogModel;
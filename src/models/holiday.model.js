@@ -0,0 +1,97 @@
+/**
+ * Holiday Model
+ * A named non-working day on an organization's holiday calendar. Holidays
+ * with locations only apply to users at those locations (regional holidays).
+ */
+
+export const HOLIDAY_TYPES = {
+  NATIONAL: 'national',
+  REGIONAL: 'regional',
+  FESTIVAL: 'festival',
+  COMPANY: 'company'
+};
+
+export const HOLIDAY_SOURCE = {
+  MANUAL: 'manual',
+  ICS: 'ics'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_LOCATIONS = 50;
+
+export class HolidayModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.date = data.date;
+    this.name = (data.name || '').trim();
+    this.type = data.type || HOLIDAY_TYPES.COMPANY;
+    this.locations = (data.locations || []).map(location => location.trim()).filter(Boolean); // Empty: everyone
+    this.source = data.source || HOLIDAY_SOURCE.MANUAL;
+    this.externalId = data.externalId || null; // ICS UID, so re-imports update rather than duplicate
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      date: this.date,
+      name: this.name,
+      type: this.type,
+      locations: this.locations,
+      source: this.source,
+      externalId: this.externalId,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+    const types = Object.values(HOLIDAY_TYPES);
+
+    if (!isUpdate && !data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+
+    if ((!isUpdate || data.date !== undefined) && (!data.date || !DATE_PATTERN.test(data.date))) {
+      errors.push({ field: 'date', message: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    if (!isUpdate || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push({ field: 'name', message: 'Holiday name is required' });
+      } else if (data.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: `Holiday name must be at most ${MAX_NAME_LENGTH} characters` });
+      }
+    }
+
+    if (data.type !== undefined && !types.includes(data.type)) {
+      errors.push({ field: 'type', message: `Holiday type must be one of: ${types.join(', ')}` });
+    }
+
+    if (data.locations !== undefined &&
+        (!Array.isArray(data.locations) || data.locations.length > MAX_LOCATIONS ||
+         data.locations.some(location => typeof location !== 'string'))) {
+      errors.push({ field: 'locations', message: `Locations must be a list of at most ${MAX_LOCATIONS} names` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default HolidayModel;
@@ -0,0 +1,75 @@
+/**
+ * HolidayCalendar Model
+ * An organization's weekly offs. The named holidays are HolidayModel
+ * documents; an organization without a stored calendar has Sundays off.
+ */
+
+import { DEFAULT_WEEKLY_OFFS } from '../utils/holidayCalendar.util.js';
+
+export class HolidayCalendarModel {
+  constructor(data = {}) {
+    this.tenantId = data.tenantId;
+    // [{ day: 0-6 (0 = Sunday), weeks: [] every week, or occurrences in the month 1-5 }]
+    this.weeklyOffs = (data.weeklyOffs || DEFAULT_WEEKLY_OFFS).map(rule => ({
+      day: rule.day,
+      weeks: [...new Set(rule.weeks || [])].sort((a, b) => a - b)
+    }));
+    this.updatedBy = data.updatedBy || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      weeklyOffs: this.weeklyOffs,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data) {
+    const errors = [];
+    const { weeklyOffs } = data;
+
+    if (!Array.isArray(weeklyOffs)) {
+      errors.push({ field: 'weeklyOffs', message: 'Weekly offs must be a list' });
+      return { isValid: false, errors };
+    }
+
+    const days = new Set();
+    let everyWeek = 0;
+    weeklyOffs.forEach((rule, index) => {
+      if (!rule || !Number.isInteger(rule.day) || rule.day < 0 || rule.day > 6) {
+        errors.push({ field: `weeklyOffs[${index}].day`, message: 'Day must be 0 (Sunday) to 6 (Saturday)' });
+        return;
+      }
+      if (days.has(rule.day)) {
+        errors.push({ field: `weeklyOffs[${index}].day`, message: 'Each day may only appear once' });
+      }
+      days.add(rule.day);
+      if (!rule.weeks?.length) everyWeek++;
+
+      if (rule.weeks !== undefined &&
+          (!Array.isArray(rule.weeks) || rule.weeks.some(week => !Number.isInteger(week) || week < 1 || week > 5))) {
+        errors.push({ field: `weeklyOffs[${index}].weeks`, message: 'Weeks must be occurrences in the month (1 to 5)' });
+      }
+    });
+
+    if (everyWeek === 7) {
+      errors.push({ field: 'weeklyOffs', message: 'At least one day of the week must be a working day' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default HolidayCalendarModel;
@@ -10,6 +10,32 @@ export { OrganizationModel } from './organization.model.js';
 export { ClientModel, CLIENT_STATUS, CLIENT_PRIORITY, CONTACT_METHOD } from './client.model.js';
 export { FileModel, FILE_TYPE, FILE_STATUS } from './file.model.js';
 export { DailyTaskModel } from './dailyTask.model.js';
+export { RecurringTaskModel, RECURRING_TASK_STATUS, OCCURRENCE_STATUS } from './recurringTask.model.js';
+export { SessionModel, SESSION_CLIENT, SESSION_STATUS } from './session.model.js';
+export { TeamModel } from './team.model.js';
+export { AuditLogModel, AUDIT_VERB, AUDITED_METHODS } from './auditLog.model.js';
+export { TimeEntryModel, TIME_ENTRY_SOURCE, TIMER_STATUS } from './timeEntry.model.js';
+export { NotificationModel, NOTIFICATION_RETENTION_DAYS } from './notification.model.js';
+export {
+  NotificationPreferencesModel,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS
+} from './notificationPreferences.model.js';
+export { LeaveRequestModel, LEAVE_TYPES, LEAVE_STATUS } from './leaveRequest.model.js';
+export { LeavePolicyModel, LEAVE_ACCRUAL } from './leavePolicy.model.js';
+export { HolidayModel, HOLIDAY_TYPES, HOLIDAY_SOURCE } from './holiday.model.js';
+export { HolidayCalendarModel } from './holidayCalendar.model.js';
+export { ShiftModel } from './shift.model.js';
+export { ShiftAssignmentModel, SHIFT_ASSIGNEE_TYPE } from './shiftAssignment.model.js';
+export { OfficeSiteModel } from './officeSite.model.js';
+export {
+  RegularizationRequestModel,
+  REGULARIZATION_TYPES,
+  REGULARIZATION_STATUS
+} from './regularizationRequest.model.js';
+export { WhatsAppSettingsModel, WHATSAPP_EVENTS, TEMPLATE_STATUS } from './whatsappSettings.model.js';
+export { WhatsAppOptInModel } from './whatsappOptIn.model.js';
+export { WhatsAppDeliveryModel, DELIVERY_STATUS } from './whatsappDelivery.model.js';
 
 // Default export with all models
 import { UserModel } from './user.model.js';
@@ -19,6 +45,24 @@ import { OrganizationModel } from './organization.model.js';
 import { ClientModel } from './client.model.js';
 import { FileModel } from './file.model.js';
 import { DailyTaskModel } from './dailyTask.model.js';
+import { RecurringTaskModel } from './recurringTask.model.js';
+import { SessionModel } from './session.model.js';
+import { TeamModel } from './team.model.js';
+import { AuditLogModel } from './auditLog.model.js';
+import { TimeEntryModel } from './timeEntry.model.js';
+import { NotificationModel } from './notification.model.js';
+import { NotificationPreferencesModel } from './notificationPreferences.model.js';
+import { LeaveRequestModel } from './leaveRequest.model.js';
+import { LeavePolicyModel } from './leavePolicy.model.js';
+import { HolidayModel } from './holiday.model.js';
+import { HolidayCalendarModel } from './holidayCalendar.model.js';
+import { ShiftModel } from './shift.model.js';
+import { ShiftAssignmentModel } from './shiftAssignment.model.js';
+import { OfficeSiteModel } from './officeSite.model.js';
+import { RegularizationRequestModel } from './regularizationRequest.model.js';
+import { WhatsAppSettingsModel } from './whatsappSettings.model.js';
+import { WhatsAppOptInModel } from './whatsappOptIn.model.js';
+import { WhatsAppDeliveryModel } from './whatsappDelivery.model.js';
 
 export default {
   UserModel,
@@ -27,5 +71,23 @@ export default {
   OrganizationModel,
   ClientModel,
   FileModel,
-  DailyTaskModel
+  DailyTaskModel,
+  RecurringTaskModel,
+  SessionModel,
+  TeamModel,
+  AuditLogModel,
+  TimeEntryModel,
+  NotificationModel,
+  NotificationPreferencesModel,
+  LeaveRequestModel,
+  LeavePolicyModel,
+  HolidayModel,
+  HolidayCalendarModel,
+  ShiftModel,
+  ShiftAssignmentModel,
+  OfficeSiteModel,
+  RegularizationRequestModel,
+  WhatsAppSettingsModel,
+  WhatsAppOptInModel,
+  WhatsAppDeliveryModel
 };
@@ -0,0 +1,91 @@
+/**
+ * LeavePolicy Model
+ * An organization's yearly allowance, accrual and carry-forward per leave type.
+ * Leave years are calendar years; an organization without a stored policy
+ * gets the defaults.
+ */
+
+import { LEAVE_TYPES } from './leaveRequest.model.js';
+
+export const LEAVE_ACCRUAL = {
+  YEARLY: 'yearly', // Whole allowance on 1 January
+  MONTHLY: 'monthly' // A twelfth of it at the start of each month
+};
+
+// annualAllowance null means unlimited (nothing is deducted from a balance)
+export const DEFAULT_LEAVE_POLICY = {
+  [LEAVE_TYPES.CASUAL]: { annualAllowance: 12, accrual: LEAVE_ACCRUAL.MONTHLY, carryForwardLimit: 0 },
+  [LEAVE_TYPES.SICK]: { annualAllowance: 8, accrual: LEAVE_ACCRUAL.YEARLY, carryForwardLimit: 0 },
+  [LEAVE_TYPES.EARNED]: { annualAllowance: 15, accrual: LEAVE_ACCRUAL.MONTHLY, carryForwardLimit: 30 },
+  [LEAVE_TYPES.UNPAID]: { annualAllowance: null, accrual: LEAVE_ACCRUAL.YEARLY, carryForwardLimit: 0 }
+};
+
+const MAX_DAYS = 366;
+
+const isDayCount = (value) => typeof value === 'number' && value >= 0 && value <= MAX_DAYS && Number.isInteger(value * 2);
+
+export class LeavePolicyModel {
+  constructor(data = {}) {
+    this.tenantId = data.tenantId;
+    this.types = Object.fromEntries(
+      Object.entries(DEFAULT_LEAVE_POLICY).map(([type, defaults]) => [
+        type,
+        { ...defaults, ...(data.types?.[type] || {}) }
+      ])
+    );
+    this.updatedBy = data.updatedBy || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      types: this.types,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   * Day counts are whole or half days.
+   */
+  static validate(data) {
+    const errors = [];
+    const types = Object.values(LEAVE_TYPES);
+    const accruals = Object.values(LEAVE_ACCRUAL);
+
+    if (!data.types || typeof data.types !== 'object') {
+      errors.push({ field: 'types', message: 'Types must be an object of leave types' });
+      return { isValid: false, errors };
+    }
+
+    Object.entries(data.types).forEach(([type, policy]) => {
+      if (!types.includes(type)) {
+        errors.push({ field: `types.${type}`, message: `Leave type must be one of: ${types.join(', ')}` });
+        return;
+      }
+
+      const { annualAllowance, accrual, carryForwardLimit } = policy || {};
+      if (annualAllowance !== undefined && annualAllowance !== null && !isDayCount(annualAllowance)) {
+        errors.push({ field: `types.${type}.annualAllowance`, message: `Allowance must be 0-${MAX_DAYS} days (or null for unlimited)` });
+      }
+      if (accrual !== undefined && !accruals.includes(accrual)) {
+        errors.push({ field: `types.${type}.accrual`, message: `Accrual must be one of: ${accruals.join(', ')}` });
+      }
+      if (carryForwardLimit !== undefined && !isDayCount(carryForwardLimit)) {
+        errors.push({ field: `types.${type}.carryForwardLimit`, message: `Carry-forward limit must be 0-${MAX_DAYS} days` });
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default LeavePolicyModel;
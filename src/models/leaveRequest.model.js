@@ -0,0 +1,122 @@
+/**
+ * LeaveRequest Model
+ * A user's application for leave over a date range, and its review.
+ * Approved requests write `leave` (or `half-day`) attendance records for the
+ * working days they cover.
+ */
+
+export const LEAVE_TYPES = {
+  CASUAL: 'casual',
+  SICK: 'sick',
+  EARNED: 'earned',
+  UNPAID: 'unpaid'
+};
+
+export const LEAVE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Pending and approved requests hold days of the balance
+export const ACTIVE_LEAVE_STATUSES = [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REASON_LENGTH = 500;
+
+export class LeaveRequestModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.username = data.username;
+    this.type = data.type;
+    this.startDate = data.startDate;
+    this.endDate = data.endDate || data.startDate;
+    this.halfDay = data.halfDay === true; // Single-day requests only
+    this.dates = data.dates || []; // Working days covered (no weekly offs or holidays)
+    this.days = data.days ?? 0; // dates.length, or 0.5 for a half day
+    this.reason = data.reason || '';
+    this.status = data.status || LEAVE_STATUS.PENDING;
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.reviewComment = data.reviewComment || '';
+    this.cancelledAt = data.cancelledAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      username: this.username,
+      type: this.type,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      halfDay: this.halfDay,
+      dates: this.dates,
+      days: this.days,
+      reason: this.reason,
+      status: this.status,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      reviewComment: this.reviewComment,
+      cancelledAt: this.cancelledAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules (for an application)
+   */
+  static validate(data) {
+    const errors = [];
+    const types = Object.values(LEAVE_TYPES);
+
+    if (!data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+    if (!data.username) {
+      errors.push({ field: 'username', message: 'Username is required' });
+    }
+
+    if (!types.includes(data.type)) {
+      errors.push({ field: 'type', message: `Leave type must be one of: ${types.join(', ')}` });
+    }
+
+    if (!data.startDate || !DATE_PATTERN.test(data.startDate)) {
+      errors.push({ field: 'startDate', message: 'Start date is required (YYYY-MM-DD)' });
+    }
+
+    const endDate = data.endDate || data.startDate;
+    if (!endDate || !DATE_PATTERN.test(endDate)) {
+      errors.push({ field: 'endDate', message: 'End date must be YYYY-MM-DD' });
+    } else if (data.startDate && endDate < data.startDate) {
+      errors.push({ field: 'endDate', message: 'End date must not be before the start date' });
+    } else if (data.startDate && Number(endDate.slice(0, 4)) > Number(data.startDate.slice(0, 4)) + 1) {
+      errors.push({ field: 'endDate', message: 'Leave can run into the next year, but no further' });
+    }
+
+    if (data.halfDay !== undefined && typeof data.halfDay !== 'boolean') {
+      errors.push({ field: 'halfDay', message: 'Must be true or false' });
+    } else if (data.halfDay && endDate !== data.startDate) {
+      errors.push({ field: 'halfDay', message: 'A half day must start and end on the same date' });
+    }
+
+    if (data.reason && (typeof data.reason !== 'string' || data.reason.length > MAX_REASON_LENGTH)) {
+      errors.push({ field: 'reason', message: `Reason must be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default LeaveRequestModel;
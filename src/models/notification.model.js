@@ -0,0 +1,78 @@
+/**
+ * Notification Model
+ * A notification stored in a user's inbox.
+ * Everything sent through broadcastNotification is stored first, so users who
+ * were offline find it in their inbox and a reconnecting stream can replay it.
+ */
+
+// Notifications are deleted this many days after they were sent
+export const NOTIFICATION_RETENTION_DAYS = 90;
+
+export const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export class NotificationModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.username = data.username; // Recipient
+    this.type = data.type;
+    this.title = data.title || '';
+    this.message = data.message || '';
+    this.priority = data.priority || 'medium';
+    this.data = data.data || {};
+    this.read = data.read || false;
+    this.readAt = data.readAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.expiresAt = data.expiresAt || new Date(
+      new Date(this.createdAt).getTime() + NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      username: this.username,
+      type: this.type,
+      title: this.title,
+      message: this.message,
+      priority: this.priority,
+      data: this.data,
+      read: this.read,
+      readAt: this.readAt,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+    if (!data.username) {
+      errors.push({ field: 'username', message: 'Recipient is required' });
+    }
+    if (!data.type) {
+      errors.push({ field: 'type', message: 'Notification type is required' });
+    }
+
+    if (data.priority && !NOTIFICATION_PRIORITIES.includes(data.priority)) {
+      errors.push({ field: 'priority', message: `Priority must be one of: ${NOTIFICATION_PRIORITIES.join(', ')}` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default NotificationModel;
@@ -0,0 +1,178 @@
+/**
+ * NotificationPreferences Model
+ * A user's choice of channels per event, quiet hours and daily digest.
+ * Read by the notification dispatcher (NotificationService.send) and the
+ * digest cron; a user without a stored document gets the defaults.
+ */
+
+// Events users can choose channels for
+export const NOTIFICATION_EVENTS = {
+  TASK_ASSIGNED: 'task_assigned',
+  DEADLINE_APPROACHING: 'deadline_approaching',
+  COMMENT_MENTION: 'comment_mention',
+  ATTENDANCE_REMINDER: 'attendance_reminder',
+  MEETING_INVITE: 'meeting_invite'
+};
+
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: 'in_app',
+  EMAIL: 'email',
+  WHATSAPP: 'whatsapp',
+  DESKTOP: 'desktop'
+};
+
+// Notification types (as sent with broadcastNotification) and the event they belong to;
+// other types always go in-app and to the desktop
+export const NOTIFICATION_TYPE_EVENTS = {
+  task_assigned: NOTIFICATION_EVENTS.TASK_ASSIGNED,
+  deadline_reminder: NOTIFICATION_EVENTS.DEADLINE_APPROACHING,
+  deadline_critical: NOTIFICATION_EVENTS.DEADLINE_APPROACHING,
+  task_mention: NOTIFICATION_EVENTS.COMMENT_MENTION,
+  attendance_submitted: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  attendance_approved: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  attendance_rejected: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  leave_requested: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  leave_approved: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  leave_rejected: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  regularization_requested: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  regularization_approved: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  regularization_rejected: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  meeting_invite: NOTIFICATION_EVENTS.MEETING_INVITE
+};
+
+// Email is on where the app already emailed before preferences existed.
+// WhatsApp only carries the organization's template messages, and only to
+// users who opted in (WhatsAppService), so it is on for the events those cover.
+export const DEFAULT_CHANNELS = {
+  [NOTIFICATION_EVENTS.TASK_ASSIGNED]: { in_app: true, email: false, whatsapp: true, desktop: true },
+  [NOTIFICATION_EVENTS.DEADLINE_APPROACHING]: { in_app: true, email: false, whatsapp: true, desktop: true },
+  [NOTIFICATION_EVENTS.COMMENT_MENTION]: { in_app: true, email: true, whatsapp: false, desktop: true },
+  [NOTIFICATION_EVENTS.ATTENDANCE_REMINDER]: { in_app: true, email: false, whatsapp: true, desktop: true },
+  [NOTIFICATION_EVENTS.MEETING_INVITE]: { in_app: true, email: true, whatsapp: false, desktop: true }
+};
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export class NotificationPreferencesModel {
+  constructor(data = {}) {
+    this.tenantId = data.tenantId;
+    this.username = data.username;
+    this.channels = Object.fromEntries(
+      Object.entries(DEFAULT_CHANNELS).map(([event, defaults]) => [
+        event,
+        { ...defaults, ...(data.channels?.[event] || {}) }
+      ])
+    );
+    this.quietHours = {
+      enabled: false,
+      start: '22:00',
+      end: '08:00',
+      ...(data.quietHours || {})
+    };
+    this.digest = {
+      enabled: false,
+      time: '09:00',
+      ...(data.digest || {})
+    };
+    this.sound = data.sound ?? true;
+    this.timezone = data.timezone || DEFAULT_TIMEZONE;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      username: this.username,
+      channels: this.channels,
+      quietHours: this.quietHours,
+      digest: this.digest,
+      sound: this.sound,
+      timezone: this.timezone,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules (for the fields users can change)
+   */
+  static validate(data) {
+    const errors = [];
+    const events = Object.values(NOTIFICATION_EVENTS);
+    const channels = Object.values(NOTIFICATION_CHANNELS);
+
+    if (data.channels !== undefined) {
+      if (!data.channels || typeof data.channels !== 'object') {
+        errors.push({ field: 'channels', message: 'Channels must be an object of events' });
+      } else {
+        Object.entries(data.channels).forEach(([event, values]) => {
+          if (!events.includes(event)) {
+            errors.push({ field: `channels.${event}`, message: `Event must be one of: ${events.join(', ')}` });
+            return;
+          }
+          Object.entries(values || {}).forEach(([channel, enabled]) => {
+            if (!channels.includes(channel)) {
+              errors.push({ field: `channels.${event}.${channel}`, message: `Channel must be one of: ${channels.join(', ')}` });
+            } else if (typeof enabled !== 'boolean') {
+              errors.push({ field: `channels.${event}.${channel}`, message: 'Must be true or false' });
+            }
+          });
+        });
+      }
+    }
+
+    if (data.quietHours !== undefined) {
+      const { enabled, start, end } = data.quietHours || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push({ field: 'quietHours.enabled', message: 'Must be true or false' });
+      }
+      if (start !== undefined && !TIME_PATTERN.test(start)) {
+        errors.push({ field: 'quietHours.start', message: 'Start must be HH:MM' });
+      }
+      if (end !== undefined && !TIME_PATTERN.test(end)) {
+        errors.push({ field: 'quietHours.end', message: 'End must be HH:MM' });
+      }
+      if (start !== undefined && start === end) {
+        errors.push({ field: 'quietHours.end', message: 'Quiet hours must not start and end at the same time' });
+      }
+    }
+
+    if (data.digest !== undefined) {
+      const { enabled, time } = data.digest || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push({ field: 'digest.enabled', message: 'Must be true or false' });
+      }
+      if (time !== undefined && !TIME_PATTERN.test(time)) {
+        errors.push({ field: 'digest.time', message: 'Digest time must be HH:MM' });
+      }
+    }
+
+    if (data.sound !== undefined && typeof data.sound !== 'boolean') {
+      errors.push({ field: 'sound', message: 'Must be true or false' });
+    }
+
+    if (data.timezone !== undefined && (typeof data.timezone !== 'string' || !isValidTimezone(data.timezone))) {
+      errors.push({ field: 'timezone', message: 'Timezone must be an IANA name such as Asia/Kolkata' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default NotificationPreferencesModel;
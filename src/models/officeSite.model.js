@@ -0,0 +1,103 @@
+/**
+ * Office Site Model
+ * An office clock-ins are checked against: where it is, how far from that
+ * point still counts as inside, its timezone, and the network ranges (the
+ * office Wi-Fi's public addresses) that count as being there without a
+ * position fix.
+ */
+
+import { isValidIpRange } from '../utils/geofence.util.js';
+import { isValidTimezone } from './notificationPreferences.model.js';
+
+const MAX_NAME_LENGTH = 80;
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 5000;
+const MAX_IP_RANGES = 20;
+
+export const DEFAULT_SITE_RADIUS = 100;
+export const DEFAULT_SITE_TIMEZONE = 'Asia/Kolkata';
+
+export class OfficeSiteModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.name = (data.name || '').trim();
+    this.latitude = data.latitude;
+    this.longitude = data.longitude;
+    this.radius = data.radius ?? DEFAULT_SITE_RADIUS;                // Meters
+    this.timezone = data.timezone || DEFAULT_SITE_TIMEZONE;
+    this.allowedIpRanges = (data.allowedIpRanges || []).map(range => range.trim());
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      name: this.name,
+      latitude: this.latitude,
+      longitude: this.longitude,
+      radius: this.radius,
+      timezone: this.timezone,
+      allowedIpRanges: this.allowedIpRanges,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   * Pass the merged site on update.
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate && !data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Site name must be between 1 and ${MAX_NAME_LENGTH} characters` });
+    }
+
+    if (typeof data.latitude !== 'number' || !(data.latitude >= -90 && data.latitude <= 90)) {
+      errors.push({ field: 'latitude', message: 'Latitude must be a number between -90 and 90' });
+    }
+
+    if (typeof data.longitude !== 'number' || !(data.longitude >= -180 && data.longitude <= 180)) {
+      errors.push({ field: 'longitude', message: 'Longitude must be a number between -180 and 180' });
+    }
+
+    const radius = data.radius ?? DEFAULT_SITE_RADIUS;
+    if (!Number.isInteger(radius) || radius < MIN_RADIUS_METERS || radius > MAX_RADIUS_METERS) {
+      errors.push({ field: 'radius', message: `Radius must be ${MIN_RADIUS_METERS}-${MAX_RADIUS_METERS} meters` });
+    }
+
+    if (data.timezone !== undefined && (typeof data.timezone !== 'string' || !isValidTimezone(data.timezone))) {
+      errors.push({ field: 'timezone', message: 'Timezone must be an IANA timezone (e.g. Asia/Kolkata)' });
+    }
+
+    const ranges = data.allowedIpRanges ?? [];
+    if (!Array.isArray(ranges) || ranges.length > MAX_IP_RANGES) {
+      errors.push({ field: 'allowedIpRanges', message: `Allowed IP ranges must be a list of at most ${MAX_IP_RANGES}` });
+    } else {
+      const invalid = ranges.filter(range => !isValidIpRange(range));
+      if (invalid.length > 0) {
+        errors.push({ field: 'allowedIpRanges', message: `Invalid IP range: ${invalid.join(', ')}` });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default OfficeSiteModel;
@@ -19,6 +19,7 @@ export class OrganizationModel {
     this.subscriptionStartedAt = data.subscriptionStartedAt || null;
     this.limits = data.limits || {};
     this.features = data.features || {};
+    this.settings = data.settings || {};
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -40,6 +41,7 @@ export class OrganizationModel {
       subscriptionStartedAt: this.subscriptionStartedAt,
       limits: this.limits,
       features: this.features,
+      settings: this.settings,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
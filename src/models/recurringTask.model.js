@@ -0,0 +1,212 @@
+/**
+ * RecurringTask Model
+ * Defines recurring task templates and their schedules
+ */
+
+import { TASK_PRIORITY } from '../utils/constants.js';
+import {
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_UNIT,
+  toRRule
+} from '../utils/recurrence.util.js';
+
+export const RECURRING_TASK_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+export const OCCURRENCE_STATUS = {
+  PENDING: 'pending',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+export class RecurringTaskModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.task = data.task || data.title;
+    this.client_name = data.client_name || '';
+    this.assigned_to = data.assigned_to;
+    this.assigned_by = data.assigned_by || data.createdBy;
+    this.priority = data.priority || TASK_PRIORITY.MEDIUM;
+    this.assignerNotes = data.assignerNotes || '';
+    this.assignerPrivateNotes = data.assignerPrivateNotes || '';
+    this.deadlineOffsetDays = Number(data.deadlineOffsetDays) || 0;
+    this.schedule = RecurringTaskModel.normalizeSchedule(data.schedule || data.recurring || {});
+    this.status = data.status || RECURRING_TASK_STATUS.ACTIVE;
+    this.nextRunDate = data.nextRunDate || null;
+    this.lastRunDate = data.lastRunDate || null;
+    this.occurrenceCount = data.occurrenceCount || 0;
+    this.createdBy = data.createdBy || this.assigned_by;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Normalize schedule input
+   * Accepts both the stored shape ({ frequency, daysOfWeek, ... }) and the
+   * RecurringTaskForm shape ({ type, daysOfWeek, dayOfMonth, ... })
+   */
+  static normalizeSchedule(raw = {}) {
+    const frequency = raw.frequency || raw.type || RECURRENCE_FREQUENCY.DAILY;
+
+    const schedule = {
+      frequency,
+      interval: Math.max(1, parseInt(raw.interval) || 1),
+      startDate: raw.startDate || null,
+      endDate: raw.endDate || null
+    };
+
+    if (frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+      schedule.daysOfWeek = [...new Set((raw.daysOfWeek || []).map(Number))].sort();
+    }
+
+    if (frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+      schedule.dayOfMonth = parseInt(raw.dayOfMonth) || null;
+    }
+
+    if (frequency === RECURRENCE_FREQUENCY.CUSTOM) {
+      schedule.intervalUnit = raw.intervalUnit || RECURRENCE_UNIT.DAY;
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      task: this.task,
+      client_name: this.client_name,
+      assigned_to: this.assigned_to,
+      assigned_by: this.assigned_by,
+      priority: this.priority,
+      assignerNotes: this.assignerNotes,
+      assignerPrivateNotes: this.assignerPrivateNotes,
+      deadlineOffsetDays: this.deadlineOffsetDays,
+      schedule: this.schedule,
+      rrule: toRRule(this.schedule),
+      status: this.status,
+      nextRunDate: this.nextRunDate,
+      lastRunDate: this.lastRunDate,
+      occurrenceCount: this.occurrenceCount,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Check if template is currently generating occurrences
+   */
+  isActive() {
+    return this.status === RECURRING_TASK_STATUS.ACTIVE;
+  }
+
+  /**
+   * Validate schedule definition
+   */
+  static validateSchedule(schedule) {
+    const errors = [];
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!Object.values(RECURRENCE_FREQUENCY).includes(schedule.frequency)) {
+      errors.push({ field: 'schedule.frequency', message: 'Invalid recurrence frequency' });
+    }
+
+    if (!schedule.startDate || !dateRegex.test(schedule.startDate)) {
+      errors.push({ field: 'schedule.startDate', message: 'Start date is required (YYYY-MM-DD)' });
+    }
+
+    if (schedule.endDate && !dateRegex.test(schedule.endDate)) {
+      errors.push({ field: 'schedule.endDate', message: 'Invalid end date format (YYYY-MM-DD)' });
+    }
+
+    if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+      errors.push({ field: 'schedule.endDate', message: 'End date cannot be before start date' });
+    }
+
+    if (schedule.interval < 1 || schedule.interval > 365) {
+      errors.push({ field: 'schedule.interval', message: 'Interval must be between 1 and 365' });
+    }
+
+    if (schedule.frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+      if (!schedule.daysOfWeek?.length) {
+        errors.push({ field: 'schedule.daysOfWeek', message: 'Select at least one day of the week' });
+      } else if (schedule.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push({ field: 'schedule.daysOfWeek', message: 'Days of week must be between 0 (Sun) and 6 (Sat)' });
+      }
+    }
+
+    if (schedule.frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+      if (!schedule.dayOfMonth || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) {
+        errors.push({ field: 'schedule.dayOfMonth', message: 'Day of month must be between 1 and 31' });
+      }
+    }
+
+    if (schedule.frequency === RECURRENCE_FREQUENCY.CUSTOM &&
+        !Object.values(RECURRENCE_UNIT).includes(schedule.intervalUnit)) {
+      errors.push({ field: 'schedule.intervalUnit', message: 'Interval unit must be day, week or month' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate) {
+      if (!data.tenantId) {
+        errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+      }
+      if (!data.task || !data.task.trim()) {
+        errors.push({ field: 'task', message: 'Task description is required' });
+      }
+      if (!data.assigned_to || !data.assigned_to.trim()) {
+        errors.push({ field: 'assigned_to', message: 'Assignee is required' });
+      }
+      if (!data.schedule && !data.recurring) {
+        errors.push({ field: 'schedule', message: 'Schedule is required' });
+      }
+    }
+
+    if (data.task !== undefined && (!data.task || !data.task.trim())) {
+      errors.push({ field: 'task', message: 'Task description cannot be empty' });
+    }
+
+    if (data.priority && !Object.values(TASK_PRIORITY).includes(data.priority)) {
+      errors.push({ field: 'priority', message: 'Invalid priority level' });
+    }
+
+    if (data.status && !Object.values(RECURRING_TASK_STATUS).includes(data.status)) {
+      errors.push({ field: 'status', message: 'Invalid recurring task status' });
+    }
+
+    if (data.deadlineOffsetDays !== undefined) {
+      const offset = Number(data.deadlineOffsetDays);
+      if (!Number.isInteger(offset) || offset < 0 || offset > 365) {
+        errors.push({ field: 'deadlineOffsetDays', message: 'Deadline offset must be between 0 and 365 days' });
+      }
+    }
+
+    if (data.schedule || data.recurring) {
+      const schedule = RecurringTaskModel.normalizeSchedule(data.schedule || data.recurring);
+      errors.push(...RecurringTaskModel.validateSchedule(schedule));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default RecurringTaskModel;
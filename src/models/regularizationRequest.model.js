@@ -0,0 +1,130 @@
+/**
+ * RegularizationRequest Model
+ * A user's request to correct their attendance record for a day, and its
+ * review. Approved requests patch the record, which keeps the values they
+ * replaced in its `revisions`.
+ */
+
+import { WORK_TYPE } from '../utils/constants.js';
+
+export const REGULARIZATION_TYPES = {
+  MISSED_CLOCK_OUT: 'missed_clock_out', // Add the clock-out the user forgot
+  WORK_TYPE: 'work_type', // Office / WFH / remote was picked wrong
+  TIME_CHANGE: 'time_change' // Clock-in and/or clock-out time was wrong
+};
+
+export const REGULARIZATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Pending and approved requests count towards the monthly limit
+export const ACTIVE_REGULARIZATION_STATUSES = [REGULARIZATION_STATUS.PENDING, REGULARIZATION_STATUS.APPROVED];
+
+// Requests a user may make per month of attendance, unless the settings say otherwise
+export const DEFAULT_MONTHLY_LIMIT = 3;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_REASON_LENGTH = 500;
+
+export class RegularizationRequestModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.username = data.username;
+    this.date = data.date;
+    this.attendanceId = data.attendanceId || null;
+    this.type = data.type;
+    this.requested = data.requested || {}; // { checkIn?, checkOut?, workType? }
+    this.current = data.current || {}; // The same fields on the record when the request was made
+    this.reason = data.reason || '';
+    this.status = data.status || REGULARIZATION_STATUS.PENDING;
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.reviewComment = data.reviewComment || '';
+    this.cancelledAt = data.cancelledAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      username: this.username,
+      date: this.date,
+      attendanceId: this.attendanceId,
+      type: this.type,
+      requested: this.requested,
+      current: this.current,
+      reason: this.reason,
+      status: this.status,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      reviewComment: this.reviewComment,
+      cancelledAt: this.cancelledAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules (for a new request)
+   */
+  static validate(data) {
+    const errors = [];
+    const types = Object.values(REGULARIZATION_TYPES);
+    const workTypes = Object.values(WORK_TYPE);
+    const requested = data.requested || {};
+
+    if (!data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+    if (!data.username) {
+      errors.push({ field: 'username', message: 'Username is required' });
+    }
+
+    if (!data.date || !DATE_PATTERN.test(data.date)) {
+      errors.push({ field: 'date', message: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    if (!types.includes(data.type)) {
+      errors.push({ field: 'type', message: `Type must be one of: ${types.join(', ')}` });
+    }
+
+    ['checkIn', 'checkOut'].forEach(field => {
+      if (requested[field] !== undefined && !TIME_PATTERN.test(requested[field] || '')) {
+        errors.push({ field, message: 'Time must be HH:MM (24-hour)' });
+      }
+    });
+
+    if (data.type === REGULARIZATION_TYPES.MISSED_CLOCK_OUT && !requested.checkOut) {
+      errors.push({ field: 'checkOut', message: 'Clock-out time is required' });
+    }
+    if (data.type === REGULARIZATION_TYPES.TIME_CHANGE && !requested.checkIn && !requested.checkOut) {
+      errors.push({ field: 'checkIn', message: 'A clock-in or clock-out time is required' });
+    }
+    if (data.type === REGULARIZATION_TYPES.WORK_TYPE && !workTypes.includes(requested.workType)) {
+      errors.push({ field: 'workType', message: `Work type must be one of: ${workTypes.join(', ')}` });
+    }
+
+    if (!data.reason || typeof data.reason !== 'string' || !data.reason.trim()) {
+      errors.push({ field: 'reason', message: 'Reason is required' });
+    } else if (data.reason.length > MAX_REASON_LENGTH) {
+      errors.push({ field: 'reason', message: `Reason must be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default RegularizationRequestModel;
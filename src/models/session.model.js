@@ -0,0 +1,149 @@
+/**
+ * Session Model
+ * A signed-in device. One session per login, identified by its refresh token family ID.
+ */
+
+export const SESSION_CLIENT = {
+  WEB: 'web',
+  ELECTRON: 'electron'
+};
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+export class SessionModel {
+  constructor(data) {
+    this.id = data.id || data.familyId || null;
+    this.tenantId = data.tenantId;
+    this.userId = data.userId || null;
+    this.username = data.username;
+    this.client = data.client || SESSION_CLIENT.WEB;
+    this.userAgent = data.userAgent || null;
+    this.device = data.device || SessionModel.describeUserAgent(this.userAgent);
+    this.ipAddress = data.ipAddress || null;
+    this.lastIpAddress = data.lastIpAddress || this.ipAddress;
+    this.firstSeenAt = data.firstSeenAt || data.createdAt || new Date().toISOString();
+    this.lastSeenAt = data.lastSeenAt || this.firstSeenAt;
+    this.expiresAt = data.expiresAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.revokedReason = data.revokedReason || null;
+    this.revokedBy = data.revokedBy || null;
+  }
+
+  /**
+   * Build session data from an incoming login request
+   * @param {Object} req - Next.js API request
+   * @returns {Object} { userAgent, ipAddress, client, device }
+   */
+  static fromRequest(req) {
+    const userAgent = req.headers['user-agent'] || null;
+
+    return {
+      userAgent,
+      ipAddress: SessionModel.clientIp(req),
+      client: userAgent && /electron\//i.test(userAgent) ? SESSION_CLIENT.ELECTRON : SESSION_CLIENT.WEB,
+      device: SessionModel.describeUserAgent(userAgent)
+    };
+  }
+
+  /**
+   * Client IP address of a request
+   * Anyone can send X-Forwarded-For, so only the entries appended by the
+   * TRUSTED_PROXY_COUNT proxies in front of the app are believed: the client
+   * is the rightmost entry none of them added. Without trusted proxies the
+   * socket address is used and the header is ignored.
+   * @param {Object} req - Next.js API request
+   * @returns {string|null} IP address
+   */
+  static clientIp(req) {
+    const trustedProxies = parseInt(process.env.TRUSTED_PROXY_COUNT, 10) || 0;
+    const forwardedFor = req.headers['x-forwarded-for'];
+
+    let ipAddress = req.socket?.remoteAddress || null;
+
+    if (trustedProxies > 0 && forwardedFor) {
+      const hops = String(forwardedFor).split(',').map(hop => hop.trim()).filter(Boolean);
+      if (hops.length > 0) {
+        ipAddress = hops[Math.max(0, hops.length - trustedProxies)];
+      }
+    }
+
+    // IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+    return ipAddress ? ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : null;
+  }
+
+  /**
+   * Turn a user-agent string into a short label (e.g. "Chrome on Windows")
+   * @param {string|null} userAgent - User-agent header
+   * @returns {string} Device label
+   */
+  static describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const ua = userAgent.toLowerCase();
+
+    let os = 'Unknown OS';
+    if (ua.includes('iphone') || ua.includes('ipad')) os = 'iOS';
+    else if (ua.includes('android')) os = 'Android';
+    else if (ua.includes('windows')) os = 'Windows';
+    else if (ua.includes('mac os') || ua.includes('macintosh')) os = 'macOS';
+    else if (ua.includes('linux')) os = 'Linux';
+
+    // Order matters: Edge and Opera also report Chrome, Chrome also reports Safari
+    let browser = 'Browser';
+    if (ua.includes('electron/')) browser = 'Desktop App';
+    else if (ua.includes('edg/')) browser = 'Edge';
+    else if (ua.includes('opr/')) browser = 'Opera';
+    else if (ua.includes('firefox/')) browser = 'Firefox';
+    else if (ua.includes('chrome/')) browser = 'Chrome';
+    else if (ua.includes('safari/')) browser = 'Safari';
+
+    return `${browser} on ${os}`;
+  }
+
+  /**
+   * Convert to plain object for API responses
+   */
+  toObject() {
+    return {
+      id: this.id,
+      tenantId: this.tenantId,
+      userId: this.userId,
+      username: this.username,
+      client: this.client,
+      device: this.device,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      lastIpAddress: this.lastIpAddress,
+      firstSeenAt: this.firstSeenAt,
+      lastSeenAt: this.lastSeenAt,
+      expiresAt: this.expiresAt,
+      status: this.getStatus(),
+      revokedAt: this.revokedAt,
+      revokedReason: this.revokedReason,
+      revokedBy: this.revokedBy
+    };
+  }
+
+  /**
+   * Get session status
+   * A session expires when its latest refresh token expires unused
+   */
+  getStatus() {
+    if (this.revokedAt) return SESSION_STATUS.REVOKED;
+    if (this.expiresAt && new Date(this.expiresAt) <= new Date()) return SESSION_STATUS.EXPIRED;
+    return SESSION_STATUS.ACTIVE;
+  }
+
+  /**
+   * Check if session can still be used
+   */
+  isActive() {
+    return this.getStatus() === SESSION_STATUS.ACTIVE;
+  }
+}
+
+export default SessionModel;
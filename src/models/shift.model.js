@@ -0,0 +1,102 @@
+/**
+ * Shift Model
+ * A work shift: when it starts and ends, how late a clock-in can be before it
+ * counts as late, the unpaid break, and the hours that make a full day.
+ * Shifts whose end is not after their start run past midnight.
+ */
+
+import { parseTimeOfDay, getShiftLengthMinutes } from '../utils/shift.util.js';
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_GRACE_MINUTES = 240;
+
+export class ShiftModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.name = (data.name || '').trim();
+    this.startTime = data.startTime;                 // HH:MM
+    this.endTime = data.endTime;                     // HH:MM
+    this.graceMinutes = data.graceMinutes ?? 0;      // Clock-ins within this are not late
+    this.breakMinutes = data.breakMinutes ?? 0;      // Not counted as worked
+    this.minimumHours = data.minimumHours ?? 0;      // Less than this is a half day
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      name: this.name,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      graceMinutes: this.graceMinutes,
+      breakMinutes: this.breakMinutes,
+      minimumHours: this.minimumHours,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   * Pass the merged shift on update so times, break and minimum hours are
+   * checked against each other.
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate && !data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Shift name must be between 1 and ${MAX_NAME_LENGTH} characters` });
+    }
+
+    const start = TIME_PATTERN.test(data.startTime || '') ? parseTimeOfDay(data.startTime) : null;
+    const end = TIME_PATTERN.test(data.endTime || '') ? parseTimeOfDay(data.endTime) : null;
+
+    if (start === null) {
+      errors.push({ field: 'startTime', message: 'Start time is required (HH:MM)' });
+    }
+    if (end === null) {
+      errors.push({ field: 'endTime', message: 'End time is required (HH:MM)' });
+    }
+    if (start !== null && start === end) {
+      errors.push({ field: 'endTime', message: 'End time must differ from the start time' });
+    }
+
+    const length = start !== null && end !== null && start !== end ? getShiftLengthMinutes(data) : null;
+
+    const graceMinutes = data.graceMinutes ?? 0;
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_GRACE_MINUTES) {
+      errors.push({ field: 'graceMinutes', message: `Grace period must be 0-${MAX_GRACE_MINUTES} minutes` });
+    }
+
+    const breakMinutes = data.breakMinutes ?? 0;
+    if (!Number.isInteger(breakMinutes) || breakMinutes < 0 || (length !== null && breakMinutes >= length)) {
+      errors.push({ field: 'breakMinutes', message: 'Break must be whole minutes, shorter than the shift' });
+    }
+
+    const minimumHours = data.minimumHours ?? 0;
+    if (typeof minimumHours !== 'number' || !Number.isFinite(minimumHours) || minimumHours < 0 ||
+        (length !== null && minimumHours * 60 > length - (Number.isInteger(breakMinutes) ? breakMinutes : 0))) {
+      errors.push({ field: 'minimumHours', message: 'Minimum hours must fit in the shift, less its break' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default ShiftModel;
@@ -0,0 +1,95 @@
+/**
+ * ShiftAssignment Model
+ * Puts a user, or everyone in a team and its sub-teams, on a shift from a
+ * date. Several shifts make a rotating roster: each is worked for
+ * rotationDays in turn (e.g. a week of mornings, then a week of evenings).
+ */
+
+export const SHIFT_ASSIGNEE_TYPE = {
+  USER: 'user',
+  TEAM: 'team'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ROTATION_SHIFTS = 10;
+const MAX_ROTATION_DAYS = 90;
+
+export class ShiftAssignmentModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.assigneeType = data.assigneeType;
+    this.assigneeId = data.assigneeId;         // Username, or team ID
+    this.shiftIds = data.shiftIds || [];       // In rotation order
+    this.rotationDays = data.rotationDays ?? 7;
+    this.startDate = data.startDate;           // Rotation counts from here
+    this.endDate = data.endDate || null;       // Open-ended when null
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      assigneeType: this.assigneeType,
+      assigneeId: this.assigneeId,
+      shiftIds: this.shiftIds,
+      rotationDays: this.rotationDays,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data) {
+    const errors = [];
+    const types = Object.values(SHIFT_ASSIGNEE_TYPE);
+
+    if (!data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+
+    if (!types.includes(data.assigneeType)) {
+      errors.push({ field: 'assigneeType', message: `Assignee type must be one of: ${types.join(', ')}` });
+    }
+
+    if (typeof data.assigneeId !== 'string' || !data.assigneeId.trim()) {
+      errors.push({ field: 'assigneeId', message: 'A user or team is required' });
+    }
+
+    if (!Array.isArray(data.shiftIds) || data.shiftIds.length === 0 ||
+        data.shiftIds.length > MAX_ROTATION_SHIFTS || data.shiftIds.some(id => typeof id !== 'string' || !id)) {
+      errors.push({ field: 'shiftIds', message: `Between 1 and ${MAX_ROTATION_SHIFTS} shifts are required` });
+    }
+
+    const rotationDays = data.rotationDays ?? 7;
+    if (!Number.isInteger(rotationDays) || rotationDays < 1 || rotationDays > MAX_ROTATION_DAYS) {
+      errors.push({ field: 'rotationDays', message: `Rotation must be 1-${MAX_ROTATION_DAYS} days` });
+    }
+
+    if (!data.startDate || !DATE_PATTERN.test(data.startDate)) {
+      errors.push({ field: 'startDate', message: 'Start date is required (YYYY-MM-DD)' });
+    }
+
+    if (data.endDate && (!DATE_PATTERN.test(data.endDate) || data.endDate < data.startDate)) {
+      errors.push({ field: 'endDate', message: 'End date must be a date (YYYY-MM-DD) on or after the start date' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default ShiftAssignmentModel;
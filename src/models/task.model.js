@@ -4,6 +4,8 @@
  */
 
 import { TASK_STATUS, TASK_PRIORITY } from '../utils/constants.js';
+import { isClosedStatus } from '../utils/taskWorkflow.util.js';
+import { MAX_BLOCKERS, MAX_CHECKLIST_ITEMS, MAX_CHECKLIST_TEXT_LENGTH } from '../utils/taskStructure.util.js';
 
 export class TaskModel {
   constructor(data) {
@@ -12,14 +14,22 @@ export class TaskModel {
     this.task = data.task || data.title; // Task description/title
     this.client_name = data.client_name || null;
     this.custom_client = data.custom_client || null;
-    this.assigned_by = data.assigned_by;
+    this.assigned_by = data.assigned_by || data.given_by; // Stored as given_by in Firestore
     this.assigned_to = data.assigned_to;
     this.deadline = data.deadline;
     this.priority = data.priority || TASK_PRIORITY.MEDIUM;
     this.status = data.status || TASK_STATUS.PENDING;
+    this.statusHistory = data.statusHistory || []; // Workflow transitions ({ from, to, by, at, fields })
     this.assignerNotes = data.assignerNotes || null;
     this.assignerPrivateNotes = data.assignerPrivateNotes || null;
     this.completedAt = data.completedAt || null;
+    this.recurringTaskId = data.recurringTaskId || null; // Set when generated from a recurring template
+    this.occurrenceDate = data.occurrenceDate || null;
+    this.parentTaskId = data.parentTaskId || null; // Set on subtasks
+    this.blockedBy = data.blockedBy || []; // IDs of tasks that must be closed first
+    this.checklist = data.checklist || []; // Ordered items ({ id, text, done, doneBy, doneAt })
+    this.estimatedMinutes = data.estimatedMinutes ?? null;
+    this.trackedMinutes = data.trackedMinutes || 0; // Sum of time entries (kept by TimeEntryRepository)
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -35,13 +45,22 @@ export class TaskModel {
       client_name: this.client_name,
       custom_client: this.custom_client,
       assigned_by: this.assigned_by,
+      given_by: this.assigned_by,
       assigned_to: this.assigned_to,
       deadline: this.deadline,
       priority: this.priority,
       status: this.status,
+      statusHistory: this.statusHistory,
       assignerNotes: this.assignerNotes,
       assignerPrivateNotes: this.assignerPrivateNotes,
       completedAt: this.completedAt,
+      recurringTaskId: this.recurringTaskId,
+      occurrenceDate: this.occurrenceDate,
+      parentTaskId: this.parentTaskId,
+      blockedBy: this.blockedBy,
+      checklist: this.checklist,
+      estimatedMinutes: this.estimatedMinutes,
+      trackedMinutes: this.trackedMinutes,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -51,7 +70,7 @@ export class TaskModel {
    * Check if task is overdue
    */
   isOverdue() {
-    if (this.status === TASK_STATUS.DONE) return false;
+    if (isClosedStatus(this.status)) return false;
     if (!this.deadline) return false;
 
     const today = new Date().toISOString().split('T')[0];
@@ -104,8 +123,9 @@ export class TaskModel {
       errors.push({ field: 'priority', message: 'Invalid priority level' });
     }
 
-    // Status validation
-    if (data.status && !Object.values(TASK_STATUS).includes(data.status)) {
+    // Status format validation; whether the organization's workflow has the
+    // status (and allows the move) is checked by TaskService
+    if (data.status && !/^[a-z][a-z0-9_]{1,31}$/.test(data.status)) {
       errors.push({ field: 'status', message: 'Invalid task status' });
     }
 
@@ -114,6 +134,35 @@ export class TaskModel {
       errors.push({ field: 'deadline', message: 'Invalid deadline format (YYYY-MM-DD)' });
     }
 
+    // Structure format validation; whether the parent and blockers exist and
+    // form no cycle is checked by TaskStructureService
+    if (data.parentTaskId !== undefined && data.parentTaskId !== null && typeof data.parentTaskId !== 'string') {
+      errors.push({ field: 'parentTaskId', message: 'Parent task ID must be a string' });
+    }
+
+    if (data.blockedBy !== undefined) {
+      if (!Array.isArray(data.blockedBy) || data.blockedBy.some(id => typeof id !== 'string' || !id)) {
+        errors.push({ field: 'blockedBy', message: 'Blocked by must be a list of task IDs' });
+      } else if (data.blockedBy.length > MAX_BLOCKERS) {
+        errors.push({ field: 'blockedBy', message: `A task can be blocked by at most ${MAX_BLOCKERS} tasks` });
+      }
+    }
+
+    if (data.checklist !== undefined) {
+      if (!Array.isArray(data.checklist)) {
+        errors.push({ field: 'checklist', message: 'Checklist must be a list' });
+      } else if (data.checklist.length > MAX_CHECKLIST_ITEMS) {
+        errors.push({ field: 'checklist', message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` });
+      } else if (data.checklist.some(item => !item?.text?.trim?.() || item.text.length > MAX_CHECKLIST_TEXT_LENGTH)) {
+        errors.push({ field: 'checklist', message: `Checklist items need text of at most ${MAX_CHECKLIST_TEXT_LENGTH} characters` });
+      }
+    }
+
+    if (data.estimatedMinutes !== undefined && data.estimatedMinutes !== null &&
+        (!Number.isInteger(data.estimatedMinutes) || data.estimatedMinutes < 0)) {
+      errors.push({ field: 'estimatedMinutes', message: 'Estimate must be a whole number of minutes' });
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,67 @@
+/**
+ * Team Model
+ * A team or department. Teams nest through parentId; a department is simply a
+ * team with sub-teams. Users belong to at most one team (user.teamId).
+ */
+
+export class TeamModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.parentId = data.parentId || null;   // Team this one is part of (null for top level)
+    this.managerId = data.managerId || null; // User who manages the team and everything under it
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      name: this.name,
+      description: this.description,
+      parentId: this.parentId,
+      managerId: this.managerId,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate) {
+      if (!data.tenantId) {
+        errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+      }
+      if (!data.name || !data.name.trim()) {
+        errors.push({ field: 'name', message: 'Team name is required' });
+      }
+    }
+
+    if (data.name !== undefined && (!data.name.trim() || data.name.trim().length > 60)) {
+      errors.push({ field: 'name', message: 'Team name must be between 1 and 60 characters' });
+    }
+
+    if (data.description && data.description.length > 200) {
+      errors.push({ field: 'description', message: 'Description must be at most 200 characters' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default TeamModel;
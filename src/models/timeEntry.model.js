@@ -0,0 +1,93 @@
+/**
+ * TimeEntry Model
+ * Time a user spent on a task, either from a timer or entered by hand.
+ * Entries roll up into the task's trackedMinutes and pre-fill the daily log.
+ */
+
+export const TIME_ENTRY_SOURCE = {
+  TIMER: 'timer',
+  MANUAL: 'manual'
+};
+
+export const TIMER_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused'
+};
+
+// A single entry covers at most one working day
+export const MAX_ENTRY_MINUTES = 12 * 60;
+
+export class TimeEntryModel {
+  constructor(data) {
+    this.id = data.id || null;
+    this.tenantId = data.tenantId;
+    this.username = data.username;
+    this.taskId = data.taskId;
+    this.taskName = data.taskName || '';
+    this.date = data.date; // Day the work was done (YYYY-MM-DD, India time)
+    this.minutes = data.minutes;
+    this.source = data.source || TIME_ENTRY_SOURCE.MANUAL;
+    this.startedAt = data.startedAt || null; // Timer entries only
+    this.endedAt = data.endedAt || null;
+    this.stopReason = data.stopReason || null; // 'user' or 'clock_out'
+    this.note = data.note || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      ...(this.id && { id: this.id }),
+      tenantId: this.tenantId,
+      username: this.username,
+      taskId: this.taskId,
+      taskName: this.taskName,
+      date: this.date,
+      minutes: this.minutes,
+      source: this.source,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      stopReason: this.stopReason,
+      note: this.note,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Validation rules
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!data.tenantId) {
+      errors.push({ field: 'tenantId', message: 'Tenant ID is required' });
+    }
+    if (!data.username) {
+      errors.push({ field: 'username', message: 'Username is required' });
+    }
+    if (!data.taskId) {
+      errors.push({ field: 'taskId', message: 'Task ID is required' });
+    }
+
+    if (!data.date || !/^\d{4}-\d{2}-\d{2}$/.test(data.date)) {
+      errors.push({ field: 'date', message: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    if (!Number.isInteger(data.minutes) || data.minutes < 1 || data.minutes > MAX_ENTRY_MINUTES) {
+      errors.push({ field: 'minutes', message: `Minutes must be a whole number from 1 to ${MAX_ENTRY_MINUTES}` });
+    }
+
+    if (data.note && data.note.length > 500) {
+      errors.push({ field: 'note', message: 'Note must be at most 500 characters' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default TimeEntryModel;
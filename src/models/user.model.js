@@ -4,6 +4,7 @@
  */
 
 import { USER_ROLES } from '../utils/constants.js';
+import { isValidRoleKey } from '../utils/permissions.util.js';
 
 export class UserModel {
   constructor(data) {
@@ -12,8 +13,13 @@ export class UserModel {
     this.username = data.username;
     this.email = data.email;
     this.password = data.password; // Hashed
+    this.passwordChangedAt = data.passwordChangedAt || null;
+    this.mustChangePassword = data.mustChangePassword === true;
     this.fullName = data.fullName || null;
     this.role = data.role || USER_ROLES.USER;
+    this.managerId = data.managerId || null; // User this one reports to (team-scoped permissions)
+    this.teamId = data.teamId || null;       // Team or department the user belongs to
+    this.location = data.location || null;   // Office or region (regional holidays follow it)
     this.phone = data.phone || null;
     this.department = data.department || null;
     this.jobTitle = data.jobTitle || null;
@@ -34,8 +40,13 @@ export class UserModel {
       username: this.username,
       email: this.email,
       password: this.password,
+      passwordChangedAt: this.passwordChangedAt,
+      mustChangePassword: this.mustChangePassword,
       fullName: this.fullName,
       role: this.role,
+      managerId: this.managerId,
+      teamId: this.teamId,
+      location: this.location,
       phone: this.phone,
       department: this.department,
       jobTitle: this.jobTitle,
@@ -85,8 +96,13 @@ export class UserModel {
       errors.push({ field: 'email', message: 'Invalid email format' });
     }
 
-    // Role validation
-    if (data.role && !Object.values(USER_ROLES).includes(data.role)) {
+    if (data.location !== undefined && data.location !== null &&
+        (typeof data.location !== 'string' || data.location.length > 100)) {
+      errors.push({ field: 'location', message: 'Location must be at most 100 characters' });
+    }
+
+    // Role validation (whether the organization has the role is checked by UserService)
+    if (data.role && !isValidRoleKey(data.role) && !Object.values(USER_ROLES).includes(data.role)) {
       errors.push({ field: 'role', message: 'Invalid role' });
     }
 
@@ -0,0 +1,67 @@
+/**
+ * WhatsApp Delivery Model
+ * One message (or a message not sent, and why) in an organization's WhatsApp
+ * delivery log.
+ */
+
+export const DELIVERY_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  HELD: 'held' // Sent when the recipient's quiet hours end, logged again then
+};
+
+// Why a recipient got nothing, or nothing yet
+export const SKIP_REASONS = {
+  NOT_CONFIGURED: 'api_not_configured',
+  NOT_OPTED_IN: 'not_opted_in',
+  NO_PHONE: 'no_phone',
+  TURNED_OFF: 'turned_off', // WhatsApp is off for the event in the user's notification preferences
+  QUIET_HOURS: 'quiet_hours'
+};
+
+// Test messages sent from the settings are logged as this event
+export const TEST_EVENT = 'test';
+
+export class WhatsAppDeliveryModel {
+  constructor(data) {
+    this.tenantId = data.tenantId;
+    this.event = data.event;
+    this.template = data.template || null;
+    this.language = data.language || null;
+    this.username = data.username || null;       // null for numbers outside the app
+    this.name = data.name || data.username || null;
+    this.phone = data.phone || null;
+    this.body = data.body || '';                 // The text as sent, variables filled in
+    this.status = data.status;
+    this.reason = data.reason || null;
+    this.error = data.error || null;
+    this.messageId = data.messageId || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || this.createdAt;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      event: this.event,
+      template: this.template,
+      language: this.language,
+      username: this.username,
+      name: this.name,
+      phone: this.phone,
+      body: this.body,
+      status: this.status,
+      reason: this.reason,
+      error: this.error,
+      messageId: this.messageId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export default WhatsAppDeliveryModel;
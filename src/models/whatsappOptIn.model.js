@@ -0,0 +1,87 @@
+/**
+ * WhatsApp Opt-in Model
+ * A user's consent to WhatsApp messages and the number they gave for them.
+ * WhatsApp only allows business messages to people who opted in, so users
+ * without an opt-in (or who opted out) are skipped, whatever the settings say.
+ * A number only identifies its user to WhatsApp commands once verified: it is
+ * their profile phone, an admin entered it, or the user sent VERIFY with the
+ * code the app showed them from it.
+ * One document per user: whatsappOptIns/{tenantId}_{username}.
+ */
+
+import { normalizePhone } from '../utils/whatsappTemplate.util.js';
+
+// Where the user gave (or withdrew) consent
+export const OPT_IN_SOURCE = {
+  APP: 'app',
+  ADMIN: 'admin'
+};
+
+export class WhatsAppOptInModel {
+  constructor(data) {
+    this.tenantId = data.tenantId;
+    this.username = data.username;
+    this.phone = data.phone || null;
+    this.optedIn = data.optedIn === true;
+    this.source = data.source || OPT_IN_SOURCE.APP;
+    this.optedInAt = data.optedInAt || null;
+    this.optedOutAt = data.optedOutAt || null;
+    this.phoneVerifiedAt = data.phoneVerifiedAt || null;
+    // SHA-256 of the pending VERIFY code; the code itself is only shown once
+    this.verificationCodeHash = data.verificationCodeHash || null;
+    this.verificationExpiresAt = data.verificationExpiresAt || null;
+    this.updatedBy = data.updatedBy || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      username: this.username,
+      phone: this.phone,
+      optedIn: this.optedIn,
+      source: this.source,
+      optedInAt: this.optedInAt,
+      optedOutAt: this.optedOutAt,
+      phoneVerifiedAt: this.phoneVerifiedAt,
+      verificationCodeHash: this.verificationCodeHash,
+      verificationExpiresAt: this.verificationExpiresAt,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to safe object for API response (exclude the code hash)
+   */
+  toSafeObject() {
+    const obj = this.toObject();
+    delete obj.verificationCodeHash;
+    return obj;
+  }
+
+  /**
+   * Validation rules (for what the user sends)
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (typeof data.optedIn !== 'boolean') {
+      errors.push({ field: 'optedIn', message: 'optedIn must be true or false' });
+    }
+
+    if (data.phone !== undefined && data.phone !== null && !normalizePhone(data.phone)) {
+      errors.push({ field: 'phone', message: 'Phone must be in international format (+91xxxxxxxxxx)' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default WhatsAppOptInModel;
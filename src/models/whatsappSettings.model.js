@@ -0,0 +1,227 @@
+/**
+ * WhatsApp Settings Model
+ * An organization's WhatsApp notifications: the message templates it had
+ * approved by WhatsApp, and per event whether it is sent, with which template
+ * and to whom, and whether users may send it commands (see
+ * whatsappCommand.service.js). Stored as whatsapp_settings/{tenantId};
+ * organizations that never saved any get everything off.
+ */
+
+import { extractVariables, normalizePhone } from '../utils/whatsappTemplate.util.js';
+import { NOTIFICATION_EVENTS } from './notificationPreferences.model.js';
+
+export const WHATSAPP_EVENTS = {
+  TASK_ASSIGNED: 'task_assigned',
+  DEADLINE_REMINDER: 'deadline_reminder',
+  LEAVE_APPROVAL: 'leave_approval',
+  WFH_ATTENDANCE: 'wfh_attendance',
+  DAILY_WFH_SUMMARY: 'daily_wfh_summary'
+};
+
+// Variables each event fills in; a template may only use those of its event.
+// name is the recipient's name.
+export const EVENT_VARIABLES = {
+  [WHATSAPP_EVENTS.TASK_ASSIGNED]: ['name', 'task', 'assignedBy', 'deadline', 'priority', 'link'],
+  [WHATSAPP_EVENTS.DEADLINE_REMINDER]: ['name', 'task', 'deadline', 'dueIn', 'link'],
+  [WHATSAPP_EVENTS.LEAVE_APPROVAL]: ['name', 'employee', 'leaveType', 'startDate', 'endDate', 'status', 'reviewedBy', 'comment'],
+  [WHATSAPP_EVENTS.WFH_ATTENDANCE]: ['name', 'employee', 'action', 'time', 'date', 'status'],
+  [WHATSAPP_EVENTS.DAILY_WFH_SUMMARY]: ['name', 'date', 'count', 'employees']
+};
+
+// Events about one user (the assignee, the applicant), who can be a recipient themselves
+export const SUBJECT_EVENTS = [
+  WHATSAPP_EVENTS.TASK_ASSIGNED,
+  WHATSAPP_EVENTS.DEADLINE_REMINDER,
+  WHATSAPP_EVENTS.LEAVE_APPROVAL
+];
+
+// The notification preference each event answers to: users who turned
+// WhatsApp off for it get nothing. The daily summary has none.
+export const EVENT_PREFERENCES = {
+  [WHATSAPP_EVENTS.TASK_ASSIGNED]: NOTIFICATION_EVENTS.TASK_ASSIGNED,
+  [WHATSAPP_EVENTS.DEADLINE_REMINDER]: NOTIFICATION_EVENTS.DEADLINE_APPROACHING,
+  [WHATSAPP_EVENTS.LEAVE_APPROVAL]: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER,
+  [WHATSAPP_EVENTS.WFH_ATTENDANCE]: NOTIFICATION_EVENTS.ATTENDANCE_REMINDER
+};
+
+// As approved by WhatsApp; only approved templates are sent
+export const TEMPLATE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const DEFAULT_SUMMARY_TIME = '18:00';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// WhatsApp's rules for template names and language codes
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+
+const MAX_TEMPLATES = 50;
+const MAX_TEMPLATE_LENGTH = 1024;
+const MAX_RECIPIENTS = 50;
+const MAX_PHONE_NAME_LENGTH = 80;
+
+const defaultEvent = (event) => ({
+  enabled: false,
+  template: null,
+  recipients: {
+    subject: SUBJECT_EVENTS.includes(event),
+    usernames: [],
+    roles: [],
+    phones: []
+  }
+});
+
+export class WhatsAppSettingsModel {
+  constructor(data = {}) {
+    this.tenantId = data.tenantId;
+    this.templates = (data.templates || []).map(template => ({
+      name: template.name,
+      language: template.language || 'en',
+      body: template.body,
+      variables: extractVariables(template.body),
+      status: template.status || TEMPLATE_STATUS.PENDING
+    }));
+    this.events = Object.fromEntries(
+      Object.values(WHATSAPP_EVENTS).map(event => {
+        const defaults = defaultEvent(event);
+        const stored = data.events?.[event] || {};
+        return [event, {
+          ...defaults,
+          ...stored,
+          recipients: { ...defaults.recipients, ...(stored.recipients || {}) }
+        }];
+      })
+    );
+    this.dailySummaryTime = data.dailySummaryTime || DEFAULT_SUMMARY_TIME;
+    this.commandsEnabled = data.commandsEnabled === true;
+    this.lastDailySummaryDate = data.lastDailySummaryDate || null;
+    this.updatedBy = data.updatedBy || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Convert to plain object for database storage
+   */
+  toObject() {
+    return {
+      tenantId: this.tenantId,
+      templates: this.templates,
+      events: this.events,
+      dailySummaryTime: this.dailySummaryTime,
+      commandsEnabled: this.commandsEnabled,
+      lastDailySummaryDate: this.lastDailySummaryDate,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Validation rules
+   * Pass the merged settings: events are checked against its templates.
+   */
+  static validate(data) {
+    const errors = [];
+    const templates = Array.isArray(data.templates) ? data.templates : [];
+
+    if (!Array.isArray(data.templates) || data.templates.length > MAX_TEMPLATES) {
+      errors.push({ field: 'templates', message: `Templates must be a list of at most ${MAX_TEMPLATES}` });
+    }
+
+    templates.forEach((template, index) => {
+      const field = `templates.${index}`;
+
+      if (!TEMPLATE_NAME_PATTERN.test(template?.name || '')) {
+        errors.push({ field: `${field}.name`, message: 'Template name must be lowercase letters, digits and underscores, as registered with WhatsApp' });
+      } else if (templates.findIndex(other => other?.name === template.name) !== index) {
+        errors.push({ field: `${field}.name`, message: `Template ${template.name} is defined twice` });
+      }
+      if (template?.language !== undefined && !LANGUAGE_PATTERN.test(template.language)) {
+        errors.push({ field: `${field}.language`, message: 'Language must be a WhatsApp language code such as en or en_US' });
+      }
+      if (typeof template?.body !== 'string' || !template.body.trim() || template.body.length > MAX_TEMPLATE_LENGTH) {
+        errors.push({ field: `${field}.body`, message: `Template text must be between 1 and ${MAX_TEMPLATE_LENGTH} characters` });
+      }
+      if (template?.status !== undefined && !Object.values(TEMPLATE_STATUS).includes(template.status)) {
+        errors.push({ field: `${field}.status`, message: `Status must be one of: ${Object.values(TEMPLATE_STATUS).join(', ')}` });
+      }
+    });
+
+    const events = Object.values(WHATSAPP_EVENTS);
+    Object.entries(data.events || {}).forEach(([event, config]) => {
+      const field = `events.${event}`;
+
+      if (!events.includes(event)) {
+        errors.push({ field, message: `Event must be one of: ${events.join(', ')}` });
+        return;
+      }
+      if (typeof config?.enabled !== 'boolean') {
+        errors.push({ field: `${field}.enabled`, message: 'Must be true or false' });
+      }
+
+      const template = config?.template ? templates.find(candidate => candidate?.name === config.template) : null;
+      if (config?.template && !template) {
+        errors.push({ field: `${field}.template`, message: `Unknown template: ${config.template}` });
+      } else if (template) {
+        const unknown = extractVariables(template.body).filter(name => !EVENT_VARIABLES[event].includes(name));
+        if (unknown.length > 0) {
+          errors.push({
+            field: `${field}.template`,
+            message: `Template ${template.name} uses ${unknown.join(', ')}; ${event} fills in ${EVENT_VARIABLES[event].join(', ')}`
+          });
+        }
+      }
+
+      const { subject, usernames, roles, phones } = config?.recipients || {};
+      if (typeof subject !== 'boolean' || (subject && !SUBJECT_EVENTS.includes(event))) {
+        errors.push({ field: `${field}.recipients.subject`, message: `Must be true or false (only true for ${SUBJECT_EVENTS.join(', ')})` });
+      }
+      [['usernames', usernames], ['roles', roles]].forEach(([key, list]) => {
+        if (!Array.isArray(list) || list.length > MAX_RECIPIENTS || list.some(value => typeof value !== 'string' || !value.trim())) {
+          errors.push({ field: `${field}.recipients.${key}`, message: `Must be a list of at most ${MAX_RECIPIENTS} names` });
+        }
+      });
+      if (!Array.isArray(phones) || phones.length > MAX_RECIPIENTS) {
+        errors.push({ field: `${field}.recipients.phones`, message: `Must be a list of at most ${MAX_RECIPIENTS} numbers` });
+      } else {
+        phones.forEach((entry, index) => {
+          if (!normalizePhone(entry?.phone)) {
+            errors.push({ field: `${field}.recipients.phones.${index}.phone`, message: 'Phone must be in international format (+91xxxxxxxxxx)' });
+          }
+          if (typeof entry?.name !== 'string' || !entry.name.trim() || entry.name.length > MAX_PHONE_NAME_LENGTH) {
+            errors.push({ field: `${field}.recipients.phones.${index}.name`, message: `Name must be between 1 and ${MAX_PHONE_NAME_LENGTH} characters` });
+          }
+        });
+      }
+
+      if (config?.enabled) {
+        if (!template) {
+          errors.push({ field: `${field}.template`, message: 'Choose a template to turn the event on' });
+        } else if ((template.status || TEMPLATE_STATUS.PENDING) !== TEMPLATE_STATUS.APPROVED) {
+          errors.push({ field: `${field}.template`, message: `Template ${template.name} is not approved by WhatsApp yet` });
+        }
+        const hasRecipients = subject || [usernames, roles, phones].some(list => Array.isArray(list) && list.length > 0);
+        if (!hasRecipients) {
+          errors.push({ field: `${field}.recipients`, message: 'Add at least one recipient to turn the event on' });
+        }
+      }
+    });
+
+    if (!TIME_PATTERN.test(data.dailySummaryTime || '')) {
+      errors.push({ field: 'dailySummaryTime', message: 'Daily summary time must be HH:MM' });
+    }
+
+    if (data.commandsEnabled !== undefined && typeof data.commandsEnabled !== 'boolean') {
+      errors.push({ field: 'commandsEnabled', message: 'commandsEnabled must be true or false' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default WhatsAppSettingsModel;
@@ -9,6 +9,7 @@ import {
   loadAttendanceRecords,
   markAttendance,
   getTodayAttendance,
+  getClockOutAttendance,
   getAttendanceStats,
   updateAttendanceRecord,
   deleteAttendanceRecord,
@@ -94,6 +95,22 @@ export class AttendanceRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Get the record a clock-out now closes: today's, or the day before's while
+   * its overnight shift is still open
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Attendance record
+   */
+  async getClockOutRecord(username, tenantId) {
+    try {
+      const record = await getClockOutAttendance(username, tenantId);
+      return record ? this.applyFieldMappings(record) : null;
+    } catch (error) {
+      this.handleError(error, 'get attendance to clock out');
+    }
+  }
+
   /**
    * Mark attendance (clock in)
    * @param {Object} attendanceData - Attendance data
@@ -604,37 +621,6 @@ export class AttendanceRepository extends BaseRepository {
     }
   }
 
-  /**
-   * Create holiday record
-   * @param {Object} holidayData - Holiday data
-   * @returns {Promise<Object>} Created holiday record
-   */
-  async createHoliday(holidayData) {
-    try {
-      const holidayRef = adminDb
-        .collection('holidays')
-        .doc(`${holidayData.tenantId}_${holidayData.date}`);
-
-      const timestamp = admin.firestore.FieldValue.serverTimestamp();
-
-      const data = {
-        ...holidayData,
-        createdAt: timestamp
-      };
-
-      await holidayRef.set(data);
-
-      // Return the created document
-      const created = await holidayRef.get();
-      return {
-        id: created.id,
-        ...created.data()
-      };
-    } catch (error) {
-      this.handleError(error, 'create holiday');
-    }
-  }
-
   /**
    * Get attendance summary for a specific date
    * @param {string} tenantId - Organization ID
@@ -778,6 +764,143 @@ export class AttendanceRepository extends BaseRepository {
       this.handleError(error, 'bulk date update');
     }
   }
+
+  /**
+   * Find a user's attendance record for a date (whatever its document ID)
+   */
+  async findRecordForDate(username, tenantId, date) {
+    const snapshot = await adminDb
+      .collection('attendance')
+      .where('tenantId', '==', tenantId)
+      .where('username', '==', username)
+      .where('date', '==', date)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  /**
+   * Find every attendance record of an organization for a date
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Attendance records
+   */
+  async findByDate(tenantId, date) {
+    try {
+      const snapshot = await adminDb
+        .collection('attendance')
+        .where('tenantId', '==', tenantId)
+        .where('date', '==', date)
+        .get();
+
+      return snapshot.docs.map(doc => this.applyFieldMappings(this.docToObject(doc)));
+    } catch (error) {
+      this.handleError(error, 'find attendance by date');
+    }
+  }
+
+  /**
+   * Record approved leave on each of its dates
+   * Existing records (e.g. an auto-absent, or a clock-in on a half day) keep
+   * their times and get the leave status; other dates get a new record.
+   * @param {Object} request - Approved leave request
+   * @param {string} status - ATTENDANCE_STATUS.LEAVE or HALF_DAY
+   * @param {string} approvedBy - Reviewer
+   * @returns {Promise<number>} Records written
+   */
+  async applyLeave(request, status, approvedBy) {
+    try {
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+      const leave = {
+        status,
+        leaveType: request.type,
+        leaveRequestId: request.id,
+        notes: `${request.halfDay ? 'Half-day ' : ''}${request.type} leave`,
+        updatedBy: approvedBy,
+        updatedAt: timestamp
+      };
+
+      for (const date of request.dates) {
+        const existing = await this.findRecordForDate(request.username, request.tenantId, date);
+
+        if (existing) {
+          await existing.ref.update(leave);
+        } else {
+          await adminDb
+            .collection('attendance')
+            .doc(`${request.username}_${date}`)
+            .set({
+              tenantId: request.tenantId,
+              username: request.username,
+              date,
+              clockIn: null,
+              clockOut: null,
+              location: null,
+              ...leave,
+              createdAt: timestamp
+            });
+        }
+      }
+
+      return request.dates.length;
+    } catch (error) {
+      this.handleError(error, 'apply leave to attendance');
+    }
+  }
+
+  /**
+   * Undo applyLeave for a cancelled request
+   * Records that only held the leave are deleted; records with a clock-in
+   * go back to present.
+   * @param {Object} request - Cancelled leave request
+   * @returns {Promise<number>} Records changed
+   */
+  async removeLeave(request) {
+    try {
+      let changed = 0;
+
+      for (const date of request.dates) {
+        const existing = await this.findRecordForDate(request.username, request.tenantId, date);
+        if (!existing || existing.get('leaveRequestId') !== request.id) continue;
+
+        if (existing.get('checkIn') || existing.get('clockIn')) {
+          await existing.ref.update({
+            status: 'present',
+            leaveType: null,
+            leaveRequestId: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        } else {
+          await existing.ref.delete();
+        }
+        changed++;
+      }
+
+      return changed;
+    } catch (error) {
+      this.handleError(error, 'remove leave from attendance');
+    }
+  }
+
+  /**
+   * Patch a record and add an entry to its revision history
+   * @param {string} attendanceId - Record ID
+   * @param {Object} changes - Fields to change
+   * @param {Object} revision - { revisedAt, revisedBy, regularizationRequestId, reason, before, after }
+   */
+  async applyRevision(attendanceId, changes, revision) {
+    try {
+      await adminDb.collection('attendance').doc(attendanceId).update({
+        ...changes,
+        revisions: admin.firestore.FieldValue.arrayUnion(revision),
+        updatedBy: revision.revisedBy,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      this.handleError(error, 'revise attendance record');
+    }
+  }
 }
 
 export default AttendanceRepository;
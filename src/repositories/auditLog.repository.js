@@ -0,0 +1,159 @@
+/**
+ * Audit Log Repository
+ * Handles database operations for the append-only audit log
+ *
+ * Entries are keyed by `${tenantId}_${sequence}` (zero-padded) and are only
+ * ever created, never updated or deleted. The `auditLogHeads` document of an
+ * organization holds the sequence and hash of its latest entry, so appends
+ * run in a transaction and the chain stays in order.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+
+const HEADS_COLLECTION = 'auditLogHeads';
+
+export class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super('auditLogs');
+  }
+
+  /**
+   * Get the audit logs collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Document ID of an entry
+   */
+  getDocId(tenantId, sequence) {
+    return `${tenantId}_${String(sequence).padStart(12, '0')}`;
+  }
+
+  /**
+   * Get the latest sequence and hash of an organization's chain
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} { sequence, lastHash } or null when empty
+   */
+  async getHead(tenantId) {
+    try {
+      const doc = await adminDb.collection(HEADS_COLLECTION).doc(tenantId).get();
+      return this.docToObject(doc);
+    } catch (error) {
+      this.handleError(error, 'get audit log head');
+    }
+  }
+
+  /**
+   * Append an entry to the end of an organization's chain
+   * @param {string} tenantId - Organization ID
+   * @param {Function} buildEntry - ({ sequence, prevHash }) => entry with its hash
+   * @returns {Promise<Object>} Stored entry
+   */
+  async append(tenantId, buildEntry) {
+    try {
+      const headRef = adminDb.collection(HEADS_COLLECTION).doc(tenantId);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        const head = await transaction.get(headRef);
+        const sequence = (head.exists ? head.data().sequence : 0) + 1;
+        const prevHash = head.exists ? head.data().lastHash : null;
+
+        const entry = buildEntry({ sequence, prevHash });
+        const entryRef = this.getCollection().doc(this.getDocId(tenantId, sequence));
+
+        // create() fails if the entry exists, so nothing is ever overwritten
+        transaction.create(entryRef, entry);
+        transaction.set(headRef, {
+          tenantId,
+          sequence,
+          lastHash: entry.hash,
+          updatedAt: entry.createdAt
+        });
+
+        return { id: entryRef.id, ...entry };
+      });
+    } catch (error) {
+      this.handleError(error, 'append audit log entry');
+    }
+  }
+
+  /**
+   * Find entries of an organization, newest first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - { actorUsername, resourceType, resourceId, from, to, limit, cursor }
+   * @returns {Promise<Object>} { entries, nextCursor }
+   */
+  async find(tenantId, filters = {}) {
+    try {
+      let query = this.getCollection().where('tenantId', '==', tenantId);
+
+      if (filters.actorUsername) {
+        query = query.where('actorUsername', '==', filters.actorUsername);
+      }
+
+      if (filters.resourceType) {
+        query = query.where('resourceType', '==', filters.resourceType);
+      }
+
+      if (filters.resourceId) {
+        query = query.where('resourceId', '==', filters.resourceId);
+      }
+
+      // createdAt is an ISO string, so it compares in time order
+      if (filters.from) {
+        query = query.where('createdAt', '>=', filters.from);
+      }
+
+      if (filters.to) {
+        query = query.where('createdAt', '<=', filters.to);
+      }
+
+      query = query.orderBy('createdAt', 'desc');
+
+      if (filters.cursor) {
+        const cursorDoc = await this.getCollection().doc(filters.cursor).get();
+        if (cursorDoc.exists && cursorDoc.data().tenantId === tenantId) {
+          query = query.startAfter(cursorDoc);
+        }
+      }
+
+      const limit = filters.limit || 50;
+      const snapshot = await query.limit(limit).get();
+      const entries = snapshot.docs.map(doc => this.docToObject(doc));
+
+      return {
+        entries,
+        nextCursor: entries.length === limit ? entries[entries.length - 1].id : null
+      };
+    } catch (error) {
+      this.handleError(error, 'find audit log entries');
+    }
+  }
+
+  /**
+   * Get entries of an organization in chain order, for verification
+   * @param {string} tenantId - Organization ID
+   * @param {number} afterSequence - Return entries after this sequence
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries ordered by sequence
+   */
+  async findBySequence(tenantId, afterSequence = 0, limit = 500) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('sequence', '>', afterSequence)
+        .orderBy('sequence', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find audit log entries by sequence');
+    }
+  }
+}
+
+export default AuditLogRepository;
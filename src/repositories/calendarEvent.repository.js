@@ -21,7 +21,7 @@ export class CalendarEventRepository extends BaseRepository {
     'focusTime',
     'outOfOffice',
     'workingLocation',
-    'holiday',           // Indian holidays
+    'holiday',           // Organization holidays (holiday calendar)
     'festival',          // Cultural festivals
     'meeting',           // Business meetings
     'deadline',          // Project deadlines
@@ -71,45 +71,18 @@ export class CalendarEventRepository extends BaseRepository {
   static DEFAULT_TIMEZONE = 'Asia/Kolkata';
 
   /**
-   * Indian business working hours (IST)
+   * Indian business working hours (IST); working days come from the
+   * organization's holiday calendar (HolidayService)
    */
   static WORKING_HOURS = {
     start: '09:30',  // 9:30 AM IST
     end: '18:30',    // 6:30 PM IST
-    workingDays: [1, 2, 3, 4, 5, 6], // Monday to Saturday (0 = Sunday)
     lunchBreak: {
       start: '13:00', // 1:00 PM IST
       end: '14:00'    // 2:00 PM IST
     }
   };
 
-  /**
-   * Indian National & Cultural Holidays (2025)
-   * Format: MM-DD
-   */
-  static INDIAN_HOLIDAYS_2025 = {
-    // National Holidays
-    'REPUBLIC_DAY': { date: '01-26', name: 'Republic Day', type: 'national' },
-    'INDEPENDENCE_DAY': { date: '08-15', name: 'Independence Day', type: 'national' },
-    'GANDHI_JAYANTI': { date: '10-02', name: 'Gandhi Jayanti', type: 'national' },
-
-    // Major Festivals (2025)
-    'HOLI': { date: '03-14', name: 'Holi', type: 'festival' },
-    'MAHAVIR_JAYANTI': { date: '04-10', name: 'Mahavir Jayanti', type: 'festival' },
-    'GOOD_FRIDAY': { date: '04-18', name: 'Good Friday', type: 'festival' },
-    'EID_UL_FITR': { date: '04-01', name: 'Eid ul-Fitr', type: 'festival' },
-    'BUDDHA_PURNIMA': { date: '05-12', name: 'Buddha Purnima', type: 'festival' },
-    'EID_UL_ADHA': { date: '06-07', name: 'Eid ul-Adha (Bakrid)', type: 'festival' },
-    'MUHARRAM': { date: '07-06', name: 'Muharram', type: 'festival' },
-    'RAKSHA_BANDHAN': { date: '08-09', name: 'Raksha Bandhan', type: 'festival' },
-    'JANMASHTAMI': { date: '08-16', name: 'Janmashtami', type: 'festival' },
-    'GANESH_CHATURTHI': { date: '08-27', name: 'Ganesh Chaturthi', type: 'festival' },
-    'DUSSEHRA': { date: '10-02', name: 'Dussehra', type: 'festival' },
-    'DIWALI': { date: '10-20', name: 'Diwali', type: 'festival' },
-    'GURU_NANAK_JAYANTI': { date: '11-15', name: 'Guru Nanak Jayanti', type: 'festival' },
-    'CHRISTMAS': { date: '12-25', name: 'Christmas', type: 'festival' }
-  };
-
   /**
    * Get the calendar events collection reference
    */
@@ -633,35 +606,6 @@ export class CalendarEventRepository extends BaseRepository {
     }
   }
 
-  /**
-   * Check if a date is an Indian holiday
-   * @param {Date} date - Date to check
-   * @returns {Object|null} Holiday info or null
-   */
-  static isIndianHoliday(date) {
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const dateStr = `${month}-${day}`;
-
-    for (const [key, holiday] of Object.entries(CalendarEventRepository.INDIAN_HOLIDAYS_2025)) {
-      if (holiday.date === dateStr) {
-        return { key, ...holiday };
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Check if a date is a working day
-   * @param {Date} date - Date to check
-   * @returns {boolean}
-   */
-  static isWorkingDay(date) {
-    const dayOfWeek = date.getDay();
-    return CalendarEventRepository.WORKING_HOURS.workingDays.includes(dayOfWeek);
-  }
-
   /**
    * Check if time is within working hours (IST)
    * @param {Date} date - Date/time to check
@@ -677,56 +621,27 @@ export class CalendarEventRepository extends BaseRepository {
   }
 
   /**
-   * Get all Indian holidays for the current year
-   * @returns {Array} List of holiday events
-   */
-  static getAllIndianHolidays() {
-    const year = new Date().getFullYear();
-    const holidays = [];
-
-    for (const [key, holiday] of Object.entries(CalendarEventRepository.INDIAN_HOLIDAYS_2025)) {
-      const [month, day] = holiday.date.split('-');
-      const holidayDate = new Date(year, parseInt(month) - 1, parseInt(day));
-
-      holidays.push({
-        key,
-        name: holiday.name,
-        type: holiday.type,
-        date: holidayDate,
-        summary: holiday.name,
-        eventType: 'holiday',
-        colorId: holiday.type === 'national' ? '11' : '6', // Red for national, Orange for festivals
-        transparency: 'transparent' // Not busy - it's a holiday!
-      });
-    }
-
-    return holidays;
-  }
-
-  /**
-   * Create Indian holiday events for a client
+   * Create holiday events for a client from the organization's holiday calendar
    * @param {string} clientId - Client ID
    * @param {string} tenantId - Organization ID
    * @param {string} createdBy - Username
+   * @param {Array} holidays - Holidays (see HolidayModel), e.g. from HolidayService.listHolidays
    * @returns {Promise<Array>} Created holiday events
    */
-  async createIndianHolidayEvents(clientId, tenantId, createdBy) {
+  async createHolidayEvents(clientId, tenantId, createdBy, holidays) {
     try {
-      const holidays = CalendarEventRepository.getAllIndianHolidays();
       const createdEvents = [];
 
       for (const holiday of holidays) {
-        const startDate = new Date(holiday.date);
-        startDate.setHours(0, 0, 0, 0);
-
-        const endDate = new Date(holiday.date);
-        endDate.setHours(23, 59, 59, 999);
+        const startDate = new Date(`${holiday.date}T00:00:00+05:30`);
+        const endDate = new Date(`${holiday.date}T23:59:59.999+05:30`);
+        const isNational = holiday.type === 'national';
 
         const eventData = {
           clientId,
-          summary: `${holiday.name} (${holiday.type === 'national' ? 'National Holiday' : 'Festival'})`,
-          description: `Indian ${holiday.type}: ${holiday.name}`,
-          location: 'India',
+          summary: holiday.name,
+          description: `${holiday.type.charAt(0).toUpperCase()}${holiday.type.slice(1)} holiday: ${holiday.name}`,
+          location: holiday.locations?.join(', ') || '',
           start: {
             dateTime: startDate,
             timeZone: CalendarEventRepository.DEFAULT_TIMEZONE
@@ -736,8 +651,8 @@ export class CalendarEventRepository extends BaseRepository {
             timeZone: CalendarEventRepository.DEFAULT_TIMEZONE
           },
           eventType: 'holiday',
-          colorId: holiday.colorId,
-          transparency: 'transparent',
+          colorId: isNational ? '11' : '6', // Red for national, Orange for the rest
+          transparency: 'transparent', // Not busy - it's a holiday!
           visibility: 'public',
           createdBy
         };
@@ -748,26 +663,9 @@ export class CalendarEventRepository extends BaseRepository {
 
       return createdEvents;
     } catch (error) {
-      this.handleError(error, 'create Indian holiday events');
+      this.handleError(error, 'create holiday events');
     }
   }
-
-  /**
-   * Get upcoming Indian holidays
-   * @param {number} months - Number of months ahead to check
-   * @returns {Array} Upcoming holidays
-   */
-  static getUpcomingIndianHolidays(months = 6) {
-    const now = new Date();
-    const futureDate = new Date();
-    futureDate.setMonth(futureDate.getMonth() + months);
-
-    const holidays = CalendarEventRepository.getAllIndianHolidays();
-
-    return holidays.filter(holiday => {
-      return holiday.date >= now && holiday.date <= futureDate;
-    }).sort((a, b) => a.date - b.date);
-  }
 }
 
 export default CalendarEventRepository;
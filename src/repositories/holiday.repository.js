@@ -0,0 +1,142 @@
+/**
+ * Holiday Repository
+ * Handles database operations for organization holidays and holiday calendars
+ *
+ * Holidays are documents in `holidays` (older ones, added by marking a
+ * holiday, have the ID {tenantId}_{date}). Each organization has at most one
+ * calendar document (holidayCalendars/{tenantId}) holding its weekly offs.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+
+const CALENDAR_COLLECTION = 'holidayCalendars';
+
+export class HolidayRepository extends BaseRepository {
+  constructor() {
+    super('holidays');
+  }
+
+  /**
+   * Get the holidays collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Create a holiday
+   * @param {Object} holidayData - Holiday data (see HolidayModel)
+   * @returns {Promise<Object>} Created holiday
+   */
+  async create(holidayData) {
+    try {
+      const { id, ...data } = holidayData;
+      const ref = this.getCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create holiday');
+    }
+  }
+
+  /**
+   * Find a holiday by ID
+   * @param {string} holidayId - Holiday ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Holiday or null
+   */
+  async findById(holidayId, tenantId) {
+    try {
+      const holiday = this.docToObject(await this.getCollection().doc(holidayId).get());
+
+      if (!holiday || (tenantId && holiday.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return holiday;
+    } catch (error) {
+      this.handleError(error, 'find holiday by ID');
+    }
+  }
+
+  /**
+   * Update a holiday
+   * @param {string} holidayId - Holiday ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async update(holidayId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getCollection().doc(holidayId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update holiday');
+    }
+  }
+
+  /**
+   * Delete a holiday
+   * @param {string} holidayId - Holiday ID
+   */
+  async delete(holidayId) {
+    try {
+      await this.getCollection().doc(holidayId).delete();
+      return true;
+    } catch (error) {
+      this.handleError(error, 'delete holiday');
+    }
+  }
+
+  /**
+   * Find an organization's holidays in a date range, earliest first
+   * @param {string} tenantId - Organization ID
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Promise<Array>} Holidays
+   */
+  async findInRange(tenantId, startDate, endDate) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('date', '>=', startDate)
+        .where('date', '<=', endDate)
+        .orderBy('date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find holidays');
+    }
+  }
+
+  /**
+   * Get an organization's stored calendar
+   * @returns {Promise<Object|null>} { tenantId, weeklyOffs, ... } or null when never saved
+   */
+  async getCalendar(tenantId) {
+    try {
+      return this.docToObject(await adminDb.collection(CALENDAR_COLLECTION).doc(tenantId).get());
+    } catch (error) {
+      this.handleError(error, 'find holiday calendar');
+    }
+  }
+
+  /**
+   * Store an organization's calendar
+   * @param {Object} calendar - Calendar (see HolidayCalendarModel)
+   * @returns {Promise<Object>} Stored calendar
+   */
+  async saveCalendar(calendar) {
+    try {
+      const { id, ...data } = calendar;
+      await adminDb.collection(CALENDAR_COLLECTION).doc(data.tenantId).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save holiday calendar');
+    }
+  }
+}
+
+export default HolidayRepository;
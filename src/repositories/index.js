@@ -13,6 +13,27 @@ export { FileRepository } from './file.repository.js';
 export { DailyTaskRepository } from './dailyTask.repository.js';
 export { MeetingRepository } from './meeting.repository.js';
 export { CalendarEventRepository } from './calendarEvent.repository.js';
+export { RecurringTaskRepository } from './recurringTask.repository.js';
+export { RefreshTokenRepository } from './refreshToken.repository.js';
+export { SessionRepository } from './session.repository.js';
+export { MfaRepository } from './mfa.repository.js';
+export { RoleRepository } from './role.repository.js';
+export { TeamRepository } from './team.repository.js';
+export { AuditLogRepository } from './auditLog.repository.js';
+export { TimeEntryRepository } from './timeEntry.repository.js';
+export { NotificationRepository } from './notification.repository.js';
+export { NotificationPreferencesRepository } from './notificationPreferences.repository.js';
+export { LeaveRepository } from './leave.repository.js';
+export { HolidayRepository } from './holiday.repository.js';
+export { ShiftRepository } from './shift.repository.js';
+export { OfficeSiteRepository } from './officeSite.repository.js';
+export { RegularizationRepository } from './regularization.repository.js';
+export { WhatsAppRepository } from './whatsapp.repository.js';
+export {
+  MemoryLoginAttemptStore,
+  FirestoreLoginAttemptStore,
+  createLoginAttemptStore
+} from './loginAttempt.repository.js';
 
 // Export instances for convenience
 import { UserRepository } from './user.repository.js';
@@ -24,6 +45,22 @@ import { FileRepository } from './file.repository.js';
 import { DailyTaskRepository } from './dailyTask.repository.js';
 import { MeetingRepository } from './meeting.repository.js';
 import { CalendarEventRepository } from './calendarEvent.repository.js';
+import { RecurringTaskRepository } from './recurringTask.repository.js';
+import { RefreshTokenRepository } from './refreshToken.repository.js';
+import { SessionRepository } from './session.repository.js';
+import { MfaRepository } from './mfa.repository.js';
+import { RoleRepository } from './role.repository.js';
+import { TeamRepository } from './team.repository.js';
+import { AuditLogRepository } from './auditLog.repository.js';
+import { TimeEntryRepository } from './timeEntry.repository.js';
+import { NotificationRepository } from './notification.repository.js';
+import { NotificationPreferencesRepository } from './notificationPreferences.repository.js';
+import { LeaveRepository } from './leave.repository.js';
+import { HolidayRepository } from './holiday.repository.js';
+import { ShiftRepository } from './shift.repository.js';
+import { OfficeSiteRepository } from './officeSite.repository.js';
+import { RegularizationRepository } from './regularization.repository.js';
+import { WhatsAppRepository } from './whatsapp.repository.js';
 
 export const userRepository = new UserRepository();
 export const attendanceRepository = new AttendanceRepository();
@@ -34,6 +71,22 @@ export const fileRepository = new FileRepository();
 export const dailyTaskRepository = new DailyTaskRepository();
 export const meetingRepository = new MeetingRepository();
 export const calendarEventRepository = new CalendarEventRepository();
+export const recurringTaskRepository = new RecurringTaskRepository();
+export const refreshTokenRepository = new RefreshTokenRepository();
+export const sessionRepository = new SessionRepository();
+export const mfaRepository = new MfaRepository();
+export const roleRepository = new RoleRepository();
+export const teamRepository = new TeamRepository();
+export const auditLogRepository = new AuditLogRepository();
+export const timeEntryRepository = new TimeEntryRepository();
+export const notificationRepository = new NotificationRepository();
+export const notificationPreferencesRepository = new NotificationPreferencesRepository();
+export const leaveRepository = new LeaveRepository();
+export const holidayRepository = new HolidayRepository();
+export const shiftRepository = new ShiftRepository();
+export const officeSiteRepository = new OfficeSiteRepository();
+export const regularizationRepository = new RegularizationRepository();
+export const whatsappRepository = new WhatsAppRepository();
 
 export default {
   userRepository,
@@ -44,5 +97,21 @@ export default {
   fileRepository,
   dailyTaskRepository,
   meetingRepository,
-  calendarEventRepository
+  calendarEventRepository,
+  recurringTaskRepository,
+  refreshTokenRepository,
+  sessionRepository,
+  mfaRepository,
+  roleRepository,
+  teamRepository,
+  auditLogRepository,
+  timeEntryRepository,
+  notificationRepository,
+  notificationPreferencesRepository,
+  leaveRepository,
+  holidayRepository,
+  shiftRepository,
+  officeSiteRepository,
+  regularizationRepository,
+  whatsappRepository
 };
@@ -0,0 +1,225 @@
+/**
+ * Leave Repository
+ * Handles database operations for leave requests, leave policies and the
+ * yearly leave balances
+ *
+ * Each organization has at most one policy document (leavePolicies/{tenantId})
+ * and each user one balance document per year
+ * (leaveBalances/{tenantId}_{username}_{year}). Balances only store what
+ * can't be worked out from the requests: days carried forward and manual
+ * adjustments.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import { LEAVE_STATUS, ACTIVE_LEAVE_STATUSES } from '../models/leaveRequest.model.js';
+
+const POLICY_COLLECTION = 'leavePolicies';
+const BALANCE_COLLECTION = 'leaveBalances';
+
+const yearRange = (year) => [`${year}-01-01`, `${year}-12-31`];
+
+export class LeaveRepository extends BaseRepository {
+  constructor() {
+    super('leaveRequests');
+  }
+
+  /**
+   * Get the leave requests collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  getBalanceRef(tenantId, username, year) {
+    return adminDb.collection(BALANCE_COLLECTION).doc(`${tenantId}_${username}_${year}`);
+  }
+
+  /**
+   * Create a leave request
+   * @param {Object} requestData - Request data (see LeaveRequestModel)
+   * @returns {Promise<Object>} Created request
+   */
+  async create(requestData) {
+    try {
+      const { id, ...data } = requestData;
+      const ref = this.getCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create leave request');
+    }
+  }
+
+  /**
+   * Find a leave request by ID
+   * @param {string} requestId - Request ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Request or null
+   */
+  async findById(requestId, tenantId) {
+    try {
+      const request = this.docToObject(await this.getCollection().doc(requestId).get());
+
+      if (!request || (tenantId && request.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return request;
+    } catch (error) {
+      this.handleError(error, 'find leave request by ID');
+    }
+  }
+
+  /**
+   * Update a leave request
+   * @param {string} requestId - Request ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async update(requestId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getCollection().doc(requestId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update leave request');
+    }
+  }
+
+  /**
+   * Find leave requests, latest start date first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} criteria - { username, status, year }
+   * @returns {Promise<Array>} Requests
+   */
+  async find(tenantId, criteria = {}) {
+    try {
+      let query = this.getCollection().where('tenantId', '==', tenantId);
+
+      if (criteria.username) {
+        query = query.where('username', '==', criteria.username);
+      }
+
+      if (criteria.status) {
+        query = query.where('status', '==', criteria.status);
+      }
+
+      // A year's requests include those that started the year before and run into it
+      const [yearStart, yearEnd] = criteria.year ? yearRange(criteria.year) : [];
+      if (criteria.year) {
+        const [previousYearStart] = yearRange(criteria.year - 1);
+        query = query.where('startDate', '>=', previousYearStart).where('startDate', '<=', yearEnd);
+      }
+
+      const snapshot = await query.orderBy('startDate', 'desc').get();
+      const requests = snapshot.docs.map(doc => this.docToObject(doc));
+
+      return criteria.year
+        ? requests.filter(request => (request.endDate || request.startDate) >= yearStart)
+        : requests;
+    } catch (error) {
+      this.handleError(error, 'find leave requests');
+    }
+  }
+
+  /**
+   * Find a user's pending and approved requests that overlap a date range
+   * @returns {Promise<Array>} Requests
+   */
+  async findActiveOverlapping(tenantId, username, startDate, endDate) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('username', '==', username)
+        .where('startDate', '<=', endDate)
+        .orderBy('startDate', 'desc')
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.docToObject(doc))
+        .filter(request => ACTIVE_LEAVE_STATUSES.includes(request.status) && request.endDate >= startDate);
+    } catch (error) {
+      this.handleError(error, 'find overlapping leave requests');
+    }
+  }
+
+  /**
+   * Find the approved requests that cover a date
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Requests
+   */
+  async findApprovedOn(tenantId, date) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('status', '==', LEAVE_STATUS.APPROVED)
+        .where('startDate', '<=', date)
+        .orderBy('startDate', 'desc')
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.docToObject(doc))
+        .filter(request => request.endDate >= date && (request.dates || []).includes(date));
+    } catch (error) {
+      this.handleError(error, 'find approved leave on date');
+    }
+  }
+
+  /**
+   * Get an organization's stored leave policy
+   * @returns {Promise<Object|null>} Policy or null when never saved
+   */
+  async getPolicy(tenantId) {
+    try {
+      return this.docToObject(await adminDb.collection(POLICY_COLLECTION).doc(tenantId).get());
+    } catch (error) {
+      this.handleError(error, 'find leave policy');
+    }
+  }
+
+  /**
+   * Store an organization's leave policy
+   * @param {Object} policy - Policy (see LeavePolicyModel)
+   * @returns {Promise<Object>} Stored policy
+   */
+  async savePolicy(policy) {
+    try {
+      const { id, ...data } = policy;
+      await adminDb.collection(POLICY_COLLECTION).doc(data.tenantId).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save leave policy');
+    }
+  }
+
+  /**
+   * Get a user's stored balance for a year
+   * @returns {Promise<Object|null>} { tenantId, username, year, carriedForward, adjustments } or null
+   */
+  async getBalance(tenantId, username, year) {
+    try {
+      return this.docToObject(await this.getBalanceRef(tenantId, username, year).get());
+    } catch (error) {
+      this.handleError(error, 'find leave balance');
+    }
+  }
+
+  /**
+   * Store a user's balance for a year
+   * @param {Object} balance - { tenantId, username, year, carriedForward, adjustments }
+   * @returns {Promise<Object>} Stored balance
+   */
+  async saveBalance(balance) {
+    try {
+      const { id, ...data } = balance;
+      await this.getBalanceRef(data.tenantId, data.username, data.year).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save leave balance');
+    }
+  }
+}
+
+export default LeaveRepository;
@@ -0,0 +1,174 @@
+/**
+ * Login Attempt Stores
+ * Pluggable persistence for brute-force counters used by LoginAttemptService
+ *
+ * A store keeps one record per key ({ failures: [ms], lockedUntil, lockCount, ... })
+ * and implements:
+ *   get(key)              -> record | null
+ *   update(key, mutator)  -> atomically replaces the record with mutator(current);
+ *                            a null result deletes it
+ *   delete(key)
+ *
+ * The in-memory store suits local development and single-process servers. On
+ * serverless deployments every instance has its own memory, so production uses
+ * the Firestore store.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+export const LOGIN_ATTEMPT_STORE = {
+  MEMORY: 'memory',
+  FIRESTORE: 'firestore'
+};
+
+/**
+ * In-memory store (per process)
+ */
+export class MemoryLoginAttemptStore {
+  constructor() {
+    // Next.js bundles each API route separately; share one map per process so
+    // an unlock from the admin route is seen by the login route
+    if (!globalThis.__loginAttemptRecords) {
+      globalThis.__loginAttemptRecords = new Map();
+    }
+    this.records = globalThis.__loginAttemptRecords;
+  }
+
+  async get(key) {
+    const record = this.records.get(key) || null;
+
+    // Drop records past their expiry so the map cannot grow without bound
+    if (record && record.expiresAt && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return record;
+  }
+
+  async update(key, mutator) {
+    const next = mutator(await this.get(key));
+
+    if (next) {
+      this.records.set(key, next);
+    } else {
+      this.records.delete(key);
+    }
+
+    return next;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Firestore store (shared across instances)
+ * Documents carry an `expiresAt` timestamp suitable for a Firestore TTL policy.
+ */
+export class FirestoreLoginAttemptStore extends BaseRepository {
+  constructor() {
+    super('login_attempts');
+  }
+
+  /**
+   * Get the login attempts collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Keys contain usernames and IPs; encode them into valid document IDs
+   */
+  docRef(key) {
+    return this.getCollection().doc(encodeURIComponent(key));
+  }
+
+  /**
+   * Convert a stored document back into a plain record
+   */
+  toRecord(doc) {
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    return {
+      ...data,
+      expiresAt: data.expiresAt ? data.expiresAt.toMillis() : null
+    };
+  }
+
+  async get(key) {
+    try {
+      const record = this.toRecord(await this.docRef(key).get());
+
+      if (record && record.expiresAt && record.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      return record;
+    } catch (error) {
+      this.handleError(error, 'get login attempts');
+    }
+  }
+
+  async update(key, mutator) {
+    try {
+      const ref = this.docRef(key);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        let current = this.toRecord(await transaction.get(ref));
+
+        if (current && current.expiresAt && current.expiresAt <= Date.now()) {
+          current = null;
+        }
+
+        const next = mutator(current);
+
+        if (next) {
+          transaction.set(ref, {
+            ...next,
+            key,
+            expiresAt: next.expiresAt ? admin.firestore.Timestamp.fromMillis(next.expiresAt) : null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        } else {
+          transaction.delete(ref);
+        }
+
+        return next;
+      });
+    } catch (error) {
+      this.handleError(error, 'update login attempts');
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.docRef(key).delete();
+    } catch (error) {
+      this.handleError(error, 'delete login attempts');
+    }
+  }
+}
+
+/**
+ * Create the configured store
+ * LOGIN_ATTEMPT_STORE=memory|firestore; defaults to Firestore in production, memory otherwise
+ * @param {string} type - Store type
+ * @returns {MemoryLoginAttemptStore|FirestoreLoginAttemptStore}
+ */
+export const createLoginAttemptStore = (type = process.env.LOGIN_ATTEMPT_STORE) => {
+  const storeType = type || (process.env.NODE_ENV === 'production'
+    ? LOGIN_ATTEMPT_STORE.FIRESTORE
+    : LOGIN_ATTEMPT_STORE.MEMORY);
+
+  return storeType === LOGIN_ATTEMPT_STORE.FIRESTORE
+    ? new FirestoreLoginAttemptStore()
+    : new MemoryLoginAttemptStore();
+};
+
+export default createLoginAttemptStore;
@@ -0,0 +1,181 @@
+/**
+ * MFA Repository
+ * Handles database operations for two-factor authentication enrollments
+ * Enrollment documents are keyed by user ID and kept out of the users
+ * collection so secrets never appear in user listings
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+export class MfaRepository extends BaseRepository {
+  constructor() {
+    super('user_mfa');
+  }
+
+  /**
+   * Get the MFA collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Find the enrollment of a user
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Enrollment or null
+   */
+  async findByUserId(userId, tenantId) {
+    try {
+      const doc = await this.getCollection().doc(userId).get();
+      const enrollment = this.docToObject(doc);
+
+      // Multi-tenancy: Never return another organization's enrollment
+      if (!enrollment || enrollment.tenantId !== tenantId) {
+        return null;
+      }
+
+      return enrollment;
+    } catch (error) {
+      this.handleError(error, 'find MFA enrollment');
+    }
+  }
+
+  /**
+   * Store a secret that is waiting for its first code
+   * Replaces any earlier unconfirmed secret; an active enrollment is untouched
+   * @param {string} userId - User ID
+   * @param {Object} data - { username, tenantId, pendingSecret }
+   */
+  async savePendingSecret(userId, { username, tenantId, pendingSecret }) {
+    try {
+      await this.getCollection().doc(userId).set({
+        userId,
+        username,
+        tenantId,
+        pendingSecret,
+        pendingCreatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    } catch (error) {
+      this.handleError(error, 'save pending MFA secret');
+    }
+  }
+
+  /**
+   * Activate an enrollment
+   * @param {string} userId - User ID
+   * @param {Object} data - { secret, recoveryCodeHashes, lastUsedStep }
+   */
+  async enable(userId, { secret, recoveryCodeHashes, lastUsedStep }) {
+    try {
+      await this.getCollection().doc(userId).update({
+        enabled: true,
+        secret,
+        recoveryCodeHashes,
+        lastUsedStep,
+        pendingSecret: null,
+        pendingCreatedAt: null,
+        enabledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      this.handleError(error, 'enable MFA');
+    }
+  }
+
+  /**
+   * Replace the recovery codes of an enrollment
+   * @param {string} userId - User ID
+   * @param {Array<string>} recoveryCodeHashes - Hashed recovery codes
+   */
+  async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+    try {
+      await this.getCollection().doc(userId).update({
+        recoveryCodeHashes,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      this.handleError(error, 'replace MFA recovery codes');
+    }
+  }
+
+  /**
+   * Record use of a TOTP time step
+   * A code is valid for several steps, so remembering the last one used stops
+   * the same code from being replayed.
+   * @param {string} userId - User ID
+   * @param {number} step - Time step the code matched
+   * @returns {Promise<boolean>} False when the step (or a later one) was already used
+   */
+  async consumeTotpStep(userId, step) {
+    try {
+      const ref = this.getCollection().doc(userId);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (!doc.exists || (doc.data().lastUsedStep ?? -1) >= step) {
+          return false;
+        }
+
+        transaction.update(ref, {
+          lastUsedStep: step,
+          lastUsedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return true;
+      });
+    } catch (error) {
+      this.handleError(error, 'consume MFA code');
+    }
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {string} userId - User ID
+   * @param {string} codeHash - Hash of the code entered
+   * @returns {Promise<number|null>} Codes left, or null when the code is not valid
+   */
+  async consumeRecoveryCode(userId, codeHash) {
+    try {
+      const ref = this.getCollection().doc(userId);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const hashes = doc.exists ? (doc.data().recoveryCodeHashes || []) : [];
+
+        if (!hashes.includes(codeHash)) {
+          return null;
+        }
+
+        const remaining = hashes.filter(hash => hash !== codeHash);
+
+        transaction.update(ref, {
+          recoveryCodeHashes: remaining,
+          lastUsedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return remaining.length;
+      });
+    } catch (error) {
+      this.handleError(error, 'consume MFA recovery code');
+    }
+  }
+
+  /**
+   * Remove an enrollment
+   * @param {string} userId - User ID
+   */
+  async delete(userId) {
+    try {
+      await this.getCollection().doc(userId).delete();
+    } catch (error) {
+      this.handleError(error, 'delete MFA enrollment');
+    }
+  }
+}
+
+export default MfaRepository;
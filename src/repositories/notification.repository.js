@@ -0,0 +1,278 @@
+/**
+ * Notification Repository
+ * Handles database operations for users' notification inboxes
+ *
+ * Inbox pages are ordered newest first by createdAt, with ties broken by
+ * document ID, so a cursor always resumes at the same place. The composite
+ * indexes for every filter combination are in firestore.indexes.json.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import { FieldPath } from 'firebase-admin/firestore';
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+export class NotificationRepository extends BaseRepository {
+  constructor() {
+    super('notifications');
+  }
+
+  /**
+   * Get the notifications collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Query for one user's inbox
+   */
+  inboxQuery(tenantId, username) {
+    return this.getCollection()
+      .where('tenantId', '==', tenantId)
+      .where('username', '==', username);
+  }
+
+  /**
+   * Store notifications
+   * @param {Array<Object>} notifications - Notification data (see NotificationModel)
+   * @returns {Promise<Array>} Stored notifications with their IDs
+   */
+  async createMany(notifications) {
+    try {
+      const stored = [];
+
+      for (let i = 0; i < notifications.length; i += BATCH_SIZE) {
+        const batch = adminDb.batch();
+
+        notifications.slice(i, i + BATCH_SIZE).forEach(({ id, ...data }) => {
+          const ref = this.getCollection().doc();
+          batch.set(ref, data);
+          stored.push({ id: ref.id, ...data });
+        });
+
+        await batch.commit();
+      }
+
+      return stored;
+    } catch (error) {
+      this.handleError(error, 'create notifications');
+    }
+  }
+
+  /**
+   * Find a notification by ID
+   * @param {string} notificationId - Notification ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Notification or null
+   */
+  async findById(notificationId, tenantId) {
+    try {
+      const notification = this.docToObject(await this.getCollection().doc(notificationId).get());
+
+      if (!notification || (tenantId && notification.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return notification;
+    } catch (error) {
+      this.handleError(error, 'find notification by ID');
+    }
+  }
+
+  /**
+   * Get one page of a user's notifications, newest first
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Recipient
+   * @param {Object} criteria - { types (max 30), unread, limit, cursor ([createdAt, notification ID]) }
+   * @returns {Promise<Object>} { notifications, nextCursor: [createdAt, notification ID] | null }
+   */
+  async findPage(tenantId, username, criteria = {}) {
+    try {
+      let query = this.inboxQuery(tenantId, username);
+
+      if (criteria.unread) {
+        query = query.where('read', '==', false);
+      }
+
+      if (criteria.types?.length) {
+        query = query.where('type', 'in', criteria.types);
+      }
+
+      query = query
+        .orderBy('createdAt', 'desc')
+        .orderBy(FieldPath.documentId(), 'desc');
+
+      if (criteria.cursor) {
+        query = query.startAfter(...criteria.cursor);
+      }
+
+      const limit = criteria.limit || 20;
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const last = docs[docs.length - 1];
+
+      return {
+        notifications: docs.map(doc => this.docToObject(doc)),
+        nextCursor: snapshot.docs.length > limit ? [last.get('createdAt'), last.id] : null
+      };
+    } catch (error) {
+      this.handleError(error, 'find notifications page');
+    }
+  }
+
+  /**
+   * Get the notifications a user was sent after a given one, oldest first
+   * Used to replay what a reconnecting stream missed.
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Recipient
+   * @param {string} notificationId - Last notification the user received
+   * @param {number} limit - Maximum notifications
+   * @returns {Promise<Array>} Notifications, or [] when the ID is not the user's
+   */
+  async findAfter(tenantId, username, notificationId, limit) {
+    try {
+      const lastDoc = await this.getCollection().doc(notificationId).get();
+
+      if (!lastDoc.exists || lastDoc.get('tenantId') !== tenantId || lastDoc.get('username') !== username) {
+        return [];
+      }
+
+      const snapshot = await this.inboxQuery(tenantId, username)
+        .orderBy('createdAt', 'asc')
+        .orderBy(FieldPath.documentId(), 'asc')
+        .startAfter(lastDoc.get('createdAt'), lastDoc.id)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find notifications after');
+    }
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Recipient
+   * @returns {Promise<number>} Unread notifications
+   */
+  async countUnread(tenantId, username) {
+    try {
+      const snapshot = await this.inboxQuery(tenantId, username)
+        .where('read', '==', false)
+        .count()
+        .get();
+
+      return snapshot.data().count;
+    } catch (error) {
+      this.handleError(error, 'count unread notifications');
+    }
+  }
+
+  /**
+   * Mark a notification read or unread
+   * @param {string} notificationId - Notification ID
+   * @param {boolean} read - Read state
+   * @returns {Promise<Object>} Changed fields
+   */
+  async setRead(notificationId, read) {
+    try {
+      const changes = { read, readAt: read ? new Date().toISOString() : null };
+      await this.getCollection().doc(notificationId).update(changes);
+      return changes;
+    } catch (error) {
+      this.handleError(error, 'update notification');
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications read
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Recipient
+   * @returns {Promise<number>} Notifications marked
+   */
+  async markAllRead(tenantId, username) {
+    try {
+      const readAt = new Date().toISOString();
+      const snapshot = await this.inboxQuery(tenantId, username)
+        .where('read', '==', false)
+        .get();
+
+      await this.commitInBatches(snapshot.docs, (batch, doc) => batch.update(doc.ref, { read: true, readAt }));
+      return snapshot.size;
+    } catch (error) {
+      this.handleError(error, 'mark all notifications read');
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} notificationId - Notification ID
+   */
+  async delete(notificationId) {
+    try {
+      await this.getCollection().doc(notificationId).delete();
+    } catch (error) {
+      this.handleError(error, 'delete notification');
+    }
+  }
+
+  /**
+   * Delete all of a user's notifications
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Recipient
+   * @returns {Promise<number>} Notifications deleted
+   */
+  async deleteAllForUser(tenantId, username) {
+    try {
+      const snapshot = await this.inboxQuery(tenantId, username).get();
+
+      await this.commitInBatches(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+      return snapshot.size;
+    } catch (error) {
+      this.handleError(error, 'delete all notifications');
+    }
+  }
+
+  /**
+   * Delete notifications past their expiry, across all organizations
+   * @param {string} now - ISO timestamp to compare expiresAt with
+   * @returns {Promise<number>} Notifications deleted
+   */
+  async deleteExpired(now) {
+    try {
+      let deleted = 0;
+      let snapshot;
+
+      do {
+        snapshot = await this.getCollection()
+          .where('expiresAt', '<', now)
+          .limit(BATCH_SIZE)
+          .get();
+
+        await this.commitInBatches(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+        deleted += snapshot.size;
+      } while (snapshot.size === BATCH_SIZE);
+
+      return deleted;
+    } catch (error) {
+      this.handleError(error, 'delete expired notifications');
+    }
+  }
+
+  /**
+   * Apply a write to each document, committing BATCH_SIZE writes at a time
+   */
+  async commitInBatches(docs, write) {
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = adminDb.batch();
+      docs.slice(i, i + BATCH_SIZE).forEach(doc => write(batch, doc));
+      await batch.commit();
+    }
+  }
+}
+
+export default NotificationRepository;
@@ -0,0 +1,127 @@
+/**
+ * NotificationPreferences Repository
+ * Handles database operations for notification preferences and the queue of
+ * email/WhatsApp messages held back for quiet hours or the daily digest
+ *
+ * Each user has at most one preferences document
+ * (notificationPreferences/{tenantId}_{username}).
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+
+const QUEUE_COLLECTION = 'notificationQueue';
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+const preferencesDocId = (tenantId, username) => `${tenantId}_${username}`;
+
+export class NotificationPreferencesRepository extends BaseRepository {
+  constructor() {
+    super('notificationPreferences');
+  }
+
+  getPreferencesRef(tenantId, username) {
+    return adminDb.collection(this.collectionName).doc(preferencesDocId(tenantId, username));
+  }
+
+  /**
+   * Get a user's stored preferences
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Preferences or null when never saved
+   */
+  async findByUser(tenantId, username) {
+    try {
+      return this.docToObject(await this.getPreferencesRef(tenantId, username).get());
+    } catch (error) {
+      this.handleError(error, 'find notification preferences');
+    }
+  }
+
+  /**
+   * Get the stored preferences of several users
+   * @param {string} tenantId - Organization ID
+   * @param {Array<string>} usernames - Usernames
+   * @returns {Promise<Map>} username -> preferences (users who never saved any are left out)
+   */
+  async findByUsers(tenantId, usernames) {
+    try {
+      if (usernames.length === 0) return new Map();
+
+      const docs = await adminDb.getAll(...usernames.map(username => this.getPreferencesRef(tenantId, username)));
+      return new Map(
+        docs
+          .filter(doc => doc.exists)
+          .map(doc => [doc.get('username'), this.docToObject(doc)])
+      );
+    } catch (error) {
+      this.handleError(error, 'find notification preferences of users');
+    }
+  }
+
+  /**
+   * Store a user's preferences
+   * @param {Object} preferences - Preferences (see NotificationPreferencesModel)
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async save(preferences) {
+    try {
+      const { id, ...data } = preferences;
+      await this.getPreferencesRef(data.tenantId, data.username).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save notification preferences');
+    }
+  }
+
+  /**
+   * Hold a message for later delivery
+   * @param {Object} item - { tenantId, username, channel, reason ('quiet_hours' | 'digest'), type, title, message, url, createdAt }
+   */
+  async enqueue(item) {
+    try {
+      const ref = adminDb.collection(QUEUE_COLLECTION).doc();
+      await ref.set(item);
+      return { id: ref.id, ...item };
+    } catch (error) {
+      this.handleError(error, 'queue notification');
+    }
+  }
+
+  /**
+   * Get every held message, oldest first
+   * @returns {Promise<Array>} Queue items
+   */
+  async findQueued() {
+    try {
+      const snapshot = await adminDb.collection(QUEUE_COLLECTION).get();
+      return snapshot.docs
+        .map(doc => this.docToObject(doc))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    } catch (error) {
+      this.handleError(error, 'find queued notifications');
+    }
+  }
+
+  /**
+   * Remove delivered messages from the queue
+   * @param {Array<string>} itemIds - Queue item IDs
+   */
+  async dequeue(itemIds) {
+    try {
+      for (let i = 0; i < itemIds.length; i += BATCH_SIZE) {
+        const batch = adminDb.batch();
+        itemIds.slice(i, i + BATCH_SIZE).forEach(itemId => {
+          batch.delete(adminDb.collection(QUEUE_COLLECTION).doc(itemId));
+        });
+        await batch.commit();
+      }
+    } catch (error) {
+      this.handleError(error, 'remove queued notifications');
+    }
+  }
+}
+
+export default NotificationPreferencesRepository;
@@ -0,0 +1,108 @@
+/**
+ * Office Site Repository
+ * Handles database operations for office sites (geofences)
+ *
+ * Sites live in `officeSites`. Organizations have a handful, so they are
+ * read whole per organization.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+
+export class OfficeSiteRepository extends BaseRepository {
+  constructor() {
+    super('officeSites');
+  }
+
+  /**
+   * Get the office sites collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Get all office sites of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Sites
+   */
+  async findByTenant(tenantId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find office sites by tenant');
+    }
+  }
+
+  /**
+   * Find an office site by ID
+   * @param {string} siteId - Site ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Site or null
+   */
+  async findById(siteId, tenantId) {
+    try {
+      const site = this.docToObject(await this.getCollection().doc(siteId).get());
+
+      if (!site || (tenantId && site.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return site;
+    } catch (error) {
+      this.handleError(error, 'find office site by ID');
+    }
+  }
+
+  /**
+   * Create an office site
+   * @param {Object} siteData - Site data (see OfficeSiteModel)
+   * @returns {Promise<Object>} Created site
+   */
+  async create(siteData) {
+    try {
+      const { id, ...data } = siteData;
+      const ref = this.getCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create office site');
+    }
+  }
+
+  /**
+   * Update an office site
+   * @param {string} siteId - Site ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async update(siteId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getCollection().doc(siteId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update office site');
+    }
+  }
+
+  /**
+   * Delete an office site
+   * Attendance already recorded keeps the site it matched.
+   * @param {string} siteId - Site ID
+   */
+  async delete(siteId) {
+    try {
+      await this.getCollection().doc(siteId).delete();
+      return true;
+    } catch (error) {
+      this.handleError(error, 'delete office site');
+    }
+  }
+}
+
+export default OfficeSiteRepository;
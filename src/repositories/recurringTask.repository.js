@@ -0,0 +1,281 @@
+/**
+ * Recurring Task Repository
+ * Handles database operations for recurring task templates and their occurrence history
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+// gRPC status code returned by Firestore when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+export class RecurringTaskRepository extends BaseRepository {
+  constructor() {
+    super('recurring_tasks');
+  }
+
+  /**
+   * Get the recurring tasks collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Get the occurrence history subcollection for a template
+   * Occurrence documents are keyed by occurrence date (YYYY-MM-DD)
+   */
+  getOccurrencesCollection(recurringTaskId) {
+    return this.getCollection().doc(recurringTaskId).collection('occurrences');
+  }
+
+  /**
+   * Find recurring tasks by filters
+   * @param {Object} filters - Query filters (tenantId, status, assigned_to, client_name)
+   * @returns {Promise<Array>} List of recurring tasks
+   */
+  async find(filters = {}) {
+    try {
+      let query = this.getCollection();
+
+      if (filters.tenantId) {
+        query = query.where('tenantId', '==', filters.tenantId);
+      }
+      if (filters.status && filters.status !== 'all') {
+        query = query.where('status', '==', filters.status);
+      }
+      if (filters.assigned_to) {
+        query = query.where('assigned_to', '==', filters.assigned_to);
+      }
+      if (filters.client_name) {
+        query = query.where('client_name', '==', filters.client_name);
+      }
+
+      const snapshot = await query.get();
+      const recurringTasks = snapshot.docs.map(doc => this.docToObject(doc));
+
+      // Sort by next run date in memory to avoid extra composite indexes
+      recurringTasks.sort((a, b) => (a.nextRunDate || '9999').localeCompare(b.nextRunDate || '9999'));
+
+      return recurringTasks;
+    } catch (error) {
+      this.handleError(error, 'find recurring tasks');
+    }
+  }
+
+  /**
+   * Find recurring task by ID
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Recurring task or null
+   */
+  async findById(recurringTaskId, tenantId) {
+    try {
+      const doc = await this.getCollection().doc(recurringTaskId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const recurringTask = this.docToObject(doc);
+
+      // Verify tenant ownership
+      if (tenantId && recurringTask.tenantId !== tenantId) {
+        return null;
+      }
+
+      return recurringTask;
+    } catch (error) {
+      this.handleError(error, 'find recurring task by ID');
+    }
+  }
+
+  /**
+   * Find active templates whose next run date is on or before a date
+   * @param {string} asOfDate - Date (YYYY-MM-DD)
+   * @param {string|null} tenantId - Organization ID, or null for all tenants (cron)
+   * @returns {Promise<Array>} Due recurring tasks
+   */
+  async findDue(asOfDate, tenantId = null) {
+    try {
+      let query = this.getCollection()
+        .where('status', '==', 'active')
+        .where('nextRunDate', '<=', asOfDate);
+
+      if (tenantId) {
+        query = query.where('tenantId', '==', tenantId);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find due recurring tasks');
+    }
+  }
+
+  /**
+   * Create a recurring task template
+   * @param {Object} recurringTaskData - Template data
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Created template
+   */
+  async create(recurringTaskData, tenantId) {
+    try {
+      const { id, ...data } = recurringTaskData;
+
+      const newRecurringTask = {
+        ...data,
+        tenantId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await this.getCollection().add(newRecurringTask);
+
+      return {
+        id: docRef.id,
+        ...newRecurringTask,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      this.handleError(error, 'create recurring task');
+    }
+  }
+
+  /**
+   * Update a recurring task template
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {Object} updateData - Fields to update
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Updated template
+   */
+  async update(recurringTaskId, updateData, tenantId) {
+    try {
+      const docRef = this.getCollection().doc(recurringTaskId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Recurring task not found');
+      }
+
+      if (doc.data().tenantId !== tenantId) {
+        throw new Error('Unauthorized: Recurring task does not belong to this organization');
+      }
+
+      const dataToUpdate = {
+        ...updateData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      // Don't allow changing these fields
+      delete dataToUpdate.id;
+      delete dataToUpdate.tenantId;
+      delete dataToUpdate.createdBy;
+      delete dataToUpdate.createdAt;
+
+      await docRef.update(dataToUpdate);
+
+      const updatedDoc = await docRef.get();
+      return this.docToObject(updatedDoc);
+    } catch (error) {
+      this.handleError(error, 'update recurring task');
+    }
+  }
+
+  /**
+   * Delete a recurring task template and its occurrence history
+   * Tasks already generated from the template are kept
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async delete(recurringTaskId, tenantId) {
+    try {
+      const docRef = this.getCollection().doc(recurringTaskId);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        throw new Error('Recurring task not found');
+      }
+
+      if (doc.data().tenantId !== tenantId) {
+        throw new Error('Unauthorized: Recurring task does not belong to this organization');
+      }
+
+      const occurrences = await this.getOccurrencesCollection(recurringTaskId).get();
+      const batch = adminDb.batch();
+      occurrences.docs.forEach(occurrenceDoc => batch.delete(occurrenceDoc.ref));
+      batch.delete(docRef);
+      await batch.commit();
+    } catch (error) {
+      this.handleError(error, 'delete recurring task');
+    }
+  }
+
+  /**
+   * Get occurrence history for a template (newest first)
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {number} limit - Maximum occurrences to return
+   * @returns {Promise<Array>} Occurrences
+   */
+  async findOccurrences(recurringTaskId, limit = 50) {
+    try {
+      const snapshot = await this.getOccurrencesCollection(recurringTaskId)
+        .orderBy('occurrenceDate', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find recurring task occurrences');
+    }
+  }
+
+  /**
+   * Reserve an occurrence slot before materializing its task
+   * Uses the occurrence date as document ID so concurrent cron runs cannot
+   * create the same occurrence twice.
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @param {Object} data - Initial occurrence data
+   * @returns {Promise<boolean>} True if reserved, false if it already existed
+   */
+  async reserveOccurrence(recurringTaskId, occurrenceDate, data = {}) {
+    try {
+      await this.getOccurrencesCollection(recurringTaskId).doc(occurrenceDate).create({
+        ...data,
+        occurrenceDate,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return true;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        return false;
+      }
+      this.handleError(error, 'reserve recurring task occurrence');
+    }
+  }
+
+  /**
+   * Update an occurrence record
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateOccurrence(recurringTaskId, occurrenceDate, updateData) {
+    try {
+      await this.getOccurrencesCollection(recurringTaskId).doc(occurrenceDate).update({
+        ...updateData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      this.handleError(error, 'update recurring task occurrence');
+    }
+  }
+}
+
+export default RecurringTaskRepository;
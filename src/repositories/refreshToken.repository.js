@@ -0,0 +1,206 @@
+/**
+ * Refresh Token Repository
+ * Handles database operations for server-side refresh token records
+ *
+ * Each refresh token is stored under its jti. Tokens issued from the same
+ * login share a familyId, so a whole chain of rotations can be revoked at once.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+// Tabs or requests racing the same refresh all present the token that was just
+// rotated; for this long after rotation they are handed the same replacement
+// instead of the presentation counting as reuse
+export const REUSE_GRACE_MS = 30 * 1000;
+
+export const ROTATION_RESULT = {
+  ROTATED: 'rotated',
+  GRACE: 'grace',
+  NOT_FOUND: 'not_found',
+  REUSED: 'reused',
+  REVOKED: 'revoked'
+};
+
+export class RefreshTokenRepository extends BaseRepository {
+  constructor() {
+    super('refresh_tokens');
+  }
+
+  /**
+   * Get the refresh tokens collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Find a refresh token record by jti
+   * @param {string} jti - Token ID
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findById(jti) {
+    try {
+      const doc = await this.getCollection().doc(jti).get();
+      return this.docToObject(doc);
+    } catch (error) {
+      this.handleError(error, 'find refresh token by ID');
+    }
+  }
+
+  /**
+   * Store a newly issued refresh token
+   * @param {Object} tokenData - Token record ({ jti, familyId, userId, username, tenantId, issuedAt, expiresAt })
+   * @returns {Promise<Object>} Created record
+   */
+  async create(tokenData) {
+    try {
+      const { jti, ...data } = tokenData;
+
+      await this.getCollection().doc(jti).set({
+        ...data,
+        expiresAt: admin.firestore.Timestamp.fromDate(new Date(data.expiresAt)),
+        revokedAt: null,
+        revokedReason: null,
+        replacedBy: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { id: jti, ...data };
+    } catch (error) {
+      this.handleError(error, 'create refresh token');
+    }
+  }
+
+  /**
+   * Atomically mark a token as used and store its replacement
+   * A token that was already replaced or revoked is reported back instead
+   * of being rotated, so the caller can treat it as reuse. Within
+   * REUSE_GRACE_MS of its rotation a replaced token reports GRACE along with
+   * the replacement it was exchanged for, as long as that one is still unused.
+   * @param {string} jti - Token being presented
+   * @param {Object} replacement - Replacement token record (same shape as create)
+   * @returns {Promise<Object>} { status, record, replacement? } where status is a ROTATION_RESULT
+   */
+  async rotate(jti, replacement) {
+    try {
+      const currentRef = this.getCollection().doc(jti);
+      const { jti: newJti, ...data } = replacement;
+      const nextRef = this.getCollection().doc(newJti);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(currentRef);
+
+        if (!doc.exists) {
+          return { status: ROTATION_RESULT.NOT_FOUND, record: null };
+        }
+
+        const record = this.docToObject(doc);
+
+        if (record.replacedBy) {
+          const usedAt = record.usedAt ? new Date(record.usedAt).getTime() : 0;
+
+          if (!record.revokedAt && Date.now() - usedAt < REUSE_GRACE_MS) {
+            const replacedDoc = await transaction.get(this.getCollection().doc(record.replacedBy));
+            const replaced = this.docToObject(replacedDoc);
+
+            if (replaced && replaced.issuedAt && !replaced.replacedBy && !replaced.revokedAt) {
+              return { status: ROTATION_RESULT.GRACE, record, replacement: replaced };
+            }
+          }
+
+          return { status: ROTATION_RESULT.REUSED, record };
+        }
+
+        if (record.revokedAt) {
+          return { status: ROTATION_RESULT.REVOKED, record };
+        }
+
+        transaction.update(currentRef, {
+          replacedBy: newJti,
+          usedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.set(nextRef, {
+          ...data,
+          expiresAt: admin.firestore.Timestamp.fromDate(new Date(data.expiresAt)),
+          revokedAt: null,
+          revokedReason: null,
+          replacedBy: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { status: ROTATION_RESULT.ROTATED, record };
+      });
+    } catch (error) {
+      this.handleError(error, 'rotate refresh token');
+    }
+  }
+
+  /**
+   * Revoke every token in a family
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('familyId', '==', familyId)
+        .get();
+
+      return await this.revokeDocs(snapshot.docs, reason);
+    } catch (error) {
+      this.handleError(error, 'revoke refresh token family');
+    }
+  }
+
+  /**
+   * Revoke every token belonging to a user
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeByUser(username, tenantId, reason) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('username', '==', username)
+        .get();
+
+      return await this.revokeDocs(snapshot.docs, reason);
+    } catch (error) {
+      this.handleError(error, 'revoke refresh tokens by user');
+    }
+  }
+
+  /**
+   * Mark documents as revoked, skipping ones already revoked
+   * @param {Array} docs - Firestore document snapshots
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeDocs(docs, reason) {
+    const active = docs.filter(doc => !doc.data().revokedAt);
+
+    for (let i = 0; i < active.length; i += BATCH_SIZE) {
+      const batch = adminDb.batch();
+      active.slice(i, i + BATCH_SIZE).forEach(doc => {
+        batch.update(doc.ref, {
+          revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+          revokedReason: reason
+        });
+      });
+      await batch.commit();
+    }
+
+    return active.length;
+  }
+}
+
+export default RefreshTokenRepository;
@@ -0,0 +1,164 @@
+/**
+ * Regularization Repository
+ * Handles database operations for attendance regularization requests
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import { REGULARIZATION_STATUS, ACTIVE_REGULARIZATION_STATUSES } from '../models/regularizationRequest.model.js';
+
+// One document per user and month of attendance; submissions lock it
+const USAGE_COLLECTION = 'attendanceRegularizationUsage';
+
+export const SUBMISSION_RESULT = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',         // the date already has a pending request
+  LIMIT_REACHED: 'limit_reached'  // the month's requests are used up
+};
+
+export class RegularizationRepository extends BaseRepository {
+  constructor() {
+    super('attendanceRegularizations');
+  }
+
+  /**
+   * Get the regularization requests collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Create a regularization request
+   * @param {Object} requestData - Request data (see RegularizationRequestModel)
+   * @returns {Promise<Object>} Created request
+   */
+  async create(requestData) {
+    try {
+      const { id, ...data } = requestData;
+      const ref = this.getCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create regularization request');
+    }
+  }
+
+  /**
+   * Create a request if the user has requests left for the month and none pending for the date
+   * The month's requests are counted and the new one created in one transaction that
+   * also writes the user's usage document for the month, so two submissions at once
+   * are serialized instead of both passing the check.
+   * @param {Object} requestData - Request data (see RegularizationRequestModel)
+   * @param {number} limit - Requests allowed per month
+   * @returns {Promise<Object>} { status, request, used } where status is a SUBMISSION_RESULT
+   */
+  async createWithinMonthlyLimit(requestData, limit) {
+    try {
+      const { id, ...data } = requestData;
+      const month = data.date.slice(0, 7);
+      const usageRef = adminDb.collection(USAGE_COLLECTION).doc(`${data.tenantId}_${data.username}_${month}`);
+      const monthQuery = this.getCollection()
+        .where('tenantId', '==', data.tenantId)
+        .where('username', '==', data.username)
+        .where('date', '>=', `${month}-01`)
+        .where('date', '<=', `${month}-31`)
+        .orderBy('date', 'desc');
+
+      return await adminDb.runTransaction(async (transaction) => {
+        await transaction.get(usageRef);
+        const requests = (await transaction.get(monthQuery)).docs.map(doc => this.docToObject(doc));
+        const used = requests.filter(request => ACTIVE_REGULARIZATION_STATUSES.includes(request.status)).length;
+
+        if (requests.some(request => request.date === data.date && request.status === REGULARIZATION_STATUS.PENDING)) {
+          return { status: SUBMISSION_RESULT.DUPLICATE, request: null, used };
+        }
+
+        if (used >= limit) {
+          return { status: SUBMISSION_RESULT.LIMIT_REACHED, request: null, used };
+        }
+
+        const ref = this.getCollection().doc();
+        transaction.set(ref, data);
+        transaction.set(usageRef, {
+          tenantId: data.tenantId,
+          username: data.username,
+          month,
+          lastRequestId: ref.id,
+          updatedAt: new Date().toISOString()
+        });
+
+        return { status: SUBMISSION_RESULT.CREATED, request: { id: ref.id, ...data }, used: used + 1 };
+      });
+    } catch (error) {
+      this.handleError(error, 'create regularization request');
+    }
+  }
+
+  /**
+   * Find a regularization request by ID
+   * @param {string} requestId - Request ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Request or null
+   */
+  async findById(requestId, tenantId) {
+    try {
+      const request = this.docToObject(await this.getCollection().doc(requestId).get());
+
+      if (!request || (tenantId && request.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return request;
+    } catch (error) {
+      this.handleError(error, 'find regularization request by ID');
+    }
+  }
+
+  /**
+   * Update a regularization request
+   * @param {string} requestId - Request ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async update(requestId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getCollection().doc(requestId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update regularization request');
+    }
+  }
+
+  /**
+   * Find regularization requests, latest attendance date first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} criteria - { username, status, month (YYYY-MM) }
+   * @returns {Promise<Array>} Requests
+   */
+  async find(tenantId, criteria = {}) {
+    try {
+      let query = this.getCollection().where('tenantId', '==', tenantId);
+
+      if (criteria.username) {
+        query = query.where('username', '==', criteria.username);
+      }
+
+      if (criteria.status) {
+        query = query.where('status', '==', criteria.status);
+      }
+
+      if (criteria.month) {
+        query = query.where('date', '>=', `${criteria.month}-01`).where('date', '<=', `${criteria.month}-31`);
+      }
+
+      const snapshot = await query.orderBy('date', 'desc').get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find regularization requests');
+    }
+  }
+}
+
+export default RegularizationRepository;
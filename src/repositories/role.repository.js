@@ -0,0 +1,106 @@
+/**
+ * Role Repository
+ * Handles database operations for organization roles
+ * Documents are keyed by `${tenantId}_${key}` and only exist for roles an
+ * organization created or changed; built-in defaults live in permissions.util
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+export class RoleRepository extends BaseRepository {
+  constructor() {
+    super('roles');
+  }
+
+  /**
+   * Get the roles collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Document ID of a role
+   */
+  getDocId(key, tenantId) {
+    return `${tenantId}_${key}`;
+  }
+
+  /**
+   * Get all stored roles of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Stored roles
+   */
+  async findByTenant(tenantId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find roles by tenant');
+    }
+  }
+
+  /**
+   * Find a stored role
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Role or null
+   */
+  async findByKey(key, tenantId) {
+    try {
+      const doc = await this.getCollection().doc(this.getDocId(key, tenantId)).get();
+      return this.docToObject(doc);
+    } catch (error) {
+      this.handleError(error, 'find role');
+    }
+  }
+
+  /**
+   * Create or replace a role
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   * @param {Object} data - { name, description, permissions, updatedBy }
+   * @returns {Promise<Object>} Saved role
+   */
+  async save(key, tenantId, { name, description, permissions, updatedBy }) {
+    try {
+      const ref = this.getCollection().doc(this.getDocId(key, tenantId));
+      const existing = await ref.get();
+
+      await ref.set({
+        key,
+        tenantId,
+        name,
+        description,
+        permissions,
+        updatedBy: updatedBy || null,
+        ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return this.docToObject(await ref.get());
+    } catch (error) {
+      this.handleError(error, 'save role');
+    }
+  }
+
+  /**
+   * Delete a stored role
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   */
+  async delete(key, tenantId) {
+    try {
+      await this.getCollection().doc(this.getDocId(key, tenantId)).delete();
+    } catch (error) {
+      this.handleError(error, 'delete role');
+    }
+  }
+}
+
+export default RoleRepository;
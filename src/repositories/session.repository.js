@@ -0,0 +1,202 @@
+/**
+ * Session Repository
+ * Handles database operations for signed-in sessions
+ * Session documents are keyed by the refresh token family ID
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+// gRPC status code returned by Firestore when update() targets a missing document
+const NOT_FOUND = 5;
+
+export class SessionRepository extends BaseRepository {
+  constructor() {
+    super('sessions');
+  }
+
+  /**
+   * Get the sessions collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Record a new session
+   * @param {string} sessionId - Refresh token family ID
+   * @param {Object} sessionData - Session data (user, device, IP, expiresAt)
+   * @returns {Promise<Object>} Created session
+   */
+  async create(sessionId, sessionData) {
+    try {
+      const { id, ...data } = sessionData;
+
+      await this.getCollection().doc(sessionId).set({
+        ...data,
+        expiresAt: data.expiresAt ? admin.firestore.Timestamp.fromDate(new Date(data.expiresAt)) : null,
+        revokedAt: null,
+        revokedReason: null,
+        revokedBy: null,
+        firstSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return {
+        id: sessionId,
+        ...data,
+        firstSeenAt: new Date().toISOString(),
+        lastSeenAt: new Date().toISOString()
+      };
+    } catch (error) {
+      this.handleError(error, 'create session');
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} sessionId - Session ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async findById(sessionId, tenantId) {
+    try {
+      const doc = await this.getCollection().doc(sessionId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const session = this.docToObject(doc);
+
+      // Verify tenant ownership
+      if (tenantId && session.tenantId !== tenantId) {
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      this.handleError(error, 'find session by ID');
+    }
+  }
+
+  /**
+   * Find sessions for a user (most recently seen first)
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async findByUser(username, tenantId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('username', '==', username)
+        .get();
+
+      const sessions = snapshot.docs.map(doc => this.docToObject(doc));
+
+      // Sort in memory to avoid an extra composite index
+      sessions.sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+
+      return sessions;
+    } catch (error) {
+      this.handleError(error, 'find sessions by user');
+    }
+  }
+
+  /**
+   * Update last-seen information after a token refresh
+   * @param {string} sessionId - Session ID
+   * @param {Object} activity - { lastIpAddress, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async touch(sessionId, activity = {}) {
+    try {
+      const updateData = {
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (activity.lastIpAddress) {
+        updateData.lastIpAddress = activity.lastIpAddress;
+      }
+      if (activity.expiresAt) {
+        updateData.expiresAt = admin.firestore.Timestamp.fromDate(new Date(activity.expiresAt));
+      }
+
+      await this.getCollection().doc(sessionId).update(updateData);
+    } catch (error) {
+      // Token families issued before session tracking existed have no session document
+      if (error.code === NOT_FOUND) return;
+      this.handleError(error, 'update session activity');
+    }
+  }
+
+  /**
+   * Mark a session as revoked
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @param {string|null} revokedBy - Username that terminated the session
+   * @returns {Promise<boolean>} True if the session was active and is now revoked
+   */
+  async revoke(sessionId, reason, revokedBy = null) {
+    try {
+      const docRef = this.getCollection().doc(sessionId);
+      const doc = await docRef.get();
+
+      if (!doc.exists || doc.data().revokedAt) {
+        return false;
+      }
+
+      await docRef.update({
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedReason: reason,
+        revokedBy
+      });
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'revoke session');
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} reason - Revocation reason
+   * @param {string|null} revokedBy - Username that terminated the sessions
+   * @returns {Promise<Array>} IDs of revoked sessions
+   */
+  async revokeByUser(username, tenantId, reason, revokedBy = null) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('username', '==', username)
+        .get();
+
+      const active = snapshot.docs.filter(doc => !doc.data().revokedAt);
+
+      for (let i = 0; i < active.length; i += BATCH_SIZE) {
+        const batch = adminDb.batch();
+        active.slice(i, i + BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, {
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            revokedReason: reason,
+            revokedBy
+          });
+        });
+        await batch.commit();
+      }
+
+      return active.map(doc => doc.id);
+    } catch (error) {
+      this.handleError(error, 'revoke sessions by user');
+    }
+  }
+}
+
+export default SessionRepository;
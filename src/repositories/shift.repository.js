@@ -0,0 +1,199 @@
+/**
+ * Shift Repository
+ * Handles database operations for shifts and shift assignments
+ *
+ * Shifts live in `shifts`; who works them, and from when, in
+ * `shiftAssignments`. Organizations have few of either, so both are read
+ * whole per organization.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+
+const ASSIGNMENT_COLLECTION = 'shiftAssignments';
+
+export class ShiftRepository extends BaseRepository {
+  constructor() {
+    super('shifts');
+  }
+
+  /**
+   * Get the shifts collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Get the shift assignments collection reference
+   */
+  getAssignmentCollection() {
+    return adminDb.collection(ASSIGNMENT_COLLECTION);
+  }
+
+  /**
+   * Get all shifts of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Shifts
+   */
+  async findByTenant(tenantId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find shifts by tenant');
+    }
+  }
+
+  /**
+   * Find a shift by ID
+   * @param {string} shiftId - Shift ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Shift or null
+   */
+  async findById(shiftId, tenantId) {
+    try {
+      const shift = this.docToObject(await this.getCollection().doc(shiftId).get());
+
+      if (!shift || (tenantId && shift.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return shift;
+    } catch (error) {
+      this.handleError(error, 'find shift by ID');
+    }
+  }
+
+  /**
+   * Create a shift
+   * @param {Object} shiftData - Shift data (see ShiftModel)
+   * @returns {Promise<Object>} Created shift
+   */
+  async create(shiftData) {
+    try {
+      const { id, ...data } = shiftData;
+      const ref = this.getCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create shift');
+    }
+  }
+
+  /**
+   * Update a shift
+   * @param {string} shiftId - Shift ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async update(shiftId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getCollection().doc(shiftId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update shift');
+    }
+  }
+
+  /**
+   * Delete a shift
+   * @param {string} shiftId - Shift ID
+   */
+  async delete(shiftId) {
+    try {
+      await this.getCollection().doc(shiftId).delete();
+      return true;
+    } catch (error) {
+      this.handleError(error, 'delete shift');
+    }
+  }
+
+  /**
+   * Get all shift assignments of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Assignments
+   */
+  async findAssignmentsByTenant(tenantId) {
+    try {
+      const snapshot = await this.getAssignmentCollection()
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find shift assignments');
+    }
+  }
+
+  /**
+   * Find a shift assignment by ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Assignment or null
+   */
+  async findAssignmentById(assignmentId, tenantId) {
+    try {
+      const assignment = this.docToObject(await this.getAssignmentCollection().doc(assignmentId).get());
+
+      if (!assignment || (tenantId && assignment.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return assignment;
+    } catch (error) {
+      this.handleError(error, 'find shift assignment by ID');
+    }
+  }
+
+  /**
+   * Create a shift assignment
+   * @param {Object} assignmentData - Assignment data (see ShiftAssignmentModel)
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(assignmentData) {
+    try {
+      const { id, ...data } = assignmentData;
+      const ref = this.getAssignmentCollection().doc();
+      await ref.set(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create shift assignment');
+    }
+  }
+
+  /**
+   * Update a shift assignment
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Changed fields
+   */
+  async updateAssignment(assignmentId, changes) {
+    try {
+      const data = { ...changes, updatedAt: new Date().toISOString() };
+      await this.getAssignmentCollection().doc(assignmentId).update(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'update shift assignment');
+    }
+  }
+
+  /**
+   * Delete a shift assignment
+   * @param {string} assignmentId - Assignment ID
+   */
+  async deleteAssignment(assignmentId) {
+    try {
+      await this.getAssignmentCollection().doc(assignmentId).delete();
+      return true;
+    } catch (error) {
+      this.handleError(error, 'delete shift assignment');
+    }
+  }
+}
+
+export default ShiftRepository;
@@ -2,9 +2,14 @@
  * Task Repository
  * Wraps existing firebaseService task functions
  * Provides clean interface for task database operations
+ * query() and the subtask/dependency lookups read Firestore directly
  */
 
+import { Filter, FieldPath, Timestamp } from 'firebase-admin/firestore';
 import { BaseRepository } from './base.repository.js';
+import admin from 'firebase-admin';
+import { adminDb } from '../../lib/firebase-admin.js';
+import { stripTaskIndexFields } from '../utils/taskQuery.util.js';
 import {
   loadTasks,
   getTasks,
@@ -21,10 +26,26 @@ import {
   getTaskComments,
   deleteTaskComment,
   editTaskComment,
+  toggleTaskCommentReaction,
   getTaskAnalytics,
   searchTasks
 } from '../../lib/firebaseService.js';
 
+// Cursor values are JSON, so Timestamps (createdAt) travel as { seconds, nanoseconds }
+const toCursorValue = (value) => {
+  if (value && typeof value.toDate === 'function') {
+    return { seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+  return value === undefined ? null : value;
+};
+
+const fromCursorValue = (value) => {
+  if (value && typeof value === 'object' && Number.isInteger(value.seconds)) {
+    return new Timestamp(value.seconds, value.nanoseconds || 0);
+  }
+  return value;
+};
+
 export class TaskRepository extends BaseRepository {
   constructor() {
     super('tasks');
@@ -44,6 +65,185 @@ export class TaskRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Query one page of an organization's tasks, filtered and sorted by Firestore
+   * Every combination is served by the composite indexes in
+   * firestore.indexes.json. Ties in the sort field are broken by document ID,
+   * so a cursor always resumes at the same place.
+   * @param {string} tenantId - Organization ID
+   * @param {Object} criteria - {
+   *   filters: { field: value } equality filters,
+   *   assignees: usernames the assignee must be one of (max 30),
+   *   participant: username that must be the assignee or the assigner,
+   *   searchToken, overdue, today, deadlineFrom, deadlineTo (YYYY-MM-DD),
+   *   sortField, order ('asc' | 'desc'), limit, cursor ([sort value, task ID])
+   * }
+   * @returns {Promise<Object>} { tasks, total, nextCursor: [sort value, task ID] | null }
+   */
+  async query(tenantId, criteria = {}) {
+    try {
+      const collection = adminDb.collection(this.collectionName);
+      let query = collection.where('tenantId', '==', tenantId);
+
+      Object.entries(criteria.filters || {}).forEach(([field, value]) => {
+        query = query.where(field, '==', value);
+      });
+
+      if (criteria.assignees) {
+        query = query.where('assigned_to', 'in', criteria.assignees);
+      }
+
+      if (criteria.participant) {
+        query = query.where(Filter.or(
+          Filter.where('assigned_to', '==', criteria.participant),
+          Filter.where('given_by', '==', criteria.participant)
+        ));
+      }
+
+      if (criteria.searchToken) {
+        query = query.where('searchTokens', 'array-contains', criteria.searchToken);
+      }
+
+      // Tasks without a deadline store '', which the lower bound leaves out
+      if (criteria.overdue) {
+        query = query
+          .where('isOpen', '==', true)
+          .where('deadline', '>', '')
+          .where('deadline', '<', criteria.today);
+      }
+
+      if (criteria.deadlineFrom) {
+        query = query.where('deadline', '>=', criteria.deadlineFrom);
+      }
+
+      if (criteria.deadlineTo) {
+        query = query.where('deadline', '<=', criteria.deadlineTo);
+      }
+
+      const countSnapshot = await query.count().get();
+
+      const sortField = criteria.sortField || 'createdAt';
+      const order = criteria.order || 'desc';
+      let page = query
+        .orderBy(sortField, order)
+        .orderBy(FieldPath.documentId(), order);
+
+      if (criteria.cursor) {
+        const [value, taskId] = criteria.cursor;
+        page = page.startAfter(fromCursorValue(value), taskId);
+      }
+
+      const limit = criteria.limit || 50;
+      const snapshot = await page.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const last = docs[docs.length - 1];
+
+      return {
+        tasks: docs.map(doc => stripTaskIndexFields(this.docToObject(doc))),
+        total: countSnapshot.data().count,
+        nextCursor: snapshot.docs.length > limit
+          ? [toCursorValue(last.get(sortField)), last.id]
+          : null
+      };
+    } catch (error) {
+      this.handleError(error, 'query tasks');
+    }
+  }
+
+  /**
+   * Get several tasks by ID
+   * Tasks that do not exist or belong to another organization are left out.
+   * @param {Array<string>} taskIds - Task IDs
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Tasks found
+   */
+  async findByIds(taskIds, tenantId) {
+    try {
+      if (taskIds.length === 0) return [];
+
+      const refs = taskIds.map(taskId => adminDb.collection(this.collectionName).doc(taskId));
+      const docs = await adminDb.getAll(...refs);
+
+      return docs
+        .filter(doc => doc.exists && doc.get('tenantId') === tenantId)
+        .map(doc => stripTaskIndexFields(this.docToObject(doc)));
+    } catch (error) {
+      this.handleError(error, 'find tasks by ID');
+    }
+  }
+
+  /**
+   * Get the direct subtasks of a task
+   * @param {string} taskId - Parent task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Subtasks, oldest first
+   */
+  async findChildren(taskId, tenantId) {
+    try {
+      const snapshot = await adminDb.collection(this.collectionName)
+        .where('tenantId', '==', tenantId)
+        .where('parentTaskId', '==', taskId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => stripTaskIndexFields(this.docToObject(doc)))
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+    } catch (error) {
+      this.handleError(error, 'find subtasks');
+    }
+  }
+
+  /**
+   * Get the tasks a task is blocking (those listing it in blockedBy)
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Blocked tasks
+   */
+  async findBlocking(taskId, tenantId) {
+    try {
+      const snapshot = await adminDb.collection(this.collectionName)
+        .where('tenantId', '==', tenantId)
+        .where('blockedBy', 'array-contains', taskId)
+        .get();
+
+      return snapshot.docs.map(doc => stripTaskIndexFields(this.docToObject(doc)));
+    } catch (error) {
+      this.handleError(error, 'find blocked tasks');
+    }
+  }
+
+  /**
+   * Unlink a task from the structure before it is deleted
+   * Its subtasks become top-level tasks and tasks it blocked lose the blocker.
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async detach(taskId, tenantId) {
+    try {
+      const [children, blocking] = await Promise.all([
+        this.findChildren(taskId, tenantId),
+        this.findBlocking(taskId, tenantId)
+      ]);
+
+      const collection = adminDb.collection(this.collectionName);
+      const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      const writes = [
+        ...children.map(child => [child.id, { parentTaskId: null, updatedAt }]),
+        ...blocking.map(task => [task.id, { blockedBy: admin.firestore.FieldValue.arrayRemove(taskId), updatedAt }])
+      ];
+
+      // A batch holds at most 500 writes
+      for (let i = 0; i < writes.length; i += 500) {
+        const batch = adminDb.batch();
+        writes.slice(i, i + 500).forEach(([id, data]) => batch.update(collection.doc(id), data));
+        await batch.commit();
+      }
+    } catch (error) {
+      this.handleError(error, 'detach task');
+    }
+  }
+
   /**
    * Find tasks with filters
    * @param {Object} filters - Query filters
@@ -247,6 +447,43 @@ export class TaskRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Edit a task comment
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} content - New content
+   * @param {string} userId - Author's username
+   * @param {string} tenantId - Organization ID
+   * @param {Object} extra - Fields resolved from the content ({ mentions })
+   * @returns {Promise<Object>} Updated comment
+   */
+  async editComment(taskId, commentId, content, userId, tenantId, extra = {}) {
+    try {
+      const { comment } = await editTaskComment(taskId, commentId, content, userId, tenantId, extra);
+      return comment;
+    } catch (error) {
+      this.handleError(error, 'edit task comment');
+    }
+  }
+
+  /**
+   * Add or remove a user's reaction on a task comment
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} emoji - Reaction
+   * @param {string} userId - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Updated comment
+   */
+  async toggleCommentReaction(taskId, commentId, emoji, userId, tenantId) {
+    try {
+      const { comment } = await toggleTaskCommentReaction(taskId, commentId, emoji, userId, tenantId);
+      return comment;
+    } catch (error) {
+      this.handleError(error, 'toggle task comment reaction');
+    }
+  }
+
   /**
    * Get task analytics
    * @param {string} tenantId - Organization ID
@@ -0,0 +1,116 @@
+/**
+ * Team Repository
+ * Handles database operations for teams and departments
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+export class TeamRepository extends BaseRepository {
+  constructor() {
+    super('teams');
+  }
+
+  /**
+   * Get the teams collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  /**
+   * Get all teams of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Teams
+   */
+  async findByTenant(tenantId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find teams by tenant');
+    }
+  }
+
+  /**
+   * Find team by ID
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Team or null
+   */
+  async findById(teamId, tenantId) {
+    try {
+      const doc = await this.getCollection().doc(teamId).get();
+      const team = this.docToObject(doc);
+
+      // Verify tenant ownership
+      if (!team || (tenantId && team.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return team;
+    } catch (error) {
+      this.handleError(error, 'find team by ID');
+    }
+  }
+
+  /**
+   * Create a team
+   * @param {Object} teamData - Team data (see TeamModel)
+   * @returns {Promise<Object>} Created team
+   */
+  async create(teamData) {
+    try {
+      const { id, ...data } = teamData;
+
+      const ref = await this.getCollection().add({
+        ...data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.docToObject(await ref.get());
+    } catch (error) {
+      this.handleError(error, 'create team');
+    }
+  }
+
+  /**
+   * Update a team
+   * @param {string} teamId - Team ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated team
+   */
+  async update(teamId, updateData) {
+    try {
+      const ref = this.getCollection().doc(teamId);
+
+      await ref.update({
+        ...updateData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return this.docToObject(await ref.get());
+    } catch (error) {
+      this.handleError(error, 'update team');
+    }
+  }
+
+  /**
+   * Delete a team
+   * @param {string} teamId - Team ID
+   */
+  async delete(teamId) {
+    try {
+      await this.getCollection().doc(teamId).delete();
+    } catch (error) {
+      this.handleError(error, 'delete team');
+    }
+  }
+}
+
+export default TeamRepository;
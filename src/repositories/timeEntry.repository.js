@@ -0,0 +1,212 @@
+/**
+ * TimeEntry Repository
+ * Handles database operations for time entries and running task timers
+ *
+ * Each user has at most one timer document (taskTimers/{tenantId}_{username}),
+ * which is what keeps a second timer from running. Stopping a timer turns it
+ * into a time entry in the same transaction and adds its minutes to the
+ * task's trackedMinutes.
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+const TIMERS_COLLECTION = 'taskTimers';
+const TASKS_COLLECTION = 'tasks';
+
+const timerDocId = (tenantId, username) => `${tenantId}_${username}`;
+
+export class TimeEntryRepository extends BaseRepository {
+  constructor() {
+    super('timeEntries');
+  }
+
+  /**
+   * Get the time entries collection reference
+   */
+  getCollection() {
+    return adminDb.collection(this.collectionName);
+  }
+
+  getTimerRef(tenantId, username) {
+    return adminDb.collection(TIMERS_COLLECTION).doc(timerDocId(tenantId, username));
+  }
+
+  /**
+   * Get a user's timer
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Timer or null when none is running or paused
+   */
+  async findTimer(tenantId, username) {
+    try {
+      return this.docToObject(await this.getTimerRef(tenantId, username).get());
+    } catch (error) {
+      this.handleError(error, 'find timer');
+    }
+  }
+
+  /**
+   * Change a user's timer in a transaction
+   * `change` gets the current timer (or null) and the task it belongs to, and
+   * returns { timer, entry }: timer is the new timer (null removes it,
+   * undefined leaves it alone) and entry, when set, is stored as a time entry.
+   * It may run more than once, so it must not have side effects.
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @param {Function} change - (timer, task) => { timer, entry }
+   * @returns {Promise<Object>} { before, timer, entry } with the stored entry's ID
+   */
+  async changeTimer(tenantId, username, change) {
+    try {
+      const timerRef = this.getTimerRef(tenantId, username);
+
+      return await adminDb.runTransaction(async (transaction) => {
+        const timerDoc = await transaction.get(timerRef);
+        const before = this.docToObject(timerDoc);
+
+        // Reads come before writes in a transaction, so load the timer's task now
+        const taskRef = before?.taskId ? adminDb.collection(TASKS_COLLECTION).doc(before.taskId) : null;
+        const taskDoc = taskRef ? await transaction.get(taskRef) : null;
+
+        const { timer, entry } = change(before, taskDoc?.exists ? taskDoc.data() : null);
+
+        if (timer === null) {
+          transaction.delete(timerRef);
+        } else if (timer !== undefined) {
+          transaction.set(timerRef, { ...timer, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+
+        let stored = null;
+        if (entry) {
+          const { id, ...data } = entry;
+          const entryRef = this.getCollection().doc();
+          transaction.set(entryRef, data);
+          stored = { id: entryRef.id, ...data };
+
+          if (taskDoc?.exists && entry.taskId === before.taskId) {
+            transaction.update(taskRef, {
+              trackedMinutes: admin.firestore.FieldValue.increment(entry.minutes)
+            });
+          }
+        }
+
+        return { before, timer: timer === undefined ? before : timer, entry: stored };
+      });
+    } catch (error) {
+      this.handleError(error, 'change timer');
+    }
+  }
+
+  /**
+   * Store a time entry and add its minutes to the task
+   * @param {Object} entryData - Entry data (see TimeEntryModel)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async create(entryData) {
+    try {
+      const { id, ...data } = entryData;
+      const entryRef = this.getCollection().doc();
+      const batch = adminDb.batch();
+
+      batch.set(entryRef, data);
+      batch.update(adminDb.collection(TASKS_COLLECTION).doc(data.taskId), {
+        trackedMinutes: admin.firestore.FieldValue.increment(data.minutes)
+      });
+      await batch.commit();
+
+      return { id: entryRef.id, ...data };
+    } catch (error) {
+      this.handleError(error, 'create time entry');
+    }
+  }
+
+  /**
+   * Find a time entry by ID
+   * @param {string} entryId - Entry ID
+   * @param {string} tenantId - Organization ID (for verification)
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findById(entryId, tenantId) {
+    try {
+      const entry = this.docToObject(await this.getCollection().doc(entryId).get());
+
+      if (!entry || (tenantId && entry.tenantId !== tenantId)) {
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      this.handleError(error, 'find time entry by ID');
+    }
+  }
+
+  /**
+   * Delete a time entry and take its minutes off the task
+   * @param {Object} entry - Stored entry
+   */
+  async delete(entry) {
+    try {
+      const taskRef = adminDb.collection(TASKS_COLLECTION).doc(entry.taskId);
+      const taskDoc = await taskRef.get();
+      const batch = adminDb.batch();
+
+      batch.delete(this.getCollection().doc(entry.id));
+      if (taskDoc.exists) {
+        batch.update(taskRef, {
+          trackedMinutes: admin.firestore.FieldValue.increment(-entry.minutes)
+        });
+      }
+      await batch.commit();
+    } catch (error) {
+      this.handleError(error, 'delete time entry');
+    }
+  }
+
+  /**
+   * Get a user's entries for a day
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async findByUserAndDate(tenantId, username, date) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('username', '==', username)
+        .where('date', '==', date)
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.docToObject(doc))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    } catch (error) {
+      this.handleError(error, 'find time entries by user and date');
+    }
+  }
+
+  /**
+   * Get the entries of a task
+   * @param {string} tenantId - Organization ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async findByTask(tenantId, taskId) {
+    try {
+      const snapshot = await this.getCollection()
+        .where('tenantId', '==', tenantId)
+        .where('taskId', '==', taskId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.docToObject(doc))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    } catch (error) {
+      this.handleError(error, 'find time entries by task');
+    }
+  }
+}
+
+export default TimeEntryRepository;
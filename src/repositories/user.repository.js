@@ -18,6 +18,7 @@ import {
   verifyPasswordResetToken,
   resetPasswordWithToken
 } from '../../lib/firebaseService.js';
+import { adminDb } from '../../lib/firebase-admin.js';
 
 export class UserRepository extends BaseRepository {
   constructor() {
@@ -185,11 +186,12 @@ export class UserRepository extends BaseRepository {
    * @param {string} userId - User ID
    * @param {string} token - Reset token
    * @param {string} tenantId - Organization ID (optional)
+   * @param {Object} options - { expiresInMs, issuedBy }
    * @returns {Promise<void>}
    */
-  async savePasswordResetToken(userId, token, tenantId = null) {
+  async savePasswordResetToken(userId, token, tenantId = null, options = {}) {
     try {
-      await savePasswordResetToken(userId, token, tenantId);
+      await savePasswordResetToken(userId, token, tenantId, options);
     } catch (error) {
       this.handleError(error, 'save password reset token');
     }
@@ -252,6 +254,22 @@ export class UserRepository extends BaseRepository {
       this.handleError(error, 'find active users');
     }
   }
+
+  /**
+   * Find the users with a phone number, in any organization
+   * @param {Array<string>} phones - The ways the number may be stored (at most 30)
+   * @returns {Promise<Array>} Users
+   */
+  async findByPhone(phones) {
+    try {
+      const snapshot = await adminDb.collection(this.collectionName)
+        .where('phone', 'in', phones)
+        .get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find users by phone');
+    }
+  }
 }
 
 export default UserRepository;
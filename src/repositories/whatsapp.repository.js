@@ -0,0 +1,279 @@
+/**
+ * WhatsApp Repository
+ * Handles database operations for an organization's WhatsApp settings
+ * (whatsapp_settings/{tenantId}), users' opt-ins
+ * (whatsappOptIns/{tenantId}_{username}), the delivery log and the last task
+ * list a user got by WhatsApp (whatsappSessions/{tenantId}_{username}) and
+ * the IDs of the messages received (whatsappInboundMessages/{messageId}).
+ */
+
+import { BaseRepository } from './base.repository.js';
+import { adminDb } from '../../lib/firebase-admin.js';
+import admin from 'firebase-admin';
+
+const OPT_IN_COLLECTION = 'whatsappOptIns';
+const DELIVERY_COLLECTION = 'whatsappDeliveries';
+const SESSION_COLLECTION = 'whatsappSessions';
+const INBOUND_COLLECTION = 'whatsappInboundMessages';
+
+// The Cloud API stops resending a webhook within days; a TTL policy on
+// expiresAt can delete message IDs after that
+const INBOUND_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+// gRPC status code returned by Firestore when create() targets an existing document
+const ALREADY_EXISTS = 6;
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+const optInDocId = (tenantId, username) => `${tenantId}_${username}`;
+
+export class WhatsAppRepository extends BaseRepository {
+  constructor() {
+    super('whatsapp_settings');
+  }
+
+  getSettingsRef(tenantId) {
+    return adminDb.collection(this.collectionName).doc(tenantId);
+  }
+
+  getOptInRef(tenantId, username) {
+    return adminDb.collection(OPT_IN_COLLECTION).doc(optInDocId(tenantId, username));
+  }
+
+  /**
+   * Get an organization's stored settings
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Settings or null when never saved
+   */
+  async getSettings(tenantId) {
+    try {
+      return this.docToObject(await this.getSettingsRef(tenantId).get());
+    } catch (error) {
+      this.handleError(error, 'get WhatsApp settings');
+    }
+  }
+
+  /**
+   * Store an organization's settings
+   * @param {Object} settings - Settings (see WhatsAppSettingsModel)
+   * @returns {Promise<Object>} Stored settings
+   */
+  async saveSettings(settings) {
+    try {
+      const { id, ...data } = settings;
+      await this.getSettingsRef(data.tenantId).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save WhatsApp settings');
+    }
+  }
+
+  /**
+   * Record the day the daily WFH summary went out
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   */
+  async markDailySummarySent(tenantId, date) {
+    try {
+      await this.getSettingsRef(tenantId).set({ lastDailySummaryDate: date }, { merge: true });
+    } catch (error) {
+      this.handleError(error, 'record daily WhatsApp summary');
+    }
+  }
+
+  /**
+   * Get a user's opt-in
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Opt-in or null when the user never chose
+   */
+  async findOptIn(tenantId, username) {
+    try {
+      return this.docToObject(await this.getOptInRef(tenantId, username).get());
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp opt-in');
+    }
+  }
+
+  /**
+   * Get the opt-ins of several users
+   * @param {string} tenantId - Organization ID
+   * @param {Array<string>} usernames - Usernames
+   * @returns {Promise<Map>} username -> opt-in (users who never chose are left out)
+   */
+  async findOptInsByUsers(tenantId, usernames) {
+    try {
+      if (usernames.length === 0) return new Map();
+
+      const docs = await adminDb.getAll(...usernames.map(username => this.getOptInRef(tenantId, username)));
+      return new Map(
+        docs
+          .filter(doc => doc.exists)
+          .map(doc => [doc.get('username'), this.docToObject(doc)])
+      );
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp opt-ins of users');
+    }
+  }
+
+  /**
+   * Get the opt-ins made with a phone number, in any organization
+   * @param {string} phone - Phone number (international format)
+   * @returns {Promise<Array>} Opt-ins
+   */
+  async findOptInsByPhone(phone) {
+    try {
+      const snapshot = await adminDb.collection(OPT_IN_COLLECTION)
+        .where('phone', '==', phone)
+        .get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp opt-ins by phone');
+    }
+  }
+
+  /**
+   * Get every opt-in of an organization
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Opt-ins
+   */
+  async findOptIns(tenantId) {
+    try {
+      const snapshot = await adminDb.collection(OPT_IN_COLLECTION)
+        .where('tenantId', '==', tenantId)
+        .get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp opt-ins');
+    }
+  }
+
+  /**
+   * Store a user's opt-in
+   * @param {Object} optIn - Opt-in (see WhatsAppOptInModel)
+   * @returns {Promise<Object>} Stored opt-in
+   */
+  async saveOptIn(optIn) {
+    try {
+      const { id, ...data } = optIn;
+      await this.getOptInRef(data.tenantId, data.username).set(data);
+      return data;
+    } catch (error) {
+      this.handleError(error, 'save WhatsApp opt-in');
+    }
+  }
+
+  /**
+   * Add entries to the delivery log
+   * @param {Array<Object>} deliveries - Entries (see WhatsAppDeliveryModel)
+   * @returns {Promise<Array>} Entries with their IDs
+   */
+  async createDeliveries(deliveries) {
+    try {
+      const created = [];
+
+      for (let i = 0; i < deliveries.length; i += BATCH_SIZE) {
+        const batch = adminDb.batch();
+        deliveries.slice(i, i + BATCH_SIZE).forEach(delivery => {
+          const ref = adminDb.collection(DELIVERY_COLLECTION).doc();
+          batch.set(ref, delivery);
+          created.push({ id: ref.id, ...delivery });
+        });
+        await batch.commit();
+      }
+
+      return created;
+    } catch (error) {
+      this.handleError(error, 'log WhatsApp deliveries');
+    }
+  }
+
+  /**
+   * Find delivery log entries, newest first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} criteria - { event, status, username, limit }
+   * @returns {Promise<Array>} Entries
+   */
+  async findDeliveries(tenantId, criteria = {}) {
+    try {
+      let query = adminDb.collection(DELIVERY_COLLECTION).where('tenantId', '==', tenantId);
+
+      if (criteria.event) {
+        query = query.where('event', '==', criteria.event);
+      }
+
+      if (criteria.status) {
+        query = query.where('status', '==', criteria.status);
+      }
+
+      if (criteria.username) {
+        query = query.where('username', '==', criteria.username);
+      }
+
+      const snapshot = await query.orderBy('createdAt', 'desc').limit(criteria.limit).get();
+      return snapshot.docs.map(doc => this.docToObject(doc));
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp deliveries');
+    }
+  }
+
+  /**
+   * Remember the tasks a user was last sent, in the order they were numbered
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @param {Array<string>} taskIds - Task IDs
+   */
+  async saveTaskList(tenantId, username, taskIds) {
+    try {
+      await adminDb.collection(SESSION_COLLECTION).doc(optInDocId(tenantId, username)).set({
+        tenantId,
+        username,
+        taskIds,
+        listedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      this.handleError(error, 'save WhatsApp task list');
+    }
+  }
+
+  /**
+   * Get the tasks a user was last sent
+   * @param {string} tenantId - Organization ID
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} { taskIds, listedAt } or null when never sent any
+   */
+  async findTaskList(tenantId, username) {
+    try {
+      const doc = await adminDb.collection(SESSION_COLLECTION).doc(optInDocId(tenantId, username)).get();
+      return this.docToObject(doc);
+    } catch (error) {
+      this.handleError(error, 'find WhatsApp task list');
+    }
+  }
+
+  /**
+   * Record a received message, unless it was received before
+   * Creating the document fails when it exists, so of two deliveries of the
+   * same message handled at once only one gets true.
+   * @param {string} messageId - WhatsApp message ID (wamid)
+   * @returns {Promise<boolean>} False when the message was recorded before
+   */
+  async claimInboundMessage(messageId) {
+    try {
+      const now = Date.now();
+      // wamids are base64 and may hold a /, which document IDs can't
+      await adminDb.collection(INBOUND_COLLECTION).doc(encodeURIComponent(messageId)).create({
+        messageId,
+        receivedAt: new Date(now).toISOString(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + INBOUND_RETENTION_MS)
+      });
+      return true;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) return false;
+      this.handleError(error, 'record WhatsApp message');
+    }
+  }
+}
+
+export default WhatsAppRepository;
@@ -6,11 +6,27 @@
 
 import { AttendanceRepository } from '../repositories/attendance.repository.js';
 import { AttendanceModel } from '../models/attendance.model.js';
+import { LeaveService } from './leave.service.js';
+import { HolidayService } from './holiday.service.js';
+import { ShiftService } from './shift.service.js';
+import { OfficeSiteService } from './officeSite.service.js';
+import { WhatsAppService } from './whatsapp.service.js';
 import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { HOLIDAY_TYPES } from '../models/holiday.model.js';
+import { DEFAULT_MONTHLY_LIMIT } from '../models/regularizationRequest.model.js';
+import { DAY_OFF_TYPE, holidayAppliesTo, eachDateInRange } from '../utils/holidayCalendar.util.js';
+import { summarizeAttendance, splitRangeByMonth } from '../utils/attendanceReport.util.js';
+import { ATTENDANCE_STATUS } from '../utils/constants.js';
+import { getIndiaDate, getIndiaTime } from '../../lib/timezone.js';
 
 export class AttendanceService {
   constructor() {
     this.attendanceRepository = new AttendanceRepository();
+    this.leaveService = new LeaveService();
+    this.holidayService = new HolidayService();
+    this.shiftService = new ShiftService();
+    this.officeSiteService = new OfficeSiteService();
+    this.whatsappService = new WhatsAppService();
   }
 
   /**
@@ -107,10 +123,26 @@ export class AttendanceService {
       tenantId
     );
 
-    if (todayRecord) {
+    // A half-day leave record can still be clocked in on (see markAttendance in firebaseService)
+    const halfDayLeave = todayRecord?.leaveRequestId &&
+      todayRecord.status === ATTENDANCE_STATUS.HALF_DAY &&
+      !todayRecord.checkIn;
+
+    if (todayRecord && !halfDayLeave) {
       throw new ConflictError('Attendance already marked for today');
     }
 
+    // Office clock-ins are matched to the organization's office sites
+    if (normalizedData.workType === 'office') {
+      const location = attendanceData.location && typeof attendanceData.location === 'object' && !attendanceData.location.isFallback
+        ? attendanceData.location
+        : null;
+      normalizedData.officeSite = await this.officeSiteService.checkClockIn(tenantId, {
+        location,
+        ipAddress: attendanceData.ipAddress
+      });
+    }
+
     // Create attendance model and save using original repository
     const attendanceModel = new AttendanceModel(normalizedData);
     const newRecord = await this.attendanceRepository.create(
@@ -118,23 +150,9 @@ export class AttendanceService {
       tenantId
     );
 
-    // Send WhatsApp notification if WFH clock-in
-    const workType = normalizedData.workType;
-    if (workType === 'wfh') {
-      try {
-        const { sendWFHAttendanceNotification } = await import('../../lib/whatsappService.js');
-        await sendWFHAttendanceNotification({
-          username: normalizedData.username,
-          workType: workType,
-          clockIn: newRecord.clockIn || newRecord.checkIn,
-          date: newRecord.date,
-          status: newRecord.status
-        });
-        console.log(`WhatsApp notification sent for WFH clock in: ${normalizedData.username}`);
-      } catch (whatsappError) {
-        console.warn('WhatsApp notification failed:', whatsappError);
-        // Don't fail the attendance marking if WhatsApp fails
-      }
+    // WhatsApp the organization's WFH recipients (never fails the clock-in)
+    if (normalizedData.workType === 'wfh') {
+      await this.whatsappService.notifyWfhAttendance(tenantId, newRecord, 'Clock In');
     }
 
     return new AttendanceModel(newRecord).toResponseObject();
@@ -151,8 +169,8 @@ export class AttendanceService {
       throw new ValidationError('Username and tenant ID are required');
     }
 
-    // Check if attendance is marked today
-    const todayRecord = await this.attendanceRepository.getTodayRecord(username, tenantId);
+    // Check if attendance is marked today (or last night, for an overnight shift)
+    const todayRecord = await this.attendanceRepository.getClockOutRecord(username, tenantId);
 
     if (!todayRecord) {
       throw new NotFoundError('No attendance record found for today');
@@ -172,24 +190,8 @@ export class AttendanceService {
     // Update the record with clock out time and calculate total hours
     const updatedRecord = await this.attendanceRepository.clockOut(todayRecord.id, clockOutTime, tenantId);
 
-    // Send WhatsApp notification if WFH
-    const workType = updatedRecord.workType || updatedRecord.workMode;
-    if (workType === 'wfh') {
-      try {
-        const { sendWFHAttendanceNotification } = await import('../../lib/whatsappService.js');
-        await sendWFHAttendanceNotification({
-          username: updatedRecord.username,
-          workType: workType,
-          clockOut: updatedRecord.clockOut || updatedRecord.checkOut,
-          clockIn: updatedRecord.clockIn || updatedRecord.checkIn,
-          date: updatedRecord.date,
-          status: updatedRecord.status
-        });
-        console.log(`WhatsApp notification sent for WFH clock out: ${username}`);
-      } catch (whatsappError) {
-        console.warn('WhatsApp notification failed:', whatsappError);
-        // Don't fail the clock out if WhatsApp fails
-      }
+    if ((updatedRecord.workType || updatedRecord.workMode) === 'wfh') {
+      await this.whatsappService.notifyWfhAttendance(tenantId, updatedRecord, 'Clock Out');
     }
 
     return new AttendanceModel(updatedRecord).toResponseObject();
@@ -324,10 +326,24 @@ export class AttendanceService {
       record => new AttendanceModel(record).toResponseObject()
     );
 
+    // Payroll view of the month: days off from the calendar, hours, late marks
+    const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
+    const endDate = `${year}-${String(month).padStart(2, '0')}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    const [calendar, location] = await Promise.all([
+      this.holidayService.getCalendarForRange(tenantId, startDate, endDate),
+      this.holidayService.getUserLocation(username, tenantId)
+    ]);
+
     return {
       year,
       month,
-      ...monthlyData
+      ...monthlyData,
+      payroll: summarizeAttendance({
+        dates: eachDateInRange(startDate, endDate),
+        records: monthlyData.records,
+        calendar,
+        location
+      })
     };
   }
 
@@ -391,8 +407,64 @@ export class AttendanceService {
     return exportData;
   }
 
+  /**
+   * Build the payroll report: each employee's attendance summed up per
+   * month of the range (see getMonthlyAttendance), with a code per day
+   * @param {string} tenantId - Organization ID
+   * @param {Object} options - { startDate?, endDate? (YYYY-MM-DD, default this
+   *   month), usernames? (only these employees) }
+   * @returns {Promise<Object>} { startDate, endDate, employees: [{ month,
+   *   username, fullName, department, ...summary }] } by month, then username
+   */
+  async exportPayroll(tenantId, { startDate, endDate, usernames } = {}) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const today = getIndiaDate();
+    const [year, month] = today.split('-').map(Number);
+    const rangeStart = startDate || `${today.slice(0, 7)}-01`;
+    const rangeEnd = endDate || `${today.slice(0, 7)}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    this.holidayService.validateRange(rangeStart, rangeEnd);
+
+    const [users, exportData, calendar] = await Promise.all([
+      this.attendanceRepository.getAllActiveUsers(tenantId),
+      this.exportAttendanceData(tenantId, { startDate: rangeStart, endDate: rangeEnd, usernames }),
+      this.holidayService.getCalendarForRange(tenantId, rangeStart, rangeEnd)
+    ]);
+
+    const employees = users
+      .filter(user => !Array.isArray(usernames) || usernames.includes(user.username))
+      .sort((a, b) => a.username.localeCompare(b.username));
+
+    const recordsByUser = new Map();
+    (exportData.records || []).forEach(record => {
+      if (!recordsByUser.has(record.username)) recordsByUser.set(record.username, []);
+      recordsByUser.get(record.username).push(record);
+    });
+
+    const rows = splitRangeByMonth(rangeStart, rangeEnd).flatMap(({ month: monthKey, dates }) =>
+      employees.map(user => ({
+        month: monthKey,
+        username: user.username,
+        fullName: user.fullName || '',
+        department: user.department || '',
+        ...summarizeAttendance({
+          dates,
+          records: (recordsByUser.get(user.username) || []).filter(record => record.date.startsWith(monthKey)),
+          calendar,
+          location: user.location || null
+        })
+      }))
+    );
+
+    return { startDate: rangeStart, endDate: rangeEnd, employees: rows };
+  }
+
   /**
    * Mark auto-absent for users who didn't mark attendance
+   * Users on approved leave that day are skipped, and so are users whose
+   * shift has not ended yet.
    * @param {string} tenantId - Organization ID
    * @param {string} date - Date to mark absent (YYYY-MM-DD, defaults to today)
    * @param {Array} allUsernames - List of all active usernames in the organization
@@ -416,10 +488,20 @@ export class AttendanceService {
       throw new ValidationError('Invalid date format. Use YYYY-MM-DD');
     }
 
+    // Nobody is absent on their weekly off, a holiday or approved leave, or before their shift ends
+    const [dayOff, onLeave, onShift] = await Promise.all([
+      this.holidayService.getUsernamesOff(tenantId, targetDate, allUsernames),
+      this.leaveService.getUsernamesOnLeave(tenantId, targetDate),
+      this.shiftService.getUsernamesBeforeShiftEnd(tenantId, targetDate, allUsernames, {
+        date: getIndiaDate(),
+        time: getIndiaTime()
+      })
+    ]);
+
     const absentRecords = await this.attendanceRepository.markAutoAbsent(
       tenantId,
       targetDate,
-      allUsernames
+      allUsernames.filter(username => !dayOff.has(username) && !onLeave.has(username) && !onShift.has(username))
     );
 
     return absentRecords.map(record => new AttendanceModel(record).toResponseObject());
@@ -524,7 +606,10 @@ export class AttendanceService {
         deadlineMinute: 0,
         autoMarkAbsent: true,
         autoMarkAbsentTime: '23:59',
-        halfDayEnabled: false
+        halfDayEnabled: false,
+        defaultShiftId: null,
+        requireOfficeSite: false,
+        regularizationMonthlyLimit: DEFAULT_MONTHLY_LIMIT
       };
     }
 
@@ -555,6 +640,10 @@ export class AttendanceService {
       }
     }
 
+    if (settings.defaultShiftId) {
+      await this.shiftService.getShift(settings.defaultShiftId, tenantId);
+    }
+
     const updatedSettings = await this.attendanceRepository.updateSettings(tenantId, settings);
     return updatedSettings;
   }
@@ -610,7 +699,7 @@ export class AttendanceService {
   }
 
   /**
-   * Mark holiday and auto-present all users
+   * Add a holiday to the organization's calendar and auto-present all users
    * @param {Object} holidayData - Holiday data
    * @returns {Promise<Object>} Holiday creation result
    */
@@ -622,14 +711,12 @@ export class AttendanceService {
     }
 
     try {
-      // First, mark the holiday
-      const holiday = await this.attendanceRepository.createHoliday({
-        date,
-        name: holidayName,
+      // First, add the holiday to the calendar
+      const holiday = await this.holidayService.addHoliday(
+        { date, name: holidayName, type: HOLIDAY_TYPES.COMPANY },
         tenantId,
-        createdBy: markedBy,
-        createdAt: new Date().toISOString()
-      });
+        markedBy
+      );
 
       let usersMarkedPresent = 0;
 
@@ -673,6 +760,7 @@ export class AttendanceService {
       };
     } catch (error) {
       console.error('Mark holiday error:', error);
+      if (error.statusCode) throw error;
       throw new Error(`Failed to mark holiday: ${error.message}`);
     }
   }
@@ -699,6 +787,8 @@ export class AttendanceService {
 
   /**
    * Fix past holiday attendance records to ensure all users are marked present
+   * Covers the last six months of the organization's calendar: weekly offs
+   * and holidays (regional ones only for users at their locations).
    * @param {string} tenantId - Organization ID
    * @returns {Promise<Object>} Fix results
    */
@@ -713,26 +803,12 @@ export class AttendanceService {
       // Get date range for checking (last 6 months to present)
       const sixMonthsAgo = new Date();
       sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-      const today = new Date();
-
-      // Get all Sundays in the date range
-      const sundays = this.getSundaysInDateRange(sixMonthsAgo, today);
+      const from = sixMonthsAgo.toISOString().split('T')[0];
+      const to = new Date().toISOString().split('T')[0];
 
-      // Known holidays (add more as needed)
-      const knownHolidays = [
-        { date: '2024-08-15', name: 'Independence Day' },
-        { date: '2024-10-02', name: 'Gandhi Jayanti' },
-        { date: '2024-12-25', name: 'Christmas' },
-        { date: '2025-01-26', name: 'Republic Day' },
-      ];
+      const daysOff = await this.holidayService.getDaysOff(tenantId, from, to);
 
-      // Combine holidays and Sundays
-      const allHolidayDates = [
-        ...knownHolidays.map(h => ({ date: new Date(h.date), name: h.name, type: 'holiday' })),
-        ...sundays.map(s => ({ date: s, name: 'Sunday', type: 'sunday' }))
-      ].filter(h => h.date >= sixMonthsAgo && h.date <= today);
-
-      console.log(`Checking ${allHolidayDates.length} holiday/Sunday dates`);
+      console.log(`Checking ${daysOff.length} weekly off/holiday dates`);
 
       // Get all active users for the tenant
       const users = await this.attendanceRepository.getAllActiveUsers(tenantId);
@@ -741,32 +817,32 @@ export class AttendanceService {
       let totalIssuesFound = 0;
       let totalIssuesFixed = 0;
       const holidayDates = [];
+      const recordsByDate = new Map();
 
-      // Check each holiday date
-      for (const holidayInfo of allHolidayDates) {
-        const { date: holidayDate, name: holidayName, type } = holidayInfo;
-        const dateStr = holidayDate.toISOString().split('T')[0];
+      // Check each day off
+      for (const dayOff of daysOff) {
+        const { date: dateStr, name: holidayName, type } = dayOff;
+        const label = type === DAY_OFF_TYPE.WEEKLY_OFF ? 'Weekly off' : 'Holiday';
 
         holidayDates.push({
           date: dateStr,
           name: holidayName,
-          type
+          type,
+          locations: dayOff.locations
         });
 
-        // Get existing attendance records for this date
-        const existingRecords = await this.attendanceRepository.getAttendanceByDate(tenantId, dateStr);
-
-        // Create a map of existing records
-        const recordsMap = new Map();
-        existingRecords.forEach(record => {
-          recordsMap.set(record.username, record);
-        });
+        // Get existing attendance records for this date (once per date)
+        if (!recordsByDate.has(dateStr)) {
+          const existingRecords = await this.attendanceRepository.getAttendanceByDate(tenantId, dateStr);
+          recordsByDate.set(dateStr, new Map(existingRecords.map(record => [record.username, record])));
+        }
+        const recordsMap = recordsByDate.get(dateStr);
 
         let dateIssuesFound = 0;
         let dateIssuesFixed = 0;
 
-        // Check each user for this holiday
-        for (const user of users) {
+        // Check each user the day off applies to
+        for (const user of users.filter(u => holidayAppliesTo(dayOff, u.location))) {
           const existingRecord = recordsMap.get(user.username);
 
           if (!existingRecord) {
@@ -778,11 +854,12 @@ export class AttendanceService {
               clockIn: '09:00',
               clockOut: '17:00',
               location: 'office',
-              notes: `${type === 'sunday' ? 'Sunday' : 'Holiday'} - Auto marked present`,
+              notes: `${label} - Auto marked present`,
               tenantId
             };
 
             await this.attendanceRepository.upsertAttendanceWithDetails(attendanceData, tenantId);
+            recordsMap.set(user.username, attendanceData);
             dateIssuesFound++;
             dateIssuesFixed++;
 
@@ -794,10 +871,11 @@ export class AttendanceService {
               clockIn: existingRecord.clockIn || '09:00',
               clockOut: existingRecord.clockOut || '17:00',
               location: existingRecord.location || 'office',
-              notes: existingRecord.notes || `${type === 'sunday' ? 'Sunday' : 'Holiday'} - Fixed from absent to present`
+              notes: existingRecord.notes || `${label} - Fixed from absent to present`
             };
 
             await this.attendanceRepository.upsertAttendanceWithDetails(updatedData, tenantId);
+            recordsMap.set(user.username, updatedData);
             dateIssuesFound++;
             dateIssuesFixed++;
           }
@@ -811,23 +889,20 @@ export class AttendanceService {
       }
 
       const result = {
-        datesChecked: allHolidayDates.length,
+        datesChecked: daysOff.length,
         issuesFound: totalIssuesFound,
         issuesFixed: totalIssuesFixed,
         holidayDates,
         summary: {
           tenantId,
           usersChecked: users.length,
-          dateRange: {
-            from: sixMonthsAgo.toISOString().split('T')[0],
-            to: today.toISOString().split('T')[0]
-          },
-          sundays: sundays.length,
-          holidays: knownHolidays.length
+          dateRange: { from, to },
+          weeklyOffs: daysOff.filter(day => day.type === DAY_OFF_TYPE.WEEKLY_OFF).length,
+          holidays: daysOff.filter(day => day.type === DAY_OFF_TYPE.HOLIDAY).length
         }
       };
 
-      console.log(`Past holiday fix completed: ${totalIssuesFixed} records fixed across ${allHolidayDates.length} dates`);
+      console.log(`Past holiday fix completed: ${totalIssuesFixed} records fixed across ${daysOff.length} dates`);
       return result;
 
     } catch (error) {
@@ -836,27 +911,6 @@ export class AttendanceService {
     }
   }
 
-  /**
-   * Helper function to get all Sundays in date range
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @returns {Array} Array of Sunday dates
-   */
-  getSundaysInDateRange(startDate, endDate) {
-    const sundays = [];
-    const current = new Date(startDate);
-    const end = new Date(endDate);
-
-    while (current <= end) {
-      if (current.getDay() === 0) { // 0 = Sunday
-        sundays.push(new Date(current));
-      }
-      current.setDate(current.getDate() + 1);
-    }
-
-    return sundays;
-  }
-
   /**
    * Bulk update attendance for multiple dates for a single user
    * @param {string} tenantId - Organization ID
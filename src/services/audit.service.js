@@ -0,0 +1,231 @@
+/**
+ * Audit Service
+ * Records, queries, exports and verifies the organization audit log
+ *
+ * The audit log is the 'audit-logs' plan feature: it is only written and
+ * readable for organizations whose plan includes it. Entries are chained by
+ * hash (see audit.util), so verifyChain can prove nothing was changed.
+ */
+
+import { AuditLogRepository } from '../repositories/auditLog.repository.js';
+import { OrganizationRepository } from '../repositories/organization.repository.js';
+import { AuditLogModel } from '../models/auditLog.model.js';
+import { ValidationError, ForbiddenError } from '../utils/errors.js';
+import { GENESIS_HASH, diffRecords, hashAuditEntry } from '../utils/audit.util.js';
+
+export const AUDIT_FEATURE = 'audit-logs';
+
+// The plan check runs on every mutating request, so it is cached briefly
+const FEATURE_CACHE_TTL_MS = 60 * 1000;
+const featureCache = new Map();
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ENTRIES = 10000;
+const VERIFY_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'sequence', 'createdAt', 'actorUsername', 'ipAddress', 'action', 'resourceType',
+  'resourceId', 'method', 'path', 'statusCode', 'changes', 'prevHash', 'hash'
+];
+
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export class AuditService {
+  constructor() {
+    this.auditLogRepository = new AuditLogRepository();
+    this.organizationRepository = new OrganizationRepository();
+  }
+
+  /**
+   * Check whether an organization's plan includes the audit log
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(tenantId) {
+    if (!tenantId) return false;
+
+    const cached = featureCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.enabled;
+    }
+
+    const enabled = await this.organizationRepository.hasFeature(tenantId, AUDIT_FEATURE);
+    featureCache.set(tenantId, { enabled, expiresAt: Date.now() + FEATURE_CACHE_TTL_MS });
+
+    return enabled;
+  }
+
+  /**
+   * Throw unless the organization's plan includes the audit log
+   * @param {string} tenantId - Organization ID
+   */
+  async assertEnabled(tenantId) {
+    if (!(await this.isEnabled(tenantId))) {
+      throw new ForbiddenError('The audit log is not included in your plan');
+    }
+  }
+
+  /**
+   * Append an entry for a change made through the API
+   * Does nothing when the organization's plan has no audit log.
+   * @param {Object} data - { tenantId, actorId, actorUsername, ipAddress, userAgent, method, path,
+   *                          statusCode, resourceType, resourceId, action, before, after }
+   * @returns {Promise<Object|null>} Stored entry, or null when not recorded
+   */
+  async record({ before = null, after = null, ...data }) {
+    if (!(await this.isEnabled(data.tenantId))) {
+      return null;
+    }
+
+    const diff = diffRecords(before, after);
+
+    return await this.auditLogRepository.append(data.tenantId, ({ sequence, prevHash }) => {
+      const entry = new AuditLogModel({
+        ...data,
+        diff,
+        sequence,
+        prevHash: prevHash || GENESIS_HASH,
+        createdAt: new Date().toISOString()
+      }).toObject();
+
+      return { ...entry, hash: hashAuditEntry(entry, entry.prevHash) };
+    });
+  }
+
+  /**
+   * Get a page of entries, newest first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - { actor, resourceType, resourceId, from, to, limit, cursor }
+   * @returns {Promise<Object>} { entries, nextCursor }
+   */
+  async getLogs(tenantId, filters = {}) {
+    await this.assertEnabled(tenantId);
+
+    return await this.auditLogRepository.find(tenantId, {
+      ...this.normalizeFilters(filters),
+      limit: Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE),
+      cursor: filters.cursor || null
+    });
+  }
+
+  /**
+   * Export matching entries as CSV or JSON
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - Same filters as getLogs
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<Object>} { content, contentType, filename, count }
+   */
+  async exportLogs(tenantId, filters = {}, format = 'csv') {
+    await this.assertEnabled(tenantId);
+
+    if (!['csv', 'json'].includes(format)) {
+      throw new ValidationError('Format must be csv or json');
+    }
+
+    const entries = [];
+    let cursor = null;
+
+    do {
+      const page = await this.auditLogRepository.find(tenantId, {
+        ...this.normalizeFilters(filters),
+        limit: MAX_PAGE_SIZE,
+        cursor
+      });
+
+      entries.push(...page.entries);
+      cursor = page.nextCursor;
+    } while (cursor && entries.length < MAX_EXPORT_ENTRIES);
+
+    const exported = entries.slice(0, MAX_EXPORT_ENTRIES);
+    const filename = `audit-log-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    if (format === 'json') {
+      return {
+        content: JSON.stringify(exported, null, 2),
+        contentType: 'application/json',
+        filename,
+        count: exported.length
+      };
+    }
+
+    const rows = exported.map(entry => CSV_COLUMNS.map(column => toCsvCell(
+      column === 'changes'
+        ? (entry.diff || []).map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; ')
+        : entry[column]
+    )).join(','));
+
+    return {
+      content: [CSV_COLUMNS.join(','), ...rows].join('\n'),
+      contentType: 'text/csv',
+      filename,
+      count: exported.length
+    };
+  }
+
+  /**
+   * Recompute the hash chain and report the first entry that does not match
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { valid, checked, brokenAt, reason }
+   */
+  async verifyChain(tenantId) {
+    await this.assertEnabled(tenantId);
+
+    const head = await this.auditLogRepository.getHead(tenantId);
+    let expectedSequence = 1;
+    let prevHash = GENESIS_HASH;
+    let batch;
+
+    do {
+      batch = await this.auditLogRepository.findBySequence(tenantId, expectedSequence - 1, VERIFY_BATCH_SIZE);
+
+      for (const entry of batch) {
+        if (entry.sequence !== expectedSequence) {
+          return { valid: false, checked: expectedSequence - 1, brokenAt: expectedSequence, reason: 'Entry is missing' };
+        }
+
+        if (entry.prevHash !== prevHash || hashAuditEntry(entry, prevHash) !== entry.hash) {
+          return { valid: false, checked: expectedSequence - 1, brokenAt: entry.sequence, reason: 'Entry was modified' };
+        }
+
+        prevHash = entry.hash;
+        expectedSequence++;
+      }
+    } while (batch.length === VERIFY_BATCH_SIZE);
+
+    const checked = expectedSequence - 1;
+
+    // Entries removed from the end leave the head pointing past the last one
+    if ((head?.sequence || 0) !== checked || (head && head.lastHash !== prevHash)) {
+      return { valid: false, checked, brokenAt: checked + 1, reason: 'Latest entries are missing' };
+    }
+
+    return { valid: true, checked, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Map query parameters to repository filters
+   * @param {Object} filters - { actor, resourceType, resourceId, from, to }
+   * @returns {Object} Repository filters
+   */
+  normalizeFilters({ actor, resourceType, resourceId, from, to }) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      throw new ValidationError('Dates must use the YYYY-MM-DD format');
+    }
+
+    return {
+      actorUsername: actor || null,
+      resourceType: resourceType || null,
+      resourceId: resourceId || null,
+      // Whole days: from the start of `from` to the end of `to` (UTC)
+      from: from ? `${from}T00:00:00.000Z` : null,
+      to: to ? `${to}T23:59:59.999Z` : null
+    };
+  }
+}
+
+export default AuditService;
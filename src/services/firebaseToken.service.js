@@ -0,0 +1,69 @@
+/**
+ * Firebase Token Service
+ * Mints Firebase custom tokens for the browser's direct Firestore access
+ *
+ * The token's claims are what firestore.rules checks: the tenant, the role
+ * and how widely the role may read the collections the client queries. The
+ * claims are copied into every Firebase ID token of the session, so a role or
+ * tenant change takes effect the next time a token is minted (next login).
+ */
+
+import { adminAuth } from '../../lib/firebase-admin.js';
+import { RoleService } from './role.service.js';
+import { ValidationError } from '../utils/errors.js';
+import { PERMISSIONS, DEFAULT_ROLE, getPermissionScope } from '../utils/permissions.util.js';
+
+export class FirebaseTokenService {
+  constructor() {
+    this.roleService = new RoleService();
+  }
+
+  /**
+   * Build the custom claims for a user
+   * tasksRead and attendanceRead are 'all', 'team' or null (own records only).
+   * @param {Object} user - User ({ id, username, role, tenantId })
+   * @returns {Promise<Object>} Claims
+   */
+  async buildClaims(user) {
+    const grants = await this.roleService.getPermissionsForUser(user);
+
+    return {
+      tenantId: user.tenantId,
+      role: user.role || DEFAULT_ROLE,
+      username: user.username,
+      tasksRead: getPermissionScope(grants, PERMISSIONS.TASKS_READ),
+      attendanceRead: getPermissionScope(grants, PERMISSIONS.ATTENDANCE_READ)
+    };
+  }
+
+  /**
+   * Mint a custom token the client exchanges with signInWithCustomToken
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<string>} Custom token (valid for one hour)
+   */
+  async createCustomToken(user) {
+    if (!user?.id || !user?.tenantId) {
+      throw new ValidationError('User ID and tenant ID are required');
+    }
+
+    return await adminAuth.createCustomToken(user.id, await this.buildClaims(user));
+  }
+
+  /**
+   * Mint a custom token for a login response
+   * A failure does not fail the login; the client asks again through
+   * /api/auth/firebase-token when it first needs Firestore.
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<string|null>} Custom token or null
+   */
+  async createLoginToken(user) {
+    try {
+      return await this.createCustomToken(user);
+    } catch (error) {
+      console.error('Failed to create Firebase custom token:', error.message);
+      return null;
+    }
+  }
+}
+
+export default FirebaseTokenService;
@@ -0,0 +1,325 @@
+/**
+ * Holiday Service
+ * Organization holiday calendars: weekly offs, named holidays and ICS import
+ *
+ * This is the one place that decides whether a date is a working day.
+ * Auto-absent, attendance statistics and leave all ask it; a date is off for
+ * a user when it is one of the organization's weekly offs or a holiday that
+ * applies to the user's location.
+ */
+
+import { HolidayRepository } from '../repositories/holiday.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { HolidayModel, HOLIDAY_TYPES, HOLIDAY_SOURCE } from '../models/holiday.model.js';
+import { HolidayCalendarModel } from '../models/holidayCalendar.model.js';
+import {
+  DAY_OFF_TYPE,
+  getDayOff,
+  getWorkingDays,
+  isWeeklyOff,
+  eachDateInRange,
+  holidayAppliesTo,
+  parseIcsHolidays
+} from '../utils/holidayCalendar.util.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range looked at in one go (two years)
+const MAX_RANGE_DAYS = 731;
+
+const MAX_IMPORT_HOLIDAYS = 500;
+
+export class HolidayService {
+  constructor() {
+    this.holidayRepository = new HolidayRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  validateRange(startDate, endDate) {
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      throw new ValidationError('Start and end dates are required (YYYY-MM-DD)');
+    }
+    if (endDate < startDate) {
+      throw new ValidationError('End date must not be before the start date');
+    }
+    if (eachDateInRange(startDate, endDate).length > MAX_RANGE_DAYS) {
+      throw new ValidationError('Date range must be at most two years');
+    }
+  }
+
+  /**
+   * Get an organization's calendar (weekly offs), with Sundays off when never set
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { tenantId, weeklyOffs, updatedBy, updatedAt }
+   */
+  async getCalendar(tenantId) {
+    const stored = await this.holidayRepository.getCalendar(tenantId);
+    return new HolidayCalendarModel({ ...stored, tenantId }).toObject();
+  }
+
+  /**
+   * Replace an organization's weekly offs
+   * @param {string} tenantId - Organization ID
+   * @param {Array} weeklyOffs - [{ day, weeks }]
+   * @param {string} updatedBy - Username
+   * @returns {Promise<Object>} Updated calendar
+   */
+  async updateWeeklyOffs(tenantId, weeklyOffs, updatedBy) {
+    const validation = HolidayCalendarModel.validate({ weeklyOffs });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid weekly offs', validation.errors);
+    }
+
+    return await this.holidayRepository.saveCalendar(new HolidayCalendarModel({
+      tenantId,
+      weeklyOffs,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    }).toObject());
+  }
+
+  /**
+   * List an organization's holidays in a date range
+   * @returns {Promise<Array>} Holidays, earliest first
+   */
+  async listHolidays(tenantId, startDate, endDate) {
+    this.validateRange(startDate, endDate);
+    const holidays = await this.holidayRepository.findInRange(tenantId, startDate, endDate);
+    return holidays.map(holiday => new HolidayModel(holiday).toObject());
+  }
+
+  /**
+   * Get a holiday
+   * @throws {NotFoundError} No such holiday in the organization
+   */
+  async getHoliday(holidayId, tenantId) {
+    const holiday = await this.holidayRepository.findById(holidayId, tenantId);
+    if (!holiday) {
+      throw new NotFoundError('Holiday');
+    }
+    return new HolidayModel(holiday).toObject();
+  }
+
+  /**
+   * Add a holiday
+   * @param {Object} data - { date, name, type?, locations? }
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username
+   * @returns {Promise<Object>} Created holiday
+   * @throws {ConflictError} A holiday with the same name is already on that date
+   */
+  async addHoliday(data, tenantId, createdBy) {
+    const validation = HolidayModel.validate({ ...data, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid holiday', validation.errors);
+    }
+
+    const holiday = new HolidayModel({
+      date: data.date,
+      name: data.name,
+      type: data.type,
+      locations: data.locations,
+      tenantId,
+      source: HOLIDAY_SOURCE.MANUAL,
+      createdBy
+    }).toObject();
+
+    const sameDay = await this.holidayRepository.findInRange(tenantId, holiday.date, holiday.date);
+    if (sameDay.some(existing => existing.name.toLowerCase() === holiday.name.toLowerCase())) {
+      throw new ConflictError(`${holiday.name} is already a holiday on ${holiday.date}`);
+    }
+
+    return await this.holidayRepository.create(holiday);
+  }
+
+  /**
+   * Change a holiday's date, name, type or locations
+   * @param {Object} holiday - Current holiday
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated holiday
+   */
+  async updateHoliday(holiday, changes) {
+    const allowed = Object.fromEntries(
+      ['date', 'name', 'type', 'locations']
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field]])
+    );
+
+    const validation = HolidayModel.validate(allowed, true);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid holiday', validation.errors);
+    }
+
+    const { id, createdAt, updatedAt, ...fields } = new HolidayModel({ ...holiday, ...allowed }).toObject();
+    const saved = await this.holidayRepository.update(holiday.id, fields);
+    return { ...holiday, ...fields, ...saved };
+  }
+
+  /**
+   * Remove a holiday
+   */
+  async deleteHoliday(holiday) {
+    await this.holidayRepository.delete(holiday.id);
+  }
+
+  /**
+   * Import the all-day events of an ICS file as holidays
+   * Events already imported (same UID) are updated; events matching a
+   * holiday by date and name are skipped.
+   * @param {string} icsText - File contents
+   * @param {Object} options - { type?, locations? } applied to every imported holiday
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username
+   * @returns {Promise<Object>} { imported, updated, skipped, holidays }
+   */
+  async importIcs(icsText, options, tenantId, createdBy) {
+    if (typeof icsText !== 'string' || !icsText.includes('BEGIN:VCALENDAR')) {
+      throw new ValidationError('An iCalendar (.ics) file is required');
+    }
+
+    const { type = HOLIDAY_TYPES.NATIONAL, locations = [] } = options || {};
+    const optionCheck = HolidayModel.validate({ type, locations }, true);
+    if (!optionCheck.isValid) {
+      throw new ValidationError('Invalid import options', optionCheck.errors);
+    }
+
+    const parsed = parseIcsHolidays(icsText);
+    if (parsed.length === 0) {
+      throw new ValidationError('The file has no all-day events to import');
+    }
+    if (parsed.length > MAX_IMPORT_HOLIDAYS) {
+      throw new ValidationError(`At most ${MAX_IMPORT_HOLIDAYS} holidays can be imported at once`);
+    }
+
+    const dates = parsed.map(holiday => holiday.date).sort();
+    const existing = await this.holidayRepository.findInRange(tenantId, dates[0], dates[dates.length - 1]);
+    const byExternalId = new Map(existing.filter(h => h.externalId).map(h => [h.externalId, h]));
+    const byDateAndName = new Set(existing.map(h => `${h.date}|${h.name.toLowerCase()}`));
+
+    const result = { imported: 0, updated: 0, skipped: 0, holidays: [] };
+
+    for (const entry of parsed) {
+      const current = entry.externalId && byExternalId.get(entry.externalId);
+
+      if (current) {
+        if (current.date !== entry.date || current.name !== entry.name) {
+          result.holidays.push(await this.updateHoliday(current, { date: entry.date, name: entry.name }));
+          result.updated++;
+        } else {
+          result.skipped++;
+        }
+        continue;
+      }
+
+      const key = `${entry.date}|${entry.name.toLowerCase()}`;
+      if (byDateAndName.has(key)) {
+        result.skipped++;
+        continue;
+      }
+
+      const created = await this.holidayRepository.create(new HolidayModel({
+        ...entry,
+        type,
+        locations,
+        tenantId,
+        source: HOLIDAY_SOURCE.ICS,
+        createdBy
+      }).toObject());
+
+      byDateAndName.add(key);
+      result.holidays.push(created);
+      result.imported++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Load what decides the working days of a range: weekly offs and holidays
+   * @returns {Promise<Object>} { weeklyOffs, holidays }
+   */
+  async getCalendarForRange(tenantId, startDate, endDate) {
+    const [calendar, holidays] = await Promise.all([
+      this.getCalendar(tenantId),
+      this.holidayRepository.findInRange(tenantId, startDate, endDate)
+    ]);
+
+    return { weeklyOffs: calendar.weeklyOffs, holidays };
+  }
+
+  /**
+   * Get a user's location (regional holidays follow it)
+   * @returns {Promise<string|null>}
+   */
+  async getUserLocation(username, tenantId) {
+    const user = await this.userRepository.findByUsername(username, tenantId);
+    return user?.location || null;
+  }
+
+  /**
+   * Get the working days in a range for a location
+   * @param {string|null} location - null counts only holidays for everyone
+   * @returns {Promise<Array<string>>} Dates (YYYY-MM-DD)
+   */
+  async getWorkingDays(tenantId, startDate, endDate, location = null) {
+    this.validateRange(startDate, endDate);
+    const calendar = await this.getCalendarForRange(tenantId, startDate, endDate);
+    return getWorkingDays(calendar, startDate, endDate, location);
+  }
+
+  /**
+   * Get every day off in a range (weekly offs and holidays, whatever their location)
+   * @returns {Promise<Array>} [{ date, type, name, locations }], earliest first
+   */
+  async getDaysOff(tenantId, startDate, endDate) {
+    this.validateRange(startDate, endDate);
+    const calendar = await this.getCalendarForRange(tenantId, startDate, endDate);
+
+    return eachDateInRange(startDate, endDate).flatMap(date => {
+      const holidays = calendar.holidays
+        .filter(holiday => holiday.date === date)
+        .map(holiday => ({
+          date,
+          type: DAY_OFF_TYPE.HOLIDAY,
+          name: holiday.name,
+          locations: holiday.locations || []
+        }));
+
+      // A weekly off still matters to users whose location has no holiday that day
+      const coversEveryone = holidays.some(holiday => holiday.locations.length === 0);
+      return !coversEveryone && isWeeklyOff(calendar.weeklyOffs, date)
+        ? [...holidays, { date, type: DAY_OFF_TYPE.WEEKLY_OFF, name: 'Weekly off', locations: [] }]
+        : holidays;
+    });
+  }
+
+  /**
+   * Get the usernames for whom a date is a day off (auto-absent skips them)
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {Array<string>} usernames - Users to check
+   * @returns {Promise<Set<string>>} Usernames
+   */
+  async getUsernamesOff(tenantId, date, usernames) {
+    const calendar = await this.getCalendarForRange(tenantId, date, date);
+
+    if (getDayOff(calendar, date)) {
+      return new Set(usernames);
+    }
+
+    const regional = calendar.holidays.filter(holiday => holiday.locations?.length);
+    if (regional.length === 0) {
+      return new Set();
+    }
+
+    const users = await this.userRepository.findByTenant(tenantId);
+    const locations = new Map(users.map(user => [user.username, user.location || null]));
+
+    return new Set(usernames.filter(username =>
+      regional.some(holiday => holidayAppliesTo(holiday, locations.get(username)))
+    ));
+  }
+}
+
+export default HolidayService;
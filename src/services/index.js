@@ -14,6 +14,29 @@ export { AnalyticsService } from './analytics.service.js';
 export { ReportService } from './report.service.js';
 export { DashboardService } from './dashboard.service.js';
 export { ActivityService } from './activity.service.js';
+export { RecurringTaskService } from './recurringTask.service.js';
+export { RefreshTokenService } from './refreshToken.service.js';
+export { SessionService } from './session.service.js';
+export { LoginAttemptService } from './loginAttempt.service.js';
+export { MfaService } from './mfa.service.js';
+export { PasswordPolicyService } from './passwordPolicy.service.js';
+export { RoleService } from './role.service.js';
+export { TeamService } from './team.service.js';
+export { AuditService, AUDIT_FEATURE } from './audit.service.js';
+export { TaskWorkflowService } from './taskWorkflow.service.js';
+export { TaskStructureService } from './taskStructure.service.js';
+export { TimeTrackingService } from './timeTracking.service.js';
+export { TaskCommentService } from './taskComment.service.js';
+export { NotificationService } from './notification.service.js';
+export { NotificationPreferencesService } from './notificationPreferences.service.js';
+export { LeaveService } from './leave.service.js';
+export { HolidayService } from './holiday.service.js';
+export { ShiftService } from './shift.service.js';
+export { OfficeSiteService } from './officeSite.service.js';
+export { RegularizationService } from './regularization.service.js';
+export { WhatsAppService } from './whatsapp.service.js';
+export { WhatsAppCommandService } from './whatsappCommand.service.js';
+export { FirebaseTokenService } from './firebaseToken.service.js';
 
 // Export instances for convenience
 import { UserService } from './user.service.js';
@@ -27,6 +50,29 @@ import { AnalyticsService } from './analytics.service.js';
 import { ReportService } from './report.service.js';
 import { DashboardService } from './dashboard.service.js';
 import { ActivityService } from './activity.service.js';
+import { RecurringTaskService } from './recurringTask.service.js';
+import { RefreshTokenService } from './refreshToken.service.js';
+import { SessionService } from './session.service.js';
+import { LoginAttemptService } from './loginAttempt.service.js';
+import { MfaService } from './mfa.service.js';
+import { PasswordPolicyService } from './passwordPolicy.service.js';
+import { RoleService } from './role.service.js';
+import { TeamService } from './team.service.js';
+import { AuditService } from './audit.service.js';
+import { TaskWorkflowService } from './taskWorkflow.service.js';
+import { TaskStructureService } from './taskStructure.service.js';
+import { TimeTrackingService } from './timeTracking.service.js';
+import { TaskCommentService } from './taskComment.service.js';
+import { NotificationService } from './notification.service.js';
+import { NotificationPreferencesService } from './notificationPreferences.service.js';
+import { LeaveService } from './leave.service.js';
+import { HolidayService } from './holiday.service.js';
+import { ShiftService } from './shift.service.js';
+import { OfficeSiteService } from './officeSite.service.js';
+import { RegularizationService } from './regularization.service.js';
+import { WhatsAppService } from './whatsapp.service.js';
+import { WhatsAppCommandService } from './whatsappCommand.service.js';
+import { FirebaseTokenService } from './firebaseToken.service.js';
 
 export const userService = new UserService();
 export const attendanceService = new AttendanceService();
@@ -39,6 +85,29 @@ export const analyticsService = new AnalyticsService();
 export const reportService = new ReportService();
 export const dashboardService = new DashboardService();
 export const activityService = new ActivityService();
+export const recurringTaskService = new RecurringTaskService();
+export const refreshTokenService = new RefreshTokenService();
+export const sessionService = new SessionService();
+export const loginAttemptService = new LoginAttemptService();
+export const mfaService = new MfaService();
+export const passwordPolicyService = new PasswordPolicyService();
+export const roleService = new RoleService();
+export const teamService = new TeamService();
+export const auditService = new AuditService();
+export const taskWorkflowService = new TaskWorkflowService();
+export const taskStructureService = new TaskStructureService();
+export const timeTrackingService = new TimeTrackingService();
+export const taskCommentService = new TaskCommentService();
+export const notificationService = new NotificationService();
+export const notificationPreferencesService = new NotificationPreferencesService();
+export const leaveService = new LeaveService();
+export const holidayService = new HolidayService();
+export const shiftService = new ShiftService();
+export const officeSiteService = new OfficeSiteService();
+export const regularizationService = new RegularizationService();
+export const whatsappService = new WhatsAppService();
+export const whatsappCommandService = new WhatsAppCommandService();
+export const firebaseTokenService = new FirebaseTokenService();
 
 export default {
   userService,
@@ -51,5 +120,28 @@ export default {
   analyticsService,
   reportService,
   dashboardService,
-  activityService
+  activityService,
+  recurringTaskService,
+  refreshTokenService,
+  sessionService,
+  loginAttemptService,
+  mfaService,
+  passwordPolicyService,
+  roleService,
+  teamService,
+  auditService,
+  taskWorkflowService,
+  taskStructureService,
+  timeTrackingService,
+  taskCommentService,
+  notificationService,
+  notificationPreferencesService,
+  leaveService,
+  holidayService,
+  shiftService,
+  officeSiteService,
+  regularizationService,
+  whatsappService,
+  whatsappCommandService,
+  firebaseTokenService
 };
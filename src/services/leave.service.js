@@ -0,0 +1,475 @@
+/**
+ * Leave Service
+ * Leave applications, their review, yearly balances and the leave policy
+ *
+ * A request covers the working days in its range (the organization's
+ * weekly offs and the holidays at the user's location don't count). Pending and approved requests hold
+ * days of the balance; approving one writes its attendance records, and
+ * cancelling an approved one removes them again.
+ *
+ * Balances are worked out from the requests of the year: carried forward +
+ * accrued + manual adjustment - used - pending. Leave that runs into the next
+ * year is charged to each year for its own dates. The days carried forward are
+ * fixed the first time a user's balance for a year is looked at, from what
+ * they had left of the year before (up to the policy's carry-forward limit).
+ */
+
+import { LeaveRepository } from '../repositories/leave.repository.js';
+import { AttendanceRepository } from '../repositories/attendance.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { HolidayService } from './holiday.service.js';
+import {
+  LeaveRequestModel,
+  LEAVE_TYPES,
+  LEAVE_STATUS,
+  ACTIVE_LEAVE_STATUSES
+} from '../models/leaveRequest.model.js';
+import { LeavePolicyModel, LEAVE_ACCRUAL } from '../models/leavePolicy.model.js';
+import { ATTENDANCE_STATUS } from '../utils/constants.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { getIndiaDate } from '../../lib/timezone.js';
+
+export const REVIEW_ACTIONS = ['approve', 'reject'];
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Balances move in half days
+const roundDownToHalf = (days) => Math.floor(days * 2) / 2;
+
+// Days of a request that fall in a year (a half day has one date worth 0.5)
+const daysInYear = (request, year) => {
+  const prefix = `${year}-`;
+  if (!request.dates?.length) {
+    return request.startDate?.startsWith(prefix) ? request.days || 0 : 0;
+  }
+
+  const inYear = request.dates.filter(date => date.startsWith(prefix)).length;
+  return (request.days || 0) * inYear / request.dates.length;
+};
+
+const sumDaysInYear = (requests, year) => requests.reduce((total, request) => total + daysInYear(request, year), 0);
+
+export class LeaveService {
+  constructor() {
+    this.leaveRepository = new LeaveRepository();
+    this.attendanceRepository = new AttendanceRepository();
+    this.userRepository = new UserRepository();
+    this.holidayService = new HolidayService();
+  }
+
+  /**
+   * Get an organization's leave policy, with defaults for anything never set
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Policy
+   */
+  async getPolicy(tenantId) {
+    const stored = await this.leaveRepository.getPolicy(tenantId);
+    return new LeavePolicyModel({ ...stored, tenantId }).toObject();
+  }
+
+  /**
+   * Change an organization's leave policy
+   * Only the types and fields sent change.
+   * @param {string} tenantId - Organization ID
+   * @param {Object} changes - { types: { casual: { annualAllowance, accrual, carryForwardLimit }, ... } }
+   * @param {string} updatedBy - Username
+   * @returns {Promise<Object>} Updated policy
+   */
+  async updatePolicy(tenantId, changes, updatedBy) {
+    const validation = LeavePolicyModel.validate(changes || {});
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid leave policy', validation.errors);
+    }
+
+    const current = await this.getPolicy(tenantId);
+    const types = { ...current.types };
+    Object.entries(changes.types).forEach(([type, values]) => {
+      types[type] = { ...types[type], ...values };
+    });
+
+    return await this.leaveRepository.savePolicy(new LeavePolicyModel({
+      tenantId,
+      types,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    }).toObject());
+  }
+
+  /**
+   * Get a user's working days in a date range
+   * @returns {Promise<Array<string>>} Dates (YYYY-MM-DD)
+   */
+  async getLeaveDates(username, tenantId, startDate, endDate) {
+    const location = await this.holidayService.getUserLocation(username, tenantId);
+    return await this.holidayService.getWorkingDays(tenantId, startDate, endDate, location);
+  }
+
+  /**
+   * Days of a leave type accrued in a year by a date
+   * @returns {number|null} Days, or null for unlimited types
+   */
+  getAccruedDays(typePolicy, year, asOf) {
+    if (typePolicy.annualAllowance === null) return null;
+
+    const asOfYear = Number(asOf.slice(0, 4));
+    if (asOfYear < year) return 0;
+    if (asOfYear > year || typePolicy.accrual === LEAVE_ACCRUAL.YEARLY) return typePolicy.annualAllowance;
+
+    const months = Number(asOf.slice(5, 7));
+    return roundDownToHalf(typePolicy.annualAllowance * months / 12);
+  }
+
+  /**
+   * Whether a user's account existed before a date (YYYY-MM-DD)
+   * @returns {Promise<boolean>}
+   */
+  async existedBefore(username, tenantId, date) {
+    const user = await this.userRepository.findByUsername(username, tenantId);
+    return !!user && (!user.createdAt || String(user.createdAt).slice(0, 10) < date);
+  }
+
+  /**
+   * Get (or start) a user's balance record for a year
+   * A new year's record carries forward what was left of the last one. When
+   * nobody looked at last year's balance it has no record, and what was left
+   * is worked out from the allowance and the approved leave, for users who
+   * were already there. Future years aren't stored until they start, so late
+   * changes to this year still carry forward.
+   * @returns {Promise<Object>} { carriedForward: { type: days }, adjustments: { type: days } }
+   */
+  async getBalanceRecord(username, tenantId, year, policy) {
+    const stored = await this.leaveRepository.getBalance(tenantId, username, year);
+    if (stored) return stored;
+
+    const previous = await this.leaveRepository.getBalance(tenantId, username, year - 1);
+    const hadPreviousYear = !!previous || await this.existedBefore(username, tenantId, `${year}-01-01`);
+    const previousRequests = hadPreviousYear
+      ? await this.leaveRepository.find(tenantId, { username, year: year - 1, status: LEAVE_STATUS.APPROVED })
+      : [];
+
+    const carriedForward = Object.fromEntries(
+      Object.entries(policy.types).map(([type, typePolicy]) => {
+        if (!hadPreviousYear || typePolicy.annualAllowance === null || !typePolicy.carryForwardLimit) {
+          return [type, 0];
+        }
+
+        const left = (previous?.carriedForward?.[type] || 0) +
+          typePolicy.annualAllowance +
+          (previous?.adjustments?.[type] || 0) -
+          sumDaysInYear(previousRequests.filter(request => request.type === type), year - 1);
+
+        return [type, Math.min(Math.max(left, 0), typePolicy.carryForwardLimit)];
+      })
+    );
+
+    const record = { tenantId, username, year, carriedForward, adjustments: {}, createdAt: new Date().toISOString() };
+    if (year > Number(getIndiaDate().slice(0, 4))) return record;
+
+    return await this.leaveRepository.saveBalance(record);
+  }
+
+  /**
+   * Get a user's leave balances for a year
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {number} year - Leave year
+   * @param {string} asOf - Date accrual is counted to (YYYY-MM-DD, defaults to today)
+   * @param {Object} options - { excludeRequestId } to leave one request out of the totals
+   * @returns {Promise<Object>} { year, asOf, types: { casual: { annualAllowance,
+   *   accrual, carriedForward, accrued, adjustment, used, pending, available }, ... } }
+   *   available is null for unlimited types
+   */
+  async getBalances(username, tenantId, year, asOf = getIndiaDate(), options = {}) {
+    const policy = await this.getPolicy(tenantId);
+    const [record, requests] = await Promise.all([
+      this.getBalanceRecord(username, tenantId, year, policy),
+      this.leaveRepository.find(tenantId, { username, year })
+    ]);
+
+    const counted = requests.filter(request => (
+      ACTIVE_LEAVE_STATUSES.includes(request.status) && request.id !== options.excludeRequestId
+    ));
+
+    const types = Object.fromEntries(
+      Object.entries(policy.types).map(([type, typePolicy]) => {
+        const ofType = counted.filter(request => request.type === type);
+        const used = sumDaysInYear(ofType.filter(request => request.status === LEAVE_STATUS.APPROVED), year);
+        const pending = sumDaysInYear(ofType.filter(request => request.status === LEAVE_STATUS.PENDING), year);
+        const accrued = this.getAccruedDays(typePolicy, year, asOf);
+        const carriedForward = record.carriedForward?.[type] || 0;
+        const adjustment = record.adjustments?.[type] || 0;
+
+        return [type, {
+          ...typePolicy,
+          carriedForward,
+          accrued,
+          adjustment,
+          used,
+          pending,
+          available: accrued === null ? null : carriedForward + accrued + adjustment - used - pending
+        }];
+      })
+    );
+
+    return { year, asOf, types };
+  }
+
+  /**
+   * Set the manual adjustment of a user's balance (e.g. compensatory days)
+   * @param {Object} data - { username, year, type, adjustment (days, may be negative) }
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Updated balances
+   */
+  async adjustBalance({ username, year, type, adjustment }, tenantId) {
+    const errors = [];
+    const leaveYear = Number(year);
+
+    if (!username) {
+      errors.push({ field: 'username', message: 'Username is required' });
+    }
+    if (!Number.isInteger(leaveYear) || leaveYear < 2000 || leaveYear > 2100) {
+      errors.push({ field: 'year', message: 'Year is required' });
+    }
+    if (!Object.values(LEAVE_TYPES).includes(type) || type === LEAVE_TYPES.UNPAID) {
+      errors.push({ field: 'type', message: 'Type must be a leave type with a balance' });
+    }
+    if (typeof adjustment !== 'number' || !Number.isInteger(adjustment * 2) || Math.abs(adjustment) > 366) {
+      errors.push({ field: 'adjustment', message: 'Adjustment must be a whole or half number of days' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid balance adjustment', errors);
+    }
+
+    const policy = await this.getPolicy(tenantId);
+    const record = await this.getBalanceRecord(username, tenantId, leaveYear, policy);
+
+    await this.leaveRepository.saveBalance({
+      ...record,
+      adjustments: { ...record.adjustments, [type]: adjustment },
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.getBalances(username, tenantId, leaveYear);
+  }
+
+  /**
+   * Apply for leave
+   * @param {Object} data - { type, startDate, endDate, halfDay, reason }
+   * @param {string} username - Applicant
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Created (pending) request
+   * @throws {ValidationError} Invalid request, no working days or not enough balance
+   * @throws {ConflictError} The user already has leave on one of the days
+   */
+  async applyLeave(data, username, tenantId) {
+    const requestData = {
+      tenantId,
+      username,
+      type: data.type,
+      startDate: data.startDate,
+      endDate: data.endDate || data.startDate,
+      halfDay: data.halfDay ?? false,
+      reason: typeof data.reason === 'string' ? data.reason.trim() : data.reason
+    };
+
+    const validation = LeaveRequestModel.validate(requestData);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid leave request', validation.errors);
+    }
+
+    const dates = await this.getLeaveDates(username, tenantId, requestData.startDate, requestData.endDate);
+    if (dates.length === 0) {
+      throw new ValidationError('The selected dates are all weekly offs or holidays');
+    }
+
+    const overlapping = await this.leaveRepository.findActiveOverlapping(
+      tenantId,
+      username,
+      requestData.startDate,
+      requestData.endDate
+    );
+    const clash = overlapping.find(request => request.dates.some(date => dates.includes(date)));
+    if (clash) {
+      throw new ConflictError(`You already have ${clash.status} leave from ${clash.startDate} to ${clash.endDate}`);
+    }
+
+    const days = requestData.halfDay ? 0.5 : dates.length;
+    await this.checkBalance({ ...requestData, dates, days }, tenantId);
+
+    return await this.leaveRepository.create(new LeaveRequestModel({
+      ...requestData,
+      dates,
+      days
+    }).toObject());
+  }
+
+  /**
+   * Check that a user has the days for a request
+   * Accrual counts up to the start of the leave, so leave later in the year
+   * can use days that will have accrued by then. Leave that runs into the next
+   * year needs each year's share of the days from that year's balance.
+   * @param {Object} request - { username, type, startDate, dates, days, id? }
+   * @throws {ValidationError} When the balance is short
+   */
+  async checkBalance(request, tenantId) {
+    const today = getIndiaDate();
+    const firstDates = new Map(); // year -> first leave date in it
+    (request.dates?.length ? request.dates : [request.startDate]).forEach(date => {
+      const year = Number(date.slice(0, 4));
+      if (!firstDates.has(year) || date < firstDates.get(year)) firstDates.set(year, date);
+    });
+
+    for (const [year, firstDate] of firstDates) {
+      const { types } = await this.getBalances(
+        request.username,
+        tenantId,
+        year,
+        firstDate > today ? firstDate : today,
+        { excludeRequestId: request.id }
+      );
+
+      const days = daysInYear(request, year);
+      const balance = types[request.type];
+      if (balance.available !== null && days > balance.available) {
+        throw new ValidationError(
+          `Not enough ${request.type} leave in ${year}: ${balance.available} day(s) available, ${days} requested`
+        );
+      }
+    }
+  }
+
+  /**
+   * Get a leave request
+   * @throws {NotFoundError}
+   */
+  async getRequest(requestId, tenantId) {
+    const request = await this.leaveRepository.findById(requestId, tenantId);
+    if (!request) {
+      throw new NotFoundError('Leave request');
+    }
+    return request;
+  }
+
+  /**
+   * List leave requests, latest first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - { username, status, year }
+   * @returns {Promise<Array>} Requests
+   */
+  async listRequests(tenantId, filters = {}) {
+    const statuses = Object.values(LEAVE_STATUS);
+    if (filters.status && !statuses.includes(filters.status)) {
+      throw new ValidationError(`Status must be one of: ${statuses.join(', ')}`);
+    }
+
+    const year = filters.year ? Number(filters.year) : null;
+    if (filters.year && !Number.isInteger(year)) {
+      throw new ValidationError('Year must be a number');
+    }
+
+    return await this.leaveRepository.find(tenantId, {
+      username: filters.username,
+      status: filters.status,
+      year
+    });
+  }
+
+  /**
+   * Approve or reject a pending request
+   * Approving writes `leave` (or `half-day`) attendance records for its dates.
+   * @param {Object} request - The request
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} comment - Reviewer's comment
+   * @param {string} reviewer - Username of the reviewer
+   * @returns {Promise<Object>} Updated request
+   */
+  async reviewRequest(request, action, comment, reviewer) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new ValidationError(`Action must be one of: ${REVIEW_ACTIONS.join(', ')}, cancel`);
+    }
+    if (comment && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      throw new ValidationError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    if (request.status !== LEAVE_STATUS.PENDING) {
+      throw new ConflictError(`Leave request is already ${request.status}`);
+    }
+    if (request.username === reviewer) {
+      throw new ForbiddenError('You cannot review your own leave request');
+    }
+
+    const approve = action === 'approve';
+    if (approve) {
+      // Policy or adjustments may have changed since it was applied for
+      await this.checkBalance(request, request.tenantId);
+    }
+
+    const changes = await this.leaveRepository.update(request.id, {
+      status: approve ? LEAVE_STATUS.APPROVED : LEAVE_STATUS.REJECTED,
+      reviewedBy: reviewer,
+      reviewedAt: new Date().toISOString(),
+      reviewComment: comment?.trim() || ''
+    });
+    const updated = { ...request, ...changes };
+
+    if (approve) {
+      await this.attendanceRepository.applyLeave(
+        updated,
+        updated.halfDay ? ATTENDANCE_STATUS.HALF_DAY : ATTENDANCE_STATUS.LEAVE,
+        reviewer
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Cancel a request
+   * Pending requests can be cancelled any time, approved ones until they start.
+   * @param {Object} request - The request
+   * @returns {Promise<Object>} Updated request
+   */
+  async cancelRequest(request) {
+    if (!ACTIVE_LEAVE_STATUSES.includes(request.status)) {
+      throw new ConflictError(`Leave request is already ${request.status}`);
+    }
+    if (request.status === LEAVE_STATUS.APPROVED && request.startDate <= getIndiaDate()) {
+      throw new ValidationError('Approved leave can only be cancelled before it starts');
+    }
+
+    const now = new Date().toISOString();
+    const changes = await this.leaveRepository.update(request.id, {
+      status: LEAVE_STATUS.CANCELLED,
+      cancelledAt: now
+    });
+
+    if (request.status === LEAVE_STATUS.APPROVED) {
+      await this.attendanceRepository.removeLeave(request);
+    }
+
+    return { ...request, ...changes };
+  }
+
+  /**
+   * Get who reviews a user's leave: the manager they report to
+   * @returns {Promise<string|null>} Manager's username, or null when they have no active manager
+   */
+  async getApprover(username, tenantId) {
+    const users = await this.userRepository.findByTenant(tenantId);
+    const applicant = users.find(user => user.username === username);
+    const manager = applicant?.managerId && users.find(user => user.id === applicant.managerId);
+
+    return manager && manager.isActive !== false ? manager.username : null;
+  }
+
+  /**
+   * Get the usernames on approved leave on a date (auto-absent skips them)
+   * @returns {Promise<Set<string>>} Usernames
+   */
+  async getUsernamesOnLeave(tenantId, date) {
+    const requests = await this.leaveRepository.findApprovedOn(tenantId, date);
+    return new Set(requests.map(request => request.username));
+  }
+}
+
+export default LeaveService;
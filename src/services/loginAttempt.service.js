@@ -0,0 +1,271 @@
+/**
+ * Login Attempt Service
+ * Brute-force protection for login and password reset
+ *
+ * Failed attempts are counted per account (username + tenant) and per IP in a
+ * sliding window. Repeated account failures first add a growing delay before
+ * the next attempt is accepted, then lock the account for a while; every
+ * further lock doubles the lock duration. The account owner is emailed when a
+ * lock starts. Counters live in a pluggable store (see loginAttempt.repository.js).
+ *
+ * Callers pass the IP from SessionModel.clientIp, never straight from
+ * X-Forwarded-For: a header the client sets would let it dodge the IP lock by
+ * rotating addresses, or lock out someone else's address.
+ */
+
+import { createLoginAttemptStore } from '../repositories/loginAttempt.repository.js';
+import { ValidationError } from '../utils/errors.js';
+import { sendAccountLockedEmail } from '../../lib/emailService.js';
+
+const MINUTE = 60 * 1000;
+
+export const ATTEMPT_SCOPE = {
+  LOGIN: 'login',
+  PASSWORD_RESET: 'password_reset'
+};
+
+export const LOCKOUT_REASON = {
+  ACCOUNT_LOCKED: 'account_locked',
+  IP_LOCKED: 'ip_locked',
+  THROTTLED: 'throttled'
+};
+
+export const ATTEMPT_POLICIES = {
+  [ATTEMPT_SCOPE.LOGIN]: {
+    windowMs: 15 * MINUTE,
+    delayAfter: 3,              // failures before progressive delays start
+    baseDelayMs: 1000,          // 1s, 2s, 4s ... capped at maxDelayMs
+    maxDelayMs: 30 * 1000,
+    accountLockThreshold: 5,
+    ipLockThreshold: 20,
+    lockDurationMs: 15 * MINUTE,
+    maxLockDurationMs: 24 * 60 * MINUTE,
+    notifyOnLock: true
+  },
+  [ATTEMPT_SCOPE.PASSWORD_RESET]: {
+    windowMs: 60 * MINUTE,
+    delayAfter: null,
+    accountLockThreshold: 5,
+    ipLockThreshold: 20,
+    lockDurationMs: 60 * MINUTE,
+    maxLockDurationMs: 60 * MINUTE,
+    notifyOnLock: false
+  }
+};
+
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+export class LoginAttemptService {
+  constructor(store = createLoginAttemptStore()) {
+    this.store = store;
+  }
+
+  getPolicy(scope) {
+    const policy = ATTEMPT_POLICIES[scope];
+    if (!policy) {
+      throw new ValidationError(`Unknown attempt scope: ${scope}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Store key for an account (username or email, scoped to a tenant when known)
+   */
+  accountKey(scope, tenantId, identifier) {
+    return `${scope}:account:${tenantId || '-'}:${String(identifier).toLowerCase().trim()}`;
+  }
+
+  /**
+   * Store key for a client IP (as resolved by SessionModel.clientIp)
+   */
+  ipKey(scope, ipAddress) {
+    return `${scope}:ip:${ipAddress}`;
+  }
+
+  /**
+   * Check whether an attempt may proceed
+   * @param {string} scope - ATTEMPT_SCOPE value
+   * @param {Object} subject - { tenantId, identifier, ipAddress }
+   * @returns {Promise<Object>} { allowed, reason, retryAfterMs, message }
+   */
+  async check(scope, { tenantId = null, identifier, ipAddress = null }) {
+    const policy = this.getPolicy(scope);
+    const now = Date.now();
+
+    const account = identifier ? await this.store.get(this.accountKey(scope, tenantId, identifier)) : null;
+    const ip = ipAddress ? await this.store.get(this.ipKey(scope, ipAddress)) : null;
+
+    if (account?.lockedUntil > now) {
+      return this.denied(LOCKOUT_REASON.ACCOUNT_LOCKED, account.lockedUntil - now);
+    }
+
+    if (ip?.lockedUntil > now) {
+      return this.denied(LOCKOUT_REASON.IP_LOCKED, ip.lockedUntil - now);
+    }
+
+    if (account && policy.delayAfter !== null) {
+      const recent = (account.failures || []).filter(at => at > now - policy.windowMs);
+
+      if (recent.length >= policy.delayAfter) {
+        const delay = Math.min(
+          policy.baseDelayMs * Math.pow(2, recent.length - policy.delayAfter),
+          policy.maxDelayMs
+        );
+        const nextAllowedAt = Math.max(...recent) + delay;
+
+        if (nextAllowedAt > now) {
+          return this.denied(LOCKOUT_REASON.THROTTLED, nextAllowedAt - now);
+        }
+      }
+    }
+
+    return { allowed: true, reason: null, retryAfterMs: 0, message: null };
+  }
+
+  denied(reason, retryAfterMs) {
+    const message = reason === LOCKOUT_REASON.THROTTLED
+      ? `Too many failed attempts. Please wait ${formatWait(retryAfterMs)} before trying again.`
+      : `Too many failed attempts. Try again in ${formatWait(retryAfterMs)}.`;
+
+    return { allowed: false, reason, retryAfterMs, message };
+  }
+
+  /**
+   * Add a failure to a counter, locking it when the threshold is reached
+   * @returns {Promise<Object>} { record, justLocked }
+   */
+  async addFailure(key, policy, threshold, escalate) {
+    let justLocked = false;
+
+    const record = await this.store.update(key, (current) => {
+      const now = Date.now();
+      const failures = (current?.failures || []).filter(at => at > now - policy.windowMs);
+      failures.push(now);
+
+      let lockedUntil = current?.lockedUntil > now ? current.lockedUntil : null;
+      let lockCount = current?.lockCount || 0;
+      justLocked = false;
+
+      if (!lockedUntil && failures.length >= threshold) {
+        lockCount += 1;
+        const duration = escalate
+          ? Math.min(policy.lockDurationMs * Math.pow(2, lockCount - 1), policy.maxLockDurationMs)
+          : policy.lockDurationMs;
+        lockedUntil = now + duration;
+        justLocked = true;
+      }
+
+      return {
+        failures: justLocked ? [] : failures,
+        lockedUntil,
+        lockCount,
+        lastFailureAt: now,
+        // Keep the record long enough to remember lock escalation
+        expiresAt: Math.max(lockedUntil || 0, now + policy.maxLockDurationMs)
+      };
+    });
+
+    return { record, justLocked };
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} scope - ATTEMPT_SCOPE value
+   * @param {Object} subject - { tenantId, identifier, ipAddress, user }
+   *   user (optional) is the real account; its owner is emailed when it gets locked
+   * @returns {Promise<Object>} { locked, lockedUntil, message }
+   */
+  async recordFailure(scope, { tenantId = null, identifier, ipAddress = null, user = null }) {
+    const policy = this.getPolicy(scope);
+    let locked = false;
+    let lockedUntil = null;
+
+    if (identifier) {
+      const result = await this.addFailure(
+        this.accountKey(scope, tenantId, identifier),
+        policy,
+        policy.accountLockThreshold,
+        true
+      );
+
+      if (result.justLocked) {
+        locked = true;
+        lockedUntil = result.record.lockedUntil;
+
+        console.warn(`Account ${identifier} (${tenantId || 'unknown tenant'}) locked for ${scope} until ${new Date(lockedUntil).toISOString()}`);
+
+        if (policy.notifyOnLock && user?.email) {
+          // Email delivery must not hold up or fail the login response
+          sendAccountLockedEmail(user.email, user.username, {
+            lockedUntil,
+            attempts: policy.accountLockThreshold,
+            ipAddress
+          }).catch(error => console.error('Failed to send account locked email:', error));
+        }
+      }
+    }
+
+    if (ipAddress) {
+      const result = await this.addFailure(this.ipKey(scope, ipAddress), policy, policy.ipLockThreshold, false);
+
+      if (result.justLocked) {
+        console.warn(`IP ${ipAddress} locked for ${scope} until ${new Date(result.record.lockedUntil).toISOString()}`);
+      }
+    }
+
+    return {
+      locked,
+      lockedUntil,
+      message: locked ? this.denied(LOCKOUT_REASON.ACCOUNT_LOCKED, lockedUntil - Date.now()).message : null
+    };
+  }
+
+  /**
+   * Clear an account's counters after a successful attempt
+   * @param {string} scope - ATTEMPT_SCOPE value
+   * @param {Object} subject - { tenantId, identifier }
+   */
+  async recordSuccess(scope, { tenantId = null, identifier }) {
+    await this.store.delete(this.accountKey(scope, tenantId, identifier));
+  }
+
+  /**
+   * Get the lockout status of a user account
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { locked, lockedUntil, recentFailures, lockCount }
+   */
+  async getAccountStatus(username, tenantId) {
+    const policy = this.getPolicy(ATTEMPT_SCOPE.LOGIN);
+    const record = await this.store.get(this.accountKey(ATTEMPT_SCOPE.LOGIN, tenantId, username));
+    const now = Date.now();
+
+    return {
+      locked: !!(record?.lockedUntil > now),
+      lockedUntil: record?.lockedUntil > now ? new Date(record.lockedUntil).toISOString() : null,
+      recentFailures: (record?.failures || []).filter(at => at > now - policy.windowMs).length,
+      lockCount: record?.lockCount || 0
+    };
+  }
+
+  /**
+   * Unlock a user account (admin action)
+   * Clears failure counters and lock escalation for login
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   */
+  async unlockAccount(username, tenantId) {
+    if (!username || !tenantId) {
+      throw new ValidationError('Username and tenant ID are required');
+    }
+
+    await this.store.delete(this.accountKey(ATTEMPT_SCOPE.LOGIN, tenantId, username));
+  }
+}
+
+export default LoginAttemptService;
@@ -0,0 +1,289 @@
+/**
+ * MFA Service
+ * TOTP two-factor authentication: enrollment, verification and recovery codes
+ *
+ * Enrollment is two-step: startEnrollment stores a pending secret and returns
+ * the QR code, activateEnrollment confirms it with a first code and hands out
+ * one-time recovery codes. Secrets are encrypted at rest; recovery codes are
+ * only stored as hashes.
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { MfaRepository } from '../repositories/mfa.repository.js';
+import { OrganizationRepository } from '../repositories/organization.repository.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { generateSecret, verifyCode, buildOtpauthUrl } from '../utils/totp.util.js';
+
+export const MFA_METHOD = {
+  TOTP: 'totp',
+  RECOVERY_CODE: 'recovery_code'
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const ISSUER = process.env.MFA_ISSUER || 'Logam Task Manager';
+
+// Secrets are encrypted with AES-256-GCM; the key defaults to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+// 10 hex characters shown as xxxxx-xxxxx
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+export class MfaService {
+  constructor() {
+    this.mfaRepository = new MfaRepository();
+    this.organizationRepository = new OrganizationRepository();
+  }
+
+  /**
+   * Check whether an organization requires MFA (settings.requireMfa)
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredForTenant(tenantId) {
+    if (!tenantId) return false;
+
+    const organization = await this.organizationRepository.findById(tenantId);
+    return organization?.settings?.requireMfa === true;
+  }
+
+  /**
+   * Check whether a user has an active enrollment
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId, tenantId) {
+    const enrollment = await this.mfaRepository.findByUserId(userId, tenantId);
+    return enrollment?.enabled === true;
+  }
+
+  /**
+   * Get the MFA status of a user
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining, required }
+   */
+  async getStatus(userId, tenantId) {
+    if (!userId || !tenantId) {
+      throw new ValidationError('User ID and tenant ID are required');
+    }
+
+    const enrollment = await this.mfaRepository.findByUserId(userId, tenantId);
+    const enabled = enrollment?.enabled === true;
+
+    return {
+      enabled,
+      enabledAt: enabled ? enrollment.enabledAt : null,
+      recoveryCodesRemaining: enabled ? (enrollment.recoveryCodeHashes || []).length : 0,
+      required: await this.isRequiredForTenant(tenantId)
+    };
+  }
+
+  /**
+   * Start enrollment: create a secret and its QR code
+   * The secret stays pending until activateEnrollment confirms a code from it.
+   * @param {Object} user - { id, username, tenantId }
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (data URL) }
+   */
+  async startEnrollment(user) {
+    if (await this.isEnabled(user.id, user.tenantId)) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.username, issuer: ISSUER });
+
+    await this.mfaRepository.savePendingSecret(user.id, {
+      username: user.username,
+      tenantId: user.tenantId,
+      pendingSecret: encryptSecret(secret)
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Finish enrollment with the first code from the authenticator app
+   * @param {Object} user - { id, username, tenantId }
+   * @param {string} code - 6-digit code
+   * @returns {Promise<Object>} { recoveryCodes } - shown to the user once
+   */
+  async activateEnrollment(user, code) {
+    const enrollment = await this.mfaRepository.findByUserId(user.id, user.tenantId);
+
+    if (enrollment?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!enrollment?.pendingSecret) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(enrollment.pendingSecret);
+    const step = verifyCode(secret, code);
+
+    if (step === null) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await this.mfaRepository.enable(user.id, {
+      secret: encryptSecret(secret),
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step
+    });
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a second-factor code at login
+   * Accepts a TOTP code or an unused recovery code (which is then used up).
+   * @param {Object} user - { id, tenantId }
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} { valid, method, recoveryCodesRemaining }
+   */
+  async verifyLoginCode(user, code) {
+    const enrollment = await this.mfaRepository.findByUserId(user.id, user.tenantId);
+
+    if (!enrollment?.enabled) {
+      return { valid: false, method: null, recoveryCodesRemaining: 0 };
+    }
+
+    const step = verifyCode(decryptSecret(enrollment.secret), code);
+
+    if (step !== null) {
+      // Reject a code that was already used inside its validity window
+      const fresh = await this.mfaRepository.consumeTotpStep(user.id, step);
+      return {
+        valid: fresh,
+        method: MFA_METHOD.TOTP,
+        recoveryCodesRemaining: (enrollment.recoveryCodeHashes || []).length
+      };
+    }
+
+    const remaining = await this.mfaRepository.consumeRecoveryCode(user.id, hashRecoveryCode(code));
+
+    if (remaining === null) {
+      return { valid: false, method: null, recoveryCodesRemaining: (enrollment.recoveryCodeHashes || []).length };
+    }
+
+    console.warn(`Recovery code used by ${enrollment.username}, ${remaining} left`);
+
+    return { valid: true, method: MFA_METHOD.RECOVERY_CODE, recoveryCodesRemaining: remaining };
+  }
+
+  /**
+   * Require a valid code for a change to an active enrollment
+   * @private
+   */
+  async assertCode(user, code) {
+    if (!code) {
+      throw new ValidationError('Verification code is required');
+    }
+
+    const result = await this.verifyLoginCode(user, code);
+
+    if (!result.valid) {
+      throw new ValidationError('Invalid verification code');
+    }
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {Object} user - { id, tenantId }
+   * @param {string} code - Current TOTP or recovery code
+   * @returns {Promise<Object>} { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(user, code) {
+    if (!(await this.isEnabled(user.id, user.tenantId))) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    await this.assertCode(user, code);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await this.mfaRepository.replaceRecoveryCodes(user.id, recoveryCodes.map(hashRecoveryCode));
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off for the current user
+   * Not allowed while the organization requires MFA.
+   * @param {Object} user - { id, tenantId }
+   * @param {string} code - Current TOTP or recovery code
+   */
+  async disable(user, code) {
+    if (await this.isRequiredForTenant(user.tenantId)) {
+      throw new ForbiddenError('Your organization requires two-factor authentication');
+    }
+
+    if (!(await this.isEnabled(user.id, user.tenantId))) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    await this.assertCode(user, code);
+    await this.mfaRepository.delete(user.id);
+  }
+
+  /**
+   * Remove a user's enrollment (admin action, e.g. lost device)
+   * If the organization requires MFA the user must enroll again on next login.
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<boolean>} False when the user had no enrollment
+   */
+  async resetForUser(userId, tenantId) {
+    if (!userId || !tenantId) {
+      throw new ValidationError('User ID and tenant ID are required');
+    }
+
+    const enrollment = await this.mfaRepository.findByUserId(userId, tenantId);
+    if (!enrollment) {
+      return false;
+    }
+
+    await this.mfaRepository.delete(userId);
+    return true;
+  }
+}
+
+export default MfaService;
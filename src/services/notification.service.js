@@ -0,0 +1,297 @@
+/**
+ * Notification Service
+ * Stored notification inboxes: sending, listing, read state and retention
+ *
+ * Every notification is stored once per recipient before it is pushed over
+ * the stream, so the inbox holds what was sent while the user was offline and
+ * a reconnecting stream can replay what it missed (by the notification ID it
+ * last received). Each recipient's preferences decide whether it goes to the
+ * inbox, the desktop and email. WhatsApp only carries the organization's
+ * template messages (WhatsAppService), which apply the same preferences.
+ */
+
+import { NotificationRepository } from '../repositories/notification.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { NotificationModel } from '../models/notification.model.js';
+import { NotificationPreferencesService, DELIVERY } from './notificationPreferences.service.js';
+import { getTaskLink } from './taskComment.service.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { sendNotificationEmail, sendTaskMentionEmail } from '../../lib/emailService.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Firestore `in` filters take at most 30 values
+const MAX_TYPE_FILTERS = 30;
+
+// A reconnecting stream gets at most this many missed notifications
+export const MAX_REPLAY = 100;
+
+// Cursors are opaque to clients: base64url JSON of [createdAt, notification ID]
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === 2 && values.every(value => typeof value === 'string')
+      ? values
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Absolute link for a notification: its own URL, or the task it is about
+const getNotificationUrl = (notification) => {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+  const path = notification.data?.url || (notification.data?.taskId ? getTaskLink(notification.data.taskId) : null);
+  return path ? `${appUrl}${path}` : null;
+};
+
+// Notification types with their own email; the rest use the generic one
+const EMAIL_SENDERS = {
+  task_mention: (to, username, notification) => sendTaskMentionEmail(to, username, {
+    mentionedBy: notification.data.mentionedBy,
+    taskName: notification.data.task,
+    excerpt: notification.data.excerpt,
+    taskUrl: notification.url
+  })
+};
+
+export class NotificationService {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+    this.userRepository = new UserRepository();
+    this.preferencesService = new NotificationPreferencesService();
+  }
+
+  /**
+   * Work out who a notification goes to
+   * @param {Array} users - The organization's users
+   * @param {Object} filter - { username } or { role }; a role means its active users
+   * @returns {Array} Recipients (users of the organization only)
+   */
+  resolveRecipients(users, { username, role }) {
+    if (username) return users.filter(user => user.username === username);
+    if (!role) return [];
+
+    return users.filter(user => user.role === role && user.isActive !== false);
+  }
+
+  /**
+   * Send a notification on each recipient's chosen channels
+   * In-app notifications are stored in the inbox; emails go out now or are
+   * held for quiet hours or the digest (see NotificationPreferencesService).
+   * Email failures are logged; they never fail the notification.
+   * @param {Object} notification - { type, title, message, priority, data, timestamp }
+   * @param {Object} filter - { tenantId, username } or { tenantId, role }
+   * @returns {Promise<Array>} One { username, notification, delivery: { desktop, sound } }
+   *   per recipient to push over the stream; notification has an ID when it was stored
+   */
+  async send(notification, { tenantId, username, role }) {
+    const users = await this.userRepository.findByTenant(tenantId);
+    const recipients = this.resolveRecipients(users, { username, role });
+    if (recipients.length === 0) return [];
+
+    const now = new Date();
+    const preferences = await this.preferencesService.getPreferencesOfUsers(
+      recipients.map(user => user.username),
+      tenantId
+    );
+
+    const plans = recipients.map(user => ({
+      user,
+      plan: this.preferencesService.plan(preferences.get(user.username), notification, now)
+    }));
+
+    const records = plans
+      .filter(({ plan }) => plan.inApp)
+      .map(({ user }) => {
+        const record = {
+          tenantId,
+          username: user.username,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          priority: notification.priority,
+          data: notification.data,
+          createdAt: notification.timestamp
+        };
+
+        const validation = NotificationModel.validate(record);
+        if (!validation.isValid) {
+          throw new ValidationError('Invalid notification', validation.errors);
+        }
+
+        return new NotificationModel(record).toObject();
+      });
+
+    const stored = records.length > 0 ? await this.notificationRepository.createMany(records) : [];
+    const storedByUser = new Map(stored.map(record => [record.username, record]));
+
+    await Promise.all(plans.map(({ user, plan }) => (
+      this.deliverExternal(notification, user, plan, tenantId).catch(error => {
+        console.error(`Failed to deliver notification to ${user.username}:`, error);
+      })
+    )));
+
+    return plans
+      .filter(({ plan }) => plan.inApp || plan.desktop)
+      .map(({ user, plan }) => ({
+        username: user.username,
+        notification: storedByUser.get(user.username) || {
+          ...notification,
+          username: user.username,
+          createdAt: notification.timestamp
+        },
+        delivery: { desktop: plan.desktop, sound: plan.sound }
+      }));
+  }
+
+  /**
+   * Send (or hold) the email of a notification for one user
+   */
+  async deliverExternal(notification, user, plan, tenantId) {
+    const url = getNotificationUrl(notification);
+    const held = {
+      tenantId,
+      username: user.username,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      url
+    };
+
+    if (plan.email === DELIVERY.SEND && user.email) {
+      const sendEmail = EMAIL_SENDERS[notification.type] || sendNotificationEmail;
+      await sendEmail(user.email, user.username, { ...notification, url });
+    } else if (plan.email && user.email) {
+      await this.preferencesService.enqueue({ ...held, channel: 'email', reason: plan.email });
+    }
+  }
+
+  /**
+   * Get one page of a user's inbox
+   * @param {string} username - Recipient
+   * @param {string} tenantId - Organization ID
+   * @param {Object} params - { type (comma-separated), unread, limit, cursor }
+   * @returns {Promise<Object>} { notifications, nextCursor, hasMore }
+   */
+  async listNotifications(username, tenantId, params = {}) {
+    const errors = [];
+
+    const types = params.type
+      ? [...new Set(String(params.type).split(',').map(type => type.trim()).filter(Boolean))]
+      : [];
+    if (types.length > MAX_TYPE_FILTERS) {
+      errors.push(`At most ${MAX_TYPE_FILTERS} types can be filtered on`);
+    }
+
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    if (params.cursor && !cursor) {
+      errors.push('Invalid cursor');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid notification query', errors);
+    }
+
+    const { notifications, nextCursor } = await this.notificationRepository.findPage(tenantId, username, {
+      types,
+      unread: params.unread === true || params.unread === 'true',
+      limit: Math.min(Math.max(parseInt(params.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+      cursor
+    });
+
+    return {
+      notifications,
+      nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+      hasMore: !!nextCursor
+    };
+  }
+
+  /**
+   * Get one of the user's notifications
+   * @throws {NotFoundError} When it doesn't exist or isn't the user's
+   */
+  async getNotification(notificationId, username, tenantId) {
+    const notification = await this.notificationRepository.findById(notificationId, tenantId);
+    if (!notification || notification.username !== username) {
+      throw new NotFoundError('Notification');
+    }
+    return notification;
+  }
+
+  /**
+   * Count the user's unread notifications
+   */
+  async getUnreadCount(username, tenantId) {
+    return await this.notificationRepository.countUnread(tenantId, username);
+  }
+
+  /**
+   * Mark one of the user's notifications read or unread
+   * @returns {Promise<Object>} Updated notification
+   */
+  async setRead(notificationId, read, username, tenantId) {
+    if (typeof read !== 'boolean') {
+      throw new ValidationError('read must be true or false');
+    }
+
+    const notification = await this.getNotification(notificationId, username, tenantId);
+    if (notification.read === read) {
+      return notification;
+    }
+
+    const changes = await this.notificationRepository.setRead(notificationId, read);
+    return { ...notification, ...changes };
+  }
+
+  /**
+   * Mark all of the user's notifications read
+   * @returns {Promise<number>} Notifications marked
+   */
+  async markAllRead(username, tenantId) {
+    return await this.notificationRepository.markAllRead(tenantId, username);
+  }
+
+  /**
+   * Delete one of the user's notifications
+   * @returns {Promise<Object>} The deleted notification
+   */
+  async deleteNotification(notificationId, username, tenantId) {
+    const notification = await this.getNotification(notificationId, username, tenantId);
+    await this.notificationRepository.delete(notificationId);
+    return notification;
+  }
+
+  /**
+   * Delete all of the user's notifications
+   * @returns {Promise<number>} Notifications deleted
+   */
+  async clearAll(username, tenantId) {
+    return await this.notificationRepository.deleteAllForUser(tenantId, username);
+  }
+
+  /**
+   * Get what a user was sent after the notification their stream last received
+   * @param {string} username - Recipient
+   * @param {string} tenantId - Organization ID
+   * @param {string} lastEventId - ID of the last notification received
+   * @returns {Promise<Array>} Missed notifications, oldest first (at most MAX_REPLAY)
+   */
+  async getMissedNotifications(username, tenantId, lastEventId) {
+    if (!lastEventId || lastEventId.includes('/')) return [];
+    return await this.notificationRepository.findAfter(tenantId, username, lastEventId, MAX_REPLAY);
+  }
+
+  /**
+   * Delete notifications older than the retention period
+   * @returns {Promise<number>} Notifications deleted
+   */
+  async deleteExpired() {
+    return await this.notificationRepository.deleteExpired(new Date().toISOString());
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,286 @@
+/**
+ * Notification Preferences Service
+ * Which channels each notification goes to, quiet hours and the daily digest
+ *
+ * plan() decides per recipient: in-app (stored in the inbox), desktop (pop-up
+ * and sound through the stream) and email; planWhatsApp() does the same for
+ * the organization's WhatsApp messages, which WhatsAppService sends. Quiet
+ * hours, in the user's timezone, silence the desktop and hold email and
+ * WhatsApp until they end; with the daily digest on, emails are collected into
+ * one message at the digest time. Critical notifications skip both. Held
+ * emails wait in the notification queue until flushQueue() (run by cron)
+ * delivers them; held WhatsApp messages until WhatsAppService.flushHeld().
+ */
+
+import { formatInTimeZone } from 'date-fns-tz';
+import { NotificationPreferencesRepository } from '../repositories/notificationPreferences.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import {
+  NotificationPreferencesModel,
+  NOTIFICATION_TYPE_EVENTS
+} from '../models/notificationPreferences.model.js';
+import { ValidationError } from '../utils/errors.js';
+import { sendNotificationEmail, sendNotificationDigestEmail } from '../../lib/emailService.js';
+
+// How a message goes out on email or WhatsApp
+export const DELIVERY = {
+  SEND: 'send',
+  QUIET_HOURS: 'quiet_hours', // Held until quiet hours end
+  DIGEST: 'digest' // Held for the next daily digest
+};
+
+const EDITABLE_FIELDS = ['channels', 'quietHours', 'digest', 'sound', 'timezone'];
+
+const addDay = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+};
+
+export class NotificationPreferencesService {
+  constructor() {
+    this.preferencesRepository = new NotificationPreferencesRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  /**
+   * Get a user's preferences, with defaults for anything never set
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Preferences
+   */
+  async getPreferences(username, tenantId) {
+    const stored = await this.preferencesRepository.findByUser(tenantId, username);
+    return new NotificationPreferencesModel({ ...stored, tenantId, username }).toObject();
+  }
+
+  /**
+   * Get the preferences of several users
+   * @returns {Promise<Map>} username -> preferences
+   */
+  async getPreferencesOfUsers(usernames, tenantId) {
+    const stored = await this.preferencesRepository.findByUsers(tenantId, usernames);
+    return new Map(usernames.map(username => [
+      username,
+      new NotificationPreferencesModel({ ...stored.get(username), tenantId, username }).toObject()
+    ]));
+  }
+
+  /**
+   * Change a user's preferences
+   * Channels, quiet hours and digest are merged into what is stored, so a
+   * client can send only the switches it changed.
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {Object} changes - Any of channels, quietHours, digest, sound, timezone
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(username, tenantId, changes = {}) {
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(([field]) => EDITABLE_FIELDS.includes(field))
+    );
+
+    const validation = NotificationPreferencesModel.validate(updates);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid notification preferences', validation.errors);
+    }
+
+    const current = await this.getPreferences(username, tenantId);
+    const channels = { ...current.channels };
+    Object.entries(updates.channels || {}).forEach(([event, values]) => {
+      channels[event] = { ...channels[event], ...values };
+    });
+
+    const preferences = new NotificationPreferencesModel({
+      ...current,
+      ...updates,
+      channels,
+      quietHours: { ...current.quietHours, ...(updates.quietHours || {}) },
+      digest: { ...current.digest, ...(updates.digest || {}) },
+      updatedAt: new Date().toISOString()
+    }).toObject();
+
+    if (preferences.quietHours.start === preferences.quietHours.end) {
+      throw new ValidationError('Invalid notification preferences', [
+        { field: 'quietHours.end', message: 'Quiet hours must not start and end at the same time' }
+      ]);
+    }
+
+    return await this.preferencesRepository.save(preferences);
+  }
+
+  /**
+   * Local date and time for a user
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+   */
+  getLocalTime(preferences, now = new Date()) {
+    return {
+      date: formatInTimeZone(now, preferences.timezone, 'yyyy-MM-dd'),
+      time: formatInTimeZone(now, preferences.timezone, 'HH:mm')
+    };
+  }
+
+  /**
+   * Whether it is within the user's quiet hours (which may run past midnight)
+   */
+  isQuietTime(preferences, now = new Date()) {
+    const { enabled, start, end } = preferences.quietHours;
+    if (!enabled) return false;
+
+    const { time } = this.getLocalTime(preferences, now);
+    return start < end
+      ? time >= start && time < end
+      : time >= start || time < end;
+  }
+
+  /**
+   * Whether the daily digest a held email waits for has gone out by now
+   * An item waits for the first digest time after it was queued.
+   */
+  isDigestDue(preferences, item, now = new Date()) {
+    const queued = this.getLocalTime(preferences, new Date(item.createdAt));
+    const digestDate = queued.time < preferences.digest.time ? queued.date : addDay(queued.date);
+    const current = this.getLocalTime(preferences, now);
+
+    return current.date > digestDate ||
+      (current.date === digestDate && current.time >= preferences.digest.time);
+  }
+
+  /**
+   * Decide how a notification reaches one user
+   * @param {Object} preferences - The user's preferences
+   * @param {Object} notification - { type, priority }
+   * @param {Date} now - Current time
+   * @returns {Object} { inApp, desktop, sound, email }; email is a DELIVERY
+   *   value, or null when not emailed
+   */
+  plan(preferences, notification, now = new Date()) {
+    const event = NOTIFICATION_TYPE_EVENTS[notification.type];
+    const urgent = notification.priority === 'critical';
+    const quiet = !urgent && this.isQuietTime(preferences, now);
+
+    // Types outside the matrix (task completed, status changes, ...) stay in-app
+    const channels = event
+      ? preferences.channels[event]
+      : { in_app: true, desktop: true, email: false };
+
+    const desktop = channels.desktop && !quiet;
+    let email = null;
+    if (channels.email) {
+      if (urgent) email = DELIVERY.SEND;
+      else if (preferences.digest.enabled) email = DELIVERY.DIGEST;
+      else email = quiet ? DELIVERY.QUIET_HOURS : DELIVERY.SEND;
+    }
+
+    return {
+      inApp: channels.in_app,
+      desktop,
+      sound: desktop && preferences.sound,
+      email
+    };
+  }
+
+  /**
+   * Decide how one of the organization's WhatsApp messages reaches a user
+   * @param {Object} preferences - The user's preferences
+   * @param {string|null} event - NOTIFICATION_EVENTS value the message belongs to, null for none
+   * @param {Date} now - Current time
+   * @returns {string|null} DELIVERY.SEND or DELIVERY.QUIET_HOURS, or null when
+   *   the user turned WhatsApp off for the event
+   */
+  planWhatsApp(preferences, event, now = new Date()) {
+    if (event && !preferences.channels[event]?.whatsapp) return null;
+    return this.isQuietTime(preferences, now) ? DELIVERY.QUIET_HOURS : DELIVERY.SEND;
+  }
+
+  /**
+   * Hold an email or WhatsApp message for later
+   * @param {Object} item - { tenantId, username, channel, reason, ... }: emails
+   *   carry type, title, message and url; WhatsApp messages event, template and variables
+   */
+  async enqueue(item) {
+    return await this.preferencesRepository.enqueue({ ...item, createdAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get the held messages of one channel, oldest first
+   * @param {string} channel - 'email' or 'whatsapp'
+   * @returns {Promise<Array>} Queue items
+   */
+  async findQueued(channel) {
+    const items = await this.preferencesRepository.findQueued();
+    return items.filter(item => item.channel === channel);
+  }
+
+  /**
+   * Remove delivered messages from the queue
+   * @param {Array<string>} itemIds - Queue item IDs
+   */
+  async dequeue(itemIds) {
+    return await this.preferencesRepository.dequeue(itemIds);
+  }
+
+  /**
+   * Deliver held emails whose quiet hours have ended or whose digest time has come
+   * A user's due emails go out as one email. Emails for users who no longer
+   * have an email address are dropped.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { users, emails, delivered }
+   */
+  async flushQueue(now = new Date()) {
+    const items = await this.findQueued('email');
+    const summary = { users: 0, emails: 0, delivered: 0 };
+    if (items.length === 0) return summary;
+
+    const groups = new Map();
+    items.forEach(item => {
+      const key = `${item.tenantId}/${item.username}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+    const usersByTenant = new Map();
+    const getUser = async (tenantId, username) => {
+      if (!usersByTenant.has(tenantId)) {
+        usersByTenant.set(tenantId, await this.userRepository.findByTenant(tenantId));
+      }
+      return usersByTenant.get(tenantId).find(user => user.username === username) || null;
+    };
+
+    for (const userItems of groups.values()) {
+      const { tenantId, username } = userItems[0];
+
+      try {
+        const preferences = await this.getPreferences(username, tenantId);
+        const quiet = this.isQuietTime(preferences, now);
+
+        const due = userItems.filter(item => (
+          item.reason === DELIVERY.DIGEST && preferences.digest.enabled
+            ? this.isDigestDue(preferences, item, now)
+            : !quiet
+        ));
+        if (due.length === 0) continue;
+
+        const user = await getUser(tenantId, username);
+        const result = !user?.email
+          ? { success: true }
+          : due.length === 1
+            ? await sendNotificationEmail(user.email, username, due[0])
+            : await sendNotificationDigestEmail(user.email, username, due);
+
+        if (result.success) {
+          await this.dequeue(due.map(item => item.id));
+          if (user?.email) summary.emails++;
+          summary.users++;
+          summary.delivered += due.length;
+        }
+      } catch (error) {
+        console.error(`Failed to deliver held notifications for ${username}:`, error);
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default NotificationPreferencesService;
@@ -0,0 +1,142 @@
+/**
+ * Office Site Service
+ * The organization's office sites, and matching office clock-ins to them
+ *
+ * An office clock-in is at a site when the device is inside the site's
+ * radius or connects from one of its network ranges (positions indoors are
+ * often off by more than the radius). Organizations without sites don't
+ * check office clock-ins; with `requireOfficeSite` on in the attendance
+ * settings, clock-ins at no site are refused.
+ */
+
+import { OfficeSiteRepository } from '../repositories/officeSite.repository.js';
+import { AttendanceRepository } from '../repositories/attendance.repository.js';
+import { OfficeSiteModel } from '../models/officeSite.model.js';
+import { matchOfficeSite, toOfficeSiteSnapshot } from '../utils/geofence.util.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const SITE_FIELDS = ['name', 'latitude', 'longitude', 'radius', 'timezone', 'allowedIpRanges'];
+
+const pick = (data, fields) => Object.fromEntries(
+  fields.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export class OfficeSiteService {
+  constructor() {
+    this.officeSiteRepository = new OfficeSiteRepository();
+    this.attendanceRepository = new AttendanceRepository();
+  }
+
+  /**
+   * Get an organization's office sites, by name
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Sites
+   */
+  async getSites(tenantId) {
+    const sites = await this.officeSiteRepository.findByTenant(tenantId);
+    return sites
+      .map(site => new OfficeSiteModel(site).toObject())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get an office site
+   * @throws {NotFoundError} No such site in the organization
+   */
+  async getSite(siteId, tenantId) {
+    const site = await this.officeSiteRepository.findById(siteId, tenantId);
+    if (!site) {
+      throw new NotFoundError('Office site');
+    }
+    return new OfficeSiteModel(site).toObject();
+  }
+
+  /**
+   * Add an office site
+   * @param {Object} data - { name, latitude, longitude, radius?, timezone?, allowedIpRanges? }
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username
+   * @returns {Promise<Object>} Created site
+   * @throws {ConflictError} The organization already has a site with that name
+   */
+  async createSite(data, tenantId, createdBy) {
+    const fields = pick(data, SITE_FIELDS);
+    const validation = OfficeSiteModel.validate({ ...fields, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid office site', validation.errors);
+    }
+
+    const site = new OfficeSiteModel({ ...fields, tenantId, createdBy }).toObject();
+    await this.ensureUniqueName(site.name, tenantId);
+
+    return await this.officeSiteRepository.create(site);
+  }
+
+  /**
+   * Change an office site
+   * @param {Object} site - Current site
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated site
+   */
+  async updateSite(site, changes) {
+    const fields = pick(changes, SITE_FIELDS);
+    const merged = { ...site, ...fields };
+
+    const validation = OfficeSiteModel.validate(merged, true);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid office site', validation.errors);
+    }
+
+    if (fields.name !== undefined) {
+      await this.ensureUniqueName(fields.name.trim(), site.tenantId, site.id);
+    }
+
+    const { id, tenantId, createdBy, createdAt, updatedAt, ...stored } = new OfficeSiteModel(merged).toObject();
+    const saved = await this.officeSiteRepository.update(site.id, stored);
+    return { ...site, ...stored, ...saved };
+  }
+
+  /**
+   * Delete an office site
+   */
+  async deleteSite(site) {
+    await this.officeSiteRepository.delete(site.id);
+  }
+
+  /**
+   * @throws {ConflictError} Another site of the organization has the name
+   */
+  async ensureUniqueName(name, tenantId, exceptId = null) {
+    const sites = await this.officeSiteRepository.findByTenant(tenantId);
+    if (sites.some(site => site.id !== exceptId && site.name.toLowerCase() === name.toLowerCase())) {
+      throw new ConflictError(`An office site named ${name} already exists`);
+    }
+  }
+
+  /**
+   * Match an office clock-in to the organization's sites
+   * @param {string} tenantId - Organization ID
+   * @param {Object} clockIn - { location: { latitude, longitude }?, ipAddress? }
+   * @returns {Promise<Object|null>} Site snapshot for the attendance record
+   *   ({ id, name, timezone, distance, matchedBy }), or null when the
+   *   organization has no sites or the clock-in is at none of them
+   * @throws {ValidationError} Clock-in at no site while the organization requires one
+   */
+  async checkClockIn(tenantId, clockIn) {
+    const sites = await this.getSites(tenantId);
+    if (sites.length === 0) return null;
+
+    const match = matchOfficeSite(sites, clockIn);
+    if (match.site) return toOfficeSiteSnapshot(match);
+
+    const settings = await this.attendanceRepository.getSettings(tenantId);
+    if (settings?.requireOfficeSite) {
+      const nearest = match.distance !== null ? ` (nearest is ${match.distance}m away)` : '';
+      throw new ValidationError(`Clock-in is not at any office site${nearest}`);
+    }
+
+    return null;
+  }
+}
+
+export default OfficeSiteService;
@@ -0,0 +1,75 @@
+/**
+ * Password Policy Service
+ * Applies an organization's settings.passwordPolicy (length, character
+ * classes, expiry) and decides when a user has to change their password
+ */
+
+import { OrganizationRepository } from '../repositories/organization.repository.js';
+import { ValidationError } from '../utils/errors.js';
+import {
+  normalizePasswordPolicy,
+  validatePasswordAgainstPolicy,
+  isPasswordExpired
+} from '../utils/passwordPolicy.util.js';
+
+export class PasswordPolicyService {
+  constructor() {
+    this.organizationRepository = new OrganizationRepository();
+  }
+
+  /**
+   * Get the password policy of an organization
+   * Organizations without a stored policy get the defaults.
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Complete policy
+   */
+  async getPolicy(tenantId) {
+    if (!tenantId) {
+      return normalizePasswordPolicy();
+    }
+
+    const organization = await this.organizationRepository.findById(tenantId);
+    return normalizePasswordPolicy(organization?.settings?.passwordPolicy);
+  }
+
+  /**
+   * Reject a password that does not meet a policy
+   * @param {string} password - Candidate password
+   * @param {Object} policy - Password policy
+   * @throws {ValidationError} With one entry per unmet requirement
+   */
+  assertPasswordMeetsPolicy(password, policy) {
+    const errors = validatePasswordAgainstPolicy(password, policy);
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, errors);
+    }
+  }
+
+  /**
+   * Reject a password that does not meet the organization's policy
+   * @param {string} password - Candidate password
+   * @param {string} tenantId - Organization ID
+   * @throws {ValidationError}
+   */
+  async validatePassword(password, tenantId) {
+    this.assertPasswordMeetsPolicy(password, await this.getPolicy(tenantId));
+  }
+
+  /**
+   * Check whether a user must change their password before using the app
+   * True when an admin flagged the account or the password has expired.
+   * Accounts created before passwordChangedAt was tracked fall back to createdAt.
+   * @param {Object} user - User record ({ tenantId, mustChangePassword, passwordChangedAt, createdAt })
+   * @returns {Promise<boolean>}
+   */
+  async requiresChange(user) {
+    if (!user) return false;
+    if (user.mustChangePassword === true) return true;
+
+    const policy = await this.getPolicy(user.tenantId);
+    return isPasswordExpired(user.passwordChangedAt || user.createdAt, policy);
+  }
+}
+
+export default PasswordPolicyService;
@@ -0,0 +1,333 @@
+/**
+ * Recurring Task Service
+ * Contains business logic for recurring task templates
+ * Materializes scheduled occurrences as regular tasks through TaskService
+ */
+
+import { RecurringTaskRepository } from '../repositories/recurringTask.repository.js';
+import {
+  RecurringTaskModel,
+  RECURRING_TASK_STATUS,
+  OCCURRENCE_STATUS
+} from '../models/recurringTask.model.js';
+import { TaskService } from './task.service.js';
+import { getNextOccurrence, addDays } from '../utils/recurrence.util.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { getIndiaDate } from '../../lib/timezone.js';
+
+// Maximum missed occurrences materialized per template in a single run
+// (protects against a template that was paused for a long time flooding the task list)
+const MAX_CATCH_UP_OCCURRENCES = 31;
+
+export class RecurringTaskService {
+  constructor() {
+    this.recurringTaskRepository = new RecurringTaskRepository();
+    this.taskService = new TaskService();
+  }
+
+  /**
+   * Get recurring tasks for a tenant
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - Optional filters (status, assigned_to, client_name)
+   * @returns {Promise<Array>} List of recurring tasks
+   */
+  async getRecurringTasks(tenantId, filters = {}) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const recurringTasks = await this.recurringTaskRepository.find({ ...filters, tenantId });
+    return recurringTasks.map(item => new RecurringTaskModel(item).toObject());
+  }
+
+  /**
+   * Get recurring task by ID
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Recurring task or null
+   */
+  async getRecurringTaskById(recurringTaskId, tenantId) {
+    if (!recurringTaskId || !tenantId) {
+      throw new ValidationError('Recurring task ID and tenant ID are required');
+    }
+
+    const recurringTask = await this.recurringTaskRepository.findById(recurringTaskId, tenantId);
+
+    if (!recurringTask) return null;
+
+    return new RecurringTaskModel(recurringTask).toObject();
+  }
+
+  /**
+   * Create a recurring task template
+   * @param {Object} recurringTaskData - Template data (task fields + schedule)
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username of the creator (becomes the assigner)
+   * @returns {Promise<Object>} Created template
+   */
+  async createRecurringTask(recurringTaskData, tenantId, createdBy) {
+    const validation = RecurringTaskModel.validate({ ...recurringTaskData, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid recurring task data', validation.errors);
+    }
+
+    const model = new RecurringTaskModel({
+      ...recurringTaskData,
+      tenantId,
+      assigned_by: createdBy,
+      createdBy,
+      status: RECURRING_TASK_STATUS.ACTIVE,
+      occurrenceCount: 0,
+      lastRunDate: null
+    });
+
+    model.nextRunDate = getNextOccurrence(model.schedule, getIndiaDate());
+    if (!model.nextRunDate) {
+      throw new ValidationError('Schedule has no upcoming occurrences');
+    }
+
+    const created = await this.recurringTaskRepository.create(model.toObject(), tenantId);
+
+    return new RecurringTaskModel(created).toObject();
+  }
+
+  /**
+   * Update a recurring task template
+   * Handles pause/resume via status and recalculates the next run date
+   * whenever the schedule changes or the template is resumed.
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {Object} updateData - Fields to update
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateRecurringTask(recurringTaskId, updateData, tenantId) {
+    const validation = RecurringTaskModel.validate(updateData, true);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid update data', validation.errors);
+    }
+
+    const existing = await this.recurringTaskRepository.findById(recurringTaskId, tenantId);
+    if (!existing) {
+      throw new NotFoundError('Recurring task');
+    }
+
+    const allowedFields = [
+      'task', 'client_name', 'assigned_to', 'priority',
+      'assignerNotes', 'assignerPrivateNotes', 'deadlineOffsetDays', 'status'
+    ];
+
+    const changes = {};
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field];
+      }
+    });
+
+    if (changes.deadlineOffsetDays !== undefined) {
+      changes.deadlineOffsetDays = Number(changes.deadlineOffsetDays);
+    }
+
+    const scheduleInput = updateData.schedule || updateData.recurring;
+    const schedule = scheduleInput
+      ? RecurringTaskModel.normalizeSchedule(scheduleInput)
+      : existing.schedule;
+
+    if (scheduleInput) {
+      changes.schedule = schedule;
+    }
+
+    const resuming = changes.status === RECURRING_TASK_STATUS.ACTIVE &&
+      existing.status !== RECURRING_TASK_STATUS.ACTIVE;
+
+    if (scheduleInput || resuming) {
+      // Never back-fill occurrences missed while paused or before an edit
+      const fromDate = existing.lastRunDate && existing.lastRunDate >= getIndiaDate()
+        ? addDays(existing.lastRunDate, 1)
+        : getIndiaDate();
+
+      changes.nextRunDate = getNextOccurrence(schedule, fromDate);
+
+      const status = changes.status || existing.status;
+      if (!changes.nextRunDate && status === RECURRING_TASK_STATUS.ACTIVE) {
+        changes.status = RECURRING_TASK_STATUS.COMPLETED;
+      }
+    }
+
+    if (scheduleInput) {
+      changes.rrule = new RecurringTaskModel({ ...existing, schedule }).toObject().rrule;
+    }
+
+    const updated = await this.recurringTaskRepository.update(recurringTaskId, changes, tenantId);
+    return new RecurringTaskModel(updated).toObject();
+  }
+
+  /**
+   * Pause a recurring task
+   */
+  async pauseRecurringTask(recurringTaskId, tenantId) {
+    return await this.updateRecurringTask(
+      recurringTaskId,
+      { status: RECURRING_TASK_STATUS.PAUSED },
+      tenantId
+    );
+  }
+
+  /**
+   * Resume a paused recurring task
+   */
+  async resumeRecurringTask(recurringTaskId, tenantId) {
+    return await this.updateRecurringTask(
+      recurringTaskId,
+      { status: RECURRING_TASK_STATUS.ACTIVE },
+      tenantId
+    );
+  }
+
+  /**
+   * Delete a recurring task template
+   * Tasks already generated from it are left untouched
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<void>}
+   */
+  async deleteRecurringTask(recurringTaskId, tenantId) {
+    if (!recurringTaskId || !tenantId) {
+      throw new ValidationError('Recurring task ID and tenant ID are required');
+    }
+
+    const existing = await this.recurringTaskRepository.findById(recurringTaskId, tenantId);
+    if (!existing) {
+      throw new NotFoundError('Recurring task');
+    }
+
+    await this.recurringTaskRepository.delete(recurringTaskId, tenantId);
+  }
+
+  /**
+   * Get occurrence history for a template
+   * @param {string} recurringTaskId - Recurring task ID
+   * @param {string} tenantId - Organization ID
+   * @param {number} limit - Maximum occurrences to return
+   * @returns {Promise<Array>} Occurrences (newest first)
+   */
+  async getOccurrences(recurringTaskId, tenantId, limit = 50) {
+    const existing = await this.recurringTaskRepository.findById(recurringTaskId, tenantId);
+    if (!existing) {
+      throw new NotFoundError('Recurring task');
+    }
+
+    return await this.recurringTaskRepository.findOccurrences(recurringTaskId, limit);
+  }
+
+  /**
+   * Materialize all due occurrences as regular tasks
+   * Intended to be called from the cron endpoint. Safe to run repeatedly:
+   * each occurrence date is reserved before its task is created.
+   * @param {Object} options
+   * @param {string|null} options.tenantId - Limit to one tenant (null = all tenants)
+   * @param {string} options.asOfDate - Materialize occurrences up to this date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Summary { processed, created: [], failed: [] }
+   */
+  async materializeDueOccurrences({ tenantId = null, asOfDate = getIndiaDate() } = {}) {
+    const dueTemplates = await this.recurringTaskRepository.findDue(asOfDate, tenantId);
+
+    const summary = {
+      processed: dueTemplates.length,
+      created: [],
+      failed: []
+    };
+
+    for (const template of dueTemplates) {
+      const model = new RecurringTaskModel(template);
+      let nextRunDate = model.nextRunDate;
+      let lastRunDate = model.lastRunDate;
+      let occurrenceCount = model.occurrenceCount;
+      let generated = 0;
+
+      while (nextRunDate && nextRunDate <= asOfDate && generated < MAX_CATCH_UP_OCCURRENCES) {
+        const occurrenceDate = nextRunDate;
+        const result = await this.materializeOccurrence(model, occurrenceDate);
+
+        if (result?.task) {
+          summary.created.push({
+            recurringTaskId: model.id,
+            occurrenceDate,
+            task: result.task
+          });
+          occurrenceCount++;
+        } else if (result?.error) {
+          summary.failed.push({
+            recurringTaskId: model.id,
+            occurrenceDate,
+            error: result.error
+          });
+        }
+
+        lastRunDate = occurrenceDate;
+        generated++;
+        nextRunDate = getNextOccurrence(model.schedule, addDays(occurrenceDate, 1));
+      }
+
+      await this.recurringTaskRepository.update(model.id, {
+        nextRunDate,
+        lastRunDate,
+        occurrenceCount,
+        ...(!nextRunDate && { status: RECURRING_TASK_STATUS.COMPLETED })
+      }, model.tenantId);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Materialize a single occurrence
+   * @param {RecurringTaskModel} model - Template
+   * @param {string} occurrenceDate - Occurrence date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} { task } on success, { error } on failure,
+   *   null if the occurrence was already handled by another run
+   */
+  async materializeOccurrence(model, occurrenceDate) {
+    const reserved = await this.recurringTaskRepository.reserveOccurrence(model.id, occurrenceDate, {
+      status: OCCURRENCE_STATUS.PENDING,
+      tenantId: model.tenantId,
+      assigned_to: model.assigned_to
+    });
+
+    if (!reserved) return null;
+
+    try {
+      const task = await this.taskService.createTask({
+        task: model.task,
+        client_name: model.client_name,
+        assigned_by: model.assigned_by,
+        assigned_to: model.assigned_to,
+        deadline: addDays(occurrenceDate, model.deadlineOffsetDays),
+        priority: model.priority,
+        assignerNotes: model.assignerNotes,
+        assignerPrivateNotes: model.assignerPrivateNotes,
+        recurringTaskId: model.id,
+        occurrenceDate,
+        tenantId: model.tenantId
+      }, model.tenantId);
+
+      await this.recurringTaskRepository.updateOccurrence(model.id, occurrenceDate, {
+        status: OCCURRENCE_STATUS.CREATED,
+        taskId: task.id,
+        deadline: task.deadline
+      });
+
+      return { task };
+    } catch (error) {
+      console.error(`Failed to materialize recurring task ${model.id} for ${occurrenceDate}:`, error);
+
+      await this.recurringTaskRepository.updateOccurrence(model.id, occurrenceDate, {
+        status: OCCURRENCE_STATUS.FAILED,
+        error: error.message
+      });
+
+      return { error: error.message };
+    }
+  }
+}
+
+export default RecurringTaskService;
@@ -0,0 +1,217 @@
+/**
+ * Refresh Token Service
+ * Issues, rotates and revokes server-side refresh tokens
+ *
+ * Every refresh exchanges the presented token for a new one. Presenting a
+ * token that was already exchanged means it was copied somewhere, so the
+ * whole family (every token descended from the same login) is revoked -
+ * unless it comes within REUSE_GRACE_MS of the exchange, when the caller is
+ * most likely a second tab that lost the race and gets the same replacement.
+ */
+
+import crypto from 'crypto';
+import { RefreshTokenRepository, ROTATION_RESULT } from '../repositories/refreshToken.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { SessionRepository } from '../repositories/session.repository.js';
+import { SESSION_CLIENT } from '../models/session.model.js';
+import { AuthenticationError, ValidationError } from '../utils/errors.js';
+import { generateToken, verifyToken, markSessionRevoked } from '../../lib/auth.js';
+
+export const REVOCATION_REASON = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  REUSE_DETECTED: 'reuse_detected',
+  USER_UNAVAILABLE: 'user_unavailable',
+  TERMINATED: 'terminated'
+};
+
+export class RefreshTokenService {
+  constructor() {
+    this.refreshTokenRepository = new RefreshTokenRepository();
+    this.userRepository = new UserRepository();
+    this.sessionRepository = new SessionRepository();
+  }
+
+  /**
+   * Sign a refresh token and build its database record
+   * @param {Object} user - User the token is issued to
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<Object>} { refreshToken, record }
+   */
+  async buildRefreshToken(user, familyId) {
+    const jti = crypto.randomUUID();
+    const refreshToken = generateToken(user, { tokenType: 'refresh', jti, familyId });
+    const { user: decoded } = await verifyToken(refreshToken, { tokenType: 'refresh' });
+
+    // iat is kept so the token can be signed again during the reuse grace window
+
+    return {
+      refreshToken,
+      record: {
+        jti,
+        familyId,
+        userId: user.id || user.username,
+        username: user.username,
+        tenantId: user.tenantId,
+        issuedAt: decoded.iat,
+        expiresAt: new Date(decoded.exp * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Issue an access/refresh token pair for a fresh login
+   * The token family doubles as the session ID shown in the active sessions list.
+   * @param {Object} user - Authenticated user
+   * @param {Object} context - Login context from SessionModel.fromRequest (userAgent, ipAddress, client, device)
+   * @returns {Promise<Object>} { accessToken, refreshToken, familyId }
+   */
+  async issueTokens(user, context = {}) {
+    if (!user?.username || !user?.tenantId) {
+      throw new ValidationError('User with username and tenant ID is required');
+    }
+
+    const familyId = crypto.randomUUID();
+    const { refreshToken, record } = await this.buildRefreshToken(user, familyId);
+
+    await this.refreshTokenRepository.create(record);
+    await this.sessionRepository.create(familyId, {
+      tenantId: user.tenantId,
+      userId: record.userId,
+      username: user.username,
+      client: context.client || SESSION_CLIENT.WEB,
+      device: context.device || null,
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null,
+      lastIpAddress: context.ipAddress || null,
+      expiresAt: record.expiresAt
+    });
+
+    return {
+      accessToken: generateToken(user, { tokenType: 'access', familyId }),
+      refreshToken,
+      familyId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} context - Request context (ipAddress) recorded as last seen
+   * @returns {Promise<Object>} { accessToken, refreshToken, user }
+   */
+  async rotate(refreshToken, context = {}) {
+    const verification = await verifyToken(refreshToken, { tokenType: 'refresh' });
+
+    if (!verification.valid) {
+      throw new AuthenticationError('Invalid or expired refresh token');
+    }
+
+    const claims = verification.user;
+
+    if (!claims.jti || !claims.fid) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    // Reload the user so role changes and deletions take effect on refresh
+    const user = await this.userRepository.findByUsername(claims.username, claims.tenantId);
+
+    if (!user || user.isActive === false) {
+      await this.revokeFamily(claims.fid, REVOCATION_REASON.USER_UNAVAILABLE);
+      throw new AuthenticationError('User not found');
+    }
+
+    const next = await this.buildRefreshToken(user, claims.fid);
+    const { status, replacement } = await this.refreshTokenRepository.rotate(claims.jti, next.record);
+
+    if (status === ROTATION_RESULT.GRACE) {
+      return {
+        accessToken: generateToken(user, { tokenType: 'access', familyId: claims.fid }),
+        refreshToken: generateToken(user, {
+          tokenType: 'refresh',
+          jti: replacement.id,
+          familyId: claims.fid,
+          issuedAt: replacement.issuedAt
+        }),
+        user
+      };
+    }
+
+    if (status === ROTATION_RESULT.REUSED) {
+      console.warn(`Refresh token reuse detected for ${claims.username} (family ${claims.fid}), revoking family`);
+      await this.revokeFamily(claims.fid, REVOCATION_REASON.REUSE_DETECTED);
+      throw new AuthenticationError('Refresh token has already been used');
+    }
+
+    if (status !== ROTATION_RESULT.ROTATED) {
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    await this.sessionRepository.touch(claims.fid, {
+      lastIpAddress: context.ipAddress,
+      expiresAt: next.record.expiresAt
+    });
+
+    return {
+      accessToken: generateToken(user, { tokenType: 'access', familyId: claims.fid }),
+      refreshToken: next.refreshToken,
+      user
+    };
+  }
+
+  /**
+   * Revoke the token family a refresh token belongs to (single-device logout)
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeToken(refreshToken) {
+    const verification = await verifyToken(refreshToken, { tokenType: 'refresh' });
+
+    if (!verification.valid || !verification.user.fid) {
+      return 0;
+    }
+
+    return await this.revokeFamily(verification.user.fid, REVOCATION_REASON.LOGOUT);
+  }
+
+  /**
+   * Revoke every token in a family and end its session
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @param {string|null} revokedBy - Username that ended the session
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason = REVOCATION_REASON.LOGOUT, revokedBy = null) {
+    if (!familyId) return 0;
+
+    markSessionRevoked(familyId);
+    await this.sessionRepository.revoke(familyId, reason, revokedBy);
+
+    return await this.refreshTokenRepository.revokeFamily(familyId, reason);
+  }
+
+  /**
+   * Revoke every refresh token a user holds (sign out all devices)
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string|null} revokedBy - Username that ended the sessions
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeAllForUser(username, tenantId, revokedBy = null) {
+    if (!username || !tenantId) {
+      throw new ValidationError('Username and tenant ID are required');
+    }
+
+    const sessionIds = await this.sessionRepository.revokeByUser(
+      username,
+      tenantId,
+      REVOCATION_REASON.LOGOUT_ALL,
+      revokedBy || username
+    );
+    sessionIds.forEach(markSessionRevoked);
+
+    return await this.refreshTokenRepository.revokeByUser(username, tenantId, REVOCATION_REASON.LOGOUT_ALL);
+  }
+}
+
+export default RefreshTokenService;
@@ -0,0 +1,364 @@
+/**
+ * Regularization Service
+ * Attendance correction requests: a missed clock-out, a wrong work type or
+ * a wrong clock-in/out time, with a reason, reviewed by a manager
+ *
+ * Approving a request patches the attendance record the same way a clock-in
+ * or clock-out would have set it (hours, late mark, full or half day) and
+ * adds the values it replaced to the record's `revisions`. Each user has a
+ * limited number of requests per month of attendance
+ * (`regularizationMonthlyLimit` in the attendance settings); pending and
+ * approved requests count towards it.
+ */
+
+import { RegularizationRepository, SUBMISSION_RESULT } from '../repositories/regularization.repository.js';
+import { AttendanceRepository } from '../repositories/attendance.repository.js';
+import {
+  RegularizationRequestModel,
+  REGULARIZATION_TYPES,
+  REGULARIZATION_STATUS,
+  ACTIVE_REGULARIZATION_STATUSES,
+  DEFAULT_MONTHLY_LIMIT
+} from '../models/regularizationRequest.model.js';
+import { REVIEW_ACTIONS } from './leave.service.js';
+import { evaluateCheckIn, getWorkedMinutes, meetsMinimumHours, parseTimeOfDay } from '../utils/shift.util.js';
+import { ATTENDANCE_STATUS } from '../utils/constants.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { getIndiaDate } from '../../lib/timezone.js';
+
+const MAX_COMMENT_LENGTH = 500;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// What each type of request may change on the record
+const TYPE_FIELDS = {
+  [REGULARIZATION_TYPES.MISSED_CLOCK_OUT]: ['checkOut'],
+  [REGULARIZATION_TYPES.WORK_TYPE]: ['workType'],
+  [REGULARIZATION_TYPES.TIME_CHANGE]: ['checkIn', 'checkOut']
+};
+
+const CORRECTABLE_FIELDS = ['checkIn', 'checkOut', 'workType'];
+
+// Records from the MVC layer may use clockIn/clockOut/workMode
+const currentValues = (record) => ({
+  checkIn: record.checkIn ?? record.clockIn ?? null,
+  checkOut: record.checkOut ?? record.clockOut ?? null,
+  workType: record.workType ?? record.workMode ?? null
+});
+
+const formatHours = (minutes) => `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Work out what approving a request changes on a record
+ * Late marks and full/half days follow the record's shift, or the
+ * organization's deadline without one (as at clock-in).
+ * @param {Object} record - Attendance record
+ * @param {Object} requested - { checkIn?, checkOut?, workType? }
+ * @param {Object|null} settings - Attendance settings
+ * @returns {Object} Fields to set
+ */
+const buildCorrection = (record, requested, settings) => {
+  const current = currentValues(record);
+  const checkIn = requested.checkIn || current.checkIn;
+  const checkOut = requested.checkOut || current.checkOut;
+  const changes = {};
+
+  if (requested.workType) {
+    changes.workType = requested.workType;
+  }
+
+  if (!requested.checkIn && !requested.checkOut) {
+    return changes;
+  }
+
+  if (requested.checkIn) {
+    changes.checkIn = requested.checkIn;
+  }
+  if (requested.checkOut) {
+    changes.checkOut = requested.checkOut;
+    if (record.autoClockOut) changes.autoClockOut = false;
+  }
+
+  const { shift } = record;
+  const deadline = (settings?.deadlineHour || 12) * 60 + (settings?.deadlineMinute || 0);
+  const afterDeadline = parseTimeOfDay(checkIn) >= deadline;
+  const lateness = shift
+    ? evaluateCheckIn(shift, checkIn)
+    : { markedLate: afterDeadline, lateByMinutes: null, halfDay: afterDeadline };
+
+  if (requested.checkIn) {
+    changes.markedLate = lateness.markedLate;
+    changes.lateByMinutes = lateness.lateByMinutes;
+  }
+
+  let workedMinutes = null;
+  if (checkOut) {
+    changes.totalHours = formatHours(getWorkedMinutes({ breakMinutes: 0 }, checkIn, checkOut));
+    if (shift) {
+      workedMinutes = getWorkedMinutes(shift, checkIn, checkOut);
+      changes.workedMinutes = workedMinutes;
+    }
+  }
+
+  // Half-day leave keeps its status
+  if (!record.leaveRequestId) {
+    const halfDay = settings?.halfDayEnabled !== false && (
+      lateness.halfDay || (shift && workedMinutes !== null && !meetsMinimumHours(shift, workedMinutes))
+    );
+    changes.status = halfDay ? ATTENDANCE_STATUS.HALF_DAY : ATTENDANCE_STATUS.PRESENT;
+  }
+
+  return changes;
+};
+
+export class RegularizationService {
+  constructor() {
+    this.regularizationRepository = new RegularizationRepository();
+    this.attendanceRepository = new AttendanceRepository();
+  }
+
+  /**
+   * Get a user's attendance record for a date
+   * @throws {NotFoundError} No record that day
+   */
+  async getRecord(username, tenantId, date) {
+    const doc = await this.attendanceRepository.findRecordForDate(username, tenantId, date);
+    if (!doc) {
+      throw new NotFoundError('Attendance record');
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Get how many requests a user may make per month of attendance
+   * @returns {Promise<number>}
+   */
+  async getMonthlyLimit(tenantId) {
+    const settings = await this.attendanceRepository.getSettings(tenantId);
+    return settings?.regularizationMonthlyLimit ?? DEFAULT_MONTHLY_LIMIT;
+  }
+
+  /**
+   * Get how many requests a user has made and has left for a month
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} month - Month of attendance (YYYY-MM)
+   * @returns {Promise<Object>} { month, limit, used, remaining }
+   */
+  async getUsage(username, tenantId, month) {
+    if (!MONTH_PATTERN.test(month || '')) {
+      throw new ValidationError('Month must be YYYY-MM');
+    }
+
+    const [limit, requests] = await Promise.all([
+      this.getMonthlyLimit(tenantId),
+      this.regularizationRepository.find(tenantId, { username, month })
+    ]);
+
+    const used = requests.filter(request => ACTIVE_REGULARIZATION_STATUSES.includes(request.status)).length;
+
+    return { month, limit, used, remaining: Math.max(limit - used, 0) };
+  }
+
+  /**
+   * Ask for a correction to one's attendance record
+   * @param {Object} data - { date, type, checkIn?, checkOut?, workType?, reason }
+   * @param {string} username - The user whose record it is
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Created (pending) request
+   * @throws {ValidationError} Invalid request, nothing to change, or the month's limit is used up
+   * @throws {NotFoundError} No attendance record on the date
+   * @throws {ConflictError} A request for the date is already pending
+   */
+  async submitRequest(data, username, tenantId) {
+    const fields = TYPE_FIELDS[data.type] || [];
+    const requested = Object.fromEntries(
+      fields.filter(field => data[field] !== undefined && data[field] !== '').map(field => [field, data[field]])
+    );
+
+    const requestData = {
+      tenantId,
+      username,
+      date: data.date,
+      type: data.type,
+      requested,
+      reason: typeof data.reason === 'string' ? data.reason.trim() : data.reason
+    };
+
+    const validation = RegularizationRequestModel.validate(requestData);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid regularization request', validation.errors);
+    }
+
+    if (requestData.date > getIndiaDate()) {
+      throw new ValidationError('Only past and today\'s attendance can be regularized');
+    }
+
+    const record = await this.getRecord(username, tenantId, requestData.date);
+    const current = currentValues(record);
+    this.checkApplicable(requestData.type, record, requested);
+
+    // The limit and the pending request for the date are checked in the same transaction as the create
+    const limit = await this.getMonthlyLimit(tenantId);
+    const { status, request } = await this.regularizationRepository.createWithinMonthlyLimit(
+      new RegularizationRequestModel({
+        ...requestData,
+        attendanceId: record.id,
+        current: Object.fromEntries(Object.keys(requested).map(field => [field, current[field]]))
+      }).toObject(),
+      limit
+    );
+
+    if (status === SUBMISSION_RESULT.DUPLICATE) {
+      throw new ConflictError(`You already have a pending regularization request for ${requestData.date}`);
+    }
+    if (status === SUBMISSION_RESULT.LIMIT_REACHED) {
+      throw new ValidationError(`You have used all ${limit} regularization requests for ${requestData.date.slice(0, 7)}`);
+    }
+
+    return request;
+  }
+
+  /**
+   * Check that a request makes sense for the record as it is
+   * @throws {ValidationError}
+   */
+  checkApplicable(type, record, requested) {
+    const current = currentValues(record);
+
+    if (record.status === ATTENDANCE_STATUS.LEAVE) {
+      throw new ValidationError('The day is on leave; cancel the leave instead');
+    }
+
+    if (type === REGULARIZATION_TYPES.MISSED_CLOCK_OUT) {
+      if (!current.checkIn) {
+        throw new ValidationError('There is no clock-in that day; request a time change with both times instead');
+      }
+      if (current.checkOut && !record.autoClockOut) {
+        throw new ValidationError(`Already clocked out at ${current.checkOut}; request a time change instead`);
+      }
+    }
+
+    if (!requested.checkIn && requested.checkOut && !current.checkIn) {
+      throw new ValidationError('There is no clock-in that day; include the clock-in time');
+    }
+
+    // Recorded times carry seconds
+    const unchanged = ([field, value]) => (field === 'workType'
+      ? current[field] === value
+      : parseTimeOfDay(current[field]) === parseTimeOfDay(value));
+    if (Object.entries(requested).every(unchanged)) {
+      throw new ValidationError('The requested values match the record already');
+    }
+  }
+
+  /**
+   * Get a regularization request
+   * @throws {NotFoundError}
+   */
+  async getRequest(requestId, tenantId) {
+    const request = await this.regularizationRepository.findById(requestId, tenantId);
+    if (!request) {
+      throw new NotFoundError('Regularization request');
+    }
+    return request;
+  }
+
+  /**
+   * List regularization requests, latest date first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - { username, status, month (YYYY-MM) }
+   * @returns {Promise<Array>} Requests
+   */
+  async listRequests(tenantId, filters = {}) {
+    const statuses = Object.values(REGULARIZATION_STATUS);
+    if (filters.status && !statuses.includes(filters.status)) {
+      throw new ValidationError(`Status must be one of: ${statuses.join(', ')}`);
+    }
+    if (filters.month && !MONTH_PATTERN.test(filters.month)) {
+      throw new ValidationError('Month must be YYYY-MM');
+    }
+
+    return await this.regularizationRepository.find(tenantId, {
+      username: filters.username,
+      status: filters.status,
+      month: filters.month
+    });
+  }
+
+  /**
+   * Approve or reject a pending request
+   * Approving patches the attendance record and records the revision.
+   * @param {Object} request - The request
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} comment - Reviewer's comment
+   * @param {string} reviewer - Username of the reviewer
+   * @returns {Promise<Object>} Updated request
+   */
+  async reviewRequest(request, action, comment, reviewer) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new ValidationError(`Action must be one of: ${REVIEW_ACTIONS.join(', ')}, cancel`);
+    }
+    if (comment && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      throw new ValidationError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    if (request.status !== REGULARIZATION_STATUS.PENDING) {
+      throw new ConflictError(`Regularization request is already ${request.status}`);
+    }
+    if (request.username === reviewer) {
+      throw new ForbiddenError('You cannot review your own regularization request');
+    }
+
+    const approve = action === 'approve';
+    const reviewedAt = new Date().toISOString();
+
+    if (approve) {
+      // The record may have changed (e.g. leave approved) since the request was made
+      const record = await this.getRecord(request.username, request.tenantId, request.date);
+      this.checkApplicable(request.type, record, request.requested);
+
+      const settings = await this.attendanceRepository.getSettings(request.tenantId);
+      const changes = buildCorrection(record, request.requested, settings);
+
+      await this.attendanceRepository.applyRevision(record.id, changes, {
+        revisedAt: reviewedAt,
+        revisedBy: reviewer,
+        regularizationRequestId: request.id,
+        reason: request.reason,
+        before: Object.fromEntries(Object.keys(changes).map(field => [
+          field,
+          CORRECTABLE_FIELDS.includes(field) ? currentValues(record)[field] : (record[field] ?? null)
+        ])),
+        after: changes
+      });
+    }
+
+    const changes = await this.regularizationRepository.update(request.id, {
+      status: approve ? REGULARIZATION_STATUS.APPROVED : REGULARIZATION_STATUS.REJECTED,
+      reviewedBy: reviewer,
+      reviewedAt,
+      reviewComment: comment?.trim() || ''
+    });
+
+    return { ...request, ...changes };
+  }
+
+  /**
+   * Withdraw a pending request
+   * @param {Object} request - The request
+   * @returns {Promise<Object>} Updated request
+   */
+  async cancelRequest(request) {
+    if (request.status !== REGULARIZATION_STATUS.PENDING) {
+      throw new ConflictError(`Regularization request is already ${request.status}`);
+    }
+
+    const changes = await this.regularizationRepository.update(request.id, {
+      status: REGULARIZATION_STATUS.CANCELLED,
+      cancelledAt: new Date().toISOString()
+    });
+
+    return { ...request, ...changes };
+  }
+}
+
+export default RegularizationService;
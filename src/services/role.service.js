@@ -0,0 +1,286 @@
+/**
+ * Role Service
+ * Organization roles, their permissions, and permission checks for users
+ *
+ * Every organization has the built-in roles from permissions.util and can edit
+ * them (except admin) or add its own. A user's role key is resolved to its
+ * permissions here; requirePermission uses this on every protected route.
+ */
+
+import { RoleRepository } from '../repositories/role.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { TeamService } from './team.service.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import {
+  ADMIN_ROLE,
+  DEFAULT_ROLE,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_KEYS,
+  isValidRoleKey,
+  isValidPermissionGrant,
+  getPermissionScope
+} from '../utils/permissions.util.js';
+
+// Roles are read on every request, so they are cached briefly per organization;
+// the cache is shared by every RoleService so a change is seen everywhere at once
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+export class RoleService {
+  constructor() {
+    this.roleRepository = new RoleRepository();
+    this.userRepository = new UserRepository();
+    this.teamService = new TeamService();
+  }
+
+  /**
+   * Get all roles of an organization, built-in ones merged with its changes
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Roles ({ key, name, description, permissions, builtIn, editable })
+   */
+  async getRoles(tenantId) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const cached = roleCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.roles;
+    }
+
+    const stored = await this.roleRepository.findByTenant(tenantId);
+    const storedByKey = new Map(stored.map(role => [role.key, role]));
+
+    const builtIn = BUILT_IN_ROLES.map(role => {
+      // The admin role always keeps every permission
+      const override = role.key === ADMIN_ROLE ? null : storedByKey.get(role.key);
+
+      return {
+        key: role.key,
+        name: override?.name || role.name,
+        description: override?.description ?? role.description,
+        permissions: override?.permissions || role.permissions,
+        builtIn: true,
+        editable: role.key !== ADMIN_ROLE
+      };
+    });
+
+    const custom = stored
+      .filter(role => !BUILT_IN_ROLE_KEYS.includes(role.key))
+      .map(role => ({
+        key: role.key,
+        name: role.name,
+        description: role.description || '',
+        permissions: role.permissions || [],
+        builtIn: false,
+        editable: true
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const roles = [...builtIn, ...custom];
+    roleCache.set(tenantId, { roles, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+
+    return roles;
+  }
+
+  /**
+   * Get roles with the number of users holding each one
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Roles with userCount
+   */
+  async getRolesWithUsage(tenantId) {
+    const [roles, users] = await Promise.all([
+      this.getRoles(tenantId),
+      this.userRepository.findByTenant(tenantId)
+    ]);
+
+    return roles.map(role => ({
+      ...role,
+      userCount: users.filter(user => (user.role || DEFAULT_ROLE) === role.key).length
+    }));
+  }
+
+  /**
+   * Get a single role
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Role or null
+   */
+  async getRole(key, tenantId) {
+    const roles = await this.getRoles(tenantId);
+    return roles.find(role => role.key === key) || null;
+  }
+
+  /**
+   * Check whether a role exists in an organization
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<boolean>}
+   */
+  async roleExists(key, tenantId) {
+    return !!(await this.getRole(key, tenantId));
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} data - { key, name, description, permissions }
+   * @param {string} tenantId - Organization ID
+   * @param {string} actor - Username making the change
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(data, tenantId, actor) {
+    const key = String(data.key || '').trim().toLowerCase();
+
+    if (!isValidRoleKey(key)) {
+      throw new ValidationError('Role key must be 2-32 lowercase letters, numbers or underscores, starting with a letter');
+    }
+
+    if (await this.roleExists(key, tenantId)) {
+      throw new ConflictError(`Role "${key}" already exists`);
+    }
+
+    const role = this.validateRoleData(data);
+
+    await this.roleRepository.save(key, tenantId, { ...role, updatedBy: actor });
+    roleCache.delete(tenantId);
+
+    return await this.getRole(key, tenantId);
+  }
+
+  /**
+   * Update a role's name, description or permissions
+   * @param {string} key - Role key
+   * @param {Object} data - { name, description, permissions }
+   * @param {string} tenantId - Organization ID
+   * @param {string} actor - Username making the change
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(key, data, tenantId, actor) {
+    const existing = await this.getRole(key, tenantId);
+
+    if (!existing) {
+      throw new NotFoundError('Role');
+    }
+
+    if (!existing.editable) {
+      throw new ForbiddenError('The administrator role cannot be changed');
+    }
+
+    const role = this.validateRoleData({
+      name: data.name ?? existing.name,
+      description: data.description ?? existing.description,
+      permissions: data.permissions ?? existing.permissions
+    });
+
+    await this.roleRepository.save(key, tenantId, { ...role, updatedBy: actor });
+    roleCache.delete(tenantId);
+
+    return await this.getRole(key, tenantId);
+  }
+
+  /**
+   * Delete a custom role
+   * Built-in roles and roles still assigned to users cannot be deleted.
+   * @param {string} key - Role key
+   * @param {string} tenantId - Organization ID
+   */
+  async deleteRole(key, tenantId) {
+    const existing = await this.getRole(key, tenantId);
+
+    if (!existing) {
+      throw new NotFoundError('Role');
+    }
+
+    if (existing.builtIn) {
+      throw new ForbiddenError('Built-in roles cannot be deleted');
+    }
+
+    const users = await this.userRepository.findByTenant(tenantId);
+    const assigned = users.filter(user => user.role === key).length;
+
+    if (assigned > 0) {
+      throw new ConflictError(`Role is assigned to ${assigned} user(s). Move them to another role first.`);
+    }
+
+    await this.roleRepository.delete(key, tenantId);
+    roleCache.delete(tenantId);
+  }
+
+  /**
+   * Validate and clean name, description and permissions of a role
+   * @param {Object} data - { name, description, permissions }
+   * @returns {Object} Clean role data
+   */
+  validateRoleData({ name, description, permissions }) {
+    const errors = [];
+    const cleanName = typeof name === 'string' ? name.trim() : '';
+    const cleanDescription = typeof description === 'string' ? description.trim() : '';
+
+    if (!cleanName || cleanName.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name is required (max ${MAX_NAME_LENGTH} characters)` });
+    }
+
+    if (cleanDescription.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    if (!Array.isArray(permissions)) {
+      errors.push({ field: 'permissions', message: 'Permissions must be a list' });
+    } else {
+      const unknown = permissions.filter(grant => !isValidPermissionGrant(grant));
+      if (unknown.length > 0) {
+        errors.push({ field: 'permissions', message: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, errors);
+    }
+
+    return {
+      name: cleanName,
+      description: cleanDescription,
+      // A permission granted org-wide makes its :team variant redundant
+      permissions: [...new Set(permissions)].filter(grant => {
+        return !grant.endsWith(':team') || !permissions.includes(grant.slice(0, -':team'.length));
+      })
+    };
+  }
+
+  /**
+   * Get the permissions granted to a user through their role
+   * Unknown roles (e.g. a deleted custom role) grant nothing.
+   * @param {Object} user - { role, tenantId }
+   * @returns {Promise<Array<string>>} Permission grants
+   */
+  async getPermissionsForUser(user) {
+    if (!user?.tenantId) return [];
+
+    const role = await this.getRole(user.role || DEFAULT_ROLE, user.tenantId);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * Find how widely a user holds a permission
+   * @param {Object} user - { role, tenantId }
+   * @param {string} permission - `resource:action`
+   * @returns {Promise<string|null>} PERMISSION_SCOPE value, or null when not granted
+   */
+  async getPermissionScope(user, permission) {
+    return getPermissionScope(await this.getPermissionsForUser(user), permission);
+  }
+
+  /**
+   * Get the usernames a team-scoped permission covers: the user's org subtree
+   * @param {Object} user - { id, username, tenantId }
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async getTeamUsernames(user) {
+    return await this.teamService.getOrgSubtreeUsernames(user);
+  }
+}
+
+export default RoleService;
@@ -0,0 +1,73 @@
+/**
+ * Session Service
+ * Lists signed-in sessions and terminates them remotely
+ */
+
+import { SessionRepository } from '../repositories/session.repository.js';
+import { SessionModel, SESSION_STATUS } from '../models/session.model.js';
+import { RefreshTokenService, REVOCATION_REASON } from './refreshToken.service.js';
+import { RoleService } from './role.service.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
+import { PERMISSIONS } from '../utils/permissions.util.js';
+
+export class SessionService {
+  constructor() {
+    this.sessionRepository = new SessionRepository();
+    this.refreshTokenService = new RefreshTokenService();
+    this.roleService = new RoleService();
+  }
+
+  /**
+   * Get sessions for a user
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {Object} options
+   * @param {string|null} options.currentSessionId - Session of the caller (flagged as current)
+   * @param {boolean} options.includeInactive - Include revoked and expired sessions
+   * @returns {Promise<Array>} Sessions, most recently seen first
+   */
+  async getUserSessions(username, tenantId, { currentSessionId = null, includeInactive = false } = {}) {
+    if (!username || !tenantId) {
+      throw new ValidationError('Username and tenant ID are required');
+    }
+
+    const sessions = await this.sessionRepository.findByUser(username, tenantId);
+
+    return sessions
+      .map(session => ({
+        ...new SessionModel(session).toObject(),
+        current: session.id === currentSessionId
+      }))
+      .filter(session => includeInactive || session.status === SESSION_STATUS.ACTIVE);
+  }
+
+  /**
+   * Terminate a session
+   * Users may terminate their own sessions; user managers any session in their tenant.
+   * @param {string} sessionId - Session ID
+   * @param {Object} actor - Authenticated user ({ username, role, tenantId })
+   * @returns {Promise<Object>} Terminated session
+   */
+  async terminateSession(sessionId, actor) {
+    if (!sessionId) {
+      throw new ValidationError('Session ID is required');
+    }
+
+    const session = await this.sessionRepository.findById(sessionId, actor.tenantId);
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (session.username !== actor.username &&
+        !(await this.roleService.getPermissionScope(actor, PERMISSIONS.USERS_MANAGE))) {
+      throw new ForbiddenError('You can only terminate your own sessions');
+    }
+
+    await this.refreshTokenService.revokeFamily(sessionId, REVOCATION_REASON.TERMINATED, actor.username);
+
+    const updated = await this.sessionRepository.findById(sessionId, actor.tenantId);
+    return new SessionModel(updated).toObject();
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,323 @@
+/**
+ * Shift Service
+ * Shift definitions, who works which shift (per user or team, with rotating
+ * rosters), and the organization's default shift
+ *
+ * A user's shift on a date comes from their own assignment, else their
+ * team's (or the nearest parent team's), else the default shift stored in
+ * the attendance settings. Users without any shift keep the organization's
+ * single clock-in deadline.
+ */
+
+import { ShiftRepository } from '../repositories/shift.repository.js';
+import { TeamRepository } from '../repositories/team.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { AttendanceRepository } from '../repositories/attendance.repository.js';
+import { ShiftModel } from '../models/shift.model.js';
+import { ShiftAssignmentModel, SHIFT_ASSIGNEE_TYPE } from '../models/shiftAssignment.model.js';
+import { resolveShift, hasShiftEnded } from '../utils/shift.util.js';
+import { eachDateInRange } from '../utils/holidayCalendar.util.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range a schedule is worked out for in one go
+const MAX_SCHEDULE_DAYS = 62;
+
+const SHIFT_FIELDS = ['name', 'startTime', 'endTime', 'graceMinutes', 'breakMinutes', 'minimumHours'];
+const ASSIGNMENT_FIELDS = ['shiftIds', 'rotationDays', 'startDate', 'endDate'];
+
+const pick = (data, fields) => Object.fromEntries(
+  fields.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+export class ShiftService {
+  constructor() {
+    this.shiftRepository = new ShiftRepository();
+    this.teamRepository = new TeamRepository();
+    this.userRepository = new UserRepository();
+    this.attendanceRepository = new AttendanceRepository();
+  }
+
+  /**
+   * Get an organization's shifts, earliest start first
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Shifts
+   */
+  async getShifts(tenantId) {
+    const shifts = await this.shiftRepository.findByTenant(tenantId);
+    return shifts
+      .map(shift => new ShiftModel(shift).toObject())
+      .sort((a, b) => a.startTime.localeCompare(b.startTime) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a shift
+   * @throws {NotFoundError} No such shift in the organization
+   */
+  async getShift(shiftId, tenantId) {
+    const shift = await this.shiftRepository.findById(shiftId, tenantId);
+    if (!shift) {
+      throw new NotFoundError('Shift');
+    }
+    return new ShiftModel(shift).toObject();
+  }
+
+  /**
+   * Get the shift users without an assignment work (null: none)
+   * @returns {Promise<string|null>} Shift ID
+   */
+  async getDefaultShiftId(tenantId) {
+    const settings = await this.attendanceRepository.getSettings(tenantId);
+    return settings?.defaultShiftId || null;
+  }
+
+  /**
+   * Create a shift
+   * @param {Object} data - { name, startTime, endTime, graceMinutes?, breakMinutes?, minimumHours? }
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username
+   * @returns {Promise<Object>} Created shift
+   * @throws {ConflictError} The organization already has a shift with that name
+   */
+  async createShift(data, tenantId, createdBy) {
+    const fields = pick(data, SHIFT_FIELDS);
+    const validation = ShiftModel.validate({ ...fields, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid shift', validation.errors);
+    }
+
+    const shift = new ShiftModel({ ...fields, tenantId, createdBy }).toObject();
+    await this.ensureUniqueName(shift.name, tenantId);
+
+    return await this.shiftRepository.create(shift);
+  }
+
+  /**
+   * Change a shift
+   * Attendance already recorded keeps the shift as it was when clocked in.
+   * @param {Object} shift - Current shift
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated shift
+   */
+  async updateShift(shift, changes) {
+    const fields = pick(changes, SHIFT_FIELDS);
+    const merged = { ...shift, ...fields };
+
+    const validation = ShiftModel.validate(merged, true);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid shift', validation.errors);
+    }
+
+    if (fields.name !== undefined) {
+      await this.ensureUniqueName(fields.name.trim(), shift.tenantId, shift.id);
+    }
+
+    const { id, tenantId, createdBy, createdAt, updatedAt, ...stored } = new ShiftModel(merged).toObject();
+    const saved = await this.shiftRepository.update(shift.id, stored);
+    return { ...shift, ...stored, ...saved };
+  }
+
+  /**
+   * Delete a shift
+   * @throws {ConflictError} The shift is the default or is on an assignment
+   */
+  async deleteShift(shift) {
+    const [defaultShiftId, assignments] = await Promise.all([
+      this.getDefaultShiftId(shift.tenantId),
+      this.shiftRepository.findAssignmentsByTenant(shift.tenantId)
+    ]);
+
+    if (defaultShiftId === shift.id) {
+      throw new ConflictError(`${shift.name} is the default shift; choose another default first`);
+    }
+    if (assignments.some(assignment => assignment.shiftIds.includes(shift.id))) {
+      throw new ConflictError(`${shift.name} is assigned; remove its assignments first`);
+    }
+
+    await this.shiftRepository.delete(shift.id);
+  }
+
+  async ensureUniqueName(name, tenantId, exceptId = null) {
+    const shifts = await this.shiftRepository.findByTenant(tenantId);
+    if (shifts.some(shift => shift.id !== exceptId && shift.name.toLowerCase() === name.toLowerCase())) {
+      throw new ConflictError(`A shift named ${name} already exists`);
+    }
+  }
+
+  /**
+   * Get an organization's shift assignments, latest start first
+   * @returns {Promise<Array>} Assignments
+   */
+  async getAssignments(tenantId) {
+    const assignments = await this.shiftRepository.findAssignmentsByTenant(tenantId);
+    return assignments
+      .map(assignment => new ShiftAssignmentModel(assignment).toObject())
+      .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  }
+
+  /**
+   * Get a shift assignment
+   * @throws {NotFoundError} No such assignment in the organization
+   */
+  async getAssignment(assignmentId, tenantId) {
+    const assignment = await this.shiftRepository.findAssignmentById(assignmentId, tenantId);
+    if (!assignment) {
+      throw new NotFoundError('Shift assignment');
+    }
+    return new ShiftAssignmentModel(assignment).toObject();
+  }
+
+  /**
+   * Put a user or team on one shift, or a rotation of shifts
+   * @param {Object} data - { assigneeType, assigneeId, shiftIds, rotationDays?, startDate, endDate? }
+   * @param {string} tenantId - Organization ID
+   * @param {string} createdBy - Username
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(data, tenantId, createdBy) {
+    const fields = {
+      assigneeType: data.assigneeType,
+      assigneeId: typeof data.assigneeId === 'string' ? data.assigneeId.trim() : data.assigneeId,
+      ...pick(data, ASSIGNMENT_FIELDS)
+    };
+
+    const validation = ShiftAssignmentModel.validate({ ...fields, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid shift assignment', validation.errors);
+    }
+
+    await this.validateAssignee(fields.assigneeType, fields.assigneeId, tenantId);
+    await this.validateShiftIds(fields.shiftIds, tenantId);
+
+    return await this.shiftRepository.createAssignment(
+      new ShiftAssignmentModel({ ...fields, tenantId, createdBy }).toObject()
+    );
+  }
+
+  /**
+   * Change an assignment's shifts, rotation or dates
+   * @param {Object} assignment - Current assignment
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated assignment
+   */
+  async updateAssignment(assignment, changes) {
+    const fields = pick(changes, ASSIGNMENT_FIELDS);
+    const merged = { ...assignment, ...fields };
+
+    const validation = ShiftAssignmentModel.validate(merged);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid shift assignment', validation.errors);
+    }
+
+    if (fields.shiftIds) {
+      await this.validateShiftIds(fields.shiftIds, assignment.tenantId);
+    }
+
+    const stored = pick(new ShiftAssignmentModel(merged).toObject(), ASSIGNMENT_FIELDS);
+    const saved = await this.shiftRepository.updateAssignment(assignment.id, stored);
+    return { ...assignment, ...stored, ...saved };
+  }
+
+  /**
+   * Remove a shift assignment
+   */
+  async deleteAssignment(assignment) {
+    await this.shiftRepository.deleteAssignment(assignment.id);
+  }
+
+  async validateAssignee(assigneeType, assigneeId, tenantId) {
+    if (assigneeType === SHIFT_ASSIGNEE_TYPE.USER) {
+      if (!(await this.userRepository.findByUsername(assigneeId, tenantId))) {
+        throw new ValidationError('User not found in this organization');
+      }
+    } else if (!(await this.teamRepository.findById(assigneeId, tenantId))) {
+      throw new ValidationError('Team not found in this organization');
+    }
+  }
+
+  async validateShiftIds(shiftIds, tenantId) {
+    const shifts = await this.shiftRepository.findByTenant(tenantId);
+    const known = new Set(shifts.map(shift => shift.id));
+
+    if (shiftIds.some(shiftId => !known.has(shiftId))) {
+      throw new ValidationError('Shift not found in this organization');
+    }
+  }
+
+  /**
+   * Load everything that decides the organization's shifts
+   * @returns {Promise<Object>} { shifts, assignments, teams, defaultShiftId }
+   */
+  async getRoster(tenantId) {
+    const [shifts, assignments, teams, defaultShiftId] = await Promise.all([
+      this.shiftRepository.findByTenant(tenantId),
+      this.shiftRepository.findAssignmentsByTenant(tenantId),
+      this.teamRepository.findByTenant(tenantId),
+      this.getDefaultShiftId(tenantId)
+    ]);
+
+    return { shifts, assignments, teams, defaultShiftId };
+  }
+
+  /**
+   * Get the shift a user works each day of a range
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Promise<Array>} [{ date, shift }], shift null where the user has none
+   */
+  async getUserSchedule(username, tenantId, startDate, endDate) {
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || endDate < startDate) {
+      throw new ValidationError('Start and end dates are required (YYYY-MM-DD), end not before start');
+    }
+
+    const dates = eachDateInRange(startDate, endDate);
+    if (dates.length > MAX_SCHEDULE_DAYS) {
+      throw new ValidationError(`A schedule covers at most ${MAX_SCHEDULE_DAYS} days`);
+    }
+
+    const [user, roster] = await Promise.all([
+      this.userRepository.findByUsername(username, tenantId),
+      this.getRoster(tenantId)
+    ]);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return dates.map(date => {
+      const shift = resolveShift(roster, user, date);
+      return { date, shift: shift ? new ShiftModel(shift).toObject() : null };
+    });
+  }
+
+  /**
+   * Get the usernames whose shift on a date has not ended yet
+   * (auto-absent waits for them)
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {Array<string>} usernames - Users to check
+   * @param {Object} now - { date, time } in the organization's timezone
+   * @returns {Promise<Set<string>>} Usernames
+   */
+  async getUsernamesBeforeShiftEnd(tenantId, date, usernames, now) {
+    const [roster, users] = await Promise.all([
+      this.getRoster(tenantId),
+      this.userRepository.findByTenant(tenantId)
+    ]);
+
+    if (roster.shifts.length === 0) {
+      return new Set();
+    }
+
+    const byUsername = new Map(users.map(user => [user.username, user]));
+
+    return new Set(usernames.filter(username => {
+      const shift = resolveShift(roster, byUsername.get(username) || { username }, date);
+      return shift && !hasShiftEnded(shift, date, now);
+    }));
+  }
+}
+
+export default ShiftService;
@@ -6,11 +6,33 @@
 
 import { TaskRepository } from '../repositories/task.repository.js';
 import { TaskModel } from '../models/task.model.js';
-import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { TaskWorkflowService } from './taskWorkflow.service.js';
+import { TaskStructureService } from './taskStructure.service.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { PERMISSION_SCOPE } from '../utils/permissions.util.js';
+import { TASK_STATUS } from '../utils/constants.js';
+import {
+  PRIORITY_RANK,
+  TASK_SORT_FIELDS,
+  TASK_FILTER_FIELDS,
+  MIN_SEARCH_LENGTH,
+  toSearchToken,
+  encodeTaskCursor,
+  decodeTaskCursor
+} from '../utils/taskQuery.util.js';
+import { getIndiaDate } from '../../lib/timezone.js';
+
+const DEFAULT_QUERY_PAGE_SIZE = 50;
+const MAX_QUERY_PAGE_SIZE = 100;
+// Firestore's limit on the values of an 'in' filter
+const MAX_IN_VALUES = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 export class TaskService {
   constructor() {
     this.taskRepository = new TaskRepository();
+    this.taskWorkflowService = new TaskWorkflowService();
+    this.taskStructureService = new TaskStructureService();
   }
 
   /**
@@ -91,20 +113,26 @@ export class TaskService {
 
   /**
    * Create a new task
+   * A parentTaskId makes it a subtask; blockedBy lists tasks it waits on.
    * @param {Object} taskData - Task data
    * @param {string} tenantId - Organization ID
+   * @param {Object} context - { actor } recorded on checked checklist items
    * @returns {Promise<Object>} Created task object
    */
-  async createTask(taskData, tenantId) {
+  async createTask(taskData, tenantId, context = {}) {
     // Validate input data
     const validation = TaskModel.validate(taskData);
     if (!validation.isValid) {
       throw new ValidationError('Invalid task data', validation.errors);
     }
 
+    await this.taskStructureService.validateParent(null, taskData.parentTaskId, tenantId);
+
     // Create task model
     const taskModel = new TaskModel({
       ...taskData,
+      blockedBy: await this.taskStructureService.validateBlockers(null, taskData.blockedBy, tenantId),
+      checklist: this.taskStructureService.normalizeChecklist(taskData.checklist || [], [], context.actor),
       tenantId
     });
 
@@ -116,12 +144,16 @@ export class TaskService {
 
   /**
    * Update task by ID
+   * A status change is checked against the organization's workflow, and a
+   * task cannot be done while its blockers are open.
    * @param {string} taskId - Task ID
    * @param {Object} updateData - Update data
    * @param {string} tenantId - Organization ID
+   * @param {Object} context - { actor, fields } for a status change (see updateTaskStatus);
+   *   the actor is also recorded on checked checklist items
    * @returns {Promise<Object>} Updated task object
    */
-  async updateTask(taskId, updateData, tenantId) {
+  async updateTask(taskId, updateData, tenantId, context = {}) {
     // Validate update data
     const validation = TaskModel.validate(updateData, true);
     if (!validation.isValid) {
@@ -134,33 +166,83 @@ export class TaskService {
       throw new NotFoundError('Task not found');
     }
 
+    // The status history is only written from checked transitions, and
+    // tracked time only from time entries
+    const data = { ...updateData };
+    delete data.statusChange;
+    delete data.trackedMinutes;
+
+    if (data.parentTaskId !== undefined && data.parentTaskId !== existingTask.parentTaskId) {
+      await this.taskStructureService.validateParent(taskId, data.parentTaskId, tenantId);
+    }
+
+    if (data.blockedBy !== undefined) {
+      data.blockedBy = await this.taskStructureService.validateBlockers(taskId, data.blockedBy, tenantId);
+    }
+
+    if (data.checklist !== undefined) {
+      data.checklist = this.taskStructureService.normalizeChecklist(data.checklist, existingTask.checklist || [], context.actor);
+    }
+
+    if (data.status && data.status !== existingTask.status) {
+      if (data.status === TASK_STATUS.DONE) {
+        await this.taskStructureService.assertNoOpenBlockers({ ...existingTask, ...data }, tenantId);
+      }
+
+      data.statusChange = await this.taskWorkflowService.prepareStatusChange(existingTask, data.status, tenantId, {
+        actor: context.actor,
+        fields: context.fields || updateData
+      });
+    }
+
     // Update in database
-    const updatedTask = await this.taskRepository.update(taskId, updateData, tenantId);
+    const { task: updatedTask } = await this.taskRepository.update(taskId, data, tenantId);
 
     return new TaskModel(updatedTask).toObject();
   }
 
   /**
    * Update task status
+   * The change must be allowed by the organization's workflow: the transition
+   * has to exist, the actor has to be one of its allowed actors and its
+   * required fields (e.g. a reason) have to be sent. Moving to done also
+   * needs every blocker closed.
    * @param {string} taskId - Task ID or task name
-   * @param {string} username - Username
+   * @param {string} username - Assignee (used to find a task by name)
    * @param {string} newStatus - New status
    * @param {string} tenantId - Organization ID
+   * @param {Object} context - { actor: user making the change (defaults to the assignee), fields }
    * @returns {Promise<Object>} Updated task object
    */
-  async updateTaskStatus(taskId, username, newStatus, tenantId) {
+  async updateTaskStatus(taskId, username, newStatus, tenantId, context = {}) {
     if (!taskId || !username || !newStatus || !tenantId) {
       throw new ValidationError('Task ID, username, status, and tenant ID are required');
     }
 
-    // Update status
-    const updatedTask = await this.taskRepository.updateStatus(username, taskId, newStatus, tenantId);
+    const task = await this.taskRepository.findByName(taskId, username, tenantId) ||
+      await this.taskRepository.findById(taskId, tenantId);
 
-    if (!updatedTask) {
-      throw new NotFoundError('Task not found');
+    if (!task) {
+      throw new NotFoundError('Task');
     }
 
-    return new TaskModel(updatedTask).toObject();
+    if (task.status === newStatus) {
+      return new TaskModel(task).toObject();
+    }
+
+    if (newStatus === TASK_STATUS.DONE) {
+      await this.taskStructureService.assertNoOpenBlockers(task, tenantId);
+    }
+
+    const statusChange = await this.taskWorkflowService.prepareStatusChange(task, newStatus, tenantId, {
+      actor: context.actor || { username },
+      fields: context.fields
+    });
+
+    // Update status
+    const updated = await this.taskRepository.update(task.id, { status: newStatus, statusChange }, tenantId);
+
+    return new TaskModel(updated.task).toObject();
   }
 
   /**
@@ -191,6 +273,8 @@ export class TaskService {
       throw new NotFoundError('Task not found');
     }
 
+    // Subtasks become top-level tasks and tasks it blocked are freed
+    await this.taskRepository.detach(taskId, tenantId);
     await this.taskRepository.delete(taskId, tenantId);
   }
 
@@ -346,6 +430,114 @@ export class TaskService {
     return userTasks.map(task => new TaskModel(task).toObject());
   }
 
+  /**
+   * Query a page of tasks, with all filtering, search and sorting done by Firestore
+   * Filtering on a deadline (overdue, deadlineFrom, deadlineTo) always sorts by
+   * deadline, since Firestore orders a range filter's field first.
+   * @param {string} tenantId - Organization ID
+   * @param {Object} params - status, priority, assignee, assigner, client, search,
+   *   overdue, deadlineFrom, deadlineTo (YYYY-MM-DD), sort, order, limit, cursor
+   * @param {Object} access - { username, scope, teamUsernames } of the tasks:read
+   *   check; a null scope sees only tasks assigned to or by the user
+   * @returns {Promise<Object>} { tasks, total, nextCursor, sort, order }
+   */
+  async queryTasks(tenantId, params = {}, access = {}) {
+    if (!tenantId || !access.username) {
+      throw new ValidationError('Tenant ID and username are required');
+    }
+
+    const errors = [];
+    const filters = {};
+
+    Object.entries(TASK_FILTER_FIELDS).forEach(([param, field]) => {
+      const value = typeof params[param] === 'string' ? params[param].trim() : '';
+      if (value) filters[field] = value;
+    });
+
+    if (filters.priority && !PRIORITY_RANK[filters.priority]) {
+      errors.push(`Priority must be one of: ${Object.keys(PRIORITY_RANK).join(', ')}`);
+    }
+
+    const searchToken = params.search ? toSearchToken(params.search) : null;
+    if (params.search && (!searchToken || searchToken.length < MIN_SEARCH_LENGTH)) {
+      errors.push(`Search must contain a word of at least ${MIN_SEARCH_LENGTH} characters`);
+    }
+
+    ['deadlineFrom', 'deadlineTo'].forEach(param => {
+      if (params[param] && !DATE_PATTERN.test(params[param])) {
+        errors.push(`${param} must be a date in YYYY-MM-DD format`);
+      }
+    });
+
+    if (params.deadlineFrom && params.deadlineTo && params.deadlineFrom > params.deadlineTo) {
+      errors.push('deadlineFrom must not be after deadlineTo');
+    }
+
+    let sort = params.sort || 'createdAt';
+    if (!TASK_SORT_FIELDS[sort]) {
+      errors.push(`Sort must be one of: ${Object.keys(TASK_SORT_FIELDS).join(', ')}`);
+    }
+
+    if (params.order && !['asc', 'desc'].includes(params.order)) {
+      errors.push('Order must be asc or desc');
+    }
+
+    const cursor = params.cursor ? decodeTaskCursor(params.cursor) : null;
+    if (params.cursor && !cursor) {
+      errors.push('Invalid cursor');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid task query', errors);
+    }
+
+    const overdue = params.overdue === true || params.overdue === 'true';
+    if (overdue || params.deadlineFrom || params.deadlineTo) {
+      sort = 'deadline';
+    }
+
+    const order = params.order || (sort === 'createdAt' ? 'desc' : 'asc');
+    const criteria = {
+      filters,
+      searchToken,
+      overdue,
+      today: getIndiaDate(),
+      deadlineFrom: params.deadlineFrom || null,
+      deadlineTo: params.deadlineTo || null,
+      sortField: TASK_SORT_FIELDS[sort],
+      order,
+      limit: Math.min(Math.max(parseInt(params.limit) || DEFAULT_QUERY_PAGE_SIZE, 1), MAX_QUERY_PAGE_SIZE),
+      cursor
+    };
+
+    // Narrow to the tasks the user may read
+    if (access.scope === PERMISSION_SCOPE.TEAM) {
+      const teamUsernames = access.teamUsernames?.length ? access.teamUsernames : [access.username];
+
+      if (filters.assigned_to) {
+        if (!teamUsernames.includes(filters.assigned_to)) {
+          throw new ForbiddenError('You can only query tasks of your team');
+        }
+      } else if (teamUsernames.length > MAX_IN_VALUES) {
+        throw new ValidationError(`Your team has more than ${MAX_IN_VALUES} members; filter by assignee`);
+      } else {
+        criteria.assignees = teamUsernames;
+      }
+    } else if (access.scope !== PERMISSION_SCOPE.ALL) {
+      criteria.participant = access.username;
+    }
+
+    const result = await this.taskRepository.query(tenantId, criteria);
+
+    return {
+      tasks: result.tasks,
+      total: result.total,
+      nextCursor: result.nextCursor ? encodeTaskCursor(result.nextCursor) : null,
+      sort,
+      order
+    };
+  }
+
   /**
    * Search tasks by term
    * @param {string} searchTerm - Search term
@@ -494,7 +686,8 @@ export class TaskService {
       throw new ValidationError('Status and tenant ID are required');
     }
 
-    const validStatuses = ['pending', 'in_progress', 'done', 'cancelled'];
+    const workflow = await this.taskWorkflowService.getWorkflow(tenantId);
+    const validStatuses = workflow.statuses.map(workflowStatus => workflowStatus.key);
     if (!validStatuses.includes(status)) {
       throw new ValidationError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
     }
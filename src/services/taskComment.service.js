@@ -0,0 +1,206 @@
+/**
+ * Task Comment Service
+ * Threaded replies, @mentions and reactions on task comments
+ *
+ * Comments stay in the task's `comments` array. A reply points at a top-level
+ * comment (replying to a reply joins the same thread). @handles are matched
+ * case-insensitively against the organization's active users; only the users
+ * a comment newly mentions are returned for notifying, so editing a comment
+ * does not notify the same people twice.
+ */
+
+import { TaskRepository } from '../repositories/task.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
+import {
+  MAX_COMMENT_LENGTH,
+  COMMENT_REACTIONS,
+  extractMentionHandles,
+  buildCommentThreads
+} from '../utils/taskComments.util.js';
+
+const EXCERPT_LENGTH = 300;
+
+// Where a mention links to; the dashboard opens the task from `taskId`
+export const getTaskLink = (taskId) => `/dashboard?tab=my-tasks&taskId=${encodeURIComponent(taskId)}`;
+
+export class TaskCommentService {
+  constructor() {
+    this.taskRepository = new TaskRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  /**
+   * Get a task of an organization
+   * @throws {NotFoundError} When the task is not in the organization
+   */
+  async getTask(taskId, tenantId) {
+    const [task] = await this.taskRepository.findByIds([taskId], tenantId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+    return task;
+  }
+
+  /**
+   * Get a comment of a task
+   * @throws {NotFoundError} When the comment doesn't exist or was deleted
+   */
+  getComment(task, commentId) {
+    const comment = (task.comments || []).find(c => c.id === commentId);
+    if (!comment || comment.deleted) {
+      throw new NotFoundError('Comment');
+    }
+    return comment;
+  }
+
+  /**
+   * Check and trim comment text
+   * @throws {ValidationError} When the text is empty or too long
+   */
+  normalizeContent(content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+      throw new ValidationError('Comment content is required');
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+      throw new ValidationError(`Comments can be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return text;
+  }
+
+  /**
+   * Resolve the @handles in a comment to users of the organization
+   * @param {string} content - Comment text
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Active users mentioned, in the order written
+   */
+  async resolveMentions(content, tenantId) {
+    const handles = extractMentionHandles(content);
+    if (handles.length === 0) return [];
+
+    const users = await this.userRepository.findByTenant(tenantId);
+    const byHandle = new Map(
+      users
+        .filter(user => user.isActive !== false)
+        .map(user => [user.username.toLowerCase(), user])
+    );
+
+    return handles.map(handle => byHandle.get(handle)).filter(Boolean);
+  }
+
+  /**
+   * Get a task's comments as threads
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { comments (flat, as stored), threads, commentCount }
+   */
+  async getComments(taskId, tenantId) {
+    const task = await this.getTask(taskId, tenantId);
+    const comments = task.comments || [];
+
+    return {
+      comments,
+      threads: buildCommentThreads(comments),
+      commentCount: task.commentCount || 0,
+      lastCommentAt: task.lastCommentAt || null
+    };
+  }
+
+  /**
+   * Add a comment or a reply
+   * @param {string} taskId - Task ID
+   * @param {Object} data - { content, parentId }
+   * @param {Object} actor - { username, role }
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { task, comment, mentioned (users to notify) }
+   */
+  async addComment(taskId, data, actor, tenantId) {
+    const content = this.normalizeContent(data.content);
+    const task = await this.getTask(taskId, tenantId);
+
+    let parentId = null;
+    if (data.parentId) {
+      const parent = this.getComment(task, data.parentId);
+      parentId = parent.parentId || parent.id;
+    }
+
+    const mentioned = (await this.resolveMentions(content, tenantId))
+      .filter(user => user.username !== actor.username);
+
+    const { comment } = await this.taskRepository.addComment(taskId, {
+      author: actor.username,
+      authorRole: actor.role,
+      content,
+      parentId,
+      mentions: mentioned.map(user => user.username)
+    }, tenantId);
+
+    return { task, comment, mentioned };
+  }
+
+  /**
+   * Edit one's own comment
+   * @returns {Promise<Object>} { task, comment, mentioned (only newly mentioned users) }
+   */
+  async editComment(taskId, commentId, content, actor, tenantId) {
+    const text = this.normalizeContent(content);
+    const task = await this.getTask(taskId, tenantId);
+    const existing = this.getComment(task, commentId);
+
+    if (existing.author !== actor.username) {
+      throw new ForbiddenError('You can only edit your own comments');
+    }
+
+    const users = (await this.resolveMentions(text, tenantId))
+      .filter(user => user.username !== actor.username);
+    const previous = new Set(existing.mentions || []);
+
+    const comment = await this.taskRepository.editComment(taskId, commentId, text, actor.username, tenantId, {
+      mentions: users.map(user => user.username)
+    });
+
+    return { task, comment, mentioned: users.filter(user => !previous.has(user.username)) };
+  }
+
+  /**
+   * Delete one's own comment
+   * A comment with replies is blanked instead, so the thread stays.
+   */
+  async deleteComment(taskId, commentId, actor, tenantId) {
+    const task = await this.getTask(taskId, tenantId);
+    const existing = this.getComment(task, commentId);
+
+    if (existing.author !== actor.username) {
+      throw new ForbiddenError('You can only delete your own comments');
+    }
+
+    await this.taskRepository.deleteComment(taskId, commentId, actor.username, tenantId);
+  }
+
+  /**
+   * Add or remove the actor's reaction on a comment
+   * @returns {Promise<Object>} Updated comment
+   */
+  async toggleReaction(taskId, commentId, emoji, actor, tenantId) {
+    if (!COMMENT_REACTIONS.includes(emoji)) {
+      throw new ValidationError(`Reaction must be one of: ${COMMENT_REACTIONS.join(' ')}`);
+    }
+
+    const task = await this.getTask(taskId, tenantId);
+    this.getComment(task, commentId);
+
+    return await this.taskRepository.toggleCommentReaction(taskId, commentId, emoji, actor.username, tenantId);
+  }
+
+  /**
+   * Shortened comment text for notifications
+   */
+  getExcerpt(comment) {
+    return comment.content.length > EXCERPT_LENGTH
+      ? `${comment.content.slice(0, EXCERPT_LENGTH)}…`
+      : comment.content;
+  }
+}
+
+export default TaskCommentService;
@@ -0,0 +1,555 @@
+/**
+ * Task Structure Service
+ * Subtasks, checklists and "blocked by" dependencies between tasks
+ *
+ * Subtasks are ordinary tasks with a parentTaskId, so they keep their own
+ * assignee, deadline and status. Parents and blockers are checked here before
+ * they are saved: both must be tasks of the same organization and neither may
+ * form a cycle.
+ */
+
+import crypto from 'crypto';
+import { TaskRepository } from '../repositories/task.repository.js';
+import { TaskModel } from '../models/task.model.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  MAX_SUBTASK_DEPTH,
+  MAX_BLOCKERS,
+  getChecklistCounts,
+  computeTaskProgress,
+  getOpenBlockers
+} from '../utils/taskStructure.util.js';
+
+// Tasks visited when following dependency chains (cycle check, graph)
+const MAX_DEPENDENCY_WALK = 500;
+const MAX_GRAPH_NODES = 50;
+
+// The fields of a related task that structure views show
+const summarizeTask = (task) => ({
+  id: task.id,
+  task: task.task,
+  status: task.status,
+  priority: task.priority,
+  assigned_to: task.assigned_to,
+  given_by: task.given_by,
+  deadline: task.deadline || null,
+  parentTaskId: task.parentTaskId || null
+});
+
+const unique = (values) => [...new Set(values)];
+
+export class TaskStructureService {
+  constructor() {
+    this.taskRepository = new TaskRepository();
+  }
+
+  /**
+   * Get a task of an organization
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Task
+   * @throws {NotFoundError} When the task is not in the organization
+   */
+  async getTask(taskId, tenantId) {
+    const [task] = await this.taskRepository.findByIds([taskId], tenantId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+    return task;
+  }
+
+  /**
+   * Get several tasks of an organization
+   * @param {Array<string>} taskIds - Task IDs
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Tasks found (missing ones are left out)
+   */
+  async getTasks(taskIds, tenantId) {
+    return await this.taskRepository.findByIds(unique(taskIds), tenantId);
+  }
+
+  /**
+   * Get the structure around a task
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} {
+   *   task, progress, checklist, ancestors (root first),
+   *   subtasks (tree of { ...task, progress, checklist: { done, total }, subtasks }),
+   *   blockedBy and blocking (direct dependencies, each with `open`),
+   *   dependencies ({ nodes, edges } of the chains before and after the task)
+   * }
+   */
+  async getStructure(taskId, tenantId) {
+    if (!taskId || !tenantId) {
+      throw new ValidationError('Task ID and tenant ID are required');
+    }
+
+    const task = await this.getTask(taskId, tenantId);
+
+    const [ancestors, subtasks, blockers, blocking, dependencies] = await Promise.all([
+      this.getAncestors(task, tenantId),
+      this.buildSubtaskTree(task, tenantId, 1),
+      this.taskRepository.findByIds(task.blockedBy || [], tenantId),
+      this.taskRepository.findBlocking(task.id, tenantId),
+      this.getDependencyGraph(task, tenantId)
+    ]);
+
+    const openBlockerIds = getOpenBlockers(blockers).map(blocker => blocker.id);
+
+    return {
+      task: summarizeTask(task),
+      progress: computeTaskProgress(task, subtasks),
+      checklist: task.checklist || [],
+      ancestors: ancestors.map(summarizeTask),
+      subtasks,
+      blockedBy: blockers.map(blocker => ({
+        ...summarizeTask(blocker),
+        open: openBlockerIds.includes(blocker.id)
+      })),
+      blocking: blocking.map(summarizeTask),
+      dependencies
+    };
+  }
+
+  /**
+   * Get the parents of a task, root first
+   * @param {Object} task - Task
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Ancestors
+   */
+  async getAncestors(task, tenantId) {
+    const ancestors = [];
+    let parentId = task.parentTaskId;
+
+    // The depth limit also stops a loop left by data written before the checks
+    while (parentId && ancestors.length <= MAX_SUBTASK_DEPTH) {
+      const [parent] = await this.taskRepository.findByIds([parentId], tenantId);
+      if (!parent || parent.id === task.id || ancestors.some(a => a.id === parent.id)) break;
+
+      ancestors.unshift(parent);
+      parentId = parent.parentTaskId;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Build the subtask tree below a task, each node with its rolled-up progress
+   * @param {Object} task - Task
+   * @param {string} tenantId - Organization ID
+   * @param {number} depth - Level of the task's subtasks
+   * @returns {Promise<Array>} Subtask nodes
+   */
+  async buildSubtaskTree(task, tenantId, depth) {
+    if (depth > MAX_SUBTASK_DEPTH) return [];
+
+    const children = await this.taskRepository.findChildren(task.id, tenantId);
+
+    return await Promise.all(children.map(async (child) => {
+      const subtasks = await this.buildSubtaskTree(child, tenantId, depth + 1);
+
+      return {
+        ...summarizeTask(child),
+        progress: computeTaskProgress(child, subtasks),
+        checklist: getChecklistCounts(child.checklist),
+        subtasks
+      };
+    }));
+  }
+
+  /**
+   * Follow the dependency chains before (blockers) and after (blocked tasks)
+   * a task
+   * Nodes carry a level: negative for blockers, 0 for the task, positive for
+   * the tasks it holds up. Edges run from the blocker to the blocked task.
+   * @param {Object} task - Task
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { nodes, edges, truncated }
+   */
+  async getDependencyGraph(task, tenantId) {
+    const nodes = new Map([[task.id, { ...summarizeTask(task), level: 0 }]]);
+    const edges = new Map();
+    let truncated = false;
+
+    const addEdge = (from, to) => edges.set(`${from}>${to}`, { from, to });
+
+    const addNodes = (tasks, level) => {
+      const room = Math.max(MAX_GRAPH_NODES - nodes.size, 0);
+      const fresh = tasks.filter(t => !nodes.has(t.id));
+      if (fresh.length > room) truncated = true;
+
+      const added = fresh.slice(0, room);
+      added.forEach(t => nodes.set(t.id, { ...summarizeTask(t), level }));
+      return added;
+    };
+
+    // Upstream: what the task waits on
+    let frontier = [task];
+    for (let level = -1; frontier.length > 0 && nodes.size < MAX_GRAPH_NODES; level--) {
+      frontier.forEach(t => (t.blockedBy || []).forEach(id => addEdge(id, t.id)));
+
+      const ids = unique(frontier.flatMap(t => t.blockedBy || [])).filter(id => !nodes.has(id));
+      frontier = addNodes(await this.taskRepository.findByIds(ids, tenantId), level);
+    }
+
+    // Downstream: what waits on the task
+    frontier = [task];
+    for (let level = 1; frontier.length > 0 && nodes.size < MAX_GRAPH_NODES; level++) {
+      const blocked = (await Promise.all(
+        frontier.map(t => this.taskRepository.findBlocking(t.id, tenantId))
+      )).flat();
+
+      blocked.forEach(t => (t.blockedBy || []).forEach(id => addEdge(id, t.id)));
+      frontier = addNodes(blocked.filter((t, i) => blocked.findIndex(b => b.id === t.id) === i), level);
+    }
+
+    return {
+      nodes: [...nodes.values()],
+      edges: [...edges.values()].filter(edge => nodes.has(edge.from) && nodes.has(edge.to)),
+      truncated
+    };
+  }
+
+  /**
+   * Check a task's new parent
+   * The parent must be another task of the organization that is not below the
+   * task, and the task's own subtasks must still fit in MAX_SUBTASK_DEPTH.
+   * @param {string|null} taskId - Task being moved (null for a new task)
+   * @param {string|null} parentTaskId - New parent (null for a top-level task)
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Parent task
+   * @throws {ValidationError} When the parent is invalid
+   */
+  async validateParent(taskId, parentTaskId, tenantId) {
+    if (!parentTaskId) return null;
+
+    if (parentTaskId === taskId) {
+      throw new ValidationError('A task cannot be its own subtask', [
+        { field: 'parentTaskId', message: 'A task cannot be its own subtask' }
+      ]);
+    }
+
+    const [parent] = await this.taskRepository.findByIds([parentTaskId], tenantId);
+    if (!parent) {
+      throw new ValidationError('Parent task not found', [
+        { field: 'parentTaskId', message: 'Parent task not found' }
+      ]);
+    }
+
+    const ancestors = await this.getAncestors(parent, tenantId);
+    if (taskId && ancestors.some(ancestor => ancestor.id === taskId)) {
+      throw new ValidationError('A task cannot be moved below its own subtask', [
+        { field: 'parentTaskId', message: 'This would create a cycle of subtasks' }
+      ]);
+    }
+
+    const depth = ancestors.length + 1;
+    const height = taskId ? await this.getSubtreeHeight(taskId, tenantId, depth) : 0;
+    if (depth + height > MAX_SUBTASK_DEPTH) {
+      throw new ValidationError(`Subtasks can be nested at most ${MAX_SUBTASK_DEPTH} levels deep`, [
+        { field: 'parentTaskId', message: `Subtasks can be nested at most ${MAX_SUBTASK_DEPTH} levels deep` }
+      ]);
+    }
+
+    return parent;
+  }
+
+  /**
+   * Count the levels of subtasks below a task
+   * Stops once the count would exceed MAX_SUBTASK_DEPTH from the given depth.
+   * @param {string} taskId - Task ID
+   * @param {string} tenantId - Organization ID
+   * @param {number} depth - Level the task is at
+   * @returns {Promise<number>} Levels below the task
+   */
+  async getSubtreeHeight(taskId, tenantId, depth) {
+    if (depth >= MAX_SUBTASK_DEPTH) return 1;
+
+    const children = await this.taskRepository.findChildren(taskId, tenantId);
+    if (children.length === 0) return 0;
+
+    const heights = await Promise.all(
+      children.map(child => this.getSubtreeHeight(child.id, tenantId, depth + 1))
+    );
+    return 1 + Math.max(...heights);
+  }
+
+  /**
+   * Check a task's blockers
+   * Each must be another task of the organization, and none may (directly or
+   * through other tasks) be waiting on the task itself.
+   * @param {string|null} taskId - Task being changed (null for a new task)
+   * @param {Array<string>} blockedBy - Blocker task IDs
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array<string>>} Blocker IDs without duplicates
+   * @throws {ValidationError} When a blocker is invalid or would form a cycle
+   */
+  async validateBlockers(taskId, blockedBy, tenantId) {
+    const ids = unique(blockedBy || []);
+    if (ids.length === 0) return [];
+
+    if (ids.length > MAX_BLOCKERS) {
+      throw new ValidationError(`A task can be blocked by at most ${MAX_BLOCKERS} tasks`, [
+        { field: 'blockedBy', message: `A task can be blocked by at most ${MAX_BLOCKERS} tasks` }
+      ]);
+    }
+
+    if (taskId && ids.includes(taskId)) {
+      throw new ValidationError('A task cannot block itself', [
+        { field: 'blockedBy', message: 'A task cannot block itself' }
+      ]);
+    }
+
+    const blockers = await this.taskRepository.findByIds(ids, tenantId);
+    const missing = ids.filter(id => !blockers.some(blocker => blocker.id === id));
+    if (missing.length > 0) {
+      throw new ValidationError('Blocking task not found', missing.map(id => ({
+        field: 'blockedBy',
+        message: `Task ${id} not found`
+      })));
+    }
+
+    if (taskId) {
+      const cycle = await this.findDependencyPath(blockers, taskId, tenantId);
+      if (cycle) {
+        throw new ValidationError(`This dependency would create a cycle through: ${cycle.join(', ')}`, [
+          { field: 'blockedBy', message: 'Dependencies cannot form a cycle' }
+        ]);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Look for a chain of blockers leading from the given tasks back to a task
+   * @param {Array<Object>} startTasks - Tasks to walk up from
+   * @param {string} targetId - Task the chain would return to
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array<string>|null>} Task names along the chain, or null
+   * @throws {ValidationError} When the chains are too long to check
+   */
+  async findDependencyPath(startTasks, targetId, tenantId) {
+    const previous = new Map(startTasks.map(task => [task.id, null]));
+    const names = new Map(startTasks.map(task => [task.id, task.task]));
+    let frontier = startTasks;
+
+    while (frontier.length > 0) {
+      const nextIds = [];
+
+      for (const task of frontier) {
+        for (const blockerId of task.blockedBy || []) {
+          if (blockerId === targetId) {
+            const path = [];
+            for (let id = task.id; id; id = previous.get(id)) path.push(names.get(id));
+            return path.reverse();
+          }
+
+          if (!previous.has(blockerId)) {
+            previous.set(blockerId, task.id);
+            nextIds.push(blockerId);
+          }
+        }
+      }
+
+      if (previous.size > MAX_DEPENDENCY_WALK) {
+        throw new ValidationError('The dependency chain is too long to check', [
+          { field: 'blockedBy', message: 'The dependency chain is too long to check' }
+        ]);
+      }
+
+      frontier = await this.taskRepository.findByIds(nextIds, tenantId);
+      frontier.forEach(task => names.set(task.id, task.task));
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that none of a task's blockers is still open
+   * Called before a task moves to done.
+   * @param {Object} task - Task ({ blockedBy })
+   * @param {string} tenantId - Organization ID
+   * @throws {ConflictError} When blockers are open
+   */
+  async assertNoOpenBlockers(task, tenantId) {
+    if (!task.blockedBy?.length) return;
+
+    const openBlockers = getOpenBlockers(await this.taskRepository.findByIds(task.blockedBy, tenantId));
+    if (openBlockers.length > 0) {
+      const names = openBlockers.map(blocker => `"${blocker.task}"`).join(', ');
+      throw new ConflictError(`This task is blocked by open tasks: ${names}. Finish or cancel them first.`);
+    }
+  }
+
+  /**
+   * Normalize checklist items for storage
+   * Items keep their ID and, while still checked, who checked them and when.
+   * @param {Array<Object>} items - Items ({ id?, text, done? }) in order
+   * @param {Array<Object>} previous - Stored checklist
+   * @param {Object} actor - User making the change
+   * @returns {Array<Object>} Checklist ({ id, text, done, doneBy, doneAt })
+   */
+  normalizeChecklist(items, previous = [], actor = null) {
+    const stored = new Map(previous.map(item => [item.id, item]));
+    const now = new Date().toISOString();
+
+    return items.map((item) => {
+      const before = item.id ? stored.get(item.id) : null;
+      const done = !!item.done;
+      const keep = done && before?.done;
+
+      return {
+        id: before?.id || crypto.randomUUID(),
+        text: String(item.text).trim(),
+        done,
+        doneBy: done ? (keep ? before.doneBy : actor?.username || null) : null,
+        doneAt: done ? (keep ? before.doneAt : now) : null
+      };
+    });
+  }
+
+  /**
+   * Add an item to the end of a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {string} text - Item text
+   * @param {string} tenantId - Organization ID
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array>} Updated checklist
+   */
+  async addChecklistItem(taskId, text, tenantId, actor) {
+    const task = await this.getTask(taskId, tenantId);
+    return await this.saveChecklist(task, [...(task.checklist || []), { text }], tenantId, actor);
+  }
+
+  /**
+   * Change the text or the checked state of a checklist item
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Item ID
+   * @param {Object} changes - { text?, done? }
+   * @param {string} tenantId - Organization ID
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array>} Updated checklist
+   */
+  async updateChecklistItem(taskId, itemId, changes, tenantId, actor) {
+    const task = await this.getTask(taskId, tenantId);
+    const checklist = task.checklist || [];
+
+    if (!checklist.some(item => item.id === itemId)) {
+      throw new NotFoundError('Checklist item');
+    }
+
+    const items = checklist.map(item => (item.id === itemId
+      ? {
+          ...item,
+          ...(changes.text !== undefined && { text: changes.text }),
+          ...(changes.done !== undefined && { done: changes.done })
+        }
+      : item));
+
+    return await this.saveChecklist(task, items, tenantId, actor);
+  }
+
+  /**
+   * Remove an item from a task's checklist
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Item ID
+   * @param {string} tenantId - Organization ID
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array>} Updated checklist
+   */
+  async removeChecklistItem(taskId, itemId, tenantId, actor) {
+    const task = await this.getTask(taskId, tenantId);
+    const checklist = task.checklist || [];
+
+    if (!checklist.some(item => item.id === itemId)) {
+      throw new NotFoundError('Checklist item');
+    }
+
+    return await this.saveChecklist(task, checklist.filter(item => item.id !== itemId), tenantId, actor);
+  }
+
+  /**
+   * Put a task's checklist items in a new order
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} itemIds - Every item ID, in the new order
+   * @param {string} tenantId - Organization ID
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array>} Updated checklist
+   */
+  async reorderChecklist(taskId, itemIds, tenantId, actor) {
+    const task = await this.getTask(taskId, tenantId);
+    const checklist = task.checklist || [];
+
+    const sameItems = Array.isArray(itemIds) &&
+      itemIds.length === checklist.length &&
+      unique(itemIds).length === itemIds.length &&
+      checklist.every(item => itemIds.includes(item.id));
+
+    if (!sameItems) {
+      throw new ValidationError('The new order must list every checklist item once');
+    }
+
+    const items = itemIds.map(id => checklist.find(item => item.id === id));
+    return await this.saveChecklist(task, items, tenantId, actor);
+  }
+
+  /**
+   * Validate and store a task's new checklist
+   * @param {Object} task - Stored task
+   * @param {Array<Object>} items - Items in their new order
+   * @param {string} tenantId - Organization ID
+   * @param {Object} actor - User making the change
+   * @returns {Promise<Array>} Stored checklist
+   */
+  async saveChecklist(task, items, tenantId, actor) {
+    const invalid = items.find(item => !String(item.text || '').trim());
+    if (invalid) {
+      throw new ValidationError('Checklist item text is required');
+    }
+
+    const checklist = this.normalizeChecklist(items, task.checklist || [], actor);
+    const validation = TaskModel.validate({ checklist }, true);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0].message, validation.errors);
+    }
+
+    await this.taskRepository.update(task.id, { checklist }, tenantId);
+    return checklist;
+  }
+
+  /**
+   * Add a blocker to a task
+   * @param {string} taskId - Task ID
+   * @param {string} blockerId - Task it will be blocked by
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array<string>>} Updated blocker IDs
+   */
+  async addBlocker(taskId, blockerId, tenantId) {
+    const task = await this.getTask(taskId, tenantId);
+    const current = task.blockedBy || [];
+
+    if (current.includes(blockerId)) return current;
+
+    const blockedBy = await this.validateBlockers(taskId, [...current, blockerId], tenantId);
+    await this.taskRepository.update(taskId, { blockedBy }, tenantId);
+    return blockedBy;
+  }
+
+  /**
+   * Remove a blocker from a task
+   * @param {string} taskId - Task ID
+   * @param {string} blockerId - Blocker task ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array<string>>} Updated blocker IDs
+   */
+  async removeBlocker(taskId, blockerId, tenantId) {
+    const task = await this.getTask(taskId, tenantId);
+    const blockedBy = (task.blockedBy || []).filter(id => id !== blockerId);
+
+    await this.taskRepository.update(taskId, { blockedBy }, tenantId);
+    return blockedBy;
+  }
+}
+
+export default TaskStructureService;
@@ -0,0 +1,122 @@
+/**
+ * Task Workflow Service
+ * Reads and changes an organization's task workflow (settings.taskWorkflow)
+ * and checks status changes against it
+ */
+
+import { OrganizationRepository } from '../repositories/organization.repository.js';
+import { TaskRepository } from '../repositories/task.repository.js';
+import { RoleService } from './role.service.js';
+import { ValidationError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import {
+  TRANSITION_ACTOR,
+  normalizeTaskWorkflow,
+  validateTaskWorkflow,
+  checkStatusTransition
+} from '../utils/taskWorkflow.util.js';
+
+export class TaskWorkflowService {
+  constructor() {
+    this.organizationRepository = new OrganizationRepository();
+    this.taskRepository = new TaskRepository();
+    this.roleService = new RoleService();
+  }
+
+  /**
+   * Get the task workflow of an organization
+   * Organizations without a stored workflow get the default one.
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Workflow ({ statuses, transitions })
+   */
+  async getWorkflow(tenantId) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const organization = await this.organizationRepository.findById(tenantId);
+    return normalizeTaskWorkflow(organization?.settings?.taskWorkflow);
+  }
+
+  /**
+   * Replace the task workflow of an organization
+   * Statuses that tasks are still in cannot be removed.
+   * @param {string} tenantId - Organization ID
+   * @param {Object} data - { statuses, transitions }, or null for the default workflow
+   * @returns {Promise<Object>} Saved workflow
+   */
+  async updateWorkflow(tenantId, data) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const { workflow, errors } = data === null
+      ? validateTaskWorkflow(normalizeTaskWorkflow())
+      : validateTaskWorkflow(data);
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors[0].message, errors);
+    }
+
+    // Role keys in allowedActors must name roles of this organization
+    const roleKeys = [...new Set(workflow.transitions.flatMap(transition => transition.allowedActors))]
+      .filter(actor => !Object.values(TRANSITION_ACTOR).includes(actor));
+
+    for (const key of roleKeys) {
+      if (!(await this.roleService.roleExists(key, tenantId))) {
+        throw new ValidationError(`Unknown role "${key}" in allowedActors`);
+      }
+    }
+
+    const keys = workflow.statuses.map(status => status.key);
+    const tasks = await this.taskRepository.findByTenant(tenantId);
+    const orphaned = [...new Set(tasks.map(task => task.status).filter(status => status && !keys.includes(status)))];
+
+    if (orphaned.length > 0) {
+      throw new ConflictError(`Tasks are still in these statuses: ${orphaned.join(', ')}. Move them before removing the statuses.`);
+    }
+
+    await this.organizationRepository.updateSettings(tenantId, {
+      taskWorkflow: data === null ? null : workflow
+    });
+
+    return await this.getWorkflow(tenantId);
+  }
+
+  /**
+   * Check that a user may move a task to a status and build the history entry
+   * @param {Object} task - Task being changed
+   * @param {string} newStatus - New status
+   * @param {string} tenantId - Organization ID
+   * @param {Object} context - { actor: { username, role }, fields: values sent with the change }
+   * @returns {Promise<Object>} Status change ({ from, to, by, at, fields })
+   * @throws {ValidationError} When the move is not allowed or required fields are missing
+   * @throws {ForbiddenError} When the user is not one of the transition's allowed actors
+   */
+  async prepareStatusChange(task, newStatus, tenantId, { actor, fields = {} } = {}) {
+    const workflow = await this.getWorkflow(tenantId);
+    const result = checkStatusTransition(workflow, task, newStatus, actor, fields);
+
+    if (!result.allowed) {
+      if (result.reason === 'forbidden') {
+        throw new ForbiddenError(result.message);
+      }
+
+      throw new ValidationError(
+        result.message,
+        (result.missingFields || []).map(field => ({ field, message: `${field} is required` }))
+      );
+    }
+
+    return {
+      from: task.status || null,
+      to: newStatus,
+      by: actor?.username || null,
+      at: new Date().toISOString(),
+      fields: Object.fromEntries(
+        result.transition.requiredFields.map(field => [field, String(fields[field]).trim()])
+      )
+    };
+  }
+}
+
+export default TaskWorkflowService;
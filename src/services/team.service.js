@@ -0,0 +1,263 @@
+/**
+ * Team Service
+ * Teams and departments, and the org subtree a manager can see
+ *
+ * A user's org subtree is everyone below them: their reports (through
+ * managerId, at any depth) and the members of teams they manage, including
+ * nested teams. Team-scoped permissions cover exactly this subtree.
+ */
+
+import { TeamRepository } from '../repositories/team.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { TeamModel } from '../models/team.model.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+export class TeamService {
+  constructor() {
+    this.teamRepository = new TeamRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  /**
+   * Get all teams of an organization with their member counts
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Teams sorted by name
+   */
+  async getTeams(tenantId) {
+    if (!tenantId) {
+      throw new ValidationError('Tenant ID is required');
+    }
+
+    const [teams, users] = await Promise.all([
+      this.teamRepository.findByTenant(tenantId),
+      this.userRepository.findByTenant(tenantId)
+    ]);
+
+    return teams
+      .map(team => ({
+        ...new TeamModel(team).toObject(),
+        memberCount: users.filter(user => user.teamId === team.id).length
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a team by ID
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Team or null
+   */
+  async getTeamById(teamId, tenantId) {
+    const team = await this.teamRepository.findById(teamId, tenantId);
+    return team ? new TeamModel(team).toObject() : null;
+  }
+
+  /**
+   * Create a team
+   * @param {Object} data - { name, description, parentId, managerId }
+   * @param {string} tenantId - Organization ID
+   * @param {string} actor - Username making the change
+   * @returns {Promise<Object>} Created team
+   */
+  async createTeam(data, tenantId, actor) {
+    const validation = TeamModel.validate({ ...data, tenantId });
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0].message, validation.errors);
+    }
+
+    const teams = await this.teamRepository.findByTenant(tenantId);
+    await this.validatePlacement(null, data, teams, tenantId);
+
+    const team = new TeamModel({
+      ...data,
+      name: data.name.trim(),
+      description: data.description?.trim() || '',
+      tenantId,
+      createdBy: actor
+    });
+
+    return new TeamModel(await this.teamRepository.create(team.toObject())).toObject();
+  }
+
+  /**
+   * Update a team's name, description, parent or manager
+   * @param {string} teamId - Team ID
+   * @param {Object} data - Fields to change
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Updated team
+   */
+  async updateTeam(teamId, data, tenantId) {
+    const existing = await this.teamRepository.findById(teamId, tenantId);
+    if (!existing) {
+      throw new NotFoundError('Team');
+    }
+
+    const validation = TeamModel.validate(data, true);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0].message, validation.errors);
+    }
+
+    const teams = await this.teamRepository.findByTenant(tenantId);
+    await this.validatePlacement(teamId, { ...existing, ...data }, teams, tenantId);
+
+    const updateData = {};
+    if (data.name !== undefined) updateData.name = data.name.trim();
+    if (data.description !== undefined) updateData.description = data.description?.trim() || '';
+    if (data.parentId !== undefined) updateData.parentId = data.parentId || null;
+    if (data.managerId !== undefined) updateData.managerId = data.managerId || null;
+
+    return new TeamModel(await this.teamRepository.update(teamId, updateData)).toObject();
+  }
+
+  /**
+   * Delete a team
+   * Teams that still have sub-teams or members cannot be deleted.
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Organization ID
+   */
+  async deleteTeam(teamId, tenantId) {
+    const existing = await this.teamRepository.findById(teamId, tenantId);
+    if (!existing) {
+      throw new NotFoundError('Team');
+    }
+
+    const [teams, users] = await Promise.all([
+      this.teamRepository.findByTenant(tenantId),
+      this.userRepository.findByTenant(tenantId)
+    ]);
+
+    if (teams.some(team => team.parentId === teamId)) {
+      throw new ConflictError('Team has sub-teams. Move or delete them first.');
+    }
+
+    const members = users.filter(user => user.teamId === teamId).length;
+    if (members > 0) {
+      throw new ConflictError(`Team has ${members} member(s). Move them to another team first.`);
+    }
+
+    await this.teamRepository.delete(teamId);
+  }
+
+  /**
+   * Check the name is unique, the parent exists without creating a loop,
+   * and the manager is a user of the organization
+   * @param {string|null} teamId - Team being saved (null when creating)
+   * @param {Object} data - { name, parentId, managerId }
+   * @param {Array} teams - All teams of the organization
+   * @param {string} tenantId - Organization ID
+   */
+  async validatePlacement(teamId, { name, parentId, managerId }, teams, tenantId) {
+    const nameTaken = teams.some(team =>
+      team.id !== teamId && team.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (nameTaken) {
+      throw new ConflictError(`A team named "${name.trim()}" already exists`);
+    }
+
+    if (parentId) {
+      if (!teams.some(team => team.id === parentId)) {
+        throw new ValidationError('Parent team not found', [
+          { field: 'parentId', message: 'Parent team not found' }
+        ]);
+      }
+
+      // The parent cannot be the team itself or one of its sub-teams
+      if (teamId && this.getSubtreeTeamIds(teamId, teams).includes(parentId)) {
+        throw new ValidationError('A team cannot be placed under itself or its own sub-team', [
+          { field: 'parentId', message: 'A team cannot be placed under itself or its own sub-team' }
+        ]);
+      }
+    }
+
+    if (managerId && !(await this.userRepository.findById(managerId, tenantId))) {
+      throw new ValidationError('Manager not found in this organization', [
+        { field: 'managerId', message: 'Manager not found in this organization' }
+      ]);
+    }
+  }
+
+  /**
+   * Get a team and all teams nested under it
+   * @param {string} teamId - Team ID
+   * @param {Array} teams - All teams of the organization
+   * @returns {Array<string>} Team IDs, starting with teamId
+   */
+  getSubtreeTeamIds(teamId, teams) {
+    const ids = [teamId];
+
+    for (let i = 0; i < ids.length; i++) {
+      teams
+        .filter(team => team.parentId === ids[i] && !ids.includes(team.id))
+        .forEach(team => ids.push(team.id));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the usernames in a team: members and managers of it and its sub-teams
+   * @param {string} teamId - Team ID
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array<string>|null>} Usernames, or null when the team does not exist
+   */
+  async getTeamUsernames(teamId, tenantId) {
+    const [teams, users] = await Promise.all([
+      this.teamRepository.findByTenant(tenantId),
+      this.userRepository.findByTenant(tenantId)
+    ]);
+
+    if (!teams.some(team => team.id === teamId)) {
+      return null;
+    }
+
+    const subtree = teams.filter(team => this.getSubtreeTeamIds(teamId, teams).includes(team.id));
+    const teamIds = subtree.map(team => team.id);
+    const managerIds = subtree.map(team => team.managerId).filter(Boolean);
+
+    return users
+      .filter(user => teamIds.includes(user.teamId) || managerIds.includes(user.id))
+      .map(user => user.username);
+  }
+
+  /**
+   * Get the usernames in a user's org subtree, including the user
+   * @param {Object} user - { id, username, tenantId }
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async getOrgSubtreeUsernames(user) {
+    const [teams, users] = await Promise.all([
+      this.teamRepository.findByTenant(user.tenantId),
+      this.userRepository.findByTenant(user.tenantId)
+    ]);
+
+    const ids = new Set([user.id]);
+    let grew = true;
+
+    // Reports of anyone in the subtree, and members of teams they manage, are in it too
+    while (grew) {
+      grew = false;
+
+      const managedTeamIds = teams
+        .filter(team => team.managerId && ids.has(team.managerId))
+        .flatMap(team => this.getSubtreeTeamIds(team.id, teams));
+
+      users.forEach(member => {
+        if (ids.has(member.id)) return;
+
+        if ((member.managerId && ids.has(member.managerId)) ||
+            (member.teamId && managedTeamIds.includes(member.teamId))) {
+          ids.add(member.id);
+          grew = true;
+        }
+      });
+    }
+
+    const usernames = users
+      .filter(member => member.id !== user.id && ids.has(member.id))
+      .map(member => member.username);
+
+    return [user.username, ...usernames];
+  }
+}
+
+export default TeamService;
@@ -0,0 +1,336 @@
+/**
+ * Time Tracking Service
+ * Task timers, manual time entries and the daily log pre-fill
+ *
+ * A user has one timer at a time; starting it on another task stops the
+ * current one first. Time only counts once a timer is stopped (by the user,
+ * by switching tasks or at clock-out) and becomes a time entry for the day it
+ * was started.
+ */
+
+import { TimeEntryRepository } from '../repositories/timeEntry.repository.js';
+import { TaskRepository } from '../repositories/task.repository.js';
+import {
+  TimeEntryModel,
+  TIME_ENTRY_SOURCE,
+  TIMER_STATUS,
+  MAX_ENTRY_MINUTES
+} from '../models/timeEntry.model.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
+import { isClosedStatus } from '../utils/taskWorkflow.util.js';
+import { getIndiaDate, formatIndiaDate } from '../../lib/timezone.js';
+
+export const TIMER_ACTIONS = ['start', 'pause', 'resume', 'stop'];
+
+const elapsedSeconds = (timer, now) => {
+  const running = timer.status === TIMER_STATUS.RUNNING && timer.segmentStartedAt
+    ? Math.max(0, Math.floor((now - new Date(timer.segmentStartedAt)) / 1000))
+    : 0;
+  return (timer.accumulatedSeconds || 0) + running;
+};
+
+// Daily log categories/priorities (see pages/api/daily-tasks.js)
+const toDailyPriority = (priority) => {
+  const value = String(priority || '').toLowerCase();
+  if (value === 'urgent') return 'high';
+  return ['low', 'medium', 'high'].includes(value) ? value : 'medium';
+};
+
+export class TimeTrackingService {
+  constructor() {
+    this.timeEntryRepository = new TimeEntryRepository();
+    this.taskRepository = new TaskRepository();
+  }
+
+  /**
+   * Add the elapsed time to a timer for the API
+   */
+  describeTimer(timer, now = new Date()) {
+    if (!timer) return null;
+    return { ...timer, elapsedSeconds: elapsedSeconds(timer, now) };
+  }
+
+  /**
+   * Turn a timer into a time entry
+   * @returns {Object|null} Entry data, or null for less than a minute
+   */
+  buildTimerEntry(timer, task, now, stopReason) {
+    const minutes = Math.min(Math.round(elapsedSeconds(timer, now) / 60), MAX_ENTRY_MINUTES);
+    if (minutes < 1) return null;
+
+    return new TimeEntryModel({
+      tenantId: timer.tenantId,
+      username: timer.username,
+      taskId: timer.taskId,
+      taskName: task?.task || timer.taskName,
+      date: formatIndiaDate(new Date(timer.startedAt), 'yyyy-MM-dd'),
+      minutes,
+      source: TIME_ENTRY_SOURCE.TIMER,
+      startedAt: timer.startedAt,
+      endedAt: now.toISOString(),
+      stopReason,
+      createdAt: now.toISOString()
+    }).toObject();
+  }
+
+  /**
+   * Get a task the user may log time on
+   * Time is only logged by the task's assignee, on open tasks.
+   * @throws {NotFoundError|ForbiddenError|ValidationError}
+   */
+  async getTrackableTask(taskId, username, tenantId) {
+    if (!taskId) {
+      throw new ValidationError('Task ID is required');
+    }
+
+    const task = await this.taskRepository.findById(taskId, tenantId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+    if (task.assigned_to !== username) {
+      throw new ForbiddenError('Time can only be logged on tasks assigned to you');
+    }
+    if (isClosedStatus(task.status)) {
+      throw new ValidationError('Time cannot be logged on a closed task');
+    }
+
+    return task;
+  }
+
+  /**
+   * Get a user's timer
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object|null>} Timer with elapsedSeconds, or null
+   */
+  async getTimer(username, tenantId) {
+    return this.describeTimer(await this.timeEntryRepository.findTimer(tenantId, username));
+  }
+
+  /**
+   * Start a timer on a task
+   * A timer on another task is stopped and saved first; a paused timer on
+   * the same task is resumed.
+   * @param {string} taskId - Task ID
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { timer, stoppedEntry }
+   */
+  async startTimer(taskId, username, tenantId) {
+    const task = await this.getTrackableTask(taskId, username, tenantId);
+    const now = new Date();
+
+    const result = await this.timeEntryRepository.changeTimer(tenantId, username, (current, currentTask) => {
+      if (current?.taskId === taskId) {
+        return current.status === TIMER_STATUS.RUNNING
+          ? { timer: undefined }
+          : { timer: { ...current, status: TIMER_STATUS.RUNNING, segmentStartedAt: now.toISOString() } };
+      }
+
+      return {
+        timer: {
+          tenantId,
+          username,
+          taskId,
+          taskName: task.task,
+          status: TIMER_STATUS.RUNNING,
+          startedAt: now.toISOString(),
+          segmentStartedAt: now.toISOString(),
+          accumulatedSeconds: 0
+        },
+        entry: current ? this.buildTimerEntry(current, currentTask, now, 'user') : null
+      };
+    });
+
+    return { timer: this.describeTimer(result.timer, now), stoppedEntry: result.entry };
+  }
+
+  /**
+   * Pause the running timer
+   * @returns {Promise<Object>} { timer }
+   * @throws {NotFoundError} When the user has no timer
+   */
+  async pauseTimer(username, tenantId) {
+    const now = new Date();
+
+    const result = await this.timeEntryRepository.changeTimer(tenantId, username, (current) => {
+      if (!current || current.status !== TIMER_STATUS.RUNNING) return { timer: undefined };
+
+      return {
+        timer: {
+          ...current,
+          status: TIMER_STATUS.PAUSED,
+          accumulatedSeconds: elapsedSeconds(current, now),
+          segmentStartedAt: null
+        }
+      };
+    });
+
+    if (!result.before) {
+      throw new NotFoundError('Timer');
+    }
+
+    return { timer: this.describeTimer(result.timer, now) };
+  }
+
+  /**
+   * Resume a paused timer
+   * @returns {Promise<Object>} { timer }
+   * @throws {NotFoundError} When the user has no timer
+   */
+  async resumeTimer(username, tenantId) {
+    const now = new Date();
+
+    const result = await this.timeEntryRepository.changeTimer(tenantId, username, (current) => {
+      if (!current || current.status !== TIMER_STATUS.PAUSED) return { timer: undefined };
+      return { timer: { ...current, status: TIMER_STATUS.RUNNING, segmentStartedAt: now.toISOString() } };
+    });
+
+    if (!result.before) {
+      throw new NotFoundError('Timer');
+    }
+
+    return { timer: this.describeTimer(result.timer, now) };
+  }
+
+  /**
+   * Stop a user's timer and save its time
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} stopReason - 'user' or 'clock_out'
+   * @returns {Promise<Object>} { stoppedTimer, stoppedEntry } (both null when
+   *   no timer was running; the entry is null for less than a minute)
+   */
+  async stopTimer(username, tenantId, stopReason = 'user') {
+    const now = new Date();
+
+    const result = await this.timeEntryRepository.changeTimer(tenantId, username, (current, currentTask) => {
+      if (!current) return { timer: undefined };
+      return { timer: null, entry: this.buildTimerEntry(current, currentTask, now, stopReason) };
+    });
+
+    return { stoppedTimer: this.describeTimer(result.before, now), stoppedEntry: result.entry };
+  }
+
+  /**
+   * Add time by hand
+   * @param {Object} entryData - { taskId, minutes, date (defaults to today), note }
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} Stored entry
+   */
+  async addManualEntry(entryData, username, tenantId) {
+    const task = await this.getTrackableTask(entryData.taskId, username, tenantId);
+
+    const entry = new TimeEntryModel({
+      tenantId,
+      username,
+      taskId: task.id,
+      taskName: task.task,
+      date: entryData.date || getIndiaDate(),
+      minutes: Number(entryData.minutes),
+      source: TIME_ENTRY_SOURCE.MANUAL,
+      note: typeof entryData.note === 'string' ? entryData.note.trim() : ''
+    }).toObject();
+
+    const validation = TimeEntryModel.validate(entry);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid time entry', validation.errors);
+    }
+    if (entry.date > getIndiaDate()) {
+      throw new ValidationError('Time cannot be logged for a future date', [
+        { field: 'date', message: 'Date cannot be in the future' }
+      ]);
+    }
+
+    return await this.timeEntryRepository.create(entry);
+  }
+
+  /**
+   * Get a time entry
+   * @throws {NotFoundError} When the entry is not in the organization
+   */
+  async getEntry(entryId, tenantId) {
+    const entry = await this.timeEntryRepository.findById(entryId, tenantId);
+    if (!entry) {
+      throw new NotFoundError('Time entry');
+    }
+    return entry;
+  }
+
+  /**
+   * Delete a time entry, taking its minutes off the task
+   * @param {Object} entry - Entry from getEntry
+   */
+  async deleteEntry(entry) {
+    await this.timeEntryRepository.delete(entry);
+  }
+
+  /**
+   * Get the time logged on a task
+   * @returns {Promise<Object>} { entries, totalMinutes, byUser: { username: minutes } }
+   */
+  async getTaskEntries(taskId, tenantId) {
+    const entries = await this.timeEntryRepository.findByTask(tenantId, taskId);
+    const byUser = {};
+
+    for (const entry of entries) {
+      byUser[entry.username] = (byUser[entry.username] || 0) + entry.minutes;
+    }
+
+    return {
+      entries,
+      totalMinutes: entries.reduce((sum, entry) => sum + entry.minutes, 0),
+      byUser
+    };
+  }
+
+  /**
+   * Get a user's time entries for a day
+   * @returns {Promise<Object>} { entries, totalMinutes }
+   */
+  async getDayEntries(username, tenantId, date) {
+    const entries = await this.timeEntryRepository.findByUserAndDate(tenantId, username, date);
+    return {
+      entries,
+      totalMinutes: entries.reduce((sum, entry) => sum + entry.minutes, 0)
+    };
+  }
+
+  /**
+   * Get a day's tracked time as daily log tasks
+   * One row per task, in the shape the daily log saves
+   * ({ taskId, description, timeSpent (hours), category, priority }).
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>} Rows in the order the tasks were first worked on
+   */
+  async getDailyLogTasks(username, tenantId, date) {
+    const { entries } = await this.getDayEntries(username, tenantId, date);
+    if (entries.length === 0) return [];
+
+    const minutesByTask = new Map();
+    for (const entry of entries) {
+      const current = minutesByTask.get(entry.taskId) || { minutes: 0, taskName: entry.taskName };
+      current.minutes += entry.minutes;
+      minutesByTask.set(entry.taskId, current);
+    }
+
+    const tasks = await this.taskRepository.findByIds([...minutesByTask.keys()], tenantId);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    return [...minutesByTask.entries()].map(([taskId, { minutes, taskName }]) => {
+      const task = tasksById.get(taskId);
+      return {
+        taskId,
+        description: task?.task || taskName,
+        timeSpent: Math.round((minutes / 60) * 100) / 100,
+        category: task?.client_name || task?.custom_client ? 'client-work' : 'general',
+        priority: toDailyPriority(task?.priority)
+      };
+    });
+  }
+}
+
+export default TimeTrackingService;
@@ -5,13 +5,23 @@
  */
 
 import { UserRepository } from '../repositories/user.repository.js';
+import { TeamRepository } from '../repositories/team.repository.js';
 import { UserModel } from '../models/user.model.js';
+import { PasswordPolicyService } from './passwordPolicy.service.js';
+import { RoleService } from './role.service.js';
 import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { sendSetPasswordEmail } from '../../lib/emailService.js';
 import bcrypt from 'bcryptjs';
 
+// Admin-issued set-password links stay valid longer than self-service resets
+const SET_PASSWORD_LINK_TTL_HOURS = 72;
+
 export class UserService {
   constructor() {
     this.userRepository = new UserRepository();
+    this.teamRepository = new TeamRepository();
+    this.passwordPolicyService = new PasswordPolicyService();
+    this.roleService = new RoleService();
   }
 
   /**
@@ -92,13 +102,12 @@ export class UserService {
       throw new ConflictError(`Username "${userData.username}" already exists in this organization`);
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(userData.password, 10);
+    await this.passwordPolicyService.validatePassword(userData.password, tenantId);
+    await this.validateAssignments(null, userData, tenantId);
 
-    // Create user model
+    // Create user model (the repository hashes the password)
     const userModel = new UserModel({
       ...userData,
-      password: hashedPassword,
       tenantId
     });
 
@@ -130,11 +139,13 @@ export class UserService {
       throw new NotFoundError('User not found');
     }
 
-    // If updating password, hash it
+    // New passwords must meet the organization's policy (the repository hashes them)
     if (updateData.password) {
-      updateData.password = await bcrypt.hash(updateData.password, 10);
+      await this.passwordPolicyService.validatePassword(updateData.password, tenantId);
     }
 
+    await this.validateAssignments(userId, updateData, tenantId);
+
     // If updating username, check for conflicts
     if (updateData.username && updateData.username !== existingUser.username) {
       const usernameExists = await this.userRepository.usernameExists(updateData.username, tenantId);
@@ -152,6 +163,59 @@ export class UserService {
     return userModel.toSafeObject();
   }
 
+  /**
+   * Check that a role and team exist in the organization and that a manager is
+   * someone the user can report to (same organization, not the user, no loop)
+   * @param {string|null} userId - User being saved (null when creating)
+   * @param {Object} data - { role, managerId, teamId }
+   * @param {string} tenantId - Organization ID
+   */
+  async validateAssignments(userId, { role, managerId, teamId }, tenantId) {
+    if (role && !(await this.roleService.roleExists(role.toLowerCase(), tenantId))) {
+      throw new ValidationError(`Role "${role}" does not exist`, [
+        { field: 'role', message: `Role "${role}" does not exist` }
+      ]);
+    }
+
+    if (teamId && !(await this.teamRepository.findById(teamId, tenantId))) {
+      throw new ValidationError('Team not found in this organization', [
+        { field: 'teamId', message: 'Team not found in this organization' }
+      ]);
+    }
+
+    if (!managerId) return;
+
+    if (managerId === userId) {
+      throw new ValidationError('A user cannot report to themselves', [
+        { field: 'managerId', message: 'A user cannot report to themselves' }
+      ]);
+    }
+
+    const users = await this.userRepository.findByTenant(tenantId);
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    if (!usersById.has(managerId)) {
+      throw new ValidationError('Manager not found in this organization', [
+        { field: 'managerId', message: 'Manager not found in this organization' }
+      ]);
+    }
+
+    // Walk up from the new manager; reaching the user would make a loop
+    const visited = new Set();
+    let current = usersById.get(managerId);
+
+    while (userId && current?.managerId && !visited.has(current.id)) {
+      if (current.managerId === userId) {
+        throw new ValidationError('The manager already reports to this user', [
+          { field: 'managerId', message: 'The manager already reports to this user' }
+        ]);
+      }
+
+      visited.add(current.id);
+      current = usersById.get(current.managerId);
+    }
+  }
+
   /**
    * Delete user
    * @param {string} userId - User ID
@@ -220,13 +284,14 @@ export class UserService {
     }
 
     // Validate new password
-    if (newPassword.length < 8) {
-      throw new ValidationError('New password must be at least 8 characters long');
+    await this.passwordPolicyService.validatePassword(newPassword, tenantId);
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      throw new ValidationError('New password must be different from current password');
     }
 
-    // Hash and update new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await this.userRepository.update(userId, { password: hashedPassword }, tenantId);
+    // Update password (hashed by the repository); clears any forced change
+    await this.userRepository.update(userId, { password: newPassword, mustChangePassword: false }, tenantId);
   }
 
   /**
@@ -331,14 +396,15 @@ export class UserService {
     try {
       const result = await this.userRepository.verifyPasswordResetToken(token);
 
-      if (!result.isValid) {
-        throw new ValidationError(result.error || 'Invalid or expired reset token');
+      if (!result.valid) {
+        throw new ValidationError(result.message || 'Invalid or expired reset token');
       }
 
       return {
         isValid: true,
         userId: result.userId,
-        email: result.email
+        email: result.email,
+        tenantId: result.tenantId
       };
     } catch (error) {
       if (error instanceof ValidationError) {
@@ -359,19 +425,15 @@ export class UserService {
       throw new ValidationError('Token and new password are required');
     }
 
-    // Validate new password strength
-    if (newPassword.length < 8) {
-      throw new ValidationError('Password must be at least 8 characters long');
-    }
-
-    // Hash the new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    // Validate new password against the policy of the token owner's organization
+    const verification = await this.verifyPasswordResetToken(token);
+    await this.passwordPolicyService.validatePassword(newPassword, verification.tenantId);
 
-    // Reset password using token (firebaseService handles verification)
-    const result = await this.userRepository.resetPasswordWithToken(token, hashedPassword);
+    // Reset password using token (firebaseService verifies and hashes)
+    const result = await this.userRepository.resetPasswordWithToken(token, newPassword);
 
     if (!result.success) {
-      throw new ValidationError(result.error || 'Failed to reset password');
+      throw new ValidationError(result.message || 'Failed to reset password');
     }
 
     return {
@@ -380,6 +442,40 @@ export class UserService {
     };
   }
 
+  /**
+   * Email a user a one-time link to choose a new password (admin action)
+   * The current password keeps working until the link is used.
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Organization ID
+   * @param {string} issuedBy - Username of the admin sending the link
+   * @returns {Promise<Object>} { email, expiresInHours }
+   */
+  async sendSetPasswordLink(userId, tenantId, issuedBy) {
+    const user = await this.userRepository.findById(userId, tenantId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.email) {
+      throw new ValidationError('User has no email address to send the link to');
+    }
+
+    const token = this.userRepository.generatePasswordResetToken();
+
+    await this.userRepository.savePasswordResetToken(user.id, token, tenantId, {
+      expiresInMs: SET_PASSWORD_LINK_TTL_HOURS * 60 * 60 * 1000,
+      issuedBy
+    });
+
+    await sendSetPasswordEmail(user.email, token, user.username, {
+      issuedBy,
+      expiresInHours: SET_PASSWORD_LINK_TTL_HOURS
+    });
+
+    return { email: user.email, expiresInHours: SET_PASSWORD_LINK_TTL_HOURS };
+  }
+
   /**
    * Get users by role
    * @param {string} role - User role
@@ -0,0 +1,645 @@
+/**
+ * WhatsApp Service
+ * An organization's WhatsApp notifications: settings, users' opt-ins, sending
+ * events and the delivery log
+ *
+ * An event goes out when the organization turned it on, with its approved
+ * template, to its recipients: the user the event is about, named users and
+ * roles (each only once they opted in, at the number they opted in with) and
+ * numbers outside the app that an admin entered. Users also get nothing when
+ * they turned WhatsApp off for the event in their notification preferences,
+ * and their messages are held during their quiet hours. This is the only way
+ * the app sends WhatsApp notifications. Every recipient gets a delivery log
+ * entry, also when nothing was sent and why. Sending never fails the action
+ * the event is about; errors are logged.
+ */
+
+import crypto from 'crypto';
+import { WhatsAppRepository } from '../repositories/whatsapp.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { AttendanceRepository } from '../repositories/attendance.repository.js';
+import { NotificationPreferencesService, DELIVERY } from './notificationPreferences.service.js';
+import {
+  WhatsAppSettingsModel,
+  WHATSAPP_EVENTS,
+  EVENT_PREFERENCES,
+  TEMPLATE_STATUS
+} from '../models/whatsappSettings.model.js';
+import { WhatsAppOptInModel, OPT_IN_SOURCE } from '../models/whatsappOptIn.model.js';
+import {
+  WhatsAppDeliveryModel,
+  DELIVERY_STATUS,
+  SKIP_REASONS,
+  TEST_EVENT
+} from '../models/whatsappDelivery.model.js';
+import { getTaskLink } from './taskComment.service.js';
+import { renderTemplate, templateParameters, normalizePhone } from '../utils/whatsappTemplate.util.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { isWhatsAppConfigured, sendTemplateMessage } from '../../lib/whatsappService.js';
+import { getIndiaDate, getIndiaTime } from '../../lib/timezone.js';
+
+const SETTINGS_FIELDS = ['templates', 'events', 'dailySummaryTime', 'commandsEnabled'];
+
+// A VERIFY code is good for 30 minutes
+const VERIFICATION_CODE_TTL_MS = 30 * 60 * 1000;
+
+const DEFAULT_DELIVERY_PAGE = 50;
+const MAX_DELIVERY_PAGE = 200;
+
+const pick = (data, fields) => Object.fromEntries(
+  fields.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+const unique = (values) => [...new Set(values.map(value => value.trim()))];
+
+// Deadlines are stored as ISO timestamps or dates
+const formatDeadline = (deadline) => {
+  const date = deadline ? new Date(deadline) : null;
+  if (!date || Number.isNaN(date.getTime())) return deadline || 'No deadline';
+
+  return date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const hashVerificationCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const getAppLink = (path) => `${process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'}${path}`;
+
+export class WhatsAppService {
+  constructor() {
+    this.whatsappRepository = new WhatsAppRepository();
+    this.userRepository = new UserRepository();
+    this.attendanceRepository = new AttendanceRepository();
+    this.preferencesService = new NotificationPreferencesService();
+  }
+
+  /**
+   * Get an organization's settings (defaults when never saved)
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { templates, events, dailySummaryTime, ... }
+   */
+  async getSettings(tenantId) {
+    const stored = await this.whatsappRepository.getSettings(tenantId);
+    return new WhatsAppSettingsModel({ ...(stored || {}), tenantId }).toObject();
+  }
+
+  /**
+   * Change an organization's settings
+   * Templates are replaced as a whole; events are merged one by one, so
+   * { events: { task_assigned: { enabled: false } } } leaves the others as they are.
+   * @param {string} tenantId - Organization ID
+   * @param {Object} changes - { templates?, events?, dailySummaryTime?, commandsEnabled? }
+   * @param {string} updatedBy - Username
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(tenantId, changes, updatedBy) {
+    const fields = pick(changes || {}, SETTINGS_FIELDS);
+    if (fields.events !== undefined && (!fields.events || typeof fields.events !== 'object' || Array.isArray(fields.events))) {
+      throw new ValidationError('Invalid WhatsApp settings', [
+        { field: 'events', message: 'Events must be an object of event settings' }
+      ]);
+    }
+
+    const current = await this.getSettings(tenantId);
+    const events = { ...current.events };
+    Object.entries(fields.events || {}).forEach(([event, config]) => {
+      const base = current.events[event] || {};
+      events[event] = {
+        ...base,
+        ...(config || {}),
+        recipients: { ...(base.recipients || {}), ...(config?.recipients || {}) }
+      };
+    });
+
+    const merged = { ...current, ...fields, events };
+    const validation = WhatsAppSettingsModel.validate(merged);
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid WhatsApp settings', validation.errors);
+    }
+
+    Object.values(merged.events).forEach(config => {
+      config.recipients = {
+        ...config.recipients,
+        usernames: unique(config.recipients.usernames),
+        roles: unique(config.recipients.roles),
+        phones: config.recipients.phones.map(({ name, phone }) => ({ name: name.trim(), phone: normalizePhone(phone) }))
+      };
+    });
+
+    const settings = new WhatsAppSettingsModel({
+      ...merged,
+      tenantId,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    }).toObject();
+
+    return await this.whatsappRepository.saveSettings(settings);
+  }
+
+  /**
+   * Get a user's opt-in (not opted in when they never chose)
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Object>} { optedIn, phone, source, optedInAt, optedOutAt, ... }
+   */
+  async getOptIn(username, tenantId) {
+    const stored = await this.whatsappRepository.findOptIn(tenantId, username);
+    return new WhatsAppOptInModel({ ...(stored || {}), tenantId, username }).toSafeObject();
+  }
+
+  /**
+   * Opt a user in to WhatsApp messages, or out
+   * Opting in needs a number: the one given, the one they opted in with
+   * before, or the phone on their profile. The profile phone and numbers an
+   * admin enters count as verified; any other number gets a code the user
+   * sends back from it (VERIFY <code>) before WhatsApp commands accept it.
+   * @param {string} username - Username
+   * @param {string} tenantId - Organization ID
+   * @param {Object} data - { optedIn, phone? }
+   * @param {Object} options - { updatedBy, source } (OPT_IN_SOURCE.ADMIN when an admin records it)
+   * @returns {Promise<Object>} Stored opt-in, with the new verificationCode when one was issued
+   * @throws {NotFoundError} No such user in the organization
+   */
+  async setOptIn(username, tenantId, data, { updatedBy = username, source = OPT_IN_SOURCE.APP } = {}) {
+    const validation = WhatsAppOptInModel.validate(data || {});
+    if (!validation.isValid) {
+      throw new ValidationError('Invalid WhatsApp opt-in', validation.errors);
+    }
+
+    const user = await this.userRepository.findByUsername(username, tenantId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const current = await this.getOptIn(username, tenantId);
+    const phone = normalizePhone(data.phone) || current.phone || normalizePhone(user.phone);
+    if (data.optedIn && !phone) {
+      throw new ValidationError('A phone number is needed to opt in', [
+        { field: 'phone', message: 'Phone must be in international format (+91xxxxxxxxxx)' }
+      ]);
+    }
+
+    const now = new Date();
+    let phoneVerifiedAt = phone === current.phone ? current.phoneVerifiedAt : null;
+    if (!phoneVerifiedAt && phone && (phone === normalizePhone(user.phone) || source === OPT_IN_SOURCE.ADMIN)) {
+      phoneVerifiedAt = now.toISOString();
+    }
+
+    const verificationCode = data.optedIn && !phoneVerifiedAt
+      ? String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+      : null;
+
+    const optIn = new WhatsAppOptInModel({
+      ...current,
+      phone,
+      optedIn: data.optedIn,
+      source,
+      optedInAt: data.optedIn && !current.optedIn ? now.toISOString() : current.optedInAt,
+      optedOutAt: !data.optedIn && current.optedIn ? now.toISOString() : current.optedOutAt,
+      phoneVerifiedAt,
+      verificationCodeHash: verificationCode ? hashVerificationCode(verificationCode) : null,
+      verificationExpiresAt: verificationCode ? new Date(now.getTime() + VERIFICATION_CODE_TTL_MS).toISOString() : null,
+      updatedBy,
+      updatedAt: now.toISOString()
+    });
+
+    await this.whatsappRepository.saveOptIn(optIn.toObject());
+    return { ...optIn.toSafeObject(), ...(verificationCode && { verificationCode }) };
+  }
+
+  /**
+   * Verify the number of the opt-in a VERIFY code was issued for
+   * @param {string} phone - Number the code was sent from (international format)
+   * @param {string} code - The code
+   * @returns {Promise<Object|null>} The verified opt-in, or null when no opt-in
+   *   of that number has the code or it expired
+   */
+  async verifyPhone(phone, code) {
+    const hash = hashVerificationCode(code);
+    const now = new Date().toISOString();
+    const optIns = await this.whatsappRepository.findOptInsByPhone(phone);
+    const match = optIns.find(optIn => (
+      optIn.optedIn && optIn.verificationCodeHash === hash && optIn.verificationExpiresAt > now
+    ));
+    if (!match) return null;
+
+    const optIn = new WhatsAppOptInModel({
+      ...match,
+      phoneVerifiedAt: now,
+      verificationCodeHash: null,
+      verificationExpiresAt: null,
+      updatedAt: now
+    });
+
+    await this.whatsappRepository.saveOptIn(optIn.toObject());
+    return optIn.toSafeObject();
+  }
+
+  /**
+   * Get the opt-in of every active user of an organization, by username
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array>} Opt-ins, with the user's fullName
+   */
+  async listOptIns(tenantId) {
+    const [users, optIns] = await Promise.all([
+      this.userRepository.findByTenant(tenantId),
+      this.whatsappRepository.findOptIns(tenantId)
+    ]);
+    const byUser = new Map(optIns.map(optIn => [optIn.username, optIn]));
+
+    return users
+      .filter(user => user.isActive !== false)
+      .map(user => ({
+        ...new WhatsAppOptInModel({ ...(byUser.get(user.username) || {}), tenantId, username: user.username }).toSafeObject(),
+        fullName: user.fullName || null
+      }))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Work out who an event goes to
+   * @param {string} tenantId - Organization ID
+   * @param {Object} recipients - The event's { subject, usernames, roles, phones }
+   * @param {string|null} subject - Username the event is about
+   * @returns {Promise<Array>} { username, name, phone, optedIn }, one per number
+   */
+  async resolveRecipients(tenantId, recipients, subject) {
+    const users = (await this.userRepository.findByTenant(tenantId)).filter(user => user.isActive !== false);
+    const usernames = new Set(recipients.usernames);
+    if (recipients.subject && subject) usernames.add(subject);
+
+    const selected = users.filter(user => usernames.has(user.username) || recipients.roles.includes(user.role));
+    const optIns = await this.whatsappRepository.findOptInsByUsers(tenantId, selected.map(user => user.username));
+
+    const resolved = [
+      ...selected.map(user => {
+        const optIn = optIns.get(user.username);
+        return {
+          username: user.username,
+          name: user.fullName || user.username,
+          phone: optIn?.optedIn ? optIn.phone : null,
+          optedIn: optIn?.optedIn === true
+        };
+      }),
+      // Admins entered these numbers, and answer for their consent
+      ...recipients.phones.map(({ name, phone }) => ({ username: null, name, phone, optedIn: true }))
+    ];
+
+    // A number listed twice (a user and their number) gets one message
+    const phones = new Set();
+    return resolved.filter(recipient => {
+      if (!recipient.phone) return true;
+      if (phones.has(recipient.phone)) return false;
+      phones.add(recipient.phone);
+      return true;
+    });
+  }
+
+  /**
+   * Send a template to recipients and log each delivery
+   * Users' messages follow their notification preferences: none when WhatsApp
+   * is off for the event, held in the notification queue in quiet hours.
+   * @param {string} tenantId - Organization ID
+   * @param {string} event - WHATSAPP_EVENTS value or TEST_EVENT
+   * @param {Object} template - { name, language, body }
+   * @param {Array} recipients - From resolveRecipients
+   * @param {Object} variables - The event's variables (name is filled in per recipient)
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Delivery log entries
+   */
+  async deliver(tenantId, event, template, recipients, variables, now = new Date()) {
+    const configured = isWhatsAppConfigured();
+    const deliveries = [];
+
+    const usernames = recipients.filter(recipient => recipient.username).map(recipient => recipient.username);
+    const preferences = usernames.length > 0
+      ? await this.preferencesService.getPreferencesOfUsers(usernames, tenantId)
+      : new Map();
+
+    for (const recipient of recipients) {
+      const values = { ...variables, name: recipient.name };
+      const delivery = {
+        tenantId,
+        event,
+        template: template.name,
+        language: template.language,
+        username: recipient.username,
+        name: recipient.name,
+        phone: recipient.phone,
+        body: renderTemplate(template.body, values)
+      };
+
+      // Numbers outside the app have no preferences
+      const plan = recipient.username
+        ? this.preferencesService.planWhatsApp(preferences.get(recipient.username), EVENT_PREFERENCES[event] || null, now)
+        : DELIVERY.SEND;
+
+      const reason = !recipient.optedIn ? SKIP_REASONS.NOT_OPTED_IN
+        : !recipient.phone ? SKIP_REASONS.NO_PHONE
+          : !plan ? SKIP_REASONS.TURNED_OFF
+            : !configured ? SKIP_REASONS.NOT_CONFIGURED
+              : null;
+
+      if (reason) {
+        deliveries.push({ ...delivery, status: DELIVERY_STATUS.SKIPPED, reason });
+        continue;
+      }
+
+      if (plan === DELIVERY.QUIET_HOURS) {
+        await this.preferencesService.enqueue({
+          tenantId,
+          username: recipient.username,
+          channel: 'whatsapp',
+          reason: plan,
+          event,
+          template: template.name,
+          variables
+        });
+        deliveries.push({ ...delivery, status: DELIVERY_STATUS.HELD, reason: SKIP_REASONS.QUIET_HOURS });
+        continue;
+      }
+
+      const result = await sendTemplateMessage(recipient.phone, {
+        name: template.name,
+        language: template.language,
+        parameters: templateParameters(template.body, values)
+      });
+
+      deliveries.push({
+        ...delivery,
+        status: result.success ? DELIVERY_STATUS.SENT : DELIVERY_STATUS.FAILED,
+        messageId: result.messageId,
+        error: result.success ? null : (result.error || result.reason)
+      });
+    }
+
+    if (deliveries.length === 0) return [];
+    return await this.whatsappRepository.createDeliveries(
+      deliveries.map(delivery => new WhatsAppDeliveryModel(delivery).toObject())
+    );
+  }
+
+  /**
+   * Send an event, if the organization turned it on
+   * Never throws: failures are logged here.
+   * @param {string} tenantId - Organization ID
+   * @param {string} event - WHATSAPP_EVENTS value
+   * @param {Object} details - { subject (username the event is about), variables }
+   * @returns {Promise<Array>} Delivery log entries ([] when the event is off)
+   */
+  async notify(tenantId, event, { subject = null, variables = {} } = {}) {
+    try {
+      const settings = await this.getSettings(tenantId);
+      const config = settings.events[event];
+      if (!config?.enabled) return [];
+
+      // Settings can't turn an event on without an approved template; this
+      // covers templates whose approval was withdrawn since
+      const template = settings.templates.find(candidate => candidate.name === config.template);
+      if (template?.status !== TEMPLATE_STATUS.APPROVED) return [];
+
+      const recipients = await this.resolveRecipients(tenantId, config.recipients, subject);
+      return await this.deliver(tenantId, event, template, recipients, variables);
+    } catch (error) {
+      console.error(`WhatsApp ${event} notification failed:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Send the messages held for users' quiet hours once those have ended
+   * Each goes out as its event would now: the event must still be on with an
+   * approved template, and the user still opted in with WhatsApp on for it;
+   * otherwise it is dropped. Run by the held notifications cron.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { users, whatsappMessages, delivered }
+   */
+  async flushHeld(now = new Date()) {
+    const items = await this.preferencesService.findQueued('whatsapp');
+    const summary = { users: 0, whatsappMessages: 0, delivered: 0 };
+    if (items.length === 0) return summary;
+
+    const groups = new Map();
+    items.forEach(item => {
+      const key = `${item.tenantId}/${item.username}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+    for (const userItems of groups.values()) {
+      const { tenantId, username } = userItems[0];
+
+      try {
+        const preferences = await this.preferencesService.getPreferences(username, tenantId);
+        if (this.preferencesService.isQuietTime(preferences, now)) continue;
+
+        const settings = await this.getSettings(tenantId);
+        const [recipient] = await this.resolveRecipients(
+          tenantId,
+          { subject: false, usernames: [username], roles: [], phones: [] },
+          null
+        );
+
+        for (const item of userItems) {
+          const template = settings.templates.find(candidate => candidate.name === item.template);
+          if (!recipient || !settings.events[item.event]?.enabled || template?.status !== TEMPLATE_STATUS.APPROVED) {
+            continue;
+          }
+
+          const [delivery] = await this.deliver(tenantId, item.event, template, [recipient], item.variables || {}, now);
+          if (delivery?.status === DELIVERY_STATUS.SENT) summary.whatsappMessages++;
+        }
+
+        await this.preferencesService.dequeue(userItems.map(item => item.id));
+        summary.users++;
+        summary.delivered += userItems.length;
+      } catch (error) {
+        console.error(`Failed to deliver held WhatsApp messages for ${username}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * A task was assigned
+   * @param {string} tenantId - Organization ID
+   * @param {Object} task - { id, task, assigned_to, deadline, priority }
+   * @param {string} assignedBy - Username
+   */
+  async notifyTaskAssigned(tenantId, task, assignedBy) {
+    return await this.notify(tenantId, WHATSAPP_EVENTS.TASK_ASSIGNED, {
+      subject: task.assigned_to,
+      variables: {
+        task: task.task,
+        assignedBy,
+        deadline: formatDeadline(task.deadline),
+        priority: task.priority || 'Medium',
+        link: getAppLink(getTaskLink(task.id))
+      }
+    });
+  }
+
+  /**
+   * A task's deadline is near
+   * @param {string} tenantId - Organization ID
+   * @param {Object} task - { id, task, assigned_to, deadline }
+   * @param {string} dueIn - e.g. "in 3 hours"
+   */
+  async notifyDeadlineReminder(tenantId, task, dueIn) {
+    return await this.notify(tenantId, WHATSAPP_EVENTS.DEADLINE_REMINDER, {
+      subject: task.assigned_to,
+      variables: {
+        task: task.task,
+        deadline: formatDeadline(task.deadline),
+        dueIn,
+        link: getAppLink(getTaskLink(task.id))
+      }
+    });
+  }
+
+  /**
+   * A leave request was approved or rejected
+   * @param {string} tenantId - Organization ID
+   * @param {Object} request - The reviewed leave request
+   */
+  async notifyLeaveDecision(tenantId, request) {
+    return await this.notify(tenantId, WHATSAPP_EVENTS.LEAVE_APPROVAL, {
+      subject: request.username,
+      variables: {
+        employee: request.username,
+        leaveType: request.type,
+        startDate: request.startDate,
+        endDate: request.endDate,
+        status: request.status,
+        reviewedBy: request.reviewedBy,
+        comment: request.reviewComment || '-'
+      }
+    });
+  }
+
+  /**
+   * Someone clocked in or out working from home
+   * @param {string} tenantId - Organization ID
+   * @param {Object} record - Attendance record
+   * @param {string} action - 'Clock In' or 'Clock Out'
+   */
+  async notifyWfhAttendance(tenantId, record, action) {
+    return await this.notify(tenantId, WHATSAPP_EVENTS.WFH_ATTENDANCE, {
+      variables: {
+        employee: record.username,
+        action,
+        time: action === 'Clock Out' ? (record.checkOut || record.clockOut) : (record.checkIn || record.clockIn),
+        date: record.date,
+        status: record.status
+      }
+    });
+  }
+
+  /**
+   * Send the day's WFH summary once it is due
+   * Due from the organization's daily summary time (India time), once a day.
+   * @param {string} tenantId - Organization ID
+   * @returns {Promise<Array|null>} Delivery log entries, or null when not due
+   */
+  async sendDueDailySummary(tenantId) {
+    const settings = await this.getSettings(tenantId);
+    const today = getIndiaDate();
+
+    if (!settings.events[WHATSAPP_EVENTS.DAILY_WFH_SUMMARY].enabled
+      || settings.lastDailySummaryDate === today
+      || getIndiaTime().slice(0, 5) < settings.dailySummaryTime) {
+      return null;
+    }
+
+    // Recorded first: a failing send is not retried every run
+    await this.whatsappRepository.markDailySummarySent(tenantId, today);
+
+    const records = await this.attendanceRepository.findByDate(tenantId, today);
+    const wfh = records
+      .filter(record => record.workType === 'wfh')
+      .sort((a, b) => a.username.localeCompare(b.username));
+
+    const employees = wfh.map(record => {
+      const checkIn = (record.checkIn || record.clockIn || '').slice(0, 5);
+      const checkOut = (record.checkOut || record.clockOut || '').slice(0, 5);
+      return `${record.username} (${checkIn ? `${checkIn}-${checkOut || 'in progress'}` : record.status})`;
+    });
+
+    return await this.notify(tenantId, WHATSAPP_EVENTS.DAILY_WFH_SUMMARY, {
+      variables: {
+        date: today,
+        count: wfh.length,
+        employees: employees.length > 0 ? employees.join(', ') : 'None'
+      }
+    });
+  }
+
+  /**
+   * Send a template to a number, with each variable as its own name
+   * @param {string} tenantId - Organization ID
+   * @param {Object} data - { phone, template (name) }
+   * @returns {Promise<Object>} Delivery log entry
+   * @throws {NotFoundError} No such template
+   */
+  async sendTest(tenantId, { phone, template: templateName } = {}) {
+    const number = normalizePhone(phone);
+    if (!number) {
+      throw new ValidationError('Invalid test message', [
+        { field: 'phone', message: 'Phone must be in international format (+91xxxxxxxxxx)' }
+      ]);
+    }
+
+    const settings = await this.getSettings(tenantId);
+    const template = settings.templates.find(candidate => candidate.name === templateName);
+    if (!template) {
+      throw new NotFoundError('WhatsApp template');
+    }
+
+    const variables = Object.fromEntries(template.variables.map(name => [name, `[${name}]`]));
+    const [delivery] = await this.deliver(
+      tenantId,
+      TEST_EVENT,
+      template,
+      [{ username: null, name: '[name]', phone: number, optedIn: true }],
+      variables
+    );
+    return delivery;
+  }
+
+  /**
+   * Get the delivery log, newest first
+   * @param {string} tenantId - Organization ID
+   * @param {Object} filters - { event, status, username, limit }
+   * @returns {Promise<Array>} Delivery log entries
+   */
+  async listDeliveries(tenantId, filters = {}) {
+    const events = [...Object.values(WHATSAPP_EVENTS), TEST_EVENT];
+    const statuses = Object.values(DELIVERY_STATUS);
+    const errors = [];
+
+    if (filters.event && !events.includes(filters.event)) {
+      errors.push({ field: 'event', message: `Event must be one of: ${events.join(', ')}` });
+    }
+    if (filters.status && !statuses.includes(filters.status)) {
+      errors.push({ field: 'status', message: `Status must be one of: ${statuses.join(', ')}` });
+    }
+
+    const limit = filters.limit === undefined ? DEFAULT_DELIVERY_PAGE : Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_PAGE) {
+      errors.push({ field: 'limit', message: `Limit must be 1-${MAX_DELIVERY_PAGE}` });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid delivery filters', errors);
+    }
+
+    return await this.whatsappRepository.findDeliveries(tenantId, {
+      event: filters.event,
+      status: filters.status,
+      username: filters.username,
+      limit
+    });
+  }
+}
+
+export default WhatsAppService;
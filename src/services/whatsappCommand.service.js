@@ -0,0 +1,402 @@
+/**
+ * WhatsApp Command Service
+ * Carries out the commands users message the app on WhatsApp (see
+ * whatsappCommand.util.js) and replies to them
+ *
+ * The sender is the user who opted in with the number and verified it, or else
+ * the one whose profile has it; a number that belongs to no active user, or to
+ * several, is told so and nothing happens. Each message is carried out once,
+ * also when the Cloud API delivers it again. Commands only run for organizations that turned
+ * them on in their WhatsApp settings. Clocking in and out goes through the same
+ * attendance functions as the app. Every command is written to the activity log
+ * with the reply it got; replies are free text, which WhatsApp delivers since the
+ * user just wrote.
+ */
+
+import { WhatsAppRepository } from '../repositories/whatsapp.repository.js';
+import { UserRepository } from '../repositories/user.repository.js';
+import { TaskRepository } from '../repositories/task.repository.js';
+import { OrganizationRepository } from '../repositories/organization.repository.js';
+import { TaskService } from './task.service.js';
+import { OfficeSiteService } from './officeSite.service.js';
+import { TimeTrackingService } from './timeTracking.service.js';
+import { WhatsAppService } from './whatsapp.service.js';
+import { ActivityService } from './activity.service.js';
+import { WHATSAPP_COMMANDS, COMMAND_HELP, parseCommand } from '../utils/whatsappCommand.util.js';
+import { normalizePhone } from '../utils/whatsappTemplate.util.js';
+import { isClosedStatus } from '../utils/taskWorkflow.util.js';
+import { AppError, ValidationError, NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { ATTENDANCE_STATUS, ORGANIZATION_STATUS, TASK_STATUS, WORK_TYPE } from '../utils/constants.js';
+import {
+  markAttendance,
+  getTodayAttendance,
+  getClockOutAttendance,
+  getAttendanceById,
+  updateAttendanceRecord
+} from '../../lib/firebaseService.js';
+import { sendWhatsAppMessage } from '../../lib/whatsappService.js';
+import { getIndiaTime } from '../../lib/timezone.js';
+
+export const COMMAND_ACTIVITY = 'whatsapp_command';
+
+// Tasks numbered in a TASKS reply; the rest are only counted
+const MAX_LISTED_TASKS = 10;
+
+const NOT_LINKED_REPLY = 'This number is not linked to an account. Opt in to WhatsApp under Notification settings in the app and send the VERIFY code it shows, or ask an admin to add it to your profile.';
+const VERIFIED_REPLY = `This number is now linked to your account.\n\n${COMMAND_HELP}`;
+const NOT_VERIFIED_REPLY = 'That code is wrong or expired. Opt out of WhatsApp in the app and in again for a new one.';
+const AMBIGUOUS_REPLY = 'This number belongs to more than one account. Opt in to WhatsApp in the app with it from the account you use.';
+const ERROR_REPLY = 'Something went wrong. Please try again, or use the app.';
+
+const WORK_TYPE_LABELS = {
+  [WORK_TYPE.WFH]: 'WFH',
+  [WORK_TYPE.OFFICE]: 'office'
+};
+
+const isActiveUser = (user) => (user.status === 'active' || !user.status) && user.isActive !== false;
+
+const deadlineTime = (task) => {
+  const time = task.deadline ? new Date(task.deadline).getTime() : NaN;
+  return Number.isNaN(time) ? Infinity : time;
+};
+
+const formatDue = (task) => (
+  deadlineTime(task) === Infinity
+    ? ''
+    : ` (due ${new Date(task.deadline).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short' })})`
+);
+
+export class WhatsAppCommandService {
+  constructor() {
+    this.whatsappRepository = new WhatsAppRepository();
+    this.userRepository = new UserRepository();
+    this.taskRepository = new TaskRepository();
+    this.organizationRepository = new OrganizationRepository();
+    this.taskService = new TaskService();
+    this.officeSiteService = new OfficeSiteService();
+    this.timeTrackingService = new TimeTrackingService();
+    this.whatsappService = new WhatsAppService();
+    this.activityService = new ActivityService();
+  }
+
+  /**
+   * Find the user a number belongs to
+   * Verified opt-ins come first: a number can be on several profiles, but a
+   * user chose to receive messages at the one they opted in with. Unverified
+   * ones don't count, as anyone can type in someone else's number.
+   * @param {string} phone - Phone number (international format)
+   * @returns {Promise<Object>} { user } or { reply } when no single active user has it
+   */
+  async findSender(phone) {
+    const optIns = (await this.whatsappRepository.findOptInsByPhone(phone)).filter(optIn => optIn.optedIn && optIn.phoneVerifiedAt);
+
+    let users;
+    if (optIns.length > 0) {
+      users = await Promise.all(optIns.map(optIn => this.userRepository.findByUsername(optIn.username, optIn.tenantId)));
+    } else {
+      // Profiles may hold the number with or without its +
+      users = await this.userRepository.findByPhone([phone, phone.slice(1)]);
+    }
+
+    const active = users.filter(user => user && isActiveUser(user));
+    if (active.length === 0) return { reply: NOT_LINKED_REPLY };
+    if (active.length > 1) return { reply: AMBIGUOUS_REPLY };
+
+    return { user: active[0] };
+  }
+
+  /**
+   * Carry out a message and reply to it
+   * @param {Object} message - { id, from, text } as read from the webhook
+   * @returns {Promise<Object>} { username, tenantId, command, success, reply, sent,
+   *   attendance?, task? } (username and tenantId are null for unknown numbers),
+   *   or { duplicate: true } for a message that was handled before
+   */
+  async handleMessage({ id, from, text }) {
+    if (id && !(await this.whatsappRepository.claimInboundMessage(id))) {
+      return { duplicate: true };
+    }
+
+    const phone = normalizePhone(from);
+    const parsed = parseCommand(text);
+    if (parsed.command === WHATSAPP_COMMANDS.VERIFY) {
+      return await this.verifyNumber(phone, parsed.code, { id, text });
+    }
+
+    const sender = phone ? await this.findSender(phone) : { reply: NOT_LINKED_REPLY };
+
+    if (!sender.user) {
+      console.warn(`WhatsApp message from an unknown number: ${from}`);
+      const delivery = phone ? await sendWhatsAppMessage(phone, sender.reply) : { success: false };
+      return { username: null, tenantId: null, command: null, success: false, reply: sender.reply, sent: delivery.success };
+    }
+
+    const { user } = sender;
+    const { tenantId } = user;
+
+    let outcome;
+    try {
+      await this.assertCommandsEnabled(tenantId);
+      outcome = parsed.command
+        ? await this.runCommand(parsed, user, tenantId)
+        : { success: false, reply: `${parsed.error}\n\n${COMMAND_HELP}` };
+    } catch (error) {
+      if (!(error instanceof AppError) || error.statusCode >= 500) {
+        console.error(`WhatsApp command "${text}" from ${user.username} failed:`, error);
+      }
+      outcome = {
+        success: false,
+        reply: error instanceof AppError && error.statusCode < 500 ? error.message : ERROR_REPLY
+      };
+    }
+
+    const delivery = await sendWhatsAppMessage(phone, outcome.reply);
+
+    await this.activityService.logActivity({
+      action: COMMAND_ACTIVITY,
+      userId: user.username,
+      details: {
+        command: parsed.command,
+        text,
+        messageId: id || null,
+        phone,
+        success: outcome.success,
+        reply: outcome.reply,
+        replySent: delivery.success,
+        attendanceId: outcome.attendance?.id || null,
+        taskId: outcome.task?.id || null
+      }
+    }, tenantId);
+
+    return {
+      username: user.username,
+      tenantId,
+      command: parsed.command,
+      success: outcome.success,
+      reply: outcome.reply,
+      sent: delivery.success,
+      attendance: outcome.attendance || null,
+      task: outcome.task || null
+    };
+  }
+
+  /**
+   * Verify the number a VERIFY code came from for the opt-in it was issued for
+   * @param {string|null} phone - Sender's number (international format)
+   * @param {string} code - The code
+   * @param {Object} message - { id, text }
+   * @returns {Promise<Object>} Same shape as handleMessage
+   */
+  async verifyNumber(phone, code, { id, text }) {
+    const optIn = phone ? await this.whatsappService.verifyPhone(phone, code) : null;
+    const reply = optIn ? VERIFIED_REPLY : NOT_VERIFIED_REPLY;
+    const delivery = phone ? await sendWhatsAppMessage(phone, reply) : { success: false };
+
+    if (optIn) {
+      await this.activityService.logActivity({
+        action: COMMAND_ACTIVITY,
+        userId: optIn.username,
+        details: {
+          command: WHATSAPP_COMMANDS.VERIFY,
+          text,
+          messageId: id || null,
+          phone,
+          success: true,
+          reply,
+          replySent: delivery.success,
+          attendanceId: null,
+          taskId: null
+        }
+      }, optIn.tenantId);
+    }
+
+    return {
+      username: optIn?.username || null,
+      tenantId: optIn?.tenantId || null,
+      command: WHATSAPP_COMMANDS.VERIFY,
+      success: Boolean(optIn),
+      reply,
+      sent: delivery.success
+    };
+  }
+
+  /**
+   * @throws {ForbiddenError} The organization is not active or has commands turned off
+   */
+  async assertCommandsEnabled(tenantId) {
+    const organization = await this.organizationRepository.findById(tenantId);
+    if (![ORGANIZATION_STATUS.ACTIVE, ORGANIZATION_STATUS.TRIAL].includes(organization?.status)) {
+      throw new ForbiddenError('Your organization\'s account is not active.');
+    }
+
+    const settings = await this.whatsappService.getSettings(tenantId);
+    if (!settings.commandsEnabled) {
+      throw new ForbiddenError('WhatsApp commands are turned off for your organization.');
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { success, reply, attendance?, task? }
+   */
+  async runCommand(parsed, user, tenantId) {
+    switch (parsed.command) {
+      case WHATSAPP_COMMANDS.CLOCK_IN:
+        return await this.clockIn(user, tenantId, parsed.workType);
+      case WHATSAPP_COMMANDS.CLOCK_OUT:
+        return await this.clockOut(user, tenantId);
+      case WHATSAPP_COMMANDS.TASKS:
+        return await this.listTasks(user, tenantId);
+      case WHATSAPP_COMMANDS.DONE:
+        return await this.completeTask(user, tenantId, parsed.number);
+      default:
+        return { success: true, reply: COMMAND_HELP };
+    }
+  }
+
+  /**
+   * Clock in as the app does
+   * WhatsApp sends no location with a text, so office clock-ins only work
+   * where the organization doesn't require one at an office site.
+   */
+  async clockIn(user, tenantId, workType) {
+    const today = await getTodayAttendance(user.username, tenantId);
+    // Half-day leave leaves the other half to work
+    const halfDayLeave = today?.leaveRequestId && today.status === ATTENDANCE_STATUS.HALF_DAY && !today.checkIn;
+
+    if (today && !halfDayLeave) {
+      throw new ConflictError(today.checkIn
+        ? `You already clocked in today at ${today.checkIn.slice(0, 5)}.`
+        : `Today is already marked as ${today.status}.`);
+    }
+
+    let officeSite = null;
+    if (workType === WORK_TYPE.OFFICE) {
+      try {
+        officeSite = await this.officeSiteService.checkClockIn(tenantId, {});
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        throw new ValidationError('Office clock-ins need your location. Please clock in from the app.');
+      }
+    }
+
+    const record = await markAttendance({
+      username: user.username,
+      workType,
+      notes: 'Clocked in on WhatsApp',
+      officeSite
+    }, tenantId);
+
+    if (workType === WORK_TYPE.WFH) {
+      await this.whatsappService.notifyWfhAttendance(tenantId, record, 'Clock In');
+    }
+
+    const late = record.markedLate ? `\n${record.message}` : '';
+    return {
+      success: true,
+      reply: `Clocked in (${WORK_TYPE_LABELS[workType]}) at ${record.checkIn.slice(0, 5)}.${late}`,
+      attendance: record
+    };
+  }
+
+  /**
+   * Clock out as the app does, stopping a running task timer
+   */
+  async clockOut(user, tenantId) {
+    const today = await getClockOutAttendance(user.username, tenantId);
+    if (!today || !today.checkIn) {
+      throw new ConflictError('You have not clocked in today. Send IN wfh or IN office first.');
+    }
+    if (today.checkOut) {
+      throw new ConflictError(`You already clocked out today at ${today.checkOut.slice(0, 5)}.`);
+    }
+
+    await updateAttendanceRecord(today.id, { checkOut: getIndiaTime() }, tenantId);
+
+    let timerNote = '';
+    try {
+      const { stoppedTimer } = await this.timeTrackingService.stopTimer(user.username, tenantId, 'clock_out');
+      if (stoppedTimer) timerNote = `\nTimer on "${stoppedTimer.taskName}" stopped.`;
+    } catch (error) {
+      console.error('Failed to stop task timer at WhatsApp clock out:', error);
+    }
+
+    const record = await getAttendanceById(today.id, tenantId);
+
+    if ((record.workType || record.workMode) === WORK_TYPE.WFH) {
+      await this.whatsappService.notifyWfhAttendance(tenantId, record, 'Clock Out');
+    }
+
+    const hours = record.totalHours ? ` Total hours worked: ${record.totalHours}.` : '';
+    return {
+      success: true,
+      reply: `Clocked out at ${record.checkOut.slice(0, 5)}.${hours}${timerNote}`,
+      attendance: record
+    };
+  }
+
+  /**
+   * List the user's open tasks, soonest deadline first, and remember their
+   * numbers for DONE
+   */
+  async listTasks(user, tenantId) {
+    const tasks = (await this.taskRepository.findByUser(user.username, tenantId))
+      .filter(task => task.assigned_to === user.username && !isClosedStatus(task.status || TASK_STATUS.PENDING))
+      .sort((a, b) => deadlineTime(a) - deadlineTime(b));
+
+    if (tasks.length === 0) {
+      await this.whatsappRepository.saveTaskList(tenantId, user.username, []);
+      return { success: true, reply: 'You have no open tasks.' };
+    }
+
+    const listed = tasks.slice(0, MAX_LISTED_TASKS);
+    await this.whatsappRepository.saveTaskList(tenantId, user.username, listed.map(task => task.id));
+
+    const lines = listed.map((task, index) => `${index + 1}. ${task.task}${formatDue(task)}`);
+    if (tasks.length > listed.length) {
+      lines.push(`...and ${tasks.length - listed.length} more in the app.`);
+    }
+
+    return {
+      success: true,
+      reply: `Your open tasks:\n${lines.join('\n')}\n\nSend DONE and a number to complete one.`
+    };
+  }
+
+  /**
+   * Complete a task from the user's last TASKS list
+   * The organization's workflow applies as in the app; transitions that need
+   * fields (e.g. a reason) have to be made there.
+   */
+  async completeTask(user, tenantId, number) {
+    const list = await this.whatsappRepository.findTaskList(tenantId, user.username);
+    if (!list) {
+      throw new ValidationError('Send TASKS first to get your numbered tasks.');
+    }
+
+    const taskId = list.taskIds[number - 1];
+    if (!taskId) {
+      throw new ValidationError(`There is no task ${number} in your last list. Send TASKS to see it again.`);
+    }
+
+    const task = await this.taskRepository.findById(taskId, tenantId);
+    if (!task) {
+      throw new NotFoundError('Task');
+    }
+    if (task.assigned_to !== user.username) {
+      throw new ForbiddenError(`"${task.task}" is no longer assigned to you.`);
+    }
+    if (isClosedStatus(task.status)) {
+      throw new ConflictError(`"${task.task}" is already ${task.status}.`);
+    }
+
+    const updated = await this.taskService.updateTask(task.id, { status: TASK_STATUS.DONE }, tenantId, { actor: user });
+
+    return {
+      success: true,
+      reply: `Done: "${task.task}".`,
+      task: updated
+    };
+  }
+}
+
+export default WhatsAppCommandService;
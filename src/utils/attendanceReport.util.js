@@ -0,0 +1,215 @@
+/**
+ * Attendance Report Utilities
+ * Summing up an employee's month of attendance for payroll: counts by
+ * status, late arrivals, hours and overtime, and a status code per day
+ *
+ * Days off come from the holiday calendar (see holidayCalendar.util);
+ * hours come from the records' workedMinutes (shift workers, less the
+ * break) or totalHours (H:MM).
+ */
+
+import { getDayOff, eachDateInRange, DAY_OFF_TYPE } from './holidayCalendar.util.js';
+import { getShiftLengthMinutes } from './shift.util.js';
+import { ATTENDANCE_STATUS, WORK_TYPE } from './constants.js';
+
+// Full day for users without a shift; time beyond it is overtime
+export const STANDARD_DAY_MINUTES = 8 * 60;
+
+export const DAY_CODES = {
+  PRESENT: 'P',
+  WFH: 'WFH',
+  HALF_DAY: 'HD',
+  ABSENT: 'A',
+  LEAVE: 'L',
+  HOLIDAY: 'H',
+  WEEKLY_OFF: 'WO',
+  NOT_RECORDED: '-'
+};
+
+export const DAY_CODE_LEGEND = [
+  [DAY_CODES.PRESENT, 'Present (office)'],
+  [DAY_CODES.WFH, 'Present (work from home)'],
+  [DAY_CODES.HALF_DAY, 'Half day'],
+  [DAY_CODES.ABSENT, 'Absent'],
+  [DAY_CODES.LEAVE, 'On leave'],
+  [DAY_CODES.HOLIDAY, 'Holiday'],
+  [DAY_CODES.WEEKLY_OFF, 'Weekly off'],
+  [DAY_CODES.NOT_RECORDED, 'No attendance recorded']
+];
+
+/**
+ * Parse a duration (H:MM, or a number of hours) into minutes
+ * @returns {number} Minutes (0 when missing or malformed)
+ */
+export const parseDurationMinutes = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value * 60);
+  }
+
+  const match = /^(\d+):([0-5]\d)/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+};
+
+const toHours = (minutes) => Math.round(minutes / 60 * 100) / 100;
+
+const workedMinutesOf = (record) => record.workedMinutes ?? parseDurationMinutes(record.totalHours);
+
+// What a record's day is expected to take before overtime starts
+const fullDayMinutes = (record) => record.shift
+  ? getShiftLengthMinutes(record.shift) - (record.shift.breakMinutes || 0)
+  : STANDARD_DAY_MINUTES;
+
+/**
+ * The dates of each month a range touches
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array} [{ month: YYYY-MM, dates }], earliest first
+ */
+export const splitRangeByMonth = (startDate, endDate) => {
+  const months = new Map();
+  eachDateInRange(startDate, endDate).forEach(date => {
+    const month = date.slice(0, 7);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(date);
+  });
+  return [...months].map(([month, dates]) => ({ month, dates }));
+};
+
+/**
+ * Sum up an employee's attendance over some days (usually one month)
+ * A day off the employee worked counts as present, and all of it as
+ * overtime; otherwise the calendar decides days off, even where holiday
+ * records were auto-marked present.
+ * @param {Object} options
+ * @param {Array<string>} options.dates - Days covered (YYYY-MM-DD)
+ * @param {Array} options.records - The employee's attendance records for those days
+ * @param {Object} options.calendar - { weeklyOffs, holidays }
+ * @param {string|null} options.location - Employee's location (regional holidays)
+ * @returns {Object} { present, absent, halfDay, leave, holidays, weeklyOffs,
+ *   lateArrivals, workFromHome, totalHours, overtimeHours, days: { date: code } }
+ */
+export const summarizeAttendance = ({ dates, records, calendar, location = null }) => {
+  const byDate = new Map();
+  records.forEach(record => {
+    // Keep one record a day, preferring one with hours
+    const existing = byDate.get(record.date);
+    if (!existing || (!workedMinutesOf(existing) && workedMinutesOf(record))) {
+      byDate.set(record.date, record);
+    }
+  });
+
+  const summary = {
+    present: 0,
+    absent: 0,
+    halfDay: 0,
+    leave: 0,
+    holidays: 0,
+    weeklyOffs: 0,
+    lateArrivals: 0,
+    workFromHome: 0,
+    totalHours: 0,
+    overtimeHours: 0,
+    days: {}
+  };
+
+  let workedTotal = 0;
+  let overtimeTotal = 0;
+
+  dates.forEach(date => {
+    const record = byDate.get(date);
+    const dayOff = getDayOff(calendar, date, location);
+    const worked = record ? workedMinutesOf(record) : 0;
+
+    let code;
+    if (record?.status === ATTENDANCE_STATUS.LEAVE) {
+      code = DAY_CODES.LEAVE;
+      summary.leave++;
+    } else if (dayOff && !worked) {
+      code = dayOff.type === DAY_OFF_TYPE.HOLIDAY ? DAY_CODES.HOLIDAY : DAY_CODES.WEEKLY_OFF;
+      if (dayOff.type === DAY_OFF_TYPE.HOLIDAY) summary.holidays++;
+      else summary.weeklyOffs++;
+    } else if (!record) {
+      code = DAY_CODES.NOT_RECORDED;
+    } else if (record.status === ATTENDANCE_STATUS.ABSENT) {
+      code = DAY_CODES.ABSENT;
+      summary.absent++;
+    } else {
+      const wfh = record.workType === WORK_TYPE.WFH;
+      if (record.status === ATTENDANCE_STATUS.HALF_DAY) {
+        code = DAY_CODES.HALF_DAY;
+        summary.halfDay++;
+      } else {
+        code = wfh ? DAY_CODES.WFH : DAY_CODES.PRESENT;
+        summary.present++;
+      }
+      if (wfh) summary.workFromHome++;
+      if (record.markedLate) summary.lateArrivals++;
+    }
+
+    if (record && worked) {
+      workedTotal += worked;
+      overtimeTotal += Math.max(worked - (dayOff ? 0 : fullDayMinutes(record)), 0);
+    }
+
+    summary.days[date] = code;
+  });
+
+  summary.totalHours = toHours(workedTotal);
+  summary.overtimeHours = toHours(overtimeTotal);
+  return summary;
+};
+
+const SUMMARY_COLUMNS = [
+  ['Present', 'present'],
+  ['Absent', 'absent'],
+  ['Half Day', 'halfDay'],
+  ['Leave', 'leave'],
+  ['Holidays', 'holidays'],
+  ['Weekly Offs', 'weeklyOffs'],
+  ['Late Arrivals', 'lateArrivals'],
+  ['Total Hours', 'totalHours'],
+  ['Overtime Hours', 'overtimeHours'],
+  ['WFH Days', 'workFromHome']
+];
+
+/**
+ * Lay a payroll report out as a table: one row per employee per month,
+ * with a column per day of the month (01-31; blank outside the range)
+ * @param {Array} employees - [{ month, username, fullName, department, ...summary }]
+ * @returns {Object} { headers, rows }
+ */
+export const buildPayrollTable = (employees) => {
+  const dayNumbers = Array.from({ length: 31 }, (_, index) => String(index + 1).padStart(2, '0'));
+
+  const headers = [
+    'Month',
+    'Username',
+    'Name',
+    'Department',
+    ...SUMMARY_COLUMNS.map(([label]) => label),
+    ...dayNumbers
+  ];
+
+  const rows = employees.map(employee => [
+    employee.month,
+    employee.username,
+    employee.fullName || '',
+    employee.department || '',
+    ...SUMMARY_COLUMNS.map(([, key]) => employee[key]),
+    ...dayNumbers.map(day => employee.days[`${employee.month}-${day}`] || '')
+  ]);
+
+  return { headers, rows };
+};
+
+/**
+ * Render rows as CSV (RFC 4180 quoting)
+ * @param {Array<Array>} rows - Cells (strings or numbers)
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows
+  .map(row => row.map(cell => {
+    const text = cell === null || cell === undefined ? '' : String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
@@ -0,0 +1,118 @@
+/**
+ * Audit Utilities
+ * Diffs and hash chaining for audit log entries
+ *
+ * Each entry's hash covers its own content and the previous entry's hash, so
+ * changing, removing or reordering an entry breaks every hash after it.
+ */
+
+import crypto from 'crypto';
+
+// Hash the first entry of an organization's chain links to
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields whose values never appear in the audit log
+const SENSITIVE_FIELD = /password|secret|token|apikey|recoverycode|^code$|^otp$/i;
+const REDACTED = '[redacted]';
+
+// Changes to these fields are noise (every write touches them)
+const IGNORED_DIFF_FIELDS = ['updatedAt', 'lastModified'];
+
+const MAX_STRING_LENGTH = 1000;
+
+/**
+ * Turn a value into plain JSON data: timestamps become ISO strings, undefined
+ * is dropped, long strings are cut and sensitive fields are redacted
+ * @param {*} value - Any value
+ * @returns {*} JSON-safe value
+ */
+export const toAuditValue = (value) => {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  }
+
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value;
+
+  if (Array.isArray(value)) return value.map(toAuditValue);
+
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] === undefined) return;
+      result[key] = SENSITIVE_FIELD.test(key) ? REDACTED : toAuditValue(value[key]);
+    });
+    return result;
+  }
+
+  return String(value);
+};
+
+/**
+ * JSON with object keys sorted, so equal data always hashes the same
+ * @param {*} value - JSON-safe value
+ * @returns {string}
+ */
+export const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * List the top-level fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Array<Object>} [{ field, before, after }] sorted by field
+ */
+export const diffRecords = (before, after) => {
+  const oldRecord = toAuditValue(before) || {};
+  const newRecord = toAuditValue(after) || {};
+
+  const fields = [...new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)])]
+    .filter(field => !IGNORED_DIFF_FIELDS.includes(field))
+    .sort();
+
+  return fields
+    .filter(field => canonicalStringify(oldRecord[field] ?? null) !== canonicalStringify(newRecord[field] ?? null))
+    .map(field => ({
+      field,
+      before: oldRecord[field] ?? null,
+      after: newRecord[field] ?? null
+    }));
+};
+
+/**
+ * Hash an audit entry together with the hash of the entry before it
+ * @param {Object} entry - Entry data without `hash` (and without `id`)
+ * @param {string} prevHash - Hash of the previous entry, GENESIS_HASH for the first
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashAuditEntry = (entry, prevHash) => {
+  const { id, hash, ...content } = entry;
+
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}\n${canonicalStringify({ ...content, prevHash })}`)
+    .digest('hex');
+};
+
+export default {
+  GENESIS_HASH,
+  toAuditValue,
+  canonicalStringify,
+  diffRecords,
+  hashAuditEntry
+};
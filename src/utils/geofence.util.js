@@ -0,0 +1,129 @@
+/**
+ * Geofence Utilities
+ * Matching a clock-in to one of an organization's office sites, by the
+ * device's position or by the network it clocked in from
+ *
+ * Network ranges are IPv4 CIDR blocks (e.g. 203.0.113.0/24) or single
+ * addresses; IPv6 addresses only match exactly.
+ */
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Meters
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// IPv4 address as an unsigned 32-bit number, or null
+const parseIPv4 = (value) => {
+  const parts = String(value).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((number, part) => number * 256 + Number(part), 0);
+};
+
+// Proxies report IPv4 clients as IPv4-mapped IPv6 (::ffff:203.0.113.5)
+const normalizeIp = (ip) => String(ip || '').trim().toLowerCase().replace(/^::ffff:(?=\d+\.)/, '');
+
+/**
+ * Check whether a network range is well formed
+ * @param {string} range - IPv4 CIDR block or a single IPv4/IPv6 address
+ * @returns {boolean}
+ */
+export const isValidIpRange = (range) => {
+  if (typeof range !== 'string') return false;
+
+  const [address, bits, extra] = range.trim().split('/');
+  if (extra !== undefined) return false;
+
+  if (parseIPv4(address) !== null) {
+    return bits === undefined || (/^\d{1,2}$/.test(bits) && Number(bits) <= 32);
+  }
+
+  // Single IPv6 address
+  return bits === undefined && address.includes(':') && /^[0-9a-f:.]+$/i.test(address);
+};
+
+/**
+ * Check whether an IP address is in a range
+ * @param {string} ip - Client IP address
+ * @param {string} range - IPv4 CIDR block or a single address
+ * @returns {boolean}
+ */
+export const isIpInRange = (ip, range) => {
+  const address = normalizeIp(ip);
+  const [base, bits] = range.trim().toLowerCase().split('/');
+
+  const ipNumber = parseIPv4(address);
+  const baseNumber = parseIPv4(base);
+
+  if (ipNumber === null || baseNumber === null) {
+    return bits === undefined && address === base;
+  }
+
+  const prefix = bits === undefined ? 32 : Number(bits);
+  const blockSize = 2 ** (32 - prefix);
+  return Math.floor(ipNumber / blockSize) === Math.floor(baseNumber / blockSize);
+};
+
+/**
+ * Find the office site a clock-in was made at
+ * A position inside a site's radius matches it (the nearest, when radii
+ * overlap); failing that, an IP address in one of a site's allowed ranges.
+ * @param {Array} sites - The organization's office sites
+ * @param {Object} clockIn - { location: { latitude, longitude }?, ipAddress? }
+ * @returns {Object} { site, distance, matchedBy } - site is null when none
+ *   matched; distance is to the matched site, or to the nearest one when
+ *   none did (null without a position)
+ */
+export const matchOfficeSite = (sites, { location, ipAddress } = {}) => {
+  const hasPosition = Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+  const measured = hasPosition
+    ? sites
+      .map(site => ({
+        site,
+        distance: Math.round(calculateDistance(location.latitude, location.longitude, site.latitude, site.longitude))
+      }))
+      .sort((a, b) => a.distance - b.distance)
+    : [];
+
+  const inside = measured.find(({ site, distance }) => distance <= site.radius);
+  if (inside) {
+    return { ...inside, matchedBy: 'location' };
+  }
+
+  if (ipAddress) {
+    const site = sites.find(candidate => (candidate.allowedIpRanges || []).some(range => isIpInRange(ipAddress, range)));
+    if (site) {
+      const distance = measured.find(entry => entry.site.id === site.id)?.distance ?? null;
+      return { site, distance, matchedBy: 'network' };
+    }
+  }
+
+  return { site: null, distance: measured[0]?.distance ?? null, matchedBy: null };
+};
+
+/**
+ * The parts of a matched site copied onto an attendance record
+ */
+export const toOfficeSiteSnapshot = ({ site, distance, matchedBy }) => ({
+  id: site.id,
+  name: site.name,
+  timezone: site.timezone,
+  distance,
+  matchedBy
+});
@@ -0,0 +1,165 @@
+/**
+ * Holiday Calendar Utilities
+ * Weekly offs, holiday scoping and ICS parsing for organization holiday calendars
+ *
+ * All dates are calendar dates in YYYY-MM-DD format, evaluated in UTC like
+ * the recurrence utilities.
+ */
+
+import { parseDateKey, addDays } from './recurrence.util.js';
+
+export const DAY_OFF_TYPE = {
+  WEEKLY_OFF: 'weekly_off',
+  HOLIDAY: 'holiday'
+};
+
+// Sunday, every week
+export const DEFAULT_WEEKLY_OFFS = [{ day: 0, weeks: [] }];
+
+// Longest multi-day ICS event expanded into holidays
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Check whether a date is a weekly off
+ * A rule with no weeks applies every week; otherwise only to those
+ * occurrences of the weekday in the month (e.g. { day: 6, weeks: [2, 4] }
+ * is the second and fourth Saturday).
+ * @param {Array} weeklyOffs - [{ day: 0-6, weeks: [1-5] }]
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isWeeklyOff = (weeklyOffs, dateKey) => {
+  const date = parseDateKey(dateKey);
+  if (!date) return false;
+
+  const weekday = date.getUTCDay();
+  const occurrence = Math.ceil(date.getUTCDate() / 7);
+
+  return (weeklyOffs || []).some(rule =>
+    rule.day === weekday && (!rule.weeks?.length || rule.weeks.includes(occurrence))
+  );
+};
+
+/**
+ * Check whether a holiday applies to a location
+ * Holidays without locations apply everywhere; scoped ones only to users
+ * whose location is listed (case-insensitive).
+ * @param {Object} holiday - { locations }
+ * @param {string|null} location - User's location
+ * @returns {boolean}
+ */
+export const holidayAppliesTo = (holiday, location) => {
+  if (!holiday.locations?.length) return true;
+  if (!location) return false;
+
+  const normalized = location.trim().toLowerCase();
+  return holiday.locations.some(scope => scope.trim().toLowerCase() === normalized);
+};
+
+/**
+ * Why a date is not a working day for a location, if it isn't
+ * @param {Object} calendar - { weeklyOffs, holidays } (holidays covering the date)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string|null} location - User's location (null: holidays for everyone only)
+ * @returns {Object|null} { type, name } or null for a working day
+ */
+export const getDayOff = ({ weeklyOffs, holidays }, dateKey, location = null) => {
+  const holiday = (holidays || []).find(h => h.date === dateKey && holidayAppliesTo(h, location));
+  if (holiday) {
+    return { type: DAY_OFF_TYPE.HOLIDAY, name: holiday.name, holidayId: holiday.id || null };
+  }
+
+  if (isWeeklyOff(weeklyOffs, dateKey)) {
+    return { type: DAY_OFF_TYPE.WEEKLY_OFF, name: 'Weekly off' };
+  }
+
+  return null;
+};
+
+/**
+ * Each date from startDate to endDate inclusive
+ */
+export const eachDateInRange = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date && date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * The working days in a range for a location
+ * @param {Object} calendar - { weeklyOffs, holidays }
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+export const getWorkingDays = (calendar, startDate, endDate, location = null) => {
+  return eachDateInRange(startDate, endDate).filter(date => !getDayOff(calendar, date, location));
+};
+
+// ─── ICS import ───────────────────────────────────────────────────────────
+
+const unescapeIcsText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+const icsDateKey = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Parse the all-day events of an iCalendar (ICS) file into holidays
+ * Folded lines are unfolded; DTEND is exclusive, so a one-day event ends the
+ * next day. Multi-day events become one holiday per day. Events without a
+ * date or summary are skipped.
+ * @param {string} icsText - File contents
+ * @returns {Array} [{ date, name, externalId }]
+ */
+export const parseIcsHolidays = (icsText) => {
+  const lines = String(icsText || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      const start = icsDateKey(event?.DTSTART);
+      if (start && event.SUMMARY) {
+        const end = icsDateKey(event.DTEND);
+        // Capped before the range is walked, so a far-off DTEND costs nothing
+        const cap = addDays(start, MAX_EVENT_DAYS - 1);
+        const last = end && end > start ? addDays(end, -1) : start;
+        const dates = eachDateInRange(start, last < cap ? last : cap);
+
+        dates.forEach(date => holidays.push({
+          date,
+          name: unescapeIcsText(event.SUMMARY),
+          externalId: event.UID ? `${event.UID}${dates.length > 1 ? `#${date}` : ''}` : null
+        }));
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    // NAME;PARAM=VALUE:value
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    if (['DTSTART', 'DTEND', 'SUMMARY', 'UID'].includes(name)) {
+      event[name] = line.slice(separator + 1);
+    }
+  }
+
+  return holidays;
+};
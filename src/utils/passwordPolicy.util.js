@@ -0,0 +1,115 @@
+/**
+ * Password Policy Utilities
+ * Checks passwords against an organization's settings.passwordPolicy
+ *
+ * Pure functions with no server dependencies, so forms can show the same
+ * requirements the API enforces.
+ */
+
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumbers: true,
+  requireSpecialChars: false,
+  expiryDays: null
+};
+
+// Hard bounds so an organization cannot configure an unusable policy
+const MIN_LENGTH_FLOOR = 6;
+const MIN_LENGTH_CEILING = 128;
+
+const CHARACTER_RULES = [
+  { key: 'requireUppercase', pattern: /[A-Z]/, label: 'an uppercase letter' },
+  { key: 'requireLowercase', pattern: /[a-z]/, label: 'a lowercase letter' },
+  { key: 'requireNumbers', pattern: /\d/, label: 'a number' },
+  { key: 'requireSpecialChars', pattern: /[^A-Za-z0-9]/, label: 'a special character' }
+];
+
+/**
+ * Fill in defaults and clamp a stored or submitted policy
+ * @param {Object} policy - Partial policy (may be null)
+ * @returns {Object} Complete policy
+ */
+export const normalizePasswordPolicy = (policy = null) => {
+  const merged = { ...DEFAULT_PASSWORD_POLICY, ...(policy || {}) };
+  const minLength = parseInt(merged.minLength, 10);
+  const expiryDays = parseInt(merged.expiryDays, 10);
+
+  return {
+    minLength: Number.isFinite(minLength)
+      ? Math.min(Math.max(minLength, MIN_LENGTH_FLOOR), MIN_LENGTH_CEILING)
+      : DEFAULT_PASSWORD_POLICY.minLength,
+    requireUppercase: merged.requireUppercase === true,
+    requireLowercase: merged.requireLowercase === true,
+    requireNumbers: merged.requireNumbers === true,
+    requireSpecialChars: merged.requireSpecialChars === true,
+    // null or 0 means passwords never expire
+    expiryDays: Number.isFinite(expiryDays) && expiryDays > 0 ? expiryDays : null
+  };
+};
+
+/**
+ * List the requirements of a policy and whether a password meets each one
+ * @param {string} password - Candidate password (may be empty)
+ * @param {Object} policy - Password policy
+ * @returns {Array<Object>} Requirements ({ label, met })
+ */
+export const checkPasswordRequirements = (password, policy) => {
+  const normalized = normalizePasswordPolicy(policy);
+  const value = typeof password === 'string' ? password : '';
+
+  return [
+    { label: `At least ${normalized.minLength} characters`, met: value.length >= normalized.minLength },
+    ...CHARACTER_RULES
+      .filter(rule => normalized[rule.key])
+      .map(rule => ({ label: `Contains ${rule.label}`, met: rule.pattern.test(value) }))
+  ];
+};
+
+/**
+ * Check a password against a policy
+ * @param {string} password - Candidate password
+ * @param {Object} policy - Password policy
+ * @returns {Array<Object>} Validation errors ({ field, message }); empty when valid
+ */
+export const validatePasswordAgainstPolicy = (password, policy) => {
+  const normalized = normalizePasswordPolicy(policy);
+  const value = typeof password === 'string' ? password : '';
+  const errors = [];
+
+  if (value.length < normalized.minLength) {
+    errors.push({ field: 'password', message: `Password must be at least ${normalized.minLength} characters long` });
+  }
+
+  CHARACTER_RULES
+    .filter(rule => normalized[rule.key] && !rule.pattern.test(value))
+    .forEach(rule => errors.push({ field: 'password', message: `Password must contain ${rule.label}` }));
+
+  return errors;
+};
+
+/**
+ * Check whether a password has outlived the policy's expiryDays
+ * @param {string|Date|Object} changedAt - When the password was last set (Timestamp, Date or string)
+ * @param {Object} policy - Password policy
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True when the password must be changed
+ */
+export const isPasswordExpired = (changedAt, policy, now = Date.now()) => {
+  const { expiryDays } = normalizePasswordPolicy(policy);
+  if (!expiryDays || !changedAt) return false;
+
+  const changed = typeof changedAt.toDate === 'function' ? changedAt.toDate() : new Date(changedAt);
+  if (isNaN(changed.getTime())) return false;
+
+  return now - changed.getTime() > expiryDays * 24 * 60 * 60 * 1000;
+};
+
+export default {
+  DEFAULT_PASSWORD_POLICY,
+  normalizePasswordPolicy,
+  checkPasswordRequirements,
+  validatePasswordAgainstPolicy,
+  isPasswordExpired
+};
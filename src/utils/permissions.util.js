@@ -0,0 +1,257 @@
+/**
+ * Permission Utilities
+ * Catalog of permissions and the built-in roles every organization starts with
+ *
+ * A role grants permissions as `resource:action` strings. Permissions marked
+ * teamScopable can also be granted as `resource:action:team`, which limits the
+ * permission to the holder's org subtree: their reports at any depth and the
+ * members of teams they manage (see TeamService).
+ *
+ * Pure functions with no server dependencies, so the role editor can use them.
+ */
+
+export const PERMISSIONS = {
+  TASKS_READ: 'tasks:read',
+  TASKS_ASSIGN: 'tasks:assign',
+  TASKS_EDIT: 'tasks:edit',
+  TASKS_DELETE: 'tasks:delete',
+  ATTENDANCE_READ: 'attendance:read',
+  ATTENDANCE_EDIT: 'attendance:edit',
+  ATTENDANCE_EXPORT: 'attendance:export',
+  ATTENDANCE_SETTINGS: 'attendance:settings',
+  ATTENDANCE_APPROVE: 'attendance:approve',
+  LEAVE_APPROVE: 'leave:approve',
+  CLIENTS_READ: 'clients:read',
+  CLIENTS_WRITE: 'clients:write',
+  CLIENTS_DELETE: 'clients:delete',
+  FILES_READ: 'files:read',
+  FILES_DELETE: 'files:delete',
+  REPORTS_VIEW: 'reports:view',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SETTINGS_MANAGE: 'settings:manage',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  AUDIT_VIEW: 'audit:view'
+};
+
+export const PERMISSION_SCOPE = {
+  ALL: 'all',
+  TEAM: 'team'
+};
+
+const TEAM_SUFFIX = ':team';
+
+// Grouped for the role editor; teamScopable permissions can be limited to own reports
+export const PERMISSION_GROUPS = [
+  {
+    label: 'Tasks',
+    permissions: [
+      { key: PERMISSIONS.TASKS_READ, label: "View other users' tasks", teamScopable: true },
+      { key: PERMISSIONS.TASKS_ASSIGN, label: 'Assign tasks to others', teamScopable: true },
+      { key: PERMISSIONS.TASKS_EDIT, label: "Edit other users' tasks", teamScopable: true },
+      { key: PERMISSIONS.TASKS_DELETE, label: "Delete other users' tasks", teamScopable: true }
+    ]
+  },
+  {
+    label: 'Attendance',
+    permissions: [
+      { key: PERMISSIONS.ATTENDANCE_READ, label: "View other users' attendance", teamScopable: true },
+      { key: PERMISSIONS.ATTENDANCE_EDIT, label: 'Edit and mark attendance', teamScopable: true },
+      { key: PERMISSIONS.ATTENDANCE_EXPORT, label: 'Export attendance', teamScopable: true },
+      { key: PERMISSIONS.ATTENDANCE_SETTINGS, label: 'Change attendance settings, holidays and leave policy', teamScopable: false },
+      { key: PERMISSIONS.LEAVE_APPROVE, label: 'Approve and reject leave requests', teamScopable: true },
+      { key: PERMISSIONS.ATTENDANCE_APPROVE, label: 'Approve and reject attendance corrections', teamScopable: true }
+    ]
+  },
+  {
+    label: 'Clients',
+    permissions: [
+      { key: PERMISSIONS.CLIENTS_READ, label: 'View all clients', teamScopable: false },
+      { key: PERMISSIONS.CLIENTS_WRITE, label: 'Manage client notes, meetings and contacts', teamScopable: false },
+      { key: PERMISSIONS.CLIENTS_DELETE, label: 'Delete clients', teamScopable: false }
+    ]
+  },
+  {
+    label: 'Files',
+    permissions: [
+      { key: PERMISSIONS.FILES_READ, label: 'View all files', teamScopable: false },
+      { key: PERMISSIONS.FILES_DELETE, label: "Delete other users' files", teamScopable: false }
+    ]
+  },
+  {
+    label: 'Reports',
+    permissions: [
+      { key: PERMISSIONS.REPORTS_VIEW, label: 'View reports and analytics', teamScopable: true }
+    ]
+  },
+  {
+    label: 'Administration',
+    permissions: [
+      { key: PERMISSIONS.USERS_MANAGE, label: 'Create, edit and delete users and teams', teamScopable: false },
+      { key: PERMISSIONS.ROLES_MANAGE, label: 'Edit roles and permissions', teamScopable: false },
+      { key: PERMISSIONS.SETTINGS_MANAGE, label: 'Change organization settings', teamScopable: false },
+      { key: PERMISSIONS.NOTIFICATIONS_SEND, label: 'Send notifications to users', teamScopable: false },
+      { key: PERMISSIONS.AUDIT_VIEW, label: 'View and export the audit log', teamScopable: false }
+    ]
+  }
+];
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const TEAM_SCOPABLE = PERMISSION_GROUPS
+  .flatMap(group => group.permissions)
+  .filter(permission => permission.teamScopable)
+  .map(permission => permission.key);
+
+export const ADMIN_ROLE = 'admin';
+export const DEFAULT_ROLE = 'user';
+
+// Roles every organization has; all but admin can be edited, none can be deleted
+export const BUILT_IN_ROLES = [
+  {
+    key: ADMIN_ROLE,
+    name: 'Administrator',
+    description: 'Full access to everything in the organization',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    key: DEFAULT_ROLE,
+    name: 'User',
+    description: 'Works on their own tasks, attendance and assigned clients',
+    permissions: [
+      PERMISSIONS.TASKS_ASSIGN
+    ]
+  },
+  {
+    key: 'manager',
+    name: 'Manager',
+    description: 'Assigns and manages tasks across the organization',
+    permissions: [
+      PERMISSIONS.TASKS_READ,
+      PERMISSIONS.TASKS_ASSIGN,
+      PERMISSIONS.TASKS_EDIT,
+      PERMISSIONS.TASKS_DELETE,
+      PERMISSIONS.ATTENDANCE_READ,
+      PERMISSIONS.LEAVE_APPROVE,
+      PERMISSIONS.ATTENDANCE_APPROVE,
+      PERMISSIONS.CLIENTS_READ,
+      PERMISSIONS.FILES_READ,
+      PERMISSIONS.REPORTS_VIEW
+    ]
+  },
+  {
+    key: 'team_lead',
+    name: 'Team Lead',
+    description: 'Manages tasks, attendance and leave of their own reports',
+    permissions: [
+      PERMISSIONS.TASKS_ASSIGN,
+      `${PERMISSIONS.TASKS_READ}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.TASKS_EDIT}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.TASKS_DELETE}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.ATTENDANCE_READ}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.ATTENDANCE_EDIT}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.LEAVE_APPROVE}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.ATTENDANCE_APPROVE}${TEAM_SUFFIX}`,
+      `${PERMISSIONS.REPORTS_VIEW}${TEAM_SUFFIX}`
+    ]
+  },
+  {
+    key: 'hr',
+    name: 'HR',
+    description: 'Manages attendance, leave, holidays and attendance exports',
+    permissions: [
+      PERMISSIONS.TASKS_ASSIGN,
+      PERMISSIONS.ATTENDANCE_READ,
+      PERMISSIONS.ATTENDANCE_EDIT,
+      PERMISSIONS.ATTENDANCE_EXPORT,
+      PERMISSIONS.ATTENDANCE_SETTINGS,
+      PERMISSIONS.LEAVE_APPROVE,
+      PERMISSIONS.ATTENDANCE_APPROVE,
+      PERMISSIONS.REPORTS_VIEW
+    ]
+  },
+  {
+    key: 'client_viewer',
+    name: 'Client Viewer',
+    description: 'Read-only access to clients and their files',
+    permissions: [
+      PERMISSIONS.CLIENTS_READ,
+      PERMISSIONS.FILES_READ
+    ]
+  },
+  {
+    key: 'auditor',
+    name: 'Auditor',
+    description: 'Read-only access to tasks, attendance, clients, reports and the audit log',
+    permissions: [
+      PERMISSIONS.TASKS_READ,
+      PERMISSIONS.ATTENDANCE_READ,
+      PERMISSIONS.ATTENDANCE_EXPORT,
+      PERMISSIONS.CLIENTS_READ,
+      PERMISSIONS.FILES_READ,
+      PERMISSIONS.REPORTS_VIEW,
+      PERMISSIONS.AUDIT_VIEW
+    ]
+  }
+];
+
+export const BUILT_IN_ROLE_KEYS = BUILT_IN_ROLES.map(role => role.key);
+
+/**
+ * Check the format of a role key (lowercase letters, digits and underscores)
+ * @param {string} key - Role key
+ * @returns {boolean}
+ */
+export const isValidRoleKey = (key) => typeof key === 'string' && /^[a-z][a-z0-9_]{1,31}$/.test(key);
+
+/**
+ * Check that a permission grant names a known permission
+ * @param {string} grant - `resource:action` or `resource:action:team`
+ * @returns {boolean}
+ */
+export const isValidPermissionGrant = (grant) => {
+  if (typeof grant !== 'string') return false;
+
+  if (grant.endsWith(TEAM_SUFFIX)) {
+    return TEAM_SCOPABLE.includes(grant.slice(0, -TEAM_SUFFIX.length));
+  }
+
+  return ALL_PERMISSIONS.includes(grant);
+};
+
+/**
+ * Find how widely a set of grants allows a permission
+ * @param {Array<string>} grants - Permissions granted by a role
+ * @param {string} permission - `resource:action`
+ * @returns {string|null} PERMISSION_SCOPE.ALL, PERMISSION_SCOPE.TEAM or null when not granted
+ */
+export const getPermissionScope = (grants = [], permission) => {
+  if (grants.includes(permission)) return PERMISSION_SCOPE.ALL;
+  if (grants.includes(`${permission}${TEAM_SUFFIX}`)) return PERMISSION_SCOPE.TEAM;
+  return null;
+};
+
+/**
+ * Build a grant string for a permission and scope
+ * @param {string} permission - `resource:action`
+ * @param {string} scope - PERMISSION_SCOPE value
+ * @returns {string}
+ */
+export const toPermissionGrant = (permission, scope = PERMISSION_SCOPE.ALL) => {
+  return scope === PERMISSION_SCOPE.TEAM ? `${permission}${TEAM_SUFFIX}` : permission;
+};
+
+export default {
+  PERMISSIONS,
+  PERMISSION_SCOPE,
+  PERMISSION_GROUPS,
+  ALL_PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLE,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_KEYS,
+  isValidRoleKey,
+  isValidPermissionGrant,
+  getPermissionScope,
+  toPermissionGrant
+};
@@ -0,0 +1,220 @@
+/**
+ * Recurrence Utilities
+ * RRULE-style schedule evaluation for recurring task templates
+ *
+ * All dates are calendar dates in YYYY-MM-DD format. Arithmetic is done in
+ * UTC so results do not shift with the server's local timezone.
+ */
+
+export const RECURRENCE_FREQUENCY = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom'
+};
+
+export const RECURRENCE_UNIT = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Upper bound on days scanned when looking for the next occurrence
+// (covers a 30-month interval with room to spare)
+const MAX_SCAN_DAYS = 366 * 5;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC Date
+ */
+export const parseDateKey = (dateKey) => {
+  if (!dateKey || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return null;
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ */
+export const toDateKey = (date) => {
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  if (!date) return null;
+  return toDateKey(new Date(date.getTime() + days * MS_PER_DAY));
+};
+
+const daysInMonth = (year, monthIndex) => {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+};
+
+const daysBetween = (from, to) => {
+  return Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+};
+
+const monthsBetween = (from, to) => {
+  return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+};
+
+const startOfWeek = (date) => {
+  return new Date(date.getTime() - date.getUTCDay() * MS_PER_DAY);
+};
+
+/**
+ * Check whether a date matches a schedule
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} date - Candidate date (UTC)
+ * @param {Date} start - Schedule start date (UTC)
+ * @returns {boolean} True if the schedule fires on this date
+ */
+const matchesSchedule = (schedule, date, start) => {
+  const interval = Math.max(1, schedule.interval || 1);
+
+  switch (schedule.frequency) {
+    case RECURRENCE_FREQUENCY.DAILY:
+      return daysBetween(start, date) % interval === 0;
+
+    case RECURRENCE_FREQUENCY.WEEKLY: {
+      const weekdays = schedule.daysOfWeek?.length ? schedule.daysOfWeek : [start.getUTCDay()];
+      if (!weekdays.includes(date.getUTCDay())) return false;
+      const weeks = Math.round(daysBetween(startOfWeek(start), startOfWeek(date)) / 7);
+      return weeks % interval === 0;
+    }
+
+    case RECURRENCE_FREQUENCY.MONTHLY: {
+      const months = monthsBetween(start, date);
+      if (months % interval !== 0) return false;
+      const dayOfMonth = schedule.dayOfMonth || start.getUTCDate();
+      // Clamp to month length so "31st" fires on the last day of shorter months
+      const targetDay = Math.min(dayOfMonth, daysInMonth(date.getUTCFullYear(), date.getUTCMonth()));
+      return date.getUTCDate() === targetDay;
+    }
+
+    case RECURRENCE_FREQUENCY.CUSTOM: {
+      const unit = schedule.intervalUnit || RECURRENCE_UNIT.DAY;
+      if (unit === RECURRENCE_UNIT.WEEK) {
+        const days = daysBetween(start, date);
+        return days % 7 === 0 && (days / 7) % interval === 0;
+      }
+      if (unit === RECURRENCE_UNIT.MONTH) {
+        const months = monthsBetween(start, date);
+        if (months % interval !== 0) return false;
+        const targetDay = Math.min(start.getUTCDate(), daysInMonth(date.getUTCFullYear(), date.getUTCMonth()));
+        return date.getUTCDate() === targetDay;
+      }
+      return daysBetween(start, date) % interval === 0;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Get the first occurrence on or after a given date
+ * @param {Object} schedule - Normalized schedule ({ frequency, interval, startDate, endDate, ... })
+ * @param {string} fromDate - Date to search from (YYYY-MM-DD, inclusive)
+ * @returns {string|null} Next occurrence date or null if the schedule has ended
+ */
+export const getNextOccurrence = (schedule, fromDate) => {
+  const start = parseDateKey(schedule?.startDate);
+  if (!start) return null;
+
+  const end = schedule.endDate ? parseDateKey(schedule.endDate) : null;
+  const from = parseDateKey(fromDate);
+
+  let cursor = from && from > start ? from : start;
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    if (end && cursor > end) return null;
+
+    if (matchesSchedule(schedule, cursor, start)) {
+      return toDateKey(cursor);
+    }
+
+    cursor = new Date(cursor.getTime() + MS_PER_DAY);
+  }
+
+  return null;
+};
+
+/**
+ * List occurrences within a date range
+ * @param {Object} schedule - Normalized schedule
+ * @param {string} fromDate - Range start (YYYY-MM-DD, inclusive)
+ * @param {string} toDate - Range end (YYYY-MM-DD, inclusive)
+ * @param {number} limit - Maximum occurrences to return
+ * @returns {Array<string>} Occurrence dates
+ */
+export const getOccurrencesBetween = (schedule, fromDate, toDate, limit = 100) => {
+  const occurrences = [];
+  let next = getNextOccurrence(schedule, fromDate);
+
+  while (next && next <= toDate && occurrences.length < limit) {
+    occurrences.push(next);
+    next = getNextOccurrence(schedule, addDays(next, 1));
+  }
+
+  return occurrences;
+};
+
+/**
+ * Render a schedule as an RFC 5545 RRULE string
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string} RRULE (e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE")
+ */
+export const toRRule = (schedule) => {
+  const parts = [];
+  const interval = Math.max(1, schedule.interval || 1);
+
+  switch (schedule.frequency) {
+    case RECURRENCE_FREQUENCY.WEEKLY:
+      parts.push('FREQ=WEEKLY', `INTERVAL=${interval}`);
+      if (schedule.daysOfWeek?.length) {
+        parts.push(`BYDAY=${schedule.daysOfWeek.map(d => RRULE_WEEKDAYS[d]).join(',')}`);
+      }
+      break;
+    case RECURRENCE_FREQUENCY.MONTHLY:
+      parts.push('FREQ=MONTHLY', `INTERVAL=${interval}`);
+      if (schedule.dayOfMonth) {
+        parts.push(`BYMONTHDAY=${schedule.dayOfMonth}`);
+      }
+      break;
+    case RECURRENCE_FREQUENCY.CUSTOM: {
+      const freq = {
+        [RECURRENCE_UNIT.DAY]: 'DAILY',
+        [RECURRENCE_UNIT.WEEK]: 'WEEKLY',
+        [RECURRENCE_UNIT.MONTH]: 'MONTHLY'
+      }[schedule.intervalUnit || RECURRENCE_UNIT.DAY];
+      parts.push(`FREQ=${freq}`, `INTERVAL=${interval}`);
+      break;
+    }
+    default:
+      parts.push('FREQ=DAILY', `INTERVAL=${interval}`);
+  }
+
+  if (schedule.endDate) {
+    parts.push(`UNTIL=${schedule.endDate.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+};
+
+export default {
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_UNIT,
+  parseDateKey,
+  toDateKey,
+  addDays,
+  getNextOccurrence,
+  getOccurrencesBetween,
+  toRRule
+};
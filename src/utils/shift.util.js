@@ -0,0 +1,205 @@
+/**
+ * Shift Utilities
+ * Resolving a user's shift for a date and judging clock-ins and clock-outs
+ * against it
+ *
+ * Times are HH:MM in the organization's timezone (India, like the rest of
+ * attendance). A shift whose end is not after its start runs past midnight
+ * and ends the next day.
+ */
+
+import { parseDateKey, addDays } from './recurrence.util.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Clock-in and clock-out times carry seconds (HH:MM:SS); they are ignored
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/;
+
+/**
+ * Parse an HH:MM (or HH:MM:SS) time into minutes since midnight
+ * @returns {number|null} Minutes, or null when not a valid time
+ */
+export const parseTimeOfDay = (value) => {
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Length of a shift from start to end, breaks included
+ * @returns {number} Minutes
+ */
+export const getShiftLengthMinutes = (shift) => {
+  const start = parseTimeOfDay(shift.startTime);
+  const end = parseTimeOfDay(shift.endTime);
+  return end > start ? end - start : end + MINUTES_PER_DAY - start;
+};
+
+/**
+ * The shift a rotating assignment puts its users on for a date
+ * Each shift in the rotation lasts rotationDays, starting from startDate.
+ * @param {Object} assignment - { shiftIds, rotationDays, startDate }
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} Shift ID
+ */
+export const getRosterShiftId = (assignment, dateKey) => {
+  const { shiftIds, rotationDays, startDate } = assignment;
+  if (shiftIds.length === 1) return shiftIds[0];
+
+  const elapsed = Math.round((parseDateKey(dateKey) - parseDateKey(startDate)) / MS_PER_DAY);
+  const period = Math.floor(elapsed / Math.max(1, rotationDays || 1));
+  return shiftIds[period % shiftIds.length];
+};
+
+const coversDate = (assignment, dateKey) => (
+  assignment.startDate <= dateKey && (!assignment.endDate || assignment.endDate >= dateKey)
+);
+
+// Of the assignments covering a date, the one that started last
+const latestCovering = (assignments, dateKey) => assignments
+  .filter(assignment => coversDate(assignment, dateKey))
+  .sort((a, b) => b.startDate.localeCompare(a.startDate))[0] || null;
+
+/**
+ * Find the assignment that decides a user's shift on a date
+ * The user's own assignment wins; otherwise their team's, then the nearest
+ * parent team's.
+ * @param {Array} assignments - The organization's shift assignments
+ * @param {Object} user - { username, teamId }
+ * @param {Array} teams - The organization's teams ({ id, parentId })
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object|null} Assignment
+ */
+export const findShiftAssignment = (assignments, user, teams, dateKey) => {
+  const own = latestCovering(
+    assignments.filter(a => a.assigneeType === 'user' && a.assigneeId === user.username),
+    dateKey
+  );
+  if (own) return own;
+
+  const seen = new Set();
+  let teamId = user.teamId || null;
+
+  while (teamId && !seen.has(teamId)) {
+    seen.add(teamId);
+    const current = teamId;
+    const teamAssignment = latestCovering(
+      assignments.filter(a => a.assigneeType === 'team' && a.assigneeId === current),
+      dateKey
+    );
+    if (teamAssignment) return teamAssignment;
+
+    teamId = teams.find(team => team.id === current)?.parentId || null;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a user's shift on a date
+ * @param {Object} roster - { shifts, assignments, teams, defaultShiftId }
+ * @param {Object} user - { username, teamId }
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object|null} Shift, or null when the organization uses no shifts for the user
+ */
+export const resolveShift = ({ shifts, assignments, teams, defaultShiftId }, user, dateKey) => {
+  const assignment = findShiftAssignment(assignments || [], user, teams || [], dateKey);
+  const shiftId = assignment ? getRosterShiftId(assignment, dateKey) : defaultShiftId;
+  return (shifts || []).find(shift => shift.id === shiftId) || null;
+};
+
+/**
+ * The parts of a shift copied onto an attendance record, so later changes
+ * to the shift don't rewrite history
+ */
+export const toShiftSnapshot = (shift) => ({
+  id: shift.id,
+  name: shift.name,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  graceMinutes: shift.graceMinutes,
+  breakMinutes: shift.breakMinutes,
+  minimumHours: shift.minimumHours
+});
+
+/**
+ * Judge a clock-in against a shift
+ * Clocking in after the grace period is late; clocking in after half the
+ * shift has gone is a half day.
+ * @param {Object} shift - Shift or snapshot
+ * @param {string} time - Clock-in time (HH:MM)
+ * @returns {Object} { lateByMinutes, markedLate, halfDay }
+ */
+export const evaluateCheckIn = (shift, time) => {
+  const length = getShiftLengthMinutes(shift);
+  let offset = parseTimeOfDay(time) - parseTimeOfDay(shift.startTime);
+
+  // An overnight shift's clock-in can fall after midnight; an early
+  // clock-in can fall before it
+  if (offset < -MINUTES_PER_DAY / 2) offset += MINUTES_PER_DAY;
+  if (offset > MINUTES_PER_DAY / 2) offset -= MINUTES_PER_DAY;
+
+  const lateByMinutes = Math.max(offset, 0);
+
+  return {
+    lateByMinutes,
+    markedLate: lateByMinutes > (shift.graceMinutes || 0),
+    halfDay: lateByMinutes > length / 2
+  };
+};
+
+/**
+ * Minutes worked between clock-in and clock-out, less the shift's break
+ * @returns {number} Minutes
+ */
+export const getWorkedMinutes = (shift, checkIn, checkOut) => {
+  let span = parseTimeOfDay(checkOut) - parseTimeOfDay(checkIn);
+  if (span < 0) span += MINUTES_PER_DAY;
+  return Math.max(span - (shift.breakMinutes || 0), 0);
+};
+
+/**
+ * Check whether the minutes worked make a full day on a shift
+ */
+export const meetsMinimumHours = (shift, workedMinutes) => {
+  return workedMinutes >= (shift.minimumHours || 0) * 60;
+};
+
+/**
+ * Check whether a shift runs past midnight
+ */
+export const isOvernightShift = (shift) => parseTimeOfDay(shift.endTime) <= parseTimeOfDay(shift.startTime);
+
+/**
+ * When a shift starting on a date ends
+ * @returns {Object} { date, time }
+ */
+export const getShiftEnd = (shift, dateKey) => {
+  return { date: isOvernightShift(shift) ? addDays(dateKey, 1) : dateKey, time: shift.endTime };
+};
+
+/**
+ * The date a clock-out belongs to
+ * A clock-out after midnight, before the shift starts again, ends the
+ * overnight shift that started the day before.
+ * @param {Object|null} shift - Shift (or snapshot) of the record still open
+ *   from the day before, if any
+ * @param {Object} now - { date: YYYY-MM-DD, time: HH:MM }
+ * @returns {string} Date the shift started (YYYY-MM-DD)
+ */
+export const getClockOutDate = (shift, now) => {
+  if (!shift || !isOvernightShift(shift)) return now.date;
+  return parseTimeOfDay(now.time) < parseTimeOfDay(shift.startTime) ? addDays(now.date, -1) : now.date;
+};
+
+/**
+ * Check whether a shift starting on a date has ended
+ * @param {Object} shift - Shift
+ * @param {string} dateKey - Date the shift starts (YYYY-MM-DD)
+ * @param {Object} now - { date: YYYY-MM-DD, time: HH:MM }
+ * @returns {boolean}
+ */
+export const hasShiftEnded = (shift, dateKey, now) => {
+  const end = getShiftEnd(shift, dateKey);
+  return `${now.date} ${now.time}` >= `${end.date} ${end.time}`;
+};
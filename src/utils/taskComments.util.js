@@ -0,0 +1,58 @@
+/**
+ * Task Comment Utilities
+ * Mentions, reactions and reply threads of task comments
+ * Shared by the comments API and the task detail modal.
+ */
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+// Reactions people can add to a comment
+export const COMMENT_REACTIONS = ['👍', '❤️', '🎉', '😄', '😮', '😢', '👀', '✅'];
+
+// @username, where usernames are letters, digits, dots, underscores and dashes;
+// the lookbehind skips e-mail addresses (name@example.com)
+export const MENTION_PATTERN = /(?<![\w.])@([a-zA-Z0-9._-]+)/g;
+
+/**
+ * Get the @handles written in a comment
+ * @param {string} content - Comment text
+ * @returns {Array<string>} Lowercased handles, without duplicates or a trailing dot
+ */
+export const extractMentionHandles = (content = '') => {
+  const handles = [...String(content).matchAll(MENTION_PATTERN)]
+    .map(match => match[1].replace(/\.+$/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(handles)];
+};
+
+/**
+ * Group comments into threads
+ * Replies go under their top-level comment (one level deep), oldest first.
+ * Replies whose parent is gone are shown as top-level comments.
+ * @param {Array} comments - Comments as stored on the task
+ * @returns {Array} Top-level comments, each with `replies`
+ */
+export const buildCommentThreads = (comments = []) => {
+  const byTime = [...comments].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  const topLevelIds = new Set(byTime.filter(comment => !comment.parentId).map(comment => comment.id));
+  const threads = new Map();
+
+  for (const comment of byTime) {
+    if (!comment.parentId || !topLevelIds.has(comment.parentId)) {
+      threads.set(comment.id, { ...comment, replies: [] });
+    }
+  }
+
+  for (const comment of byTime) {
+    if (comment.parentId && threads.has(comment.parentId)) {
+      threads.get(comment.parentId).replies.push(comment);
+    }
+  }
+
+  return [...threads.values()];
+};
+
+/**
+ * Count the comments people can see (deleted comments kept for their replies are left out)
+ */
+export const countVisibleComments = (comments = []) => comments.filter(comment => !comment.deleted).length;
@@ -0,0 +1,152 @@
+/**
+ * Task Query Utilities
+ * Fields derived from a task so Firestore can filter, search and sort it
+ *
+ * Firestore has no substring search, custom sort order or "not in a set of
+ * statuses" that combines with other filters, so every task also stores:
+ *   searchTokens - lowercase word prefixes of its text fields (array-contains)
+ *   priorityRank - priority as a number, so High sorts above Low
+ *   isOpen       - false once the status is closed (done, cancelled)
+ * They are written with the task (lib/firebaseService.js); tasks created
+ * before they existed are filled in by scripts/backfill-task-query-fields.js.
+ */
+
+import { isClosedStatus } from './taskWorkflow.util.js';
+import { TASK_PRIORITY, TASK_STATUS } from './constants.js';
+
+export const PRIORITY_RANK = {
+  [TASK_PRIORITY.URGENT]: 4,
+  [TASK_PRIORITY.HIGH]: 3,
+  [TASK_PRIORITY.MEDIUM]: 2,
+  [TASK_PRIORITY.LOW]: 1
+};
+
+// Text fields a search matches
+export const SEARCHABLE_TASK_FIELDS = ['task', 'client_name', 'assigned_to', 'given_by'];
+
+// Sort keys of the query API and the stored field each one orders by
+export const TASK_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  deadline: 'deadline',
+  task: 'task',
+  priority: 'priorityRank',
+  assigned_to: 'assigned_to',
+  given_by: 'given_by'
+};
+
+// Equality filters of the query API and the stored field each one matches
+export const TASK_FILTER_FIELDS = {
+  status: 'status',
+  priority: 'priority',
+  assignee: 'assigned_to',
+  assigner: 'given_by',
+  client: 'client_name'
+};
+
+export const DERIVED_TASK_FIELDS = ['searchTokens', 'priorityRank', 'isOpen'];
+
+export const MIN_SEARCH_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 15;
+const MAX_SEARCH_TOKENS = 300;
+
+const splitWords = (text) => {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+};
+
+/**
+ * Build the search tokens of a task: every prefix (2-15 characters) of every
+ * word in its searchable fields
+ * @param {Object} task - Task data
+ * @returns {Array<string>} Tokens
+ */
+export const buildSearchTokens = (task) => {
+  const tokens = new Set();
+
+  for (const field of SEARCHABLE_TASK_FIELDS) {
+    for (const word of splitWords(task[field])) {
+      const maxLength = Math.min(word.length, MAX_TOKEN_LENGTH);
+      for (let length = MIN_SEARCH_LENGTH; length <= maxLength; length++) {
+        tokens.add(word.slice(0, length));
+      }
+    }
+  }
+
+  return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+};
+
+/**
+ * Turn a free-text search into the token to match
+ * A query can hold one array-contains filter, so a search of several words
+ * matches on its longest word.
+ * @param {string} search - Search text
+ * @returns {string|null} Token, or null when there is nothing to search for
+ */
+export const toSearchToken = (search) => {
+  const words = splitWords(search);
+  if (words.length === 0) return null;
+
+  const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+  return longest.slice(0, MAX_TOKEN_LENGTH);
+};
+
+/**
+ * Build the derived query fields of a task
+ * Pass the whole task (stored data merged with the update) so the fields
+ * match what is saved.
+ * @param {Object} task - Task data
+ * @returns {Object} { searchTokens, priorityRank, isOpen }
+ */
+export const buildTaskIndexFields = (task) => ({
+  searchTokens: buildSearchTokens(task),
+  priorityRank: PRIORITY_RANK[task.priority] || 0,
+  isOpen: !isClosedStatus(task.status || TASK_STATUS.PENDING)
+});
+
+/**
+ * Remove the derived query fields before a task is returned to a client
+ * @param {Object} task - Stored task
+ * @returns {Object} Task without derived fields
+ */
+export const stripTaskIndexFields = (task) => {
+  const stripped = { ...task };
+  DERIVED_TASK_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+};
+
+/**
+ * Encode a result position as an opaque cursor
+ * @param {Array} values - [sort value, task ID] of the last task returned
+ * @returns {string} Cursor
+ */
+export const encodeTaskCursor = (values) => {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeTaskCursor
+ * @param {string} cursor - Cursor
+ * @returns {Array|null} [sort value, task ID], or null when malformed
+ */
+export const decodeTaskCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === 2 && typeof values[1] === 'string' ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  PRIORITY_RANK,
+  SEARCHABLE_TASK_FIELDS,
+  TASK_SORT_FIELDS,
+  TASK_FILTER_FIELDS,
+  DERIVED_TASK_FIELDS,
+  MIN_SEARCH_LENGTH,
+  buildSearchTokens,
+  toSearchToken,
+  buildTaskIndexFields,
+  stripTaskIndexFields,
+  encodeTaskCursor,
+  decodeTaskCursor
+};
@@ -0,0 +1,73 @@
+/**
+ * Task Structure Utilities
+ * Checklists, subtasks and "blocked by" dependencies of a task
+ *
+ * A task stores:
+ *   checklist    - ordered items ({ id, text, done, doneBy, doneAt })
+ *   parentTaskId - the task it is a subtask of (subtasks are ordinary tasks)
+ *   blockedBy    - IDs of tasks that must be closed before it can be done
+ *
+ * Pure functions with no server dependencies, so the task detail view rolls
+ * up progress the same way the API does.
+ */
+
+import { TASK_STATUS } from './constants.js';
+import { isClosedStatus } from './taskWorkflow.util.js';
+
+// Levels of subtasks below a top-level task
+export const MAX_SUBTASK_DEPTH = 5;
+export const MAX_BLOCKERS = 20;
+export const MAX_CHECKLIST_ITEMS = 100;
+export const MAX_CHECKLIST_TEXT_LENGTH = 500;
+
+/**
+ * Count the checked items of a checklist
+ * @param {Array} checklist - Checklist items
+ * @returns {Object} { done, total }
+ */
+export const getChecklistCounts = (checklist = []) => ({
+  done: checklist.filter(item => item.done).length,
+  total: checklist.length
+});
+
+/**
+ * Roll up a task's progress from its checklist and subtasks
+ * Each checklist item and each subtask weighs the same; a subtask counts with
+ * its own rolled-up progress. Cancelled subtasks are left out, and a done task
+ * is complete whatever its parts say.
+ * @param {Object} task - Task ({ status, checklist })
+ * @param {Array<Object>} subtasks - Direct subtasks ({ status, progress })
+ * @returns {number} Percentage, 0-100
+ */
+export const computeTaskProgress = (task, subtasks = []) => {
+  if (task.status === TASK_STATUS.DONE) return 100;
+
+  const parts = [
+    ...(task.checklist || []).map(item => (item.done ? 100 : 0)),
+    ...subtasks
+      .filter(subtask => subtask.status !== TASK_STATUS.CANCELLED)
+      .map(subtask => (subtask.status === TASK_STATUS.DONE ? 100 : subtask.progress || 0))
+  ];
+
+  if (parts.length === 0) return 0;
+  return Math.round(parts.reduce((sum, value) => sum + value, 0) / parts.length);
+};
+
+/**
+ * Find the blockers that still keep a task from being done
+ * @param {Array<Object>} blockers - Tasks the task is blocked by
+ * @returns {Array<Object>} Blockers whose status is not closed
+ */
+export const getOpenBlockers = (blockers = []) => {
+  return blockers.filter(blocker => !isClosedStatus(blocker.status));
+};
+
+export default {
+  MAX_SUBTASK_DEPTH,
+  MAX_BLOCKERS,
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_TEXT_LENGTH,
+  getChecklistCounts,
+  computeTaskProgress,
+  getOpenBlockers
+};
@@ -0,0 +1,303 @@
+/**
+ * Task Workflow Utilities
+ * Statuses and transition rules from an organization's settings.taskWorkflow
+ *
+ * Pure functions with no server dependencies, so task lists can offer the
+ * same moves the API allows. A workflow lists its statuses in board order
+ * and, optionally, the transitions between them:
+ *
+ *   { from: 'in_review', to: 'done', requiredFields: [], allowedActors: ['assigner'] }
+ *
+ * `from: '*'` matches any status. When a workflow lists no transitions, any
+ * status can move to any other. `allowedActors` holds 'assigner' (the task's
+ * given_by), 'assignee' (assigned_to) or role keys; empty means anyone who
+ * can edit the task. `requiredFields` must be sent with the status change,
+ * e.g. a `reason` when blocking.
+ */
+
+import { TASK_STATUS } from './constants.js';
+
+export const TRANSITION_ACTOR = {
+  ASSIGNER: 'assigner',
+  ASSIGNEE: 'assignee'
+};
+
+export const ANY_STATUS = '*';
+
+export const STATUS_COLORS = ['gray', 'amber', 'blue', 'purple', 'orange', 'red', 'green'];
+
+// Completion, overdue and reporting logic depend on these keys
+export const REQUIRED_STATUSES = [TASK_STATUS.PENDING, TASK_STATUS.DONE];
+
+// Tasks in these statuses are finished and never overdue
+export const CLOSED_STATUSES = [TASK_STATUS.DONE, TASK_STATUS.CANCELLED];
+
+export const DEFAULT_TASK_WORKFLOW = {
+  statuses: [
+    { key: TASK_STATUS.PENDING, label: 'Pending', color: 'amber' },
+    { key: TASK_STATUS.IN_PROGRESS, label: 'In Progress', color: 'blue' },
+    { key: TASK_STATUS.DONE, label: 'Done', color: 'green' },
+    { key: TASK_STATUS.CANCELLED, label: 'Cancelled', color: 'gray' }
+  ],
+  transitions: []
+};
+
+const MAX_STATUSES = 12;
+const MAX_LABEL_LENGTH = 40;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+const FIELD_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,31}$/;
+
+/**
+ * Get an organization's workflow, or the default when none is stored
+ * @param {Object} workflow - Stored workflow (may be null)
+ * @returns {Object} Workflow ({ statuses, transitions })
+ */
+export const normalizeTaskWorkflow = (workflow = null) => {
+  if (!workflow || !Array.isArray(workflow.statuses) || workflow.statuses.length === 0) {
+    return DEFAULT_TASK_WORKFLOW;
+  }
+
+  return {
+    statuses: workflow.statuses,
+    transitions: Array.isArray(workflow.transitions) ? workflow.transitions : []
+  };
+};
+
+/**
+ * Clean up a submitted workflow and list what is wrong with it
+ * @param {Object} workflow - { statuses, transitions }
+ * @returns {Object} { workflow, errors } where errors are ({ field, message })
+ */
+export const validateTaskWorkflow = (workflow) => {
+  const errors = [];
+  const statuses = Array.isArray(workflow?.statuses) ? workflow.statuses : [];
+  const transitions = Array.isArray(workflow?.transitions) ? workflow.transitions : [];
+
+  if (statuses.length === 0 || statuses.length > MAX_STATUSES) {
+    errors.push({ field: 'statuses', message: `A workflow needs 1-${MAX_STATUSES} statuses` });
+  }
+
+  const cleanStatuses = statuses.map((status, index) => {
+    const key = String(status?.key || '').trim();
+    const label = String(status?.label || '').trim();
+
+    if (!KEY_PATTERN.test(key)) {
+      errors.push({ field: `statuses[${index}].key`, message: 'Status keys are 2-32 lowercase letters, numbers or underscores, starting with a letter' });
+    }
+
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      errors.push({ field: `statuses[${index}].label`, message: `Status labels are 1-${MAX_LABEL_LENGTH} characters` });
+    }
+
+    return {
+      key,
+      label,
+      color: STATUS_COLORS.includes(status?.color) ? status.color : 'gray'
+    };
+  });
+
+  const keys = cleanStatuses.map(status => status.key);
+
+  if (new Set(keys).size !== keys.length) {
+    errors.push({ field: 'statuses', message: 'Status keys must be unique' });
+  }
+
+  REQUIRED_STATUSES
+    .filter(key => !keys.includes(key))
+    .forEach(key => errors.push({ field: 'statuses', message: `The "${key}" status cannot be removed` }));
+
+  const pairs = new Set();
+
+  const cleanTransitions = transitions.map((transition, index) => {
+    const from = String(transition?.from || '').trim();
+    const to = String(transition?.to || '').trim();
+    const requiredFields = Array.isArray(transition?.requiredFields) ? transition.requiredFields.map(String) : [];
+    const allowedActors = Array.isArray(transition?.allowedActors) ? transition.allowedActors.map(String) : [];
+    const field = `transitions[${index}]`;
+
+    if (from !== ANY_STATUS && !keys.includes(from)) {
+      errors.push({ field: `${field}.from`, message: `Unknown status "${from}"` });
+    }
+
+    if (!keys.includes(to)) {
+      errors.push({ field: `${field}.to`, message: `Unknown status "${to}"` });
+    }
+
+    if (from === to) {
+      errors.push({ field, message: 'A transition must change the status' });
+    }
+
+    if (pairs.has(`${from}>${to}`)) {
+      errors.push({ field, message: `The transition ${from} -> ${to} is listed twice` });
+    }
+    pairs.add(`${from}>${to}`);
+
+    requiredFields
+      .filter(name => !FIELD_PATTERN.test(name))
+      .forEach(name => errors.push({ field: `${field}.requiredFields`, message: `Invalid field name "${name}"` }));
+
+    allowedActors
+      .filter(actor => !KEY_PATTERN.test(actor))
+      .forEach(actor => errors.push({ field: `${field}.allowedActors`, message: `Invalid actor "${actor}"` }));
+
+    return {
+      from,
+      to,
+      requiredFields: [...new Set(requiredFields)],
+      allowedActors: [...new Set(allowedActors)]
+    };
+  });
+
+  return {
+    workflow: { statuses: cleanStatuses, transitions: cleanTransitions },
+    errors
+  };
+};
+
+/**
+ * Get a status of a workflow
+ * @param {Object} workflow - Workflow
+ * @param {string} key - Status key
+ * @returns {Object|null} Status ({ key, label, color }) or null
+ */
+export const getWorkflowStatus = (workflow, key) => {
+  return normalizeTaskWorkflow(workflow).statuses.find(status => status.key === key) || null;
+};
+
+/**
+ * Check whether a status means the task is finished
+ * @param {string} key - Status key
+ * @returns {boolean}
+ */
+export const isClosedStatus = (key) => CLOSED_STATUSES.includes(key);
+
+/**
+ * Find the rule for moving a task from one status to another
+ * An exact `from` wins over `from: '*'`.
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {Object|null} Transition, or null when the move is not allowed
+ */
+export const findTransition = (workflow, from, to) => {
+  const { statuses, transitions } = normalizeTaskWorkflow(workflow);
+
+  if (from === to || !statuses.some(status => status.key === to)) {
+    return null;
+  }
+
+  if (transitions.length === 0) {
+    return { from: ANY_STATUS, to, requiredFields: [], allowedActors: [] };
+  }
+
+  return transitions.find(transition => transition.from === from && transition.to === to) ||
+    transitions.find(transition => transition.from === ANY_STATUS && transition.to === to) ||
+    null;
+};
+
+/**
+ * Check whether a user is one of a transition's allowed actors
+ * @param {Object} transition - Transition
+ * @param {Object} task - Task ({ given_by, assigned_to })
+ * @param {Object} user - User ({ username, role })
+ * @returns {boolean}
+ */
+export const canActorTransition = (transition, task, user) => {
+  const actors = transition?.allowedActors || [];
+  if (actors.length === 0) return true;
+
+  return actors.some(actor => {
+    if (actor === TRANSITION_ACTOR.ASSIGNER) return task.given_by === user?.username;
+    if (actor === TRANSITION_ACTOR.ASSIGNEE) return task.assigned_to === user?.username;
+    return user?.role === actor;
+  });
+};
+
+const describeActor = (actor) => {
+  if (actor === TRANSITION_ACTOR.ASSIGNER) return 'the person who assigned the task';
+  if (actor === TRANSITION_ACTOR.ASSIGNEE) return 'the assignee';
+  return `the ${actor} role`;
+};
+
+/**
+ * Check a status change against a workflow
+ * @param {Object} workflow - Workflow
+ * @param {Object} task - Task being changed
+ * @param {string} to - New status
+ * @param {Object} user - User making the change
+ * @param {Object} fields - Values sent with the change
+ * @returns {Object} { allowed, transition, reason, message, missingFields }
+ *                   reason is 'unknown_status', 'not_allowed', 'forbidden' or 'missing_fields'
+ */
+export const checkStatusTransition = (workflow, task, to, user, fields = {}) => {
+  const from = task.status || TASK_STATUS.PENDING;
+
+  if (!getWorkflowStatus(workflow, to)) {
+    return { allowed: false, reason: 'unknown_status', message: `Unknown status "${to}"` };
+  }
+
+  const transition = findTransition(workflow, from, to);
+
+  if (!transition) {
+    return { allowed: false, reason: 'not_allowed', message: `A task cannot move from "${from}" to "${to}"` };
+  }
+
+  if (!canActorTransition(transition, task, user)) {
+    return {
+      allowed: false,
+      transition,
+      reason: 'forbidden',
+      message: `Only ${transition.allowedActors.map(describeActor).join(' or ')} can move this task to "${to}"`
+    };
+  }
+
+  const missingFields = transition.requiredFields.filter(name => {
+    const value = fields?.[name];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+
+  if (missingFields.length > 0) {
+    return {
+      allowed: false,
+      transition,
+      reason: 'missing_fields',
+      message: `Moving to "${to}" requires: ${missingFields.join(', ')}`,
+      missingFields
+    };
+  }
+
+  return { allowed: true, transition, reason: null, message: null };
+};
+
+/**
+ * List the statuses a user may move a task to
+ * @param {Object} workflow - Workflow
+ * @param {Object} task - Task
+ * @param {Object} user - User ({ username, role })
+ * @returns {Array<Object>} Statuses with the transition's requiredFields
+ */
+export const getAvailableTransitions = (workflow, task, user) => {
+  const from = task.status || TASK_STATUS.PENDING;
+
+  return normalizeTaskWorkflow(workflow).statuses
+    .map(status => ({ status, transition: findTransition(workflow, from, status.key) }))
+    .filter(({ transition }) => transition && canActorTransition(transition, task, user))
+    .map(({ status, transition }) => ({ ...status, requiredFields: transition.requiredFields }));
+};
+
+export default {
+  TRANSITION_ACTOR,
+  ANY_STATUS,
+  STATUS_COLORS,
+  REQUIRED_STATUSES,
+  CLOSED_STATUSES,
+  DEFAULT_TASK_WORKFLOW,
+  normalizeTaskWorkflow,
+  validateTaskWorkflow,
+  getWorkflowStatus,
+  isClosedStatus,
+  findTransition,
+  canActorTransition,
+  checkStatusTransition,
+  getAvailableTransitions
+};
@@ -0,0 +1,178 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30,       // seconds per step
+  window: 1,        // steps accepted either side of now, for clock drift
+  algorithm: 'sha1' // what Google Authenticator and most apps support
+};
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} length - Secret length in bytes (default: 20, i.e. 160 bits)
+ * @returns {string} Base32-encoded secret
+ */
+export const generateSecret = (length = 20) => {
+  return base32Encode(crypto.randomBytes(length));
+};
+
+/**
+ * Time step counter for a timestamp
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} period - Step length in seconds
+ * @returns {number} Step counter
+ */
+export const getTimeStep = (time = Date.now(), period = TOTP_DEFAULTS.period) => {
+  return Math.floor(time / 1000 / period);
+};
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Step counter
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac(TOTP_DEFAULTS.algorithm, base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % Math.pow(10, TOTP_DEFAULTS.digits)).padStart(TOTP_DEFAULTS.digits, '0');
+};
+
+/**
+ * Verify a code against the steps around now
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.time - Timestamp in milliseconds (default: now)
+ * @param {number} options.window - Steps accepted either side of now
+ * @returns {number|null} Matching step counter, or null when the code is wrong
+ */
+export const verifyCode = (secret, code, { time = Date.now(), window = TOTP_DEFAULTS.window } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${TOTP_DEFAULTS.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI encoded in enrollment QR codes
+ * @param {Object} params
+ * @param {string} params.secret - Base32-encoded secret
+ * @param {string} params.accountName - Account label shown in the app (e.g. username)
+ * @param {string} params.issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+
+  // Percent-encode rather than URLSearchParams: some apps show '+' literally
+  const params = [
+    ['secret', secret],
+    ['issuer', issuer],
+    ['algorithm', TOTP_DEFAULTS.algorithm.toUpperCase()],
+    ['digits', TOTP_DEFAULTS.digits],
+    ['period', TOTP_DEFAULTS.period]
+  ].map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export default {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  getTimeStep,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,75 @@
+/**
+ * WhatsApp Command Utilities
+ * Users message the app short commands: IN wfh / IN office, OUT, TASKS and
+ * DONE <n>, where n numbers a task in the last TASKS reply, and VERIFY <code>
+ * to link the number they opted in with. Commands are read
+ * case-insensitively and extra spaces are ignored.
+ */
+
+import { WORK_TYPE } from './constants.js';
+
+export const WHATSAPP_COMMANDS = {
+  CLOCK_IN: 'in',
+  CLOCK_OUT: 'out',
+  TASKS: 'tasks',
+  DONE: 'done',
+  HELP: 'help',
+  VERIFY: 'verify'
+};
+
+// The word after IN and the work type it clocks in with
+const CLOCK_IN_TYPES = {
+  wfh: WORK_TYPE.WFH,
+  home: WORK_TYPE.WFH,
+  office: WORK_TYPE.OFFICE
+};
+
+export const COMMAND_HELP = [
+  'Commands:',
+  'IN wfh - clock in from home (IN office at the office)',
+  'OUT - clock out',
+  'TASKS - your open tasks',
+  'DONE 3 - complete task 3 of that list'
+].join('\n');
+
+/**
+ * Read a command from a message
+ * @param {string} text - Message text
+ * @returns {Object} { command, workType? (IN), number? (DONE), code? (VERIFY) }, or
+ *   { command: null, error } when the message is no command
+ */
+export const parseCommand = (text) => {
+  const [word = '', ...args] = String(text || '').trim().split(/\s+/);
+  const command = word.toLowerCase();
+
+  switch (command) {
+    case WHATSAPP_COMMANDS.CLOCK_IN: {
+      const workType = args.length === 1 ? CLOCK_IN_TYPES[args[0].toLowerCase()] : null;
+      return workType
+        ? { command, workType }
+        : { command: null, error: 'Send IN wfh or IN office to clock in.' };
+    }
+
+    case WHATSAPP_COMMANDS.DONE: {
+      const number = args.length === 1 && /^\d+$/.test(args[0]) ? Number(args[0]) : 0;
+      return number > 0
+        ? { command, number }
+        : { command: null, error: 'Send DONE with the number of a task from your TASKS list, e.g. DONE 3.' };
+    }
+
+    case WHATSAPP_COMMANDS.VERIFY:
+      return args.length === 1 && /^\d{6}$/.test(args[0])
+        ? { command, code: args[0] }
+        : { command: null, error: 'Send VERIFY with the 6-digit code the app showed you, e.g. VERIFY 123456.' };
+
+    case WHATSAPP_COMMANDS.CLOCK_OUT:
+    case WHATSAPP_COMMANDS.TASKS:
+    case WHATSAPP_COMMANDS.HELP:
+      return args.length === 0
+        ? { command }
+        : { command: null, error: `${word.toUpperCase()} is sent on its own.` };
+
+    default:
+      return { command: null, error: word ? `"${word}" is not a command.` : 'Send a command.' };
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * WhatsApp Template Utilities
+ * Message templates are written with named variables ("Hi {{name}}, ...").
+ * WhatsApp numbers a template's variables instead ({{1}}, {{2}}, ...), so a
+ * template is registered there with its variables numbered in the order they
+ * first appear here, and is sent with its values in that order.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// E.164: country code and number, 8-15 digits in all
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// WhatsApp refuses parameters with newlines, tabs or more than four spaces in a row
+const MAX_PARAMETER_LENGTH = 1024;
+
+/**
+ * Get the variables a template uses, in order of first use
+ * @param {string} body - Template text
+ * @returns {Array<string>} Variable names
+ */
+export const extractVariables = (body) => {
+  const names = [];
+  for (const [, name] of String(body || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+};
+
+/**
+ * Fill in a template's variables (missing values are left empty)
+ * @param {string} body - Template text
+ * @param {Object} values - Variable name -> value
+ * @returns {string} Message text
+ */
+export const renderTemplate = (body, values = {}) => (
+  String(body || '').replace(VARIABLE_PATTERN, (match, name) => String(values[name] ?? ''))
+);
+
+const toParameter = (value) => {
+  const text = String(value ?? '').replace(/\s*[\n\t]+\s*/g, ' | ').replace(/ {5,}/g, '    ').trim();
+  // Empty parameters are refused as well
+  return (text || '-').slice(0, MAX_PARAMETER_LENGTH);
+};
+
+/**
+ * Get the values to send a template with, in WhatsApp's {{1}}, {{2}}, ... order
+ * @param {string} body - Template text
+ * @param {Object} values - Variable name -> value
+ * @returns {Array<string>} Parameter texts
+ */
+export const templateParameters = (body, values = {}) => (
+  extractVariables(body).map(name => toParameter(values[name]))
+);
+
+/**
+ * Normalize a phone number to E.164 (+ and digits)
+ * Spaces, dashes and brackets are dropped; a number without a country code is refused.
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} +<digits>, or null when it is not a valid number
+ */
+export const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return null;
+
+  const digits = phone.trim().replace(/[\s\-().]/g, '').replace(/^00/, '+');
+  const normalized = digits.startsWith('+') ? digits : null;
+
+  return normalized && PHONE_PATTERN.test(normalized) ? normalized : null;
+};